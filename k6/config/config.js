@@ -89,6 +89,7 @@ export const ENDPOINTS = {
     BY_PRODUCT: (productId) => `/api/stock/product/${productId}`,
     LOW_STOCK: '/api/stock/low',
     RESERVE: '/api/stock/reserve',
+    RESERVE_BATCH: '/api/stock/reserve/batch',
     ADJUST: '/api/stock/adjust'
   },
   
@@ -240,6 +240,40 @@ function testReserveStock() {
   logTestResult('Reserve Stock', response, 200);
 }
 
+/**
+ * Test reserving a whole cart (all lines or none)
+ */
+function testReserveStocks() {
+  const reservationData = {
+    storeId: global.storeId || 1,
+    lines: [
+      { productId: 1, quantity: getRandomInt(1, 3) },
+      { productId: 2, quantity: getRandomInt(1, 3) }
+    ]
+  };
+  
+  const response = http.post(
+    `${CONFIG.BASE_URL}${ENDPOINTS.STOCK.RESERVE_BATCH}`,
+    JSON.stringify(reservationData),
+    addAuthHeader(authToken)
+  );
+  
+  check(response, {
+    'Reserve cart - Status is 200': (r) => r.status === 200,
+    'Reserve cart - Response time < 1s': (r) => r.timings.duration < 1000,
+    'Reserve cart - Reserved or every shortage reported': (r) => {
+      try {
+        const data = JSON.parse(r.body);
+        return data.success === true || (data.success === false && Array.isArray(data.shortages));
+      } catch (e) {
+        return false;
+      }
+    }
+  });
+  
+  logTestResult('Reserve Cart', response, 200);
+}
+
 /**
  * Test stock adjustment (management operation)
  */
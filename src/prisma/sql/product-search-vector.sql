@@ -0,0 +1,27 @@
+-- Product search vector
+--
+-- Keeps "Product"."searchVector" in step with the name (weighted A) and description
+-- (weighted B) of every product, so the product search queries the GIN index of the
+-- column directly. Prisma cannot declare triggers: this script runs after the schema
+-- is migrated (`npm run db:migrate`, db-migrate service) and can be run again safely.
+
+CREATE OR REPLACE FUNCTION product_search_vector() RETURNS trigger AS $$
+BEGIN
+  NEW."searchVector" :=
+    setweight(to_tsvector('english', NEW."name"), 'A') ||
+    setweight(to_tsvector('english', COALESCE(NEW."description", '')), 'B');
+  RETURN NEW;
+END
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS product_search_vector ON "Product";
+CREATE TRIGGER product_search_vector
+  BEFORE INSERT OR UPDATE OF "name", "description" ON "Product"
+  FOR EACH ROW EXECUTE FUNCTION product_search_vector();
+
+-- Backfill the products written before the trigger existed
+UPDATE "Product"
+SET "searchVector" =
+  setweight(to_tsvector('english', "name"), 'A') ||
+  setweight(to_tsvector('english', COALESCE("description", '')), 'B')
+WHERE "searchVector" IS NULL;
@@ -0,0 +1,42 @@
+import { Barcode } from '@shared/domain/value-objects/barcode.vo';
+
+describe('Barcode', () => {
+  it('should read UPC-A and EAN-13 codes by their length', () => {
+    const upc = Barcode.parse('036000291452');
+    const ean = Barcode.parse('4006381333931');
+
+    expect(upc.format).toBe('UPC_A');
+    expect(upc.toEan13()).toBe('0036000291452');
+    expect(ean.format).toBe('EAN_13');
+    expect(ean.toEan13()).toBe('4006381333931');
+  });
+
+  it('should ignore the spaces and dashes of a typed code', () => {
+    expect(Barcode.parse('0 36000-29145 2').toString()).toBe('036000291452');
+  });
+
+  it('should treat a UPC-A code and its EAN-13 form as the same barcode', () => {
+    expect(Barcode.parse('036000291452').equals(Barcode.parse('0036000291452'))).toBe(true);
+    expect(Barcode.parse('0036000291452', 'UPC_A').toString()).toBe('036000291452');
+  });
+
+  it('should compute the check digit', () => {
+    expect(Barcode.checkDigit('03600029145')).toBe(2);
+    expect(Barcode.checkDigit('400638133393')).toBe(1);
+    expect(Barcode.checkDigit('000000000000')).toBe(0);
+  });
+
+  it.each([
+    ['036000291453', 'Invalid barcode 036000291453: wrong check digit'],
+    ['12345', 'Invalid barcode 12345: a UPC-A code has 12 digits and an EAN-13 code 13'],
+    ['03600029145A', 'Invalid barcode 03600029145A: only digits are allowed'],
+    ['', 'Invalid barcode : only digits are allowed']
+  ])('should reject %s', (code, message) => {
+    expect(() => Barcode.parse(code)).toThrow(message);
+    expect(Barcode.isValid(code)).toBe(false);
+  });
+
+  it('should reject a code of another format than recorded', () => {
+    expect(() => Barcode.parse('4006381333931', 'UPC_A')).toThrow('not a UPC-A code');
+  });
+});
@@ -0,0 +1,121 @@
+import { CategoryUseCases } from '../application/use-cases/category.use-cases';
+import { ICategoryRepository } from '../domain/repositories/category.repository';
+import { Category, CategoryCycleError } from '../domain/entities/category.entity';
+
+const mockCategoryRepository: jest.Mocked<ICategoryRepository> = {
+  create: jest.fn(),
+  update: jest.fn(),
+  remove: jest.fn(),
+  findById: jest.fn(),
+  findAll: jest.fn(),
+  findDescendantIds: jest.fn(),
+  countProducts: jest.fn(),
+};
+
+const createdAt = new Date('2026-04-01T00:00:00Z');
+
+// Beverages > Coffee > Espresso, Beverages > Tea, and Snacks at the top
+const taxonomy = () => [
+  new Category(1, 'Beverages', null, undefined, createdAt),
+  new Category(2, 'Coffee', 1, undefined, createdAt),
+  new Category(3, 'Espresso', 2, 'Single origin and blends', createdAt),
+  new Category(4, 'Snacks', null, undefined, createdAt),
+  new Category(5, 'Tea', 1, undefined, createdAt)
+];
+
+describe('CategoryUseCases', () => {
+  let categoryUseCases: CategoryUseCases;
+
+  beforeEach(() => {
+    categoryUseCases = new CategoryUseCases(mockCategoryRepository);
+    mockCategoryRepository.findAll.mockResolvedValue(taxonomy());
+    mockCategoryRepository.countProducts.mockResolvedValue({ 2: 1, 3: 4, 4: 2 });
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getCategoryTree', () => {
+    it('should nest the categories and count the products of each subtree', async () => {
+      const result = await categoryUseCases.getCategoryTree();
+
+      expect(result.map(category => [category.name, category.productCount])).toEqual([['Beverages', 5], ['Snacks', 2]]);
+      expect(result[0].children).toEqual([
+        expect.objectContaining({
+          id: 2,
+          parentId: 1,
+          productCount: 5,
+          children: [expect.objectContaining({ id: 3, productCount: 4, description: 'Single origin and blends', children: [] })]
+        }),
+        expect.objectContaining({ id: 5, productCount: 0, children: [] })
+      ]);
+      expect(result[0]).not.toHaveProperty('parentId');
+    });
+  });
+
+  describe('getCategory', () => {
+    it('should return the subtree and the path from the top of the taxonomy', async () => {
+      const result = await categoryUseCases.getCategory(3);
+
+      expect(result.path).toEqual([{ id: 1, name: 'Beverages' }, { id: 2, name: 'Coffee' }, { id: 3, name: 'Espresso' }]);
+      expect(result.productCount).toBe(4);
+    });
+
+    it('should report a missing category', async () => {
+      await expect(categoryUseCases.getCategory(9)).rejects.toThrow('Category not found');
+    });
+  });
+
+  describe('createCategory', () => {
+    it('should create a subcategory', async () => {
+      mockCategoryRepository.create.mockImplementation(async (data) =>
+        new Category(6, data.name, data.parentId, data.description, createdAt)
+      );
+
+      const result = await categoryUseCases.createCategory({ name: ' Decaf ', parentId: 2 });
+
+      expect(mockCategoryRepository.create).toHaveBeenCalledWith({ name: 'Decaf', parentId: 2, description: undefined });
+      expect(result).toEqual({ id: 6, name: 'Decaf', parentId: 2, createdAt });
+    });
+
+    it('should reject a missing parent, a blank name and a name taken by a sibling', async () => {
+      await expect(categoryUseCases.createCategory({ name: 'Decaf', parentId: 9 })).rejects.toThrow('Parent category not found');
+      await expect(categoryUseCases.createCategory({ name: ' ' })).rejects.toThrow('Invalid category data');
+      await expect(categoryUseCases.createCategory({ name: 'tea', parentId: 1 }))
+        .rejects.toThrow('A category named Tea already exists there');
+      expect(mockCategoryRepository.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateCategory', () => {
+    it('should move a category with its subtree to the top of the taxonomy', async () => {
+      mockCategoryRepository.update.mockResolvedValue(new Category(2, 'Coffee', null, undefined, createdAt));
+
+      const result = await categoryUseCases.updateCategory(2, { parentId: null });
+
+      expect(mockCategoryRepository.update).toHaveBeenCalledWith(2, { parentId: null });
+      expect(result).not.toHaveProperty('parentId');
+    });
+
+    it('should refuse to move a category under itself or one of its subcategories', async () => {
+      await expect(categoryUseCases.updateCategory(1, { parentId: 3 })).rejects.toBeInstanceOf(CategoryCycleError);
+      await expect(categoryUseCases.updateCategory(2, { parentId: 2 })).rejects.toBeInstanceOf(CategoryCycleError);
+      expect(mockCategoryRepository.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('deleteCategory', () => {
+    it('should delete an empty category', async () => {
+      await categoryUseCases.deleteCategory(5);
+
+      expect(mockCategoryRepository.remove).toHaveBeenCalledWith(5);
+    });
+
+    it('should refuse to delete a category with subcategories or products', async () => {
+      await expect(categoryUseCases.deleteCategory(2)).rejects.toThrow('Category Coffee still has subcategories');
+      await expect(categoryUseCases.deleteCategory(4)).rejects.toThrow('Category Snacks still has products');
+      expect(mockCategoryRepository.remove).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,254 @@
+import { CountSessionUseCases } from '../application/use-cases/count-session.use-cases';
+import { ICountSessionRepository } from '../domain/repositories/count-session.repository';
+import { IStoreRepository } from '../domain/repositories/store.repository';
+import { IProductRepository } from '../domain/repositories/product.repository';
+import {
+  CountEntry,
+  CountSession,
+  CountSessionLine,
+  CountSessionStatus,
+  IllegalCountSessionTransitionError
+} from '../domain/entities/count-session.entity';
+import { Stock } from '../domain/entities/stock.entity';
+import { Store } from '../domain/entities/store.entity';
+import { Product } from '../domain/entities/product.entity';
+import { ProductVariant } from '../domain/entities/product-variant.entity';
+
+const mockCountSessionRepository: jest.Mocked<ICountSessionRepository> = {
+  open: jest.fn(),
+  recordCounts: jest.fn(),
+  post: jest.fn(),
+  cancel: jest.fn(),
+  findById: jest.fn(),
+  findByStoreId: jest.fn(),
+};
+
+const mockStoreRepository = {
+  findById: jest.fn(),
+} as jest.Mocked<Partial<IStoreRepository>> as jest.Mocked<IStoreRepository>;
+
+const mockProductRepository = {
+  findById: jest.fn(),
+} as jest.Mocked<Partial<IProductRepository>> as jest.Mocked<IProductRepository>;
+
+const countedAt = new Date('2026-03-02T10:00:00Z');
+
+// Count session 4 at store 1: 20 units of product 1 and 8 units of product 2 were on hand when it was opened
+const countSession = (
+  status: CountSessionStatus = 'OPEN',
+  lines: CountSessionLine[] = [new CountSessionLine(1, 11, 20), new CountSessionLine(2, 12, 8)]
+) => new CountSession(4, 1, status, lines, 9, new Date('2026-03-02T09:00:00Z'));
+
+describe('CountSessionLine', () => {
+  it('should add up the entries of the counters and account for the units sold during the count', () => {
+    // 3 units were sold between the snapshot and the count, two counters found 12 and 4 units
+    const line = new CountSessionLine(1, 11, 20, [new CountEntry(5, 12, countedAt), new CountEntry(6, 4, countedAt)], -3);
+
+    expect(line.getCountedQuantity()).toBe(16);
+    expect(line.getExpectedQuantity()).toBe(17);
+    expect(line.getVariance()).toBe(-1);
+  });
+
+  it('should have no variance until counted', () => {
+    const line = new CountSessionLine(1, 11, 20);
+
+    expect(line.isCounted()).toBe(false);
+    expect(line.getCountedQuantity()).toBeUndefined();
+    expect(line.getVariance()).toBeUndefined();
+  });
+});
+
+describe('CountSessionUseCases', () => {
+  let countSessionUseCases: CountSessionUseCases;
+
+  beforeEach(() => {
+    countSessionUseCases = new CountSessionUseCases(mockCountSessionRepository, mockStoreRepository, mockProductRepository);
+
+    mockStoreRepository.findById.mockImplementation(async (id) => new Store(id, `Store ${id}`, 'Address'));
+    mockProductRepository.findById.mockImplementation(async (id) => new Product(id, `Product ${id}`, 10.0));
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('openCountSession', () => {
+    it('should open a session for the whole store when no product is listed', async () => {
+      mockCountSessionRepository.open.mockResolvedValue(countSession());
+
+      const result = await countSessionUseCases.openCountSession({ storeId: 1, note: 'Aisle 3' }, 9);
+
+      expect(mockCountSessionRepository.open).toHaveBeenCalledWith({
+        storeId: 1, openedBy: 9, note: 'Aisle 3', productIds: undefined
+      });
+      expect(result.status).toBe('OPEN');
+      expect(result.lines).toEqual([
+        expect.objectContaining({ productId: 1, snapshotQuantity: 20, expectedQuantity: 20, counted: false }),
+        expect.objectContaining({ productId: 2, snapshotQuantity: 8, expectedQuantity: 8, counted: false })
+      ]);
+      expect(result.lines[0]).not.toHaveProperty('variance');
+    });
+
+    it('should reject unknown or repeated products and unknown stores', async () => {
+      await expect(countSessionUseCases.openCountSession({ storeId: 1, productIds: [1, 1] }, 9))
+        .rejects.toThrow('A product is listed more than once');
+
+      mockProductRepository.findById.mockResolvedValueOnce(null);
+      await expect(countSessionUseCases.openCountSession({ storeId: 1, productIds: [7] }, 9))
+        .rejects.toThrow('Product 7 not found');
+
+      mockStoreRepository.findById.mockResolvedValueOnce(null);
+      await expect(countSessionUseCases.openCountSession({ storeId: 3 }, 9)).rejects.toThrow('Store not found');
+
+      expect(mockCountSessionRepository.open).not.toHaveBeenCalled();
+    });
+
+    it('should count products with variants per variant', async () => {
+      mockProductRepository.findById.mockResolvedValueOnce(new Product(5, 'T-shirt', 20, undefined, 'STANDARD', {}, null, 'TSHIRT', [],
+        [{ name: 'Size', values: ['S', 'M'] }], [new ProductVariant(10, 5, 'TSHIRT-1', { Size: 'S' })]));
+      mockCountSessionRepository.open.mockResolvedValue(countSession('OPEN', [new CountSessionLine(5, 13, 6, [], 0, undefined, 10)]));
+
+      const result = await countSessionUseCases.openCountSession({ storeId: 1, productIds: [5] }, 9);
+
+      expect(mockCountSessionRepository.open).toHaveBeenCalledWith({ storeId: 1, openedBy: 9, note: undefined, productIds: [5] });
+      expect(result.lines).toEqual([expect.objectContaining({ productId: 5, variantId: 10, snapshotQuantity: 6 })]);
+    });
+  });
+
+  describe('recordCounts', () => {
+    it('should record the units found by the counter', async () => {
+      mockCountSessionRepository.findById.mockResolvedValue(countSession());
+      mockCountSessionRepository.recordCounts.mockResolvedValue(countSession('OPEN', [
+        new CountSessionLine(1, 11, 20, [new CountEntry(5, 18, countedAt)], -1),
+        new CountSessionLine(2, 12, 8)
+      ]));
+
+      const result = await countSessionUseCases.recordCounts(4, { counts: [{ productId: 1, quantity: 18 }] }, 5);
+
+      expect(mockCountSessionRepository.recordCounts).toHaveBeenCalledWith(4, 5, [{ productId: 1, quantity: 18 }]);
+      expect(result.lines[0]).toEqual(expect.objectContaining({
+        counted: true,
+        countedQuantity: 18,
+        movedDuringCount: -1,
+        expectedQuantity: 19,
+        variance: -1,
+        entries: [{ countedBy: 5, quantity: 18, countedAt }]
+      }));
+    });
+
+    it('should record the units found of each variant', async () => {
+      const variants = countSession('OPEN', [
+        new CountSessionLine(5, 13, 6, [], 0, undefined, 10),
+        new CountSessionLine(5, 14, 2, [], 0, undefined, 11)
+      ]);
+      mockCountSessionRepository.findById.mockResolvedValue(variants);
+      mockCountSessionRepository.recordCounts.mockResolvedValue(variants);
+
+      await countSessionUseCases.recordCounts(4, { counts: [{ productId: 5, variantId: 11, quantity: 3 }] }, 5);
+
+      expect(mockCountSessionRepository.recordCounts).toHaveBeenCalledWith(4, 5, [{ productId: 5, variantId: 11, quantity: 3 }]);
+      await expect(countSessionUseCases.recordCounts(4, { counts: [{ productId: 5, quantity: 3 }] }, 5))
+        .rejects.toThrow('Product 5 is not part of count session 4');
+      await expect(countSessionUseCases.recordCounts(4, { counts: [{ productId: 5, variantId: 12, quantity: 3 }] }, 5))
+        .rejects.toThrow('Variant 12 of product 5 is not part of count session 4');
+    });
+
+    it('should reject products outside the session and invalid quantities', async () => {
+      mockCountSessionRepository.findById.mockResolvedValue(countSession());
+
+      await expect(countSessionUseCases.recordCounts(4, { counts: [{ productId: 3, quantity: 1 }] }, 5))
+        .rejects.toThrow('Product 3 is not part of count session 4');
+      await expect(countSessionUseCases.recordCounts(4, { counts: [{ productId: 1, quantity: -2 }] }, 5))
+        .rejects.toThrow('Invalid quantity for product 1');
+      await expect(countSessionUseCases.recordCounts(4, { counts: [] }, 5))
+        .rejects.toThrow('Record the units counted of at least one product');
+      expect(mockCountSessionRepository.recordCounts).not.toHaveBeenCalled();
+    });
+
+    it('should report a missing session', async () => {
+      mockCountSessionRepository.findById.mockResolvedValue(null);
+
+      await expect(countSessionUseCases.recordCounts(4, { counts: [{ productId: 1, quantity: 1 }] }, 5))
+        .rejects.toThrow('Count session not found');
+    });
+  });
+
+  describe('postCountSession', () => {
+    const counted = () => countSession('OPEN', [
+      new CountSessionLine(1, 11, 20, [new CountEntry(5, 16, countedAt)], -3),
+      new CountSessionLine(2, 12, 8)
+    ]);
+
+    it('should post the variance of every counted product and emit stock updates', async () => {
+      mockCountSessionRepository.findById.mockResolvedValue(counted());
+      mockCountSessionRepository.post.mockImplementation(async (id, change, approved, events) => {
+        const posting = {
+          countSession: countSession('POSTED', [
+            new CountSessionLine(1, 11, 20, [new CountEntry(5, 16, countedAt)], -3, -1),
+            new CountSessionLine(2, 12, 8)
+          ]),
+          stocks: [{ stock: new Stock(1, 1, 15, 11), adjustment: -1 }]
+        };
+        expect(events!(posting)).toEqual([expect.objectContaining({
+          eventType: 'STOCK_UPDATED',
+          eventData: { storeId: 1, productId: 1, oldQuantity: 16, newQuantity: 15, reason: 'ADJUSTMENT' }
+        })]);
+        return posting;
+      });
+
+      const result = await countSessionUseCases.postCountSession(4, {}, 9);
+
+      expect(mockCountSessionRepository.post).toHaveBeenCalledWith(
+        4, { from: 'OPEN', to: 'POSTED', changedBy: 9 }, [{ productId: 1 }], expect.any(Function)
+      );
+      expect(result.status).toBe('POSTED');
+      expect(result.lines[0].adjustment).toBe(-1);
+      expect(result.lines[1]).not.toHaveProperty('adjustment');
+    });
+
+    it('should post the counted variants of an approved product', async () => {
+      const variants = countSession('OPEN', [
+        new CountSessionLine(5, 13, 6, [new CountEntry(5, 5, countedAt)], 0, undefined, 10),
+        new CountSessionLine(5, 14, 2, [], 0, undefined, 11)
+      ]);
+      mockCountSessionRepository.findById.mockResolvedValue(variants);
+      mockCountSessionRepository.post.mockResolvedValue({ countSession: variants, stocks: [] });
+
+      await countSessionUseCases.postCountSession(4, { productIds: [5] }, 9);
+
+      expect(mockCountSessionRepository.post).toHaveBeenCalledWith(
+        4, { from: 'OPEN', to: 'POSTED', changedBy: 9 }, [{ productId: 5, variantId: 10 }], expect.any(Function)
+      );
+    });
+
+    it('should only post approved products that were counted', async () => {
+      mockCountSessionRepository.findById.mockResolvedValue(counted());
+
+      await expect(countSessionUseCases.postCountSession(4, { productIds: [2] }, 9))
+        .rejects.toThrow('Product 2 was not counted in count session 4');
+      await expect(countSessionUseCases.postCountSession(4, { productIds: [5] }, 9))
+        .rejects.toThrow('Product 5 is not part of count session 4');
+      expect(mockCountSessionRepository.post).not.toHaveBeenCalled();
+    });
+
+    it('should surface a session posted meanwhile', async () => {
+      mockCountSessionRepository.findById.mockResolvedValue(counted());
+      mockCountSessionRepository.post.mockRejectedValue(new IllegalCountSessionTransitionError(4, 'POSTED', 'POSTED'));
+
+      await expect(countSessionUseCases.postCountSession(4, { productIds: [1] }, 9))
+        .rejects.toBeInstanceOf(IllegalCountSessionTransitionError);
+    });
+  });
+
+  describe('cancelCountSession', () => {
+    it('should cancel an open session', async () => {
+      mockCountSessionRepository.findById.mockResolvedValue(countSession());
+      mockCountSessionRepository.cancel.mockResolvedValue(countSession('CANCELLED'));
+
+      const result = await countSessionUseCases.cancelCountSession(4, 9);
+
+      expect(mockCountSessionRepository.cancel).toHaveBeenCalledWith(4, { from: 'OPEN', to: 'CANCELLED', changedBy: 9 });
+      expect(result.status).toBe('CANCELLED');
+    });
+  });
+});
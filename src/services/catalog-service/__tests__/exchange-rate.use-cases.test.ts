@@ -0,0 +1,62 @@
+import { ExchangeRateUseCases } from '../application/use-cases/exchange-rate.use-cases';
+import { IExchangeRateRepository } from '../domain/repositories/exchange-rate.repository';
+import { ExchangeRate } from '../domain/entities/exchange-rate.entity';
+
+const mockExchangeRateRepository: jest.Mocked<IExchangeRateRepository> = {
+  findAll: jest.fn(),
+  replaceAll: jest.fn(),
+};
+
+describe('ExchangeRateUseCases', () => {
+  let exchangeRateUseCases: ExchangeRateUseCases;
+
+  beforeEach(() => {
+    exchangeRateUseCases = new ExchangeRateUseCases(mockExchangeRateRepository);
+    mockExchangeRateRepository.replaceAll.mockImplementation(async (rates) =>
+      rates.map(rate => new ExchangeRate(rate.currency, rate.rate))
+    );
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getExchangeRates', () => {
+    it('should return the rates against the default currency', async () => {
+      mockExchangeRateRepository.findAll.mockResolvedValue([new ExchangeRate('USD', 1.37)]);
+
+      const result = await exchangeRateUseCases.getExchangeRates();
+
+      expect(result).toEqual({ baseCurrency: 'CAD', rates: [{ currency: 'USD', rate: 1.37, updatedAt: undefined }] });
+    });
+  });
+
+  describe('setExchangeRates', () => {
+    it('should replace the exchange rate table', async () => {
+      const result = await exchangeRateUseCases.setExchangeRates({
+        rates: [{ currency: 'usd', rate: 1.37 }, { currency: 'EUR', rate: 1.49 }]
+      });
+
+      expect(mockExchangeRateRepository.replaceAll).toHaveBeenCalledWith([
+        { currency: 'USD', rate: 1.37 },
+        { currency: 'EUR', rate: 1.49 }
+      ]);
+      expect(result.rates.map(rate => rate.currency)).toEqual(['USD', 'EUR']);
+    });
+
+    it.each([
+      [{ currency: 'US', rate: 1.37 }, 'Invalid exchange rate US: a currency code and a positive rate are required'],
+      [{ currency: 'USD', rate: 0 }, 'Invalid exchange rate USD: a currency code and a positive rate are required'],
+      [{ currency: 'CAD', rate: 1 }, 'The default currency CAD always has a rate of 1']
+    ])('should reject invalid rates %#', async (rate, message) => {
+      await expect(exchangeRateUseCases.setExchangeRates({ rates: [rate] })).rejects.toThrow(message);
+      expect(mockExchangeRateRepository.replaceAll).not.toHaveBeenCalled();
+    });
+
+    it('should reject a currency listed twice', async () => {
+      await expect(exchangeRateUseCases.setExchangeRates({
+        rates: [{ currency: 'USD', rate: 1.37 }, { currency: 'usd', rate: 1.38 }]
+      })).rejects.toThrow('Exchange rate for USD is defined twice');
+    });
+  });
+});
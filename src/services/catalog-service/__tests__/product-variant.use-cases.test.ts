@@ -0,0 +1,164 @@
+import { ProductVariantUseCases } from '../application/use-cases/product-variant.use-cases';
+import { IProductRepository } from '../domain/repositories/product.repository';
+import { IProductVariantRepository } from '../domain/repositories/product-variant.repository';
+import { Product } from '../domain/entities/product.entity';
+import { ProductVariant } from '../domain/entities/product-variant.entity';
+
+const mockProductRepository: jest.Mocked<IProductRepository> = {
+  findById: jest.fn(),
+  findAll: jest.fn(),
+  save: jest.fn(),
+  update: jest.fn(),
+  delete: jest.fn(),
+  findByName: jest.fn(),
+  findByPriceRange: jest.fn(),
+  findByCategoryIds: jest.fn(),
+  findByBarcode: jest.fn(),
+  findBySku: jest.fn(),
+  search: jest.fn(),
+  suggest: jest.fn(),
+  exists: jest.fn(),
+  count: jest.fn(),
+  saveMany: jest.fn(),
+  deleteMany: jest.fn(),
+  findWithPagination: jest.fn(),
+};
+
+const mockVariantRepository: jest.Mocked<IProductVariantRepository> = {
+  create: jest.fn(),
+  update: jest.fn(),
+  findById: jest.fn(),
+  findBySku: jest.fn(),
+};
+
+const axes = [
+  { name: 'Size', values: ['S', 'M', 'L'] },
+  { name: 'Color', values: ['Blue', 'Red'] }
+];
+
+// A T-shirt in sizes and colors, with one variant already
+const tShirt = (options = axes) => new Product(
+  1, 'T-shirt', 20, undefined, 'STANDARD', {}, null, 'TSHIRT', [], options,
+  options.length > 0 ? [new ProductVariant(10, 1, 'TSHIRT-1', { Size: 'S', Color: 'Blue' })] : []
+);
+
+describe('ProductVariantUseCases', () => {
+  let productVariantUseCases: ProductVariantUseCases;
+
+  beforeEach(() => {
+    productVariantUseCases = new ProductVariantUseCases(mockProductRepository, mockVariantRepository);
+    mockVariantRepository.create.mockImplementation(async (data) =>
+      new ProductVariant(11, data.productId, data.sku ?? 'TSHIRT-2', data.options, data.price ?? undefined)
+    );
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('createVariant', () => {
+    it('should create a variant with the option values spelled as the product lists them', async () => {
+      mockProductRepository.findById.mockResolvedValueOnce(tShirt());
+
+      const result = await productVariantUseCases.createVariant(1, { options: { size: 'm', COLOR: 'red ' }, price: 22.5 });
+
+      expect(mockVariantRepository.create).toHaveBeenCalledWith({
+        productId: 1, sku: undefined, options: { Size: 'M', Color: 'Red' }, price: 22.5
+      });
+      expect(result).toEqual({
+        id: 11, productId: 1, sku: 'TSHIRT-2', options: { Size: 'M', Color: 'Red' }, label: 'M / Red', price: 22.5
+      });
+    });
+
+    it('should reject missing, unknown or unlisted option values', async () => {
+      mockProductRepository.findById.mockResolvedValue(tShirt());
+
+      await expect(productVariantUseCases.createVariant(1, { options: { Size: 'M' } }))
+        .rejects.toThrow('A value of option Color is required');
+      await expect(productVariantUseCases.createVariant(1, { options: { Size: 'M', Color: 'Red', Fit: 'Slim' } }))
+        .rejects.toThrow('Product 1 has no option Fit');
+      await expect(productVariantUseCases.createVariant(1, { options: { Size: 'XL', Color: 'Red' } }))
+        .rejects.toThrow('Invalid value XL of option Size: one of S, M, L is required');
+      expect(mockVariantRepository.create).not.toHaveBeenCalled();
+      mockProductRepository.findById.mockReset();
+    });
+
+    it('should reject options another variant already has', async () => {
+      mockProductRepository.findById.mockResolvedValueOnce(tShirt());
+
+      await expect(productVariantUseCases.createVariant(1, { options: { Color: 'blue', Size: 's' } }))
+        .rejects.toThrow('Variant TSHIRT-1 already has the options S / Blue');
+    });
+
+    it('should reject a variant of a product without options', async () => {
+      mockProductRepository.findById.mockResolvedValueOnce(tShirt([]));
+
+      await expect(productVariantUseCases.createVariant(1, { options: { Size: 'M' } }))
+        .rejects.toThrow('Product 1 has no options');
+    });
+
+    it('should reject a SKU used by a product or another variant', async () => {
+      mockProductRepository.findById.mockResolvedValueOnce(tShirt());
+      mockProductRepository.findBySku.mockResolvedValueOnce(new Product(2, 'Mug', 8));
+
+      await expect(productVariantUseCases.createVariant(1, { options: { Size: 'M', Color: 'Red' }, sku: 'mug' }))
+        .rejects.toThrow('SKU MUG is already used by another product or variant');
+      expect(mockVariantRepository.findBySku).toHaveBeenCalledWith('MUG');
+    });
+
+    it('should report a missing product', async () => {
+      mockProductRepository.findById.mockResolvedValueOnce(null);
+
+      await expect(productVariantUseCases.createVariant(9, { options: {} })).rejects.toThrow('Product not found');
+    });
+  });
+
+  describe('updateVariant', () => {
+    it('should clear the price override with null', async () => {
+      mockProductRepository.findById.mockResolvedValueOnce(tShirt());
+      mockVariantRepository.update.mockResolvedValueOnce(new ProductVariant(10, 1, 'TSHIRT-1', { Size: 'S', Color: 'Blue' }));
+
+      const result = await productVariantUseCases.updateVariant(1, 10, { price: null });
+
+      expect(mockVariantRepository.update).toHaveBeenCalledWith(10, { price: null });
+      expect(result.price).toBeUndefined();
+    });
+
+    it('should keep the SKU of the variant without checking it again', async () => {
+      mockProductRepository.findById.mockResolvedValueOnce(tShirt());
+      mockVariantRepository.update.mockResolvedValueOnce(new ProductVariant(10, 1, 'TSHIRT-1', { Size: 'S', Color: 'Blue' }));
+
+      await productVariantUseCases.updateVariant(1, 10, { sku: 'tshirt-1', options: { Size: 'S', Color: 'Blue' } });
+
+      expect(mockVariantRepository.findBySku).not.toHaveBeenCalled();
+      expect(mockVariantRepository.update).toHaveBeenCalledWith(10, { options: { Size: 'S', Color: 'Blue' }, sku: 'TSHIRT-1' });
+    });
+
+    it('should report a variant of another product', async () => {
+      mockProductRepository.findById.mockResolvedValueOnce(tShirt());
+
+      await expect(productVariantUseCases.updateVariant(1, 99, { price: 5 })).rejects.toThrow('Variant not found');
+    });
+  });
+
+  describe('product options', () => {
+    it('should not drop an option value a variant still uses', () => {
+      const product = tShirt();
+
+      expect(() => product.updateOptions([{ name: 'Size', values: ['S', 'M'] }, { name: 'Color', values: ['Red'] }]))
+        .toThrow('Variant TSHIRT-1 no longer fits the options: Invalid value Blue of option Color');
+      expect(product.options).toBe(axes);
+    });
+
+    it('should reject duplicate axes and values', () => {
+      const product = tShirt([]);
+
+      expect(() => product.updateOptions([{ name: 'Size', values: ['S'] }, { name: 'size', values: ['M'] }]))
+        .toThrow('Option size is listed more than once');
+      expect(() => product.updateOptions([{ name: 'Size', values: ['S', 's'] }]))
+        .toThrow('Value s of option Size is listed more than once');
+      expect(() => product.updateOptions([{ name: 'Size', values: [] }]))
+        .toThrow('Option Size needs at least one value');
+    });
+  });
+});
@@ -2,9 +2,14 @@ import { ProductUseCases } from '../application/use-cases/product.use-cases';
 import { IProductRepository } from '../domain/repositories/product.repository';
 import { IStoreRepository } from '../domain/repositories/store.repository';
 import { IStockRepository } from '../domain/repositories/stock.repository';
+import { ICategoryRepository } from '../domain/repositories/category.repository';
+import { IProductVariantRepository } from '../domain/repositories/product-variant.repository';
 import { Product } from '../domain/entities/product.entity';
 import { Store } from '../domain/entities/store.entity';
 import { Stock } from '../domain/entities/stock.entity';
+import { Category } from '../domain/entities/category.entity';
+import { ProductVariant } from '../domain/entities/product-variant.entity';
+import { Barcode } from '@shared/domain/value-objects/barcode.vo';
 
 // Mock the repositories
 const mockProductRepository: jest.Mocked<IProductRepository> = {
@@ -15,6 +20,11 @@ const mockProductRepository: jest.Mocked<IProductRepository> = {
   delete: jest.fn(),
   findByName: jest.fn(),
   findByPriceRange: jest.fn(),
+  findByCategoryIds: jest.fn(),
+  findByBarcode: jest.fn(),
+  findBySku: jest.fn(),
+  search: jest.fn(),
+  suggest: jest.fn(),
   exists: jest.fn(),
   count: jest.fn(),
   saveMany: jest.fn(),
@@ -29,6 +39,8 @@ const mockStoreRepository: jest.Mocked<IStoreRepository> = {
   update: jest.fn(),
   delete: jest.fn(),
   findByName: jest.fn(),
+  findTaxRules: jest.fn(),
+  replaceTaxRules: jest.fn(),
   exists: jest.fn(),
   count: jest.fn(),
   saveMany: jest.fn(),
@@ -47,6 +59,10 @@ const mockStockRepository: jest.Mocked<IStockRepository> = {
   findByStoreAndProduct: jest.fn(),
   findLowStock: jest.fn(),
   adjustStock: jest.fn(),
+  adjustStocks: jest.fn(),
+  reserveStocks: jest.fn(),
+  releaseSale: jest.fn(),
+  revertExchange: jest.fn(),
   exists: jest.fn(),
   count: jest.fn(),
   saveMany: jest.fn(),
@@ -54,6 +70,19 @@ const mockStockRepository: jest.Mocked<IStockRepository> = {
   findWithPagination: jest.fn(),
 };
 
+const mockCategoryRepository = {
+  findById: jest.fn(),
+  findAll: jest.fn(),
+  findDescendantIds: jest.fn(),
+} as jest.Mocked<Partial<ICategoryRepository>> as jest.Mocked<ICategoryRepository>;
+
+const mockVariantRepository: jest.Mocked<IProductVariantRepository> = {
+  create: jest.fn(),
+  update: jest.fn(),
+  findById: jest.fn(),
+  findBySku: jest.fn(),
+};
+
 describe('ProductUseCases', () => {
   let productUseCases: ProductUseCases;
 
@@ -61,7 +90,9 @@ describe('ProductUseCases', () => {
     productUseCases = new ProductUseCases(
       mockProductRepository,
       mockStoreRepository,
-      mockStockRepository
+      mockStockRepository,
+      mockCategoryRepository,
+      mockVariantRepository
     );
   });
 
@@ -105,10 +136,54 @@ describe('ProductUseCases', () => {
         id: 1,
         name: 'Test Product',
         price: 99.99,
-        description: 'A test product'
+        description: 'A test product',
+        taxCategory: 'STANDARD',
+        prices: {},
+        barcodes: [],
+        options: [],
+        variants: []
       });
     });
 
+    it('should save the SKU and barcodes of the product', async () => {
+      mockStoreRepository.findAll.mockResolvedValue([]);
+      mockProductRepository.save.mockImplementation(async (product) => ({ ...product, id: 3 }) as Product);
+
+      const result = await productUseCases.createProduct({
+        name: 'Mug', price: 12.99, sku: ' mug-blue ', barcodes: ['036000291452', '4006381333931']
+      });
+
+      expect(mockProductRepository.findByBarcode).toHaveBeenCalledWith('0036000291452');
+      expect(result.sku).toBe('MUG-BLUE');
+      expect(result.barcodes).toEqual([
+        { code: '036000291452', format: 'UPC_A' },
+        { code: '4006381333931', format: 'EAN_13' }
+      ]);
+    });
+
+    it('should reject identifiers that are invalid or used by another product', async () => {
+      await expect(productUseCases.createProduct({ name: 'Mug', price: 12.99, barcodes: ['036000291453'] }))
+        .rejects.toThrow('Invalid barcode 036000291453: wrong check digit');
+      await expect(productUseCases.createProduct({ name: 'Mug', price: 12.99, barcodes: ['036000291452', '0036000291452'] }))
+        .rejects.toThrow('Barcode 0036000291452 is listed more than once');
+      await expect(productUseCases.createProduct({ name: 'Mug', price: 12.99, sku: 'MUG BLUE' }))
+        .rejects.toThrow('Invalid SKU MUG BLUE');
+
+      mockProductRepository.findBySku.mockResolvedValueOnce(new Product(2, 'Cup', 9.99));
+      await expect(productUseCases.createProduct({ name: 'Mug', price: 12.99, sku: 'mug-blue' }))
+        .rejects.toThrow('SKU MUG-BLUE is already used by another product or variant');
+
+      mockVariantRepository.findBySku.mockResolvedValueOnce(new ProductVariant(10, 2, 'MUG-BLUE', { Color: 'Blue' }));
+      await expect(productUseCases.createProduct({ name: 'Mug', price: 12.99, sku: 'mug-blue' }))
+        .rejects.toThrow('SKU MUG-BLUE is already used by another product or variant');
+
+      mockProductRepository.findByBarcode.mockResolvedValueOnce(new Product(2, 'Cup', 9.99));
+      await expect(productUseCases.createProduct({ name: 'Mug', price: 12.99, barcodes: ['4006381333931'] }))
+        .rejects.toThrow('Barcode 4006381333931 is already used by another product');
+
+      expect(mockProductRepository.save).not.toHaveBeenCalled();
+    });
+
     it('should throw error for invalid product data', async () => {
       const invalidProductData = {
         name: '',
@@ -132,7 +207,12 @@ describe('ProductUseCases', () => {
         id: 1,
         name: 'Test Product',
         price: 99.99,
-        description: 'A test product'
+        description: 'A test product',
+        taxCategory: 'STANDARD',
+        prices: {},
+        barcodes: [],
+        options: [],
+        variants: []
       });
       expect(mockProductRepository.findById).toHaveBeenCalledWith(1);
     });
@@ -145,6 +225,31 @@ describe('ProductUseCases', () => {
     });
   });
 
+  describe('getProductByBarcode', () => {
+    const product = () => new Product(1, 'Mug', 12.99, undefined, 'STANDARD', {}, null, 'SKU-000001', [Barcode.parse('036000291452')]);
+
+    it('should find the product whether a UPC-A code is scanned with 12 or 13 digits', async () => {
+      mockProductRepository.findByBarcode.mockResolvedValueOnce(product()).mockResolvedValueOnce(product());
+
+      const result = await productUseCases.getProductByBarcode('036000291452');
+      await productUseCases.getProductByBarcode('0 036000 291452');
+
+      expect(mockProductRepository.findByBarcode).toHaveBeenNthCalledWith(1, '0036000291452');
+      expect(mockProductRepository.findByBarcode).toHaveBeenNthCalledWith(2, '0036000291452');
+      expect(result).toEqual(expect.objectContaining({
+        id: 1, sku: 'SKU-000001', barcodes: [{ code: '036000291452', format: 'UPC_A' }]
+      }));
+    });
+
+    it('should reject invalid codes and report unknown ones', async () => {
+      await expect(productUseCases.getProductByBarcode('12345')).rejects.toThrow('Invalid barcode 12345');
+      expect(mockProductRepository.findByBarcode).not.toHaveBeenCalled();
+
+      mockProductRepository.findByBarcode.mockResolvedValueOnce(null);
+      await expect(productUseCases.getProductByBarcode('4006381333931')).rejects.toThrow('Product not found');
+    });
+  });
+
   describe('getAllProducts', () => {
     it('should return all products', async () => {
       const products = [
@@ -161,7 +266,12 @@ describe('ProductUseCases', () => {
         id: 1,
         name: 'Product 1',
         price: 99.99,
-        description: 'Description 1'
+        description: 'Description 1',
+        taxCategory: 'STANDARD',
+        prices: {},
+        barcodes: [],
+        options: [],
+        variants: []
       });
       expect(mockProductRepository.findAll).toHaveBeenCalled();
     });
@@ -173,6 +283,28 @@ describe('ProductUseCases', () => {
 
       expect(result).toEqual([]);
     });
+
+    it('should include the products of the subcategories when filtering by category', async () => {
+      // Category 2 has subcategories 5 and 6
+      mockCategoryRepository.findDescendantIds.mockResolvedValue([2, 5, 6]);
+      mockProductRepository.findByCategoryIds.mockResolvedValue([
+        new Product(1, 'Espresso', 3.5, undefined, 'STANDARD', {}, 5),
+        new Product(3, 'Latte', 4.5, undefined, 'STANDARD', {}, 2)
+      ]);
+
+      const result = await productUseCases.getAllProducts(2);
+
+      expect(mockProductRepository.findByCategoryIds).toHaveBeenCalledWith([2, 5, 6]);
+      expect(result.map(product => product.categoryId)).toEqual([5, 2]);
+      expect(mockProductRepository.findAll).not.toHaveBeenCalled();
+    });
+
+    it('should report an unknown category', async () => {
+      mockCategoryRepository.findDescendantIds.mockResolvedValue([]);
+
+      await expect(productUseCases.getAllProducts(9)).rejects.toThrow('Category not found');
+      expect(mockProductRepository.findByCategoryIds).not.toHaveBeenCalled();
+    });
   });
 
   describe('updateProduct', () => {
@@ -195,7 +327,12 @@ describe('ProductUseCases', () => {
         id: 1,
         name: 'New Name',
         price: 149.99,
-        description: 'New Description'
+        description: 'New Description',
+        taxCategory: 'STANDARD',
+        prices: {},
+        barcodes: [],
+        options: [],
+        variants: []
       });
       expect(mockProductRepository.findById).toHaveBeenCalledWith(1);
       expect(mockProductRepository.update).toHaveBeenCalledWith(1, expect.any(Product));
@@ -220,6 +357,70 @@ describe('ProductUseCases', () => {
       expect(result.price).toBe(149.99);
       expect(result.name).toBe('Old Name'); // Should remain unchanged
     });
+
+    it('should change the tax category', async () => {
+      const existingProduct = new Product(1, 'Sandwich', 6.5);
+      mockProductRepository.findById.mockResolvedValue(existingProduct);
+      mockProductRepository.update.mockImplementation(async (id, product) => product as Product);
+
+      const result = await productUseCases.updateProduct(1, { taxCategory: ' food_prepared ' });
+
+      expect(result.taxCategory).toBe('FOOD_PREPARED');
+    });
+
+    it('should replace the prices in other currencies', async () => {
+      const existingProduct = new Product(1, 'Mug', 12.99, undefined, 'STANDARD', { EUR: 8.5 });
+      mockProductRepository.findById.mockResolvedValue(existingProduct);
+      mockProductRepository.update.mockImplementation(async (id, product) => product as Product);
+
+      const result = await productUseCases.updateProduct(1, { prices: { usd: 9.499 } });
+
+      expect(result.prices).toEqual({ USD: 9.5 });
+    });
+
+    it('should file the product under a category and take it out again', async () => {
+      mockProductRepository.findById.mockImplementation(async () => new Product(1, 'Mug', 12.99, undefined, 'STANDARD', {}, 4));
+      mockProductRepository.update.mockImplementation(async (id, product) => product as Product);
+      mockCategoryRepository.findById.mockResolvedValue(new Category(7, 'Kitchen'));
+
+      const moved = await productUseCases.updateProduct(1, { categoryId: 7 });
+      expect(moved.categoryId).toBe(7);
+
+      const uncategorized = await productUseCases.updateProduct(1, { categoryId: null });
+      expect(uncategorized).not.toHaveProperty('categoryId');
+      expect(mockCategoryRepository.findById).toHaveBeenCalledTimes(1);
+    });
+
+    it('should replace the barcodes, keeping those the product already carries', async () => {
+      const existing = () => new Product(1, 'Mug', 12.99, undefined, 'STANDARD', {}, null, 'SKU-000001', [Barcode.parse('036000291452')]);
+      mockProductRepository.findById.mockResolvedValue(existing());
+      mockProductRepository.findByBarcode.mockResolvedValueOnce(existing()).mockResolvedValueOnce(null);
+      mockProductRepository.update.mockImplementation(async (id, product) => product as Product);
+
+      const result = await productUseCases.updateProduct(1, { barcodes: ['036000291452', '4006381333931'] });
+
+      expect(result.barcodes.map(barcode => barcode.code)).toEqual(['036000291452', '4006381333931']);
+      expect(mockProductRepository.findBySku).not.toHaveBeenCalled();
+    });
+
+    it('should reject an unknown category', async () => {
+      mockProductRepository.findById.mockResolvedValue(new Product(1, 'Mug', 12.99));
+      mockCategoryRepository.findById.mockResolvedValue(null);
+
+      await expect(productUseCases.updateProduct(1, { categoryId: 7 })).rejects.toThrow('Category not found');
+      expect(mockProductRepository.update).not.toHaveBeenCalled();
+    });
+
+    it.each([
+      [{ CAD: 12.99 }, 'The price in the default currency CAD is the product price'],
+      [{ DOLLARS: 9.99 }, 'Invalid currency DOLLARS: an ISO 4217 code such as USD is required'],
+      [{ USD: -1 }, 'Price cannot be negative']
+    ])('should reject invalid prices in other currencies %#', async (prices, message) => {
+      mockProductRepository.findById.mockResolvedValue(new Product(1, 'Mug', 12.99));
+
+      await expect(productUseCases.updateProduct(1, { prices })).rejects.toThrow(message);
+      expect(mockProductRepository.update).not.toHaveBeenCalled();
+    });
   });
 
   describe('deleteProduct', () => {
@@ -246,26 +447,93 @@ describe('ProductUseCases', () => {
   });
 
   describe('searchProducts', () => {
-    it('should return products matching search query', async () => {
-      const products = [
-        new Product(1, 'Laptop Computer', 999.99, 'High-end laptop'),
-        new Product(2, 'Desktop Computer', 799.99, 'Desktop PC')
-      ];
+    const laptop = new Product(1, 'Laptop Computer', 999.99, 'High-end laptop', 'STANDARD', {}, 7);
+    const searchResult = {
+      hits: [{ product: laptop, rank: 0.8, highlights: { name: '<mark>Laptop</mark> Computer', description: 'High-end <mark>laptop</mark>' } }],
+      total: 21,
+      facets: {
+        categories: [{ categoryId: 7, count: 20 }, { categoryId: null, count: 1 }],
+        priceRanges: [{ min: 0, max: 10, count: 0 }, { min: 100, count: 21 }],
+        inStock: 12
+      }
+    };
+
+    it('should search the category subtree and name the category facets', async () => {
+      mockStoreRepository.findById.mockResolvedValueOnce(new Store(2, 'Store 2', 'Address 2'));
+      mockCategoryRepository.findDescendantIds.mockResolvedValueOnce([7, 8]);
+      mockCategoryRepository.findAll.mockResolvedValueOnce([new Category(7, 'Computers'), new Category(8, 'Laptops', 7)]);
+      mockProductRepository.search.mockResolvedValueOnce(searchResult);
+
+      const result = await productUseCases.searchProducts({
+        q: ' labtop ', category: 7, maxPrice: 1000, storeId: 2, inStock: true, limit: 10
+      });
 
-      mockProductRepository.findByName.mockResolvedValue(products);
+      expect(mockProductRepository.search).toHaveBeenCalledWith(expect.objectContaining({
+        text: 'labtop',
+        categoryIds: [7, 8],
+        priceRange: { min: 0, max: 1000 },
+        storeId: 2,
+        inStockOnly: true,
+        page: 1,
+        limit: 10
+      }));
+      expect(result.results[0]).toEqual(expect.objectContaining({
+        rank: 0.8,
+        highlights: { name: '<mark>Laptop</mark> Computer', description: 'High-end <mark>laptop</mark>' }
+      }));
+      expect(result.results[0].product.id).toBe(1);
+      expect(result.totalPages).toBe(3);
+      expect(result.facets.categories).toEqual([
+        { categoryId: 7, name: 'Computers', count: 20 },
+        { categoryId: null, name: 'Uncategorized', count: 1 }
+      ]);
+      expect(result.facets.inStock).toEqual({ storeId: 2, count: 12 });
+    });
 
-      const result = await productUseCases.searchProducts('Computer');
+    it('should list every product without search text', async () => {
+      mockCategoryRepository.findAll.mockResolvedValueOnce([]);
+      mockProductRepository.search.mockResolvedValueOnce({ ...searchResult, facets: { ...searchResult.facets, inStock: undefined } });
 
-      expect(result).toHaveLength(2);
-      expect(mockProductRepository.findByName).toHaveBeenCalledWith('Computer');
+      const result = await productUseCases.searchProducts({ q: '  ' });
+
+      expect(mockProductRepository.search).toHaveBeenCalledWith(expect.objectContaining({
+        text: undefined, categoryIds: undefined, storeId: undefined, inStockOnly: false, page: 1, limit: 20
+      }));
+      expect(result.facets.inStock).toBeUndefined();
     });
 
-    it('should return empty array when no products match', async () => {
-      mockProductRepository.findByName.mockResolvedValue([]);
+    it('should reject invalid criteria without searching', async () => {
+      await expect(productUseCases.searchProducts({ limit: 500 })).rejects.toThrow('Invalid limit');
+      await expect(productUseCases.searchProducts({ page: 0 })).rejects.toThrow('Invalid page');
+      await expect(productUseCases.searchProducts({ minPrice: 50, maxPrice: 10 })).rejects.toThrow('Invalid price range');
+      await expect(productUseCases.searchProducts({ inStock: true })).rejects.toThrow('A store is required');
+      await expect(productUseCases.searchProducts({ q: 'x'.repeat(201) })).rejects.toThrow('Search text cannot be longer');
+      expect(mockProductRepository.search).not.toHaveBeenCalled();
+    });
 
-      const result = await productUseCases.searchProducts('NonExistentProduct');
+    it('should report an unknown category or store', async () => {
+      mockCategoryRepository.findDescendantIds.mockResolvedValueOnce([]);
+      await expect(productUseCases.searchProducts({ category: 99 })).rejects.toThrow('Category not found');
 
-      expect(result).toEqual([]);
+      mockStoreRepository.findById.mockResolvedValueOnce(null);
+      await expect(productUseCases.searchProducts({ storeId: 99 })).rejects.toThrow('Store not found');
+    });
+  });
+
+  describe('suggestProducts', () => {
+    it('should suggest nothing before two characters are typed', async () => {
+      expect(await productUseCases.suggestProducts(' l ')).toEqual([]);
+      expect(await productUseCases.suggestProducts(undefined)).toEqual([]);
+      expect(mockProductRepository.suggest).not.toHaveBeenCalled();
+    });
+
+    it('should suggest product names for the trimmed text', async () => {
+      mockProductRepository.suggest.mockResolvedValueOnce([{ id: 1, name: 'Laptop Computer' }]);
+
+      const result = await productUseCases.suggestProducts(' lap ');
+
+      expect(mockProductRepository.suggest).toHaveBeenCalledWith('lap', 8);
+      expect(result).toEqual([{ id: 1, name: 'Laptop Computer' }]);
     });
   });
 
@@ -0,0 +1,410 @@
+import { PurchaseOrderUseCases } from '../application/use-cases/purchase-order.use-cases';
+import { IPurchaseOrderRepository, PurchaseOrderData } from '../domain/repositories/purchase-order.repository';
+import { IReorderRuleRepository } from '../domain/repositories/reorder-rule.repository';
+import { ISupplierRepository } from '../domain/repositories/supplier.repository';
+import { IStoreRepository } from '../domain/repositories/store.repository';
+import { IProductRepository } from '../domain/repositories/product.repository';
+import {
+  IllegalPurchaseOrderTransitionError,
+  PurchaseOrder,
+  PurchaseOrderLine,
+  PurchaseOrderStatus
+} from '../domain/entities/purchase-order.entity';
+import { ReorderRule } from '../domain/entities/reorder-rule.entity';
+import { Supplier } from '../domain/entities/supplier.entity';
+import { Stock } from '../domain/entities/stock.entity';
+import { Store } from '../domain/entities/store.entity';
+import { Product } from '../domain/entities/product.entity';
+import { ProductVariant } from '../domain/entities/product-variant.entity';
+import { ICrossDomainQueries } from '@shared/infrastructure/database/cross-domain-queries';
+
+const mockPurchaseOrderRepository: jest.Mocked<IPurchaseOrderRepository> = {
+  create: jest.fn(),
+  draftReorder: jest.fn(),
+  submit: jest.fn(),
+  cancel: jest.fn(),
+  receive: jest.fn(),
+  findById: jest.fn(),
+  findByStoreId: jest.fn(),
+};
+
+const mockReorderRuleRepository: jest.Mocked<IReorderRuleRepository> = {
+  upsert: jest.fn(),
+  remove: jest.fn(),
+  findByStoreId: jest.fn(),
+  findDue: jest.fn(),
+};
+
+const mockSupplierRepository = {
+  findById: jest.fn(),
+} as jest.Mocked<Partial<ISupplierRepository>> as jest.Mocked<ISupplierRepository>;
+
+const mockStoreRepository = {
+  findById: jest.fn(),
+} as jest.Mocked<Partial<IStoreRepository>> as jest.Mocked<IStoreRepository>;
+
+const mockProductRepository = {
+  findById: jest.fn(),
+} as jest.Mocked<Partial<IProductRepository>> as jest.Mocked<IProductRepository>;
+
+const mockCrossDomainQueries = {
+  getUnitsSold: jest.fn(),
+  getVariantUnitsSold: jest.fn(),
+} as Partial<ICrossDomainQueries> as jest.Mocked<ICrossDomainQueries>;
+
+// Purchase order 6 from supplier 3 to store 1, for 20 units of product 1 and 10 units of product 2
+const purchaseOrder = (
+  status: PurchaseOrderStatus = 'SUBMITTED',
+  lines: PurchaseOrderLine[] = [new PurchaseOrderLine(1, 20), new PurchaseOrderLine(2, 10)]
+) => new PurchaseOrder(6, 3, 1, status, lines, new Date(), 9);
+
+// Product 2 with variants 10 and 11, stocked per variant
+const tShirt = () => new Product(2, 'T-shirt', 20, undefined, 'STANDARD', {}, null, 'TSHIRT', [],
+  [{ name: 'Size', values: ['S', 'M'] }],
+  [new ProductVariant(10, 2, 'TSHIRT-1', { Size: 'S' }), new ProductVariant(11, 2, 'TSHIRT-2', { Size: 'M' })]);
+
+describe('PurchaseOrderUseCases', () => {
+  let purchaseOrderUseCases: PurchaseOrderUseCases;
+
+  beforeEach(() => {
+    purchaseOrderUseCases = new PurchaseOrderUseCases(
+      mockPurchaseOrderRepository, mockReorderRuleRepository, mockSupplierRepository,
+      mockStoreRepository, mockProductRepository, mockCrossDomainQueries
+    );
+
+    mockStoreRepository.findById.mockImplementation(async (id) => new Store(id, `Store ${id}`, 'Address'));
+    mockProductRepository.findById.mockImplementation(async (id) => new Product(id, `Product ${id}`, 10.0));
+    mockSupplierRepository.findById.mockImplementation(async (id) => new Supplier(id, `Supplier ${id}`, 7));
+    const draft = async (data: PurchaseOrderData) =>
+      new PurchaseOrder(6, data.supplierId, data.storeId, 'DRAFT',
+        data.lines.map(line => new PurchaseOrderLine(line.productId, line.quantity, 0, line.suggestedQuantity, line.unitsSold)),
+        new Date(), data.createdBy, data.note);
+    mockPurchaseOrderRepository.create.mockImplementation(draft);
+    mockPurchaseOrderRepository.draftReorder.mockImplementation(draft);
+    mockCrossDomainQueries.getUnitsSold.mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('ReorderRule.suggestQuantity', () => {
+    it('should order at least the reorder quantity', () => {
+      const rule = new ReorderRule(1, 1, 10, 24);
+
+      expect(rule.suggestQuantity(8, 0, 28, 7)).toBe(24);
+    });
+
+    it('should cover the shortfall and the sales expected until the order arrives', () => {
+      const rule = new ReorderRule(1, 1, 10, 5);
+
+      // 56 units over 28 days is 2 a day, 14 over a 7 day lead time, plus 10 - 4 missing units
+      expect(rule.suggestQuantity(4, 56, 28, 7)).toBe(20);
+    });
+  });
+
+  describe('setReorderRule', () => {
+    it('should save the rule of a product at a store', async () => {
+      mockReorderRuleRepository.upsert.mockImplementation(async (rule) =>
+        new ReorderRule(rule.storeId, rule.productId, rule.reorderPoint, rule.reorderQuantity, rule.supplierId, 12)
+      );
+
+      const result = await purchaseOrderUseCases.setReorderRule({
+        storeId: 1, productId: 2, reorderPoint: 10, reorderQuantity: 24, supplierId: 3
+      });
+
+      expect(result).toEqual({ id: 12, storeId: 1, productId: 2, reorderPoint: 10, reorderQuantity: 24, supplierId: 3 });
+    });
+
+    it('should reject invalid levels and unknown suppliers', async () => {
+      await expect(purchaseOrderUseCases.setReorderRule({ storeId: 1, productId: 2, reorderPoint: -1, reorderQuantity: 24 }))
+        .rejects.toThrow('Invalid reorder rule');
+      await expect(purchaseOrderUseCases.setReorderRule({ storeId: 1, productId: 2, reorderPoint: 10, reorderQuantity: 0 }))
+        .rejects.toThrow('Invalid reorder rule');
+
+      mockSupplierRepository.findById.mockResolvedValue(null);
+      await expect(purchaseOrderUseCases.setReorderRule({ storeId: 1, productId: 2, reorderPoint: 10, reorderQuantity: 24, supplierId: 99 }))
+        .rejects.toThrow('Supplier not found');
+      expect(mockReorderRuleRepository.upsert).not.toHaveBeenCalled();
+    });
+
+    it('should save the rule of a variant and require one for products with variants', async () => {
+      mockProductRepository.findById.mockResolvedValue(tShirt());
+      mockReorderRuleRepository.upsert.mockImplementation(async (rule) =>
+        new ReorderRule(rule.storeId, rule.productId, rule.reorderPoint, rule.reorderQuantity, rule.supplierId, 12, rule.variantId)
+      );
+
+      const result = await purchaseOrderUseCases.setReorderRule({
+        storeId: 1, productId: 2, variantId: 11, reorderPoint: 10, reorderQuantity: 24
+      });
+
+      expect(result).toEqual({ id: 12, storeId: 1, productId: 2, variantId: 11, reorderPoint: 10, reorderQuantity: 24 });
+      await expect(purchaseOrderUseCases.setReorderRule({ storeId: 1, productId: 2, reorderPoint: 10, reorderQuantity: 24 }))
+        .rejects.toThrow('Product 2 has variants: stock is kept per variant');
+      expect(mockReorderRuleRepository.upsert).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('generatePurchaseOrders', () => {
+    it('should draft one order per store and supplier sized from recent sales', async () => {
+      mockReorderRuleRepository.findDue.mockResolvedValue([
+        { rule: new ReorderRule(1, 1, 10, 5, 3, 21), onHand: 6, held: 2, leadTimeDays: 7 },
+        { rule: new ReorderRule(1, 2, 5, 12, 3, 22), onHand: 0, held: 0, leadTimeDays: 7 },
+        { rule: new ReorderRule(1, 4, 5, 12, 8, 24), onHand: 1, held: 0, leadTimeDays: 14 },
+      ]);
+      mockCrossDomainQueries.getUnitsSold.mockResolvedValue({ 1: 56, 2: 0, 4: 0 });
+      const now = new Date('2026-03-29T00:00:00Z');
+
+      const result = await purchaseOrderUseCases.generatePurchaseOrders({ now });
+
+      expect(mockCrossDomainQueries.getUnitsSold)
+        .toHaveBeenCalledWith(1, [1, 2, 4], new Date('2026-03-01T00:00:00Z'), 'catalog-service');
+      expect(mockPurchaseOrderRepository.draftReorder).toHaveBeenCalledTimes(2);
+      expect(mockPurchaseOrderRepository.draftReorder).toHaveBeenNthCalledWith(1, {
+        supplierId: 3,
+        storeId: 1,
+        lines: [
+          { productId: 1, quantity: 20, suggestedQuantity: 20, unitsSold: 56, reorderRuleId: 21 },
+          { productId: 2, quantity: 12, suggestedQuantity: 12, unitsSold: 0, reorderRuleId: 22 }
+        ]
+      }, expect.any(Function));
+      expect(mockPurchaseOrderRepository.draftReorder).toHaveBeenNthCalledWith(2, expect.objectContaining({
+        supplierId: 8,
+        lines: [{ productId: 4, quantity: 12, suggestedQuantity: 12, unitsSold: 0, reorderRuleId: 24 }]
+      }), expect.any(Function));
+      expect(result.purchaseOrders).toHaveLength(2);
+      expect(result.purchaseOrders[0]).toEqual(expect.objectContaining({ status: 'DRAFT', generated: true }));
+      expect(result.skipped).toEqual([]);
+
+      const events = mockPurchaseOrderRepository.draftReorder.mock.calls[0][1]!;
+      const [event] = events(await mockPurchaseOrderRepository.draftReorder.mock.results[0].value);
+      expect(event).toEqual(expect.objectContaining({
+        eventType: 'PURCHASE_ORDER_STATUS_CHANGED',
+        eventData: expect.objectContaining({ purchaseOrderId: 6, fromStatus: null, toStatus: 'DRAFT' })
+      }));
+      expect(event.eventData).not.toHaveProperty('changedBy');
+    });
+
+    it('should size the lines of variants from the units sold of each variant', async () => {
+      mockReorderRuleRepository.findDue.mockResolvedValue([
+        { rule: new ReorderRule(1, 1, 10, 5, 3), onHand: 6, held: 2, leadTimeDays: 7 },
+        { rule: new ReorderRule(1, 2, 10, 5, 3, 0, 10), onHand: 4, held: 0, leadTimeDays: 7 },
+        { rule: new ReorderRule(1, 2, 10, 5, 3, 0, 11), onHand: 8, held: 0, leadTimeDays: 7 },
+      ]);
+      mockCrossDomainQueries.getUnitsSold.mockResolvedValue({ 1: 0 });
+      mockCrossDomainQueries.getVariantUnitsSold.mockResolvedValue({ 10: 56, 11: 0 });
+      const now = new Date('2026-03-29T00:00:00Z');
+
+      await purchaseOrderUseCases.generatePurchaseOrders({ now });
+
+      expect(mockCrossDomainQueries.getUnitsSold)
+        .toHaveBeenCalledWith(1, [1], new Date('2026-03-01T00:00:00Z'), 'catalog-service');
+      expect(mockCrossDomainQueries.getVariantUnitsSold)
+        .toHaveBeenCalledWith(1, [10, 11], new Date('2026-03-01T00:00:00Z'), 'catalog-service');
+      expect(mockPurchaseOrderRepository.draftReorder.mock.calls[0][0].lines).toEqual([
+        { productId: 1, quantity: 6, suggestedQuantity: 6, unitsSold: 0, reorderRuleId: 0 },
+        { productId: 2, variantId: 10, quantity: 20, suggestedQuantity: 20, unitsSold: 56, reorderRuleId: 0 },
+        { productId: 2, variantId: 11, quantity: 5, suggestedQuantity: 5, unitsSold: 0, reorderRuleId: 0 }
+      ]);
+    });
+
+    it('should leave out orders whose products another run ordered meanwhile', async () => {
+      mockReorderRuleRepository.findDue.mockResolvedValue([
+        { rule: new ReorderRule(1, 1, 10, 5, 3, 21), onHand: 6, held: 2, leadTimeDays: 7 },
+        { rule: new ReorderRule(1, 4, 5, 12, 8, 24), onHand: 1, held: 0, leadTimeDays: 14 },
+      ]);
+      mockPurchaseOrderRepository.draftReorder.mockResolvedValueOnce(null);
+
+      const result = await purchaseOrderUseCases.generatePurchaseOrders();
+
+      expect(mockPurchaseOrderRepository.draftReorder).toHaveBeenCalledTimes(2);
+      expect(result.purchaseOrders).toHaveLength(1);
+      expect(result.purchaseOrders[0]).toEqual(expect.objectContaining({ supplierId: 8 }));
+    });
+
+    it('should skip products without a supplier and draft nothing when nothing is due', async () => {
+      mockReorderRuleRepository.findDue.mockResolvedValue([
+        { rule: new ReorderRule(2, 5, 10, 5), onHand: 3, held: 1 }
+      ]);
+
+      const result = await purchaseOrderUseCases.generatePurchaseOrders({ storeId: 2 });
+
+      expect(mockReorderRuleRepository.findDue).toHaveBeenCalledWith(2);
+      expect(mockCrossDomainQueries.getUnitsSold).not.toHaveBeenCalled();
+      expect(mockPurchaseOrderRepository.draftReorder).not.toHaveBeenCalled();
+      expect(result).toEqual({
+        purchaseOrders: [],
+        skipped: [{ storeId: 2, productId: 5, available: 2, reason: 'No supplier set in the reorder rule' }]
+      });
+    });
+  });
+
+  describe('createPurchaseOrder', () => {
+    it('should draft an order by hand', async () => {
+      const result = await purchaseOrderUseCases.createPurchaseOrder({
+        supplierId: 3, storeId: 1, lines: [{ productId: 1, quantity: 20 }], note: 'Holiday season'
+      }, 9);
+
+      expect(result).toEqual(expect.objectContaining({ id: 6, status: 'DRAFT', generated: false, createdBy: 9 }));
+      expect(mockPurchaseOrderRepository.create).toHaveBeenCalledWith({
+        supplierId: 3, storeId: 1, createdBy: 9, note: 'Holiday season', lines: [{ productId: 1, quantity: 20 }]
+      }, expect.any(Function));
+    });
+
+    it('should reject orders without lines or with invalid lines', async () => {
+      await expect(purchaseOrderUseCases.createPurchaseOrder({ supplierId: 3, storeId: 1, lines: [] }, 9))
+        .rejects.toThrow('A purchase order needs at least one line');
+      await expect(purchaseOrderUseCases.createPurchaseOrder({ supplierId: 3, storeId: 1, lines: [{ productId: 1, quantity: 0 }] }, 9))
+        .rejects.toThrow('Invalid quantity for product 1');
+      await expect(purchaseOrderUseCases.createPurchaseOrder({
+        supplierId: 3, storeId: 1, lines: [{ productId: 1, quantity: 1 }, { productId: 1, quantity: 2 }]
+      }, 9)).rejects.toThrow('Product 1 is listed more than once');
+    });
+
+    it('should order products with variants per variant', async () => {
+      mockProductRepository.findById.mockResolvedValue(tShirt());
+
+      await purchaseOrderUseCases.createPurchaseOrder({
+        supplierId: 3, storeId: 1, lines: [{ productId: 2, variantId: 10, quantity: 20 }, { productId: 2, variantId: 11, quantity: 10 }]
+      }, 9);
+
+      expect(mockPurchaseOrderRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+        lines: [{ productId: 2, variantId: 10, quantity: 20 }, { productId: 2, variantId: 11, quantity: 10 }]
+      }), expect.any(Function));
+      await expect(purchaseOrderUseCases.createPurchaseOrder({ supplierId: 3, storeId: 1, lines: [{ productId: 2, quantity: 20 }] }, 9))
+        .rejects.toThrow('Product 2 has variants: stock is kept per variant');
+      expect(mockPurchaseOrderRepository.create).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('submitPurchaseOrder', () => {
+    it('should submit a draft with the reviewed quantities', async () => {
+      mockPurchaseOrderRepository.findById.mockResolvedValue(purchaseOrder('DRAFT'));
+      mockPurchaseOrderRepository.submit.mockResolvedValue(purchaseOrder('SUBMITTED'));
+
+      const result = await purchaseOrderUseCases.submitPurchaseOrder(6, { lines: [{ productId: 2, quantity: 15 }] }, 9);
+
+      expect(result.status).toBe('SUBMITTED');
+      expect(mockPurchaseOrderRepository.submit).toHaveBeenCalledWith(
+        6,
+        { from: 'DRAFT', to: 'SUBMITTED', changedBy: 9 },
+        [{ productId: 2, quantity: 15 }],
+        expect.any(Function)
+      );
+    });
+
+    it('should reject quantities of products not on the order or below one unit', async () => {
+      mockPurchaseOrderRepository.findById.mockResolvedValue(purchaseOrder('DRAFT'));
+
+      await expect(purchaseOrderUseCases.submitPurchaseOrder(6, { lines: [{ productId: 7, quantity: 5 }] }, 9))
+        .rejects.toThrow('Product 7 is not part of purchase order 6');
+      await expect(purchaseOrderUseCases.submitPurchaseOrder(6, { lines: [{ productId: 1, quantity: 0 }] }, 9))
+        .rejects.toThrow('Ordered quantities must be positive');
+      expect(mockPurchaseOrderRepository.submit).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('receivePurchaseOrder', () => {
+    it('should receive every outstanding unit and complete the order', async () => {
+      mockPurchaseOrderRepository.findById.mockResolvedValue(purchaseOrder('SUBMITTED'));
+      mockPurchaseOrderRepository.receive.mockResolvedValue({
+        purchaseOrder: purchaseOrder('RECEIVED', [new PurchaseOrderLine(1, 20, 20), new PurchaseOrderLine(2, 10, 10)]),
+        stocks: [new Stock(1, 1, 23, 31), new Stock(1, 2, 10, 32)]
+      });
+
+      const result = await purchaseOrderUseCases.receivePurchaseOrder(6, {}, 9);
+
+      expect(result.status).toBe('RECEIVED');
+      expect(mockPurchaseOrderRepository.receive).toHaveBeenCalledWith(
+        6,
+        { from: 'SUBMITTED', to: 'RECEIVED', changedBy: 9 },
+        [{ productId: 1, quantity: 20 }, { productId: 2, quantity: 10 }],
+        expect.any(Function)
+      );
+
+      const events = mockPurchaseOrderRepository.receive.mock.calls[0][3]!;
+      const emitted = events(await mockPurchaseOrderRepository.receive.mock.results[0].value);
+      expect(emitted).toEqual([
+        expect.objectContaining({ eventType: 'PURCHASE_ORDER_STATUS_CHANGED' }),
+        expect.objectContaining({
+          eventType: 'STOCK_UPDATED',
+          eventData: { storeId: 1, productId: 1, oldQuantity: 3, newQuantity: 23, reason: 'RESTOCK' }
+        }),
+        expect.objectContaining({
+          eventType: 'STOCK_UPDATED',
+          eventData: { storeId: 1, productId: 2, oldQuantity: 0, newQuantity: 10, reason: 'RESTOCK' }
+        })
+      ]);
+    });
+
+    it('should leave the order partially received while units are outstanding', async () => {
+      mockPurchaseOrderRepository.findById.mockResolvedValue(
+        purchaseOrder('PARTIALLY_RECEIVED', [new PurchaseOrderLine(1, 20, 5), new PurchaseOrderLine(2, 10)])
+      );
+      mockPurchaseOrderRepository.receive.mockResolvedValue({
+        purchaseOrder: purchaseOrder('PARTIALLY_RECEIVED', [new PurchaseOrderLine(1, 20, 20), new PurchaseOrderLine(2, 10)]),
+        stocks: [new Stock(1, 1, 15, 31)]
+      });
+
+      const result = await purchaseOrderUseCases.receivePurchaseOrder(6, { lines: [{ productId: 1, quantity: 15 }] }, 9);
+
+      expect(mockPurchaseOrderRepository.receive).toHaveBeenCalledWith(
+        6,
+        { from: 'PARTIALLY_RECEIVED', to: 'PARTIALLY_RECEIVED', changedBy: 9 },
+        [{ productId: 1, quantity: 15 }],
+        expect.any(Function)
+      );
+      expect(result.lines).toEqual([
+        { productId: 1, quantity: 20, receivedQuantity: 20, outstanding: 0 },
+        { productId: 2, quantity: 10, receivedQuantity: 0, outstanding: 10 }
+      ]);
+    });
+
+    it('should reject receiving more than the outstanding units or nothing at all', async () => {
+      mockPurchaseOrderRepository.findById.mockResolvedValue(
+        purchaseOrder('PARTIALLY_RECEIVED', [new PurchaseOrderLine(1, 20, 15), new PurchaseOrderLine(2, 10)])
+      );
+
+      await expect(purchaseOrderUseCases.receivePurchaseOrder(6, { lines: [{ productId: 1, quantity: 6 }] }, 9))
+        .rejects.toThrow('Cannot receive more than the 5 outstanding units of product 1');
+      await expect(purchaseOrderUseCases.receivePurchaseOrder(6, { lines: [{ productId: 2, quantity: 0 }] }, 9))
+        .rejects.toThrow('A receipt must add at least one unit');
+      expect(mockPurchaseOrderRepository.receive).not.toHaveBeenCalled();
+    });
+
+    it('should surface illegal transitions from the repository', async () => {
+      mockPurchaseOrderRepository.findById.mockResolvedValue(purchaseOrder('DRAFT'));
+      mockPurchaseOrderRepository.receive.mockRejectedValue(new IllegalPurchaseOrderTransitionError(6, 'DRAFT', 'RECEIVED'));
+
+      await expect(purchaseOrderUseCases.receivePurchaseOrder(6, {}, 9))
+        .rejects.toThrow(IllegalPurchaseOrderTransitionError);
+    });
+  });
+
+  describe('cancelPurchaseOrder', () => {
+    it('should require a reason', async () => {
+      await expect(purchaseOrderUseCases.cancelPurchaseOrder(6, 9, ' '))
+        .rejects.toThrow('A reason is required to cancel a purchase order');
+    });
+
+    it('should cancel with the reason', async () => {
+      mockPurchaseOrderRepository.findById.mockResolvedValue(purchaseOrder('SUBMITTED'));
+      mockPurchaseOrderRepository.cancel.mockResolvedValue(
+        new PurchaseOrder(6, 3, 1, 'CANCELLED', [], new Date(), 9, undefined, undefined, undefined, undefined, new Date(), 'Supplier out of stock')
+      );
+
+      const result = await purchaseOrderUseCases.cancelPurchaseOrder(6, 9, ' Supplier out of stock ');
+
+      expect(result).toEqual(expect.objectContaining({ status: 'CANCELLED', cancelReason: 'Supplier out of stock' }));
+      expect(mockPurchaseOrderRepository.cancel).toHaveBeenCalledWith(
+        6, { from: 'SUBMITTED', to: 'CANCELLED', changedBy: 9 }, 'Supplier out of stock', expect.any(Function)
+      );
+    });
+
+    it('should report a missing order', async () => {
+      mockPurchaseOrderRepository.findById.mockResolvedValue(null);
+
+      await expect(purchaseOrderUseCases.cancelPurchaseOrder(6, 9, 'Duplicate')).rejects.toThrow('Purchase order not found');
+    });
+  });
+});
@@ -0,0 +1,58 @@
+import { ReorderWorker } from '../infrastructure/workers/reorder-worker';
+import { DEFAULT_SALES_WINDOW_DAYS, PurchaseOrderUseCases } from '../application/use-cases/purchase-order.use-cases';
+
+const mockPurchaseOrderUseCases = {
+  generatePurchaseOrders: jest.fn(),
+} as Partial<PurchaseOrderUseCases> as jest.Mocked<PurchaseOrderUseCases>;
+
+const drafted = (count: number) => ({
+  purchaseOrders: Array.from({ length: count }, () => ({} as any)),
+  skipped: []
+});
+
+describe('ReorderWorker', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.clearAllMocks();
+  });
+
+  it('should draft purchase orders for every store over the sales window', async () => {
+    mockPurchaseOrderUseCases.generatePurchaseOrders.mockResolvedValue(drafted(2));
+
+    await expect(new ReorderWorker(mockPurchaseOrderUseCases).generate()).resolves.toBe(2);
+    await new ReorderWorker(mockPurchaseOrderUseCases, { salesWindowDays: 7 }).generate();
+
+    expect(mockPurchaseOrderUseCases.generatePurchaseOrders)
+      .toHaveBeenNthCalledWith(1, { salesWindowDays: DEFAULT_SALES_WINDOW_DAYS });
+    expect(mockPurchaseOrderUseCases.generatePurchaseOrders).toHaveBeenNthCalledWith(2, { salesWindowDays: 7 });
+  });
+
+  it('should not start a run while the previous one is still drafting', async () => {
+    const worker = new ReorderWorker(mockPurchaseOrderUseCases);
+    let finish: (result: ReturnType<typeof drafted>) => void = () => undefined;
+    mockPurchaseOrderUseCases.generatePurchaseOrders.mockReturnValueOnce(new Promise(resolve => { finish = resolve; }));
+
+    const generating = worker.generate();
+    await expect(worker.generate()).resolves.toBe(0);
+    finish(drafted(1));
+
+    await expect(generating).resolves.toBe(1);
+    expect(mockPurchaseOrderUseCases.generatePurchaseOrders).toHaveBeenCalledTimes(1);
+  });
+
+  it('should run on its interval until stopped, also after a failed run', async () => {
+    jest.useFakeTimers();
+    const worker = new ReorderWorker(mockPurchaseOrderUseCases, { pollInterval: 60000 });
+    mockPurchaseOrderUseCases.generatePurchaseOrders
+      .mockRejectedValueOnce(new Error('Database unavailable'))
+      .mockResolvedValue(drafted(0));
+
+    worker.start();
+    worker.start();
+    await jest.advanceTimersByTimeAsync(120000);
+    worker.stop();
+    await jest.advanceTimersByTimeAsync(120000);
+
+    expect(mockPurchaseOrderUseCases.generatePurchaseOrders).toHaveBeenCalledTimes(2);
+  });
+});
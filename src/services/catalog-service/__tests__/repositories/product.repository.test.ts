@@ -21,6 +21,11 @@ describe('IProductRepository Contract Tests', () => {
       // Product-specific methods
       findByName: jest.fn(),
       findByPriceRange: jest.fn(),
+      findByCategoryIds: jest.fn(),
+      findByBarcode: jest.fn(),
+      findBySku: jest.fn(),
+      search: jest.fn(),
+      suggest: jest.fn(),
     };
   });
 
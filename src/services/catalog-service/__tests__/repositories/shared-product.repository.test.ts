@@ -0,0 +1,173 @@
+// The setup mocks the Prisma client; the search builds its SQL with the real Prisma.sql
+jest.mock('@prisma/client', () => jest.requireActual('@prisma/client'));
+
+import { Prisma } from '@prisma/client';
+import { IDatabaseManager } from '@shared/infrastructure/database/database-manager';
+import { SharedProductRepository } from '../../infrastructure/database/shared-product.repository';
+import { ProductSearchCriteria } from '../../domain/repositories/product.repository';
+
+type SearchRows = {
+  hits?: Array<{ id: number; rank: number; nameHighlight: string; descriptionHighlight: string | null }>;
+  total?: number;
+  categories?: Array<{ categoryId: number | null; count: number }>;
+  priceCounts?: number[];
+  inStock?: number;
+};
+
+// Database manager whose transaction answers the search queries and records their SQL
+const createDatabase = (rows: SearchRows = {}) => {
+  const queries: Prisma.Sql[] = [];
+  const answer = (query: Prisma.Sql): unknown => {
+    const text = query.text;
+    if (text.includes('set_config')) return [];
+    if (text.includes('AS "rank"')) return rows.hits ?? [];
+    if (text.includes('AS "total"')) return [{ total: rows.total ?? 0 }];
+    if (text.includes('GROUP BY p."categoryId"')) return rows.categories ?? [];
+    if (text.includes('AS "counts"')) return [{ counts: rows.priceCounts ?? [] }];
+    if (text.includes('AS "count"')) return [{ count: rows.inStock ?? 0 }];
+    throw new Error(`Unexpected query: ${text}`);
+  };
+  const tx: any = {
+    $queryRaw: jest.fn(async (strings: TemplateStringsArray, ...values: unknown[]) => {
+      const query = Prisma.sql(strings, ...values);
+      queries.push(query);
+      return answer(query);
+    }),
+    product: {
+      findMany: jest.fn(async (args: any) => args.where.id.in.map((id: number) => ({
+        id, name: `Product ${id}`, price: 10, description: null, taxCategory: 'STANDARD', categoryId: null,
+        sku: `SKU-${id}`, options: [], prices: [], barcodes: [], variants: []
+      })))
+    }
+  };
+  const databaseManager = {
+    executeInTransaction: jest.fn((operation: (tx: any) => Promise<unknown>) => operation(tx))
+  } as unknown as IDatabaseManager;
+
+  // The query whose text, with its whitespace collapsed, includes the marker
+  const sent = () => queries.map(candidate => ({ text: candidate.text.replace(/\s+/g, ' '), values: candidate.values }));
+  const query = (marker: string) => {
+    const found = sent().find(candidate => candidate.text.includes(marker));
+    if (!found) {
+      throw new Error(`No query includes ${marker}`);
+    }
+    return found;
+  };
+  return { databaseManager, tx, query, sent };
+};
+
+const criteria = (overrides: Partial<ProductSearchCriteria> = {}): ProductSearchCriteria => ({
+  priceFacetRanges: [{ min: 0, max: 10 }, { min: 10 }],
+  page: 1,
+  limit: 20,
+  ...overrides
+});
+
+describe('SharedProductRepository', () => {
+  describe('search', () => {
+    it('should match the text on the indexed search vector or a similar name and keep the rank order', async () => {
+      const { databaseManager, tx, query } = createDatabase({
+        hits: [
+          { id: 7, rank: 0.9, nameHighlight: '<mark>Laptop</mark> Pro', descriptionHighlight: 'A <mark>laptop</mark>' },
+          { id: 3, rank: 0.4, nameHighlight: 'Laptop bag', descriptionHighlight: null }
+        ],
+        total: 2
+      });
+      const repository = new SharedProductRepository(databaseManager);
+
+      const result = await repository.search(criteria({ text: ' laptop ', page: 2, limit: 5 }));
+
+      const hits = query('AS "rank"');
+      expect(hits.text).toMatch(/WHERE \(p\."searchVector" @@ websearch_to_tsquery\('english', \$\d+\) OR \$\d+ <% p\."name"\) ORDER/);
+      expect(hits.text).toMatch(/ts_rank_cd\(p\."searchVector", websearch_to_tsquery\('english', \$\d+\)\)/);
+      expect(hits.text).not.toContain('COALESCE(p."searchVector"');
+      expect(hits.text).toContain('ORDER BY "rank" DESC, p."name", p."id" LIMIT');
+      expect(hits.values.slice(0, 2)).toEqual(['laptop', 'laptop']);
+      expect(hits.values.slice(-2)).toEqual([5, 5]);
+      expect(tx.$queryRaw.mock.calls[0][1]).toBe('0.5');
+
+      expect(result.total).toBe(2);
+      expect(result.hits.map(hit => hit.product.id)).toEqual([7, 3]);
+      expect(result.hits[0].highlights).toEqual({ name: '<mark>Laptop</mark> Pro', description: 'A <mark>laptop</mark>' });
+      expect(result.hits[1].highlights).toEqual({ name: 'Laptop bag' });
+    });
+
+    it('should list every product by name when no text is given', async () => {
+      const { databaseManager, query } = createDatabase();
+      const repository = new SharedProductRepository(databaseManager);
+
+      await repository.search(criteria());
+
+      const hits = query('AS "rank"');
+      expect(hits.text).toContain('0::float8 AS "rank"');
+      expect(hits.text).toContain('WHERE TRUE');
+      expect(hits.text).not.toContain('searchVector');
+    });
+
+    it('should count each facet under every filter but its own', async () => {
+      const { databaseManager, query } = createDatabase({
+        categories: [{ categoryId: 31, count: 4 }, { categoryId: null, count: 1 }],
+        priceCounts: [2, 3],
+        inStock: 1
+      });
+      const repository = new SharedProductRepository(databaseManager);
+
+      const result = await repository.search(criteria({
+        text: 'mug', categoryIds: [31, 32], priceRange: { min: 12, max: 18 }, storeId: 7, inStockOnly: true
+      }));
+
+      const categories = query('GROUP BY p."categoryId"');
+      expect(categories.text).not.toContain('p."categoryId" IN');
+      expect(categories.values).toEqual(expect.arrayContaining(['mug', 12, 18, 7]));
+
+      const prices = query('AS "counts"');
+      expect(prices.text).toContain('p."categoryId" IN');
+      expect(prices.values).not.toContain(12);
+      expect(prices.values).not.toContain(18);
+      expect(prices.values).toEqual(expect.arrayContaining([31, 32, 7, 0, 10]));
+
+      const inStock = query('SELECT COUNT(*)::int AS "count" FROM');
+      expect(inStock.values).toEqual(expect.arrayContaining(['mug', 31, 32, 12, 18, 7]));
+      expect(inStock.text.match(/FROM "Stock" s/g)).toHaveLength(1);
+
+      expect(result.facets).toEqual({
+        categories: [{ categoryId: 31, count: 4 }, { categoryId: null, count: 1 }],
+        priceRanges: [{ min: 0, max: 10, count: 2 }, { min: 10, count: 3 }],
+        inStock: 1
+      });
+    });
+
+    it('should filter and bucket prices on the price of each variant, or the product price', async () => {
+      const { databaseManager, query } = createDatabase();
+      const repository = new SharedProductRepository(databaseManager);
+
+      await repository.search(criteria({ priceRange: { min: 12 } }));
+
+      const prices = query('AS "counts"');
+      expect(prices.text).toContain(
+        'SELECT p."price" WHERE NOT EXISTS (SELECT 1 FROM "ProductVariant" v WHERE v."productId" = p."id") ' +
+        'UNION ALL SELECT COALESCE(v."price", p."price") FROM "ProductVariant" v WHERE v."productId" = p."id"'
+      );
+      expect(prices.text).toContain('(COUNT(*) FILTER (WHERE EXISTS (');
+      expect(prices.text).toContain('WHERE e."price" >= $1 AND e."price" < $2');
+      expect(prices.text).toMatch(/WHERE e\."price" >= \$3 \)\)\)::int\] AS "counts"/);
+
+      const hits = query('AS "rank"');
+      expect(hits.text).toContain('COALESCE(v."price", p."price")');
+      expect(hits.text).not.toContain('e."price" <');
+      expect(hits.values).toContain(12);
+    });
+
+    it('should match nothing for an empty category list and skip the in-stock facet without a store', async () => {
+      const { databaseManager, query, sent } = createDatabase();
+      const repository = new SharedProductRepository(databaseManager);
+
+      const result = await repository.search(criteria({ categoryIds: [], inStockOnly: true }));
+
+      expect(query('AS "rank"').text).toContain('WHERE FALSE');
+      expect(query('AS "rank"').text).not.toContain('"Stock"');
+      expect(sent().some(candidate => candidate.text.includes('SELECT COUNT(*)::int AS "count" FROM'))).toBe(false);
+      expect(result.facets).not.toHaveProperty('inStock');
+    });
+  });
+});
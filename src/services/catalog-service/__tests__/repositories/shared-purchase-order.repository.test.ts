@@ -0,0 +1,82 @@
+import { IDatabaseManager } from '@shared/infrastructure/database/database-manager';
+import { SharedPurchaseOrderRepository } from '../../infrastructure/database/shared-purchase-order.repository';
+import { PurchaseOrderData } from '../../domain/repositories/purchase-order.repository';
+
+// Database manager whose transaction keeps the open lines of the store and records the locks taken
+const createDatabase = (openLines: Array<{ productId: number; variantId: number | null }> = []) => {
+  const steps: string[] = [];
+  const tx: any = {
+    $executeRaw: jest.fn(async (_strings: TemplateStringsArray, ruleId: number) => {
+      steps.push(`lock ${ruleId}`);
+      return 1;
+    }),
+    purchaseOrderLine: {
+      findMany: jest.fn(async () => {
+        steps.push('find open lines');
+        return openLines;
+      })
+    },
+    purchaseOrder: {
+      create: jest.fn(async (args: any) => {
+        steps.push('create');
+        return { id: 6, ...args.data };
+      }),
+      findUnique: jest.fn(async () => {
+        const created = tx.purchaseOrder.create.mock.calls[0][0].data;
+        return { id: 6, ...created, lines: created.lines.create.map((line: any) => ({ ...line, receivedQuantity: 0 })), createdAt: new Date() };
+      })
+    }
+  };
+  const databaseManager = {
+    executeInTransaction: jest.fn((operation: (tx: any) => Promise<unknown>) => operation(tx))
+  } as unknown as IDatabaseManager;
+  return { databaseManager, tx, steps };
+};
+
+const draft = (): PurchaseOrderData => ({
+  supplierId: 3,
+  storeId: 1,
+  lines: [
+    { productId: 2, variantId: 11, quantity: 5, suggestedQuantity: 5, unitsSold: 0, reorderRuleId: 24 },
+    { productId: 1, quantity: 20, suggestedQuantity: 20, unitsSold: 56, reorderRuleId: 21 }
+  ]
+});
+
+describe('SharedPurchaseOrderRepository', () => {
+  describe('draftReorder', () => {
+    it('should lock the rules in ID order before looking for open orders of the store', async () => {
+      const { databaseManager, tx, steps } = createDatabase();
+      const repository = new SharedPurchaseOrderRepository(databaseManager);
+
+      const purchaseOrder = await repository.draftReorder(draft());
+
+      expect(steps).toEqual(['lock 21', 'lock 24', 'find open lines', 'create']);
+      expect(tx.purchaseOrderLine.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: {
+          purchaseOrder: { storeId: 1, status: { in: ['DRAFT', 'SUBMITTED', 'PARTIALLY_RECEIVED'] } },
+          OR: [{ productId: 2, variantId: 11 }, { productId: 1, variantId: null }]
+        }
+      }));
+      expect(purchaseOrder!.lines).toHaveLength(2);
+      expect(tx.purchaseOrder.create.mock.calls[0][0].data.lines.create[0]).not.toHaveProperty('reorderRuleId');
+    });
+
+    it('should drop the lines another run ordered meanwhile and draft nothing when none is left', async () => {
+      const partly = createDatabase([{ productId: 1, variantId: null }]);
+      const repository = new SharedPurchaseOrderRepository(partly.databaseManager);
+
+      const purchaseOrder = await repository.draftReorder(draft());
+
+      expect(purchaseOrder!.lines.map(line => [line.productId, line.variantId])).toEqual([[2, 11]]);
+
+      const ordered = createDatabase([{ productId: 1, variantId: null }, { productId: 2, variantId: 11 }]);
+      const events = jest.fn(() => []);
+
+      const none = await new SharedPurchaseOrderRepository(ordered.databaseManager).draftReorder(draft(), events);
+
+      expect(none).toBeNull();
+      expect(ordered.tx.purchaseOrder.create).not.toHaveBeenCalled();
+      expect(events).not.toHaveBeenCalled();
+    });
+  });
+});
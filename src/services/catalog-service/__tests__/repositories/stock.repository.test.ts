@@ -24,6 +24,10 @@ describe('IStockRepository Contract Tests', () => {
       findByStoreAndProduct: jest.fn(),
       findLowStock: jest.fn(),
       adjustStock: jest.fn(),
+      adjustStocks: jest.fn(),
+  reserveStocks: jest.fn(),
+  releaseSale: jest.fn(),
+  revertExchange: jest.fn(),
     };
   });
 
@@ -164,9 +168,9 @@ describe('IStockRepository Contract Tests', () => {
       const adjustedStock = new Stock(1, 1, 45, 1);
       mockRepository.adjustStock.mockResolvedValue(adjustedStock);
 
-      const result = await mockRepository.adjustStock(1, 1, -5);
+      const result = await mockRepository.adjustStock(1, 1, -5, { reason: 'DAMAGE' });
       
-      expect(mockRepository.adjustStock).toHaveBeenCalledWith(1, 1, -5);
+      expect(mockRepository.adjustStock).toHaveBeenCalledWith(1, 1, -5, { reason: 'DAMAGE' });
       expect(result).toEqual(adjustedStock);
     });
   });
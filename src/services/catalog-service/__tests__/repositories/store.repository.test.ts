@@ -20,6 +20,8 @@ describe('IStoreRepository Contract Tests', () => {
       
       // Store-specific methods
       findByName: jest.fn(),
+      findTaxRules: jest.fn(),
+      replaceTaxRules: jest.fn(),
     };
   });
 
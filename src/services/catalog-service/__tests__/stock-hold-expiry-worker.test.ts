@@ -0,0 +1,55 @@
+import { StockHoldExpiryWorker } from '../infrastructure/workers/stock-hold-expiry-worker';
+import { StockHoldUseCases } from '../application/use-cases/stock-hold.use-cases';
+
+const mockStockHoldUseCases = {
+  expireHolds: jest.fn(),
+} as Partial<StockHoldUseCases> as jest.Mocked<StockHoldUseCases>;
+
+describe('StockHoldExpiryWorker', () => {
+  let worker: StockHoldExpiryWorker;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date('2026-03-29T12:00:00Z'));
+    worker = new StockHoldExpiryWorker(mockStockHoldUseCases, { pollInterval: 1000, batchSize: 25 });
+    mockStockHoldUseCases.expireHolds.mockResolvedValue(0);
+  });
+
+  afterEach(() => {
+    worker.stop();
+    jest.useRealTimers();
+    jest.clearAllMocks();
+  });
+
+  it('should expire one batch of the holds past their expiry', async () => {
+    mockStockHoldUseCases.expireHolds.mockResolvedValue(4);
+
+    await expect(worker.expirePending()).resolves.toBe(4);
+
+    expect(mockStockHoldUseCases.expireHolds).toHaveBeenCalledWith(new Date('2026-03-29T12:00:00Z'), 25);
+  });
+
+  it('should skip a poll while a batch is still being expired', async () => {
+    let finish: (expired: number) => void = () => undefined;
+    mockStockHoldUseCases.expireHolds.mockReturnValueOnce(new Promise(resolve => { finish = resolve; }));
+
+    const expiring = worker.expirePending();
+    await expect(worker.expirePending()).resolves.toBe(0);
+    finish(1);
+
+    await expect(expiring).resolves.toBe(1);
+    expect(mockStockHoldUseCases.expireHolds).toHaveBeenCalledTimes(1);
+  });
+
+  it('should expire holds on every poll, at the time of the poll, until stopped', async () => {
+    mockStockHoldUseCases.expireHolds.mockRejectedValueOnce(new Error('Database unavailable'));
+
+    worker.start();
+    await jest.advanceTimersByTimeAsync(2000);
+    worker.stop();
+    await jest.advanceTimersByTimeAsync(2000);
+
+    expect(mockStockHoldUseCases.expireHolds).toHaveBeenCalledTimes(2);
+    expect(mockStockHoldUseCases.expireHolds).toHaveBeenLastCalledWith(new Date('2026-03-29T12:00:02Z'), 25);
+  });
+});
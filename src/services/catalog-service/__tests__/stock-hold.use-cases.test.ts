@@ -0,0 +1,254 @@
+import { StockHoldUseCases } from '../application/use-cases/stock-hold.use-cases';
+import { IStockHoldRepository } from '../domain/repositories/stock-hold.repository';
+import { IProductRepository } from '../domain/repositories/product.repository';
+import { StockHold, StockHoldNotActiveError, StockHoldStatus } from '../domain/entities/stock-hold.entity';
+import { Product } from '../domain/entities/product.entity';
+import { ProductVariant } from '../domain/entities/product-variant.entity';
+
+const mockStockHoldRepository: jest.Mocked<IStockHoldRepository> = {
+  place: jest.fn(),
+  close: jest.fn(),
+  reinstate: jest.fn(),
+  findById: jest.fn(),
+  findByUserId: jest.fn(),
+  findByStoreId: jest.fn(),
+  findExpired: jest.fn(),
+};
+
+const mockProductRepository = {
+  findById: jest.fn(),
+} as jest.Mocked<Partial<IProductRepository>> as jest.Mocked<IProductRepository>;
+
+// Product 5 with variants, stocked per variant
+const tShirt = () => new Product(5, 'T-shirt', 20, undefined, 'STANDARD', {}, null, 'TSHIRT', [],
+  [{ name: 'Size', values: ['S', 'M'] }], [new ProductVariant(10, 5, 'TSHIRT-1', { Size: 'S' })]);
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Hold of 2 units of product 1 at store 1 for user 5, expiring in an hour unless given
+const hold = (status: StockHoldStatus = 'ACTIVE', expiresAt: Date = new Date(Date.now() + HOUR_MS)) =>
+  new StockHold(7, 1, 1, 5, 2, status, expiresAt, new Date());
+
+describe('StockHoldUseCases', () => {
+  let stockHoldUseCases: StockHoldUseCases;
+
+  beforeEach(() => {
+    stockHoldUseCases = new StockHoldUseCases(mockStockHoldRepository, mockProductRepository, { defaultMinutes: 60, maxMinutes: 1440 });
+
+    mockProductRepository.findById.mockImplementation(async (id) => (id === 5 ? tShirt() : new Product(id, `Product ${id}`, 10.0)));
+    mockStockHoldRepository.place.mockImplementation(async (data) =>
+      new StockHold(7, data.storeId, data.productId, data.userId, data.quantity, 'ACTIVE', data.expiresAt, new Date(),
+        undefined, undefined, data.variantId)
+    );
+    mockStockHoldRepository.close.mockImplementation(async (id, closing) => {
+      const closed = hold();
+      return new StockHold(id, closed.storeId, closed.productId, closed.userId, closed.quantity, closing.status,
+        closed.expiresAt, closed.createdAt, closing.now, closing.saleId);
+    });
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('placeHold', () => {
+    it('should hold the units until the default expiry', async () => {
+      const before = Date.now();
+
+      const result = await stockHoldUseCases.placeHold({ storeId: 1, productId: 1, quantity: 2 }, 5);
+
+      expect(result).toEqual(expect.objectContaining({ id: 7, quantity: 2, status: 'ACTIVE' }));
+      const { expiresAt } = mockStockHoldRepository.place.mock.calls[0][0];
+      expect(expiresAt.getTime()).toBeGreaterThanOrEqual(before + HOUR_MS);
+      expect(expiresAt.getTime()).toBeLessThanOrEqual(Date.now() + HOUR_MS);
+    });
+
+    it('should store a STOCK_HOLD_PLACED event with the hold', async () => {
+      await stockHoldUseCases.placeHold({ storeId: 1, productId: 1, quantity: 2, expiresInMinutes: 30 }, 5);
+
+      const events = mockStockHoldRepository.place.mock.calls[0][1]!;
+      const [event] = events(await mockStockHoldRepository.place.mock.results[0].value);
+      expect(event).toEqual(expect.objectContaining({
+        aggregateId: '7',
+        eventType: 'STOCK_HOLD_PLACED',
+        eventData: expect.objectContaining({ holdId: 7, storeId: 1, productId: 1, userId: 5, quantity: 2 })
+      }));
+    });
+
+    it('should reject invalid quantities and durations', async () => {
+      await expect(stockHoldUseCases.placeHold({ storeId: 1, productId: 1, quantity: 0 }, 5))
+        .rejects.toThrow('Hold quantity must be a positive integer');
+      await expect(stockHoldUseCases.placeHold({ storeId: 1, productId: 1, quantity: 2, expiresInMinutes: 2000 }, 5))
+        .rejects.toThrow('A hold cannot last more than 1440 minutes');
+
+      expect(mockStockHoldRepository.place).not.toHaveBeenCalled();
+    });
+
+    it('should hold units of a variant', async () => {
+      const result = await stockHoldUseCases.placeHold({ storeId: 1, productId: 5, variantId: 10, quantity: 2 }, 5);
+
+      expect(result).toEqual(expect.objectContaining({ productId: 5, variantId: 10, status: 'ACTIVE' }));
+      expect(mockStockHoldRepository.place).toHaveBeenCalledWith(
+        expect.objectContaining({ productId: 5, variantId: 10 }),
+        expect.any(Function)
+      );
+    });
+
+    it('should require a variant of a product with variants', async () => {
+      await expect(stockHoldUseCases.placeHold({ storeId: 1, productId: 5, quantity: 2 }, 5))
+        .rejects.toThrow('Product 5 has variants: stock is kept per variant');
+      await expect(stockHoldUseCases.placeHold({ storeId: 1, productId: 5, variantId: 11, quantity: 2 }, 5))
+        .rejects.toThrow('Variant 11 of product 5 not found');
+
+      expect(mockStockHoldRepository.place).not.toHaveBeenCalled();
+    });
+
+    it('should report a missing stock record as stock not found', async () => {
+      mockStockHoldRepository.place.mockRejectedValue(new Error('Stock record not found for store 1 and product 1'));
+
+      await expect(stockHoldUseCases.placeHold({ storeId: 1, productId: 1, quantity: 2 }, 5))
+        .rejects.toThrow('Stock not found');
+    });
+
+    it('should pass on insufficient available stock', async () => {
+      mockStockHoldRepository.place.mockRejectedValue(
+        new Error('Insufficient stock for product 1. Available: 1, Requested adjustment: -2')
+      );
+
+      await expect(stockHoldUseCases.placeHold({ storeId: 1, productId: 1, quantity: 2 }, 5))
+        .rejects.toThrow('Insufficient stock for product 1');
+    });
+  });
+
+  describe('releaseHold', () => {
+    it('should release an active hold', async () => {
+      mockStockHoldRepository.findById.mockResolvedValue(hold());
+
+      const result = await stockHoldUseCases.releaseHold(7);
+
+      expect(result.status).toBe('RELEASED');
+      expect(mockStockHoldRepository.close).toHaveBeenCalledWith(7, { status: 'RELEASED', now: expect.any(Date) }, expect.any(Function));
+    });
+
+    it('should only let customers release their own holds', async () => {
+      mockStockHoldRepository.findById.mockResolvedValue(hold());
+
+      await expect(stockHoldUseCases.releaseHold(7, 6)).rejects.toThrow('Stock hold belongs to another customer');
+      await expect(stockHoldUseCases.getHold(7, 6)).rejects.toThrow('Stock hold belongs to another customer');
+      expect(mockStockHoldRepository.close).not.toHaveBeenCalled();
+
+      await stockHoldUseCases.releaseHold(7, 5);
+      expect(mockStockHoldRepository.close).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject a hold that is already closed', async () => {
+      mockStockHoldRepository.findById.mockResolvedValue(hold('EXPIRED'));
+
+      await expect(stockHoldUseCases.releaseHold(7)).rejects.toThrow(StockHoldNotActiveError);
+      expect(mockStockHoldRepository.close).not.toHaveBeenCalled();
+    });
+
+    it('should reject a missing hold', async () => {
+      mockStockHoldRepository.findById.mockResolvedValue(null);
+
+      await expect(stockHoldUseCases.releaseHold(7)).rejects.toThrow('Stock hold not found');
+    });
+  });
+
+  describe('convertHold', () => {
+    const sale = { saleId: 42, storeId: 1, productId: 1, userId: 5, quantity: 2 };
+
+    it('should convert the hold to the sale', async () => {
+      mockStockHoldRepository.findById.mockResolvedValue(hold());
+
+      const result = await stockHoldUseCases.convertHold(7, sale);
+
+      expect(result).toEqual(expect.objectContaining({ status: 'CONVERTED', saleId: 42 }));
+      const events = mockStockHoldRepository.close.mock.calls[0][2]!;
+      const [event] = events(await mockStockHoldRepository.close.mock.results[0].value);
+      expect(event.eventData).toEqual(expect.objectContaining({ holdId: 7, status: 'CONVERTED', saleId: 42 }));
+    });
+
+    it('should reject an expired hold still waiting for the expiry worker', async () => {
+      mockStockHoldRepository.findById.mockResolvedValue(hold('ACTIVE', new Date(Date.now() - 1000)));
+
+      await expect(stockHoldUseCases.convertHold(7, sale)).rejects.toThrow('Stock hold has expired');
+      expect(mockStockHoldRepository.close).not.toHaveBeenCalled();
+    });
+
+    it('should reject a sale that does not match the hold', async () => {
+      mockStockHoldRepository.findById.mockResolvedValue(hold());
+
+      await expect(stockHoldUseCases.convertHold(7, { ...sale, userId: 6 }))
+        .rejects.toThrow('Stock hold is for another customer');
+      await expect(stockHoldUseCases.convertHold(7, { ...sale, quantity: 3 }))
+        .rejects.toThrow('Stock hold is for 2 units, not 3');
+      await expect(stockHoldUseCases.convertHold(7, { ...sale, storeId: 2 }))
+        .rejects.toThrow('Stock hold is for another store or product');
+      await expect(stockHoldUseCases.convertHold(7, { ...sale, variantId: 10 }))
+        .rejects.toThrow('Stock hold is for another store or product');
+    });
+  });
+
+  describe('reinstateHold', () => {
+    it('should reinstate a hold converted to the failed sale', async () => {
+      const converted = new StockHold(7, 1, 1, 5, 2, 'CONVERTED', new Date(Date.now() + HOUR_MS), new Date(), new Date(), 42);
+      mockStockHoldRepository.findById.mockResolvedValue(converted);
+      mockStockHoldRepository.reinstate.mockResolvedValueOnce(hold());
+
+      const result = await stockHoldUseCases.reinstateHold(7, { saleId: 42 });
+
+      expect(result.status).toBe('ACTIVE');
+      expect(mockStockHoldRepository.reinstate).toHaveBeenCalledWith(7, 42, expect.any(Function));
+      const events = mockStockHoldRepository.reinstate.mock.calls[0][2]!;
+      const [event] = events(hold());
+      expect(event.eventType).toBe('STOCK_HOLD_REINSTATED');
+      expect(event.eventData).toEqual(expect.objectContaining({ holdId: 7, quantity: 2, saleId: 42 }));
+    });
+
+    it('should return a hold already active again without reinstating it twice', async () => {
+      mockStockHoldRepository.findById.mockResolvedValue(hold());
+
+      const result = await stockHoldUseCases.reinstateHold(7, { saleId: 42 });
+
+      expect(result.status).toBe('ACTIVE');
+      expect(mockStockHoldRepository.reinstate).not.toHaveBeenCalled();
+    });
+
+    it('should leave a hold converted to another sale alone', async () => {
+      const converted = new StockHold(7, 1, 1, 5, 2, 'CONVERTED', new Date(Date.now() + HOUR_MS), new Date(), new Date(), 43);
+      mockStockHoldRepository.findById.mockResolvedValue(converted);
+
+      const result = await stockHoldUseCases.reinstateHold(7, { saleId: 42 });
+
+      expect(result).toEqual(expect.objectContaining({ status: 'CONVERTED', saleId: 43 }));
+      expect(mockStockHoldRepository.reinstate).not.toHaveBeenCalled();
+    });
+
+    it('should reject an unknown hold', async () => {
+      mockStockHoldRepository.findById.mockResolvedValue(null);
+
+      await expect(stockHoldUseCases.reinstateHold(7, { saleId: 42 })).rejects.toThrow('Stock hold not found');
+    });
+  });
+
+  describe('expireHolds', () => {
+    it('should expire the holds past their expiry', async () => {
+      const now = new Date();
+      mockStockHoldRepository.findExpired.mockResolvedValue([hold('ACTIVE', new Date(now.getTime() - 1000))]);
+
+      const expired = await stockHoldUseCases.expireHolds(now, 50);
+
+      expect(expired).toBe(1);
+      expect(mockStockHoldRepository.findExpired).toHaveBeenCalledWith(now, 50);
+      expect(mockStockHoldRepository.close).toHaveBeenCalledWith(7, { status: 'EXPIRED', now }, expect.any(Function));
+    });
+
+    it('should skip holds closed meanwhile', async () => {
+      mockStockHoldRepository.findExpired.mockResolvedValue([hold('ACTIVE', new Date(Date.now() - 1000))]);
+      mockStockHoldRepository.close.mockRejectedValue(new StockHoldNotActiveError(7));
+
+      await expect(stockHoldUseCases.expireHolds()).resolves.toBe(0);
+    });
+  });
+});
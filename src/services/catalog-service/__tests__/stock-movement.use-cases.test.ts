@@ -0,0 +1,97 @@
+import { StockMovementUseCases } from '../application/use-cases/stock-movement.use-cases';
+import { IStockMovementRepository } from '../domain/repositories/stock-movement.repository';
+import { StockMovement } from '../domain/entities/stock-movement.entity';
+
+const mockStockMovementRepository: jest.Mocked<IStockMovementRepository> = {
+  findByStockId: jest.fn(),
+  findBalance: jest.fn(),
+  findDrift: jest.fn(),
+  recordOpeningBalances: jest.fn(),
+};
+
+// Stock 3 of product 2 at store 1 with 8 units on hand
+const balance = (ledgerQuantity: number = 8) => ({ stockId: 3, storeId: 1, productId: 2, quantity: 8, ledgerQuantity });
+
+describe('StockMovementUseCases', () => {
+  let stockMovementUseCases: StockMovementUseCases;
+
+  beforeEach(() => {
+    stockMovementUseCases = new StockMovementUseCases(mockStockMovementRepository);
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getMovements', () => {
+    it('should return a page of movements with their reason, reference and actor', async () => {
+      const createdAt = new Date();
+      mockStockMovementRepository.findBalance.mockResolvedValue(balance());
+      mockStockMovementRepository.findByStockId.mockResolvedValue({
+        data: [
+          new StockMovement(12, 3, 1, 2, -2, 8, 'SALE', createdAt, 'SALE', 42, 5),
+          new StockMovement(11, 3, 1, 2, 10, 10, 'INITIAL', createdAt)
+        ],
+        total: 2,
+        page: 1,
+        limit: 50,
+        totalPages: 1
+      });
+
+      const result = await stockMovementUseCases.getMovements(3);
+
+      expect(mockStockMovementRepository.findByStockId).toHaveBeenCalledWith(3, 1, 50);
+      expect(result.total).toBe(2);
+      expect(result.data).toEqual([
+        { id: 12, stockId: 3, storeId: 1, productId: 2, delta: -2, quantityAfter: 8, reason: 'SALE',
+          referenceType: 'SALE', referenceId: 42, actorId: 5, createdAt },
+        { id: 11, stockId: 3, storeId: 1, productId: 2, delta: 10, quantityAfter: 10, reason: 'INITIAL', createdAt }
+      ]);
+    });
+
+    it('should reject invalid pages and unknown stock', async () => {
+      await expect(stockMovementUseCases.getMovements(3, 0)).rejects.toThrow('Page must be a positive integer');
+      await expect(stockMovementUseCases.getMovements(3, 1, 500)).rejects.toThrow('Limit must be between 1 and 200');
+
+      mockStockMovementRepository.findBalance.mockResolvedValue(null);
+      await expect(stockMovementUseCases.getMovements(3)).rejects.toThrow('Stock not found');
+      expect(mockStockMovementRepository.findByStockId).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getBalance', () => {
+    it('should report no drift when the ledger adds up to the quantity', async () => {
+      mockStockMovementRepository.findBalance.mockResolvedValue(balance());
+
+      const result = await stockMovementUseCases.getBalance(3);
+
+      expect(result).toEqual({ ...balance(), drift: 0 });
+    });
+
+    it('should report the units the ledger cannot explain as drift', async () => {
+      mockStockMovementRepository.findBalance.mockResolvedValue(balance(5));
+
+      const result = await stockMovementUseCases.getBalance(3);
+
+      expect(result.drift).toBe(3);
+    });
+  });
+
+  describe('getDrift', () => {
+    it('should list the drifting stock records', async () => {
+      mockStockMovementRepository.findDrift.mockResolvedValue([balance(10)]);
+
+      const result = await stockMovementUseCases.getDrift();
+
+      expect(result).toEqual([{ ...balance(10), drift: -2 }]);
+    });
+  });
+
+  describe('recordOpeningBalances', () => {
+    it('should give the stock records without movements an opening movement', async () => {
+      mockStockMovementRepository.recordOpeningBalances.mockResolvedValue(3);
+
+      await expect(stockMovementUseCases.recordOpeningBalances()).resolves.toBe(3);
+    });
+  });
+});
@@ -2,9 +2,10 @@ import { StockUseCases } from '../application/use-cases/stock.use-cases';
 import { IStockRepository } from '../domain/repositories/stock.repository';
 import { IProductRepository } from '../domain/repositories/product.repository';
 import { IStoreRepository } from '../domain/repositories/store.repository';
-import { Stock } from '../domain/entities/stock.entity';
+import { InsufficientStockError, Stock } from '../domain/entities/stock.entity';
 import { Product } from '../domain/entities/product.entity';
 import { Store } from '../domain/entities/store.entity';
+import { ProductVariant } from '../domain/entities/product-variant.entity';
 
 // Mock the repositories
 const mockStockRepository: jest.Mocked<IStockRepository> = {
@@ -18,6 +19,10 @@ const mockStockRepository: jest.Mocked<IStockRepository> = {
   findByStoreAndProduct: jest.fn(),
   findLowStock: jest.fn(),
   adjustStock: jest.fn(),
+  adjustStocks: jest.fn(),
+  reserveStocks: jest.fn(),
+  releaseSale: jest.fn(),
+  revertExchange: jest.fn(),
   exists: jest.fn(),
   count: jest.fn(),
   saveMany: jest.fn(),
@@ -33,6 +38,11 @@ const mockProductRepository: jest.Mocked<IProductRepository> = {
   delete: jest.fn(),
   findByName: jest.fn(),
   findByPriceRange: jest.fn(),
+  findByCategoryIds: jest.fn(),
+  findByBarcode: jest.fn(),
+  findBySku: jest.fn(),
+  search: jest.fn(),
+  suggest: jest.fn(),
   exists: jest.fn(),
   count: jest.fn(),
   saveMany: jest.fn(),
@@ -47,6 +57,8 @@ const mockStoreRepository: jest.Mocked<IStoreRepository> = {
   update: jest.fn(),
   delete: jest.fn(),
   findByName: jest.fn(),
+  findTaxRules: jest.fn(),
+  replaceTaxRules: jest.fn(),
   exists: jest.fn(),
   count: jest.fn(),
   saveMany: jest.fn(),
@@ -86,6 +98,14 @@ describe('StockUseCases', () => {
       expect(mockStockRepository.findByStoreId).toHaveBeenCalledWith(1);
     });
 
+    it('should report the units on hand, on hold and available', async () => {
+      mockStockRepository.findByStoreId.mockResolvedValue([new Stock(1, 1, 10, 1, 4)]);
+
+      const [stock] = await stockUseCases.getStockByStore(1);
+
+      expect(stock).toEqual(expect.objectContaining({ quantity: 10, onHand: 10, held: 4, available: 6 }));
+    });
+
     it('should return empty array when store has no stock', async () => {
       mockStockRepository.findByStoreId.mockResolvedValue([]);
 
@@ -125,7 +145,7 @@ describe('StockUseCases', () => {
 
       expect(result.quantity).toBe(20);
       expect(mockStockRepository.findById).toHaveBeenCalledWith(1);
-      expect(mockStockRepository.update).toHaveBeenCalledWith(1, expect.any(Object));
+      expect(mockStockRepository.update).toHaveBeenCalledWith(1, expect.any(Object), expect.any(Function), { reason: 'CORRECTION' });
     });
 
     it('should throw error when stock item not found', async () => {
@@ -141,15 +161,20 @@ describe('StockUseCases', () => {
       const existingStock = new Stock(1, 1, 10, 1);
 
       mockStockRepository.findByStoreAndProduct.mockResolvedValue(existingStock);
-      mockStockRepository.update.mockResolvedValue(existingStock);
+      mockStockRepository.adjustStock.mockResolvedValue(new Stock(1, 1, 8, 1));
 
-      const reservationDto = { storeId: 1, productId: 1, quantity: 2 };
+      const reservationDto = { storeId: 1, productId: 1, quantity: 2, saleId: 42, actorId: 5 };
 
       const result = await stockUseCases.reserveStock(reservationDto);
 
       expect(result).toBe(true);
-      expect(mockStockRepository.findByStoreAndProduct).toHaveBeenCalledWith(1, 1);
-      expect(mockStockRepository.update).toHaveBeenCalled();
+      expect(mockStockRepository.findByStoreAndProduct).toHaveBeenCalledWith(1, 1, undefined);
+      expect(mockStockRepository.adjustStock).toHaveBeenCalledWith(1, 1, -2, {
+        reason: 'SALE',
+        referenceType: 'SALE',
+        referenceId: 42,
+        actorId: 5
+      }, expect.any(Function), undefined);
     });
 
     it('should return false when insufficient stock available', async () => {
@@ -164,6 +189,26 @@ describe('StockUseCases', () => {
       expect(result).toBe(false);
     });
 
+    it('should not reserve units on hold', async () => {
+      mockStockRepository.findByStoreAndProduct.mockResolvedValue(new Stock(1, 1, 10, 1, 8));
+
+      const result = await stockUseCases.reserveStock({ storeId: 1, productId: 1, quantity: 3 });
+
+      expect(result).toBe(false);
+      expect(mockStockRepository.adjustStock).not.toHaveBeenCalled();
+    });
+
+    it('should return false when the units are taken by a concurrent change', async () => {
+      mockStockRepository.findByStoreAndProduct.mockResolvedValue(new Stock(1, 1, 10, 1));
+      mockStockRepository.adjustStock.mockRejectedValue(
+        new Error('Insufficient stock for product 1. Available: 1, Requested adjustment: -2')
+      );
+
+      const result = await stockUseCases.reserveStock({ storeId: 1, productId: 1, quantity: 2 });
+
+      expect(result).toBe(false);
+    });
+
     it('should throw error when stock item not found for reservation', async () => {
       mockStockRepository.findByStoreAndProduct.mockResolvedValue(null);
 
@@ -174,6 +219,63 @@ describe('StockUseCases', () => {
     });
   });
 
+  describe('releaseStock', () => {
+    it('should restore the released quantity', async () => {
+      const existingStock = new Stock(1, 1, 8, 1);
+
+      mockStockRepository.findByStoreAndProduct.mockResolvedValue(existingStock);
+      mockStockRepository.adjustStock.mockResolvedValue(new Stock(1, 1, 10, 1));
+
+      const result = await stockUseCases.releaseStock({ storeId: 1, productId: 1, quantity: 2 });
+
+      expect(result.quantity).toBe(10);
+      expect(mockStockRepository.adjustStock).toHaveBeenCalledWith(1, 1, 2, { reason: 'RELEASE' }, expect.any(Function), undefined);
+    });
+
+    it('should throw error when stock item not found for release', async () => {
+      mockStockRepository.findByStoreAndProduct.mockResolvedValue(null);
+
+      await expect(stockUseCases.releaseStock({ storeId: 1, productId: 1, quantity: 2 }))
+        .rejects.toThrow('Stock not found');
+    });
+  });
+
+  describe('releaseSaleStock', () => {
+    it('should release the units still reserved for the sale', async () => {
+      mockStockRepository.releaseSale.mockResolvedValue([{ stock: new Stock(1, 2, 10, 3), quantity: 2 }]);
+
+      const result = await stockUseCases.releaseSaleStock({ saleId: 42, actorId: 5 });
+
+      expect(result).toEqual([expect.objectContaining({ productId: 2, quantity: 10 })]);
+      expect(mockStockRepository.releaseSale).toHaveBeenCalledWith(42, 5, expect.any(Function), false);
+      const events = mockStockRepository.releaseSale.mock.calls[0][2]!;
+      const [event] = events([{ stock: new Stock(1, 2, 10, 3), quantity: 2 }]);
+      expect(event).toEqual(expect.objectContaining({
+        eventType: 'STOCK_RELEASED',
+        eventData: expect.objectContaining({ productId: 2, quantity: 2, reason: 'SALE_CANCELLED' })
+      }));
+    });
+
+    it('should release the units of converted holds too when asked', async () => {
+      mockStockRepository.releaseSale.mockResolvedValue([]);
+
+      await stockUseCases.releaseSaleStock({ saleId: 42, includeHolds: true });
+
+      expect(mockStockRepository.releaseSale).toHaveBeenCalledWith(42, undefined, expect.any(Function), true);
+    });
+
+    it('should release nothing when the sale has no units left reserved', async () => {
+      mockStockRepository.releaseSale.mockResolvedValue([]);
+
+      await expect(stockUseCases.releaseSaleStock({ saleId: 42 })).resolves.toEqual([]);
+    });
+
+    it('should require the sale', async () => {
+      await expect(stockUseCases.releaseSaleStock({} as any)).rejects.toThrow('saleId is required to release the stock of a sale');
+      expect(mockStockRepository.releaseSale).not.toHaveBeenCalled();
+    });
+  });
+
   describe('adjustStock', () => {
     it('should adjust stock quantity for restock', async () => {
       const existingStock = new Stock(1, 1, 10, 1);
@@ -190,7 +292,7 @@ describe('StockUseCases', () => {
 
       expect(result.storeId).toBe(1);
       expect(result.productId).toBe(1);
-      expect(mockStockRepository.adjustStock).toHaveBeenCalledWith(1, 1, 15);
+      expect(mockStockRepository.adjustStock).toHaveBeenCalledWith(1, 1, 15, { reason: 'RESTOCK' }, expect.any(Function), undefined);
     });
 
     it('should adjust stock quantity for refund', async () => {
@@ -202,13 +304,18 @@ describe('StockUseCases', () => {
       mockStoreRepository.findById.mockResolvedValue(store);
       mockProductRepository.findById.mockResolvedValue(product);
 
-      const adjustmentDto = { storeId: 1, productId: 1, quantity: 3, reason: 'REFUND' as const };
+      const adjustmentDto = { storeId: 1, productId: 1, quantity: 3, reason: 'REFUND' as const, referenceId: 8, actorId: 5 };
 
       const result = await stockUseCases.adjustStock(adjustmentDto);
 
       expect(result.storeId).toBe(1);
       expect(result.productId).toBe(1);
-      expect(mockStockRepository.adjustStock).toHaveBeenCalledWith(1, 1, 3);
+      expect(mockStockRepository.adjustStock).toHaveBeenCalledWith(1, 1, 3, {
+        reason: 'REFUND',
+        referenceType: 'REFUND',
+        referenceId: 8,
+        actorId: 5
+      }, expect.any(Function), undefined);
     });
 
     it('should throw error when stock not found for adjustment', async () => {
@@ -221,6 +328,138 @@ describe('StockUseCases', () => {
     });
   });
 
+  describe('exchangeStock', () => {
+    it('should return units to stock and take the issued units out in one adjustment', async () => {
+      mockStockRepository.adjustStocks.mockResolvedValue([new Stock(1, 1, 11, 1), new Stock(1, 2, 4, 2)]);
+      mockStoreRepository.findById.mockResolvedValue(new Store(1, 'Test Store', 'Test Address'));
+      mockProductRepository.findById.mockResolvedValue(new Product(1, 'Test Product', 99.99, 'Test Description'));
+
+      const result = await stockUseCases.exchangeStock({
+        storeId: 1,
+        returned: [{ productId: 1, quantity: 1 }],
+        issued: [{ productId: 2, quantity: 2 }]
+      });
+
+      expect(result.map(stock => stock.quantity)).toEqual([11, 4]);
+      expect(mockStockRepository.adjustStocks).toHaveBeenCalledWith(1, [
+        { productId: 1, quantity: 1 },
+        { productId: 2, quantity: -2 }
+      ], { reason: 'EXCHANGE' }, expect.any(Function));
+
+      const events = mockStockRepository.adjustStocks.mock.calls[0][3]!(await mockStockRepository.adjustStocks.mock.results[0].value);
+      expect(events.map(event => event.eventData)).toEqual([
+        { storeId: 1, productId: 1, oldQuantity: 10, newQuantity: 11, reason: 'REFUND' },
+        { storeId: 1, productId: 2, oldQuantity: 6, newQuantity: 4, reason: 'SALE' }
+      ]);
+    });
+
+    it('should reject non-positive quantities', async () => {
+      await expect(stockUseCases.exchangeStock({
+        storeId: 1,
+        returned: [{ productId: 1, quantity: 1 }],
+        issued: [{ productId: 2, quantity: 0 }]
+      })).rejects.toThrow('Invalid quantity for product 2');
+      expect(mockStockRepository.adjustStocks).not.toHaveBeenCalled();
+    });
+
+    it('should pass on insufficient stock for an issued product', async () => {
+      mockStockRepository.adjustStocks.mockRejectedValue(
+        new Error('Insufficient stock for product 2. Current: 1, Requested adjustment: -2')
+      );
+
+      await expect(stockUseCases.exchangeStock({
+        storeId: 1,
+        returned: [{ productId: 1, quantity: 1 }],
+        issued: [{ productId: 2, quantity: 2 }]
+      })).rejects.toThrow('Insufficient stock for product 2');
+    });
+
+    it('should record the units under the exchange when an exchange ID is given', async () => {
+      mockStockRepository.adjustStocks.mockResolvedValue([new Stock(1, 1, 11, 1)]);
+
+      await stockUseCases.exchangeStock({
+        storeId: 1,
+        returned: [{ productId: 1, quantity: 1 }],
+        issued: [],
+        saleId: 42,
+        exchangeId: 7,
+        actorId: 5
+      });
+
+      expect(mockStockRepository.adjustStocks).toHaveBeenCalledWith(1, [{ productId: 1, quantity: 1 }], {
+        reason: 'EXCHANGE', referenceType: 'EXCHANGE', referenceId: 7, actorId: 5
+      }, expect.any(Function));
+    });
+  });
+
+  describe('revertExchangeStock', () => {
+    it('should undo the units the exchange moved', async () => {
+      mockStockRepository.revertExchange.mockResolvedValue([{ stock: new Stock(1, 1, 10, 1), quantity: -1 }]);
+
+      const result = await stockUseCases.revertExchangeStock({ exchangeId: 7, actorId: 5 });
+
+      expect(result).toEqual([expect.objectContaining({ productId: 1, quantity: 10 })]);
+      expect(mockStockRepository.revertExchange).toHaveBeenCalledWith(7, 5, expect.any(Function));
+      const events = mockStockRepository.revertExchange.mock.calls[0][2]!;
+      expect(events([{ stock: new Stock(1, 1, 10, 1), quantity: -1 }])[0].eventData).toEqual(
+        expect.objectContaining({ oldQuantity: 11, newQuantity: 10 })
+      );
+    });
+
+    it('should require the exchange', async () => {
+      await expect(stockUseCases.revertExchangeStock({} as any))
+        .rejects.toThrow('exchangeId is required to revert the stock of an exchange');
+      expect(mockStockRepository.revertExchange).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('reserveStocks', () => {
+    it('should reserve every line of the cart in one call', async () => {
+      mockStockRepository.reserveStocks.mockResolvedValue([new Stock(1, 1, 7, 1), new Stock(1, 2, 4, 2)]);
+      mockStoreRepository.findById.mockResolvedValue(new Store(1, 'Test Store', 'Test Address'));
+      mockProductRepository.findById.mockResolvedValue(new Product(1, 'Test Product', 99.99, 'Test Description'));
+
+      const result = await stockUseCases.reserveStocks({
+        storeId: 1,
+        lines: [{ productId: 2, quantity: 2 }, { productId: 1, quantity: 2 }, { productId: 1, quantity: 1 }]
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.stocks!.map(stock => stock.quantity)).toEqual([7, 4]);
+      expect(mockStockRepository.reserveStocks).toHaveBeenCalledTimes(1);
+
+      // Lines of the same product are reported as one change
+      const events = mockStockRepository.reserveStocks.mock.calls[0][3]!(await mockStockRepository.reserveStocks.mock.results[0].value);
+      expect(events.map(event => event.eventData)).toEqual([
+        { storeId: 1, productId: 1, oldQuantity: 10, newQuantity: 7, reason: 'SALE' },
+        { storeId: 1, productId: 2, oldQuantity: 6, newQuantity: 4, reason: 'SALE' }
+      ]);
+    });
+
+    it('should report every shortage when nothing could be reserved', async () => {
+      const shortages = [
+        { productId: 2, requested: 3, available: 1 },
+        { productId: 5, requested: 1, available: 0 }
+      ];
+      mockStockRepository.reserveStocks.mockRejectedValue(new InsufficientStockError(1, shortages));
+
+      const result = await stockUseCases.reserveStocks({
+        storeId: 1,
+        lines: [{ productId: 1, quantity: 1 }, { productId: 2, quantity: 3 }, { productId: 5, quantity: 1 }]
+      });
+
+      expect(result).toEqual({ success: false, shortages });
+    });
+
+    it('should reject an empty cart and non-positive quantities', async () => {
+      await expect(stockUseCases.reserveStocks({ storeId: 1, lines: [] }))
+        .rejects.toThrow('A reservation needs at least one line');
+      await expect(stockUseCases.reserveStocks({ storeId: 1, lines: [{ productId: 1, quantity: -1 }] }))
+        .rejects.toThrow('Invalid quantity for product 1');
+      expect(mockStockRepository.reserveStocks).not.toHaveBeenCalled();
+    });
+  });
+
   describe('getLowStockItems', () => {
     it('should return items with stock below threshold', async () => {
       const lowStockItems = [
@@ -266,6 +505,37 @@ describe('StockUseCases', () => {
       expect(mockStockRepository.save).toHaveBeenCalled();
     });
 
+    it('should create the stock of a variant', async () => {
+      const store = new Store(1, 'Test Store', 'Test Address');
+      const product = new Product(1, 'T-shirt', 20, undefined, 'STANDARD', {}, null, 'TSHIRT', [],
+        [{ name: 'Size', values: ['S', 'M'] }], [new ProductVariant(10, 1, 'TSHIRT-1', { Size: 'S' })]);
+
+      mockStoreRepository.findById.mockResolvedValue(store);
+      mockProductRepository.findById.mockResolvedValue(product);
+      mockStockRepository.findByStoreAndProduct.mockResolvedValue(null);
+      mockStockRepository.save.mockResolvedValue(new Stock(1, 1, 5, 3, 0, 10));
+
+      const result = await stockUseCases.createStock({ storeId: 1, productId: 1, variantId: 10, quantity: 5 });
+
+      expect(mockStockRepository.findByStoreAndProduct).toHaveBeenCalledWith(1, 1, 10);
+      expect(mockStockRepository.save).toHaveBeenCalledWith(expect.objectContaining({ variantId: 10, quantity: 5 }));
+      expect(result.variantId).toBe(10);
+    });
+
+    it('should keep the stock of a product with variants per variant', async () => {
+      const product = new Product(1, 'T-shirt', 20, undefined, 'STANDARD', {}, null, 'TSHIRT', [],
+        [{ name: 'Size', values: ['S', 'M'] }], [new ProductVariant(10, 1, 'TSHIRT-1', { Size: 'S' })]);
+
+      mockStoreRepository.findById.mockResolvedValue(new Store(1, 'Test Store', 'Test Address'));
+      mockProductRepository.findById.mockResolvedValue(product);
+
+      await expect(stockUseCases.createStock({ storeId: 1, productId: 1, quantity: 5 }))
+        .rejects.toThrow('Product 1 has variants: stock is kept per variant');
+      await expect(stockUseCases.createStock({ storeId: 1, productId: 1, variantId: 11, quantity: 5 }))
+        .rejects.toThrow('Variant not found');
+      expect(mockStockRepository.save).not.toHaveBeenCalled();
+    });
+
     it('should throw error when store not found', async () => {
       const stockData = { storeId: 999, productId: 1, quantity: 50 };
 
@@ -333,7 +603,7 @@ describe('StockUseCases', () => {
       const existingStock = new Stock(1, 1, 10, 1);
       
       mockStockRepository.findByStoreAndProduct.mockResolvedValue(existingStock);
-      mockStockRepository.update.mockResolvedValue(existingStock);
+      mockStockRepository.adjustStock.mockResolvedValue(existingStock);
 
       // Simulate concurrent reservations
       const reservation1 = stockUseCases.reserveStock({ storeId: 1, productId: 1, quantity: 2 });
@@ -342,7 +612,7 @@ describe('StockUseCases', () => {
       const results = await Promise.all([reservation1, reservation2]);
 
       expect(results).toHaveLength(2);
-      expect(mockStockRepository.update).toHaveBeenCalledTimes(2);
+      expect(mockStockRepository.adjustStock).toHaveBeenCalledTimes(2);
     });
   });
 });
@@ -0,0 +1,113 @@
+import { StoreUseCases } from '../application/use-cases/store.use-cases';
+import { IStoreRepository } from '../domain/repositories/store.repository';
+import { Store } from '../domain/entities/store.entity';
+import { TaxRule } from '../domain/entities/tax-rule.entity';
+
+const mockStoreRepository = {
+  findById: jest.fn(),
+  save: jest.fn(),
+  update: jest.fn(),
+  findTaxRules: jest.fn(),
+  replaceTaxRules: jest.fn(),
+} as jest.Mocked<Partial<IStoreRepository>> as jest.Mocked<IStoreRepository>;
+
+describe('StoreUseCases', () => {
+  let storeUseCases: StoreUseCases;
+
+  beforeEach(() => {
+    storeUseCases = new StoreUseCases(mockStoreRepository);
+    mockStoreRepository.findById.mockResolvedValue(new Store(1, 'Montreal', '1 Rue Sainte-Catherine'));
+    mockStoreRepository.replaceTaxRules.mockImplementation(async (storeId, rules) =>
+      rules.map((rule, index) => new TaxRule(index + 1, storeId, rule.code, rule.name, rule.rate, rule.taxCategory))
+    );
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('createStore', () => {
+    it('should record the currency of the store', async () => {
+      mockStoreRepository.save.mockImplementation(async (store) => new Store(2, store.name, store.address, store.currency));
+
+      const result = await storeUseCases.createStore({ name: 'Plattsburgh', currency: 'usd' });
+
+      expect(mockStoreRepository.save).toHaveBeenCalledWith(expect.objectContaining({ currency: 'USD' }));
+      expect(result).toEqual({ id: 2, name: 'Plattsburgh', address: '', currency: 'USD' });
+    });
+
+    it('should use the default currency when none is given', async () => {
+      mockStoreRepository.save.mockImplementation(async (store) => new Store(2, store.name, store.address, store.currency));
+
+      const result = await storeUseCases.createStore({ name: 'Quebec' });
+
+      expect(result.currency).toBe('CAD');
+    });
+
+    it('should reject an invalid currency', async () => {
+      await expect(storeUseCases.createStore({ name: 'Plattsburgh', currency: 'dollars' }))
+        .rejects.toThrow('Invalid currency dollars: an ISO 4217 code such as CAD is required');
+      expect(mockStoreRepository.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateStore', () => {
+    it('should change the currency of the store', async () => {
+      mockStoreRepository.update.mockImplementation(async (id, store) => store as Store);
+
+      const result = await storeUseCases.updateStore(1, { currency: 'EUR' });
+
+      expect(result.currency).toBe('EUR');
+    });
+  });
+
+  describe('setTaxRules', () => {
+    it('should replace the tax rules of the store', async () => {
+      const result = await storeUseCases.setTaxRules(1, {
+        rules: [
+          { code: 'gst', name: 'GST', rate: 5 },
+          { code: 'QST', name: 'QST', rate: 9.975 },
+          { code: 'GST', name: 'GST', rate: 5, taxCategory: 'food_prepared' }
+        ]
+      });
+
+      expect(mockStoreRepository.replaceTaxRules).toHaveBeenCalledWith(1, [
+        { code: 'GST', name: 'GST', rate: 5, taxCategory: 'STANDARD' },
+        { code: 'QST', name: 'QST', rate: 9.975, taxCategory: 'STANDARD' },
+        { code: 'GST', name: 'GST', rate: 5, taxCategory: 'FOOD_PREPARED' }
+      ]);
+      expect(result[1]).toEqual({ id: 2, storeId: 1, code: 'QST', name: 'QST', rate: 9.975, taxCategory: 'STANDARD' });
+    });
+
+    it.each([
+      [{ code: '', name: 'GST', rate: 5 }],
+      [{ code: 'GST', name: 'GST', rate: -1 }],
+      [{ code: 'GST', name: 'GST', rate: 101 }]
+    ])('should reject invalid rules %#', async (rule) => {
+      await expect(storeUseCases.setTaxRules(1, { rules: [rule] })).rejects.toThrow('Invalid tax rule');
+      expect(mockStoreRepository.replaceTaxRules).not.toHaveBeenCalled();
+    });
+
+    it('should reject a tax defined twice for the same category', async () => {
+      await expect(storeUseCases.setTaxRules(1, {
+        rules: [{ code: 'GST', name: 'GST', rate: 5 }, { code: 'gst', name: 'GST', rate: 7 }]
+      })).rejects.toThrow('Tax GST is defined twice for tax category STANDARD');
+    });
+
+    it('should throw error when store not found', async () => {
+      mockStoreRepository.findById.mockResolvedValue(null);
+
+      await expect(storeUseCases.setTaxRules(99, { rules: [] })).rejects.toThrow('Store not found');
+    });
+  });
+
+  describe('getTaxRules', () => {
+    it('should return the tax rules of the store', async () => {
+      mockStoreRepository.findTaxRules.mockResolvedValue([new TaxRule(1, 1, 'HST', 'HST', 13)]);
+
+      const result = await storeUseCases.getTaxRules(1);
+
+      expect(result).toEqual([{ id: 1, storeId: 1, code: 'HST', name: 'HST', rate: 13, taxCategory: 'STANDARD' }]);
+    });
+  });
+});
@@ -0,0 +1,63 @@
+import { SupplierUseCases } from '../application/use-cases/supplier.use-cases';
+import { ISupplierRepository } from '../domain/repositories/supplier.repository';
+import { Supplier } from '../domain/entities/supplier.entity';
+
+const mockSupplierRepository: jest.Mocked<ISupplierRepository> = {
+  create: jest.fn(),
+  update: jest.fn(),
+  findById: jest.fn(),
+  findAll: jest.fn(),
+};
+
+const createdAt = new Date('2026-01-05T00:00:00Z');
+
+describe('SupplierUseCases', () => {
+  let supplierUseCases: SupplierUseCases;
+
+  beforeEach(() => {
+    supplierUseCases = new SupplierUseCases(mockSupplierRepository);
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('createSupplier', () => {
+    it('should create a supplier with a default lead time of 7 days', async () => {
+      mockSupplierRepository.create.mockImplementation(async (data) =>
+        new Supplier(3, data.name, data.leadTimeDays, data.email, data.phone, createdAt)
+      );
+
+      const result = await supplierUseCases.createSupplier({ name: ' Acme Wholesale ', email: 'orders@acme.test' });
+
+      expect(mockSupplierRepository.create).toHaveBeenCalledWith({
+        name: 'Acme Wholesale', leadTimeDays: 7, email: 'orders@acme.test', phone: undefined
+      });
+      expect(result).toEqual({ id: 3, name: 'Acme Wholesale', leadTimeDays: 7, email: 'orders@acme.test', createdAt });
+    });
+
+    it('should reject a supplier without a name or with a negative lead time', async () => {
+      await expect(supplierUseCases.createSupplier({ name: '' })).rejects.toThrow('Invalid supplier data');
+      await expect(supplierUseCases.createSupplier({ name: 'Acme', leadTimeDays: -1 })).rejects.toThrow('Invalid supplier data');
+      expect(mockSupplierRepository.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateSupplier', () => {
+    it('should update only the given fields', async () => {
+      mockSupplierRepository.findById.mockResolvedValue(new Supplier(3, 'Acme', 7, undefined, undefined, createdAt));
+      mockSupplierRepository.update.mockResolvedValue(new Supplier(3, 'Acme', 10, undefined, undefined, createdAt));
+
+      const result = await supplierUseCases.updateSupplier(3, { leadTimeDays: 10 });
+
+      expect(mockSupplierRepository.update).toHaveBeenCalledWith(3, { leadTimeDays: 10 });
+      expect(result.leadTimeDays).toBe(10);
+    });
+
+    it('should report a missing supplier', async () => {
+      mockSupplierRepository.findById.mockResolvedValue(null);
+
+      await expect(supplierUseCases.updateSupplier(3, { name: 'Acme' })).rejects.toThrow('Supplier not found');
+    });
+  });
+});
@@ -0,0 +1,322 @@
+import { TransferUseCases } from '../application/use-cases/transfer.use-cases';
+import { ITransferRepository } from '../domain/repositories/transfer.repository';
+import { IStoreRepository } from '../domain/repositories/store.repository';
+import { IProductRepository } from '../domain/repositories/product.repository';
+import { IllegalTransferTransitionError, Transfer, TransferLine, TransferStatus } from '../domain/entities/transfer.entity';
+import { Stock } from '../domain/entities/stock.entity';
+import { Store } from '../domain/entities/store.entity';
+import { Product } from '../domain/entities/product.entity';
+import { ProductVariant } from '../domain/entities/product-variant.entity';
+
+const mockTransferRepository: jest.Mocked<ITransferRepository> = {
+  create: jest.fn(),
+  changeStatus: jest.fn(),
+  ship: jest.fn(),
+  receive: jest.fn(),
+  findById: jest.fn(),
+  findByStoreId: jest.fn(),
+};
+
+const mockStoreRepository = {
+  findById: jest.fn(),
+} as jest.Mocked<Partial<IStoreRepository>> as jest.Mocked<IStoreRepository>;
+
+const mockProductRepository = {
+  findById: jest.fn(),
+} as jest.Mocked<Partial<IProductRepository>> as jest.Mocked<IProductRepository>;
+
+// Transfer 4 of 10 units of product 1 and 5 units of product 2 from store 1 to store 2, requested by user 9
+const transfer = (status: TransferStatus = 'REQUESTED', lines: TransferLine[] = [new TransferLine(1, 10), new TransferLine(2, 5)]) =>
+  new Transfer(4, 1, 2, status, 9, lines, new Date(), status === 'SHIPPED' ? new Date() : undefined);
+
+// Product 4 with variants 10 and 11, stocked per variant
+const tShirt = () => new Product(4, 'T-shirt', 20, undefined, 'STANDARD', {}, null, 'TSHIRT', [],
+  [{ name: 'Size', values: ['S', 'M'] }],
+  [new ProductVariant(10, 4, 'TSHIRT-1', { Size: 'S' }), new ProductVariant(11, 4, 'TSHIRT-2', { Size: 'M' })]);
+
+describe('TransferUseCases', () => {
+  let transferUseCases: TransferUseCases;
+
+  beforeEach(() => {
+    transferUseCases = new TransferUseCases(mockTransferRepository, mockStoreRepository, mockProductRepository);
+
+    mockStoreRepository.findById.mockImplementation(async (id) => new Store(id, `Store ${id}`, 'Address'));
+    mockProductRepository.findById.mockImplementation(async (id) => new Product(id, `Product ${id}`, 10.0));
+    mockTransferRepository.create.mockImplementation(async (data) =>
+      new Transfer(4, data.fromStoreId, data.toStoreId, 'REQUESTED', data.requestedBy,
+        data.lines.map(line => new TransferLine(line.productId, line.quantity)), new Date())
+    );
+    mockTransferRepository.changeStatus.mockImplementation(async (id, change) => transfer(change.to));
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('requestTransfer', () => {
+    it('should request the transfer and audit the request', async () => {
+      const result = await transferUseCases.requestTransfer({
+        fromStoreId: 1,
+        toStoreId: 2,
+        lines: [{ productId: 1, quantity: 10 }],
+        note: 'Weekend promotion'
+      }, 9);
+
+      expect(result).toEqual(expect.objectContaining({ id: 4, status: 'REQUESTED', requestedBy: 9 }));
+      expect(mockTransferRepository.create).toHaveBeenCalledWith({
+        fromStoreId: 1,
+        toStoreId: 2,
+        requestedBy: 9,
+        note: 'Weekend promotion',
+        lines: [{ productId: 1, quantity: 10 }]
+      }, expect.any(Function));
+
+      const events = mockTransferRepository.create.mock.calls[0][1]!;
+      const [event] = events(await mockTransferRepository.create.mock.results[0].value);
+      expect(event).toEqual(expect.objectContaining({
+        eventType: 'TRANSFER_STATUS_CHANGED',
+        eventData: expect.objectContaining({ transferId: 4, fromStatus: null, toStatus: 'REQUESTED', changedBy: 9 })
+      }));
+    });
+
+    it('should reject a transfer to the same store, without lines or with invalid lines', async () => {
+      await expect(transferUseCases.requestTransfer({ fromStoreId: 1, toStoreId: 1, lines: [{ productId: 1, quantity: 1 }] }, 9))
+        .rejects.toThrow('A transfer must be between two different stores');
+      await expect(transferUseCases.requestTransfer({ fromStoreId: 1, toStoreId: 2, lines: [] }, 9))
+        .rejects.toThrow('A transfer needs at least one line');
+      await expect(transferUseCases.requestTransfer({ fromStoreId: 1, toStoreId: 2, lines: [{ productId: 1, quantity: 0 }] }, 9))
+        .rejects.toThrow('Invalid quantity for product 1');
+      await expect(transferUseCases.requestTransfer({
+        fromStoreId: 1,
+        toStoreId: 2,
+        lines: [{ productId: 1, quantity: 1 }, { productId: 1, quantity: 2 }]
+      }, 9)).rejects.toThrow('Product 1 is listed more than once');
+
+      expect(mockTransferRepository.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject unknown stores and products', async () => {
+      mockStoreRepository.findById.mockResolvedValueOnce(null);
+      await expect(transferUseCases.requestTransfer({ fromStoreId: 1, toStoreId: 2, lines: [{ productId: 1, quantity: 1 }] }, 9))
+        .rejects.toThrow('Store not found');
+
+      mockProductRepository.findById.mockResolvedValueOnce(null);
+      await expect(transferUseCases.requestTransfer({ fromStoreId: 1, toStoreId: 2, lines: [{ productId: 3, quantity: 1 }] }, 9))
+        .rejects.toThrow('Product 3 not found');
+    });
+
+    it('should transfer products with variants per variant', async () => {
+      mockProductRepository.findById.mockResolvedValue(tShirt());
+      mockTransferRepository.create.mockImplementationOnce(async (data) =>
+        new Transfer(4, data.fromStoreId, data.toStoreId, 'REQUESTED', data.requestedBy,
+          data.lines.map(line => new TransferLine(line.productId, line.quantity, undefined, undefined, line.variantId)), new Date())
+      );
+
+      const result = await transferUseCases.requestTransfer({
+        fromStoreId: 1,
+        toStoreId: 2,
+        lines: [{ productId: 4, variantId: 10, quantity: 1 }, { productId: 4, variantId: 11, quantity: 2 }]
+      }, 9);
+
+      expect(result.lines).toEqual([
+        expect.objectContaining({ productId: 4, variantId: 10, quantity: 1 }),
+        expect.objectContaining({ productId: 4, variantId: 11, quantity: 2 })
+      ]);
+      expect(mockTransferRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+        lines: [{ productId: 4, variantId: 10, quantity: 1 }, { productId: 4, variantId: 11, quantity: 2 }]
+      }), expect.any(Function));
+    });
+
+    it('should reject lines of a product with variants that do not name one of its variants', async () => {
+      mockProductRepository.findById.mockResolvedValue(tShirt());
+
+      await expect(transferUseCases.requestTransfer({ fromStoreId: 1, toStoreId: 2, lines: [{ productId: 4, quantity: 1 }] }, 9))
+        .rejects.toThrow('Product 4 has variants: stock is kept per variant');
+      await expect(transferUseCases.requestTransfer({
+        fromStoreId: 1,
+        toStoreId: 2,
+        lines: [{ productId: 4, variantId: 12, quantity: 1 }]
+      }, 9)).rejects.toThrow('Variant 12 of product 4 not found');
+      await expect(transferUseCases.requestTransfer({
+        fromStoreId: 1,
+        toStoreId: 2,
+        lines: [{ productId: 4, variantId: 10, quantity: 1 }, { productId: 4, variantId: 10, quantity: 2 }]
+      }, 9)).rejects.toThrow('Variant 10 of product 4 is listed more than once');
+      expect(mockTransferRepository.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('approveTransfer and cancelTransfer', () => {
+    it('should approve a requested transfer as the acting user', async () => {
+      mockTransferRepository.findById.mockResolvedValue(transfer('REQUESTED'));
+
+      const result = await transferUseCases.approveTransfer(4, 3, 'Stock is available');
+
+      expect(result.status).toBe('APPROVED');
+      expect(mockTransferRepository.changeStatus).toHaveBeenCalledWith(
+        4,
+        { from: 'REQUESTED', to: 'APPROVED', changedBy: 3, note: 'Stock is available' },
+        expect.any(Function)
+      );
+    });
+
+    it('should record the reason of a cancellation', async () => {
+      mockTransferRepository.findById.mockResolvedValue(transfer('APPROVED'));
+
+      await transferUseCases.cancelTransfer(4, 3, '  No longer needed ');
+
+      expect(mockTransferRepository.changeStatus).toHaveBeenCalledWith(
+        4,
+        { from: 'APPROVED', to: 'CANCELLED', changedBy: 3, note: 'No longer needed' },
+        expect.any(Function)
+      );
+    });
+
+    it('should require a reason to cancel', async () => {
+      await expect(transferUseCases.cancelTransfer(4, 3, ' ')).rejects.toThrow('A reason is required to cancel a transfer');
+    });
+
+    it('should pass on illegal transitions', async () => {
+      mockTransferRepository.findById.mockResolvedValue(transfer('SHIPPED'));
+      mockTransferRepository.changeStatus.mockRejectedValue(new IllegalTransferTransitionError(4, 'SHIPPED', 'CANCELLED'));
+
+      await expect(transferUseCases.cancelTransfer(4, 3, 'Too late')).rejects.toThrow(IllegalTransferTransitionError);
+    });
+
+    it('should report a missing transfer', async () => {
+      mockTransferRepository.findById.mockResolvedValue(null);
+
+      await expect(transferUseCases.approveTransfer(4, 3)).rejects.toThrow('Transfer not found');
+    });
+  });
+
+  describe('shipTransfer', () => {
+    beforeEach(() => {
+      mockTransferRepository.findById.mockResolvedValue(transfer('APPROVED'));
+      mockTransferRepository.ship.mockImplementation(async (id, change, shipped) => ({
+        transfer: transfer('SHIPPED', shipped.map(line => new TransferLine(line.productId, 10, line.quantity))),
+        stocks: [new Stock(1, 1, 30, 11)]
+      }));
+    });
+
+    it('should ship every requested unit by default', async () => {
+      await transferUseCases.shipTransfer(4, {}, 3);
+
+      expect(mockTransferRepository.ship).toHaveBeenCalledWith(
+        4,
+        { from: 'APPROVED', to: 'SHIPPED', changedBy: 3, note: undefined },
+        [{ productId: 1, quantity: 10 }, { productId: 2, quantity: 5 }],
+        expect.any(Function)
+      );
+    });
+
+    it('should ship the given units, leaving out unlisted products', async () => {
+      await transferUseCases.shipTransfer(4, { lines: [{ productId: 1, quantity: 6 }] }, 3);
+
+      expect(mockTransferRepository.ship.mock.calls[0][2]).toEqual([
+        { productId: 1, quantity: 6 },
+        { productId: 2, quantity: 0 }
+      ]);
+    });
+
+    it('should ship the lines of each variant on their own', async () => {
+      mockTransferRepository.findById.mockResolvedValue(transfer('APPROVED', [
+        new TransferLine(4, 10, undefined, undefined, 10),
+        new TransferLine(4, 5, undefined, undefined, 11)
+      ]));
+
+      await transferUseCases.shipTransfer(4, { lines: [{ productId: 4, variantId: 11, quantity: 3 }] }, 3);
+
+      expect(mockTransferRepository.ship.mock.calls[0][2]).toEqual([
+        { productId: 4, variantId: 10, quantity: 0 },
+        { productId: 4, variantId: 11, quantity: 3 }
+      ]);
+      await expect(transferUseCases.shipTransfer(4, { lines: [{ productId: 4, quantity: 3 }] }, 3))
+        .rejects.toThrow('Product 4 is not part of transfer 4');
+    });
+
+    it('should store a STOCK_UPDATED event for the source store', async () => {
+      await transferUseCases.shipTransfer(4, { lines: [{ productId: 1, quantity: 6 }] }, 3);
+
+      const events = mockTransferRepository.ship.mock.calls[0][3]!;
+      const [statusEvent, stockEvent] = events(await mockTransferRepository.ship.mock.results[0].value);
+      expect(statusEvent).toEqual(expect.objectContaining({
+        eventType: 'TRANSFER_STATUS_CHANGED',
+        eventData: expect.objectContaining({ fromStatus: 'APPROVED', toStatus: 'SHIPPED' })
+      }));
+      expect(stockEvent).toEqual(expect.objectContaining({
+        eventType: 'STOCK_UPDATED',
+        eventData: { storeId: 1, productId: 1, oldQuantity: 36, newQuantity: 30, reason: 'TRANSFER' }
+      }));
+    });
+
+    it('should reject shipping more than requested, unknown products or nothing', async () => {
+      await expect(transferUseCases.shipTransfer(4, { lines: [{ productId: 1, quantity: 11 }] }, 3))
+        .rejects.toThrow('Cannot move more than the 10 requested units of product 1');
+      await expect(transferUseCases.shipTransfer(4, { lines: [{ productId: 3, quantity: 1 }] }, 3))
+        .rejects.toThrow('Product 3 is not part of transfer 4');
+      await expect(transferUseCases.shipTransfer(4, { lines: [{ productId: 1, quantity: 0 }] }, 3))
+        .rejects.toThrow('A transfer must ship at least one unit');
+
+      expect(mockTransferRepository.ship).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('receiveTransfer', () => {
+    const shipped = () => transfer('SHIPPED', [new TransferLine(1, 10, 8), new TransferLine(2, 5, 5)]);
+
+    beforeEach(() => {
+      mockTransferRepository.findById.mockResolvedValue(shipped());
+      mockTransferRepository.receive.mockImplementation(async (id, change, received) => ({
+        transfer: new Transfer(4, 1, 2, 'RECEIVED', 9,
+          shipped().lines.map(line => new TransferLine(line.productId, line.quantity, line.shippedQuantity,
+            received.find(item => item.productId === line.productId)!.quantity)),
+          new Date(), new Date(), new Date()),
+        stocks: []
+      }));
+    });
+
+    it('should receive every shipped unit by default', async () => {
+      const result = await transferUseCases.receiveTransfer(4, {}, 6);
+
+      expect(mockTransferRepository.receive).toHaveBeenCalledWith(
+        4,
+        { from: 'SHIPPED', to: 'RECEIVED', changedBy: 6, note: undefined },
+        [{ productId: 1, quantity: 8 }, { productId: 2, quantity: 5 }],
+        expect.any(Function)
+      );
+      expect(result.lines.map(line => line.variance)).toEqual([0, 0]);
+    });
+
+    it('should record the variance of a partial receipt', async () => {
+      const result = await transferUseCases.receiveTransfer(4, {
+        lines: [{ productId: 1, quantity: 7 }, { productId: 2, quantity: 5 }],
+        note: 'One box damaged'
+      }, 6);
+
+      expect(mockTransferRepository.receive.mock.calls[0][1].note)
+        .toBe('One box damaged. Variance: 1 units of product 1 not received');
+      expect(result.lines[0]).toEqual({ productId: 1, quantity: 10, shippedQuantity: 8, receivedQuantity: 7, variance: 1 });
+    });
+
+    it('should reject receiving more than was shipped', async () => {
+      await expect(transferUseCases.receiveTransfer(4, { lines: [{ productId: 1, quantity: 9 }] }, 6))
+        .rejects.toThrow('Cannot move more than the 8 shipped units of product 1');
+    });
+  });
+
+  describe('getInTransitStock', () => {
+    it('should list shipped units as outbound at the source and inbound at the destination', async () => {
+      mockTransferRepository.findByStoreId.mockResolvedValue([
+        new Transfer(4, 1, 2, 'SHIPPED', 9, [new TransferLine(1, 10, 8), new TransferLine(2, 5, 0)], new Date()),
+        new Transfer(5, 3, 1, 'SHIPPED', 9, [new TransferLine(2, 4, 4)], new Date())
+      ]);
+
+      const result = await transferUseCases.getInTransitStock(1);
+
+      expect(mockTransferRepository.findByStoreId).toHaveBeenCalledWith(1, 'SHIPPED');
+      expect(result.outbound).toEqual([expect.objectContaining({ transferId: 4, productId: 1, quantity: 8, otherStoreId: 2 })]);
+      expect(result.inbound).toEqual([expect.objectContaining({ transferId: 5, productId: 2, quantity: 4, otherStoreId: 3 })]);
+    });
+  });
+});
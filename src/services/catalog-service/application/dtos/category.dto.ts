@@ -0,0 +1,31 @@
+// Category Data Transfer Objects
+
+export interface CreateCategoryDTO {
+  name: string;
+  parentId?: number; // Top-level category when omitted
+  description?: string;
+}
+
+export interface UpdateCategoryDTO {
+  name?: string;
+  parentId?: number | null; // Moves the category with its subtree; null makes it top-level
+  description?: string;
+}
+
+export interface CategoryResponseDTO {
+  id: number;
+  name: string;
+  parentId?: number;
+  description?: string;
+  createdAt: Date;
+}
+
+export interface CategoryTreeDTO extends CategoryResponseDTO {
+  productCount: number; // Products filed under the category or any category below it
+  children: CategoryTreeDTO[];
+}
+
+// A category with its subtree and the path to it from the top of the taxonomy
+export interface CategoryDetailDTO extends CategoryTreeDTO {
+  path: Array<{ id: number; name: string }>; // From the top-level category down to this one
+}
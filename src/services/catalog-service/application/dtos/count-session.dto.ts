@@ -0,0 +1,59 @@
+// Count Session Data Transfer Objects
+
+export type CountSessionStatusDTO = 'OPEN' | 'POSTED' | 'CANCELLED';
+
+export interface OpenCountSessionDTO {
+  storeId: number;
+  productIds?: number[]; // Every product stocked at the store when omitted; products with variants are counted per variant
+  note?: string;
+}
+
+export interface CountQuantityDTO {
+  productId: number;
+  variantId?: number; // Required for products with variants, which are counted per variant
+  quantity: number; // Units found on the shelves
+}
+
+// Units one counter found; counting a product again replaces their previous count
+export interface RecordCountsDTO {
+  counts: CountQuantityDTO[];
+}
+
+// Products whose variance is approved, with every counted variant of a product with variants; every counted product when omitted
+export interface PostCountSessionDTO {
+  productIds?: number[];
+}
+
+export interface CountEntryResponseDTO {
+  countedBy: number;
+  quantity: number;
+  countedAt: Date;
+}
+
+export interface CountSessionLineResponseDTO {
+  productId: number;
+  variantId?: number;
+  stockId: number;
+  snapshotQuantity: number; // Units on hand when the session was opened
+  movedDuringCount: number; // Net units moved by sales and other changes between the snapshot and the last count
+  expectedQuantity: number; // Snapshot plus the units moved during the count
+  counted: boolean;
+  countedQuantity?: number; // Sum of the counters' entries
+  variance?: number; // Counted minus expected units
+  adjustment?: number; // Units posted to stock once the variance was approved
+  entries: CountEntryResponseDTO[];
+}
+
+export interface CountSessionResponseDTO {
+  id: number;
+  storeId: number;
+  status: CountSessionStatusDTO;
+  lines: CountSessionLineResponseDTO[];
+  openedBy: number;
+  createdAt: Date;
+  note?: string;
+  postedAt?: Date;
+  postedBy?: number;
+  cancelledAt?: Date;
+  cancelledBy?: number;
+}
@@ -0,0 +1,21 @@
+// Exchange Rate Data Transfer Objects
+
+export interface ExchangeRateDTO {
+  currency: string; // ISO 4217 code, e.g. USD
+  rate: number; // Units of the default currency per unit of the currency, e.g. 1.37
+}
+
+export interface SetExchangeRatesDTO {
+  rates: ExchangeRateDTO[];
+}
+
+export interface ExchangeRateResponseDTO {
+  currency: string;
+  rate: number;
+  updatedAt?: Date;
+}
+
+export interface ExchangeRateTableResponseDTO {
+  baseCurrency: string; // Default currency, the rates are expressed in
+  rates: ExchangeRateResponseDTO[];
+}
@@ -4,19 +4,105 @@ export interface CreateProductDTO {
   name: string;
   price: number;
   description?: string;
+  taxCategory?: string; // Decides which store tax rules apply, STANDARD by default
+  prices?: Record<string, number>; // Prices in other currencies, e.g. { "USD": 14.99 }; converted when missing
+  categoryId?: number; // Category the product is filed under
+  sku?: string; // Unique stock keeping unit; generated when left out
+  barcodes?: string[]; // UPC-A or EAN-13 codes printed on the product
+  options?: ProductOptionDTO[]; // Option axes the variants differ by, e.g. [{ "name": "Size", "values": ["S", "M"] }]
 }
 
 export interface UpdateProductDTO {
   name?: string;
   price?: number;
   description?: string;
+  taxCategory?: string;
+  prices?: Record<string, number>; // Replaces all prices in other currencies
+  categoryId?: number | null; // null takes the product out of its category
+  sku?: string;
+  barcodes?: string[]; // Replaces all barcodes
+  options?: ProductOptionDTO[]; // Replaces all option axes; existing variants must still fit them
 }
 
 export interface ProductResponseDTO {
   id: number;
   name: string;
-  price: number;
+  price: number; // In the default currency
   description?: string;
+  taxCategory: string;
+  prices: Record<string, number>;
+  categoryId?: number;
+  sku?: string;
+  barcodes: BarcodeResponseDTO[];
+  options: ProductOptionDTO[];
+  variants: ProductVariantResponseDTO[];
+}
+
+export interface BarcodeResponseDTO {
+  code: string; // As printed: 12 digits for UPC-A, 13 for EAN-13
+  format: 'UPC_A' | 'EAN_13';
+}
+
+export interface ProductOptionDTO {
+  name: string;
+  values: string[];
+}
+
+export interface CreateProductVariantDTO {
+  options: Record<string, string>; // Value of every option axis, e.g. { "Size": "M", "Color": "Blue" }
+  sku?: string; // Unique stock keeping unit; generated from the product SKU when left out
+  price?: number; // Overrides the product price in the default currency
+}
+
+export interface UpdateProductVariantDTO {
+  options?: Record<string, string>;
+  sku?: string;
+  price?: number | null; // null clears the override
+}
+
+export interface ProductVariantResponseDTO {
+  id: number;
+  productId: number;
+  sku: string;
+  options: Record<string, string>;
+  label: string; // Option values in the order of the axes, e.g. "M / Blue"
+  price?: number; // Price override, when set
+}
+
+export interface ProductSearchDTO {
+  q?: string; // Words to look for in the name and description; typos in the name are tolerated
+  category?: number; // Keeps the products of the category and every category below it
+  minPrice?: number;
+  maxPrice?: number; // Excluded, so the ranges of the price facet can be used as they are
+  storeId?: number; // Store the in-stock facet is counted for
+  inStock?: boolean; // Keeps the products with available units at the store
+  page?: number; // 1 by default
+  limit?: number; // 20 by default, at most 100
+}
+
+export interface ProductSearchResponseDTO {
+  results: Array<{
+    product: ProductResponseDTO;
+    rank: number; // Relevance, higher first
+    highlights: {
+      name: string; // Matched words wrapped in <mark></mark>
+      description?: string; // Fragments around the matched words
+    };
+  }>;
+  total: number;
+  page: number;
+  limit: number;
+  totalPages: number;
+  facets: {
+    categories: Array<{ categoryId: number | null; name: string; count: number }>;
+    priceRanges: Array<{ min: number; max?: number; count: number }>;
+    inStock?: { storeId: number; count: number };
+  };
+}
+
+export interface ProductSuggestionDTO {
+  id: number;
+  name: string;
 }
 
 export interface ProductWithStockDTO extends ProductResponseDTO {
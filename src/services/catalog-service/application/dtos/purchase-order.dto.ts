@@ -0,0 +1,90 @@
+// Purchase Order Data Transfer Objects
+
+export type PurchaseOrderStatusDTO = 'DRAFT' | 'SUBMITTED' | 'PARTIALLY_RECEIVED' | 'RECEIVED' | 'CANCELLED';
+
+export interface PurchaseOrderLineDTO {
+  productId: number;
+  variantId?: number; // Required for products with variants, whose stock is kept per variant
+  quantity: number;
+}
+
+export interface CreatePurchaseOrderDTO {
+  supplierId: number;
+  storeId: number;
+  lines: PurchaseOrderLineDTO[];
+  note?: string;
+}
+
+// Units to order per product or variant; lines left out keep their drafted quantity
+export interface SubmitPurchaseOrderDTO {
+  lines?: PurchaseOrderLineDTO[];
+}
+
+// Units delivered per product or variant; every outstanding unit is received when left out
+export interface ReceivePurchaseOrderDTO {
+  lines?: PurchaseOrderLineDTO[];
+}
+
+export interface PurchaseOrderLineResponseDTO {
+  productId: number;
+  variantId?: number;
+  quantity: number; // Units ordered
+  receivedQuantity: number;
+  outstanding: number; // Ordered units not received yet
+  suggestedQuantity?: number; // Units suggested by the reorder job
+  unitsSold?: number; // Units sold in the sales window the suggestion was based on
+}
+
+export interface PurchaseOrderResponseDTO {
+  id: number;
+  supplierId: number;
+  storeId: number;
+  status: PurchaseOrderStatusDTO;
+  generated: boolean; // Drafted by the reorder job
+  lines: PurchaseOrderLineResponseDTO[];
+  createdAt: Date;
+  createdBy?: number;
+  note?: string;
+  submittedAt?: Date;
+  submittedBy?: number;
+  receivedAt?: Date;
+  cancelledAt?: Date;
+  cancelReason?: string;
+}
+
+export interface SetReorderRuleDTO {
+  storeId: number;
+  productId: number;
+  variantId?: number; // Required for products with variants, which are reordered per variant
+  reorderPoint: number; // Available units below which the product is reordered
+  reorderQuantity: number; // Minimum units ordered at once
+  supplierId?: number; // Products without a supplier are not reordered automatically
+}
+
+export interface ReorderRuleResponseDTO {
+  id: number;
+  storeId: number;
+  productId: number;
+  variantId?: number;
+  reorderPoint: number;
+  reorderQuantity: number;
+  supplierId?: number;
+}
+
+export interface GeneratePurchaseOrdersDTO {
+  storeId?: number; // Every store when omitted
+}
+
+// Product below its reorder point that could not be put on a draft order
+export interface SkippedReorderDTO {
+  storeId: number;
+  productId: number;
+  variantId?: number;
+  available: number;
+  reason: string;
+}
+
+export interface PurchaseOrderGenerationDTO {
+  purchaseOrders: PurchaseOrderResponseDTO[]; // Draft orders, one per store and supplier
+  skipped: SkippedReorderDTO[];
+}
@@ -0,0 +1,38 @@
+// Stock Hold Data Transfer Objects
+
+export interface CreateStockHoldDTO {
+  storeId: number;
+  productId: number;
+  variantId?: number; // Required for products with variants, whose stock is kept per variant
+  quantity: number;
+  expiresInMinutes?: number; // STOCK_HOLD_MINUTES when left out
+}
+
+// Sale paying for a hold; the fields must match the hold
+export interface ConvertStockHoldDTO {
+  saleId: number;
+  storeId: number;
+  productId: number;
+  variantId?: number;
+  userId: number;
+  quantity: number;
+}
+
+// Failed sale a converted hold is reinstated from
+export interface ReinstateStockHoldDTO {
+  saleId: number;
+}
+
+export interface StockHoldResponseDTO {
+  id: number;
+  storeId: number;
+  productId: number;
+  variantId?: number;
+  userId: number;
+  quantity: number;
+  status: 'ACTIVE' | 'CONVERTED' | 'RELEASED' | 'EXPIRED';
+  expiresAt: Date;
+  createdAt: Date;
+  closedAt?: Date;
+  saleId?: number;
+}
@@ -0,0 +1,34 @@
+// Stock Movement Data Transfer Objects
+
+export interface StockMovementResponseDTO {
+  id: number;
+  stockId: number;
+  storeId: number;
+  productId: number;
+  delta: number;
+  quantityAfter: number;
+  reason: string;
+  referenceType?: string;
+  referenceId?: number;
+  actorId?: number;
+  note?: string;
+  createdAt: Date;
+}
+
+export interface StockMovementPageDTO {
+  data: StockMovementResponseDTO[];
+  total: number;
+  page: number;
+  limit: number;
+  totalPages: number;
+}
+
+// Quantity of a stock record rebuilt from its ledger; drift is the quantity minus the ledger quantity
+export interface StockBalanceDTO {
+  stockId: number;
+  storeId: number;
+  productId: number;
+  quantity: number;
+  ledgerQuantity: number;
+  drift: number;
+}
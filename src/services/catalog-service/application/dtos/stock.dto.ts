@@ -3,18 +3,26 @@
 export interface CreateStockDTO {
   storeId: number;
   productId: number;
+  variantId?: number; // Required for products with variants, whose stock is kept per variant
   quantity: number;
 }
 
+// Sets the quantity to a counted value, recorded in the ledger as a correction
 export interface UpdateStockDTO {
   quantity: number;
+  actorId?: number; // User who counted the units
+  note?: string;
 }
 
 export interface StockResponseDTO {
   id: number;
   storeId: number;
   productId: number;
-  quantity: number;
+  variantId?: number; // Set on the stock of a variant
+  quantity: number; // Same as onHand, kept for existing clients
+  onHand: number; // Units in the store
+  held: number; // Units on hold for customers
+  available: number; // Units that can be sold: on hand minus held
   storeName?: string;
   productName?: string;
   unitPrice?: number;
@@ -23,12 +31,74 @@ export interface StockResponseDTO {
 export interface StockReservationDTO {
   storeId: number;
   productId: number;
+  variantId?: number;
   quantity: number;
+  saleId?: number; // Sale the units are reserved for or released from, recorded in the ledger
+  actorId?: number;
+}
+
+// All lines of a cart, reserved together or not at all
+export interface StockBatchReservationDTO {
+  storeId: number;
+  lines: Array<{
+    productId: number;
+    variantId?: number;
+    quantity: number;
+  }>;
+  saleId?: number; // Sale the units are reserved for, recorded in the ledger
+  actorId?: number;
+}
+
+export interface StockShortageDTO {
+  productId: number;
+  variantId?: number;
+  requested: number;
+  available: number;
+}
+
+export interface StockBatchReservationResponseDTO {
+  success: boolean;
+  stocks?: StockResponseDTO[]; // Updated stock of each product when reserved
+  shortages?: StockShortageDTO[]; // Every product lacking units when nothing was reserved
+}
+
+// Sale whose reserved units are all put back, as recorded in the stock ledger
+export interface StockSaleReleaseDTO {
+  saleId: number;
+  actorId?: number;
+  includeHolds?: boolean; // Also release the units of holds converted to the sale, e.g. when it is voided
 }
 
 export interface StockAdjustmentDTO {
   storeId: number;
   productId: number;
+  variantId?: number;
   quantity: number;
   reason: 'SALE' | 'REFUND' | 'ADJUSTMENT' | 'DAMAGE' | 'RESTOCK';
+  referenceId?: number; // Sale, refund or adjustment the units moved for, recorded in the ledger
+  actorId?: number;
+  note?: string;
+}
+
+// Units returned to and taken from the stock of a store by a product exchange
+export interface StockExchangeDTO {
+  storeId: number;
+  returned: Array<{
+    productId: number;
+    variantId?: number;
+    quantity: number;
+  }>;
+  issued: Array<{
+    productId: number;
+    variantId?: number;
+    quantity: number;
+  }>;
+  saleId?: number; // Original sale of the exchange, recorded in the ledger without an exchange ID
+  exchangeId?: number; // Exchange of the transaction service, recorded in the ledger so the exchange can be reverted
+  actorId?: number;
+}
+
+export interface StockExchangeRevertDTO {
+  exchangeId: number;
+  actorId?: number;
 }
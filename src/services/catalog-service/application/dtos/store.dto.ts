@@ -3,17 +3,40 @@
 export interface CreateStoreDTO {
   name: string;
   address?: string;
+  currency?: string; // ISO 4217 code, the default currency when omitted
 }
 
 export interface UpdateStoreDTO {
   name?: string;
   address?: string;
+  currency?: string;
 }
 
 export interface StoreResponseDTO {
   id: number;
   name: string;
   address?: string;
+  currency: string;
+}
+
+export interface TaxRuleDTO {
+  code: string; // e.g. GST
+  name: string;
+  rate: number; // Percent of the amount before tax, e.g. 9.975
+  taxCategory?: string; // Product tax category the rule applies to, STANDARD by default
+}
+
+export interface SetTaxRulesDTO {
+  rules: TaxRuleDTO[];
+}
+
+export interface TaxRuleResponseDTO {
+  id: number;
+  storeId: number;
+  code: string;
+  name: string;
+  rate: number;
+  taxCategory: string;
 }
 
 export interface StoreWithInventoryDTO extends StoreResponseDTO {
@@ -0,0 +1,24 @@
+// Supplier Data Transfer Objects
+
+export interface CreateSupplierDTO {
+  name: string;
+  leadTimeDays?: number; // Days between ordering and receiving, 7 when omitted
+  email?: string;
+  phone?: string;
+}
+
+export interface UpdateSupplierDTO {
+  name?: string;
+  leadTimeDays?: number;
+  email?: string;
+  phone?: string;
+}
+
+export interface SupplierResponseDTO {
+  id: number;
+  name: string;
+  leadTimeDays: number;
+  email?: string;
+  phone?: string;
+  createdAt: Date;
+}
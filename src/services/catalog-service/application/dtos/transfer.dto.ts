@@ -0,0 +1,68 @@
+// Transfer Data Transfer Objects
+
+export type TransferStatusDTO = 'REQUESTED' | 'APPROVED' | 'SHIPPED' | 'RECEIVED' | 'CANCELLED';
+
+export interface TransferLineDTO {
+  productId: number;
+  variantId?: number; // Required for products with variants, whose stock is kept per variant
+  quantity: number;
+}
+
+export interface CreateTransferDTO {
+  fromStoreId: number;
+  toStoreId: number;
+  lines: TransferLineDTO[];
+  note?: string;
+}
+
+// Units actually shipped or received; every line is shipped or received in full when left out
+export interface TransferQuantitiesDTO {
+  lines?: TransferLineDTO[];
+  note?: string;
+}
+
+export interface TransferLineResponseDTO {
+  productId: number;
+  variantId?: number;
+  quantity: number; // Units requested
+  shippedQuantity?: number;
+  receivedQuantity?: number;
+  variance?: number; // Shipped units that were not received
+}
+
+export interface TransferHistoryDTO {
+  fromStatus: TransferStatusDTO | null;
+  toStatus: TransferStatusDTO;
+  changedBy?: number;
+  note?: string;
+  changedAt: Date;
+}
+
+export interface TransferResponseDTO {
+  id: number;
+  fromStoreId: number;
+  toStoreId: number;
+  status: TransferStatusDTO;
+  requestedBy: number;
+  lines: TransferLineResponseDTO[];
+  createdAt: Date;
+  shippedAt?: Date;
+  receivedAt?: Date;
+  history: TransferHistoryDTO[];
+}
+
+// Units of a product shipped by a transfer and not yet received
+export interface InTransitLineDTO {
+  transferId: number;
+  productId: number;
+  variantId?: number;
+  quantity: number;
+  otherStoreId: number; // Destination of outbound units, source of inbound ones
+  shippedAt?: Date;
+}
+
+export interface InTransitStockDTO {
+  storeId: number;
+  inbound: InTransitLineDTO[];
+  outbound: InTransitLineDTO[];
+}
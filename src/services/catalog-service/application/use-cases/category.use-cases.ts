@@ -0,0 +1,173 @@
+import { ICategoryRepository } from '../../domain/repositories/category.repository';
+import { Category, CategoryCycleError } from '../../domain/entities/category.entity';
+import {
+  CategoryDetailDTO,
+  CategoryResponseDTO,
+  CategoryTreeDTO,
+  CreateCategoryDTO,
+  UpdateCategoryDTO
+} from '../dtos/category.dto';
+
+/**
+ * Use case class for the product taxonomy.
+ * Categories nest to any depth; a category stands for itself and every category below it
+ * when products are filtered or sales are rolled up.
+ */
+export class CategoryUseCases {
+  /**
+   * @param categoryRepository Repository for category persistence operations
+   */
+  constructor(private readonly categoryRepository: ICategoryRepository) {}
+
+  /**
+   * Creates a category, at the top of the taxonomy or under a parent.
+   * @param dto Data Transfer Object for category creation
+   */
+  async createCategory(dto: CreateCategoryDTO): Promise<CategoryResponseDTO> {
+    const category = new Category(0, dto.name ?? '', dto.parentId ?? null, dto.description);
+    if (!category.isValid()) {
+      throw new Error('Invalid category data: a name is required');
+    }
+    const categories = await this.categoryRepository.findAll();
+    this.validatePlacement(categories, category);
+
+    const saved = await this.categoryRepository.create({
+      name: category.name.trim(),
+      parentId: category.parentId,
+      description: category.description
+    });
+    return this.toResponseDTO(saved);
+  }
+
+  /**
+   * Renames, describes or moves a category. A moved category takes its subtree and products along.
+   * @param id Category ID
+   * @param dto Data Transfer Object for category update
+   */
+  async updateCategory(id: number, dto: UpdateCategoryDTO): Promise<CategoryResponseDTO> {
+    const categories = await this.categoryRepository.findAll();
+    const existing = categories.find(category => category.id === id);
+    if (!existing) {
+      throw new Error('Category not found');
+    }
+    const updated = new Category(
+      id,
+      dto.name ?? existing.name,
+      dto.parentId !== undefined ? dto.parentId : existing.parentId,
+      dto.description ?? existing.description
+    );
+    if (!updated.isValid()) {
+      throw new Error('Invalid category data: a name is required');
+    }
+    this.validatePlacement(categories, updated);
+    if (updated.parentId !== null && this.subtreeIds(categories, id).includes(updated.parentId)) {
+      throw new CategoryCycleError(id, updated.parentId);
+    }
+
+    const saved = await this.categoryRepository.update(id, {
+      ...(dto.name !== undefined && { name: updated.name.trim() }),
+      ...(dto.parentId !== undefined && { parentId: updated.parentId }),
+      ...(dto.description !== undefined && { description: dto.description })
+    });
+    return this.toResponseDTO(saved);
+  }
+
+  /**
+   * Deletes a category. Subcategories and products have to be moved elsewhere first.
+   * @param id Category ID
+   */
+  async deleteCategory(id: number): Promise<void> {
+    const categories = await this.categoryRepository.findAll();
+    const category = categories.find(candidate => candidate.id === id);
+    if (!category) {
+      throw new Error('Category not found');
+    }
+    if (categories.some(candidate => candidate.parentId === id)) {
+      throw new Error(`Category ${category.name} still has subcategories`);
+    }
+    const productCounts = await this.categoryRepository.countProducts();
+    if (productCounts[id]) {
+      throw new Error(`Category ${category.name} still has products`);
+    }
+    await this.categoryRepository.remove(id);
+  }
+
+  /**
+   * Retrieves the whole taxonomy as a tree, each level by name.
+   */
+  async getCategoryTree(): Promise<CategoryTreeDTO[]> {
+    const [categories, productCounts] = await Promise.all([
+      this.categoryRepository.findAll(),
+      this.categoryRepository.countProducts()
+    ]);
+    return categories
+      .filter(category => category.parentId === null)
+      .map(category => this.toTreeDTO(categories, productCounts, category));
+  }
+
+  /**
+   * Retrieves a category with its subtree and its path from the top of the taxonomy.
+   * @param id Category ID
+   */
+  async getCategory(id: number): Promise<CategoryDetailDTO> {
+    const [categories, productCounts] = await Promise.all([
+      this.categoryRepository.findAll(),
+      this.categoryRepository.countProducts()
+    ]);
+    const category = categories.find(candidate => candidate.id === id);
+    if (!category) {
+      throw new Error('Category not found');
+    }
+    const byId = new Map(categories.map(candidate => [candidate.id, candidate]));
+    const path: Array<{ id: number; name: string }> = [];
+    for (let node: Category | undefined = category; node; node = node.parentId !== null ? byId.get(node.parentId) : undefined) {
+      path.unshift({ id: node.id, name: node.name });
+    }
+    return { ...this.toTreeDTO(categories, productCounts, category), path };
+  }
+
+  // The parent has to exist and must not already have a subcategory of the same name
+  private validatePlacement(categories: Category[], category: Category): void {
+    if (category.parentId !== null && !categories.some(candidate => candidate.id === category.parentId)) {
+      throw new Error('Parent category not found');
+    }
+    const name = category.name.trim().toLowerCase();
+    const sibling = categories.find(candidate =>
+      candidate.id !== category.id &&
+      candidate.parentId === category.parentId &&
+      candidate.name.trim().toLowerCase() === name
+    );
+    if (sibling) {
+      throw new Error(`A category named ${sibling.name} already exists there`);
+    }
+  }
+
+  private subtreeIds(categories: Category[], id: number): number[] {
+    const ids = [id];
+    for (let i = 0; i < ids.length; i++) {
+      ids.push(...categories.filter(category => category.parentId === ids[i]).map(category => category.id));
+    }
+    return ids;
+  }
+
+  private toTreeDTO(categories: Category[], productCounts: Record<number, number>, category: Category): CategoryTreeDTO {
+    const children = categories
+      .filter(candidate => candidate.parentId === category.id)
+      .map(child => this.toTreeDTO(categories, productCounts, child));
+    return {
+      ...this.toResponseDTO(category),
+      productCount: children.reduce((sum, child) => sum + child.productCount, productCounts[category.id] ?? 0),
+      children
+    };
+  }
+
+  private toResponseDTO(category: Category): CategoryResponseDTO {
+    return {
+      id: category.id,
+      name: category.name,
+      ...(category.parentId !== null && { parentId: category.parentId }),
+      ...(category.description && { description: category.description }),
+      createdAt: category.createdAt
+    };
+  }
+}
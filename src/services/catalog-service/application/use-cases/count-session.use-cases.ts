@@ -0,0 +1,226 @@
+import { CountSessionPosting, ICountSessionRepository } from '../../domain/repositories/count-session.repository';
+import { IStoreRepository } from '../../domain/repositories/store.repository';
+import { IProductRepository } from '../../domain/repositories/product.repository';
+import { CountSession, CountSessionStatus } from '../../domain/entities/count-session.entity';
+import { describeStockItem, isSameStockItem, StockItem } from '../../domain/entities/stock.entity';
+import {
+  CountQuantityDTO,
+  CountSessionResponseDTO,
+  OpenCountSessionDTO,
+  PostCountSessionDTO,
+  RecordCountsDTO
+} from '../dtos/count-session.dto';
+import { StockUpdatedEvent } from '@shared/domain/events/domain-events';
+
+/**
+ * Use case class for cycle counts.
+ * A count session snapshots the stock of a store while it stays open; staff record the
+ * units they find, and each counted product's variance is computed against the snapshot
+ * plus the units sold or otherwise moved until it was counted. Managers approve the
+ * variances to post, which corrects stock through the stock ledger.
+ */
+export class CountSessionUseCases {
+  /**
+   * @param countSessionRepository Repository for count session persistence operations
+   * @param storeRepository Repository for store data
+   * @param productRepository Repository for product data
+   */
+  constructor(
+    private readonly countSessionRepository: ICountSessionRepository,
+    private readonly storeRepository: IStoreRepository,
+    private readonly productRepository: IProductRepository
+  ) {}
+
+  /**
+   * Opens a count session for a store, snapshotting the units on hand of the counted products.
+   * Products with variants are counted per variant.
+   * @param dto Store and optional products to count
+   * @param userId ID of the manager opening the session
+   */
+  async openCountSession(dto: OpenCountSessionDTO, userId: number): Promise<CountSessionResponseDTO> {
+    if (dto.productIds !== undefined) {
+      if (dto.productIds.length === 0) {
+        throw new Error('List the products to count, or leave them out to count the whole store');
+      }
+      if (new Set(dto.productIds).size !== dto.productIds.length) {
+        throw new Error('A product is listed more than once');
+      }
+      for (const productId of dto.productIds) {
+        if (!(await this.productRepository.findById(productId))) {
+          throw new Error(`Product ${productId} not found`);
+        }
+      }
+    }
+    if (!(await this.storeRepository.findById(dto.storeId))) {
+      throw new Error('Store not found');
+    }
+
+    const countSession = await this.countSessionRepository.open({
+      storeId: dto.storeId,
+      openedBy: userId,
+      note: dto.note,
+      productIds: dto.productIds
+    });
+    return this.toResponseDTO(countSession);
+  }
+
+  /**
+   * Records the units a counter found. Several counters can count a session; each one's
+   * entries add up, and counting a product again replaces the counter's previous count.
+   * @param id Count session ID
+   * @param dto Units found per product, or per variant for products with variants
+   * @param userId ID of the counter
+   */
+  async recordCounts(id: number, dto: RecordCountsDTO, userId: number): Promise<CountSessionResponseDTO> {
+    const countSession = await this.findCountSession(id);
+    this.validateCounts(countSession, dto.counts ?? []);
+
+    const updated = await this.countSessionRepository.recordCounts(id, userId, dto.counts);
+    return this.toResponseDTO(updated);
+  }
+
+  /**
+   * Posts a count session, applying the variance of each approved product to stock. Lines
+   * that are not approved are left unposted, and the session can no longer be counted.
+   * @param id Count session ID
+   * @param dto Approved products, with every counted variant of a product with variants; every counted product when left out
+   * @param userId ID of the approving manager
+   */
+  async postCountSession(id: number, dto: PostCountSessionDTO, userId: number): Promise<CountSessionResponseDTO> {
+    const countSession = await this.findCountSession(id);
+    const approved: StockItem[] = [];
+    if (dto.productIds) {
+      if (new Set(dto.productIds).size !== dto.productIds.length) {
+        throw new Error('A product is listed more than once');
+      }
+      for (const productId of dto.productIds) {
+        const lines = countSession.findProductLines(productId);
+        if (lines.length === 0) {
+          throw new Error(`Product ${productId} is not part of count session ${id}`);
+        }
+        if (!lines.some(line => line.isCounted())) {
+          throw new Error(`Product ${productId} was not counted in count session ${id}`);
+        }
+        approved.push(...lines.filter(line => line.isCounted()));
+      }
+    } else {
+      approved.push(...countSession.lines.filter(line => line.isCounted()));
+    }
+
+    const posting = await this.countSessionRepository.post(
+      id,
+      { from: countSession.status, to: 'POSTED', changedBy: userId },
+      approved.map(line => ({ productId: line.productId, ...(line.variantId !== undefined && { variantId: line.variantId }) })),
+      (saved) => this.toStockUpdatedEvents(saved)
+    );
+    return this.toResponseDTO(posting.countSession);
+  }
+
+  /**
+   * Cancels an open count session; stock is left unchanged.
+   * @param id Count session ID
+   * @param userId ID of the cancelling manager
+   */
+  async cancelCountSession(id: number, userId: number): Promise<CountSessionResponseDTO> {
+    const countSession = await this.findCountSession(id);
+    const cancelled = await this.countSessionRepository.cancel(
+      id,
+      { from: countSession.status, to: 'CANCELLED', changedBy: userId }
+    );
+    return this.toResponseDTO(cancelled);
+  }
+
+  /**
+   * Retrieves a count session with the variance of each counted product.
+   * @param id Count session ID
+   */
+  async getCountSession(id: number): Promise<CountSessionResponseDTO> {
+    return this.toResponseDTO(await this.findCountSession(id));
+  }
+
+  /**
+   * Retrieves the count sessions of a store, most recent first.
+   * @param storeId Store ID
+   * @param status Optional status filter
+   */
+  async getCountSessionsByStore(storeId: number, status?: CountSessionStatus): Promise<CountSessionResponseDTO[]> {
+    const countSessions = await this.countSessionRepository.findByStoreId(storeId, status);
+    return countSessions.map(countSession => this.toResponseDTO(countSession));
+  }
+
+  private async findCountSession(id: number): Promise<CountSession> {
+    const countSession = await this.countSessionRepository.findById(id);
+    if (!countSession) {
+      throw new Error('Count session not found');
+    }
+    return countSession;
+  }
+
+  private validateCounts(countSession: CountSession, counts: CountQuantityDTO[]): void {
+    if (counts.length === 0) {
+      throw new Error('Record the units counted of at least one product');
+    }
+    for (const [index, count] of counts.entries()) {
+      if (!countSession.findLine(count)) {
+        throw new Error(`${describeStockItem(count, true)} is not part of count session ${countSession.id}`);
+      }
+      if (counts.slice(0, index).some(item => isSameStockItem(item, count))) {
+        throw new Error(`${describeStockItem(count, true)} is listed more than once`);
+      }
+      if (!Number.isInteger(count.quantity) || count.quantity < 0) {
+        throw new Error(`Invalid quantity for ${describeStockItem(count)}`);
+      }
+    }
+  }
+
+  private toStockUpdatedEvents(posting: CountSessionPosting): StockUpdatedEvent[] {
+    return posting.stocks.map(({ stock, adjustment }) => ({
+      aggregateId: stock.id.toString(),
+      eventType: 'STOCK_UPDATED',
+      occurredOn: new Date(),
+      eventData: {
+        storeId: stock.storeId,
+        productId: stock.productId,
+        oldQuantity: stock.quantity - adjustment,
+        newQuantity: stock.quantity,
+        reason: 'ADJUSTMENT'
+      }
+    }));
+  }
+
+  private toResponseDTO(countSession: CountSession): CountSessionResponseDTO {
+    return {
+      id: countSession.id,
+      storeId: countSession.storeId,
+      status: countSession.status,
+      lines: countSession.lines.map(line => {
+        const countedQuantity = line.getCountedQuantity();
+        const variance = line.getVariance();
+        return {
+          productId: line.productId,
+          ...(line.variantId !== undefined && { variantId: line.variantId }),
+          stockId: line.stockId,
+          snapshotQuantity: line.snapshotQuantity,
+          movedDuringCount: line.movedDuringCount,
+          expectedQuantity: line.getExpectedQuantity(),
+          counted: line.isCounted(),
+          ...(countedQuantity !== undefined && { countedQuantity }),
+          ...(variance !== undefined && { variance }),
+          ...(line.adjustment !== undefined && { adjustment: line.adjustment }),
+          entries: line.entries.map(entry => ({
+            countedBy: entry.countedBy,
+            quantity: entry.quantity,
+            countedAt: entry.countedAt
+          }))
+        };
+      }),
+      openedBy: countSession.openedBy,
+      createdAt: countSession.createdAt,
+      ...(countSession.note && { note: countSession.note }),
+      ...(countSession.postedAt && { postedAt: countSession.postedAt }),
+      ...(countSession.postedBy !== undefined && { postedBy: countSession.postedBy }),
+      ...(countSession.cancelledAt && { cancelledAt: countSession.cancelledAt }),
+      ...(countSession.cancelledBy !== undefined && { cancelledBy: countSession.cancelledBy })
+    };
+  }
+}
@@ -0,0 +1,73 @@
+import {
+  ExchangeRateResponseDTO,
+  ExchangeRateTableResponseDTO,
+  SetExchangeRatesDTO
+} from '../dtos/exchange-rate.dto';
+import { ExchangeRate } from '../../domain/entities/exchange-rate.entity';
+import { IExchangeRateRepository } from '../../domain/repositories/exchange-rate.repository';
+import { DEFAULT_CURRENCY } from '@shared/domain/value-objects/money.vo';
+
+/**
+ * Use case class for managing the locally configured exchange rate table.
+ * Rates give the value of one unit of a currency in the default currency; they price
+ * products in store currencies without an explicit price and convert sales for reporting.
+ */
+export class ExchangeRateUseCases {
+  /**
+   * @param exchangeRateRepository Repository for the exchange rate table
+   */
+  constructor(private readonly exchangeRateRepository: IExchangeRateRepository) {}
+
+  /**
+   * Retrieves the exchange rate table.
+   */
+  async getExchangeRates(): Promise<ExchangeRateTableResponseDTO> {
+    const rates = await this.exchangeRateRepository.findAll();
+    return this.toTableResponseDTO(rates);
+  }
+
+  /**
+   * Replaces the exchange rate table. The default currency always has a rate of 1 and is not listed.
+   * @param dto New exchange rates; an empty list leaves only the default currency
+   */
+  async setExchangeRates(dto: SetExchangeRatesDTO): Promise<ExchangeRateTableResponseDTO> {
+    if (!Array.isArray(dto.rates)) {
+      throw new Error('rates must be a list of exchange rates');
+    }
+
+    const seen = new Set<string>();
+    const rates = dto.rates.map(rate => {
+      const exchangeRate = new ExchangeRate((rate.currency ?? '').trim().toUpperCase(), Number(rate.rate));
+      if (!exchangeRate.isValid()) {
+        throw new Error(`Invalid exchange rate ${rate.currency}: a currency code and a positive rate are required`);
+      }
+      if (exchangeRate.currency === DEFAULT_CURRENCY) {
+        throw new Error(`The default currency ${DEFAULT_CURRENCY} always has a rate of 1`);
+      }
+      if (seen.has(exchangeRate.currency)) {
+        throw new Error(`Exchange rate for ${exchangeRate.currency} is defined twice`);
+      }
+      seen.add(exchangeRate.currency);
+
+      return { currency: exchangeRate.currency, rate: exchangeRate.rate };
+    });
+
+    const saved = await this.exchangeRateRepository.replaceAll(rates);
+    return this.toTableResponseDTO(saved);
+  }
+
+  private toTableResponseDTO(rates: ExchangeRate[]): ExchangeRateTableResponseDTO {
+    return {
+      baseCurrency: DEFAULT_CURRENCY,
+      rates: rates.map(rate => this.toResponseDTO(rate))
+    };
+  }
+
+  private toResponseDTO(rate: ExchangeRate): ExchangeRateResponseDTO {
+    return {
+      currency: rate.currency,
+      rate: rate.rate,
+      updatedAt: rate.updatedAt
+    };
+  }
+}
@@ -0,0 +1,134 @@
+import { IProductRepository } from '../../domain/repositories/product.repository';
+import { IProductVariantRepository } from '../../domain/repositories/product-variant.repository';
+import { normalizeSku, Product } from '../../domain/entities/product.entity';
+import { ProductVariant } from '../../domain/entities/product-variant.entity';
+import { Money } from '@shared/domain/value-objects/money.vo';
+import {
+  CreateProductVariantDTO,
+  UpdateProductVariantDTO,
+  ProductVariantResponseDTO
+} from '../dtos/product.dto';
+
+/**
+ * Use case class for managing the variants of a product: one variant per combination of
+ * option values, with its own SKU, an optional price override and its own stock.
+ */
+export class ProductVariantUseCases {
+  /**
+   * @param productRepository Repository for products, read with their options and variants
+   * @param variantRepository Repository for variant persistence operations
+   */
+  constructor(
+    private readonly productRepository: IProductRepository,
+    private readonly variantRepository: IProductVariantRepository
+  ) {}
+
+  /**
+   * Adds a variant to a product. The first variant moves the stock of the product to its
+   * variants, so the product must have no units left in any store.
+   * @param productId Product ID
+   * @param dto Data Transfer Object for variant creation
+   */
+  async createVariant(productId: number, dto: CreateProductVariantDTO): Promise<ProductVariantResponseDTO> {
+    const product = await this.findProduct(productId);
+    if (product.options.length === 0) {
+      throw new Error(`Product ${productId} has no options: set the option axes of the product first`);
+    }
+    const options = product.resolveOptions(dto.options);
+    this.checkOptionsAvailable(product, options);
+    const sku = dto.sku !== undefined ? normalizeSku(dto.sku) : undefined;
+    if (sku !== undefined) {
+      await this.checkSkuAvailable(sku);
+    }
+    const variant = await this.variantRepository.create({
+      productId,
+      sku,
+      options,
+      ...(dto.price !== undefined && { price: this.validatePrice(dto.price) })
+    });
+    return this.toResponseDTO(variant, product);
+  }
+
+  /**
+   * Changes the options, SKU or price override of a variant.
+   * @param productId Product ID
+   * @param variantId Variant ID
+   * @param dto Data Transfer Object for variant update
+   */
+  async updateVariant(productId: number, variantId: number, dto: UpdateProductVariantDTO): Promise<ProductVariantResponseDTO> {
+    const product = await this.findProduct(productId);
+    const existing = product.findVariant(variantId);
+    if (!existing) {
+      throw new Error('Variant not found');
+    }
+    const options = dto.options !== undefined ? product.resolveOptions(dto.options) : undefined;
+    if (options !== undefined) {
+      this.checkOptionsAvailable(product, options, variantId);
+    }
+    const sku = dto.sku !== undefined ? normalizeSku(dto.sku) : undefined;
+    if (sku !== undefined && sku !== existing.sku) {
+      await this.checkSkuAvailable(sku);
+    }
+    const variant = await this.variantRepository.update(variantId, {
+      ...(options !== undefined && { options }),
+      ...(sku !== undefined && { sku }),
+      ...(dto.price !== undefined && { price: dto.price === null ? null : this.validatePrice(dto.price) })
+    });
+    return this.toResponseDTO(variant, product);
+  }
+
+  /**
+   * Retrieves the variants of a product.
+   * @param productId Product ID
+   */
+  async getVariants(productId: number): Promise<ProductVariantResponseDTO[]> {
+    const product = await this.findProduct(productId);
+    return product.variants.map(variant => this.toResponseDTO(variant, product));
+  }
+
+  private async findProduct(productId: number): Promise<Product> {
+    const product = await this.productRepository.findById(productId);
+    if (!product) {
+      throw new Error('Product not found');
+    }
+    return product;
+  }
+
+  // Two variants of a product cannot share the same option values
+  private checkOptionsAvailable(product: Product, options: Record<string, string>, variantId?: number): void {
+    const key = ProductVariant.optionKey(options);
+    const other = product.variants.find(variant => ProductVariant.optionKey(variant.options) === key);
+    if (other && other.id !== variantId) {
+      throw new Error(`Variant ${other.sku} already has the options ${other.label(product.options)}`);
+    }
+  }
+
+  // A variant SKU cannot repeat a product SKU either, so a typed SKU names one item
+  private async checkSkuAvailable(sku: string): Promise<void> {
+    if (await this.variantRepository.findBySku(sku) || await this.productRepository.findBySku(sku)) {
+      throw new Error(`SKU ${sku} is already used by another product or variant`);
+    }
+  }
+
+  private validatePrice(amount: number): number {
+    if (typeof amount !== 'number' || !Number.isFinite(amount)) {
+      throw new Error('Price must be a number');
+    }
+    const price = Money.of(amount);
+    if (price.isNegative()) {
+      throw new Error('Price cannot be negative');
+    }
+    return price.getAmount();
+  }
+
+  private toResponseDTO(variant: ProductVariant, product: Product): ProductVariantResponseDTO {
+    return {
+      id: variant.id,
+      productId: variant.productId,
+      sku: variant.sku,
+      options: variant.options,
+      label: variant.label(product.options),
+      ...(variant.price !== undefined && { price: variant.price })
+    };
+  }
+}
@@ -1,9 +1,34 @@
 import { IStoreRepository } from '../../domain/repositories/store.repository';
 import { IStockRepository } from '../../domain/repositories/stock.repository';
-import { IProductRepository } from '../../domain/repositories/product.repository';
-import { CreateProductDTO, UpdateProductDTO, ProductResponseDTO } from '../dtos/product.dto';
+import { IProductRepository, PriceRange } from '../../domain/repositories/product.repository';
+import { ICategoryRepository } from '../../domain/repositories/category.repository';
+import { IProductVariantRepository } from '../../domain/repositories/product-variant.repository';
+import {
+  CreateProductDTO,
+  UpdateProductDTO,
+  ProductResponseDTO,
+  ProductSearchDTO,
+  ProductSearchResponseDTO,
+  ProductSuggestionDTO
+} from '../dtos/product.dto';
 import { Product } from '../../domain/entities/product.entity';
 import { Stock } from '../../domain/entities/stock.entity';
+import { Barcode } from '@shared/domain/value-objects/barcode.vo';
+
+// Price ranges the search counts its matches in, in the default currency
+const PRICE_FACET_RANGES: PriceRange[] = [
+  { min: 0, max: 10 },
+  { min: 10, max: 25 },
+  { min: 25, max: 50 },
+  { min: 50, max: 100 },
+  { min: 100 }
+];
+
+const DEFAULT_SEARCH_LIMIT = 20;
+const MAX_SEARCH_LIMIT = 100;
+const MAX_SEARCH_LENGTH = 200;
+const MIN_SUGGESTION_LENGTH = 2;
+const SUGGESTION_LIMIT = 8;
 
 /**
  * Use case class for managing product operations (CRUD).
@@ -14,11 +39,15 @@ export class ProductUseCases {
    * @param productRepository Repository for product persistence operations
    * @param storeRepository Repository for store data
    * @param stockRepository Repository for stock data
+   * @param categoryRepository Repository for the product taxonomy
+   * @param variantRepository Repository for product variants, whose SKUs product SKUs cannot repeat
    */
   constructor(
     private readonly productRepository: IProductRepository,
     private readonly storeRepository: IStoreRepository,
-    private readonly stockRepository: IStockRepository
+    private readonly stockRepository: IStockRepository,
+    private readonly categoryRepository: ICategoryRepository,
+    private readonly variantRepository: IProductVariantRepository
   ) {}
 
   /**
@@ -31,8 +60,22 @@ export class ProductUseCases {
     if (!product.isValid()) {
       throw new Error('Invalid product data');
     }
+    if (dto.categoryId !== undefined) {
+      await this.findCategory(dto.categoryId);
+    }
     // Prepare and save product data
-    const productData = Product.fromData({ name: dto.name, price: dto.price, description: dto.description });
+    const productData = Product.fromData({
+      name: dto.name,
+      price: dto.price,
+      description: dto.description,
+      taxCategory: dto.taxCategory,
+      prices: dto.prices,
+      categoryId: dto.categoryId,
+      sku: dto.sku,
+      barcodes: dto.barcodes,
+      options: dto.options
+    });
+    await this.checkIdentifiersAvailable(productData.sku, productData.barcodes);
     const savedProduct = await this.productRepository.save(productData);
     // Create stock record for every store
     const stores = await this.storeRepository.findAll();
@@ -62,6 +105,32 @@ export class ProductUseCases {
     if (dto.name !== undefined || dto.description !== undefined) {
       existingProduct.updateDetails(dto.name, dto.description);
     }
+    if (dto.taxCategory !== undefined) {
+      existingProduct.updateTaxCategory(dto.taxCategory);
+    }
+    if (dto.prices !== undefined) {
+      existingProduct.updatePrices(dto.prices);
+    }
+    if (dto.categoryId !== undefined) {
+      if (dto.categoryId !== null) {
+        await this.findCategory(dto.categoryId);
+      }
+      existingProduct.moveToCategory(dto.categoryId);
+    }
+    if (dto.sku !== undefined) {
+      existingProduct.updateSku(dto.sku);
+    }
+    if (dto.barcodes !== undefined) {
+      existingProduct.updateBarcodes(dto.barcodes);
+    }
+    if (dto.options !== undefined) {
+      existingProduct.updateOptions(dto.options);
+    }
+    await this.checkIdentifiersAvailable(
+      dto.sku !== undefined ? existingProduct.sku : undefined,
+      dto.barcodes !== undefined ? existingProduct.barcodes : [],
+      id
+    );
     const updatedProduct = await this.productRepository.update(id, existingProduct);
     return this.toResponseDTO(updatedProduct);
   }
@@ -79,10 +148,32 @@ export class ProductUseCases {
   }
 
   /**
-   * Retrieves all products.
+   * Retrieves the product carrying a barcode, as scanned at the till.
+   * @param code UPC-A or EAN-13 code; a UPC-A code also matches when scanned with a leading zero
+   */
+  async getProductByBarcode(code: string): Promise<ProductResponseDTO> {
+    const barcode = Barcode.parse(code);
+    const product = await this.productRepository.findByBarcode(barcode.toEan13());
+    if (!product) {
+      throw new Error('Product not found');
+    }
+    return this.toResponseDTO(product);
+  }
+
+  /**
+   * Retrieves all products, or those filed under a category or any category below it.
+   * @param categoryId Optional category filter
    */
-  async getAllProducts(): Promise<ProductResponseDTO[]> {
-    const products = await this.productRepository.findAll();
+  async getAllProducts(categoryId?: number): Promise<ProductResponseDTO[]> {
+    if (categoryId === undefined) {
+      const products = await this.productRepository.findAll();
+      return products.map(product => this.toResponseDTO(product));
+    }
+    const categoryIds = await this.categoryRepository.findDescendantIds(categoryId);
+    if (categoryIds.length === 0) {
+      throw new Error('Category not found');
+    }
+    const products = await this.productRepository.findByCategoryIds(categoryIds);
     return products.map(product => this.toResponseDTO(product));
   }
 
@@ -97,9 +188,118 @@ export class ProductUseCases {
     await this.productRepository.delete(id);
   }
 
-  async searchProducts(name: string): Promise<ProductResponseDTO[]> {
-    const products = await this.productRepository.findByName(name);
-    return products.map(product => this.toResponseDTO(product));
+  /**
+   * Searches products by full text, best matches first, with facets by category, price
+   * range and stock at a store.
+   * @param dto Words, filters and page to search
+   */
+  async searchProducts(dto: ProductSearchDTO): Promise<ProductSearchResponseDTO> {
+    const text = dto.q?.trim() || undefined;
+    if (text !== undefined && text.length > MAX_SEARCH_LENGTH) {
+      throw new Error(`Search text cannot be longer than ${MAX_SEARCH_LENGTH} characters`);
+    }
+    const page = dto.page ?? 1;
+    const limit = dto.limit ?? DEFAULT_SEARCH_LIMIT;
+    if (!Number.isInteger(page) || page < 1) {
+      throw new Error('Invalid page');
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SEARCH_LIMIT) {
+      throw new Error(`Invalid limit: between 1 and ${MAX_SEARCH_LIMIT} is required`);
+    }
+    for (const price of [dto.minPrice, dto.maxPrice]) {
+      if (price !== undefined && (!Number.isFinite(price) || price < 0)) {
+        throw new Error('Invalid price range');
+      }
+    }
+    if (dto.minPrice !== undefined && dto.maxPrice !== undefined && dto.minPrice >= dto.maxPrice) {
+      throw new Error('Invalid price range: the minimum must be below the maximum');
+    }
+    if (dto.inStock && dto.storeId === undefined) {
+      throw new Error('A store is required to keep the products in stock');
+    }
+    if (dto.storeId !== undefined && (!Number.isInteger(dto.storeId) || !(await this.storeRepository.findById(dto.storeId)))) {
+      throw new Error('Store not found');
+    }
+    let categoryIds: number[] | undefined;
+    if (dto.category !== undefined) {
+      categoryIds = Number.isInteger(dto.category) ? await this.categoryRepository.findDescendantIds(dto.category) : [];
+      if (categoryIds.length === 0) {
+        throw new Error('Category not found');
+      }
+    }
+
+    const result = await this.productRepository.search({
+      text,
+      categoryIds,
+      ...((dto.minPrice !== undefined || dto.maxPrice !== undefined) && {
+        priceRange: { min: dto.minPrice ?? 0, ...(dto.maxPrice !== undefined && { max: dto.maxPrice }) }
+      }),
+      storeId: dto.storeId,
+      inStockOnly: dto.inStock ?? false,
+      priceFacetRanges: PRICE_FACET_RANGES,
+      page,
+      limit
+    });
+    const categoryNames = new Map(
+      (await this.categoryRepository.findAll()).map(category => [category.id, category.name])
+    );
+    return {
+      results: result.hits.map(hit => ({
+        product: this.toResponseDTO(hit.product),
+        rank: hit.rank,
+        highlights: hit.highlights
+      })),
+      total: result.total,
+      page,
+      limit,
+      totalPages: Math.ceil(result.total / limit),
+      facets: {
+        categories: result.facets.categories.map(facet => ({
+          ...facet,
+          name: facet.categoryId !== null ? categoryNames.get(facet.categoryId) ?? `Category ${facet.categoryId}` : 'Uncategorized'
+        })),
+        priceRanges: result.facets.priceRanges,
+        ...(result.facets.inStock !== undefined && dto.storeId !== undefined && {
+          inStock: { storeId: dto.storeId, count: result.facets.inStock }
+        })
+      }
+    };
+  }
+
+  /**
+   * Suggests product names for the text typed in a search box; nothing is suggested
+   * before the text has a couple of characters.
+   * @param text Text typed so far
+   */
+  async suggestProducts(text: string | undefined): Promise<ProductSuggestionDTO[]> {
+    const trimmed = text?.trim() ?? '';
+    if (trimmed.length < MIN_SUGGESTION_LENGTH) {
+      return [];
+    }
+    return this.productRepository.suggest(trimmed.slice(0, MAX_SEARCH_LENGTH), SUGGESTION_LIMIT);
+  }
+
+  private async findCategory(categoryId: number): Promise<void> {
+    if (!Number.isInteger(categoryId) || !(await this.categoryRepository.findById(categoryId))) {
+      throw new Error('Category not found');
+    }
+  }
+
+  // The unique constraints of the database remain the backstop for concurrent writes
+  private async checkIdentifiersAvailable(sku: string | undefined, barcodes: Barcode[], productId?: number): Promise<void> {
+    // A product SKU cannot repeat a variant SKU either, so a typed SKU names one item
+    if (sku !== undefined) {
+      const other = await this.productRepository.findBySku(sku);
+      if ((other && other.id !== productId) || await this.variantRepository.findBySku(sku)) {
+        throw new Error(`SKU ${sku} is already used by another product or variant`);
+      }
+    }
+    for (const barcode of barcodes) {
+      const other = await this.productRepository.findByBarcode(barcode.toEan13());
+      if (other && other.id !== productId) {
+        throw new Error(`Barcode ${barcode.toString()} is already used by another product`);
+      }
+    }
   }
 
   private toResponseDTO(product: Product): ProductResponseDTO {
@@ -107,7 +307,21 @@ export class ProductUseCases {
       id: product.id,
       name: product.name,
       price: product.price,
-      description: product.description ?? ''
+      description: product.description ?? '',
+      taxCategory: product.taxCategory,
+      prices: product.prices,
+      ...(product.categoryId !== null && { categoryId: product.categoryId }),
+      ...(product.sku && { sku: product.sku }),
+      barcodes: product.barcodes.map(barcode => ({ code: barcode.toString(), format: barcode.format })),
+      options: product.options,
+      variants: product.variants.map(variant => ({
+        id: variant.id,
+        productId: variant.productId,
+        sku: variant.sku,
+        options: variant.options,
+        label: variant.label(product.options),
+        ...(variant.price !== undefined && { price: variant.price })
+      }))
     };
   }
 }
@@ -0,0 +1,472 @@
+import {
+  IPurchaseOrderRepository,
+  PurchaseOrderLineQuantity,
+  PurchaseOrderReceipt
+} from '../../domain/repositories/purchase-order.repository';
+import { IReorderRuleRepository, ReorderCandidate } from '../../domain/repositories/reorder-rule.repository';
+import { ISupplierRepository } from '../../domain/repositories/supplier.repository';
+import { IStoreRepository } from '../../domain/repositories/store.repository';
+import { IProductRepository } from '../../domain/repositories/product.repository';
+import { PurchaseOrder, PurchaseOrderStatus } from '../../domain/entities/purchase-order.entity';
+import { ReorderRule } from '../../domain/entities/reorder-rule.entity';
+import { describeStockItem, isSameStockItem, Stock, StockItem } from '../../domain/entities/stock.entity';
+import {
+  CreatePurchaseOrderDTO,
+  PurchaseOrderGenerationDTO,
+  PurchaseOrderLineDTO,
+  PurchaseOrderResponseDTO,
+  ReceivePurchaseOrderDTO,
+  ReorderRuleResponseDTO,
+  SetReorderRuleDTO,
+  SkippedReorderDTO,
+  SubmitPurchaseOrderDTO
+} from '../dtos/purchase-order.dto';
+import { PurchaseOrderStatusChangedEvent, StockUpdatedEvent } from '@shared/domain/events/domain-events';
+import { ICrossDomainQueries } from '@shared/infrastructure/database/cross-domain-queries';
+
+// Days of sales the suggested reorder quantities are based on
+export const DEFAULT_SALES_WINDOW_DAYS = 28;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Options of a run of the reorder job
+ */
+export interface GeneratePurchaseOrdersOptions {
+  storeId?: number; // Every store when left out
+  salesWindowDays?: number;
+  now?: Date;
+}
+
+/**
+ * Use case class for reordering stock from suppliers.
+ * Reorder rules set when each store reorders a product; the reorder job drafts one purchase
+ * order per store and supplier for the products below their reorder point, sized from recent
+ * sales. Managers review and submit drafts, and receiving an order adds its units to stock
+ * through the stock ledger.
+ */
+export class PurchaseOrderUseCases {
+  /**
+   * @param purchaseOrderRepository Repository for purchase order persistence operations
+   * @param reorderRuleRepository Repository for reorder rule persistence operations
+   * @param supplierRepository Repository for supplier data
+   * @param storeRepository Repository for store data
+   * @param productRepository Repository for product data
+   * @param crossDomainQueries Cross-domain queries reading the units sold from transaction data
+   */
+  constructor(
+    private readonly purchaseOrderRepository: IPurchaseOrderRepository,
+    private readonly reorderRuleRepository: IReorderRuleRepository,
+    private readonly supplierRepository: ISupplierRepository,
+    private readonly storeRepository: IStoreRepository,
+    private readonly productRepository: IProductRepository,
+    private readonly crossDomainQueries: ICrossDomainQueries
+  ) {}
+
+  /**
+   * Creates or replaces the reorder rule of a product at a store; products with variants are
+   * reordered per variant.
+   * @param dto Data Transfer Object for the reorder rule
+   */
+  async setReorderRule(dto: SetReorderRuleDTO): Promise<ReorderRuleResponseDTO> {
+    const rule = new ReorderRule(
+      dto.storeId,
+      dto.productId,
+      dto.reorderPoint,
+      dto.reorderQuantity,
+      dto.supplierId,
+      0,
+      dto.variantId
+    );
+    if (!rule.isValid()) {
+      throw new Error('Invalid reorder rule: the reorder point must be zero or more and the reorder quantity positive');
+    }
+    if (!(await this.storeRepository.findById(dto.storeId))) {
+      throw new Error('Store not found');
+    }
+    const product = await this.productRepository.findById(dto.productId);
+    if (!product) {
+      throw new Error(`Product ${dto.productId} not found`);
+    }
+    product.checkStockVariant(dto.variantId);
+    if (dto.supplierId !== undefined && !(await this.supplierRepository.findById(dto.supplierId))) {
+      throw new Error('Supplier not found');
+    }
+
+    const saved = await this.reorderRuleRepository.upsert(rule);
+    return this.toRuleResponseDTO(saved);
+  }
+
+  /**
+   * Removes the reorder rule of a product, or of one of its variants, at a store; it is no longer reordered.
+   * @param storeId Store ID
+   * @param productId Product ID
+   * @param variantId Variant ID; the rule of the product itself when left out
+   */
+  async removeReorderRule(storeId: number, productId: number, variantId?: number): Promise<void> {
+    await this.reorderRuleRepository.remove(storeId, productId, variantId);
+  }
+
+  /**
+   * Retrieves the reorder rules of a store.
+   * @param storeId Store ID
+   */
+  async getReorderRules(storeId: number): Promise<ReorderRuleResponseDTO[]> {
+    const rules = await this.reorderRuleRepository.findByStoreId(storeId);
+    return rules.map(rule => this.toRuleResponseDTO(rule));
+  }
+
+  /**
+   * Drafts purchase orders for the products whose available units dropped below their
+   * reorder point, one per store and supplier. Products already on an open order are left
+   * out, so running the job again does not order them twice; products without a supplier
+   * are reported as skipped.
+   * @param options Stores to look at and sales window the quantities are based on
+   */
+  async generatePurchaseOrders(options: GeneratePurchaseOrdersOptions = {}): Promise<PurchaseOrderGenerationDTO> {
+    const salesWindowDays = options.salesWindowDays ?? DEFAULT_SALES_WINDOW_DAYS;
+    const since = new Date((options.now ?? new Date()).getTime() - salesWindowDays * DAY_MS);
+
+    const candidates = await this.reorderRuleRepository.findDue(options.storeId);
+    const skipped: SkippedReorderDTO[] = [];
+    const byStore = new Map<number, ReorderCandidate[]>();
+    for (const candidate of candidates) {
+      if (candidate.rule.supplierId === undefined) {
+        skipped.push({
+          storeId: candidate.rule.storeId,
+          productId: candidate.rule.productId,
+          ...(candidate.rule.variantId !== undefined && { variantId: candidate.rule.variantId }),
+          available: this.availableOf(candidate),
+          reason: 'No supplier set in the reorder rule'
+        });
+        continue;
+      }
+      byStore.set(candidate.rule.storeId, [...(byStore.get(candidate.rule.storeId) ?? []), candidate]);
+    }
+
+    const purchaseOrders: PurchaseOrderResponseDTO[] = [];
+    for (const [storeId, storeCandidates] of byStore) {
+      const unitsSold = await this.findUnitsSold(storeId, storeCandidates.map(candidate => candidate.rule), since);
+
+      const bySupplier = new Map<number, ReorderCandidate[]>();
+      for (const candidate of storeCandidates) {
+        const supplierId = candidate.rule.supplierId!;
+        bySupplier.set(supplierId, [...(bySupplier.get(supplierId) ?? []), candidate]);
+      }
+
+      for (const [supplierId, supplierCandidates] of bySupplier) {
+        // Another run may have ordered some of the products since they were found due
+        const purchaseOrder = await this.purchaseOrderRepository.draftReorder({
+          supplierId,
+          storeId,
+          lines: supplierCandidates.map(candidate => {
+            const sold = unitsSold(candidate.rule);
+            const quantity = candidate.rule.suggestQuantity(
+              this.availableOf(candidate),
+              sold,
+              salesWindowDays,
+              candidate.leadTimeDays ?? 0
+            );
+            return {
+              productId: candidate.rule.productId,
+              variantId: candidate.rule.variantId,
+              quantity,
+              suggestedQuantity: quantity,
+              unitsSold: sold,
+              reorderRuleId: candidate.rule.id
+            };
+          })
+        }, (saved) => [this.toStatusChangedEvent(saved, null)]);
+        if (purchaseOrder) {
+          purchaseOrders.push(this.toResponseDTO(purchaseOrder));
+        }
+      }
+    }
+
+    return { purchaseOrders, skipped };
+  }
+
+  /**
+   * Drafts a purchase order by hand.
+   * @param dto Data Transfer Object for purchase order creation
+   * @param createdBy ID of the manager drafting the order
+   */
+  async createPurchaseOrder(dto: CreatePurchaseOrderDTO, createdBy: number): Promise<PurchaseOrderResponseDTO> {
+    if (!dto.lines || dto.lines.length === 0) {
+      throw new Error('A purchase order needs at least one line');
+    }
+    for (const [index, line] of dto.lines.entries()) {
+      if (!Number.isInteger(line.quantity) || line.quantity <= 0) {
+        throw new Error(`Invalid quantity for ${describeStockItem(line)}`);
+      }
+      if (dto.lines.slice(0, index).some(item => isSameStockItem(item, line))) {
+        throw new Error(`${describeStockItem(line, true)} is listed more than once`);
+      }
+    }
+
+    if (!(await this.supplierRepository.findById(dto.supplierId))) {
+      throw new Error('Supplier not found');
+    }
+    if (!(await this.storeRepository.findById(dto.storeId))) {
+      throw new Error('Store not found');
+    }
+    for (const line of dto.lines) {
+      const product = await this.productRepository.findById(line.productId);
+      if (!product) {
+        throw new Error(`Product ${line.productId} not found`);
+      }
+      product.checkStockVariant(line.variantId);
+    }
+
+    const purchaseOrder = await this.purchaseOrderRepository.create({
+      supplierId: dto.supplierId,
+      storeId: dto.storeId,
+      createdBy,
+      note: dto.note,
+      lines: dto.lines.map(line => ({ productId: line.productId, variantId: line.variantId, quantity: line.quantity }))
+    }, (saved) => [this.toStatusChangedEvent(saved, null, createdBy)]);
+    return this.toResponseDTO(purchaseOrder);
+  }
+
+  /**
+   * Submits a draft order to its supplier, optionally changing the ordered units first.
+   * @param id Purchase order ID
+   * @param dto Units to order per product or variant; drafted quantities are kept when left out
+   * @param userId ID of the submitting manager
+   */
+  async submitPurchaseOrder(id: number, dto: SubmitPurchaseOrderDTO, userId: number): Promise<PurchaseOrderResponseDTO> {
+    const purchaseOrder = await this.findPurchaseOrder(id);
+    const quantities = this.validateLines(purchaseOrder, dto.lines ?? []);
+    if (quantities.some(line => line.quantity === 0)) {
+      throw new Error('Ordered quantities must be positive');
+    }
+
+    const submitted = await this.purchaseOrderRepository.submit(
+      id,
+      { from: purchaseOrder.status, to: 'SUBMITTED', changedBy: userId },
+      quantities,
+      (saved) => [this.toStatusChangedEvent(saved, purchaseOrder.status, userId)]
+    );
+    return this.toResponseDTO(submitted);
+  }
+
+  /**
+   * Receives units of a submitted order, adding them to the stock of its store through the
+   * stock ledger. The order is RECEIVED once every ordered unit arrived, PARTIALLY_RECEIVED before.
+   * @param id Purchase order ID
+   * @param dto Units delivered per product or variant, at most the outstanding units; everything outstanding when left out
+   * @param userId ID of the receiving manager
+   */
+  async receivePurchaseOrder(id: number, dto: ReceivePurchaseOrderDTO, userId: number): Promise<PurchaseOrderResponseDTO> {
+    const purchaseOrder = await this.findPurchaseOrder(id);
+    const outstanding = (item: StockItem) => purchaseOrder.findLine(item)?.getOutstanding() ?? 0;
+    const received = dto.lines
+      ? this.validateLines(purchaseOrder, dto.lines, outstanding)
+      : purchaseOrder.lines.map(line => this.toLineQuantity(line, line.getOutstanding()));
+    if (received.every(line => line.quantity === 0)) {
+      throw new Error('A receipt must add at least one unit');
+    }
+
+    const complete = purchaseOrder.lines.every(line =>
+      line.getOutstanding() === (received.find(item => isSameStockItem(item, line))?.quantity ?? 0)
+    );
+    const receipt = await this.purchaseOrderRepository.receive(
+      id,
+      { from: purchaseOrder.status, to: complete ? 'RECEIVED' : 'PARTIALLY_RECEIVED', changedBy: userId },
+      received,
+      (saved) => this.toReceiptEvents(saved, received, purchaseOrder.status, userId)
+    );
+    return this.toResponseDTO(receipt.purchaseOrder);
+  }
+
+  /**
+   * Cancels an order that is not fully received; units already received stay in stock.
+   * @param id Purchase order ID
+   * @param userId ID of the cancelling manager
+   * @param reason Reason recorded with the cancellation
+   */
+  async cancelPurchaseOrder(id: number, userId: number, reason: string): Promise<PurchaseOrderResponseDTO> {
+    if (!reason || !reason.trim()) {
+      throw new Error('A reason is required to cancel a purchase order');
+    }
+    const purchaseOrder = await this.findPurchaseOrder(id);
+    const cancelled = await this.purchaseOrderRepository.cancel(
+      id,
+      { from: purchaseOrder.status, to: 'CANCELLED', changedBy: userId },
+      reason.trim(),
+      (saved) => [this.toStatusChangedEvent(saved, purchaseOrder.status, userId)]
+    );
+    return this.toResponseDTO(cancelled);
+  }
+
+  /**
+   * Retrieves a purchase order.
+   * @param id Purchase order ID
+   */
+  async getPurchaseOrder(id: number): Promise<PurchaseOrderResponseDTO> {
+    return this.toResponseDTO(await this.findPurchaseOrder(id));
+  }
+
+  /**
+   * Retrieves the purchase orders of a store, most recent first.
+   * @param storeId Store ID
+   * @param status Optional status filter
+   */
+  async getPurchaseOrdersByStore(storeId: number, status?: PurchaseOrderStatus): Promise<PurchaseOrderResponseDTO[]> {
+    const purchaseOrders = await this.purchaseOrderRepository.findByStoreId(storeId, status);
+    return purchaseOrders.map(purchaseOrder => this.toResponseDTO(purchaseOrder));
+  }
+
+  private async findPurchaseOrder(id: number): Promise<PurchaseOrder> {
+    const purchaseOrder = await this.purchaseOrderRepository.findById(id);
+    if (!purchaseOrder) {
+      throw new Error('Purchase order not found');
+    }
+    return purchaseOrder;
+  }
+
+  private availableOf(candidate: ReorderCandidate): number {
+    return Math.max(candidate.onHand - candidate.held, 0);
+  }
+
+  /**
+   * Reads the units sold of the products and variants of the given rules, by rule.
+   */
+  private async findUnitsSold(storeId: number, rules: ReorderRule[], since: Date): Promise<(rule: ReorderRule) => number> {
+    const productIds = rules.filter(rule => rule.variantId === undefined).map(rule => rule.productId);
+    const variantIds = rules.filter(rule => rule.variantId !== undefined).map(rule => rule.variantId!);
+    const byProduct = productIds.length > 0
+      ? await this.crossDomainQueries.getUnitsSold(storeId, productIds, since, 'catalog-service')
+      : {};
+    const byVariant = variantIds.length > 0
+      ? await this.crossDomainQueries.getVariantUnitsSold(storeId, variantIds, since, 'catalog-service')
+      : {};
+    return (rule) => (rule.variantId !== undefined ? byVariant[rule.variantId] : byProduct[rule.productId]) ?? 0;
+  }
+
+  /**
+   * Validates the quantities given for lines of an order, each at most the outstanding units when received.
+   */
+  private validateLines(
+    purchaseOrder: PurchaseOrder,
+    lines: PurchaseOrderLineDTO[],
+    outstanding?: (item: StockItem) => number
+  ): PurchaseOrderLineQuantity[] {
+    for (const [index, line] of lines.entries()) {
+      if (!purchaseOrder.findLine(line)) {
+        throw new Error(`${describeStockItem(line, true)} is not part of purchase order ${purchaseOrder.id}`);
+      }
+      if (lines.slice(0, index).some(item => isSameStockItem(item, line))) {
+        throw new Error(`${describeStockItem(line, true)} is listed more than once`);
+      }
+      if (!Number.isInteger(line.quantity) || line.quantity < 0) {
+        throw new Error(`Invalid quantity for ${describeStockItem(line)}`);
+      }
+      if (outstanding && line.quantity > outstanding(line)) {
+        throw new Error(`Cannot receive more than the ${outstanding(line)} outstanding units of ${describeStockItem(line)}`);
+      }
+    }
+    return lines.map(line => this.toLineQuantity(line, line.quantity));
+  }
+
+  private toLineQuantity(item: StockItem, quantity: number): PurchaseOrderLineQuantity {
+    return { productId: item.productId, ...(item.variantId !== undefined && { variantId: item.variantId }), quantity };
+  }
+
+  private toReceiptEvents(
+    receipt: PurchaseOrderReceipt,
+    received: PurchaseOrderLineQuantity[],
+    fromStatus: PurchaseOrderStatus,
+    userId: number
+  ): Array<PurchaseOrderStatusChangedEvent | StockUpdatedEvent> {
+    return [
+      this.toStatusChangedEvent(receipt.purchaseOrder, fromStatus, userId),
+      ...receipt.stocks.map(stock => {
+        const added = received.find(line =>
+          isSameStockItem(line, { productId: stock.productId, variantId: stock.variantId ?? undefined })
+        )?.quantity ?? 0;
+        return this.toStockUpdatedEvent(stock, stock.quantity - added);
+      })
+    ];
+  }
+
+  private toStatusChangedEvent(
+    purchaseOrder: PurchaseOrder,
+    fromStatus: PurchaseOrderStatus | null,
+    changedBy?: number
+  ): PurchaseOrderStatusChangedEvent {
+    return {
+      aggregateId: purchaseOrder.id.toString(),
+      eventType: 'PURCHASE_ORDER_STATUS_CHANGED',
+      occurredOn: new Date(),
+      eventData: {
+        purchaseOrderId: purchaseOrder.id,
+        supplierId: purchaseOrder.supplierId,
+        storeId: purchaseOrder.storeId,
+        fromStatus: fromStatus as PurchaseOrderStatusChangedEvent['eventData']['fromStatus'],
+        toStatus: purchaseOrder.status,
+        ...(changedBy !== undefined && { changedBy }),
+        lines: purchaseOrder.lines.map(line => ({
+          productId: line.productId,
+          ...(line.variantId !== undefined && { variantId: line.variantId }),
+          quantity: line.quantity,
+          receivedQuantity: line.receivedQuantity
+        }))
+      }
+    };
+  }
+
+  private toStockUpdatedEvent(stock: Stock, oldQuantity: number): StockUpdatedEvent {
+    return {
+      aggregateId: stock.id.toString(),
+      eventType: 'STOCK_UPDATED',
+      occurredOn: new Date(),
+      eventData: {
+        storeId: stock.storeId,
+        productId: stock.productId,
+        oldQuantity,
+        newQuantity: stock.quantity,
+        reason: 'RESTOCK'
+      }
+    };
+  }
+
+  private toRuleResponseDTO(rule: ReorderRule): ReorderRuleResponseDTO {
+    return {
+      id: rule.id,
+      storeId: rule.storeId,
+      productId: rule.productId,
+      ...(rule.variantId !== undefined && { variantId: rule.variantId }),
+      reorderPoint: rule.reorderPoint,
+      reorderQuantity: rule.reorderQuantity,
+      ...(rule.supplierId !== undefined && { supplierId: rule.supplierId })
+    };
+  }
+
+  private toResponseDTO(purchaseOrder: PurchaseOrder): PurchaseOrderResponseDTO {
+    return {
+      id: purchaseOrder.id,
+      supplierId: purchaseOrder.supplierId,
+      storeId: purchaseOrder.storeId,
+      status: purchaseOrder.status,
+      generated: purchaseOrder.isGenerated(),
+      lines: purchaseOrder.lines.map(line => ({
+        productId: line.productId,
+        ...(line.variantId !== undefined && { variantId: line.variantId }),
+        quantity: line.quantity,
+        receivedQuantity: line.receivedQuantity,
+        outstanding: line.getOutstanding(),
+        ...(line.suggestedQuantity !== undefined && { suggestedQuantity: line.suggestedQuantity }),
+        ...(line.unitsSold !== undefined && { unitsSold: line.unitsSold })
+      })),
+      createdAt: purchaseOrder.createdAt,
+      ...(purchaseOrder.createdBy !== undefined && { createdBy: purchaseOrder.createdBy }),
+      ...(purchaseOrder.note && { note: purchaseOrder.note }),
+      ...(purchaseOrder.submittedAt && { submittedAt: purchaseOrder.submittedAt }),
+      ...(purchaseOrder.submittedBy !== undefined && { submittedBy: purchaseOrder.submittedBy }),
+      ...(purchaseOrder.receivedAt && { receivedAt: purchaseOrder.receivedAt }),
+      ...(purchaseOrder.cancelledAt && { cancelledAt: purchaseOrder.cancelledAt }),
+      ...(purchaseOrder.cancelReason && { cancelReason: purchaseOrder.cancelReason })
+    };
+  }
+}
@@ -0,0 +1,293 @@
+import { IStockHoldRepository } from '../../domain/repositories/stock-hold.repository';
+import { IProductRepository } from '../../domain/repositories/product.repository';
+import { ConvertStockHoldDTO, CreateStockHoldDTO, ReinstateStockHoldDTO, StockHoldResponseDTO } from '../dtos/stock-hold.dto';
+import { StockHold, StockHoldNotActiveError } from '../../domain/entities/stock-hold.entity';
+import { isSameStockItem } from '../../domain/entities/stock.entity';
+import { StockHoldClosedEvent, StockHoldPlacedEvent, StockHoldReinstatedEvent } from '@shared/domain/events/domain-events';
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Durations of stock holds
+ */
+export interface StockHoldPolicy {
+  defaultMinutes: number; // Duration of a hold placed without one
+  maxMinutes: number; // Longest duration a hold can be placed for
+}
+
+const stockHoldPolicyFromEnv = (): StockHoldPolicy => ({
+  defaultMinutes: parseInt(process.env.STOCK_HOLD_MINUTES ?? '1440', 10),
+  maxMinutes: parseInt(process.env.STOCK_HOLD_MAX_MINUTES ?? '10080', 10)
+});
+
+/**
+ * Use case class for stock holds (layaway).
+ * A hold keeps units of a product, or of one of its variants, at a store for a customer until it
+ * is converted to a sale, released, or expires; held units stay on hand but are not available to other sales.
+ */
+export class StockHoldUseCases {
+  /**
+   * @param stockHoldRepository Repository for stock hold persistence operations
+   * @param productRepository Repository for product data
+   * @param policy Durations of the holds, read from STOCK_HOLD_* by default
+   */
+  constructor(
+    private readonly stockHoldRepository: IStockHoldRepository,
+    private readonly productRepository: IProductRepository,
+    private readonly policy: StockHoldPolicy = stockHoldPolicyFromEnv()
+  ) {}
+
+  /**
+   * Places a hold on available units of a product, or of one of its variants, at a store.
+   * @param dto Data Transfer Object for hold creation
+   * @param userId ID of the customer placing the hold, who the units are held for
+   * @returns Promise resolving to the active hold
+   */
+  async placeHold(dto: CreateStockHoldDTO, userId: number): Promise<StockHoldResponseDTO> {
+    if (!Number.isInteger(dto.quantity) || dto.quantity <= 0) {
+      throw new Error('Hold quantity must be a positive integer');
+    }
+
+    const minutes = dto.expiresInMinutes ?? this.policy.defaultMinutes;
+    if (!Number.isFinite(minutes) || minutes <= 0) {
+      throw new Error('Hold duration must be positive');
+    }
+    if (minutes > this.policy.maxMinutes) {
+      throw new Error(`A hold cannot last more than ${this.policy.maxMinutes} minutes`);
+    }
+    const product = await this.productRepository.findById(dto.productId);
+    if (!product) {
+      throw new Error('Product not found');
+    }
+    product.checkStockVariant(dto.variantId);
+
+    try {
+      const hold = await this.stockHoldRepository.place({
+        storeId: dto.storeId,
+        productId: dto.productId,
+        variantId: dto.variantId,
+        userId,
+        quantity: dto.quantity,
+        expiresAt: new Date(Date.now() + minutes * MINUTE_MS)
+      }, (saved) => [this.toStockHoldPlacedEvent(saved)]);
+      return this.toResponseDTO(hold);
+    } catch (error) {
+      if (error instanceof Error && error.message.includes('Stock record not found')) {
+        throw new Error('Stock not found');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Retrieves a hold by its ID.
+   * @param id Hold ID
+   * @param customerId ID of the customer asking for their own hold; left out for managers
+   */
+  async getHold(id: number, customerId?: number): Promise<StockHoldResponseDTO> {
+    const hold = await this.stockHoldRepository.findById(id);
+    if (!hold) {
+      throw new Error('Stock hold not found');
+    }
+    this.checkCustomer(hold, customerId);
+    return this.toResponseDTO(hold);
+  }
+
+  /**
+   * Retrieves the holds of a customer, most recent first.
+   * @param userId User ID
+   */
+  async getHoldsByUser(userId: number): Promise<StockHoldResponseDTO[]> {
+    const holds = await this.stockHoldRepository.findByUserId(userId);
+    return holds.map(hold => this.toResponseDTO(hold));
+  }
+
+  /**
+   * Retrieves the holds placed at a store, most recent first.
+   * @param storeId Store ID
+   */
+  async getHoldsByStore(storeId: number): Promise<StockHoldResponseDTO[]> {
+    const holds = await this.stockHoldRepository.findByStoreId(storeId);
+    return holds.map(hold => this.toResponseDTO(hold));
+  }
+
+  /**
+   * Releases an active hold, making its units available again.
+   * @param id Hold ID
+   * @param customerId ID of the customer releasing their own hold; left out for managers
+   */
+  async releaseHold(id: number, customerId?: number): Promise<StockHoldResponseDTO> {
+    const hold = await this.findActiveHold(id, customerId);
+    const released = await this.stockHoldRepository.close(hold.id, { status: 'RELEASED', now: new Date() }, (saved) => [
+      this.toStockHoldClosedEvent(saved)
+    ]);
+    return this.toResponseDTO(released);
+  }
+
+  /**
+   * Converts an active, unexpired hold to a sale, taking its units out of stock.
+   * The sale must be for the same store, product or variant, customer and quantity as the hold.
+   * @param id Hold ID
+   * @param dto Sale paying for the hold
+   */
+  async convertHold(id: number, dto: ConvertStockHoldDTO): Promise<StockHoldResponseDTO> {
+    const now = new Date();
+    const hold = await this.findActiveHold(id);
+    if (hold.isExpired(now)) {
+      throw new StockHoldNotActiveError(hold.id, 'Stock hold has expired');
+    }
+    if (hold.storeId !== dto.storeId || !isSameStockItem(hold, dto)) {
+      throw new Error('Stock hold is for another store or product');
+    }
+    if (hold.userId !== dto.userId) {
+      throw new Error('Stock hold is for another customer');
+    }
+    if (hold.quantity !== dto.quantity) {
+      throw new Error(`Stock hold is for ${hold.quantity} units, not ${dto.quantity}`);
+    }
+
+    const converted = await this.stockHoldRepository.close(hold.id, { status: 'CONVERTED', saleId: dto.saleId, now }, (saved) => [
+      this.toStockHoldClosedEvent(saved)
+    ]);
+    return this.toResponseDTO(converted);
+  }
+
+  /**
+   * Reinstates a hold converted to a sale that failed afterwards: the units the sale took are
+   * put back on hand and held for the customer until the original expiry. A hold not converted
+   * to that sale, e.g. already reinstated or never converted, is returned as is, so a retried
+   * compensation succeeds.
+   * @param id Hold ID
+   * @param dto Failed sale the hold was converted to
+   */
+  async reinstateHold(id: number, dto: ReinstateStockHoldDTO): Promise<StockHoldResponseDTO> {
+    if (!dto.saleId) {
+      throw new Error('saleId is required to reinstate a stock hold');
+    }
+    const hold = await this.stockHoldRepository.findById(id);
+    if (!hold) {
+      throw new Error('Stock hold not found');
+    }
+    if (hold.status !== 'CONVERTED' || hold.saleId !== dto.saleId) {
+      return this.toResponseDTO(hold);
+    }
+
+    const reinstated = await this.stockHoldRepository.reinstate(hold.id, dto.saleId, (saved) => [
+      this.toStockHoldReinstatedEvent(saved, dto.saleId)
+    ]);
+    return this.toResponseDTO(reinstated);
+  }
+
+  /**
+   * Expires the active holds whose time is up, making their units available again.
+   * Holds converted or released meanwhile are skipped.
+   * @param now Current time
+   * @param limit Maximum number of holds expired in one call
+   * @returns Promise resolving to the number of holds expired
+   */
+  async expireHolds(now: Date = new Date(), limit: number = 100): Promise<number> {
+    const holds = await this.stockHoldRepository.findExpired(now, limit);
+
+    let expired = 0;
+    for (const hold of holds) {
+      try {
+        await this.stockHoldRepository.close(hold.id, { status: 'EXPIRED', now }, (saved) => [
+          this.toStockHoldClosedEvent(saved)
+        ]);
+        expired++;
+      } catch (error) {
+        if (!(error instanceof StockHoldNotActiveError)) {
+          throw error;
+        }
+      }
+    }
+    return expired;
+  }
+
+  private checkCustomer(hold: StockHold, customerId?: number): void {
+    if (customerId !== undefined && hold.userId !== customerId) {
+      throw new Error('Stock hold belongs to another customer');
+    }
+  }
+
+  private async findActiveHold(id: number, customerId?: number): Promise<StockHold> {
+    const hold = await this.stockHoldRepository.findById(id);
+    if (!hold) {
+      throw new Error('Stock hold not found');
+    }
+    this.checkCustomer(hold, customerId);
+    if (hold.status !== 'ACTIVE') {
+      throw new StockHoldNotActiveError(hold.id, `Stock hold is already ${hold.status.toLowerCase()}`);
+    }
+    return hold;
+  }
+
+  private toStockHoldPlacedEvent(hold: StockHold): StockHoldPlacedEvent {
+    return {
+      aggregateId: hold.id.toString(),
+      eventType: 'STOCK_HOLD_PLACED',
+      occurredOn: new Date(),
+      eventData: {
+        holdId: hold.id,
+        storeId: hold.storeId,
+        productId: hold.productId,
+        ...(hold.variantId !== undefined && { variantId: hold.variantId }),
+        userId: hold.userId,
+        quantity: hold.quantity,
+        expiresAt: hold.expiresAt
+      }
+    };
+  }
+
+  private toStockHoldClosedEvent(hold: StockHold): StockHoldClosedEvent {
+    return {
+      aggregateId: hold.id.toString(),
+      eventType: 'STOCK_HOLD_CLOSED',
+      occurredOn: new Date(),
+      eventData: {
+        holdId: hold.id,
+        storeId: hold.storeId,
+        productId: hold.productId,
+        ...(hold.variantId !== undefined && { variantId: hold.variantId }),
+        userId: hold.userId,
+        quantity: hold.quantity,
+        status: hold.status as StockHoldClosedEvent['eventData']['status'],
+        ...(hold.saleId !== undefined && { saleId: hold.saleId })
+      }
+    };
+  }
+
+  private toStockHoldReinstatedEvent(hold: StockHold, saleId: number): StockHoldReinstatedEvent {
+    return {
+      aggregateId: hold.id.toString(),
+      eventType: 'STOCK_HOLD_REINSTATED',
+      occurredOn: new Date(),
+      eventData: {
+        holdId: hold.id,
+        storeId: hold.storeId,
+        productId: hold.productId,
+        ...(hold.variantId !== undefined && { variantId: hold.variantId }),
+        userId: hold.userId,
+        quantity: hold.quantity,
+        saleId,
+        expiresAt: hold.expiresAt
+      }
+    };
+  }
+
+  private toResponseDTO(hold: StockHold): StockHoldResponseDTO {
+    return {
+      id: hold.id,
+      storeId: hold.storeId,
+      productId: hold.productId,
+      ...(hold.variantId !== undefined && { variantId: hold.variantId }),
+      userId: hold.userId,
+      quantity: hold.quantity,
+      status: hold.status,
+      expiresAt: hold.expiresAt,
+      createdAt: hold.createdAt,
+      ...(hold.closedAt && { closedAt: hold.closedAt }),
+      ...(hold.saleId !== undefined && { saleId: hold.saleId })
+    };
+  }
+}
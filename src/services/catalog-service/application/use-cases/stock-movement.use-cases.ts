@@ -0,0 +1,90 @@
+import { IStockMovementRepository, StockLedgerBalance } from '../../domain/repositories/stock-movement.repository';
+import { StockMovement } from '../../domain/entities/stock-movement.entity';
+import { StockBalanceDTO, StockMovementPageDTO, StockMovementResponseDTO } from '../dtos/stock-movement.dto';
+
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Use case class for the stock movement ledger.
+ * Explains the quantity of a stock record through its movements, and rebuilds the quantity
+ * from the ledger to detect drift: a stock record changed without recording a movement.
+ */
+export class StockMovementUseCases {
+  /**
+   * @param stockMovementRepository Repository for reading the stock movement ledger
+   */
+  constructor(private readonly stockMovementRepository: IStockMovementRepository) {}
+
+  /**
+   * Retrieves the movements of a stock record, most recent first.
+   * @param stockId Stock ID
+   * @param page Page number, from 1
+   * @param limit Movements per page, at most 200
+   */
+  async getMovements(stockId: number, page: number = 1, limit: number = 50): Promise<StockMovementPageDTO> {
+    if (!Number.isInteger(page) || page < 1) {
+      throw new Error('Page must be a positive integer');
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      throw new Error(`Limit must be between 1 and ${MAX_PAGE_SIZE}`);
+    }
+
+    const balance = await this.stockMovementRepository.findBalance(stockId);
+    if (!balance) {
+      throw new Error('Stock not found');
+    }
+
+    const result = await this.stockMovementRepository.findByStockId(stockId, page, limit);
+    return { ...result, data: result.data.map(movement => this.toResponseDTO(movement)) };
+  }
+
+  /**
+   * Rebuilds the quantity of a stock record from its ledger.
+   * @param stockId Stock ID
+   */
+  async getBalance(stockId: number): Promise<StockBalanceDTO> {
+    const balance = await this.stockMovementRepository.findBalance(stockId);
+    if (!balance) {
+      throw new Error('Stock not found');
+    }
+    return this.toBalanceDTO(balance);
+  }
+
+  /**
+   * Retrieves the stock records whose quantity differs from their ledger.
+   */
+  async getDrift(): Promise<StockBalanceDTO[]> {
+    const drift = await this.stockMovementRepository.findDrift();
+    return drift.map(balance => this.toBalanceDTO(balance));
+  }
+
+  /**
+   * Gives the stock records written before the ledger existed an opening movement of their
+   * quantity, so they do not show up as drift. Run when the service starts.
+   * @returns Promise resolving to the number of stock records given an opening movement
+   */
+  async recordOpeningBalances(): Promise<number> {
+    return this.stockMovementRepository.recordOpeningBalances();
+  }
+
+  private toBalanceDTO(balance: StockLedgerBalance): StockBalanceDTO {
+    return { ...balance, drift: balance.quantity - balance.ledgerQuantity };
+  }
+
+  private toResponseDTO(movement: StockMovement): StockMovementResponseDTO {
+    return {
+      id: movement.id,
+      stockId: movement.stockId,
+      storeId: movement.storeId,
+      productId: movement.productId,
+      delta: movement.delta,
+      quantityAfter: movement.quantityAfter,
+      reason: movement.reason,
+      ...(movement.referenceType && { referenceType: movement.referenceType }),
+      ...(movement.referenceId !== undefined && { referenceId: movement.referenceId }),
+      ...(movement.actorId !== undefined && { actorId: movement.actorId }),
+      ...(movement.note && { note: movement.note }),
+      createdAt: movement.createdAt
+    };
+  }
+}
@@ -1,8 +1,25 @@
 import { IProductRepository } from '../../domain/repositories/product.repository';
 import { IStoreRepository } from '../../domain/repositories/store.repository';
 import { IStockRepository } from '../../domain/repositories/stock.repository';
-import { CreateStockDTO, UpdateStockDTO, StockResponseDTO, StockReservationDTO, StockAdjustmentDTO } from '../dtos/stock.dto';
-import { Stock } from '../../domain/entities/stock.entity';
+import {
+  CreateStockDTO,
+  UpdateStockDTO,
+  StockResponseDTO,
+  StockReservationDTO,
+  StockBatchReservationDTO,
+  StockBatchReservationResponseDTO,
+  StockSaleReleaseDTO,
+  StockAdjustmentDTO,
+  StockExchangeDTO,
+  StockExchangeRevertDTO
+} from '../dtos/stock.dto';
+import { InsufficientStockError, Stock } from '../../domain/entities/stock.entity';
+import {
+  StockMovementReason,
+  StockMovementReferenceType,
+  StockMovementSource
+} from '../../domain/entities/stock-movement.entity';
+import { StockReleasedEvent, StockUpdatedEvent } from '@shared/domain/events/domain-events';
 
 /**
  * Use case class for managing stock operations (CRUD, reservation, adjustment).
@@ -35,13 +52,25 @@ export class StockUseCases {
     if (!product) {
       throw new Error('Product not found');
     }
+    // Stock of a product with variants is kept per variant
+    if (dto.variantId !== undefined && !product.findVariant(dto.variantId)) {
+      throw new Error('Variant not found');
+    }
+    if (dto.variantId === undefined && product.hasVariants()) {
+      throw new Error(`Product ${product.id} has variants: stock is kept per variant`);
+    }
     // Check if stock already exists
-    const existingStock = await this.stockRepository.findByStoreAndProduct(dto.storeId, dto.productId);
+    const existingStock = await this.stockRepository.findByStoreAndProduct(dto.storeId, dto.productId, dto.variantId);
     if (existingStock) {
       throw new Error('Stock already exists for this product in this store');
     }
     // Prepare and save stock data
-    const stockData = Stock.fromData({ storeId: dto.storeId, productId: dto.productId, quantity: dto.quantity });
+    const stockData = Stock.fromData({
+      storeId: dto.storeId,
+      productId: dto.productId,
+      quantity: dto.quantity,
+      variantId: dto.variantId
+    });
     const savedStock = await this.stockRepository.save(stockData);
     return this.toResponseDTO(savedStock, store.name, product.name, product.price);
   }
@@ -57,8 +86,11 @@ export class StockUseCases {
       throw new Error('Stock not found');
     }
     // Update stock quantity and persist
+    const oldQuantity = existingStock.quantity;
     existingStock.updateQuantity(dto.quantity);
-    const updatedStock = await this.stockRepository.update(id, existingStock);
+    const updatedStock = await this.stockRepository.update(id, existingStock, (saved) => [
+      this.toStockUpdatedEvent(saved, oldQuantity, 'ADJUSTMENT')
+    ], { reason: 'CORRECTION', actorId: dto.actorId, note: dto.note });
     // Get related data for response
     const store = await this.storeRepository.findById(updatedStock.storeId);
     const product = await this.productRepository.findById(updatedStock.productId);
@@ -109,18 +141,121 @@ export class StockUseCases {
     }));
   }
 
+  /**
+   * Takes units out of the available stock of a store for a sale. Units on hold are not
+   * available, and the stock is checked again when the units are taken, so concurrent
+   * reservations cannot sell the same units.
+   * @param dto Reservation to make
+   * @returns Promise resolving to false when not enough units are available
+   */
   async reserveStock(dto: StockReservationDTO): Promise<boolean> {
-    const stock = await this.stockRepository.findByStoreAndProduct(dto.storeId, dto.productId);
+    const stock = await this.stockRepository.findByStoreAndProduct(dto.storeId, dto.productId, dto.variantId);
     if (!stock) {
       throw new Error('Stock not found');
     }
 
-    const success = stock.reserve(dto.quantity);
-    if (success) {
-      await this.stockRepository.update(stock.id, stock);
+    if (stock.getAvailable() < dto.quantity) {
+      return false;
+    }
+
+    try {
+      await this.stockRepository.adjustStock(dto.storeId, dto.productId, -dto.quantity, this.saleMovement('SALE', dto), (saved) => [
+        this.toStockUpdatedEvent(saved, saved.quantity + dto.quantity, 'SALE')
+      ], dto.variantId);
+      return true;
+    } catch (error) {
+      if (error instanceof Error && error.message.includes('Insufficient stock')) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Reserves all lines of a cart in one transaction: either every line is taken out of the
+   * available stock, or nothing is and every short product is reported.
+   * @param dto Lines to reserve at a store
+   * @returns Promise resolving to the updated stock, or to the shortages when nothing was reserved
+   */
+  async reserveStocks(dto: StockBatchReservationDTO): Promise<StockBatchReservationResponseDTO> {
+    if (!dto.lines || dto.lines.length === 0) {
+      throw new Error('A reservation needs at least one line');
+    }
+    for (const line of dto.lines) {
+      if (!Number.isInteger(line.quantity) || line.quantity <= 0) {
+        throw new Error(`Invalid quantity for product ${line.productId}`);
+      }
+    }
+
+    const lines = dto.lines.map(line => ({
+      productId: line.productId,
+      quantity: line.quantity,
+      ...(line.variantId !== undefined && { variantId: line.variantId })
+    }));
+    const reserved = (stock: Stock) => lines
+      .filter(line => line.productId === stock.productId && (line.variantId ?? null) === stock.variantId)
+      .reduce((sum, line) => sum + line.quantity, 0);
+
+    try {
+      const updatedStocks = await this.stockRepository.reserveStocks(dto.storeId, lines, this.saleMovement('SALE', dto), (saved) =>
+        saved.map(stock => this.toStockUpdatedEvent(stock, stock.quantity + reserved(stock), 'SALE'))
+      );
+      const stocks = await Promise.all(updatedStocks.map(async (stock) => {
+        const store = await this.storeRepository.findById(stock.storeId);
+        const product = await this.productRepository.findById(stock.productId);
+        return this.toResponseDTO(stock, store?.name, product?.name, product?.price);
+      }));
+      return { success: true, stocks };
+    } catch (error) {
+      if (error instanceof InsufficientStockError) {
+        return { success: false, shortages: error.shortages };
+      }
+      throw error;
     }
-    
-    return success;
+  }
+
+  /**
+   * Releases previously reserved stock back to the store, e.g. when a sale is compensated.
+   * @param dto Reservation being released
+   */
+  async releaseStock(dto: StockReservationDTO): Promise<StockResponseDTO> {
+    const stock = await this.stockRepository.findByStoreAndProduct(dto.storeId, dto.productId, dto.variantId);
+    if (!stock) {
+      throw new Error('Stock not found');
+    }
+
+    const updatedStock = await this.stockRepository.adjustStock(dto.storeId, dto.productId, dto.quantity, this.saleMovement('RELEASE', dto), (saved) => [
+      this.toStockReleasedEvent(saved, dto.quantity)
+    ], dto.variantId);
+    const store = await this.storeRepository.findById(updatedStock.storeId);
+    const product = await this.productRepository.findById(updatedStock.productId);
+    return this.toResponseDTO(updatedStock, store?.name, product?.name, product?.price);
+  }
+
+  /**
+   * Releases every unit still reserved for a sale, found by the sale in the stock ledger, so the
+   * caller does not need to know which reservations went through. Releasing again releases
+   * nothing. Units of stock holds converted to the sale are left to the hold reinstatement
+   * unless included.
+   * @param dto Sale being released
+   * @returns Promise resolving to the updated stock of each released product
+   */
+  async releaseSaleStock(dto: StockSaleReleaseDTO): Promise<StockResponseDTO[]> {
+    if (!dto.saleId) {
+      throw new Error('saleId is required to release the stock of a sale');
+    }
+
+    const releases = await this.stockRepository.releaseSale(
+      dto.saleId,
+      dto.actorId,
+      (released) => released.map(({ stock, quantity }) => this.toStockReleasedEvent(stock, quantity)),
+      dto.includeHolds === true
+    );
+    return Promise.all(releases.map(async ({ stock }) => {
+      const store = await this.storeRepository.findById(stock.storeId);
+      const product = await this.productRepository.findById(stock.productId);
+      return this.toResponseDTO(stock, store?.name, product?.name, product?.price);
+    }));
   }
 
   async adjustStock(dto: StockAdjustmentDTO): Promise<StockResponseDTO> {
@@ -128,7 +263,14 @@ export class StockUseCases {
     const adjustmentQuantity = dto.reason === 'REFUND' ? dto.quantity : dto.quantity;
     
     try {
-      const updatedStock = await this.stockRepository.adjustStock(dto.storeId, dto.productId, adjustmentQuantity);
+      const updatedStock = await this.stockRepository.adjustStock(dto.storeId, dto.productId, adjustmentQuantity, {
+        reason: dto.reason,
+        ...(dto.referenceId !== undefined && { referenceType: this.referenceTypeOf(dto.reason), referenceId: dto.referenceId }),
+        actorId: dto.actorId,
+        note: dto.note
+      }, (saved) => [
+        this.toStockUpdatedEvent(saved, saved.quantity - adjustmentQuantity, dto.reason)
+      ], dto.variantId);
       const store = await this.storeRepository.findById(updatedStock.storeId);
       const product = await this.productRepository.findById(updatedStock.productId);
       return this.toResponseDTO(updatedStock, store?.name, product?.name, product?.price);
@@ -140,6 +282,73 @@ export class StockUseCases {
     }
   }
 
+  /**
+   * Puts the returned units of an exchange back in stock and takes the issued units out,
+   * all in one transaction: when any issued product lacks stock, nothing changes.
+   * @param dto Returned and issued units of the exchange
+   * @returns Promise resolving to the updated stock of every returned, then issued, line
+   */
+  async exchangeStock(dto: StockExchangeDTO): Promise<StockResponseDTO[]> {
+    const lines = [
+      ...(dto.returned ?? []).map(line => ({ ...line, reason: 'REFUND' as const })),
+      ...(dto.issued ?? []).map(line => ({ ...line, reason: 'SALE' as const }))
+    ];
+    if (lines.length === 0) {
+      throw new Error('An exchange needs returned or issued units');
+    }
+    for (const line of lines) {
+      if (!Number.isInteger(line.quantity) || line.quantity <= 0) {
+        throw new Error(`Invalid quantity for product ${line.productId}`);
+      }
+    }
+
+    const changes = lines.map(line => ({
+      productId: line.productId,
+      quantity: line.reason === 'REFUND' ? line.quantity : -line.quantity,
+      ...(line.variantId !== undefined && { variantId: line.variantId })
+    }));
+
+    try {
+      const movement: StockMovementSource = dto.exchangeId !== undefined
+        ? { reason: 'EXCHANGE', referenceType: 'EXCHANGE', referenceId: dto.exchangeId, actorId: dto.actorId }
+        : this.saleMovement('EXCHANGE', dto);
+      const updatedStocks = await this.stockRepository.adjustStocks(dto.storeId, changes, movement, (saved) =>
+        saved.map((stock, index) => this.toStockUpdatedEvent(stock, stock.quantity - changes[index].quantity, lines[index].reason))
+      );
+      return Promise.all(updatedStocks.map(async (stock) => {
+        const store = await this.storeRepository.findById(stock.storeId);
+        const product = await this.productRepository.findById(stock.productId);
+        return this.toResponseDTO(stock, store?.name, product?.name, product?.price);
+      }));
+    } catch (error) {
+      if (error instanceof Error && error.message.includes('Stock record not found')) {
+        throw new Error('Stock not found');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Undoes the stock movements of an exchange that could not be saved, as recorded in the
+   * stock ledger under its exchange ID. Reverting it again changes nothing.
+   * @param dto Exchange to revert and the user reverting it
+   * @returns Promise resolving to the updated stock of each reverted product
+   */
+  async revertExchangeStock(dto: StockExchangeRevertDTO): Promise<StockResponseDTO[]> {
+    if (!dto.exchangeId) {
+      throw new Error('exchangeId is required to revert the stock of an exchange');
+    }
+
+    const reversals = await this.stockRepository.revertExchange(dto.exchangeId, dto.actorId, (reverted) =>
+      reverted.map(({ stock, quantity }) => this.toStockUpdatedEvent(stock, stock.quantity - quantity, 'ADJUSTMENT'))
+    );
+    return Promise.all(reversals.map(async ({ stock }) => {
+      const store = await this.storeRepository.findById(stock.storeId);
+      const product = await this.productRepository.findById(stock.productId);
+      return this.toResponseDTO(stock, store?.name, product?.name, product?.price);
+    }));
+  }
+
   async getLowStockItems(threshold: number = 10): Promise<StockResponseDTO[]> {
     const stocks = await this.stockRepository.findLowStock(threshold);
     return Promise.all(stocks.map(async (stock) => {
@@ -149,12 +358,68 @@ export class StockUseCases {
     }));
   }
 
+  // Units moved for a sale, referencing the sale when known
+  private saleMovement(
+    reason: StockMovementReason,
+    dto: { saleId?: number; actorId?: number }
+  ): StockMovementSource {
+    return {
+      reason,
+      ...(dto.saleId !== undefined && { referenceType: 'SALE', referenceId: dto.saleId }),
+      actorId: dto.actorId
+    };
+  }
+
+  private referenceTypeOf(reason: StockAdjustmentDTO['reason']): StockMovementReferenceType {
+    if (reason === 'SALE' || reason === 'REFUND') {
+      return reason;
+    }
+    return 'ADJUSTMENT';
+  }
+
+  private toStockUpdatedEvent(
+    stock: Stock,
+    oldQuantity: number,
+    reason: StockUpdatedEvent['eventData']['reason']
+  ): StockUpdatedEvent {
+    return {
+      aggregateId: stock.id.toString(),
+      eventType: 'STOCK_UPDATED',
+      occurredOn: new Date(),
+      eventData: {
+        storeId: stock.storeId,
+        productId: stock.productId,
+        oldQuantity,
+        newQuantity: stock.quantity,
+        reason
+      }
+    };
+  }
+
+  private toStockReleasedEvent(stock: Stock, quantity: number): StockReleasedEvent {
+    return {
+      aggregateId: stock.id.toString(),
+      eventType: 'STOCK_RELEASED',
+      occurredOn: new Date(),
+      eventData: {
+        storeId: stock.storeId,
+        productId: stock.productId,
+        quantity,
+        reason: 'SALE_CANCELLED'
+      }
+    };
+  }
+
   private toResponseDTO(stock: Stock, storeName?: string, productName?: string, unitPrice?: number): StockResponseDTO {
     return {
       id: stock.id,
       storeId: stock.storeId,
       productId: stock.productId,
+      ...(stock.variantId !== null && { variantId: stock.variantId }),
       quantity: stock.quantity,
+      onHand: stock.quantity,
+      held: stock.held,
+      available: stock.getAvailable(),
       storeName: storeName ?? '',
       productName: productName ?? '',
       unitPrice: unitPrice ?? 0
@@ -1,5 +1,12 @@
-import { CreateStoreDTO, UpdateStoreDTO, StoreResponseDTO } from '../dtos/store.dto';
+import {
+  CreateStoreDTO,
+  UpdateStoreDTO,
+  StoreResponseDTO,
+  SetTaxRulesDTO,
+  TaxRuleResponseDTO
+} from '../dtos/store.dto';
 import { Store } from '../../domain/entities/store.entity';
+import { TaxRule } from '../../domain/entities/tax-rule.entity';
 import { IStoreRepository } from '../../domain/repositories/store.repository';
 
 /**
@@ -18,12 +25,15 @@ export class StoreUseCases {
    */
   async createStore(dto: CreateStoreDTO): Promise<StoreResponseDTO> {
     const store = new Store(0, dto.name, dto.address);
+    if (dto.currency !== undefined) {
+      store.updateCurrency(dto.currency);
+    }
     // Validate store entity
     if (!store.isValid()) {
       throw new Error('Invalid store data');
     }
     // Prepare and save store data
-    const storeData = Store.fromData({ name: dto.name, address: dto.address });
+    const storeData = Store.fromData({ name: dto.name, address: dto.address, currency: store.currency });
     const savedStore = await this.storeRepository.save(storeData);
     return this.toResponseDTO(savedStore);
   }
@@ -40,6 +50,9 @@ export class StoreUseCases {
     }
     // Update store details and persist
     existingStore.updateDetails(dto.name, dto.address);
+    if (dto.currency !== undefined) {
+      existingStore.updateCurrency(dto.currency);
+    }
     const updatedStore = await this.storeRepository.update(id, existingStore);
     return this.toResponseDTO(updatedStore);
   }
@@ -85,6 +98,72 @@ export class StoreUseCases {
     return stores.map(store => this.toResponseDTO(store));
   }
 
+  /**
+   * Retrieves the tax rules of a store.
+   * @param id Store ID
+   */
+  async getTaxRules(id: number): Promise<TaxRuleResponseDTO[]> {
+    const store = await this.storeRepository.findById(id);
+    if (!store) {
+      throw new Error('Store not found');
+    }
+    const rules = await this.storeRepository.findTaxRules(id);
+    return rules.map(rule => this.toTaxRuleResponseDTO(rule));
+  }
+
+  /**
+   * Replaces the tax rules of a store. Every rule applies to the amount before tax of
+   * the products in its tax category, so a product can be charged several taxes.
+   * @param id Store ID
+   * @param dto New tax rules; an empty list makes the store charge no tax
+   */
+  async setTaxRules(id: number, dto: SetTaxRulesDTO): Promise<TaxRuleResponseDTO[]> {
+    const store = await this.storeRepository.findById(id);
+    if (!store) {
+      throw new Error('Store not found');
+    }
+    if (!Array.isArray(dto.rules)) {
+      throw new Error('rules must be a list of tax rules');
+    }
+
+    const seen = new Set<string>();
+    const rules = dto.rules.map(rule => {
+      const taxRule = new TaxRule(
+        0,
+        id,
+        (rule.code ?? '').trim().toUpperCase(),
+        (rule.name ?? '').trim(),
+        Number(rule.rate),
+        (rule.taxCategory ?? 'STANDARD').trim().toUpperCase()
+      );
+      if (!taxRule.isValid()) {
+        throw new Error(`Invalid tax rule ${rule.code}: a code, a name and a rate between 0 and 100 are required`);
+      }
+
+      const key = `${taxRule.code}:${taxRule.taxCategory}`;
+      if (seen.has(key)) {
+        throw new Error(`Tax ${taxRule.code} is defined twice for tax category ${taxRule.taxCategory}`);
+      }
+      seen.add(key);
+
+      return { code: taxRule.code, name: taxRule.name, rate: taxRule.rate, taxCategory: taxRule.taxCategory };
+    });
+
+    const saved = await this.storeRepository.replaceTaxRules(id, rules);
+    return saved.map(rule => this.toTaxRuleResponseDTO(rule));
+  }
+
+  private toTaxRuleResponseDTO(rule: TaxRule): TaxRuleResponseDTO {
+    return {
+      id: rule.id,
+      storeId: rule.storeId,
+      code: rule.code,
+      name: rule.name,
+      rate: rule.rate,
+      taxCategory: rule.taxCategory
+    };
+  }
+
   /**
    * Converts a Store entity to a StoreResponseDTO.
    * @param store Store entity
@@ -93,7 +172,8 @@ export class StoreUseCases {
     return {
       id: store.id,
       name: store.name,
-      address: store.address ?? ''
+      address: store.address ?? '',
+      currency: store.currency
     };
   }
 }
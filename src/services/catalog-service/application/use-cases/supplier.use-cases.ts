@@ -0,0 +1,91 @@
+import { ISupplierRepository } from '../../domain/repositories/supplier.repository';
+import { Supplier } from '../../domain/entities/supplier.entity';
+import { CreateSupplierDTO, SupplierResponseDTO, UpdateSupplierDTO } from '../dtos/supplier.dto';
+
+/**
+ * Use case class for managing the suppliers stores order stock from.
+ */
+export class SupplierUseCases {
+  /**
+   * @param supplierRepository Repository for supplier persistence operations
+   */
+  constructor(private readonly supplierRepository: ISupplierRepository) {}
+
+  /**
+   * Creates a supplier after validating input data.
+   * @param dto Data Transfer Object for supplier creation
+   */
+  async createSupplier(dto: CreateSupplierDTO): Promise<SupplierResponseDTO> {
+    const supplier = new Supplier(0, dto.name ?? '', dto.leadTimeDays, dto.email, dto.phone);
+    if (!supplier.isValid()) {
+      throw new Error('Invalid supplier data: a name and a lead time of zero or more days are required');
+    }
+    const saved = await this.supplierRepository.create({
+      name: supplier.name.trim(),
+      leadTimeDays: supplier.leadTimeDays,
+      email: supplier.email,
+      phone: supplier.phone
+    });
+    return this.toResponseDTO(saved);
+  }
+
+  /**
+   * Updates the details of a supplier.
+   * @param id Supplier ID
+   * @param dto Data Transfer Object for supplier update
+   */
+  async updateSupplier(id: number, dto: UpdateSupplierDTO): Promise<SupplierResponseDTO> {
+    const existing = await this.supplierRepository.findById(id);
+    if (!existing) {
+      throw new Error('Supplier not found');
+    }
+    const updated = new Supplier(
+      id,
+      dto.name ?? existing.name,
+      dto.leadTimeDays ?? existing.leadTimeDays,
+      dto.email ?? existing.email,
+      dto.phone ?? existing.phone
+    );
+    if (!updated.isValid()) {
+      throw new Error('Invalid supplier data: a name and a lead time of zero or more days are required');
+    }
+    const saved = await this.supplierRepository.update(id, {
+      ...(dto.name !== undefined && { name: updated.name.trim() }),
+      ...(dto.leadTimeDays !== undefined && { leadTimeDays: updated.leadTimeDays }),
+      ...(dto.email !== undefined && { email: dto.email }),
+      ...(dto.phone !== undefined && { phone: dto.phone })
+    });
+    return this.toResponseDTO(saved);
+  }
+
+  /**
+   * Retrieves a supplier by its ID.
+   * @param id Supplier ID
+   */
+  async getSupplier(id: number): Promise<SupplierResponseDTO> {
+    const supplier = await this.supplierRepository.findById(id);
+    if (!supplier) {
+      throw new Error('Supplier not found');
+    }
+    return this.toResponseDTO(supplier);
+  }
+
+  /**
+   * Retrieves all suppliers, by name.
+   */
+  async getAllSuppliers(): Promise<SupplierResponseDTO[]> {
+    const suppliers = await this.supplierRepository.findAll();
+    return suppliers.map(supplier => this.toResponseDTO(supplier));
+  }
+
+  private toResponseDTO(supplier: Supplier): SupplierResponseDTO {
+    return {
+      id: supplier.id,
+      name: supplier.name,
+      leadTimeDays: supplier.leadTimeDays,
+      ...(supplier.email && { email: supplier.email }),
+      ...(supplier.phone && { phone: supplier.phone }),
+      createdAt: supplier.createdAt
+    };
+  }
+}
@@ -0,0 +1,346 @@
+import { ITransferRepository, TransferLineQuantity, TransferStockMovement } from '../../domain/repositories/transfer.repository';
+import { IStoreRepository } from '../../domain/repositories/store.repository';
+import { IProductRepository } from '../../domain/repositories/product.repository';
+import { Transfer, TransferStatus } from '../../domain/entities/transfer.entity';
+import { describeStockItem, isSameStockItem, Stock, StockItem } from '../../domain/entities/stock.entity';
+import {
+  CreateTransferDTO,
+  InTransitLineDTO,
+  InTransitStockDTO,
+  TransferLineDTO,
+  TransferQuantitiesDTO,
+  TransferResponseDTO
+} from '../dtos/transfer.dto';
+import { StockUpdatedEvent, TransferStatusChangedEvent } from '@shared/domain/events/domain-events';
+
+/**
+ * Use case class for stock transfers between stores.
+ * A transfer is requested, approved, shipped and received, or cancelled before it ships.
+ * Shipping takes the units out of the source store, where they are in transit until the
+ * destination store receives them; units shipped but not received are the variance of the transfer.
+ */
+export class TransferUseCases {
+  /**
+   * @param transferRepository Repository for transfer persistence operations
+   * @param storeRepository Repository for store data
+   * @param productRepository Repository for product data
+   */
+  constructor(
+    private readonly transferRepository: ITransferRepository,
+    private readonly storeRepository: IStoreRepository,
+    private readonly productRepository: IProductRepository
+  ) {}
+
+  /**
+   * Requests a transfer of units from one store to another.
+   * @param dto Data Transfer Object for transfer creation
+   * @param requestedBy ID of the requesting user
+   */
+  async requestTransfer(dto: CreateTransferDTO, requestedBy: number): Promise<TransferResponseDTO> {
+    if (dto.fromStoreId === dto.toStoreId) {
+      throw new Error('A transfer must be between two different stores');
+    }
+    if (!dto.lines || dto.lines.length === 0) {
+      throw new Error('A transfer needs at least one line');
+    }
+    for (const [index, line] of dto.lines.entries()) {
+      if (!Number.isInteger(line.quantity) || line.quantity <= 0) {
+        throw new Error(`Invalid quantity for ${describeStockItem(line)}`);
+      }
+      if (dto.lines.slice(0, index).some(item => isSameStockItem(item, line))) {
+        throw new Error(`${describeStockItem(line, true)} is listed more than once`);
+      }
+    }
+
+    const [fromStore, toStore] = await Promise.all([
+      this.storeRepository.findById(dto.fromStoreId),
+      this.storeRepository.findById(dto.toStoreId)
+    ]);
+    if (!fromStore || !toStore) {
+      throw new Error('Store not found');
+    }
+    for (const line of dto.lines) {
+      const product = await this.productRepository.findById(line.productId);
+      if (!product) {
+        throw new Error(`Product ${line.productId} not found`);
+      }
+      product.checkStockVariant(line.variantId);
+    }
+
+    const transfer = await this.transferRepository.create({
+      fromStoreId: dto.fromStoreId,
+      toStoreId: dto.toStoreId,
+      requestedBy,
+      note: dto.note,
+      lines: dto.lines.map(line => ({ productId: line.productId, variantId: line.variantId, quantity: line.quantity }))
+    }, (saved) => [this.toTransferStatusChangedEvent(saved, null, requestedBy)]);
+    return this.toResponseDTO(transfer);
+  }
+
+  /**
+   * Approves a requested transfer.
+   * @param id Transfer ID
+   * @param userId ID of the approving user
+   * @param note Optional note recorded with the approval
+   */
+  async approveTransfer(id: number, userId: number, note?: string): Promise<TransferResponseDTO> {
+    const transfer = await this.findTransfer(id);
+    const approved = await this.transferRepository.changeStatus(
+      id,
+      { from: transfer.status, to: 'APPROVED', changedBy: userId, note },
+      (saved) => [this.toTransferStatusChangedEvent(saved, transfer.status, userId)]
+    );
+    return this.toResponseDTO(approved);
+  }
+
+  /**
+   * Ships an approved transfer, taking the shipped units out of the available stock of the source store.
+   * @param id Transfer ID
+   * @param dto Units shipped per product or variant, at most the requested units; everything requested when left out
+   * @param userId ID of the shipping user
+   */
+  async shipTransfer(id: number, dto: TransferQuantitiesDTO, userId: number): Promise<TransferResponseDTO> {
+    const transfer = await this.findTransfer(id);
+    const shipped = this.resolveQuantities(
+      transfer,
+      dto.lines,
+      (item) => transfer.findLine(item)?.quantity ?? 0,
+      'requested'
+    );
+    if (shipped.every(line => line.quantity === 0)) {
+      throw new Error('A transfer must ship at least one unit');
+    }
+
+    const movement = await this.transferRepository.ship(
+      id,
+      { from: transfer.status, to: 'SHIPPED', changedBy: userId, note: dto.note },
+      shipped,
+      (saved) => this.toMovementEvents(saved, transfer.status, userId, 'SHIPPED')
+    );
+    return this.toResponseDTO(movement.transfer);
+  }
+
+  /**
+   * Receives a shipped transfer, adding the received units to the stock of the destination store.
+   * Receiving fewer units than were shipped records the variance in the audit trail.
+   * @param id Transfer ID
+   * @param dto Units received per product or variant, at most the shipped units; everything shipped when left out
+   * @param userId ID of the receiving user
+   */
+  async receiveTransfer(id: number, dto: TransferQuantitiesDTO, userId: number): Promise<TransferResponseDTO> {
+    const transfer = await this.findTransfer(id);
+    const received = this.resolveQuantities(
+      transfer,
+      dto.lines,
+      (item) => transfer.findLine(item)?.shippedQuantity ?? 0,
+      'shipped'
+    );
+
+    const variances = received
+      .map(line => ({ line, missing: (transfer.findLine(line)?.shippedQuantity ?? 0) - line.quantity }))
+      .filter(variance => variance.missing > 0);
+    const varianceNote = variances.length > 0
+      ? `Variance: ${variances.map(({ line, missing }) => `${missing} units of ${describeStockItem(line)} not received`).join(', ')}`
+      : undefined;
+    const note = [dto.note, varianceNote].filter(Boolean).join('. ') || undefined;
+
+    const movement = await this.transferRepository.receive(
+      id,
+      { from: transfer.status, to: 'RECEIVED', changedBy: userId, note },
+      received,
+      (saved) => this.toMovementEvents(saved, transfer.status, userId, 'RECEIVED')
+    );
+    return this.toResponseDTO(movement.transfer);
+  }
+
+  /**
+   * Cancels a transfer that has not shipped yet.
+   * @param id Transfer ID
+   * @param userId ID of the cancelling user
+   * @param reason Reason recorded with the cancellation
+   */
+  async cancelTransfer(id: number, userId: number, reason: string): Promise<TransferResponseDTO> {
+    if (!reason || !reason.trim()) {
+      throw new Error('A reason is required to cancel a transfer');
+    }
+    const transfer = await this.findTransfer(id);
+    const cancelled = await this.transferRepository.changeStatus(
+      id,
+      { from: transfer.status, to: 'CANCELLED', changedBy: userId, note: reason.trim() },
+      (saved) => [this.toTransferStatusChangedEvent(saved, transfer.status, userId)]
+    );
+    return this.toResponseDTO(cancelled);
+  }
+
+  /**
+   * Retrieves a transfer with its audit trail.
+   * @param id Transfer ID
+   */
+  async getTransfer(id: number): Promise<TransferResponseDTO> {
+    return this.toResponseDTO(await this.findTransfer(id));
+  }
+
+  /**
+   * Retrieves the transfers leaving or arriving at a store, most recent first.
+   * @param storeId Store ID
+   * @param status Optional status filter
+   */
+  async getTransfersByStore(storeId: number, status?: TransferStatus): Promise<TransferResponseDTO[]> {
+    const transfers = await this.transferRepository.findByStoreId(storeId, status);
+    return transfers.map(transfer => this.toResponseDTO(transfer));
+  }
+
+  /**
+   * Retrieves the units shipped to or from a store and not yet received.
+   * @param storeId Store ID
+   */
+  async getInTransitStock(storeId: number): Promise<InTransitStockDTO> {
+    const transfers = await this.transferRepository.findByStoreId(storeId, 'SHIPPED');
+
+    const inbound: InTransitLineDTO[] = [];
+    const outbound: InTransitLineDTO[] = [];
+    for (const transfer of transfers) {
+      const outgoing = transfer.fromStoreId === storeId;
+      for (const line of transfer.lines) {
+        const quantity = transfer.getInTransitQuantity(line);
+        if (quantity === 0) {
+          continue;
+        }
+        (outgoing ? outbound : inbound).push({
+          transferId: transfer.id,
+          productId: line.productId,
+          ...(line.variantId !== undefined && { variantId: line.variantId }),
+          quantity,
+          otherStoreId: outgoing ? transfer.toStoreId : transfer.fromStoreId,
+          shippedAt: transfer.shippedAt
+        });
+      }
+    }
+    return { storeId, inbound, outbound };
+  }
+
+  private async findTransfer(id: number): Promise<Transfer> {
+    const transfer = await this.transferRepository.findById(id);
+    if (!transfer) {
+      throw new Error('Transfer not found');
+    }
+    return transfer;
+  }
+
+  /**
+   * Resolves the units of each line moved by a step, defaulting to the given limit.
+   */
+  private resolveQuantities(
+    transfer: Transfer,
+    lines: TransferLineDTO[] | undefined,
+    limit: (item: StockItem) => number,
+    limitName: string
+  ): TransferLineQuantity[] {
+    const toQuantity = (line: StockItem, quantity: number): TransferLineQuantity => ({
+      productId: line.productId,
+      ...(line.variantId !== undefined && { variantId: line.variantId }),
+      quantity
+    });
+    if (!lines) {
+      return transfer.lines.map(line => toQuantity(line, limit(line)));
+    }
+
+    for (const [index, line] of lines.entries()) {
+      if (!transfer.findLine(line)) {
+        throw new Error(`${describeStockItem(line, true)} is not part of transfer ${transfer.id}`);
+      }
+      if (lines.slice(0, index).some(item => isSameStockItem(item, line))) {
+        throw new Error(`${describeStockItem(line, true)} is listed more than once`);
+      }
+      if (!Number.isInteger(line.quantity) || line.quantity < 0) {
+        throw new Error(`Invalid quantity for ${describeStockItem(line)}`);
+      }
+      if (line.quantity > limit(line)) {
+        throw new Error(`Cannot move more than the ${limit(line)} ${limitName} units of ${describeStockItem(line)}`);
+      }
+    }
+    return transfer.lines.map(line =>
+      toQuantity(line, lines.find(item => isSameStockItem(item, line))?.quantity ?? 0)
+    );
+  }
+
+  private toMovementEvents(
+    movement: TransferStockMovement,
+    fromStatus: TransferStatus,
+    userId: number,
+    step: 'SHIPPED' | 'RECEIVED'
+  ): Array<TransferStatusChangedEvent | StockUpdatedEvent> {
+    return [
+      this.toTransferStatusChangedEvent(movement.transfer, fromStatus, userId),
+      ...movement.stocks.map(stock => {
+        const line = movement.transfer.findLine({ productId: stock.productId, variantId: stock.variantId ?? undefined });
+        const moved = step === 'SHIPPED' ? -(line?.shippedQuantity ?? 0) : (line?.receivedQuantity ?? 0);
+        return this.toStockUpdatedEvent(stock, stock.quantity - moved);
+      })
+    ];
+  }
+
+  private toTransferStatusChangedEvent(
+    transfer: Transfer,
+    fromStatus: TransferStatus | null,
+    changedBy: number
+  ): TransferStatusChangedEvent {
+    return {
+      aggregateId: transfer.id.toString(),
+      eventType: 'TRANSFER_STATUS_CHANGED',
+      occurredOn: new Date(),
+      eventData: {
+        transferId: transfer.id,
+        fromStoreId: transfer.fromStoreId,
+        toStoreId: transfer.toStoreId,
+        fromStatus: fromStatus as TransferStatusChangedEvent['eventData']['fromStatus'],
+        toStatus: transfer.status,
+        changedBy,
+        lines: transfer.lines.map(line => ({
+          productId: line.productId,
+          ...(line.variantId !== undefined && { variantId: line.variantId }),
+          quantity: line.quantity,
+          ...(line.shippedQuantity !== undefined && { shippedQuantity: line.shippedQuantity }),
+          ...(line.receivedQuantity !== undefined && { receivedQuantity: line.receivedQuantity })
+        }))
+      }
+    };
+  }
+
+  private toStockUpdatedEvent(stock: Stock, oldQuantity: number): StockUpdatedEvent {
+    return {
+      aggregateId: stock.id.toString(),
+      eventType: 'STOCK_UPDATED',
+      occurredOn: new Date(),
+      eventData: {
+        storeId: stock.storeId,
+        productId: stock.productId,
+        oldQuantity,
+        newQuantity: stock.quantity,
+        reason: 'TRANSFER'
+      }
+    };
+  }
+
+  private toResponseDTO(transfer: Transfer): TransferResponseDTO {
+    return {
+      id: transfer.id,
+      fromStoreId: transfer.fromStoreId,
+      toStoreId: transfer.toStoreId,
+      status: transfer.status,
+      requestedBy: transfer.requestedBy,
+      lines: transfer.lines.map(line => ({
+        productId: line.productId,
+        ...(line.variantId !== undefined && { variantId: line.variantId }),
+        quantity: line.quantity,
+        ...(line.shippedQuantity !== undefined && { shippedQuantity: line.shippedQuantity }),
+        ...(line.receivedQuantity !== undefined && { receivedQuantity: line.receivedQuantity }),
+        ...(line.getVariance() !== undefined && { variance: line.getVariance() })
+      })),
+      createdAt: transfer.createdAt,
+      ...(transfer.shippedAt && { shippedAt: transfer.shippedAt }),
+      ...(transfer.receivedAt && { receivedAt: transfer.receivedAt }),
+      history: transfer.history.map(entry => ({ ...entry }))
+    };
+  }
+}
@@ -0,0 +1,25 @@
+// Category Entity - Node of the product taxonomy
+
+/**
+ * Raised when a category would be moved under itself or one of its subcategories
+ */
+export class CategoryCycleError extends Error {
+  constructor(categoryId: number, parentId: number) {
+    super(`Category ${categoryId} cannot be moved under category ${parentId}, which is itself or one of its subcategories`);
+    this.name = 'CategoryCycleError';
+  }
+}
+
+export class Category {
+  constructor(
+    public readonly id: number,
+    public readonly name: string,
+    public readonly parentId: number | null = null, // Top-level categories have no parent
+    public readonly description?: string,
+    public readonly createdAt: Date = new Date()
+  ) {}
+
+  isValid(): boolean {
+    return this.name.trim().length > 0;
+  }
+}
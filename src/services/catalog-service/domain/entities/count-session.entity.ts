@@ -0,0 +1,119 @@
+// Count Session Entity - Physical count of the stock of a store, reconciled against the system quantities
+import { isSameStockItem, StockItem } from './stock.entity';
+
+export type CountSessionStatus = 'OPEN' | 'POSTED' | 'CANCELLED';
+
+/**
+ * Allowed count session status transitions. Counts are recorded while the session is open;
+ * posting applies the approved variances and closes it.
+ */
+export const COUNT_SESSION_STATUS_TRANSITIONS: Readonly<Record<CountSessionStatus, readonly CountSessionStatus[]>> = {
+  OPEN: ['POSTED', 'CANCELLED'],
+  POSTED: [],
+  CANCELLED: []
+};
+
+export const canTransitionCountSession = (from: CountSessionStatus, to: CountSessionStatus): boolean =>
+  COUNT_SESSION_STATUS_TRANSITIONS[from].includes(to);
+
+/**
+ * Domain error raised when a count session step is not allowed by the state machine,
+ * or when the session no longer has the status the step was based on
+ */
+export class IllegalCountSessionTransitionError extends Error {
+  constructor(
+    public readonly countSessionId: number,
+    public readonly from: CountSessionStatus,
+    public readonly to: CountSessionStatus,
+    message: string = `Cannot change count session ${countSessionId} from ${from} to ${to}`
+  ) {
+    super(message);
+    this.name = 'IllegalCountSessionTransitionError';
+  }
+}
+
+/**
+ * Units of a product one counter found on the shelves
+ */
+export class CountEntry {
+  constructor(
+    public readonly countedBy: number,
+    public readonly quantity: number,
+    public readonly countedAt: Date
+  ) {}
+}
+
+export class CountSessionLine {
+  constructor(
+    public readonly productId: number,
+    public readonly stockId: number,
+    public readonly snapshotQuantity: number, // Units on hand when the session was opened
+    public readonly entries: CountEntry[] = [],
+    public readonly movedDuringCount: number = 0, // Net units moved by sales and other changes between the snapshot and the count
+    public readonly adjustment?: number, // Units posted to stock once the variance was approved
+    public readonly variantId?: number // Set for the stock of a variant
+  ) {}
+
+  isCounted(): boolean {
+    return this.entries.length > 0;
+  }
+
+  /**
+   * Units found on the shelves; counters split the store, so their entries add up
+   */
+  getCountedQuantity(): number | undefined {
+    return this.isCounted() ? this.entries.reduce((sum, entry) => sum + entry.quantity, 0) : undefined;
+  }
+
+  /**
+   * Units the system expected on the shelves when the product was last counted
+   */
+  getExpectedQuantity(): number {
+    return this.snapshotQuantity + this.movedDuringCount;
+  }
+
+  /**
+   * Counted minus expected units: negative for shrinkage, positive for units found
+   */
+  getVariance(): number | undefined {
+    const counted = this.getCountedQuantity();
+    return counted === undefined ? undefined : counted - this.getExpectedQuantity();
+  }
+
+  /**
+   * When the product was last counted
+   */
+  getLastCountedAt(): Date | undefined {
+    return this.entries.reduce<Date | undefined>(
+      (latest, entry) => (!latest || entry.countedAt > latest ? entry.countedAt : latest),
+      undefined
+    );
+  }
+}
+
+export class CountSession {
+  constructor(
+    public readonly id: number,
+    public readonly storeId: number,
+    public readonly status: CountSessionStatus,
+    public readonly lines: CountSessionLine[],
+    public readonly openedBy: number,
+    public readonly createdAt: Date, // When the stock was snapshotted
+    public readonly note?: string,
+    public readonly postedAt?: Date,
+    public readonly postedBy?: number,
+    public readonly cancelledAt?: Date,
+    public readonly cancelledBy?: number
+  ) {}
+
+  findLine(item: StockItem): CountSessionLine | undefined {
+    return this.lines.find(line => isSameStockItem(line, item));
+  }
+
+  /**
+   * Lines of a product: one per variant for a product with variants
+   */
+  findProductLines(productId: number): CountSessionLine[] {
+    return this.lines.filter(line => line.productId === productId);
+  }
+}
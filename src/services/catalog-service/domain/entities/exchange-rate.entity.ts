@@ -0,0 +1,14 @@
+// ExchangeRate Entity - Locally configured value of a currency in the default currency
+import { isCurrencyCode } from '@shared/domain/value-objects/money.vo';
+
+export class ExchangeRate {
+  constructor(
+    public readonly currency: string, // ISO 4217 code
+    public readonly rate: number, // Units of the default currency per unit of the currency
+    public readonly updatedAt?: Date
+  ) {}
+
+  isValid(): boolean {
+    return isCurrencyCode(this.currency) && Number.isFinite(this.rate) && this.rate > 0;
+  }
+}
@@ -0,0 +1,41 @@
+// Product Variant Entity - One combination of the option values of a product, stocked and sold on its own
+
+/**
+ * Option axis of a product, e.g. { name: 'Size', values: ['S', 'M', 'L'] }
+ */
+export interface ProductOption {
+  name: string;
+  values: string[];
+}
+
+export class ProductVariant {
+  constructor(
+    public readonly id: number,
+    public readonly productId: number,
+    public sku: string,
+    public options: Record<string, string>, // Value of every option axis of the product, by axis name
+    public price?: number, // Overrides the product price in the default currency
+    public readonly createdAt: Date = new Date()
+  ) {}
+
+  /**
+   * Option values in a canonical form, so that two variants with the same values
+   * compare equal whatever the order or case they were given in, e.g. color=blue;size=m
+   */
+  static optionKey(options: Record<string, string>): string {
+    return Object.entries(options)
+      .map(([name, value]) => `${name.trim().toLowerCase()}=${value.trim().toLowerCase()}`)
+      .sort()
+      .join(';');
+  }
+
+  /**
+   * Option values for display, in the order of the axes of the product, e.g. "M / Blue"
+   */
+  label(axes: ProductOption[]): string {
+    return axes
+      .map(axis => this.options[axis.name])
+      .filter(value => value !== undefined)
+      .join(' / ');
+  }
+}
@@ -1,17 +1,89 @@
 // Product Entity - Core business object for catalog items
+import { DEFAULT_CURRENCY, isCurrencyCode, Money } from '@shared/domain/value-objects/money.vo';
+import { ExchangeRates } from '@shared/domain/value-objects/exchange-rates.vo';
+import { Barcode } from '@shared/domain/value-objects/barcode.vo';
+import { ProductOption, ProductVariant } from './product-variant.entity';
+
+// Letters, digits, dots, dashes and underscores, starting with a letter or digit
+const SKU_PATTERN = /^[A-Z0-9][A-Z0-9._-]{0,31}$/;
+
+/**
+ * Upper-cases a stock keeping unit, as products and their variants store it
+ * @throws Error when the SKU has other characters or is too long
+ */
+export function normalizeSku(sku: string): string {
+  const normalized = sku.trim().toUpperCase();
+  if (!SKU_PATTERN.test(normalized)) {
+    throw new Error(`Invalid SKU ${sku}: up to 32 letters, digits, dots, dashes or underscores are allowed`);
+  }
+  return normalized;
+}
+
 export class Product {
   constructor(
     public readonly id: number,
     public name: string,
     public price: number,
-    public description?: string
+    public description?: string,
+    public taxCategory: string = 'STANDARD',
+    public prices: Record<string, number> = {}, // Prices set explicitly in other currencies, by currency code
+    public categoryId: number | null = null, // Category the product is filed under, if any
+    public sku?: string, // Generated on creation when left out
+    public barcodes: Barcode[] = [],
+    public options: ProductOption[] = [], // Option axes the variants of the product differ by
+    public variants: ProductVariant[] = []
   ) {}
 
+  /**
+   * Sets the price, rounded to the cent
+   */
   updatePrice(newPrice: number): void {
-    if (newPrice < 0) {
+    const price = Money.of(newPrice);
+    if (price.isNegative()) {
       throw new Error('Price cannot be negative');
     }
-    this.price = newPrice;
+    this.price = price.getAmount();
+  }
+
+  /**
+   * Replaces the prices set explicitly in other currencies than the default one, rounded to the cent
+   * @param prices Prices by ISO 4217 currency code
+   */
+  updatePrices(prices: Record<string, number>): void {
+    const updated: Record<string, number> = {};
+    for (const [currency, amount] of Object.entries(prices)) {
+      const code = currency.trim().toUpperCase();
+      if (!isCurrencyCode(code)) {
+        throw new Error(`Invalid currency ${currency}: an ISO 4217 code such as USD is required`);
+      }
+      if (code === DEFAULT_CURRENCY) {
+        throw new Error(`The price in the default currency ${DEFAULT_CURRENCY} is the product price`);
+      }
+      if (typeof amount !== 'number' || !Number.isFinite(amount)) {
+        throw new Error(`Price in ${code} must be a number`);
+      }
+      const price = Money.of(amount, code);
+      if (price.isNegative()) {
+        throw new Error('Price cannot be negative');
+      }
+      updated[code] = price.getAmount();
+    }
+    this.prices = updated;
+  }
+
+  /**
+   * Price in a currency: the price set explicitly in that currency, otherwise the
+   * default currency price converted through the exchange rates
+   * @throws Error when the currency has no explicit price and no exchange rate
+   */
+  getPriceIn(currency: string, exchangeRates: ExchangeRates): number {
+    if (currency === DEFAULT_CURRENCY) {
+      return this.price;
+    }
+    if (this.prices[currency] !== undefined) {
+      return this.prices[currency];
+    }
+    return exchangeRates.convert(Money.of(this.price), currency).getAmount();
   }
 
   updateDetails(name?: string, description?: string): void {
@@ -19,19 +91,208 @@ export class Product {
     if (description !== undefined) this.description = description;
   }
 
+  /**
+   * Sets the tax category deciding which tax rules of a store apply to the product
+   */
+  updateTaxCategory(taxCategory: string): void {
+    if (taxCategory.trim().length === 0) {
+      throw new Error('Tax category cannot be empty');
+    }
+    this.taxCategory = taxCategory.trim().toUpperCase();
+  }
+
+  /**
+   * Files the product under a category, or takes it out of the taxonomy with null
+   */
+  moveToCategory(categoryId: number | null): void {
+    if (categoryId !== null && (!Number.isInteger(categoryId) || categoryId <= 0)) {
+      throw new Error('Invalid category');
+    }
+    this.categoryId = categoryId;
+  }
+
+  /**
+   * Sets the stock keeping unit, upper-cased
+   */
+  updateSku(sku: string): void {
+    this.sku = normalizeSku(sku);
+  }
+
+  /**
+   * Replaces the barcodes of the product
+   * @param codes UPC-A or EAN-13 codes with a valid check digit
+   * @throws Error when a code is invalid or listed twice
+   */
+  updateBarcodes(codes: string[]): void {
+    const barcodes: Barcode[] = [];
+    for (const code of codes) {
+      const barcode = Barcode.parse(code);
+      if (barcodes.some(other => other.equals(barcode))) {
+        throw new Error(`Barcode ${barcode.toString()} is listed more than once`);
+      }
+      barcodes.push(barcode);
+    }
+    this.barcodes = barcodes;
+  }
+
+  /**
+   * Replaces the option axes of the product, e.g. Size and Color
+   * @throws Error when an axis is unnamed, lists no or duplicate values, or no longer
+   * fits an existing variant
+   */
+  updateOptions(options: ProductOption[]): void {
+    const updated: ProductOption[] = [];
+    for (const option of options) {
+      const name = String(option?.name ?? '').trim();
+      if (name.length === 0) {
+        throw new Error('Option name cannot be empty');
+      }
+      if (updated.some(other => other.name.toLowerCase() === name.toLowerCase())) {
+        throw new Error(`Option ${name} is listed more than once`);
+      }
+      const values: string[] = [];
+      for (const value of option.values ?? []) {
+        const trimmed = String(value).trim();
+        if (trimmed.length === 0) {
+          throw new Error(`Option ${name} has an empty value`);
+        }
+        if (values.some(other => other.toLowerCase() === trimmed.toLowerCase())) {
+          throw new Error(`Value ${trimmed} of option ${name} is listed more than once`);
+        }
+        values.push(trimmed);
+      }
+      if (values.length === 0) {
+        throw new Error(`Option ${name} needs at least one value`);
+      }
+      updated.push({ name, values });
+    }
+    const previous = this.options;
+    this.options = updated;
+    for (const variant of this.variants) {
+      try {
+        this.resolveOptions(variant.options);
+      } catch (error) {
+        this.options = previous;
+        throw new Error(`Variant ${variant.sku} no longer fits the options: ${(error as Error).message}`);
+      }
+    }
+  }
+
+  /**
+   * Matches option values against the axes of the product, ignoring case
+   * @param options Value of every axis, by axis name
+   * @returns The values spelled as the axes of the product list them
+   * @throws Error when an axis is missing or unknown, or a value is not listed
+   */
+  resolveOptions(options: Record<string, string>): Record<string, string> {
+    if (this.options.length === 0) {
+      throw new Error(`Product ${this.id} has no options`);
+    }
+    const given = Object.entries(options ?? {});
+    for (const [name] of given) {
+      if (!this.options.some(axis => axis.name.toLowerCase() === name.trim().toLowerCase())) {
+        throw new Error(`Product ${this.id} has no option ${name}`);
+      }
+    }
+    const resolved: Record<string, string> = {};
+    for (const axis of this.options) {
+      const entry = given.find(([name]) => name.trim().toLowerCase() === axis.name.toLowerCase());
+      if (!entry) {
+        throw new Error(`A value of option ${axis.name} is required`);
+      }
+      const value = axis.values.find(candidate => candidate.toLowerCase() === String(entry[1]).trim().toLowerCase());
+      if (value === undefined) {
+        throw new Error(`Invalid value ${entry[1]} of option ${axis.name}: one of ${axis.values.join(', ')} is required`);
+      }
+      resolved[axis.name] = value;
+    }
+    return resolved;
+  }
+
+  /**
+   * Stock and sales of a product with variants are kept per variant
+   */
+  hasVariants(): boolean {
+    return this.variants.length > 0;
+  }
+
+  findVariant(variantId: number): ProductVariant | undefined {
+    return this.variants.find(variant => variant.id === variantId);
+  }
+
+  /**
+   * Checks that a variant names an item stock is kept for: one of the variants of a product
+   * with variants, and none for a product without
+   */
+  checkStockVariant(variantId?: number): void {
+    if (variantId !== undefined && !this.findVariant(variantId)) {
+      throw new Error(`Variant ${variantId} of product ${this.id} not found`);
+    }
+    if (variantId === undefined && this.hasVariants()) {
+      throw new Error(`Product ${this.id} has variants: stock is kept per variant`);
+    }
+  }
+
   isValid(): boolean {
     return this.name.length > 0 && this.price >= 0;
   }
 
   // Factory method to create from plain data
-  static fromData(data: { name: string; price: number; description?: string }): Omit<Product, 'id'> {
+  static fromData(data: {
+    name: string;
+    price: number;
+    description?: string;
+    taxCategory?: string;
+    prices?: Record<string, number>;
+    categoryId?: number | null;
+    sku?: string;
+    barcodes?: string[];
+    options?: ProductOption[];
+  }): Omit<Product, 'id'> {
     const product = new Product(0, data.name, data.price, data.description);
+    product.updatePrice(data.price);
+    if (data.taxCategory !== undefined) {
+      product.updateTaxCategory(data.taxCategory);
+    }
+    if (data.prices !== undefined) {
+      product.updatePrices(data.prices);
+    }
+    if (data.categoryId !== undefined) {
+      product.moveToCategory(data.categoryId);
+    }
+    if (data.sku !== undefined) {
+      product.updateSku(data.sku);
+    }
+    if (data.barcodes !== undefined) {
+      product.updateBarcodes(data.barcodes);
+    }
+    if (data.options !== undefined) {
+      product.updateOptions(data.options);
+    }
     return {
       name: product.name,
       price: product.price,
       description: product.description,
+      taxCategory: product.taxCategory,
+      prices: product.prices,
+      categoryId: product.categoryId,
+      sku: product.sku,
+      barcodes: product.barcodes,
+      options: product.options,
+      variants: product.variants,
       updatePrice: product.updatePrice.bind(product),
+      updatePrices: product.updatePrices.bind(product),
+      getPriceIn: product.getPriceIn.bind(product),
       updateDetails: product.updateDetails.bind(product),
+      updateTaxCategory: product.updateTaxCategory.bind(product),
+      moveToCategory: product.moveToCategory.bind(product),
+      updateSku: product.updateSku.bind(product),
+      updateBarcodes: product.updateBarcodes.bind(product),
+      updateOptions: product.updateOptions.bind(product),
+      resolveOptions: product.resolveOptions.bind(product),
+      hasVariants: product.hasVariants.bind(product),
+      findVariant: product.findVariant.bind(product),
+      checkStockVariant: product.checkStockVariant.bind(product),
       isValid: product.isValid.bind(product)
     };
   }
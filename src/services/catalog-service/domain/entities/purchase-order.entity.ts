@@ -0,0 +1,85 @@
+// Purchase Order Entity - Stock ordered from a supplier for a store
+import { isSameStockItem, StockItem } from './stock.entity';
+
+export type PurchaseOrderStatus = 'DRAFT' | 'SUBMITTED' | 'PARTIALLY_RECEIVED' | 'RECEIVED' | 'CANCELLED';
+
+/**
+ * Allowed purchase order status transitions. Units can be received in several deliveries,
+ * so a partially received order stays PARTIALLY_RECEIVED until every ordered unit arrived.
+ */
+export const PURCHASE_ORDER_STATUS_TRANSITIONS: Readonly<Record<PurchaseOrderStatus, readonly PurchaseOrderStatus[]>> = {
+  DRAFT: ['SUBMITTED', 'CANCELLED'],
+  SUBMITTED: ['PARTIALLY_RECEIVED', 'RECEIVED', 'CANCELLED'],
+  PARTIALLY_RECEIVED: ['PARTIALLY_RECEIVED', 'RECEIVED', 'CANCELLED'],
+  RECEIVED: [],
+  CANCELLED: []
+};
+
+// Orders the reorder job does not draft again for, as their units are still expected
+export const OPEN_PURCHASE_ORDER_STATUSES: readonly PurchaseOrderStatus[] = ['DRAFT', 'SUBMITTED', 'PARTIALLY_RECEIVED'];
+
+export const canTransitionPurchaseOrder = (from: PurchaseOrderStatus, to: PurchaseOrderStatus): boolean =>
+  PURCHASE_ORDER_STATUS_TRANSITIONS[from].includes(to);
+
+/**
+ * Domain error raised when a purchase order step is not allowed by the state machine,
+ * or when the order no longer has the status the step was based on
+ */
+export class IllegalPurchaseOrderTransitionError extends Error {
+  constructor(
+    public readonly purchaseOrderId: number,
+    public readonly from: PurchaseOrderStatus,
+    public readonly to: PurchaseOrderStatus,
+    message: string = `Cannot change purchase order ${purchaseOrderId} from ${from} to ${to}`
+  ) {
+    super(message);
+    this.name = 'IllegalPurchaseOrderTransitionError';
+  }
+}
+
+export class PurchaseOrderLine {
+  constructor(
+    public readonly productId: number,
+    public readonly quantity: number, // Units ordered
+    public readonly receivedQuantity: number = 0,
+    public readonly suggestedQuantity?: number, // Units suggested by the reorder job
+    public readonly unitsSold?: number, // Units sold in the sales window the suggestion was based on
+    public readonly variantId?: number // Set for products with variants, which are stocked per variant
+  ) {}
+
+  /**
+   * Ordered units not received yet
+   */
+  getOutstanding(): number {
+    return Math.max(this.quantity - this.receivedQuantity, 0);
+  }
+}
+
+export class PurchaseOrder {
+  constructor(
+    public readonly id: number,
+    public readonly supplierId: number,
+    public readonly storeId: number,
+    public readonly status: PurchaseOrderStatus,
+    public readonly lines: PurchaseOrderLine[],
+    public readonly createdAt: Date,
+    public readonly createdBy?: number, // Left out for orders drafted by the reorder job
+    public readonly note?: string,
+    public readonly submittedAt?: Date,
+    public readonly submittedBy?: number,
+    public readonly receivedAt?: Date,
+    public readonly cancelledAt?: Date,
+    public readonly cancelReason?: string
+  ) {}
+
+  findLine(item: StockItem): PurchaseOrderLine | undefined {
+    return this.lines.find(line => isSameStockItem(line, item));
+  }
+
+  /**
+   * Whether the order was drafted by the reorder job
+   */
+  isGenerated(): boolean {
+    return this.createdBy === undefined;
+  }
+}
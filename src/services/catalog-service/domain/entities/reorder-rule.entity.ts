@@ -0,0 +1,41 @@
+// Reorder Rule Entity - When and how much of a product, or of one of its variants, a store reorders
+
+export class ReorderRule {
+  constructor(
+    public readonly storeId: number,
+    public readonly productId: number,
+    public readonly reorderPoint: number, // Available units below which the product is reordered
+    public readonly reorderQuantity: number, // Minimum units ordered at once
+    public readonly supplierId?: number, // Not reordered automatically without a supplier
+    public readonly id: number = 0,
+    public readonly variantId?: number // Set for products with variants, which are reordered per variant
+  ) {}
+
+  isValid(): boolean {
+    return Number.isInteger(this.reorderPoint) && this.reorderPoint >= 0
+      && Number.isInteger(this.reorderQuantity) && this.reorderQuantity > 0;
+  }
+
+  /**
+   * Whether the available units dropped below the reorder point
+   */
+  needsReorder(available: number): boolean {
+    return available < this.reorderPoint;
+  }
+
+  /**
+   * Units to order: enough to bring the available units back to the reorder point and
+   * cover the sales expected until the order arrives, at the recent daily sales rate,
+   * and never less than the reorder quantity.
+   * @param available Units available now
+   * @param unitsSold Units sold over the sales window
+   * @param salesWindowDays Days the units were sold over
+   * @param leadTimeDays Days until an order placed now arrives
+   */
+  suggestQuantity(available: number, unitsSold: number, salesWindowDays: number, leadTimeDays: number): number {
+    const dailySales = salesWindowDays > 0 ? Math.max(unitsSold, 0) / salesWindowDays : 0;
+    const leadTimeSales = Math.ceil(dailySales * leadTimeDays);
+    const shortfall = this.reorderPoint - Math.max(available, 0) + leadTimeSales;
+    return Math.max(this.reorderQuantity, shortfall);
+  }
+}
@@ -0,0 +1,48 @@
+// StockHold Entity - Units of a product put on hold for a customer at a store (layaway)
+export type StockHoldStatus = 'ACTIVE' | 'CONVERTED' | 'RELEASED' | 'EXPIRED';
+
+/**
+ * Domain error raised when a hold is closed after it stopped being active,
+ * or converted after its expiry
+ */
+export class StockHoldNotActiveError extends Error {
+  constructor(
+    public readonly holdId: number,
+    message: string = `Stock hold ${holdId} is not active`
+  ) {
+    super(message);
+    this.name = 'StockHoldNotActiveError';
+  }
+}
+
+/**
+ * While active, the units of a hold are kept out of the available stock of the store.
+ * A hold ends converted to a sale, released by the store or expired once its time is up.
+ */
+export class StockHold {
+  constructor(
+    public readonly id: number,
+    public readonly storeId: number,
+    public readonly productId: number,
+    public readonly userId: number, // Customer the units are held for
+    public readonly quantity: number,
+    public readonly status: StockHoldStatus,
+    public readonly expiresAt: Date,
+    public readonly createdAt: Date,
+    public readonly closedAt?: Date,
+    public readonly saleId?: number, // Sale the hold was converted to
+    public readonly variantId?: number // Set for products with variants, which are stocked per variant
+  ) {}
+
+  /**
+   * Active holds past their expiry still keep their units until the expiry worker closes them,
+   * but can no longer be converted.
+   */
+  isExpired(now: Date = new Date()): boolean {
+    return this.expiresAt.getTime() <= now.getTime();
+  }
+
+  isActive(now: Date = new Date()): boolean {
+    return this.status === 'ACTIVE' && !this.isExpired(now);
+  }
+}
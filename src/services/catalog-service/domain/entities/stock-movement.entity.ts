@@ -0,0 +1,50 @@
+// Stock Movement Entity - Immutable ledger entry of a change of the units on hand
+
+export type StockMovementReason =
+  | 'INITIAL' // Units of a new stock record
+  | 'SALE'
+  | 'RELEASE' // Units of a cancelled or voided sale put back
+  | 'REFUND'
+  | 'EXCHANGE'
+  | 'ADJUSTMENT'
+  | 'DAMAGE'
+  | 'RESTOCK'
+  | 'CORRECTION' // Quantity set to a counted value
+  | 'TRANSFER';
+
+export type StockMovementReferenceType =
+  | 'SALE'
+  | 'REFUND'
+  | 'EXCHANGE'
+  | 'TRANSFER'
+  | 'PURCHASE_ORDER'
+  | 'COUNT_SESSION'
+  | 'ADJUSTMENT';
+
+/**
+ * Why units moved, recorded with every change of the units on hand
+ */
+export interface StockMovementSource {
+  reason: StockMovementReason;
+  referenceType?: StockMovementReferenceType;
+  referenceId?: number; // ID of the sale, refund, exchange, transfer, purchase order, count session or adjustment that moved the units
+  actorId?: number; // User who moved the units; left out for system changes
+  note?: string;
+}
+
+export class StockMovement {
+  constructor(
+    public readonly id: number,
+    public readonly stockId: number,
+    public readonly storeId: number,
+    public readonly productId: number,
+    public readonly delta: number,
+    public readonly quantityAfter: number,
+    public readonly reason: StockMovementReason,
+    public readonly createdAt: Date,
+    public readonly referenceType?: StockMovementReferenceType,
+    public readonly referenceId?: number,
+    public readonly actorId?: number,
+    public readonly note?: string
+  ) {}
+}
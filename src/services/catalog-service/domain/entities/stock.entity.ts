@@ -1,12 +1,67 @@
-// Stock Entity - Inventory levels for products at specific stores
+// Stock Entity - Inventory levels for products (or their variants) at specific stores
+
+/**
+ * Units of a product missing to fulfil a reservation
+ */
+export interface StockShortage {
+  productId: number;
+  variantId?: number;
+  requested: number;
+  available: number; // 0 when the store has no stock record for the product
+}
+
+/**
+ * Domain error raised when a reservation cannot be fulfilled, listing every short product
+ */
+export class InsufficientStockError extends Error {
+  constructor(
+    public readonly storeId: number,
+    public readonly shortages: StockShortage[],
+    message: string = `Insufficient stock at store ${storeId} for products ${shortages.map(shortage => shortage.productId).join(', ')}`
+  ) {
+    super(message);
+    this.name = 'InsufficientStockError';
+  }
+}
+
+/**
+ * Item stock is kept for: a product, or one variant of a product with variants
+ */
+export interface StockItem {
+  productId: number;
+  variantId?: number;
+}
+
+export const isSameStockItem = (a: StockItem, b: StockItem): boolean =>
+  a.productId === b.productId && (a.variantId ?? null) === (b.variantId ?? null);
+
+/**
+ * Names an item in messages, e.g. "product 5" or "variant 12 of product 5"
+ */
+export const describeStockItem = (item: StockItem, capitalized: boolean = false): string => {
+  const description = item.variantId === undefined
+    ? `product ${item.productId}`
+    : `variant ${item.variantId} of product ${item.productId}`;
+  return capitalized ? description.charAt(0).toUpperCase() + description.slice(1) : description;
+};
 export class Stock {
   constructor(
     public readonly storeId: number,
     public readonly productId: number,
-    public quantity: number,
-    public readonly id: number = 0
+    public quantity: number, // Units on hand
+    public readonly id: number = 0,
+    public readonly held: number = 0, // Units on hand kept for active holds
+    public readonly variantId: number | null = null // Set for products with variants, which are stocked per variant
   ) {}
 
+  /**
+   * Units on hand that are not on hold. A stock count can set the units on hand below
+   * the held units, in which case nothing is available.
+   */
+  getAvailable(): number {
+    return Math.max(this.quantity - this.held, 0);
+  }
+
   updateQuantity(newQuantity: number): void {
     if (newQuantity < 0) {
       throw new Error('Stock quantity cannot be negative');
@@ -15,7 +70,7 @@ export class Stock {
   }
 
   reserve(amount: number): boolean {
-    if (this.quantity >= amount) {
+    if (this.getAvailable() >= amount) {
       this.quantity -= amount;
       return true;
     }
@@ -35,12 +90,15 @@ export class Stock {
   }
 
   // Factory method to create from plain data
-  static fromData(data: { storeId: number; productId: number; quantity: number }): Omit<Stock, 'id'> {
-    const stock = new Stock(data.storeId, data.productId, data.quantity);
+  static fromData(data: { storeId: number; productId: number; quantity: number; variantId?: number | null }): Omit<Stock, 'id'> {
+    const stock = new Stock(data.storeId, data.productId, data.quantity, 0, 0, data.variantId ?? null);
     return {
       storeId: stock.storeId,
       productId: stock.productId,
       quantity: stock.quantity,
+      held: stock.held,
+      variantId: stock.variantId,
+      getAvailable: stock.getAvailable.bind(stock),
       updateQuantity: stock.updateQuantity.bind(stock),
       reserve: stock.reserve.bind(stock),
       restore: stock.restore.bind(stock),
@@ -1,9 +1,12 @@
 // Store Entity - Represents physical store locations
+import { DEFAULT_CURRENCY, isCurrencyCode } from '@shared/domain/value-objects/money.vo';
+
 export class Store {
   constructor(
     public readonly id: number,
     public name: string,
-    public address?: string
+    public address?: string,
+    public currency: string = DEFAULT_CURRENCY // Prices are charged and sales recorded in this currency
   ) {}
 
   updateDetails(name?: string, address?: string): void {
@@ -11,17 +14,33 @@ export class Store {
     if (address !== undefined) this.address = address;
   }
 
+  /**
+   * Sets the currency of the store from an ISO 4217 code
+   */
+  updateCurrency(currency: string): void {
+    const code = currency.trim().toUpperCase();
+    if (!isCurrencyCode(code)) {
+      throw new Error(`Invalid currency ${currency}: an ISO 4217 code such as CAD is required`);
+    }
+    this.currency = code;
+  }
+
   isValid(): boolean {
-    return this.name.length > 0;
+    return this.name.length > 0 && isCurrencyCode(this.currency);
   }
 
   // Factory method to create from plain data
-  static fromData(data: { name: string; address?: string }): Omit<Store, 'id'> {
+  static fromData(data: { name: string; address?: string; currency?: string }): Omit<Store, 'id'> {
     const store = new Store(0, data.name, data.address);
+    if (data.currency !== undefined) {
+      store.updateCurrency(data.currency);
+    }
     return {
       name: store.name,
       address: store.address,
+      currency: store.currency,
       updateDetails: store.updateDetails.bind(store),
+      updateCurrency: store.updateCurrency.bind(store),
       isValid: store.isValid.bind(store)
     };
   }
@@ -0,0 +1,16 @@
+// Supplier Entity - Vendor stores order stock from
+
+export class Supplier {
+  constructor(
+    public readonly id: number,
+    public readonly name: string,
+    public readonly leadTimeDays: number = 7, // Usual days between ordering and receiving
+    public readonly email?: string,
+    public readonly phone?: string,
+    public readonly createdAt: Date = new Date()
+  ) {}
+
+  isValid(): boolean {
+    return this.name.trim().length > 0 && Number.isInteger(this.leadTimeDays) && this.leadTimeDays >= 0;
+  }
+}
@@ -0,0 +1,15 @@
+// TaxRule Entity - Tax a store charges on products of one tax category
+export class TaxRule {
+  constructor(
+    public readonly id: number,
+    public readonly storeId: number,
+    public readonly code: string,
+    public readonly name: string,
+    public readonly rate: number, // Percent of the amount before tax
+    public readonly taxCategory: string = 'STANDARD'
+  ) {}
+
+  isValid(): boolean {
+    return this.code.length > 0 && this.name.length > 0 && this.rate >= 0 && this.rate <= 100;
+  }
+}
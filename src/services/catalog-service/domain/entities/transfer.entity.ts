@@ -0,0 +1,98 @@
+// Transfer Entity - Stock moved from one store to another
+import { isSameStockItem, StockItem } from './stock.entity';
+
+export type TransferStatus = 'REQUESTED' | 'APPROVED' | 'SHIPPED' | 'RECEIVED' | 'CANCELLED';
+
+/**
+ * Allowed transfer status transitions. Stock leaves the source store when the transfer
+ * ships and arrives at the destination store when it is received, so a transfer can
+ * only be cancelled before it ships.
+ */
+export const TRANSFER_STATUS_TRANSITIONS: Readonly<Record<TransferStatus, readonly TransferStatus[]>> = {
+  REQUESTED: ['APPROVED', 'CANCELLED'],
+  APPROVED: ['SHIPPED', 'CANCELLED'],
+  SHIPPED: ['RECEIVED'],
+  RECEIVED: [],
+  CANCELLED: []
+};
+
+export const canTransitionTransfer = (from: TransferStatus, to: TransferStatus): boolean =>
+  TRANSFER_STATUS_TRANSITIONS[from].includes(to);
+
+/**
+ * Domain error raised when a transfer step is not allowed by the state machine,
+ * or when the transfer no longer has the status the step was based on
+ */
+export class IllegalTransferTransitionError extends Error {
+  constructor(
+    public readonly transferId: number,
+    public readonly from: TransferStatus,
+    public readonly to: TransferStatus,
+    message: string = `Cannot change transfer ${transferId} from ${from} to ${to}`
+  ) {
+    super(message);
+    this.name = 'IllegalTransferTransitionError';
+  }
+}
+
+export class TransferLine {
+  constructor(
+    public readonly productId: number,
+    public readonly quantity: number, // Units requested
+    public readonly shippedQuantity?: number,
+    public readonly receivedQuantity?: number,
+    public readonly variantId?: number // Set for products with variants, which are stocked per variant
+  ) {}
+
+  /**
+   * Shipped units that were not received, once the line is received
+   */
+  getVariance(): number | undefined {
+    if (this.shippedQuantity === undefined || this.receivedQuantity === undefined) {
+      return undefined;
+    }
+    return this.shippedQuantity - this.receivedQuantity;
+  }
+}
+
+/**
+ * Step of a transfer, as recorded in its audit trail
+ */
+export interface TransferStatusRecord {
+  fromStatus: TransferStatus | null; // Null for the request
+  toStatus: TransferStatus;
+  changedBy?: number;
+  note?: string;
+  changedAt: Date;
+}
+
+export class Transfer {
+  constructor(
+    public readonly id: number,
+    public readonly fromStoreId: number,
+    public readonly toStoreId: number,
+    public readonly status: TransferStatus,
+    public readonly requestedBy: number,
+    public readonly lines: TransferLine[],
+    public readonly createdAt: Date,
+    public readonly shippedAt?: Date,
+    public readonly receivedAt?: Date,
+    public readonly history: TransferStatusRecord[] = []
+  ) {}
+
+  findLine(item: StockItem): TransferLine | undefined {
+    return this.lines.find(line => isSameStockItem(line, item));
+  }
+
+  /**
+   * Units of a product, or of one of its variants, shipped and not yet received
+   */
+  getInTransitQuantity(item: StockItem): number {
+    if (this.status !== 'SHIPPED') {
+      return 0;
+    }
+    return this.lines
+      .filter(line => isSameStockItem(line, item))
+      .reduce((sum, line) => sum + (line.shippedQuantity ?? 0), 0);
+  }
+}
@@ -0,0 +1,56 @@
+import { Category } from '../entities/category.entity';
+
+/**
+ * Data types for Category repository operations
+ */
+export interface CategoryData {
+  name: string;
+  parentId: number | null;
+  description?: string;
+}
+
+/**
+ * Repository interface for Category persistence operations.
+ */
+export interface ICategoryRepository {
+  /**
+   * Creates a category.
+   * @param data Category to create
+   */
+  create(data: CategoryData): Promise<Category>;
+
+  /**
+   * Updates the given fields of a category. Moving the category under another parent is
+   * checked against the tree as it stands when the move is written.
+   * @param id Category ID
+   * @param data Fields to update
+   * @throws CategoryCycleError when the new parent is the category or one of its subcategories
+   */
+  update(id: number, data: Partial<CategoryData>): Promise<Category>;
+
+  /**
+   * Deletes a category that has no subcategories and no products.
+   * @param id Category ID
+   */
+  remove(id: number): Promise<void>;
+
+  findById(id: number): Promise<Category | null>;
+
+  /**
+   * Finds all categories, by name.
+   */
+  findAll(): Promise<Category[]>;
+
+  /**
+   * Finds the IDs of a category and of every category below it.
+   * @param id Category ID
+   * @returns The IDs, empty when the category does not exist
+   */
+  findDescendantIds(id: number): Promise<number[]>;
+
+  /**
+   * Counts the products filed directly under each category.
+   * @returns Product count by category ID; categories without products are left out
+   */
+  countProducts(): Promise<Record<number, number>>;
+}
@@ -0,0 +1,90 @@
+import { CountSession, CountSessionStatus } from '../entities/count-session.entity';
+import { Stock, StockItem } from '../entities/stock.entity';
+import { OutboxEventFactory } from '../../../../shared/infrastructure/messaging/outbox';
+
+/**
+ * Data types for CountSession repository operations
+ */
+export interface CountSessionData {
+  storeId: number;
+  openedBy: number;
+  note?: string;
+  productIds?: number[]; // Every product stocked at the store when left out; products with variants are counted per variant
+}
+
+export interface CountSessionStatusChange {
+  from: CountSessionStatus;
+  to: CountSessionStatus;
+  changedBy: number;
+}
+
+// Units of a product, or of one of its variants, found on the shelves by one counter
+export interface CountQuantity {
+  productId: number;
+  variantId?: number;
+  quantity: number;
+}
+
+/**
+ * Posting of a count session, with the stock of each product whose variance was applied
+ */
+export interface CountSessionPosting {
+  countSession: CountSession;
+  stocks: Array<{ stock: Stock; adjustment: number }>;
+}
+
+/**
+ * Repository interface for CountSession persistence operations.
+ * Sessions are read with the units moved during the count, so the variance of every
+ * counted line is computed against the units expected when it was counted.
+ */
+export interface ICountSessionRepository {
+  /**
+   * Opens a count session, snapshotting the units on hand of the counted products.
+   * @param data Store and products to count
+   * @throws Error when a product has no stock record at the store or is already counted by another open session
+   */
+  open(data: CountSessionData): Promise<CountSession>;
+
+  /**
+   * Records the units one counter found, replacing their previous count of the same products.
+   * @param id Count session ID
+   * @param countedBy ID of the counter
+   * @param counts Units found per product or variant
+   * @throws IllegalCountSessionTransitionError when the session is no longer open
+   */
+  recordCounts(id: number, countedBy: number, counts: CountQuantity[]): Promise<CountSession>;
+
+  /**
+   * Posts a session: the variances of the approved lines are applied to stock through
+   * the stock ledger, computed in the same transaction from the latest movements.
+   * @param id Count session ID
+   * @param change Status change to POSTED
+   * @param approved Products and variants whose variance is applied; the other lines are left unposted
+   * @param events Optional factory for the domain events produced by the posting
+   * @throws IllegalCountSessionTransitionError when the session is no longer open
+   */
+  post(
+    id: number,
+    change: CountSessionStatusChange,
+    approved: StockItem[],
+    events?: OutboxEventFactory<CountSessionPosting>
+  ): Promise<CountSessionPosting>;
+
+  /**
+   * Cancels an open session; stock is left unchanged.
+   * @param id Count session ID
+   * @param change Status change to CANCELLED
+   * @throws IllegalCountSessionTransitionError when the session is no longer open
+   */
+  cancel(id: number, change: CountSessionStatusChange): Promise<CountSession>;
+
+  findById(id: number): Promise<CountSession | null>;
+
+  /**
+   * Finds the count sessions of a store, most recent first.
+   * @param storeId Store ID
+   * @param status Optional status filter
+   */
+  findByStoreId(storeId: number, status?: CountSessionStatus): Promise<CountSession[]>;
+}
@@ -0,0 +1,19 @@
+import { ExchangeRate } from '../entities/exchange-rate.entity';
+
+/**
+ * Repository interface for the exchange rate table.
+ */
+export interface IExchangeRateRepository {
+  /**
+   * Finds every configured exchange rate.
+   * @returns Promise resolving to the exchange rates, ordered by currency
+   */
+  findAll(): Promise<ExchangeRate[]>;
+
+  /**
+   * Replaces the whole exchange rate table in one transaction.
+   * @param rates New exchange rates
+   * @returns Promise resolving to the saved exchange rates
+   */
+  replaceAll(rates: Omit<ExchangeRate, 'updatedAt' | 'isValid'>[]): Promise<ExchangeRate[]>;
+}
@@ -0,0 +1,41 @@
+import { ProductVariant } from '../entities/product-variant.entity';
+
+/**
+ * Data types for ProductVariant repository operations
+ */
+export interface ProductVariantData {
+  productId: number;
+  sku?: string; // Generated from the product SKU and the variant ID when left out
+  options: Record<string, string>;
+  price?: number | null; // null clears the price override
+}
+
+/**
+ * Repository interface for ProductVariant persistence operations.
+ * Stock of a product with variants is kept per variant: creating a variant gives it an
+ * empty stock record in every store.
+ */
+export interface IProductVariantRepository {
+  /**
+   * Creates a variant of a product with an empty stock record in every store.
+   * @param data Variant to create
+   * @throws Error when the product still has units in stock, on hand or held, as it gets its first variant
+   */
+  create(data: ProductVariantData): Promise<ProductVariant>;
+
+  /**
+   * Updates the given fields of a variant.
+   * @param id Variant ID
+   * @param data Fields to update
+   */
+  update(id: number, data: Partial<Omit<ProductVariantData, 'productId'>>): Promise<ProductVariant>;
+
+  findById(id: number): Promise<ProductVariant | null>;
+
+  /**
+   * Finds a variant by its stock keeping unit.
+   * @param sku Upper-cased SKU
+   * @returns Promise resolving to the ProductVariant entity, or null if not found
+   */
+  findBySku(sku: string): Promise<ProductVariant | null>;
+}
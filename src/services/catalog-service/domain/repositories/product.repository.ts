@@ -1,6 +1,46 @@
 import { IBaseRepository } from '../../../../shared/infrastructure/database/base-repository';
 import { Product } from '../entities/product.entity';
 
+/**
+ * Data types for the product search
+ */
+export interface PriceRange {
+  min: number;
+  max?: number; // Excluded; no upper bound when left out
+}
+
+export interface ProductSearchCriteria {
+  text?: string; // Words to look for in the name and description; every product matches when left out
+  categoryIds?: number[];
+  priceRange?: PriceRange;
+  storeId?: number; // Store the in-stock facet counts the available units of
+  inStockOnly?: boolean; // Keeps the products with available units at the store
+  priceFacetRanges: PriceRange[];
+  page: number;
+  limit: number;
+}
+
+export interface ProductSearchHit {
+  product: Product;
+  rank: number;
+  highlights: {
+    name: string; // Matched words wrapped in <mark></mark>
+    description?: string; // Fragments of the description around the matched words
+  };
+}
+
+export interface ProductSearchFacets {
+  categories: Array<{ categoryId: number | null; count: number }>;
+  priceRanges: Array<PriceRange & { count: number }>;
+  inStock?: number; // Products with available units at the store, when one is given
+}
+
+export interface ProductSearchResult {
+  hits: ProductSearchHit[];
+  total: number;
+  facets: ProductSearchFacets;
+}
+
 /**
  * Repository interface for Product entity persistence operations.
  * Extends the generic base repository for CRUD operations.
@@ -20,4 +60,42 @@ export interface IProductRepository extends IBaseRepository<Product, number> {
    * @returns Promise resolving to an array of matching Product entities
    */
   findByPriceRange(min: number, max: number): Promise<Product[]>;
+
+  /**
+   * Finds the products filed under any of the given categories.
+   * @param categoryIds Category IDs
+   * @returns Promise resolving to the matching Product entities, by name
+   */
+  findByCategoryIds(categoryIds: number[]): Promise<Product[]>;
+
+  /**
+   * Finds the product carrying a barcode.
+   * @param code Barcode in its 13-digit (GTIN-13) form
+   * @returns Promise resolving to the Product entity, or null if no product carries it
+   */
+  findByBarcode(code: string): Promise<Product | null>;
+
+  /**
+   * Finds a product by its stock keeping unit.
+   * @param sku Upper-cased SKU
+   * @returns Promise resolving to the Product entity, or null if not found
+   */
+  findBySku(sku: string): Promise<Product | null>;
+
+  /**
+   * Searches products by full text over their name and description, tolerating typos in
+   * the name, best matches first. Each facet counts the matching products under every
+   * filter but its own, so choosing a facet value does not hide the other values.
+   * @param criteria Words, filters and page to search
+   * @returns Promise resolving to the page of matches with their highlights, their total and the facets
+   */
+  search(criteria: ProductSearchCriteria): Promise<ProductSearchResult>;
+
+  /**
+   * Suggests the names of products starting with, containing or resembling the typed text.
+   * @param text Text typed so far
+   * @param limit Maximum number of suggestions
+   * @returns Promise resolving to the suggested products, best matches first
+   */
+  suggest(text: string, limit: number): Promise<Array<{ id: number; name: string }>>;
 }
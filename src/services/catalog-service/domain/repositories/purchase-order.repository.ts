@@ -0,0 +1,120 @@
+import { PurchaseOrder, PurchaseOrderStatus } from '../entities/purchase-order.entity';
+import { Stock } from '../entities/stock.entity';
+import { OutboxEventFactory } from '../../../../shared/infrastructure/messaging/outbox';
+
+/**
+ * Data types for PurchaseOrder repository operations
+ */
+export interface PurchaseOrderData {
+  supplierId: number;
+  storeId: number;
+  createdBy?: number; // Left out for orders drafted by the reorder job
+  note?: string;
+  lines: Array<{
+    productId: number;
+    variantId?: number;
+    quantity: number;
+    suggestedQuantity?: number;
+    unitsSold?: number;
+    reorderRuleId?: number; // Reorder rule the line was drafted for by the reorder job
+  }>;
+}
+
+export interface PurchaseOrderStatusChange {
+  from: PurchaseOrderStatus;
+  to: PurchaseOrderStatus;
+  changedBy?: number;
+}
+
+// Units of a product, or of one of its variants, ordered or received
+export interface PurchaseOrderLineQuantity {
+  productId: number;
+  variantId?: number;
+  quantity: number;
+}
+
+/**
+ * Receipt of purchase order units, with the updated stock of each received product
+ */
+export interface PurchaseOrderReceipt {
+  purchaseOrder: PurchaseOrder;
+  stocks: Stock[];
+}
+
+/**
+ * Repository interface for PurchaseOrder persistence operations.
+ * Every step is applied only while the order still has the expected status.
+ */
+export interface IPurchaseOrderRepository {
+  /**
+   * Creates a draft purchase order.
+   * @param data Order to draft
+   * @param events Optional factory for the domain events produced by the draft
+   */
+  create(data: PurchaseOrderData, events?: OutboxEventFactory<PurchaseOrder>): Promise<PurchaseOrder>;
+
+  /**
+   * Drafts a purchase order for the reorder job. Under a lock per reorder rule of its lines, lines
+   * of products already on an open order of the store are dropped, so concurrent runs of the job
+   * do not order a product twice.
+   * @param data Order to draft, each line with the reorder rule it was drafted for
+   * @param events Optional factory for the domain events produced by the draft
+   * @returns The drafted order, or null when every line was already on an open order
+   */
+  draftReorder(data: PurchaseOrderData, events?: OutboxEventFactory<PurchaseOrder>): Promise<PurchaseOrder | null>;
+
+  /**
+   * Submits a draft order to its supplier, setting the ordered units of the given lines first.
+   * @param id Purchase order ID
+   * @param change Status change to SUBMITTED
+   * @param quantities Units to order per product or variant; lines left out keep their quantity
+   * @param events Optional factory for the domain events produced by the submission
+   * @throws IllegalPurchaseOrderTransitionError when the order is no longer a draft
+   */
+  submit(
+    id: number,
+    change: PurchaseOrderStatusChange,
+    quantities: PurchaseOrderLineQuantity[],
+    events?: OutboxEventFactory<PurchaseOrder>
+  ): Promise<PurchaseOrder>;
+
+  /**
+   * Cancels an order that is not fully received.
+   * @param id Purchase order ID
+   * @param change Status change to CANCELLED
+   * @param reason Reason recorded with the cancellation
+   * @param events Optional factory for the domain events produced by the cancellation
+   * @throws IllegalPurchaseOrderTransitionError when the step is not allowed or the order changed meanwhile
+   */
+  cancel(
+    id: number,
+    change: PurchaseOrderStatusChange,
+    reason: string,
+    events?: OutboxEventFactory<PurchaseOrder>
+  ): Promise<PurchaseOrder>;
+
+  /**
+   * Receives units of an order, adding them to the stock of its store through the stock ledger.
+   * The store gets a stock record for products it did not stock yet.
+   * @param id Purchase order ID
+   * @param change Status change to PARTIALLY_RECEIVED or RECEIVED
+   * @param received Units received per product or variant; lines receiving no unit may be left out
+   * @param events Optional factory for the domain events produced by the receipt
+   * @throws IllegalPurchaseOrderTransitionError when the step is not allowed or the order changed meanwhile
+   */
+  receive(
+    id: number,
+    change: PurchaseOrderStatusChange,
+    received: PurchaseOrderLineQuantity[],
+    events?: OutboxEventFactory<PurchaseOrderReceipt>
+  ): Promise<PurchaseOrderReceipt>;
+
+  findById(id: number): Promise<PurchaseOrder | null>;
+
+  /**
+   * Finds the purchase orders of a store, most recent first.
+   * @param storeId Store ID
+   * @param status Optional status filter
+   */
+  findByStoreId(storeId: number, status?: PurchaseOrderStatus): Promise<PurchaseOrder[]>;
+}
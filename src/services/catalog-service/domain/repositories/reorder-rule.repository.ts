@@ -0,0 +1,45 @@
+import { ReorderRule } from '../entities/reorder-rule.entity';
+
+/**
+ * Reorder rule of a product whose available units dropped below its reorder point,
+ * with the stock levels it was found at
+ */
+export interface ReorderCandidate {
+  rule: ReorderRule;
+  onHand: number; // 0 when the store has no stock record for the product
+  held: number;
+  leadTimeDays?: number; // Lead time of the rule's supplier, left out without a supplier
+}
+
+/**
+ * Repository interface for ReorderRule persistence operations.
+ */
+export interface IReorderRuleRepository {
+  /**
+   * Creates or replaces the reorder rule of a product, or of one of its variants, at a store.
+   * @param rule Reorder rule to save
+   */
+  upsert(rule: ReorderRule): Promise<ReorderRule>;
+
+  /**
+   * Deletes the reorder rule of a product, or of one of its variants, at a store, if any.
+   * @param storeId Store ID
+   * @param productId Product ID
+   * @param variantId Variant ID; the rule of the product itself when left out
+   */
+  remove(storeId: number, productId: number, variantId?: number): Promise<void>;
+
+  /**
+   * Finds the reorder rules of a store, by product and variant ID.
+   * @param storeId Store ID
+   */
+  findByStoreId(storeId: number): Promise<ReorderRule[]>;
+
+  /**
+   * Finds the rules of products and variants whose available units (on hand minus held) are
+   * below their reorder point and that are not on an open purchase order of the store.
+   * @param storeId Optional store to look at; every store when left out
+   * @returns Promise resolving to the candidates, by store, product and variant ID
+   */
+  findDue(storeId?: number): Promise<ReorderCandidate[]>;
+}
@@ -0,0 +1,65 @@
+import { StockHold, StockHoldStatus } from '../entities/stock-hold.entity';
+import { OutboxEventFactory } from '../../../../shared/infrastructure/messaging/outbox';
+
+/**
+ * Data types for StockHold repository operations
+ */
+export interface StockHoldData {
+  storeId: number;
+  productId: number;
+  variantId?: number;
+  userId: number;
+  quantity: number;
+  expiresAt: Date;
+}
+
+export interface StockHoldClosing {
+  status: Exclude<StockHoldStatus, 'ACTIVE'>;
+  saleId?: number; // Sale the hold is converted to
+  now: Date;
+}
+
+/**
+ * Repository interface for StockHold persistence operations.
+ * Placing and closing a hold change the held and on hand units of the stock record in
+ * the same transaction.
+ */
+export interface IStockHoldRepository {
+  /**
+   * Places a hold, moving its units from available to held stock.
+   * @param data Hold to place
+   * @param events Optional factory for the domain events produced by the hold
+   * @throws Error when the stock record is missing or lacks available units
+   */
+  place(data: StockHoldData, events?: OutboxEventFactory<StockHold>): Promise<StockHold>;
+
+  /**
+   * Closes an active hold. A converted hold takes its units out of stock, a released or
+   * expired one makes them available again. A hold is only converted before it expires.
+   * @param id Hold ID
+   * @param closing Status ending the hold
+   * @param events Optional factory for the domain events produced by the closing
+   * @throws StockHoldNotActiveError when the hold is not active anymore, or expired for a conversion
+   */
+  close(id: number, closing: StockHoldClosing, events?: OutboxEventFactory<StockHold>): Promise<StockHold>;
+
+  /**
+   * Makes a hold converted to a sale active again, putting its units back on hand and on hold.
+   * @param id Hold ID
+   * @param saleId Failed sale the hold was converted to
+   * @param events Optional factory for the domain events produced by the reinstatement
+   * @throws StockHoldNotActiveError when the hold is not converted to that sale
+   */
+  reinstate(id: number, saleId: number, events?: OutboxEventFactory<StockHold>): Promise<StockHold>;
+
+  findById(id: number): Promise<StockHold | null>;
+  findByUserId(userId: number): Promise<StockHold[]>;
+  findByStoreId(storeId: number): Promise<StockHold[]>;
+
+  /**
+   * Finds active holds whose expiry has passed, oldest expiry first.
+   * @param now Current time
+   * @param limit Maximum number of holds returned
+   */
+  findExpired(now: Date, limit: number): Promise<StockHold[]>;
+}
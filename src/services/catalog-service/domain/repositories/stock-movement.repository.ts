@@ -0,0 +1,53 @@
+import { StockMovement } from '../entities/stock-movement.entity';
+
+/**
+ * Quantity of a stock record next to the quantity rebuilt from its ledger
+ */
+export interface StockLedgerBalance {
+  stockId: number;
+  storeId: number;
+  productId: number;
+  quantity: number; // Units on hand in the stock record
+  ledgerQuantity: number; // Sum of the deltas of its movements
+}
+
+/**
+ * Repository interface for reading the stock movement ledger.
+ * Movements are appended by the stock, stock hold and transfer repositories in the same
+ * transaction as the change they record; the ledger is never updated.
+ */
+export interface IStockMovementRepository {
+  /**
+   * Finds the movements of a stock record, most recent first.
+   * @param stockId Stock ID
+   * @param page Page number, from 1
+   * @param limit Movements per page
+   */
+  findByStockId(stockId: number, page: number, limit: number): Promise<{
+    data: StockMovement[];
+    total: number;
+    page: number;
+    limit: number;
+    totalPages: number;
+  }>;
+
+  /**
+   * Rebuilds the quantity of a stock record from its ledger.
+   * @param stockId Stock ID
+   * @returns Promise resolving to the balance, or null when the stock record does not exist
+   */
+  findBalance(stockId: number): Promise<StockLedgerBalance | null>;
+
+  /**
+   * Finds the stock records whose quantity differs from the quantity rebuilt from their ledger.
+   */
+  findDrift(): Promise<StockLedgerBalance[]>;
+
+  /**
+   * Records an opening INITIAL movement of its whole quantity for every stock record without
+   * movements, i.e. written before the ledger existed, so its ledger explains its quantity.
+   * Records that already have movements are left alone, so running it again records nothing.
+   * @returns Promise resolving to the number of movements recorded
+   */
+  recordOpeningBalances(): Promise<number>;
+}
@@ -1,11 +1,46 @@
 import { IBaseRepository } from '../../../../shared/infrastructure/database/base-repository';
 import { Stock } from '../entities/stock.entity';
+import { StockMovementSource } from '../entities/stock-movement.entity';
+import { OutboxEventFactory } from '../../../../shared/infrastructure/messaging/outbox';
+
+/**
+ * Change of the stock quantity of one product: positive to add units, negative to remove them.
+ * Products with variants are changed per variant.
+ */
+export interface StockQuantityChange {
+  productId: number;
+  variantId?: number | null;
+  quantity: number;
+}
+
+// Units of a product put back in stock when a sale is released
+export interface StockSaleRelease {
+  stock: Stock;
+  quantity: number;
+}
+
+// Units of a product added (positive) or taken (negative) when an exchange is reverted
+export interface StockExchangeReversal {
+  stock: Stock;
+  quantity: number;
+}
 
 /**
  * Repository interface for Stock entity persistence operations.
- * Extends the generic base repository for CRUD operations.
+ * Extends the generic base repository for CRUD operations. Every change of the units on hand,
+ * including the initial units of a new record, appends a StockMovement to the ledger in the
+ * same transaction.
  */
 export interface IStockRepository extends IBaseRepository<Stock, number> {
+  /**
+   * Updates a stock record, storing the given domain events in the same transaction.
+   * @param id Stock ID
+   * @param entity Updated stock fields
+   * @param events Optional factory for the domain events produced by the change
+   * @param movement Why the quantity changed; a correction when left out
+   */
+  update(id: number, entity: Partial<Stock>, events?: OutboxEventFactory<Stock>, movement?: StockMovementSource): Promise<Stock>;
+
   /**
    * Finds all stock records for a given store.
    * @param storeId Store ID
@@ -22,8 +57,9 @@ export interface IStockRepository extends IBaseRepository<Stock, number> {
    * Finds a stock record for a specific store and product combination.
    * @param storeId Store ID
    * @param productId Product ID
+   * @param variantId Variant ID for products with variants; the record of the product itself when left out
    */
-  findByStoreAndProduct(storeId: number, productId: number): Promise<Stock | null>;
+  findByStoreAndProduct(storeId: number, productId: number, variantId?: number | null): Promise<Stock | null>;
 
   /**
    * Finds stock records with quantity below a threshold.
@@ -36,6 +72,84 @@ export interface IStockRepository extends IBaseRepository<Stock, number> {
    * @param storeId Store ID
    * @param productId Product ID
    * @param quantity Quantity to adjust
+   * @param movement Why the units move
+   * @param events Optional factory for the domain events produced by the adjustment
+   * @param variantId Variant ID for products with variants
+   */
+  adjustStock(
+    storeId: number,
+    productId: number,
+    quantity: number,
+    movement: StockMovementSource,
+    events?: OutboxEventFactory<Stock>,
+    variantId?: number | null
+  ): Promise<Stock>;
+
+  /**
+   * Adjusts the stock of several products of a store in one transaction: when any
+   * product is missing or lacks available units (units on hold are not available),
+   * no quantity is changed.
+   * Changes are applied in order, so units added by one change can be removed by a later one.
+   * @param storeId Store ID
+   * @param changes Quantity changes to apply
+   * @param movement Why the units move, recorded for every change
+   * @param events Optional factory for the domain events, given the updated stock of each change in order
+   */
+  adjustStocks(
+    storeId: number,
+    changes: StockQuantityChange[],
+    movement: StockMovementSource,
+    events?: OutboxEventFactory<Stock[]>
+  ): Promise<Stock[]>;
+
+  /**
+   * Takes units of several products of a store out of their available stock in one transaction,
+   * all or nothing. Each product is taken with a conditional update, so concurrent reservations
+   * cannot take the same units. Quantities of a product (or variant) listed twice are added up.
+   * @param storeId Store ID
+   * @param lines Units to reserve, as positive quantities
+   * @param movement Why the units are reserved, recorded for every product
+   * @param events Optional factory for the domain events, given the updated stock of each product in order of product and variant ID
+   * @returns Promise resolving to the updated stock of each product, in order of product and variant ID
+   * @throws InsufficientStockError listing every product lacking available units, when nothing is reserved
+   */
+  reserveStocks(
+    storeId: number,
+    lines: StockQuantityChange[],
+    movement: StockMovementSource,
+    events?: OutboxEventFactory<Stock[]>
+  ): Promise<Stock[]>;
+
+  /**
+   * Puts back every unit still reserved for a sale, as recorded in the stock ledger, in one
+   * transaction. Units of stock holds still converted to the sale stay taken unless included:
+   * a failed sale reinstates them with the hold, a voided one releases them with the rest.
+   * Releasing a sale again releases nothing, so a lost answer can be retried.
+   * @param saleId Sale the units were reserved for
+   * @param actorId User releasing the units
+   * @param events Optional factory for the domain events, given the released units of each product
+   * @param includeHolds Also release the units of the holds converted to the sale
+   * @returns Promise resolving to the released units of each product, none when nothing was left reserved
+   */
+  releaseSale(
+    saleId: number,
+    actorId?: number,
+    events?: OutboxEventFactory<StockSaleRelease[]>,
+    includeHolds?: boolean
+  ): Promise<StockSaleRelease[]>;
+
+  /**
+   * Undoes the stock movements of an exchange, as recorded in the stock ledger, in one
+   * transaction. Reverting an exchange again, or one whose units never moved, changes nothing,
+   * so a lost answer can be retried.
+   * @param exchangeId Exchange the units moved for
+   * @param actorId User reverting the exchange
+   * @param events Optional factory for the domain events, given the units reverted on each stock record
+   * @returns Promise resolving to the units reverted on each stock record, none when nothing was left to revert
    */
-  adjustStock(storeId: number, productId: number, quantity: number): Promise<Stock>;
+  revertExchange(
+    exchangeId: number,
+    actorId?: number,
+    events?: OutboxEventFactory<StockExchangeReversal[]>
+  ): Promise<StockExchangeReversal[]>;
 }
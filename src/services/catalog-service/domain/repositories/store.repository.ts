@@ -1,4 +1,5 @@
 import { Store } from '../entities/store.entity';
+import { TaxRule } from '../entities/tax-rule.entity';
 import { IBaseRepository } from '../../../../shared/infrastructure/database/base-repository';
 
 /**
@@ -12,4 +13,19 @@ export interface IStoreRepository extends IBaseRepository<Store, number> {
    * @returns Promise resolving to an array of matching Store entities
    */
   findByName(name: string): Promise<Store[]>;
+
+  /**
+   * Finds the tax rules of a store.
+   * @param storeId Store ID
+   * @returns Promise resolving to the tax rules, in the order they were set
+   */
+  findTaxRules(storeId: number): Promise<TaxRule[]>;
+
+  /**
+   * Replaces all tax rules of a store in one transaction.
+   * @param storeId Store ID
+   * @param rules New tax rules
+   * @returns Promise resolving to the saved tax rules
+   */
+  replaceTaxRules(storeId: number, rules: Omit<TaxRule, 'id' | 'storeId' | 'isValid'>[]): Promise<TaxRule[]>;
 }
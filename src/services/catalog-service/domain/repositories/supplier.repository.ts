@@ -0,0 +1,36 @@
+import { Supplier } from '../entities/supplier.entity';
+
+/**
+ * Data types for Supplier repository operations
+ */
+export interface SupplierData {
+  name: string;
+  leadTimeDays: number;
+  email?: string;
+  phone?: string;
+}
+
+/**
+ * Repository interface for Supplier persistence operations.
+ */
+export interface ISupplierRepository {
+  /**
+   * Creates a supplier.
+   * @param data Supplier to create
+   */
+  create(data: SupplierData): Promise<Supplier>;
+
+  /**
+   * Updates the given fields of a supplier.
+   * @param id Supplier ID
+   * @param data Fields to update
+   */
+  update(id: number, data: Partial<SupplierData>): Promise<Supplier>;
+
+  findById(id: number): Promise<Supplier | null>;
+
+  /**
+   * Finds all suppliers, by name.
+   */
+  findAll(): Promise<Supplier[]>;
+}
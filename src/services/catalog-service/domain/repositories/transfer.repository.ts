@@ -0,0 +1,102 @@
+import { Transfer, TransferStatus } from '../entities/transfer.entity';
+import { Stock } from '../entities/stock.entity';
+import { OutboxEventFactory } from '../../../../shared/infrastructure/messaging/outbox';
+
+/**
+ * Data types for Transfer repository operations
+ */
+export interface TransferData {
+  fromStoreId: number;
+  toStoreId: number;
+  requestedBy: number;
+  note?: string;
+  lines: Array<{
+    productId: number;
+    variantId?: number;
+    quantity: number;
+  }>;
+}
+
+export interface TransferStatusChange {
+  from: TransferStatus;
+  to: TransferStatus;
+  changedBy?: number;
+  note?: string;
+}
+
+// Units of a product shipped or received by a transfer step
+export interface TransferLineQuantity {
+  productId: number;
+  variantId?: number;
+  quantity: number;
+}
+
+/**
+ * Transfer step that moved stock, with the updated stock of each moved product
+ */
+export interface TransferStockMovement {
+  transfer: Transfer;
+  stocks: Stock[];
+}
+
+/**
+ * Repository interface for Transfer persistence operations.
+ * Every step is applied only while the transfer still has the expected status, and is
+ * recorded in the transfer status history in the same transaction.
+ */
+export interface ITransferRepository {
+  /**
+   * Creates a requested transfer.
+   * @param data Transfer to request
+   * @param events Optional factory for the domain events produced by the request
+   */
+  create(data: TransferData, events?: OutboxEventFactory<Transfer>): Promise<Transfer>;
+
+  /**
+   * Changes the status of a transfer without moving stock (approval, cancellation).
+   * @param id Transfer ID
+   * @param change Status change
+   * @param events Optional factory for the domain events produced by the change
+   * @throws IllegalTransferTransitionError when the step is not allowed or the transfer changed meanwhile
+   */
+  changeStatus(id: number, change: TransferStatusChange, events?: OutboxEventFactory<Transfer>): Promise<Transfer>;
+
+  /**
+   * Ships a transfer, taking the shipped units out of the available stock of the source store.
+   * @param id Transfer ID
+   * @param change Status change to SHIPPED
+   * @param shipped Units shipped per product; products shipping no unit may be left out
+   * @param events Optional factory for the domain events produced by the shipment
+   * @throws Error when the source store lacks available units, when nothing changes
+   */
+  ship(
+    id: number,
+    change: TransferStatusChange,
+    shipped: TransferLineQuantity[],
+    events?: OutboxEventFactory<TransferStockMovement>
+  ): Promise<TransferStockMovement>;
+
+  /**
+   * Receives a transfer, adding the received units to the stock of the destination store,
+   * which gets a stock record for products it did not stock yet.
+   * @param id Transfer ID
+   * @param change Status change to RECEIVED
+   * @param received Units received per product; products receiving no unit may be left out
+   * @param events Optional factory for the domain events produced by the receipt
+   */
+  receive(
+    id: number,
+    change: TransferStatusChange,
+    received: TransferLineQuantity[],
+    events?: OutboxEventFactory<TransferStockMovement>
+  ): Promise<TransferStockMovement>;
+
+  findById(id: number): Promise<Transfer | null>;
+
+  /**
+   * Finds the transfers leaving or arriving at a store, most recent first.
+   * @param storeId Store ID
+   * @param status Optional status filter
+   */
+  findByStoreId(storeId: number, status?: TransferStatus): Promise<Transfer[]>;
+}
@@ -0,0 +1,165 @@
+import { Prisma } from '@prisma/client';
+import { BaseRepository } from '@shared/infrastructure/database/base-repository';
+import { IDatabaseManager } from '@shared/infrastructure/database/database-manager';
+import { CategoryData, ICategoryRepository } from '../../domain/repositories/category.repository';
+import { Category, CategoryCycleError } from '../../domain/entities/category.entity';
+import { createLogger } from '@shared/infrastructure/logging';
+
+const logger = createLogger('shared-category-repository');
+
+/**
+ * Shared repository implementation for Category entities.
+ * Subtrees are read with recursive queries, so filtering by a category reaches any depth.
+ */
+export class SharedCategoryRepository extends BaseRepository<Category, number> implements ICategoryRepository {
+  /**
+   * @param databaseManager Database manager instance for database operations
+   */
+  constructor(databaseManager: IDatabaseManager) {
+    super(databaseManager, 'category');
+  }
+
+  public async create(data: CategoryData): Promise<Category> {
+    try {
+      logger.info('Creating category', { data });
+      const result = await this.model.create({
+        data: {
+          name: data.name,
+          parentId: data.parentId,
+          description: data.description
+        }
+      });
+
+      logger.info('Created category', { id: result.id });
+      return this.mapToCategory(result);
+    } catch (error) {
+      logger.error('Error creating category', error as Error, { data });
+      throw error;
+    }
+  }
+
+  public async update(id: number, data: Partial<CategoryData>): Promise<Category> {
+    try {
+      logger.info('Updating category', { id, data });
+      const result = await this.executeInTransaction(async (tx) => {
+        if (typeof data.parentId === 'number') {
+          // Moves are written one at a time, so two concurrent moves cannot close a loop between them
+          await tx.$executeRaw`LOCK TABLE "Category" IN SHARE ROW EXCLUSIVE MODE`;
+          const subtree = await this.findSubtreeIds(tx, id);
+          if (subtree.includes(data.parentId)) {
+            throw new CategoryCycleError(id, data.parentId);
+          }
+        }
+        return (tx as any).category.update({
+          where: { id },
+          data: {
+            ...(data.name !== undefined && { name: data.name }),
+            ...(data.parentId !== undefined && { parentId: data.parentId }),
+            ...(data.description !== undefined && { description: data.description })
+          }
+        });
+      });
+
+      logger.info('Updated category', { id });
+      return this.mapToCategory(result);
+    } catch (error) {
+      logger.error('Error updating category', error as Error, { id, data });
+      throw error;
+    }
+  }
+
+  // The foreign keys of subcategories and products refuse the delete if any were added meanwhile
+  public async remove(id: number): Promise<void> {
+    try {
+      logger.info('Deleting category', { id });
+      await this.model.delete({ where: { id } });
+      logger.info('Deleted category', { id });
+    } catch (error) {
+      logger.error('Error deleting category', error as Error, { id });
+      throw error;
+    }
+  }
+
+  public async findById(id: number): Promise<Category | null> {
+    try {
+      logger.info('Finding category by ID', { id });
+      const result = await this.model.findUnique({ where: { id } });
+
+      if (!result) {
+        logger.info('Category not found', { id });
+        return null;
+      }
+
+      logger.info('Found category', { id });
+      return this.mapToCategory(result);
+    } catch (error) {
+      logger.error('Error finding category by ID', error as Error, { id });
+      throw error;
+    }
+  }
+
+  public async findAll(): Promise<Category[]> {
+    try {
+      logger.info('Finding all categories');
+      const results = await this.model.findMany({ orderBy: { name: 'asc' } });
+
+      const categories = results.map((result: any) => this.mapToCategory(result));
+      logger.info('Found categories', { count: categories.length });
+      return categories;
+    } catch (error) {
+      logger.error('Error finding all categories', error as Error);
+      throw error;
+    }
+  }
+
+  public async findDescendantIds(id: number): Promise<number[]> {
+    try {
+      logger.info('Finding category subtree', { id });
+      const ids = await this.findSubtreeIds(this.prisma, id);
+
+      logger.info('Found category subtree', { id, count: ids.length });
+      return ids;
+    } catch (error) {
+      logger.error('Error finding category subtree', error as Error, { id });
+      throw error;
+    }
+  }
+
+  public async countProducts(): Promise<Record<number, number>> {
+    try {
+      logger.info('Counting products by category');
+      const groups = await this.prisma.product.groupBy({
+        by: ['categoryId'],
+        where: { categoryId: { not: null } },
+        _count: { _all: true }
+      });
+
+      return Object.fromEntries(groups.map((group: any) => [group.categoryId, group._count._all]));
+    } catch (error) {
+      logger.error('Error counting products by category', error as Error);
+      throw error;
+    }
+  }
+
+  private async findSubtreeIds(client: Prisma.TransactionClient, id: number): Promise<number[]> {
+    const rows = await client.$queryRaw<Array<{ id: number }>>`
+      WITH RECURSIVE subtree AS (
+        SELECT c."id" FROM "Category" c WHERE c."id" = ${id}
+        UNION ALL
+        SELECT c."id" FROM "Category" c JOIN subtree s ON c."parentId" = s."id"
+      )
+      SELECT "id" FROM subtree
+    `;
+    return rows.map(row => row.id);
+  }
+
+  private mapToCategory(result: any): Category {
+    return new Category(
+      result.id,
+      result.name,
+      result.parentId ?? null,
+      result.description ?? undefined,
+      result.createdAt
+    );
+  }
+}
@@ -0,0 +1,374 @@
+import { Prisma } from '@prisma/client';
+import { BaseRepository } from '@shared/infrastructure/database/base-repository';
+import { IDatabaseManager } from '@shared/infrastructure/database/database-manager';
+import {
+  CountQuantity,
+  CountSessionData,
+  CountSessionPosting,
+  CountSessionStatusChange,
+  ICountSessionRepository
+} from '../../domain/repositories/count-session.repository';
+import {
+  canTransitionCountSession,
+  CountEntry,
+  CountSession,
+  CountSessionLine,
+  CountSessionStatus,
+  IllegalCountSessionTransitionError
+} from '../../domain/entities/count-session.entity';
+import { describeStockItem, Stock, StockItem } from '../../domain/entities/stock.entity';
+import { createLogger } from '@shared/infrastructure/logging';
+import { OutboxEventFactory, writeToOutbox } from '@shared/infrastructure/messaging/outbox';
+import { changeStockLevels } from './stock-levels';
+
+const logger = createLogger('shared-count-session-repository');
+
+const COUNT_SESSION_INCLUDE = {
+  lines: {
+    orderBy: [{ productId: 'asc' }, { variantId: 'asc' }],
+    include: { entries: { orderBy: { countedBy: 'asc' } } }
+  }
+};
+
+/**
+ * Shared repository implementation for CountSession entities.
+ * Applies the approved variances to stock in the same transaction as the posting.
+ */
+export class SharedCountSessionRepository extends BaseRepository<CountSession, number> implements ICountSessionRepository {
+  /**
+   * @param databaseManager Database manager instance for database operations
+   */
+  constructor(databaseManager: IDatabaseManager) {
+    super(databaseManager, 'countSession');
+  }
+
+  public async open(data: CountSessionData): Promise<CountSession> {
+    try {
+      logger.info('Opening count session', { data });
+      const countSession = await this.executeInTransaction(async (tx) => {
+        // Sessions of a store are opened one at a time, so two of them cannot count the same product
+        const stores = await tx.$queryRaw<Array<{ id: number }>>`
+          SELECT "id" FROM "Store" WHERE "id" = ${data.storeId} FOR NO KEY UPDATE
+        `;
+        if (stores.length === 0) {
+          throw new Error('Store not found');
+        }
+
+        // Products with variants are counted per variant, one line per stock record
+        const productFilter = data.productIds
+          ? Prisma.sql`AND s."productId" IN (${Prisma.join(data.productIds)})`
+          : Prisma.empty;
+        // Waits for stock changes in flight, so the snapshot and the ledger position it is read with agree
+        await tx.$queryRaw`SELECT s."id" FROM "Stock" s WHERE s."storeId" = ${data.storeId} ${productFilter} FOR SHARE`;
+        const snapshot = await tx.$queryRaw<Array<{
+          stockId: number;
+          productId: number;
+          variantId: number | null;
+          quantity: number;
+          lastMovementId: number;
+        }>>`
+          SELECT s."id" AS "stockId", s."productId", s."variantId", s."quantity",
+                 COALESCE(MAX(m."id"), 0)::int AS "lastMovementId"
+          FROM "Stock" s
+          LEFT JOIN "StockMovement" m ON m."stockId" = s."id"
+          WHERE s."storeId" = ${data.storeId} ${productFilter}
+          GROUP BY s."id"
+          ORDER BY s."productId", s."variantId"
+        `;
+
+        const missing = (data.productIds ?? []).find(productId => !snapshot.some(row => row.productId === productId));
+        if (missing !== undefined) {
+          throw new Error(`Product ${missing} is not stocked at store ${data.storeId}`);
+        }
+        if (snapshot.length === 0) {
+          throw new Error(`Store ${data.storeId} has no stock to count`);
+        }
+
+        const counted = await (tx as any).countSessionLine.findFirst({
+          where: {
+            stockId: { in: snapshot.map(row => row.stockId) },
+            session: { status: 'OPEN' }
+          },
+          select: { productId: true, variantId: true, sessionId: true }
+        });
+        if (counted) {
+          const item = { productId: counted.productId, variantId: counted.variantId ?? undefined };
+          throw new Error(`${describeStockItem(item, true)} is already being counted in count session ${counted.sessionId}`);
+        }
+
+        const created = await (tx as any).countSession.create({
+          data: {
+            storeId: data.storeId,
+            openedBy: data.openedBy,
+            note: data.note,
+            status: 'OPEN',
+            lines: {
+              create: snapshot.map(row => ({
+                stockId: row.stockId,
+                productId: row.productId,
+                variantId: row.variantId,
+                snapshotQuantity: row.quantity,
+                snapshotMovementId: row.lastMovementId
+              }))
+            }
+          }
+        });
+
+        return this.findInTransaction(tx, created.id);
+      });
+
+      logger.info('Opened count session', { id: countSession.id, lines: countSession.lines.length });
+      return countSession;
+    } catch (error) {
+      logger.error('Error opening count session', error as Error, { data });
+      throw error;
+    }
+  }
+
+  public async recordCounts(id: number, countedBy: number, counts: CountQuantity[]): Promise<CountSession> {
+    try {
+      logger.info('Recording counts', { id, countedBy, counts });
+      const countSession = await this.executeInTransaction(async (tx) => {
+        // Shared lock: counters record side by side, while posting waits for them and the other way round
+        const sessions = await tx.$queryRaw<Array<{ status: CountSessionStatus }>>`
+          SELECT "status" FROM "CountSession" WHERE "id" = ${id} FOR SHARE
+        `;
+        if (sessions.length === 0) {
+          throw new Error('Count session not found');
+        }
+        const status = sessions[0].status;
+        if (status !== 'OPEN') {
+          throw new IllegalCountSessionTransitionError(
+            id,
+            status,
+            status,
+            `Count session ${id} is ${status}, counts can only be recorded while it is OPEN`
+          );
+        }
+
+        for (const count of counts) {
+          const line = await (tx as any).countSessionLine.findFirst({
+            where: { sessionId: id, productId: count.productId, variantId: count.variantId ?? null },
+            select: { id: true }
+          });
+          if (!line) {
+            throw new Error(`${describeStockItem(count, true)} is not part of count session ${id}`);
+          }
+          // Stamped by the database clock, the one stock movements are stamped with
+          await tx.$executeRaw`
+            INSERT INTO "CountEntry" ("lineId", "countedBy", "quantity", "countedAt")
+            VALUES (${line.id}, ${countedBy}, ${count.quantity}, now())
+            ON CONFLICT ("lineId", "countedBy") DO UPDATE SET "quantity" = EXCLUDED."quantity", "countedAt" = now()
+          `;
+        }
+
+        return this.findInTransaction(tx, id);
+      });
+
+      logger.info('Recorded counts', { id, countedBy, count: counts.length });
+      return countSession;
+    } catch (error) {
+      logger.error('Error recording counts', error as Error, { id, countedBy, counts });
+      throw error;
+    }
+  }
+
+  public async post(
+    id: number,
+    change: CountSessionStatusChange,
+    approved: StockItem[],
+    events?: OutboxEventFactory<CountSessionPosting>
+  ): Promise<CountSessionPosting> {
+    try {
+      logger.info('Posting count session', { id, approved });
+      const posting = await this.executeInTransaction(async (tx) => {
+        await this.applyStatusChange(tx, id, change, { postedAt: new Date(), postedBy: change.changedBy });
+        // The status change locks the session, so no count is recorded past this point
+        const current = await this.findInTransaction(tx, id);
+
+        const stocks: CountSessionPosting['stocks'] = [];
+        for (const item of approved) {
+          const line = current.findLine(item);
+          const variance = line?.getVariance();
+          if (!line || variance === undefined) {
+            throw new Error(`${describeStockItem(item, true)} was not counted in count session ${id}`);
+          }
+
+          if (variance !== 0) {
+            const stock = await changeStockLevels(tx, current.storeId, line.productId, {
+              quantity: variance,
+              movement: {
+                reason: 'CORRECTION',
+                referenceType: 'COUNT_SESSION',
+                referenceId: id,
+                actorId: change.changedBy
+              }
+            }, line.variantId ?? null);
+            stocks.push({
+              stock: new Stock(stock.storeId, stock.productId, stock.quantity, stock.id, stock.held, stock.variantId ?? null),
+              adjustment: variance
+            });
+          }
+          await (tx as any).countSessionLine.update({
+            where: { sessionId_stockId: { sessionId: id, stockId: line.stockId } },
+            data: { adjustment: variance }
+          });
+        }
+
+        const saved = { countSession: await this.findInTransaction(tx, id), stocks };
+        if (events) {
+          await writeToOutbox(tx, events(saved));
+        }
+        return saved;
+      });
+
+      logger.info('Posted count session', { id, adjusted: posting.stocks.length });
+      return posting;
+    } catch (error) {
+      logger.error('Error posting count session', error as Error, { id, approved });
+      throw error;
+    }
+  }
+
+  public async cancel(id: number, change: CountSessionStatusChange): Promise<CountSession> {
+    try {
+      logger.info('Cancelling count session', { id });
+      const countSession = await this.executeInTransaction(async (tx) => {
+        await this.applyStatusChange(tx, id, change, { cancelledAt: new Date(), cancelledBy: change.changedBy });
+        return this.findInTransaction(tx, id);
+      });
+
+      logger.info('Cancelled count session', { id });
+      return countSession;
+    } catch (error) {
+      logger.error('Error cancelling count session', error as Error, { id });
+      throw error;
+    }
+  }
+
+  public async findById(id: number): Promise<CountSession | null> {
+    try {
+      logger.info('Finding count session by ID', { id });
+      const result = await this.model.findUnique({ where: { id }, include: COUNT_SESSION_INCLUDE });
+
+      if (!result) {
+        logger.info('Count session not found', { id });
+        return null;
+      }
+
+      const moved = await this.findMovedDuringCount(this.prisma, [id]);
+      logger.info('Found count session', { id });
+      return this.mapToCountSession(result, moved);
+    } catch (error) {
+      logger.error('Error finding count session by ID', error as Error, { id });
+      throw error;
+    }
+  }
+
+  public async findByStoreId(storeId: number, status?: CountSessionStatus): Promise<CountSession[]> {
+    try {
+      logger.info('Finding count sessions by store ID', { storeId, status });
+      const results = await this.model.findMany({
+        where: { storeId, ...(status && { status }) },
+        include: COUNT_SESSION_INCLUDE,
+        orderBy: { createdAt: 'desc' }
+      });
+
+      const moved = await this.findMovedDuringCount(this.prisma, results.map((result: any) => result.id));
+      const countSessions = results.map((result: any) => this.mapToCountSession(result, moved));
+      logger.info('Found count sessions by store ID', { storeId, count: countSessions.length });
+      return countSessions;
+    } catch (error) {
+      logger.error('Error finding count sessions by store ID', error as Error, { storeId });
+      throw error;
+    }
+  }
+
+  /**
+   * Validates and applies a count session step. The update only matches while the session
+   * is still open, so a session cannot be posted twice.
+   */
+  private async applyStatusChange(
+    tx: any,
+    id: number,
+    change: CountSessionStatusChange,
+    data: Record<string, unknown>
+  ): Promise<void> {
+    if (!canTransitionCountSession(change.from, change.to)) {
+      throw new IllegalCountSessionTransitionError(id, change.from, change.to);
+    }
+
+    const { count } = await tx.countSession.updateMany({
+      where: { id, status: change.from },
+      data: { ...data, status: change.to }
+    });
+
+    if (count === 0) {
+      const current = await tx.countSession.findUnique({ where: { id }, select: { status: true } });
+      if (!current) {
+        throw new Error('Count session not found');
+      }
+      throw new IllegalCountSessionTransitionError(
+        id,
+        current.status,
+        change.to,
+        `Count session ${id} changed from ${change.from} to ${current.status} meanwhile, retry the request`
+      );
+    }
+  }
+
+  /**
+   * Sums, per counted line, the stock movements after the snapshot up to the last count of
+   * the line. Movements recorded once the product was counted, including the posted
+   * variance itself, are not on the shelf the counters saw.
+   */
+  private async findMovedDuringCount(client: any, sessionIds: number[]): Promise<Map<number, number>> {
+    if (sessionIds.length === 0) {
+      return new Map();
+    }
+
+    const rows: Array<{ lineId: number; moved: number }> = await client.$queryRaw`
+      SELECT l."id" AS "lineId", COALESCE(SUM(m."delta"), 0)::int AS "moved"
+      FROM "CountSessionLine" l
+      JOIN (
+        SELECT "lineId", MAX("countedAt") AS "countedAt" FROM "CountEntry" GROUP BY "lineId"
+      ) e ON e."lineId" = l."id"
+      JOIN "StockMovement" m ON m."stockId" = l."stockId"
+        AND m."id" > l."snapshotMovementId" AND m."createdAt" <= e."countedAt"
+      WHERE l."sessionId" IN (${Prisma.join(sessionIds)})
+      GROUP BY l."id"
+    `;
+    return new Map(rows.map(row => [row.lineId, row.moved]));
+  }
+
+  private async findInTransaction(tx: any, id: number): Promise<CountSession> {
+    const result = await tx.countSession.findUnique({ where: { id }, include: COUNT_SESSION_INCLUDE });
+    return this.mapToCountSession(result, await this.findMovedDuringCount(tx, [id]));
+  }
+
+  private mapToCountSession(result: any, moved: Map<number, number>): CountSession {
+    return new CountSession(
+      result.id,
+      result.storeId,
+      result.status as CountSessionStatus,
+      (result.lines ?? []).map((line: any) =>
+        new CountSessionLine(
+          line.productId,
+          line.stockId,
+          line.snapshotQuantity,
+          (line.entries ?? []).map((entry: any) => new CountEntry(entry.countedBy, entry.quantity, entry.countedAt)),
+          moved.get(line.id) ?? 0,
+          line.adjustment ?? undefined,
+          line.variantId ?? undefined
+        )
+      ),
+      result.openedBy,
+      result.createdAt,
+      result.note ?? undefined,
+      result.postedAt ?? undefined,
+      result.postedBy ?? undefined,
+      result.cancelledAt ?? undefined,
+      result.cancelledBy ?? undefined
+    );
+  }
+}
@@ -0,0 +1,64 @@
+import { BaseRepository } from '@shared/infrastructure/database/base-repository';
+import { IDatabaseManager } from '@shared/infrastructure/database/database-manager';
+import { IExchangeRateRepository } from '../../domain/repositories/exchange-rate.repository';
+import { ExchangeRate } from '../../domain/entities/exchange-rate.entity';
+import { createLogger } from '@shared/infrastructure/logging';
+
+const logger = createLogger('shared-exchange-rate-repository');
+
+/**
+ * Shared repository implementation for the exchange rate table.
+ * Rates are keyed by currency code and always replaced as a whole.
+ */
+export class SharedExchangeRateRepository extends BaseRepository<ExchangeRate, string> implements IExchangeRateRepository {
+  /**
+   * @param databaseManager Database manager instance for database operations
+   */
+  constructor(databaseManager: IDatabaseManager) {
+    super(databaseManager, 'exchangeRate');
+  }
+
+  public async findAll(): Promise<ExchangeRate[]> {
+    try {
+      logger.info('Finding exchange rates');
+      const results = await this.model.findMany({ orderBy: { currency: 'asc' } });
+
+      const rates = results.map((result: any) => this.mapToExchangeRate(result));
+      logger.info('Found exchange rates', { count: rates.length });
+      return rates;
+    } catch (error) {
+      logger.error('Error finding exchange rates', error as Error);
+      throw error;
+    }
+  }
+
+  public async replaceAll(rates: Omit<ExchangeRate, 'updatedAt' | 'isValid'>[]): Promise<ExchangeRate[]> {
+    try {
+      logger.info('Replacing exchange rates', { count: rates.length });
+      const results = await this.executeInTransaction(async (tx) => {
+        await (tx as any).exchangeRate.deleteMany({});
+        const created: ExchangeRate[] = [];
+        for (const rate of rates) {
+          const result = await (tx as any).exchangeRate.create({
+            data: {
+              currency: rate.currency,
+              rate: rate.rate
+            }
+          });
+          created.push(this.mapToExchangeRate(result));
+        }
+        return created;
+      });
+
+      logger.info('Replaced exchange rates', { count: results.length });
+      return results;
+    } catch (error) {
+      logger.error('Error replacing exchange rates', error as Error);
+      throw error;
+    }
+  }
+
+  private mapToExchangeRate(result: any): ExchangeRate {
+    return new ExchangeRate(result.currency, Number(result.rate.toString()), result.updatedAt);
+  }
+}
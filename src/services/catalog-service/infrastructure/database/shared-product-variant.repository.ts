@@ -0,0 +1,153 @@
+import { BaseRepository } from '@shared/infrastructure/database/base-repository';
+import { IDatabaseManager } from '@shared/infrastructure/database/database-manager';
+import { IProductVariantRepository, ProductVariantData } from '../../domain/repositories/product-variant.repository';
+import { ProductVariant } from '../../domain/entities/product-variant.entity';
+import { createLogger } from '@shared/infrastructure/logging';
+import { Money } from '@shared/domain/value-objects/money.vo';
+
+const logger = createLogger('shared-product-variant-repository');
+
+/**
+ * Maps a ProductVariant row; the price override is read through Money so the DECIMAL
+ * column arrives as an exact amount
+ */
+export const mapToProductVariant = (result: any): ProductVariant =>
+  new ProductVariant(
+    result.id,
+    result.productId,
+    result.sku,
+    result.options ?? {},
+    result.price !== null && result.price !== undefined ? Money.of(result.price).getAmount() : undefined,
+    result.createdAt
+  );
+
+/**
+ * Shared repository implementation for ProductVariant entities.
+ */
+export class SharedProductVariantRepository extends BaseRepository<ProductVariant, number> implements IProductVariantRepository {
+  /**
+   * @param databaseManager Database manager instance for database operations
+   */
+  constructor(databaseManager: IDatabaseManager) {
+    super(databaseManager, 'productVariant');
+  }
+
+  public async create(data: ProductVariantData): Promise<ProductVariant> {
+    try {
+      logger.info('Creating product variant', { data });
+      const result = await this.executeInTransaction(async (tx) => {
+        // Locks the product, so its first variants cannot be added while units come in
+        const products = await tx.$queryRaw<Array<{ sku: string | null }>>`
+          SELECT "sku" FROM "Product" WHERE "id" = ${data.productId} FOR UPDATE
+        `;
+        if (products.length === 0) {
+          throw new Error('Product not found');
+        }
+        const variantCount = await tx.productVariant.count({ where: { productId: data.productId } });
+        if (variantCount === 0) {
+          // Stock moves to the variants: units left on the product itself could not be sold anymore
+          const stocked = await tx.stock.findFirst({
+            where: { productId: data.productId, variantId: null, OR: [{ quantity: { not: 0 } }, { held: { not: 0 } }] }
+          });
+          if (stocked) {
+            throw new Error(`Product ${data.productId} still has units in stock at store ${stocked.storeId}: bring its stock to zero before adding variants`);
+          }
+        }
+
+        const sku = data.sku ?? await this.generateSku(tx, products[0].sku ?? `SKU-${String(data.productId).padStart(6, '0')}`, variantCount + 1);
+        const created = await tx.productVariant.create({
+          data: {
+            productId: data.productId,
+            sku,
+            options: data.options,
+            optionKey: ProductVariant.optionKey(data.options),
+            price: data.price ?? null
+          }
+        });
+
+        const stores = await tx.store.findMany({ select: { id: true } });
+        await tx.stock.createMany({
+          data: stores.map((store: { id: number }) => ({
+            storeId: store.id,
+            productId: data.productId,
+            variantId: created.id,
+            quantity: 0
+          }))
+        });
+        return created;
+      });
+
+      logger.info('Created product variant', { id: result.id, productId: data.productId });
+      return mapToProductVariant(result);
+    } catch (error) {
+      logger.error('Error creating product variant', error as Error, { data });
+      throw error;
+    }
+  }
+
+  public async update(id: number, data: Partial<Omit<ProductVariantData, 'productId'>>): Promise<ProductVariant> {
+    try {
+      logger.info('Updating product variant', { id, data });
+      const result = await this.model.update({
+        where: { id },
+        data: {
+          ...(data.sku !== undefined && { sku: data.sku }),
+          ...(data.options !== undefined && { options: data.options, optionKey: ProductVariant.optionKey(data.options) }),
+          ...(data.price !== undefined && { price: data.price })
+        }
+      });
+
+      logger.info('Updated product variant', { id });
+      return mapToProductVariant(result);
+    } catch (error) {
+      logger.error('Error updating product variant', error as Error, { id, data });
+      throw error;
+    }
+  }
+
+  public async findById(id: number): Promise<ProductVariant | null> {
+    try {
+      logger.info('Finding product variant by ID', { id });
+      const result = await this.model.findUnique({ where: { id } });
+
+      if (!result) {
+        logger.info('Product variant not found', { id });
+        return null;
+      }
+
+      logger.info('Found product variant', { id });
+      return mapToProductVariant(result);
+    } catch (error) {
+      logger.error('Error finding product variant by ID', error as Error, { id });
+      throw error;
+    }
+  }
+
+  public async findBySku(sku: string): Promise<ProductVariant | null> {
+    try {
+      logger.info('Finding product variant by SKU', { sku });
+      const result = await this.model.findUnique({ where: { sku } });
+
+      if (!result) {
+        logger.info('Product variant not found', { sku });
+        return null;
+      }
+
+      logger.info('Found product variant by SKU', { sku, id: result.id });
+      return mapToProductVariant(result);
+    } catch (error) {
+      logger.error('Error finding product variant by SKU', error as Error, { sku });
+      throw error;
+    }
+  }
+
+  // The product SKU with the number of the variant, skipping numbers taken by SKUs chosen by hand
+  private async generateSku(tx: any, productSku: string, number: number): Promise<string> {
+    let sku = `${productSku}-${number}`;
+    while (await tx.productVariant.findUnique({ where: { sku } })) {
+      number += 1;
+      sku = `${productSku}-${number}`;
+    }
+    return sku;
+  }
+}
@@ -1,11 +1,32 @@
+import { Prisma } from '@prisma/client';
 import { BaseRepository } from '@shared/infrastructure/database/base-repository';
 import { IDatabaseManager } from '@shared/infrastructure/database/database-manager';
-import { IProductRepository } from '../../domain/repositories/product.repository';
+import {
+  IProductRepository,
+  PriceRange,
+  ProductSearchCriteria,
+  ProductSearchResult
+} from '../../domain/repositories/product.repository';
 import { Product } from '../../domain/entities/product.entity';
 import { createLogger } from '@shared/infrastructure/logging';
+import { Money } from '@shared/domain/value-objects/money.vo';
+import { Barcode } from '@shared/domain/value-objects/barcode.vo';
+import { mapToProductVariant } from './shared-product-variant.repository';
 
 const logger = createLogger('shared-product-repository');
 
+// Relations read along with every product
+const productInclude = {
+  prices: true,
+  barcodes: { orderBy: { id: 'asc' as const } },
+  variants: { orderBy: { id: 'asc' as const } }
+};
+
+// Word similarity from which a name matches despite typos: "labtop" still finds "Laptop Pro"
+const FUZZY_THRESHOLD = 0.5;
+
+const HIGHLIGHT_MARKS = 'StartSel=<mark>, StopSel=</mark>';
+
 /**
  * Shared repository implementation for Product entities.
  * Provides database persistence operations for products using a shared database.
@@ -27,15 +48,9 @@ export class SharedProductRepository extends BaseRepository<Product, number> imp
   public async save(entity: Omit<Product, 'id'>): Promise<Product> {
     try {
       logger.info('Creating new product', { entity });
-      const result = await this.model.create({
-        data: {
-          name: entity.name,
-          price: entity.price,
-          description: entity.description
-        }
-      });
+      const result = await this.executeInTransaction(async (tx) => this.createProduct(tx, entity));
       
-      const product = new Product(result.id, result.name, result.price, result.description ?? undefined);
+      const product = this.mapToProduct(result);
       logger.info('Created product', { id: result.id });
       return product;
     } catch (error) {
@@ -59,11 +74,19 @@ export class SharedProductRepository extends BaseRepository<Product, number> imp
         data: {
           ...(entity.name && { name: entity.name }),
           ...(entity.price !== undefined && { price: entity.price }),
-          ...(entity.description !== undefined && { description: entity.description })
-        }
+          ...(entity.description !== undefined && { description: entity.description }),
+          ...(entity.taxCategory && { taxCategory: entity.taxCategory }),
+          ...(entity.categoryId !== undefined && { categoryId: entity.categoryId }),
+          ...(entity.sku && { sku: entity.sku }),
+          ...(entity.options && { options: entity.options }),
+          // Prices in other currencies and barcodes are replaced as a whole
+          ...(entity.prices && { prices: { deleteMany: {}, create: this.toPriceRows(entity.prices) } }),
+          ...(entity.barcodes && { barcodes: { deleteMany: {}, create: this.toBarcodeRows(entity.barcodes) } })
+        },
+        include: productInclude
       });
       
-      const product = new Product(result.id, result.name, result.price, result.description ?? undefined);
+      const product = this.mapToProduct(result);
       logger.info('Updated product', { id });
       return product;
     } catch (error) {
@@ -77,7 +100,8 @@ export class SharedProductRepository extends BaseRepository<Product, number> imp
     try {
       logger.info('Finding product by ID', { id });
       const result = await this.model.findUnique({
-        where: { id }
+        where: { id },
+        include: productInclude
       });
       
       if (!result) {
@@ -85,7 +109,7 @@ export class SharedProductRepository extends BaseRepository<Product, number> imp
         return null;
       }
       
-      const product = new Product(result.id, result.name, result.price, result.description ?? undefined);
+      const product = this.mapToProduct(result);
       logger.info('Found product', { id });
       return product;
     } catch (error) {
@@ -98,10 +122,10 @@ export class SharedProductRepository extends BaseRepository<Product, number> imp
   public async findAll(): Promise<Product[]> {
     try {
       logger.info('Finding all products');
-      const results = await this.model.findMany();
+      const results = await this.model.findMany({ include: productInclude });
       
       const products = results.map((result: any) => 
-        new Product(result.id, result.name, result.price, result.description ?? undefined)
+        this.mapToProduct(result)
       );
       
       logger.info('Found products', { count: products.length });
@@ -122,11 +146,12 @@ export class SharedProductRepository extends BaseRepository<Product, number> imp
             contains: name,
             mode: 'insensitive'
           }
-        }
+        },
+        include: productInclude
       });
       
       const products = results.map((result: any) => 
-        new Product(result.id, result.name, result.price, result.description ?? undefined)
+        this.mapToProduct(result)
       );
       
       logger.info('Found products by name', { name, count: products.length });
@@ -146,11 +171,12 @@ export class SharedProductRepository extends BaseRepository<Product, number> imp
             gte: min,
             lte: max
           }
-        }
+        },
+        include: productInclude
       });
       
       const products = results.map((result: any) => 
-        new Product(result.id, result.name, result.price, result.description ?? undefined)
+        this.mapToProduct(result)
       );
       
       logger.info('Found products by price range', { min, max, count: products.length });
@@ -161,6 +187,190 @@ export class SharedProductRepository extends BaseRepository<Product, number> imp
     }
   }
 
+  public async findByCategoryIds(categoryIds: number[]): Promise<Product[]> {
+    try {
+      logger.info('Finding products by category', { categoryIds });
+      const results = await this.model.findMany({
+        where: { categoryId: { in: categoryIds } },
+        orderBy: { name: 'asc' },
+        include: productInclude
+      });
+
+      const products = results.map((result: any) =>
+        this.mapToProduct(result)
+      );
+
+      logger.info('Found products by category', { categoryIds, count: products.length });
+      return products;
+    } catch (error) {
+      logger.error('Error finding products by category', error as Error, { categoryIds });
+      throw error;
+    }
+  }
+
+  public async findByBarcode(code: string): Promise<Product | null> {
+    try {
+      logger.info('Finding product by barcode', { code });
+      const barcode = await this.prisma.productBarcode.findUnique({
+        where: { code },
+        include: { product: { include: productInclude } }
+      });
+
+      if (!barcode) {
+        logger.info('No product carries the barcode', { code });
+        return null;
+      }
+
+      logger.info('Found product by barcode', { code, id: barcode.productId });
+      return this.mapToProduct(barcode.product);
+    } catch (error) {
+      logger.error('Error finding product by barcode', error as Error, { code });
+      throw error;
+    }
+  }
+
+  public async findBySku(sku: string): Promise<Product | null> {
+    try {
+      logger.info('Finding product by SKU', { sku });
+      const result = await this.model.findUnique({
+        where: { sku },
+        include: productInclude
+      });
+
+      if (!result) {
+        logger.info('Product not found', { sku });
+        return null;
+      }
+
+      logger.info('Found product by SKU', { sku, id: result.id });
+      return this.mapToProduct(result);
+    } catch (error) {
+      logger.error('Error finding product by SKU', error as Error, { sku });
+      throw error;
+    }
+  }
+
+  public async search(criteria: ProductSearchCriteria): Promise<ProductSearchResult> {
+    try {
+      logger.info('Searching products', { criteria });
+      const text = criteria.text?.trim() || undefined;
+      const result = await this.executeInTransaction(async (tx) => {
+        await this.setFuzzyThreshold(tx);
+        const query = Prisma.sql`websearch_to_tsquery('english', ${text ?? ''})`;
+        const filters = {
+          text: text !== undefined
+            ? Prisma.sql`(p."searchVector" @@ ${query} OR ${text} <% p."name")`
+            : undefined,
+          category: criteria.categoryIds !== undefined
+            ? (criteria.categoryIds.length > 0 ? Prisma.sql`p."categoryId" IN (${Prisma.join(criteria.categoryIds)})` : Prisma.sql`FALSE`)
+            : undefined,
+          price: criteria.priceRange !== undefined ? this.priceCondition(criteria.priceRange) : undefined,
+          inStock: criteria.inStockOnly && criteria.storeId !== undefined ? this.inStockCondition(criteria.storeId) : undefined
+        };
+        // Every filter but the one a facet is about
+        const where = (except?: keyof typeof filters): Prisma.Sql => {
+          const conditions = Object.entries(filters)
+            .filter(([name, condition]) => name !== except && condition !== undefined)
+            .map(([, condition]) => condition as Prisma.Sql);
+          return conditions.length > 0 ? Prisma.join(conditions, ' AND ') : Prisma.sql`TRUE`;
+        };
+
+        const rows = await tx.$queryRaw<Array<{ id: number; rank: number; nameHighlight: string; descriptionHighlight: string | null }>>`
+          SELECT p."id",
+                 ${text !== undefined ? Prisma.sql`ts_rank_cd(p."searchVector", ${query}) + word_similarity(${text}, p."name")` : Prisma.sql`0`}::float8 AS "rank",
+                 ${text !== undefined
+                   ? Prisma.sql`ts_headline('english', p."name", ${query}, ${`HighlightAll=true, ${HIGHLIGHT_MARKS}`})`
+                   : Prisma.sql`p."name"`} AS "nameHighlight",
+                 ${text !== undefined
+                   ? Prisma.sql`CASE WHEN p."description" IS NULL OR p."description" = '' THEN NULL
+                       ELSE ts_headline('english', p."description", ${query}, ${`MaxFragments=2, MaxWords=20, MinWords=5, ${HIGHLIGHT_MARKS}`}) END`
+                   : Prisma.sql`p."description"`} AS "descriptionHighlight"
+          FROM "Product" p
+          WHERE ${where()}
+          ORDER BY "rank" DESC, p."name", p."id"
+          LIMIT ${criteria.limit} OFFSET ${(criteria.page - 1) * criteria.limit}
+        `;
+        const [{ total }] = await tx.$queryRaw<Array<{ total: number }>>`
+          SELECT COUNT(*)::int AS "total" FROM "Product" p WHERE ${where()}
+        `;
+        const categories = await tx.$queryRaw<Array<{ categoryId: number | null; count: number }>>`
+          SELECT p."categoryId", COUNT(*)::int AS "count"
+          FROM "Product" p
+          WHERE ${where('category')}
+          GROUP BY p."categoryId"
+          ORDER BY "count" DESC, p."categoryId"
+        `;
+        const priceCounts = criteria.priceFacetRanges.length > 0
+          ? (await tx.$queryRaw<Array<{ counts: number[] }>>`
+              SELECT ARRAY[${Prisma.join(criteria.priceFacetRanges.map(range =>
+                Prisma.sql`(COUNT(*) FILTER (WHERE ${this.priceCondition(range)}))::int`
+              ))}] AS "counts"
+              FROM "Product" p
+              WHERE ${where('price')}
+            `)[0].counts
+          : [];
+        const inStock = criteria.storeId !== undefined
+          ? (await tx.$queryRaw<Array<{ count: number }>>`
+              SELECT COUNT(*)::int AS "count"
+              FROM "Product" p
+              WHERE ${where('inStock')} AND ${this.inStockCondition(criteria.storeId)}
+            `)[0].count
+          : undefined;
+
+        const products = await tx.product.findMany({
+          where: { id: { in: rows.map(row => row.id) } },
+          include: productInclude
+        });
+        const productsById = new Map<number, any>(products.map((product: any) => [product.id, product]));
+        return {
+          hits: rows.map(row => ({
+            product: this.mapToProduct(productsById.get(row.id)),
+            rank: row.rank,
+            highlights: {
+              name: row.nameHighlight,
+              ...(row.descriptionHighlight !== null && { description: row.descriptionHighlight })
+            }
+          })),
+          total,
+          facets: {
+            categories,
+            priceRanges: criteria.priceFacetRanges.map((range, index) => ({ ...range, count: priceCounts[index] })),
+            ...(inStock !== undefined && { inStock })
+          }
+        };
+      });
+
+      logger.info('Searched products', { text, count: result.hits.length, total: result.total });
+      return result;
+    } catch (error) {
+      logger.error('Error searching products', error as Error, { criteria });
+      throw error;
+    }
+  }
+
+  public async suggest(text: string, limit: number): Promise<Array<{ id: number; name: string }>> {
+    try {
+      logger.info('Suggesting products', { text, limit });
+      const pattern = text.replace(/[\\%_]/g, match => `\\${match}`);
+      const suggestions = await this.executeInTransaction(async (tx) => {
+        await this.setFuzzyThreshold(tx);
+        return tx.$queryRaw<Array<{ id: number; name: string }>>`
+          SELECT p."id", p."name"
+          FROM "Product" p
+          WHERE p."name" ILIKE ${`%${pattern}%`} OR ${text} <% p."name"
+          ORDER BY (p."name" ILIKE ${`${pattern}%`}) DESC, word_similarity(${text}, p."name") DESC, p."name"
+          LIMIT ${limit}
+        `;
+      });
+
+      logger.info('Suggested products', { text, count: suggestions.length });
+      return suggestions;
+    } catch (error) {
+      logger.error('Error suggesting products', error as Error, { text });
+      throw error;
+    }
+  }
+
   // Override batch operations to handle domain entities
   public async saveMany(entities: Omit<Product, 'id'>[]): Promise<Product[]> {
     try {
@@ -168,14 +378,8 @@ export class SharedProductRepository extends BaseRepository<Product, number> imp
       const results = await this.executeInTransaction(async (tx) => {
         const createdProducts: Product[] = [];
         for (const entity of entities) {
-          const created = await tx.product.create({
-            data: {
-              name: entity.name,
-              price: entity.price,
-              description: entity.description
-            }
-          });
-          createdProducts.push(new Product(created.id, created.name, created.price, created.description ?? undefined));
+          const created = await this.createProduct(tx, entity);
+          createdProducts.push(this.mapToProduct(created));
         }
         return createdProducts;
       });
@@ -212,12 +416,13 @@ export class SharedProductRepository extends BaseRepository<Product, number> imp
           orderBy,
           skip,
           take: limit,
+          include: productInclude,
         }),
         this.model.count({ where }),
       ]);
 
       const products = data.map((result: any) => 
-        new Product(result.id, result.name, result.price, result.description ?? undefined)
+        this.mapToProduct(result)
       );
 
       const totalPages = Math.ceil(total / limit);
@@ -241,4 +446,86 @@ export class SharedProductRepository extends BaseRepository<Product, number> imp
       throw error;
     }
   }
-}
\ No newline at end of file
+
+  // Prices are read through Money so the DECIMAL column arrives as an exact amount
+  private mapToProduct(result: any): Product {
+    return new Product(
+      result.id,
+      result.name,
+      Money.of(result.price).getAmount(),
+      result.description ?? undefined,
+      result.taxCategory,
+      Object.fromEntries(
+        (result.prices ?? []).map((row: any) => [row.currency, Money.of(row.price, row.currency).getAmount()])
+      ),
+      result.categoryId ?? null,
+      result.sku ?? undefined,
+      (result.barcodes ?? []).map((row: any) => Barcode.parse(row.code, row.format)),
+      result.options ?? [],
+      (result.variants ?? []).map(mapToProductVariant)
+    );
+  }
+
+  /**
+   * Creates a product with its prices and barcodes; a product created without a SKU
+   * gets one generated from its ID
+   */
+  private async createProduct(tx: any, entity: Omit<Product, 'id'>): Promise<any> {
+    const created = await tx.product.create({
+      data: {
+        name: entity.name,
+        price: entity.price,
+        description: entity.description,
+        taxCategory: entity.taxCategory,
+        categoryId: entity.categoryId,
+        sku: entity.sku,
+        options: entity.options ?? [],
+        prices: { create: this.toPriceRows(entity.prices) },
+        barcodes: { create: this.toBarcodeRows(entity.barcodes) }
+      },
+      include: productInclude
+    });
+    if (created.sku) {
+      return created;
+    }
+    return tx.product.update({
+      where: { id: created.id },
+      data: { sku: `SKU-${String(created.id).padStart(6, '0')}` },
+      include: productInclude
+    });
+  }
+
+  // The trigram operator <% matches from pg_trgm.word_similarity_threshold, set for the transaction only
+  private async setFuzzyThreshold(tx: any): Promise<void> {
+    await tx.$queryRaw`SELECT set_config('pg_trgm.word_similarity_threshold', ${String(FUZZY_THRESHOLD)}, true)`;
+  }
+
+  // A product sells at its own price, or a product with variants at the price of each variant: its
+  // override when it has one, otherwise the product price. The product matches when any of them is in range
+  private priceCondition(range: PriceRange): Prisma.Sql {
+    return Prisma.sql`EXISTS (
+      SELECT 1 FROM (
+        SELECT p."price" WHERE NOT EXISTS (SELECT 1 FROM "ProductVariant" v WHERE v."productId" = p."id")
+        UNION ALL
+        SELECT COALESCE(v."price", p."price") FROM "ProductVariant" v WHERE v."productId" = p."id"
+      ) AS e("price")
+      WHERE e."price" >= ${range.min}${range.max !== undefined ? Prisma.sql` AND e."price" < ${range.max}` : Prisma.empty}
+    )`;
+  }
+
+  // Available units of the product, or of any of its variants, at the store
+  private inStockCondition(storeId: number): Prisma.Sql {
+    return Prisma.sql`EXISTS (
+      SELECT 1 FROM "Stock" s
+      WHERE s."productId" = p."id" AND s."storeId" = ${storeId} AND s."quantity" - s."held" > 0
+    )`;
+  }
+
+  private toPriceRows(prices: Record<string, number> = {}): Array<{ currency: string; price: number }> {
+    return Object.entries(prices).map(([currency, price]) => ({ currency, price }));
+  }
+
+  private toBarcodeRows(barcodes: Barcode[] = []): Array<{ code: string; format: string }> {
+    return barcodes.map(barcode => ({ code: barcode.toEan13(), format: barcode.format }));
+  }
+}
@@ -0,0 +1,341 @@
+import { BaseRepository } from '@shared/infrastructure/database/base-repository';
+import { IDatabaseManager } from '@shared/infrastructure/database/database-manager';
+import {
+  IPurchaseOrderRepository,
+  PurchaseOrderData,
+  PurchaseOrderLineQuantity,
+  PurchaseOrderReceipt,
+  PurchaseOrderStatusChange
+} from '../../domain/repositories/purchase-order.repository';
+import {
+  canTransitionPurchaseOrder,
+  IllegalPurchaseOrderTransitionError,
+  OPEN_PURCHASE_ORDER_STATUSES,
+  PurchaseOrder,
+  PurchaseOrderLine,
+  PurchaseOrderStatus
+} from '../../domain/entities/purchase-order.entity';
+import { describeStockItem, isSameStockItem, Stock } from '../../domain/entities/stock.entity';
+import { createLogger } from '@shared/infrastructure/logging';
+import { OutboxEventFactory, writeToOutbox } from '@shared/infrastructure/messaging/outbox';
+import { addStockUnits, recordStockMovement } from './stock-levels';
+
+const logger = createLogger('shared-purchase-order-repository');
+
+const PURCHASE_ORDER_INCLUDE = {
+  lines: { orderBy: [{ productId: 'asc' }, { variantId: 'asc' }] }
+};
+
+/**
+ * Shared repository implementation for PurchaseOrder entities.
+ * Adds received units to stock in the same transaction as the receipt.
+ */
+export class SharedPurchaseOrderRepository extends BaseRepository<PurchaseOrder, number> implements IPurchaseOrderRepository {
+  /**
+   * @param databaseManager Database manager instance for database operations
+   */
+  constructor(databaseManager: IDatabaseManager) {
+    super(databaseManager, 'purchaseOrder');
+  }
+
+  public async create(data: PurchaseOrderData, events?: OutboxEventFactory<PurchaseOrder>): Promise<PurchaseOrder> {
+    try {
+      logger.info('Drafting purchase order', { data });
+      const purchaseOrder = await this.executeInTransaction(tx => this.createInTransaction(tx, data, events));
+
+      logger.info('Drafted purchase order', { id: purchaseOrder.id });
+      return purchaseOrder;
+    } catch (error) {
+      logger.error('Error drafting purchase order', error as Error, { data });
+      throw error;
+    }
+  }
+
+  public async draftReorder(data: PurchaseOrderData, events?: OutboxEventFactory<PurchaseOrder>): Promise<PurchaseOrder | null> {
+    try {
+      logger.info('Drafting purchase order for the reorder job', { data });
+      const purchaseOrder = await this.executeInTransaction(async (tx) => {
+        // Lock the rules in ID order, so runs drafting overlapping rules cannot deadlock, then
+        // look for open orders committed by a run that held the locks before
+        const ruleIds = [...new Set(data.lines.map(line => line.reorderRuleId!))].sort((a, b) => a - b);
+        for (const ruleId of ruleIds) {
+          await (tx as any).$executeRaw`SELECT pg_advisory_xact_lock(hashtext('Reorder'), ${ruleId}::int)`;
+        }
+
+        const ordered = await (tx as any).purchaseOrderLine.findMany({
+          where: {
+            purchaseOrder: { storeId: data.storeId, status: { in: [...OPEN_PURCHASE_ORDER_STATUSES] } },
+            OR: data.lines.map(line => ({ productId: line.productId, variantId: line.variantId ?? null }))
+          },
+          select: { productId: true, variantId: true }
+        });
+        const lines = data.lines.filter(line => !ordered.some((open: any) =>
+          open.productId === line.productId && (open.variantId ?? undefined) === line.variantId
+        ));
+        if (lines.length === 0) {
+          return null;
+        }
+
+        return this.createInTransaction(tx, { ...data, lines }, events);
+      });
+
+      if (purchaseOrder) {
+        logger.info('Drafted purchase order for the reorder job', { id: purchaseOrder.id });
+      } else {
+        logger.info('Every product of the reorder draft is already on an open purchase order', { storeId: data.storeId });
+      }
+      return purchaseOrder;
+    } catch (error) {
+      logger.error('Error drafting purchase order for the reorder job', error as Error, { data });
+      throw error;
+    }
+  }
+
+  public async submit(
+    id: number,
+    change: PurchaseOrderStatusChange,
+    quantities: PurchaseOrderLineQuantity[],
+    events?: OutboxEventFactory<PurchaseOrder>
+  ): Promise<PurchaseOrder> {
+    try {
+      logger.info('Submitting purchase order', { id, quantities });
+      const purchaseOrder = await this.executeInTransaction(async (tx) => {
+        await this.applyStatusChange(tx, id, change, { submittedAt: new Date(), submittedBy: change.changedBy });
+        for (const line of quantities) {
+          await (tx as any).purchaseOrderLine.updateMany({
+            where: { purchaseOrderId: id, productId: line.productId, variantId: line.variantId ?? null },
+            data: { quantity: line.quantity }
+          });
+        }
+
+        const saved = await this.findInTransaction(tx, id);
+        if (events) {
+          await writeToOutbox(tx, events(saved));
+        }
+        return saved;
+      });
+
+      logger.info('Submitted purchase order', { id });
+      return purchaseOrder;
+    } catch (error) {
+      logger.error('Error submitting purchase order', error as Error, { id, quantities });
+      throw error;
+    }
+  }
+
+  public async cancel(
+    id: number,
+    change: PurchaseOrderStatusChange,
+    reason: string,
+    events?: OutboxEventFactory<PurchaseOrder>
+  ): Promise<PurchaseOrder> {
+    try {
+      logger.info('Cancelling purchase order', { id, reason });
+      const purchaseOrder = await this.executeInTransaction(async (tx) => {
+        await this.applyStatusChange(tx, id, change, { cancelledAt: new Date(), cancelReason: reason });
+
+        const saved = await this.findInTransaction(tx, id);
+        if (events) {
+          await writeToOutbox(tx, events(saved));
+        }
+        return saved;
+      });
+
+      logger.info('Cancelled purchase order', { id });
+      return purchaseOrder;
+    } catch (error) {
+      logger.error('Error cancelling purchase order', error as Error, { id, reason });
+      throw error;
+    }
+  }
+
+  public async receive(
+    id: number,
+    change: PurchaseOrderStatusChange,
+    received: PurchaseOrderLineQuantity[],
+    events?: OutboxEventFactory<PurchaseOrderReceipt>
+  ): Promise<PurchaseOrderReceipt> {
+    try {
+      logger.info('Receiving purchase order', { id, received });
+      const receipt = await this.executeInTransaction(async (tx) => {
+        await this.applyStatusChange(tx, id, change, change.to === 'RECEIVED' ? { receivedAt: new Date() } : {});
+        // The status change locks the order, so the lines read now include any receipt committed meanwhile
+        const current = await this.findInTransaction(tx, id);
+
+        const stocks: Stock[] = [];
+        for (const line of received) {
+          if (line.quantity <= 0) {
+            continue;
+          }
+          const outstanding = current.lines.find(item => isSameStockItem(item, line))?.getOutstanding() ?? 0;
+          if (line.quantity > outstanding) {
+            throw new Error(`Cannot receive more than the ${outstanding} outstanding units of ${describeStockItem(line)}, retry the request`);
+          }
+          await (tx as any).purchaseOrderLine.updateMany({
+            where: { purchaseOrderId: id, productId: line.productId, variantId: line.variantId ?? null },
+            data: { receivedQuantity: { increment: line.quantity } }
+          });
+          const stock = await addStockUnits(tx, current.storeId, line.productId, line.quantity, line.variantId ?? null);
+          await recordStockMovement(tx, stock, line.quantity, {
+            reason: 'RESTOCK',
+            referenceType: 'PURCHASE_ORDER',
+            referenceId: id,
+            actorId: change.changedBy
+          });
+          stocks.push(new Stock(stock.storeId, stock.productId, stock.quantity, stock.id, stock.held, stock.variantId ?? null));
+        }
+
+        let purchaseOrder = await this.findInTransaction(tx, id);
+        if (purchaseOrder.status === 'PARTIALLY_RECEIVED' && purchaseOrder.lines.every(line => line.getOutstanding() === 0)) {
+          // A receipt committed meanwhile delivered the rest of the order
+          await (tx as any).purchaseOrder.update({ where: { id }, data: { status: 'RECEIVED', receivedAt: new Date() } });
+          purchaseOrder = await this.findInTransaction(tx, id);
+        }
+
+        const saved = { purchaseOrder, stocks };
+        if (events) {
+          await writeToOutbox(tx, events(saved));
+        }
+        return saved;
+      });
+
+      logger.info('Received purchase order', { id, status: receipt.purchaseOrder.status });
+      return receipt;
+    } catch (error) {
+      logger.error('Error receiving purchase order', error as Error, { id, received });
+      throw error;
+    }
+  }
+
+  public async findById(id: number): Promise<PurchaseOrder | null> {
+    try {
+      logger.info('Finding purchase order by ID', { id });
+      const result = await this.model.findUnique({ where: { id }, include: PURCHASE_ORDER_INCLUDE });
+
+      if (!result) {
+        logger.info('Purchase order not found', { id });
+        return null;
+      }
+
+      logger.info('Found purchase order', { id });
+      return this.mapToPurchaseOrder(result);
+    } catch (error) {
+      logger.error('Error finding purchase order by ID', error as Error, { id });
+      throw error;
+    }
+  }
+
+  public async findByStoreId(storeId: number, status?: PurchaseOrderStatus): Promise<PurchaseOrder[]> {
+    try {
+      logger.info('Finding purchase orders by store ID', { storeId, status });
+      const results = await this.model.findMany({
+        where: { storeId, ...(status && { status }) },
+        include: PURCHASE_ORDER_INCLUDE,
+        orderBy: { createdAt: 'desc' }
+      });
+
+      const purchaseOrders = results.map((result: any) => this.mapToPurchaseOrder(result));
+      logger.info('Found purchase orders by store ID', { storeId, count: purchaseOrders.length });
+      return purchaseOrders;
+    } catch (error) {
+      logger.error('Error finding purchase orders by store ID', error as Error, { storeId });
+      throw error;
+    }
+  }
+
+  private async createInTransaction(
+    tx: any,
+    data: PurchaseOrderData,
+    events?: OutboxEventFactory<PurchaseOrder>
+  ): Promise<PurchaseOrder> {
+    const created = await tx.purchaseOrder.create({
+      data: {
+        supplierId: data.supplierId,
+        storeId: data.storeId,
+        createdBy: data.createdBy,
+        note: data.note,
+        status: 'DRAFT',
+        lines: {
+          create: data.lines.map(line => ({
+            productId: line.productId,
+            variantId: line.variantId,
+            quantity: line.quantity,
+            suggestedQuantity: line.suggestedQuantity,
+            unitsSold: line.unitsSold
+          }))
+        }
+      }
+    });
+
+    const saved = await this.findInTransaction(tx, created.id);
+    if (events) {
+      await writeToOutbox(tx, events(saved));
+    }
+    return saved;
+  }
+
+  /**
+   * Validates and applies a purchase order step. The update only matches while the order
+   * still has the expected status, so concurrent steps cannot receive the same units twice.
+   */
+  private async applyStatusChange(
+    tx: any,
+    id: number,
+    change: PurchaseOrderStatusChange,
+    data: Record<string, unknown>
+  ): Promise<void> {
+    if (!canTransitionPurchaseOrder(change.from, change.to)) {
+      throw new IllegalPurchaseOrderTransitionError(id, change.from, change.to);
+    }
+
+    const { count } = await tx.purchaseOrder.updateMany({
+      where: { id, status: change.from },
+      data: { ...data, status: change.to }
+    });
+
+    if (count === 0) {
+      const current = await tx.purchaseOrder.findUnique({ where: { id }, select: { status: true } });
+      if (!current) {
+        throw new Error('Purchase order not found');
+      }
+      throw new IllegalPurchaseOrderTransitionError(
+        id,
+        current.status,
+        change.to,
+        `Purchase order ${id} changed from ${change.from} to ${current.status} meanwhile, retry the request`
+      );
+    }
+  }
+
+  private async findInTransaction(tx: any, id: number): Promise<PurchaseOrder> {
+    const result = await tx.purchaseOrder.findUnique({ where: { id }, include: PURCHASE_ORDER_INCLUDE });
+    return this.mapToPurchaseOrder(result);
+  }
+
+  private mapToPurchaseOrder(result: any): PurchaseOrder {
+    return new PurchaseOrder(
+      result.id,
+      result.supplierId,
+      result.storeId,
+      result.status as PurchaseOrderStatus,
+      (result.lines ?? []).map((line: any) =>
+        new PurchaseOrderLine(
+          line.productId,
+          line.quantity,
+          line.receivedQuantity,
+          line.suggestedQuantity ?? undefined,
+          line.unitsSold ?? undefined,
+          line.variantId ?? undefined
+        )
+      ),
+      result.createdAt,
+      result.createdBy ?? undefined,
+      result.note ?? undefined,
+      result.submittedAt ?? undefined,
+      result.submittedBy ?? undefined,
+      result.receivedAt ?? undefined,
+      result.cancelledAt ?? undefined,
+      result.cancelReason ?? undefined
+    );
+  }
+}
@@ -0,0 +1,126 @@
+import { Prisma } from '@prisma/client';
+import { BaseRepository } from '@shared/infrastructure/database/base-repository';
+import { IDatabaseManager } from '@shared/infrastructure/database/database-manager';
+import { IReorderRuleRepository, ReorderCandidate } from '../../domain/repositories/reorder-rule.repository';
+import { ReorderRule } from '../../domain/entities/reorder-rule.entity';
+import { OPEN_PURCHASE_ORDER_STATUSES } from '../../domain/entities/purchase-order.entity';
+import { createLogger } from '@shared/infrastructure/logging';
+
+const logger = createLogger('shared-reorder-rule-repository');
+
+/**
+ * Shared repository implementation for ReorderRule entities.
+ */
+export class SharedReorderRuleRepository extends BaseRepository<ReorderRule, number> implements IReorderRuleRepository {
+  /**
+   * @param databaseManager Database manager instance for database operations
+   */
+  constructor(databaseManager: IDatabaseManager) {
+    super(databaseManager, 'reorderRule');
+  }
+
+  public async upsert(rule: ReorderRule): Promise<ReorderRule> {
+    try {
+      logger.info('Saving reorder rule', { rule });
+      const key = { storeId: rule.storeId, productId: rule.productId, variantId: rule.variantId ?? null };
+      const data = {
+        reorderPoint: rule.reorderPoint,
+        reorderQuantity: rule.reorderQuantity,
+        supplierId: rule.supplierId ?? null
+      };
+      const result = await this.executeInTransaction(async (tx) => {
+        // The unique key does not cover rules without a variant, so rules of a store are saved one at a time
+        await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext('ReorderRule'), ${rule.storeId}::int)`;
+        const existing = await (tx as any).reorderRule.findFirst({ where: key, select: { id: true } });
+        return existing
+          ? (tx as any).reorderRule.update({ where: { id: existing.id }, data })
+          : (tx as any).reorderRule.create({ data: { ...key, ...data } });
+      });
+
+      logger.info('Saved reorder rule', { id: result.id });
+      return this.mapToReorderRule(result);
+    } catch (error) {
+      logger.error('Error saving reorder rule', error as Error, { rule });
+      throw error;
+    }
+  }
+
+  public async remove(storeId: number, productId: number, variantId?: number): Promise<void> {
+    try {
+      logger.info('Deleting reorder rule', { storeId, productId, variantId });
+      await this.model.deleteMany({ where: { storeId, productId, variantId: variantId ?? null } });
+      logger.info('Deleted reorder rule', { storeId, productId, variantId });
+    } catch (error) {
+      logger.error('Error deleting reorder rule', error as Error, { storeId, productId, variantId });
+      throw error;
+    }
+  }
+
+  public async findByStoreId(storeId: number): Promise<ReorderRule[]> {
+    try {
+      logger.info('Finding reorder rules by store ID', { storeId });
+      const results = await this.model.findMany({
+        where: { storeId },
+        orderBy: [{ productId: 'asc' }, { variantId: 'asc' }]
+      });
+
+      const rules = results.map((result: any) => this.mapToReorderRule(result));
+      logger.info('Found reorder rules by store ID', { storeId, count: rules.length });
+      return rules;
+    } catch (error) {
+      logger.error('Error finding reorder rules by store ID', error as Error, { storeId });
+      throw error;
+    }
+  }
+
+  public async findDue(storeId?: number): Promise<ReorderCandidate[]> {
+    try {
+      logger.info('Finding products due for reorder', { storeId });
+      const rows = await this.prisma.$queryRaw<any[]>`
+        SELECT r."id", r."storeId", r."productId", r."variantId", r."supplierId", r."reorderPoint", r."reorderQuantity",
+               COALESCE(s."quantity", 0) AS "onHand", COALESCE(s."held", 0) AS "held", sup."leadTimeDays"
+        FROM "ReorderRule" r
+        LEFT JOIN "Stock" s ON s."storeId" = r."storeId" AND s."productId" = r."productId"
+          AND s."variantId" IS NOT DISTINCT FROM r."variantId"
+        LEFT JOIN "Supplier" sup ON sup."id" = r."supplierId"
+        WHERE COALESCE(s."quantity" - s."held", 0) < r."reorderPoint"
+          ${storeId !== undefined ? Prisma.sql`AND r."storeId" = ${storeId}` : Prisma.empty}
+          -- A rule of the product itself is left alone once the product got variants: its stock is kept per variant
+          AND (r."variantId" IS NOT NULL OR NOT EXISTS (SELECT 1 FROM "ProductVariant" v WHERE v."productId" = r."productId"))
+          AND NOT EXISTS (
+            SELECT 1
+            FROM "PurchaseOrderLine" l
+            JOIN "PurchaseOrder" o ON o."id" = l."purchaseOrderId"
+            WHERE o."storeId" = r."storeId" AND l."productId" = r."productId"
+              AND l."variantId" IS NOT DISTINCT FROM r."variantId"
+              AND o."status" IN (${Prisma.join([...OPEN_PURCHASE_ORDER_STATUSES])})
+          )
+        ORDER BY r."storeId", r."productId", r."variantId"
+      `;
+
+      const candidates = rows.map(row => ({
+        rule: this.mapToReorderRule(row),
+        onHand: row.onHand,
+        held: row.held,
+        leadTimeDays: row.leadTimeDays ?? undefined
+      }));
+      logger.info('Found products due for reorder', { storeId, count: candidates.length });
+      return candidates;
+    } catch (error) {
+      logger.error('Error finding products due for reorder', error as Error, { storeId });
+      throw error;
+    }
+  }
+
+  private mapToReorderRule(result: any): ReorderRule {
+    return new ReorderRule(
+      result.storeId,
+      result.productId,
+      result.reorderPoint,
+      result.reorderQuantity,
+      result.supplierId ?? undefined,
+      result.id,
+      result.variantId ?? undefined
+    );
+  }
+}
@@ -0,0 +1,218 @@
+import { BaseRepository } from '@shared/infrastructure/database/base-repository';
+import { IDatabaseManager } from '@shared/infrastructure/database/database-manager';
+import { IStockHoldRepository, StockHoldClosing, StockHoldData } from '../../domain/repositories/stock-hold.repository';
+import { StockHold, StockHoldNotActiveError, StockHoldStatus } from '../../domain/entities/stock-hold.entity';
+import { createLogger } from '@shared/infrastructure/logging';
+import { OutboxEventFactory, writeToOutbox } from '@shared/infrastructure/messaging/outbox';
+import { changeStockLevels } from './stock-levels';
+
+const logger = createLogger('shared-stock-hold-repository');
+
+/**
+ * Shared repository implementation for StockHold entities.
+ * Keeps Stock.held equal to the units of the active holds of each stock record.
+ */
+export class SharedStockHoldRepository extends BaseRepository<StockHold, number> implements IStockHoldRepository {
+  /**
+   * @param databaseManager Database manager instance for database operations
+   */
+  constructor(databaseManager: IDatabaseManager) {
+    super(databaseManager, 'stockHold');
+  }
+
+  public async place(data: StockHoldData, events?: OutboxEventFactory<StockHold>): Promise<StockHold> {
+    try {
+      logger.info('Placing stock hold', { data });
+      const hold = await this.executeInTransaction(async (tx) => {
+        await changeStockLevels(tx, data.storeId, data.productId, { held: data.quantity }, data.variantId ?? null);
+
+        const result = await (tx as any).stockHold.create({
+          data: {
+            storeId: data.storeId,
+            productId: data.productId,
+            variantId: data.variantId,
+            userId: data.userId,
+            quantity: data.quantity,
+            status: 'ACTIVE',
+            expiresAt: data.expiresAt
+          }
+        });
+        const created = this.mapToStockHold(result);
+
+        if (events) {
+          await writeToOutbox(tx, events(created));
+        }
+        return created;
+      });
+
+      logger.info('Placed stock hold', { id: hold.id });
+      return hold;
+    } catch (error) {
+      logger.error('Error placing stock hold', error as Error, { data });
+      throw error;
+    }
+  }
+
+  public async close(id: number, closing: StockHoldClosing, events?: OutboxEventFactory<StockHold>): Promise<StockHold> {
+    try {
+      logger.info('Closing stock hold', { id, status: closing.status });
+      const hold = await this.executeInTransaction(async (tx) => {
+        // Only the first of concurrent closings matches the active hold
+        const { count } = await (tx as any).stockHold.updateMany({
+          where: {
+            id,
+            status: 'ACTIVE',
+            ...(closing.status === 'CONVERTED' && { expiresAt: { gt: closing.now } })
+          },
+          data: {
+            status: closing.status,
+            closedAt: closing.now,
+            ...(closing.saleId !== undefined && { saleId: closing.saleId })
+          }
+        });
+        if (count === 0) {
+          throw new StockHoldNotActiveError(id);
+        }
+
+        const closed = this.mapToStockHold(await (tx as any).stockHold.findUnique({ where: { id } }));
+        // A sale takes the held units out of stock, otherwise they become available again
+        await changeStockLevels(tx, closed.storeId, closed.productId, {
+          held: -closed.quantity,
+          ...(closing.status === 'CONVERTED' && {
+            quantity: -closed.quantity,
+            movement: { reason: 'SALE', referenceType: 'SALE', referenceId: closed.saleId, actorId: closed.userId }
+          })
+        }, closed.variantId ?? null);
+
+        if (events) {
+          await writeToOutbox(tx, events(closed));
+        }
+        return closed;
+      });
+
+      logger.info('Closed stock hold', { id, status: hold.status });
+      return hold;
+    } catch (error) {
+      logger.error('Error closing stock hold', error as Error, { id, status: closing.status });
+      throw error;
+    }
+  }
+
+  public async reinstate(id: number, saleId: number, events?: OutboxEventFactory<StockHold>): Promise<StockHold> {
+    try {
+      logger.info('Reinstating stock hold', { id, saleId });
+      const hold = await this.executeInTransaction(async (tx) => {
+        // Only the hold still converted to the failed sale is reinstated
+        const { count } = await (tx as any).stockHold.updateMany({
+          where: { id, status: 'CONVERTED', saleId },
+          data: { status: 'ACTIVE', closedAt: null, saleId: null }
+        });
+        if (count === 0) {
+          throw new StockHoldNotActiveError(id, `Stock hold ${id} is not converted to sale ${saleId}`);
+        }
+
+        const reinstated = this.mapToStockHold(await (tx as any).stockHold.findUnique({ where: { id } }));
+        // The units the sale took go back on hand, held for the customer again
+        await changeStockLevels(tx, reinstated.storeId, reinstated.productId, {
+          quantity: reinstated.quantity,
+          held: reinstated.quantity,
+          movement: { reason: 'RELEASE', referenceType: 'SALE', referenceId: saleId, actorId: reinstated.userId }
+        }, reinstated.variantId ?? null);
+
+        if (events) {
+          await writeToOutbox(tx, events(reinstated));
+        }
+        return reinstated;
+      });
+
+      logger.info('Reinstated stock hold', { id });
+      return hold;
+    } catch (error) {
+      logger.error('Error reinstating stock hold', error as Error, { id, saleId });
+      throw error;
+    }
+  }
+
+  public async findById(id: number): Promise<StockHold | null> {
+    try {
+      logger.info('Finding stock hold by ID', { id });
+      const result = await this.model.findUnique({ where: { id } });
+
+      if (!result) {
+        logger.info('Stock hold not found', { id });
+        return null;
+      }
+
+      logger.info('Found stock hold', { id });
+      return this.mapToStockHold(result);
+    } catch (error) {
+      logger.error('Error finding stock hold by ID', error as Error, { id });
+      throw error;
+    }
+  }
+
+  public async findByUserId(userId: number): Promise<StockHold[]> {
+    try {
+      logger.info('Finding stock holds by user ID', { userId });
+      const results = await this.model.findMany({
+        where: { userId },
+        orderBy: { createdAt: 'desc' }
+      });
+
+      const holds = results.map((result: any) => this.mapToStockHold(result));
+      logger.info('Found stock holds by user ID', { userId, count: holds.length });
+      return holds;
+    } catch (error) {
+      logger.error('Error finding stock holds by user ID', error as Error, { userId });
+      throw error;
+    }
+  }
+
+  public async findByStoreId(storeId: number): Promise<StockHold[]> {
+    try {
+      logger.info('Finding stock holds by store ID', { storeId });
+      const results = await this.model.findMany({
+        where: { storeId },
+        orderBy: { createdAt: 'desc' }
+      });
+
+      const holds = results.map((result: any) => this.mapToStockHold(result));
+      logger.info('Found stock holds by store ID', { storeId, count: holds.length });
+      return holds;
+    } catch (error) {
+      logger.error('Error finding stock holds by store ID', error as Error, { storeId });
+      throw error;
+    }
+  }
+
+  public async findExpired(now: Date, limit: number): Promise<StockHold[]> {
+    try {
+      const results = await this.model.findMany({
+        where: { status: 'ACTIVE', expiresAt: { lte: now } },
+        orderBy: { expiresAt: 'asc' },
+        take: limit
+      });
+
+      return results.map((result: any) => this.mapToStockHold(result));
+    } catch (error) {
+      logger.error('Error finding expired stock holds', error as Error);
+      throw error;
+    }
+  }
+
+  private mapToStockHold(result: any): StockHold {
+    return new StockHold(
+      result.id,
+      result.storeId,
+      result.productId,
+      result.userId,
+      result.quantity,
+      result.status as StockHoldStatus,
+      result.expiresAt,
+      result.createdAt,
+      result.closedAt ?? undefined,
+      result.saleId ?? undefined,
+      result.variantId ?? undefined
+    );
+  }
+}
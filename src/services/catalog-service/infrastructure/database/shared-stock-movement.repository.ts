@@ -0,0 +1,135 @@
+import { Prisma } from '@prisma/client';
+import { BaseRepository } from '@shared/infrastructure/database/base-repository';
+import { IDatabaseManager } from '@shared/infrastructure/database/database-manager';
+import { IStockMovementRepository, StockLedgerBalance } from '../../domain/repositories/stock-movement.repository';
+import {
+  StockMovement,
+  StockMovementReason,
+  StockMovementReferenceType
+} from '../../domain/entities/stock-movement.entity';
+import { createLogger } from '@shared/infrastructure/logging';
+
+const logger = createLogger('shared-stock-movement-repository');
+
+// Quantity of each stock record next to the sum of its ledger, read in one statement so a
+// concurrent movement cannot show up as drift
+const BALANCE_QUERY = Prisma.sql`
+  SELECT s."id" AS "stockId", s."storeId", s."productId", s."quantity",
+         COALESCE(SUM(m."delta"), 0)::int AS "ledgerQuantity"
+  FROM "Stock" s
+  LEFT JOIN "StockMovement" m ON m."stockId" = s."id"
+`;
+
+/**
+ * Shared repository implementation for reading the stock movement ledger.
+ */
+export class SharedStockMovementRepository extends BaseRepository<StockMovement, number> implements IStockMovementRepository {
+  /**
+   * @param databaseManager Database manager instance for database operations
+   */
+  constructor(databaseManager: IDatabaseManager) {
+    super(databaseManager, 'stockMovement');
+  }
+
+  public async findByStockId(stockId: number, page: number = 1, limit: number = 50): Promise<{
+    data: StockMovement[];
+    total: number;
+    page: number;
+    limit: number;
+    totalPages: number;
+  }> {
+    try {
+      logger.info('Finding stock movements', { stockId, page, limit });
+      const where = { stockId };
+      const [results, total] = await Promise.all([
+        this.model.findMany({
+          where,
+          orderBy: { id: 'desc' },
+          skip: (page - 1) * limit,
+          take: limit
+        }),
+        this.model.count({ where })
+      ]);
+
+      const movements = results.map((result: any) => this.mapToStockMovement(result));
+      logger.info('Found stock movements', { stockId, count: movements.length, total });
+      return { data: movements, total, page, limit, totalPages: Math.ceil(total / limit) };
+    } catch (error) {
+      logger.error('Error finding stock movements', error as Error, { stockId, page, limit });
+      throw error;
+    }
+  }
+
+  public async findBalance(stockId: number): Promise<StockLedgerBalance | null> {
+    try {
+      logger.info('Rebuilding stock quantity from the ledger', { stockId });
+      const rows = await this.prisma.$queryRaw<StockLedgerBalance[]>`
+        ${BALANCE_QUERY}
+        WHERE s."id" = ${stockId}
+        GROUP BY s."id"
+      `;
+
+      const balance = rows[0] ?? null;
+      logger.info('Rebuilt stock quantity from the ledger', { stockId, balance });
+      return balance;
+    } catch (error) {
+      logger.error('Error rebuilding stock quantity from the ledger', error as Error, { stockId });
+      throw error;
+    }
+  }
+
+  public async findDrift(): Promise<StockLedgerBalance[]> {
+    try {
+      logger.info('Finding stock drift');
+      const drift = await this.prisma.$queryRaw<StockLedgerBalance[]>`
+        ${BALANCE_QUERY}
+        GROUP BY s."id"
+        HAVING s."quantity" <> COALESCE(SUM(m."delta"), 0)
+        ORDER BY s."id"
+      `;
+
+      logger.info('Found stock drift', { count: drift.length });
+      return drift;
+    } catch (error) {
+      logger.error('Error finding stock drift', error as Error);
+      throw error;
+    }
+  }
+
+  public async recordOpeningBalances(): Promise<number> {
+    try {
+      logger.info('Recording opening stock balances');
+      const count = await this.prisma.$executeRaw`
+        INSERT INTO "StockMovement" ("stockId", "storeId", "productId", "variantId", "delta", "quantityAfter", "reason", "note")
+        SELECT s."id", s."storeId", s."productId", s."variantId", s."quantity", s."quantity", 'INITIAL',
+               'Opening balance of stock recorded before the ledger'
+        FROM "Stock" s
+        WHERE s."quantity" <> 0
+          AND NOT EXISTS (SELECT 1 FROM "StockMovement" m WHERE m."stockId" = s."id")
+      `;
+
+      logger.info('Recorded opening stock balances', { count });
+      return count;
+    } catch (error) {
+      logger.error('Error recording opening stock balances', error as Error);
+      throw error;
+    }
+  }
+
+  private mapToStockMovement(result: any): StockMovement {
+    return new StockMovement(
+      result.id,
+      result.stockId,
+      result.storeId,
+      result.productId,
+      result.delta,
+      result.quantityAfter,
+      result.reason as StockMovementReason,
+      result.createdAt,
+      (result.referenceType ?? undefined) as StockMovementReferenceType | undefined,
+      result.referenceId ?? undefined,
+      result.actorId ?? undefined,
+      result.note ?? undefined
+    );
+  }
+}
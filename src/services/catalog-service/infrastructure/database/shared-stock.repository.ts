@@ -1,8 +1,11 @@
 import { BaseRepository } from '@shared/infrastructure/database/base-repository';
 import { IDatabaseManager } from '@shared/infrastructure/database/database-manager';
-import { IStockRepository } from '../../domain/repositories/stock.repository';
-import { Stock } from '../../domain/entities/stock.entity';
+import { IStockRepository, StockExchangeReversal, StockQuantityChange, StockSaleRelease } from '../../domain/repositories/stock.repository';
+import { InsufficientStockError, Stock, StockShortage } from '../../domain/entities/stock.entity';
+import { StockMovementSource } from '../../domain/entities/stock-movement.entity';
 import { createLogger } from '@shared/infrastructure/logging';
+import { OutboxEventFactory, writeToOutbox } from '@shared/infrastructure/messaging/outbox';
+import { changeStockLevels, findStockLevels, lockStockRecords, recordStockMovement, setStockQuantity, takeAvailableStock } from './stock-levels';
 
 const logger = createLogger('shared-stock-repository');
 
@@ -19,7 +22,7 @@ export class SharedStockRepository extends BaseRepository<Stock, number> impleme
   }
 
   /**
-   * Creates a new stock entity in the database.
+   * Creates a new stock entity in the database, recording its initial units in the ledger.
    * Override save method to handle entity creation properly.
    * @param entity Stock entity without ID
    * @returns Promise resolving to the created Stock entity
@@ -27,15 +30,9 @@ export class SharedStockRepository extends BaseRepository<Stock, number> impleme
   public async save(entity: Omit<Stock, 'id'>): Promise<Stock> {
     try {
       logger.info('Creating new stock', { entity });
-      const result = await this.model.create({
-        data: {
-          storeId: entity.storeId,
-          productId: entity.productId,
-          quantity: entity.quantity
-        }
-      });
+      const result = await this.executeInTransaction(async (tx) => this.createWithMovement(tx, entity));
       
-      const stock = new Stock(result.storeId, result.productId, result.quantity, result.id);
+      const stock = new Stock(result.storeId, result.productId, result.quantity, result.id, result.held, result.variantId ?? null);
       logger.info('Created stock', { id: result.id });
       return stock;
     } catch (error) {
@@ -49,19 +46,30 @@ export class SharedStockRepository extends BaseRepository<Stock, number> impleme
    * Override update method to handle partial updates properly.
    * @param id Stock ID
    * @param entity Partial stock entity with updated fields
+   * @param events Optional factory for domain events stored in the same transaction
+   * @param movement Why the quantity changed, recorded in the ledger; a correction by default
    * @returns Promise resolving to the updated Stock entity
    */
-  public async update(id: number, entity: Partial<Stock>): Promise<Stock> {
+  public async update(
+    id: number,
+    entity: Partial<Stock>,
+    events?: OutboxEventFactory<Stock>,
+    movement: StockMovementSource = { reason: 'CORRECTION' }
+  ): Promise<Stock> {
     try {
       logger.info('Updating stock', { id, entity });
-      const result = await this.model.update({
-        where: { id },
-        data: {
-          ...(entity.quantity !== undefined && { quantity: entity.quantity })
+
+      const stock = await this.executeInTransaction(async (tx) => {
+        const result = entity.quantity !== undefined
+          ? await setStockQuantity(tx, id, entity.quantity, movement)
+          : await tx.stock.findUniqueOrThrow({ where: { id } });
+        const updated = new Stock(result.storeId, result.productId, result.quantity, result.id, result.held, result.variantId ?? null);
+        if (events) {
+          await writeToOutbox(tx, events(updated));
         }
+        return updated;
       });
-      
-      const stock = new Stock(result.storeId, result.productId, result.quantity, result.id);
+
       logger.info('Updated stock', { id });
       return stock;
     } catch (error) {
@@ -83,7 +91,7 @@ export class SharedStockRepository extends BaseRepository<Stock, number> impleme
         return null;
       }
       
-      const stock = new Stock(result.storeId, result.productId, result.quantity, result.id);
+      const stock = new Stock(result.storeId, result.productId, result.quantity, result.id, result.held, result.variantId ?? null);
       logger.info('Found stock', { id });
       return stock;
     } catch (error) {
@@ -99,7 +107,7 @@ export class SharedStockRepository extends BaseRepository<Stock, number> impleme
       const results = await this.model.findMany();
       
       const stocks = results.map((result: any) => 
-        new Stock(result.storeId, result.productId, result.quantity, result.id)
+        new Stock(result.storeId, result.productId, result.quantity, result.id, result.held, result.variantId ?? null)
       );
       
       logger.info('Found stock records', { count: stocks.length });
@@ -119,7 +127,7 @@ export class SharedStockRepository extends BaseRepository<Stock, number> impleme
       });
       
       const stocks = results.map((result: any) => 
-        new Stock(result.storeId, result.productId, result.quantity, result.id)
+        new Stock(result.storeId, result.productId, result.quantity, result.id, result.held, result.variantId ?? null)
       );
       
       logger.info('Found stock by store ID', { storeId, count: stocks.length });
@@ -138,7 +146,7 @@ export class SharedStockRepository extends BaseRepository<Stock, number> impleme
       });
       
       const stocks = results.map((result: any) => 
-        new Stock(result.storeId, result.productId, result.quantity, result.id)
+        new Stock(result.storeId, result.productId, result.quantity, result.id, result.held, result.variantId ?? null)
       );
       
       logger.info('Found stock by product ID', { productId, count: stocks.length });
@@ -149,24 +157,17 @@ export class SharedStockRepository extends BaseRepository<Stock, number> impleme
     }
   }
 
-  public async findByStoreAndProduct(storeId: number, productId: number): Promise<Stock | null> {
+  public async findByStoreAndProduct(storeId: number, productId: number, variantId: number | null = null): Promise<Stock | null> {
     try {
-      logger.info('Finding stock by store and product', { storeId, productId });
-      const result = await this.model.findUnique({
-        where: {
-          storeId_productId: {
-            storeId,
-            productId
-          }
-        }
-      });
+      logger.info('Finding stock by store and product', { storeId, productId, variantId });
+      const result = await findStockLevels(this.prisma, storeId, productId, variantId);
       
       if (!result) {
-        logger.info('Stock not found for store and product', { storeId, productId });
+        logger.info('Stock not found for store and product', { storeId, productId, variantId });
         return null;
       }
       
-      const stock = new Stock(result.storeId, result.productId, result.quantity, result.id);
+      const stock = new Stock(result.storeId, result.productId, result.quantity, result.id, result.held, result.variantId ?? null);
       logger.info('Found stock by store and product', { storeId, productId });
       return stock;
     } catch (error) {
@@ -187,7 +188,7 @@ export class SharedStockRepository extends BaseRepository<Stock, number> impleme
       });
       
       const stocks = results.map((result: any) => 
-        new Stock(result.storeId, result.productId, result.quantity, result.id)
+        new Stock(result.storeId, result.productId, result.quantity, result.id, result.held, result.variantId ?? null)
       );
       
       logger.info('Found low stock records', { threshold, count: stocks.length });
@@ -198,53 +199,240 @@ export class SharedStockRepository extends BaseRepository<Stock, number> impleme
     }
   }
 
-  public async adjustStock(storeId: number, productId: number, quantity: number): Promise<Stock> {
+  public async adjustStock(
+    storeId: number,
+    productId: number,
+    quantity: number,
+    movement: StockMovementSource,
+    events?: OutboxEventFactory<Stock>,
+    variantId: number | null = null
+  ): Promise<Stock> {
     try {
-      logger.info('Adjusting stock', { storeId, productId, quantity });
+      logger.info('Adjusting stock', { storeId, productId, variantId, quantity, reason: movement.reason });
       
-      // Use transaction to ensure atomicity
+      // Use transaction to ensure atomicity; units on hold cannot be taken
       const result = await this.executeInTransaction(async (tx) => {
-        // Find existing stock record
-        const existingStock = await tx.stock.findUnique({
-          where: {
-            storeId_productId: {
-              storeId,
-              productId
-            }
+        const updatedStock = await changeStockLevels(tx, storeId, productId, { quantity, movement }, variantId);
+
+        if (events) {
+          // Store the domain events in the same transaction as the adjustment
+          await writeToOutbox(tx, events(
+            new Stock(updatedStock.storeId, updatedStock.productId, updatedStock.quantity, updatedStock.id, updatedStock.held, updatedStock.variantId ?? null)
+          ));
+        }
+
+        return updatedStock;
+      });
+      
+      const stock = new Stock(result.storeId, result.productId, result.quantity, result.id, result.held, result.variantId ?? null);
+      logger.info('Adjusted stock', { storeId, productId, oldQuantity: result.quantity - quantity, newQuantity: result.quantity });
+      return stock;
+    } catch (error) {
+      logger.error('Error adjusting stock', error as Error, { storeId, productId, quantity });
+      throw error;
+    }
+  }
+
+  public async adjustStocks(
+    storeId: number,
+    changes: StockQuantityChange[],
+    movement: StockMovementSource,
+    events?: OutboxEventFactory<Stock[]>
+  ): Promise<Stock[]> {
+    try {
+      logger.info('Adjusting stocks', { storeId, changes, reason: movement.reason });
+
+      const stocks = await this.executeInTransaction(async (tx) => {
+        const updatedStocks: Stock[] = [];
+        for (const change of changes) {
+          // Units on hold cannot be taken, and concurrent changes cannot take the stock below zero
+          const stock = await changeStockLevels(
+            tx, storeId, change.productId, { quantity: change.quantity, movement }, change.variantId ?? null
+          );
+          updatedStocks.push(new Stock(stock.storeId, stock.productId, stock.quantity, stock.id, stock.held, stock.variantId ?? null));
+        }
+
+        if (events) {
+          await writeToOutbox(tx, events(updatedStocks));
+        }
+
+        return updatedStocks;
+      });
+
+      logger.info('Adjusted stocks', { storeId, count: stocks.length });
+      return stocks;
+    } catch (error) {
+      logger.error('Error adjusting stocks', error as Error, { storeId, changes });
+      throw error;
+    }
+  }
+
+  public async reserveStocks(
+    storeId: number,
+    lines: StockQuantityChange[],
+    movement: StockMovementSource,
+    events?: OutboxEventFactory<Stock[]>
+  ): Promise<Stock[]> {
+    try {
+      logger.info('Reserving stocks', { storeId, lines, reason: movement.reason });
+
+      // One update per product or variant, in a fixed order so concurrent carts lock rows in the same order
+      const requested = new Map<string, { productId: number; variantId: number | null; quantity: number }>();
+      for (const line of lines) {
+        const variantId = line.variantId ?? null;
+        const key = `${line.productId}:${variantId ?? ''}`;
+        const quantity = (requested.get(key)?.quantity ?? 0) + line.quantity;
+        requested.set(key, { productId: line.productId, variantId, quantity });
+      }
+      const items = [...requested.values()]
+        .sort((a, b) => a.productId - b.productId || (a.variantId ?? 0) - (b.variantId ?? 0));
+
+      const stocks = await this.executeInTransaction(async (tx) => {
+        const reservedStocks: Stock[] = [];
+        const shortages: StockShortage[] = [];
+        for (const { productId, variantId, quantity } of items) {
+          const stock = await takeAvailableStock(tx, storeId, productId, quantity, movement, variantId);
+          if (stock) {
+            reservedStocks.push(new Stock(stock.storeId, stock.productId, stock.quantity, stock.id, stock.held, stock.variantId ?? null));
+            continue;
           }
-        });
 
-        if (!existingStock) {
-          throw new Error(`Stock record not found for store ${storeId} and product ${productId}`);
+          // Keep checking the other products so every shortage is reported
+          const current = await findStockLevels(tx, storeId, productId, variantId);
+          shortages.push({
+            productId,
+            ...(variantId !== null && { variantId }),
+            requested: quantity,
+            available: current ? Math.max(current.quantity - current.held, 0) : 0
+          });
+        }
+
+        if (shortages.length > 0) {
+          // Rolls back the products already reserved
+          throw new InsufficientStockError(storeId, shortages);
         }
 
-        const newQuantity = existingStock.quantity + quantity;
-        
-        if (newQuantity < 0) {
-          throw new Error(`Insufficient stock. Current: ${existingStock.quantity}, Requested adjustment: ${quantity}`);
+        if (events) {
+          await writeToOutbox(tx, events(reservedStocks));
         }
 
-        // Update the stock quantity
-        const updatedStock = await tx.stock.update({
-          where: {
-            storeId_productId: {
-              storeId,
-              productId
-            }
-          },
-          data: {
-            quantity: newQuantity
+        return reservedStocks;
+      });
+
+      logger.info('Reserved stocks', { storeId, count: stocks.length });
+      return stocks;
+    } catch (error) {
+      logger.error('Error reserving stocks', error as Error, { storeId, lines });
+      throw error;
+    }
+  }
+
+  public async releaseSale(
+    saleId: number,
+    actorId?: number,
+    events?: OutboxEventFactory<StockSaleRelease[]>,
+    includeHolds: boolean = false
+  ): Promise<StockSaleRelease[]> {
+    try {
+      logger.info('Releasing stock of sale', { saleId, includeHolds });
+
+      const releases = await this.executeInTransaction(async (tx) => {
+        // Releases of the same sale wait for each other, so a retry cannot release the units twice
+        await tx.$executeRaw`SELECT pg_advisory_xact_lock(${saleId}::bigint)`;
+
+        // Units taken for the sale and not released yet, per product or variant
+        const taken = await (tx as any).stockMovement.groupBy({
+          by: ['storeId', 'productId', 'variantId'],
+          where: { referenceType: 'SALE', referenceId: saleId, reason: { in: ['SALE', 'RELEASE'] } },
+          _sum: { delta: true },
+          orderBy: [{ productId: 'asc' }, { variantId: 'asc' }]
+        });
+        // Unless included, units of holds still converted to the sale go back with the hold
+        const holds = includeHolds ? [] : await (tx as any).stockHold.findMany({ where: { saleId, status: 'CONVERTED' } });
+
+        const released: StockSaleRelease[] = [];
+        for (const { storeId, productId, variantId, _sum } of taken) {
+          const heldUnits = holds
+            .filter((hold: any) => hold.storeId === storeId && hold.productId === productId && hold.variantId === variantId)
+            .reduce((sum: number, hold: any) => sum + hold.quantity, 0);
+          const quantity = -(_sum.delta ?? 0) - heldUnits;
+          if (quantity <= 0) {
+            continue;
           }
+
+          const stock = await changeStockLevels(tx, storeId, productId, {
+            quantity,
+            movement: { reason: 'RELEASE', referenceType: 'SALE', referenceId: saleId, actorId }
+          }, variantId);
+          released.push({
+            stock: new Stock(stock.storeId, stock.productId, stock.quantity, stock.id, stock.held, stock.variantId ?? null),
+            quantity
+          });
+        }
+
+        if (events && released.length > 0) {
+          await writeToOutbox(tx, events(released));
+        }
+
+        return released;
+      });
+
+      logger.info('Released stock of sale', { saleId, count: releases.length });
+      return releases;
+    } catch (error) {
+      logger.error('Error releasing stock of sale', error as Error, { saleId });
+      throw error;
+    }
+  }
+
+  public async revertExchange(
+    exchangeId: number,
+    actorId?: number,
+    events?: OutboxEventFactory<StockExchangeReversal[]>
+  ): Promise<StockExchangeReversal[]> {
+    try {
+      logger.info('Reverting stock of exchange', { exchangeId });
+
+      const reversals = await this.executeInTransaction(async (tx) => {
+        // Reverts of the same exchange wait for each other, so a retry cannot revert the units twice
+        await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext('EXCHANGE'), ${exchangeId}::int)`;
+
+        // Units the exchange still has in or out, per product or variant
+        const moved = await (tx as any).stockMovement.groupBy({
+          by: ['storeId', 'productId', 'variantId'],
+          where: { referenceType: 'EXCHANGE', referenceId: exchangeId },
+          _sum: { delta: true },
+          orderBy: [{ productId: 'asc' }, { variantId: 'asc' }]
         });
 
-        return updatedStock;
+        const reverted: StockExchangeReversal[] = [];
+        for (const { storeId, productId, variantId, _sum } of moved) {
+          const quantity = -(_sum.delta ?? 0);
+          if (quantity === 0) {
+            continue;
+          }
+
+          const stock = await changeStockLevels(tx, storeId, productId, {
+            quantity,
+            movement: { reason: 'EXCHANGE', referenceType: 'EXCHANGE', referenceId: exchangeId, actorId, note: 'Exchange reverted' }
+          }, variantId);
+          reverted.push({
+            stock: new Stock(stock.storeId, stock.productId, stock.quantity, stock.id, stock.held, stock.variantId ?? null),
+            quantity
+          });
+        }
+
+        if (events && reverted.length > 0) {
+          await writeToOutbox(tx, events(reverted));
+        }
+
+        return reverted;
       });
-      
-      const stock = new Stock(result.storeId, result.productId, result.quantity, result.id);
-      logger.info('Adjusted stock', { storeId, productId, oldQuantity: result.quantity - quantity, newQuantity: result.quantity });
-      return stock;
+
+      logger.info('Reverted stock of exchange', { exchangeId, count: reversals.length });
+      return reversals;
     } catch (error) {
-      logger.error('Error adjusting stock', error as Error, { storeId, productId, quantity });
+      logger.error('Error reverting stock of exchange', error as Error, { exchangeId });
       throw error;
     }
   }
@@ -256,14 +444,8 @@ export class SharedStockRepository extends BaseRepository<Stock, number> impleme
       const results = await this.executeInTransaction(async (tx) => {
         const createdStocks: Stock[] = [];
         for (const entity of entities) {
-          const created = await tx.stock.create({
-            data: {
-              storeId: entity.storeId,
-              productId: entity.productId,
-              quantity: entity.quantity
-            }
-          });
-          createdStocks.push(new Stock(created.storeId, created.productId, created.quantity, created.id));
+          const created = await this.createWithMovement(tx, entity);
+          createdStocks.push(new Stock(created.storeId, created.productId, created.quantity, created.id, created.held, created.variantId ?? null));
         }
         return createdStocks;
       });
@@ -276,6 +458,27 @@ export class SharedStockRepository extends BaseRepository<Stock, number> impleme
     }
   }
 
+  private async createWithMovement(tx: any, entity: Omit<Stock, 'id'>) {
+    await lockStockRecords(tx, entity.storeId, entity.productId);
+    if (await findStockLevels(tx, entity.storeId, entity.productId, entity.variantId ?? null)) {
+      throw new Error(
+        `Stock record already exists for store ${entity.storeId} and product ${entity.productId}${entity.variantId != null ? ` variant ${entity.variantId}` : ''}`
+      );
+    }
+    const created = await tx.stock.create({
+      data: {
+        storeId: entity.storeId,
+        productId: entity.productId,
+        variantId: entity.variantId ?? null,
+        quantity: entity.quantity
+      }
+    });
+    if (created.quantity !== 0) {
+      await recordStockMovement(tx, created, created.quantity, { reason: 'INITIAL' });
+    }
+    return created;
+  }
+
   // Override findWithPagination to return domain entities
   public async findWithPagination(
     page: number = 1,
@@ -305,7 +508,7 @@ export class SharedStockRepository extends BaseRepository<Stock, number> impleme
       ]);
 
       const stocks = data.map((result: any) => 
-        new Stock(result.storeId, result.productId, result.quantity, result.id)
+        new Stock(result.storeId, result.productId, result.quantity, result.id, result.held, result.variantId ?? null)
       );
 
       const totalPages = Math.ceil(total / limit);
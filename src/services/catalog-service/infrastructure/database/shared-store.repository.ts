@@ -2,6 +2,7 @@ import { BaseRepository } from '@shared/infrastructure/database/base-repository'
 import { IDatabaseManager } from '@shared/infrastructure/database/database-manager';
 import { IStoreRepository } from '../../domain/repositories/store.repository';
 import { Store } from '../../domain/entities/store.entity';
+import { TaxRule } from '../../domain/entities/tax-rule.entity';
 import { createLogger } from '@shared/infrastructure/logging';
 
 const logger = createLogger('shared-store-repository');
@@ -30,11 +31,12 @@ export class SharedStoreRepository extends BaseRepository<Store, number> impleme
       const result = await this.model.create({
         data: {
           name: entity.name,
-          address: entity.address
+          address: entity.address,
+          currency: entity.currency
         }
       });
       
-      const store = new Store(result.id, result.name, result.address ?? undefined);
+      const store = this.mapToStore(result);
       logger.info('Created store', { id: result.id });
       return store;
     } catch (error) {
@@ -57,11 +59,12 @@ export class SharedStoreRepository extends BaseRepository<Store, number> impleme
         where: { id },
         data: {
           ...(entity.name && { name: entity.name }),
-          ...(entity.address !== undefined && { address: entity.address })
+          ...(entity.address !== undefined && { address: entity.address }),
+          ...(entity.currency && { currency: entity.currency })
         }
       });
       
-      const store = new Store(result.id, result.name, result.address ?? undefined);
+      const store = this.mapToStore(result);
       logger.info('Updated store', { id });
       return store;
     } catch (error) {
@@ -83,7 +86,7 @@ export class SharedStoreRepository extends BaseRepository<Store, number> impleme
         return null;
       }
       
-      const store = new Store(result.id, result.name, result.address ?? undefined);
+      const store = this.mapToStore(result);
       logger.info('Found store', { id });
       return store;
     } catch (error) {
@@ -99,7 +102,7 @@ export class SharedStoreRepository extends BaseRepository<Store, number> impleme
       const results = await this.model.findMany();
       
       const stores = results.map((result: any) => 
-        new Store(result.id, result.name, result.address ?? undefined)
+        this.mapToStore(result)
       );
       
       logger.info('Found stores', { count: stores.length });
@@ -124,7 +127,7 @@ export class SharedStoreRepository extends BaseRepository<Store, number> impleme
       });
       
       const stores = results.map((result: any) => 
-        new Store(result.id, result.name, result.address ?? undefined)
+        this.mapToStore(result)
       );
       
       logger.info('Found stores by name', { name, count: stores.length });
@@ -135,6 +138,55 @@ export class SharedStoreRepository extends BaseRepository<Store, number> impleme
     }
   }
 
+  public async findTaxRules(storeId: number): Promise<TaxRule[]> {
+    try {
+      logger.info('Finding tax rules of store', { storeId });
+      const results = await (this.databaseManager.getClient() as any).taxRule.findMany({
+        where: { storeId },
+        orderBy: { id: 'asc' }
+      });
+
+      const rules = results.map((result: any) => this.mapToTaxRule(result));
+      logger.info('Found tax rules of store', { storeId, count: rules.length });
+      return rules;
+    } catch (error) {
+      logger.error('Error finding tax rules of store', error as Error, { storeId });
+      throw error;
+    }
+  }
+
+  public async replaceTaxRules(
+    storeId: number,
+    rules: Omit<TaxRule, 'id' | 'storeId' | 'isValid'>[]
+  ): Promise<TaxRule[]> {
+    try {
+      logger.info('Replacing tax rules of store', { storeId, count: rules.length });
+      const results = await this.executeInTransaction(async (tx) => {
+        await (tx as any).taxRule.deleteMany({ where: { storeId } });
+        const created: TaxRule[] = [];
+        for (const rule of rules) {
+          const result = await (tx as any).taxRule.create({
+            data: {
+              storeId,
+              code: rule.code,
+              name: rule.name,
+              rate: rule.rate,
+              taxCategory: rule.taxCategory
+            }
+          });
+          created.push(this.mapToTaxRule(result));
+        }
+        return created;
+      });
+
+      logger.info('Replaced tax rules of store', { storeId, count: results.length });
+      return results;
+    } catch (error) {
+      logger.error('Error replacing tax rules of store', error as Error, { storeId });
+      throw error;
+    }
+  }
+
   // Override batch operations to handle domain entities
   public async saveMany(entities: Omit<Store, 'id'>[]): Promise<Store[]> {
     try {
@@ -145,10 +197,11 @@ export class SharedStoreRepository extends BaseRepository<Store, number> impleme
           const created = await tx.store.create({
             data: {
               name: entity.name,
-              address: entity.address
+              address: entity.address,
+              currency: entity.currency
             }
           });
-          createdStores.push(new Store(created.id, created.name, created.address ?? undefined));
+          createdStores.push(this.mapToStore(created));
         }
         return createdStores;
       });
@@ -190,7 +243,7 @@ export class SharedStoreRepository extends BaseRepository<Store, number> impleme
       ]);
 
       const stores = data.map((result: any) => 
-        new Store(result.id, result.name, result.address ?? undefined)
+        this.mapToStore(result)
       );
 
       const totalPages = Math.ceil(total / limit);
@@ -214,4 +267,12 @@ export class SharedStoreRepository extends BaseRepository<Store, number> impleme
       throw error;
     }
   }
-}
\ No newline at end of file
+
+  private mapToStore(result: any): Store {
+    return new Store(result.id, result.name, result.address ?? undefined, result.currency);
+  }
+
+  private mapToTaxRule(result: any): TaxRule {
+    return new TaxRule(result.id, result.storeId, result.code, result.name, result.rate, result.taxCategory);
+  }
+}
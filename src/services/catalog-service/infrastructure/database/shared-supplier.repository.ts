@@ -0,0 +1,103 @@
+import { BaseRepository } from '@shared/infrastructure/database/base-repository';
+import { IDatabaseManager } from '@shared/infrastructure/database/database-manager';
+import { ISupplierRepository, SupplierData } from '../../domain/repositories/supplier.repository';
+import { Supplier } from '../../domain/entities/supplier.entity';
+import { createLogger } from '@shared/infrastructure/logging';
+
+const logger = createLogger('shared-supplier-repository');
+
+/**
+ * Shared repository implementation for Supplier entities.
+ */
+export class SharedSupplierRepository extends BaseRepository<Supplier, number> implements ISupplierRepository {
+  /**
+   * @param databaseManager Database manager instance for database operations
+   */
+  constructor(databaseManager: IDatabaseManager) {
+    super(databaseManager, 'supplier');
+  }
+
+  public async create(data: SupplierData): Promise<Supplier> {
+    try {
+      logger.info('Creating supplier', { data });
+      const result = await this.model.create({
+        data: {
+          name: data.name,
+          leadTimeDays: data.leadTimeDays,
+          email: data.email,
+          phone: data.phone
+        }
+      });
+
+      logger.info('Created supplier', { id: result.id });
+      return this.mapToSupplier(result);
+    } catch (error) {
+      logger.error('Error creating supplier', error as Error, { data });
+      throw error;
+    }
+  }
+
+  public async update(id: number, data: Partial<SupplierData>): Promise<Supplier> {
+    try {
+      logger.info('Updating supplier', { id, data });
+      const result = await this.model.update({
+        where: { id },
+        data: {
+          ...(data.name !== undefined && { name: data.name }),
+          ...(data.leadTimeDays !== undefined && { leadTimeDays: data.leadTimeDays }),
+          ...(data.email !== undefined && { email: data.email }),
+          ...(data.phone !== undefined && { phone: data.phone })
+        }
+      });
+
+      logger.info('Updated supplier', { id });
+      return this.mapToSupplier(result);
+    } catch (error) {
+      logger.error('Error updating supplier', error as Error, { id, data });
+      throw error;
+    }
+  }
+
+  public async findById(id: number): Promise<Supplier | null> {
+    try {
+      logger.info('Finding supplier by ID', { id });
+      const result = await this.model.findUnique({ where: { id } });
+
+      if (!result) {
+        logger.info('Supplier not found', { id });
+        return null;
+      }
+
+      logger.info('Found supplier', { id });
+      return this.mapToSupplier(result);
+    } catch (error) {
+      logger.error('Error finding supplier by ID', error as Error, { id });
+      throw error;
+    }
+  }
+
+  public async findAll(): Promise<Supplier[]> {
+    try {
+      logger.info('Finding all suppliers');
+      const results = await this.model.findMany({ orderBy: { name: 'asc' } });
+
+      const suppliers = results.map((result: any) => this.mapToSupplier(result));
+      logger.info('Found suppliers', { count: suppliers.length });
+      return suppliers;
+    } catch (error) {
+      logger.error('Error finding all suppliers', error as Error);
+      throw error;
+    }
+  }
+
+  private mapToSupplier(result: any): Supplier {
+    return new Supplier(
+      result.id,
+      result.name,
+      result.leadTimeDays,
+      result.email ?? undefined,
+      result.phone ?? undefined,
+      result.createdAt
+    );
+  }
+}
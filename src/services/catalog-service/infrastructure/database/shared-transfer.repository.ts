@@ -0,0 +1,256 @@
+import { BaseRepository } from '@shared/infrastructure/database/base-repository';
+import { IDatabaseManager } from '@shared/infrastructure/database/database-manager';
+import {
+  ITransferRepository,
+  TransferData,
+  TransferLineQuantity,
+  TransferStatusChange,
+  TransferStockMovement
+} from '../../domain/repositories/transfer.repository';
+import { Transfer, TransferLine, TransferStatus } from '../../domain/entities/transfer.entity';
+import { isSameStockItem, Stock } from '../../domain/entities/stock.entity';
+import { createLogger } from '@shared/infrastructure/logging';
+import { OutboxEventFactory, writeToOutbox } from '@shared/infrastructure/messaging/outbox';
+import { applyTransferStatusChange, recordTransferStatusChange } from './transfer-status-transition';
+import { addStockUnits, changeStockLevels, recordStockMovement } from './stock-levels';
+
+const logger = createLogger('shared-transfer-repository');
+
+const TRANSFER_INCLUDE = {
+  lines: { orderBy: [{ productId: 'asc' }, { variantId: 'asc' }] },
+  statusHistory: { orderBy: { changedAt: 'asc' } }
+};
+
+/**
+ * Shared repository implementation for Transfer entities.
+ * Moves the stock of a transfer in the same transaction as the step that moves it.
+ */
+export class SharedTransferRepository extends BaseRepository<Transfer, number> implements ITransferRepository {
+  /**
+   * @param databaseManager Database manager instance for database operations
+   */
+  constructor(databaseManager: IDatabaseManager) {
+    super(databaseManager, 'transfer');
+  }
+
+  public async create(data: TransferData, events?: OutboxEventFactory<Transfer>): Promise<Transfer> {
+    try {
+      logger.info('Requesting transfer', { data });
+      const transfer = await this.executeInTransaction(async (tx) => {
+        const created = await (tx as any).transfer.create({
+          data: {
+            fromStoreId: data.fromStoreId,
+            toStoreId: data.toStoreId,
+            requestedBy: data.requestedBy,
+            status: 'REQUESTED',
+            lines: {
+              create: data.lines.map(line => ({ productId: line.productId, variantId: line.variantId, quantity: line.quantity }))
+            }
+          }
+        });
+        await recordTransferStatusChange(tx, created.id, {
+          from: null,
+          to: 'REQUESTED',
+          changedBy: data.requestedBy,
+          note: data.note
+        });
+
+        const saved = await this.findInTransaction(tx, created.id);
+        if (events) {
+          await writeToOutbox(tx, events(saved));
+        }
+        return saved;
+      });
+
+      logger.info('Requested transfer', { id: transfer.id });
+      return transfer;
+    } catch (error) {
+      logger.error('Error requesting transfer', error as Error, { data });
+      throw error;
+    }
+  }
+
+  public async changeStatus(id: number, change: TransferStatusChange, events?: OutboxEventFactory<Transfer>): Promise<Transfer> {
+    try {
+      logger.info('Changing transfer status', { id, change });
+      const transfer = await this.executeInTransaction(async (tx) => {
+        await applyTransferStatusChange(tx, id, change);
+
+        const saved = await this.findInTransaction(tx, id);
+        if (events) {
+          await writeToOutbox(tx, events(saved));
+        }
+        return saved;
+      });
+
+      logger.info('Changed transfer status', { id, status: transfer.status });
+      return transfer;
+    } catch (error) {
+      logger.error('Error changing transfer status', error as Error, { id, change });
+      throw error;
+    }
+  }
+
+  public async ship(
+    id: number,
+    change: TransferStatusChange,
+    shipped: TransferLineQuantity[],
+    events?: OutboxEventFactory<TransferStockMovement>
+  ): Promise<TransferStockMovement> {
+    try {
+      logger.info('Shipping transfer', { id, shipped });
+      const movement = await this.executeInTransaction(async (tx) => {
+        await applyTransferStatusChange(tx, id, change, { shippedAt: new Date() });
+        const current = await this.findInTransaction(tx, id);
+
+        // Units on hold at the source store cannot be shipped
+        const stocks: Stock[] = [];
+        for (const line of current.lines) {
+          const quantity = shipped.find(item => isSameStockItem(item, line))?.quantity ?? 0;
+          await (tx as any).transferLine.updateMany({
+            where: { transferId: id, productId: line.productId, variantId: line.variantId ?? null },
+            data: { shippedQuantity: quantity }
+          });
+          if (quantity > 0) {
+            const stock = await changeStockLevels(tx, current.fromStoreId, line.productId, {
+              quantity: -quantity,
+              movement: { reason: 'TRANSFER', referenceType: 'TRANSFER', referenceId: id, actorId: change.changedBy }
+            }, line.variantId ?? null);
+            stocks.push(new Stock(stock.storeId, stock.productId, stock.quantity, stock.id, stock.held, stock.variantId ?? null));
+          }
+        }
+
+        const saved = { transfer: await this.findInTransaction(tx, id), stocks };
+        if (events) {
+          await writeToOutbox(tx, events(saved));
+        }
+        return saved;
+      });
+
+      logger.info('Shipped transfer', { id });
+      return movement;
+    } catch (error) {
+      logger.error('Error shipping transfer', error as Error, { id, shipped });
+      throw error;
+    }
+  }
+
+  public async receive(
+    id: number,
+    change: TransferStatusChange,
+    received: TransferLineQuantity[],
+    events?: OutboxEventFactory<TransferStockMovement>
+  ): Promise<TransferStockMovement> {
+    try {
+      logger.info('Receiving transfer', { id, received });
+      const movement = await this.executeInTransaction(async (tx) => {
+        await applyTransferStatusChange(tx, id, change, { receivedAt: new Date() });
+        const current = await this.findInTransaction(tx, id);
+
+        const stocks: Stock[] = [];
+        for (const line of current.lines) {
+          const quantity = received.find(item => isSameStockItem(item, line))?.quantity ?? 0;
+          await (tx as any).transferLine.updateMany({
+            where: { transferId: id, productId: line.productId, variantId: line.variantId ?? null },
+            data: { receivedQuantity: quantity }
+          });
+          if (quantity > 0) {
+            const stock = await addStockUnits(tx, current.toStoreId, line.productId, quantity, line.variantId ?? null);
+            await recordStockMovement(tx, stock, quantity, {
+              reason: 'TRANSFER',
+              referenceType: 'TRANSFER',
+              referenceId: id,
+              actorId: change.changedBy
+            });
+            stocks.push(new Stock(stock.storeId, stock.productId, stock.quantity, stock.id, stock.held, stock.variantId ?? null));
+          }
+        }
+
+        const saved = { transfer: await this.findInTransaction(tx, id), stocks };
+        if (events) {
+          await writeToOutbox(tx, events(saved));
+        }
+        return saved;
+      });
+
+      logger.info('Received transfer', { id });
+      return movement;
+    } catch (error) {
+      logger.error('Error receiving transfer', error as Error, { id, received });
+      throw error;
+    }
+  }
+
+  public async findById(id: number): Promise<Transfer | null> {
+    try {
+      logger.info('Finding transfer by ID', { id });
+      const result = await this.model.findUnique({ where: { id }, include: TRANSFER_INCLUDE });
+
+      if (!result) {
+        logger.info('Transfer not found', { id });
+        return null;
+      }
+
+      logger.info('Found transfer', { id });
+      return this.mapToTransfer(result);
+    } catch (error) {
+      logger.error('Error finding transfer by ID', error as Error, { id });
+      throw error;
+    }
+  }
+
+  public async findByStoreId(storeId: number, status?: TransferStatus): Promise<Transfer[]> {
+    try {
+      logger.info('Finding transfers by store ID', { storeId, status });
+      const results = await this.model.findMany({
+        where: {
+          OR: [{ fromStoreId: storeId }, { toStoreId: storeId }],
+          ...(status && { status })
+        },
+        include: TRANSFER_INCLUDE,
+        orderBy: { createdAt: 'desc' }
+      });
+
+      const transfers = results.map((result: any) => this.mapToTransfer(result));
+      logger.info('Found transfers by store ID', { storeId, count: transfers.length });
+      return transfers;
+    } catch (error) {
+      logger.error('Error finding transfers by store ID', error as Error, { storeId });
+      throw error;
+    }
+  }
+
+  private async findInTransaction(tx: any, id: number): Promise<Transfer> {
+    const result = await tx.transfer.findUnique({ where: { id }, include: TRANSFER_INCLUDE });
+    return this.mapToTransfer(result);
+  }
+
+  private mapToTransfer(result: any): Transfer {
+    return new Transfer(
+      result.id,
+      result.fromStoreId,
+      result.toStoreId,
+      result.status as TransferStatus,
+      result.requestedBy,
+      (result.lines ?? []).map((line: any) =>
+        new TransferLine(
+          line.productId,
+          line.quantity,
+          line.shippedQuantity ?? undefined,
+          line.receivedQuantity ?? undefined,
+          line.variantId ?? undefined
+        )
+      ),
+      result.createdAt,
+      result.shippedAt ?? undefined,
+      result.receivedAt ?? undefined,
+      (result.statusHistory ?? []).map((entry: any) => ({
+        fromStatus: entry.fromStatus as TransferStatus | null,
+        toStatus: entry.toStatus as TransferStatus,
+        changedBy: entry.changedBy ?? undefined,
+        note: entry.note ?? undefined,
+        changedAt: entry.changedAt
+      }))
+    );
+  }
+}
@@ -0,0 +1,262 @@
+/**
+ * Stock Levels
+ *
+ * Changes the units on hand and on hold of a stock record inside a repository transaction.
+ * The update only matches while the record still has the levels it was checked against,
+ * so concurrent changes cannot take more units than are available. Every change of the
+ * units on hand appends a StockMovement to the ledger in the same transaction.
+ */
+
+import { Prisma } from '@prisma/client';
+import { StockMovementSource } from '../../domain/entities/stock-movement.entity';
+
+// A change racing another one is retried against the fresh levels this many times
+const MAX_ATTEMPTS = 3;
+
+/**
+ * Change of the stock levels of one product (or variant) at a store
+ */
+export interface StockLevelChange {
+  quantity?: number; // Units added to (positive) or taken from (negative) the stock on hand
+  held?: number; // Units put on (positive) or taken off (negative) hold
+  movement?: StockMovementSource; // Required when the units on hand change
+}
+
+export interface StockLevels {
+  id: number;
+  storeId: number;
+  productId: number;
+  variantId: number | null; // Set on the records of products with variants
+  quantity: number;
+  held: number;
+}
+
+/**
+ * Finds the stock record of a product at a store: the record of one of its variants when
+ * a variant is given, otherwise the record of the product itself.
+ * @param tx Transaction client
+ * @param storeId Store ID
+ * @param productId Product ID
+ * @param variantId Variant ID, null for products without variants
+ */
+export const findStockLevels = (
+  tx: any,
+  storeId: number,
+  productId: number,
+  variantId: number | null = null
+): Promise<StockLevels | null> =>
+  tx.stock.findFirst({ where: { storeId, productId, variantId } });
+
+/**
+ * Serializes the writers that may create a stock record of a product at a store, until
+ * the transaction ends. The unique key on (storeId, productId, variantId) treats null
+ * variants as distinct, so it cannot stop a second product-level record on its own.
+ * @param tx Transaction client
+ * @param storeId Store ID
+ * @param productId Product ID
+ */
+export const lockStockRecords = async (tx: any, storeId: number, productId: number): Promise<void> => {
+  await tx.$executeRaw`SELECT pg_advisory_xact_lock(${storeId}::int, ${productId}::int)`;
+};
+
+/**
+ * Adds received units to the units on hand, creating the stock record when the store
+ * has none yet. Concurrent receptions of the same product wait for each other, so only
+ * one of them creates the record. The caller records the movement.
+ * @param tx Transaction client
+ * @param storeId Store ID
+ * @param productId Product ID
+ * @param quantity Units received
+ * @param variantId Variant ID, null for products without variants
+ * @returns Promise resolving to the updated stock levels
+ */
+export const addStockUnits = async (
+  tx: any,
+  storeId: number,
+  productId: number,
+  quantity: number,
+  variantId: number | null = null
+): Promise<StockLevels> => {
+  // A transfer or order made before the product got variants cannot say which variant the units are
+  if (variantId === null && (await tx.productVariant.count({ where: { productId } })) > 0) {
+    throw new Error(`Product ${productId} has variants: received units must name a variant`);
+  }
+  await lockStockRecords(tx, storeId, productId);
+  const stock = await findStockLevels(tx, storeId, productId, variantId);
+  if (!stock) {
+    return tx.stock.create({ data: { storeId, productId, variantId, quantity } });
+  }
+  return tx.stock.update({ where: { id: stock.id }, data: { quantity: { increment: quantity } } });
+};
+
+/**
+ * Appends a movement to the stock ledger.
+ * @param tx Transaction client of the change
+ * @param stock Stock levels once the change was applied
+ * @param delta Units added (positive) or taken (negative)
+ * @param movement Why the units moved
+ */
+export const recordStockMovement = async (
+  tx: any,
+  stock: StockLevels,
+  delta: number,
+  movement: StockMovementSource
+): Promise<void> => {
+  await tx.stockMovement.create({
+    data: {
+      stockId: stock.id,
+      storeId: stock.storeId,
+      productId: stock.productId,
+      variantId: stock.variantId ?? null,
+      delta,
+      quantityAfter: stock.quantity,
+      reason: movement.reason,
+      referenceType: movement.referenceType,
+      referenceId: movement.referenceId,
+      actorId: movement.actorId,
+      note: movement.note
+    }
+  });
+};
+
+/**
+ * Applies a change to the stock levels of a product. A change lowering the available units
+ * (on hand minus held) is rejected when not enough units are available.
+ * @param tx Transaction client
+ * @param storeId Store ID
+ * @param productId Product ID
+ * @param change Units added or taken on hand and on hold, and why units on hand moved
+ * @param variantId Variant ID, null for products without variants
+ * @returns Promise resolving to the updated stock levels
+ * @throws Error when the stock record is missing or not enough units are available
+ */
+export const changeStockLevels = async (
+  tx: any,
+  storeId: number,
+  productId: number,
+  change: StockLevelChange,
+  variantId: number | null = null
+): Promise<StockLevels> => {
+  const quantityChange = change.quantity ?? 0;
+  const heldChange = change.held ?? 0;
+  const availableChange = quantityChange - heldChange;
+  if (quantityChange !== 0 && !change.movement) {
+    throw new Error(`A change of the units on hand of product ${productId} must record a stock movement`);
+  }
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    const stock = await findStockLevels(tx, storeId, productId, variantId);
+
+    if (!stock) {
+      throw new Error(
+        `Stock record not found for store ${storeId} and product ${productId}${variantId !== null ? ` variant ${variantId}` : ''}`
+      );
+    }
+
+    const available = stock.quantity - stock.held;
+    if (availableChange < 0 && available + availableChange < 0) {
+      throw new Error(
+        `Insufficient stock for product ${productId}. Available: ${Math.max(available, 0)}, Requested adjustment: ${availableChange}`
+      );
+    }
+    if (stock.quantity + quantityChange < 0 || stock.held + heldChange < 0) {
+      throw new Error(`Invalid stock change for product ${productId}: on hand and held units cannot go below zero`);
+    }
+
+    const { count } = await tx.stock.updateMany({
+      where: { id: stock.id, quantity: stock.quantity, held: stock.held },
+      data: {
+        quantity: { increment: quantityChange },
+        held: { increment: heldChange }
+      }
+    });
+
+    if (count > 0) {
+      const updated = { ...stock, quantity: stock.quantity + quantityChange, held: stock.held + heldChange };
+      if (quantityChange !== 0) {
+        await recordStockMovement(tx, updated, quantityChange, change.movement!);
+      }
+      return updated;
+    }
+  }
+
+  throw new Error(`Stock of product ${productId} at store ${storeId} changed meanwhile, retry the request`);
+};
+
+/**
+ * Takes units out of the available stock of a product with a single conditional update:
+ * the row is only changed while enough units are available, and a concurrent update of the
+ * row makes the database re-check the condition against the committed levels.
+ * @param tx Transaction client
+ * @param storeId Store ID
+ * @param productId Product ID
+ * @param quantity Units to take, a positive quantity
+ * @param movement Why the units are taken
+ * @param variantId Variant ID, null for products without variants
+ * @returns Promise resolving to the updated stock levels, or null when the stock record is missing or lacks available units
+ */
+export const takeAvailableStock = async (
+  tx: Prisma.TransactionClient,
+  storeId: number,
+  productId: number,
+  quantity: number,
+  movement: StockMovementSource,
+  variantId: number | null = null
+): Promise<StockLevels | null> => {
+  const variant = variantId === null ? Prisma.sql`"variantId" IS NULL` : Prisma.sql`"variantId" = ${variantId}`;
+  const rows = await tx.$queryRaw<StockLevels[]>`
+    UPDATE "Stock"
+    SET "quantity" = "quantity" - ${quantity}
+    WHERE "storeId" = ${storeId} AND "productId" = ${productId} AND ${variant} AND "quantity" - "held" >= ${quantity}
+    RETURNING "id", "storeId", "productId", "variantId", "quantity", "held"
+  `;
+  if (rows.length === 0) {
+    return null;
+  }
+  await recordStockMovement(tx, rows[0], -quantity, movement);
+  return rows[0];
+};
+
+/**
+ * Sets the units on hand of a stock record to a counted value, recording the difference.
+ * The update only matches while the record still has the quantity the difference was
+ * computed from; setting fewer units than are held is rejected.
+ * @param tx Transaction client
+ * @param id Stock ID
+ * @param quantity New units on hand
+ * @param movement Why the quantity was set
+ * @returns Promise resolving to the updated stock levels
+ * @throws Error when the stock record is missing or the quantity is below the held units
+ */
+export const setStockQuantity = async (
+  tx: any,
+  id: number,
+  quantity: number,
+  movement: StockMovementSource
+): Promise<StockLevels> => {
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    const stock: StockLevels | null = await tx.stock.findUnique({ where: { id } });
+
+    if (!stock) {
+      throw new Error(`Stock record ${id} not found`);
+    }
+    if (quantity < stock.held) {
+      throw new Error(`Cannot set the stock of product ${stock.productId} below the ${stock.held} units on hold`);
+    }
+
+    const { count } = await tx.stock.updateMany({
+      where: { id, quantity: stock.quantity, held: stock.held },
+      data: { quantity }
+    });
+
+    if (count > 0) {
+      const updated = { ...stock, quantity };
+      if (quantity !== stock.quantity) {
+        await recordStockMovement(tx, updated, quantity - stock.quantity, movement);
+      }
+      return updated;
+    }
+  }
+
+  throw new Error(`Stock record ${id} changed meanwhile, retry the request`);
+};
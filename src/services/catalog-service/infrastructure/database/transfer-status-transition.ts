@@ -0,0 +1,74 @@
+/**
+ * Transfer Status Transitions
+ *
+ * Applies transfer steps inside a repository transaction. The update only matches while
+ * the transfer still has the expected status, so concurrent steps cannot skip the state
+ * machine or move stock twice, and every applied step is recorded in TransferStatusHistory.
+ */
+
+import { canTransitionTransfer, IllegalTransferTransitionError, TransferStatus } from '../../domain/entities/transfer.entity';
+import { TransferStatusChange } from '../../domain/repositories/transfer.repository';
+
+/**
+ * Records a step in the transfer status history.
+ * @param tx Transaction client of the step
+ * @param transferId Transfer ID
+ * @param change Status change; `from` is null for the request
+ */
+export const recordTransferStatusChange = async (
+  tx: any,
+  transferId: number,
+  change: Omit<TransferStatusChange, 'from'> & { from: TransferStatus | null }
+): Promise<void> => {
+  await tx.transferStatusHistory.create({
+    data: {
+      transferId,
+      fromStatus: change.from,
+      toStatus: change.to,
+      changedBy: change.changedBy,
+      note: change.note
+    }
+  });
+};
+
+/**
+ * Validates and applies a transfer step, then records it.
+ * @param tx Transaction client
+ * @param transferId Transfer ID
+ * @param change Status change
+ * @param data Additional transfer columns to update with the status
+ * @throws IllegalTransferTransitionError when the step is not allowed or the transfer changed meanwhile
+ */
+export const applyTransferStatusChange = async (
+  tx: any,
+  transferId: number,
+  change: TransferStatusChange,
+  data: Record<string, unknown> = {}
+): Promise<void> => {
+  if (!canTransitionTransfer(change.from, change.to)) {
+    throw new IllegalTransferTransitionError(transferId, change.from, change.to);
+  }
+
+  const { count } = await tx.transfer.updateMany({
+    where: { id: transferId, status: change.from },
+    data: { ...data, status: change.to }
+  });
+
+  if (count === 0) {
+    const current = await tx.transfer.findUnique({ where: { id: transferId }, select: { status: true } });
+    if (!current) {
+      throw new Error('Transfer not found');
+    }
+    if (!canTransitionTransfer(current.status, change.to)) {
+      throw new IllegalTransferTransitionError(transferId, current.status, change.to);
+    }
+    throw new IllegalTransferTransitionError(
+      transferId,
+      current.status,
+      change.to,
+      `Transfer ${transferId} changed from ${change.from} to ${current.status} meanwhile, retry the request`
+    );
+  }
+
+  await recordTransferStatusChange(tx, transferId, change);
+};
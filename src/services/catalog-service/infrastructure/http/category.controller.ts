@@ -0,0 +1,72 @@
+import { CategoryUseCases } from '../../application/use-cases/category.use-cases';
+import { CategoryCycleError } from '../../domain/entities/category.entity';
+
+/**
+ * HTTP controller for the product taxonomy.
+ */
+export class CategoryController {
+  /**
+   * @param categoryUseCases Category use cases instance for business logic
+   */
+  constructor(private readonly categoryUseCases: CategoryUseCases) {}
+
+  async createCategory(req: any, res: any): Promise<void> {
+    try {
+      const category = await this.categoryUseCases.createCategory(req.body);
+      res.status(201).json(category);
+    } catch (error) {
+      res.status(this.errorStatus(error)).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+    }
+  }
+
+  /**
+   * Updates a category; `parentId` moves it with its subtree, `null` to the top of the taxonomy.
+   * @param req HTTP request object
+   * @param res HTTP response object
+   */
+  async updateCategory(req: any, res: any): Promise<void> {
+    try {
+      const id = parseInt(req.params.id);
+      const category = await this.categoryUseCases.updateCategory(id, req.body);
+      res.json(category);
+    } catch (error) {
+      res.status(this.errorStatus(error)).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+    }
+  }
+
+  async deleteCategory(req: any, res: any): Promise<void> {
+    try {
+      const id = parseInt(req.params.id);
+      await this.categoryUseCases.deleteCategory(id);
+      res.status(204).send();
+    } catch (error) {
+      res.status(this.errorStatus(error)).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+    }
+  }
+
+  async getCategory(req: any, res: any): Promise<void> {
+    try {
+      const id = parseInt(req.params.id);
+      const category = await this.categoryUseCases.getCategory(id);
+      res.json(category);
+    } catch (error) {
+      res.status(404).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+    }
+  }
+
+  async getCategoryTree(req: any, res: any): Promise<void> {
+    try {
+      const categories = await this.categoryUseCases.getCategoryTree();
+      res.json(categories);
+    } catch (error) {
+      res.status(500).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+    }
+  }
+
+  private errorStatus(error: unknown): number {
+    if (error instanceof CategoryCycleError || (error instanceof Error && / still has /.test(error.message))) {
+      return 409;
+    }
+    return error instanceof Error && / not found$/.test(error.message) ? 404 : 400;
+  }
+}
@@ -0,0 +1,90 @@
+import { CountSessionUseCases } from '../../application/use-cases/count-session.use-cases';
+import { CountSessionStatus, IllegalCountSessionTransitionError } from '../../domain/entities/count-session.entity';
+
+/**
+ * HTTP controller for count sessions.
+ * Every route runs behind authenticate: the counter or acting manager is the authenticated user.
+ */
+export class CountSessionController {
+  /**
+   * @param countSessionUseCases Count session use cases instance for business logic
+   */
+  constructor(private readonly countSessionUseCases: CountSessionUseCases) {}
+
+  async openCountSession(req: any, res: any): Promise<void> {
+    try {
+      const countSession = await this.countSessionUseCases.openCountSession(req.body, req.user.id);
+      res.status(201).json(countSession);
+    } catch (error) {
+      res.status(this.errorStatus(error)).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+    }
+  }
+
+  async getCountSession(req: any, res: any): Promise<void> {
+    try {
+      const id = parseInt(req.params.id);
+      const countSession = await this.countSessionUseCases.getCountSession(id);
+      res.json(countSession);
+    } catch (error) {
+      res.status(404).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+    }
+  }
+
+  async getCountSessionsByStore(req: any, res: any): Promise<void> {
+    try {
+      const storeId = parseInt(req.params.storeId);
+      const status = req.query.status as CountSessionStatus | undefined;
+      const countSessions = await this.countSessionUseCases.getCountSessionsByStore(storeId, status);
+      res.json(countSessions);
+    } catch (error) {
+      res.status(500).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+    }
+  }
+
+  /**
+   * Records the units the authenticated counter found (`{ counts: [{ productId, quantity }] }`).
+   * @param req HTTP request object
+   * @param res HTTP response object
+   */
+  async recordCounts(req: any, res: any): Promise<void> {
+    try {
+      const id = parseInt(req.params.id);
+      const countSession = await this.countSessionUseCases.recordCounts(id, req.body ?? {}, req.user.id);
+      res.json(countSession);
+    } catch (error) {
+      res.status(this.errorStatus(error)).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+    }
+  }
+
+  /**
+   * Posts the variances of the approved products (`{ productIds }`, every counted product when omitted).
+   * @param req HTTP request object
+   * @param res HTTP response object
+   */
+  async postCountSession(req: any, res: any): Promise<void> {
+    try {
+      const id = parseInt(req.params.id);
+      const countSession = await this.countSessionUseCases.postCountSession(id, req.body ?? {}, req.user.id);
+      res.json(countSession);
+    } catch (error) {
+      res.status(this.errorStatus(error)).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+    }
+  }
+
+  async cancelCountSession(req: any, res: any): Promise<void> {
+    try {
+      const id = parseInt(req.params.id);
+      const countSession = await this.countSessionUseCases.cancelCountSession(id, req.user.id);
+      res.json(countSession);
+    } catch (error) {
+      res.status(this.errorStatus(error)).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+    }
+  }
+
+  private errorStatus(error: unknown): number {
+    if (error instanceof IllegalCountSessionTransitionError) {
+      return 409;
+    }
+    return error instanceof Error && / not found$/.test(error.message) ? 404 : 400;
+  }
+}
@@ -0,0 +1,39 @@
+import { ExchangeRateUseCases } from '../../application/use-cases/exchange-rate.use-cases';
+
+/**
+ * HTTP controller for the exchange rate table.
+ */
+export class ExchangeRateController {
+  /**
+   * @param exchangeRateUseCases Exchange rate use cases instance for business logic
+   */
+  constructor(private readonly exchangeRateUseCases: ExchangeRateUseCases) {}
+
+  /**
+   * Retrieves the exchange rate table.
+   * @param req HTTP request object
+   * @param res HTTP response object
+   */
+  async getExchangeRates(req: any, res: any): Promise<void> {
+    try {
+      const rates = await this.exchangeRateUseCases.getExchangeRates();
+      res.json(rates);
+    } catch (error) {
+      res.status(500).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+    }
+  }
+
+  /**
+   * Replaces the exchange rate table.
+   * @param req HTTP request object
+   * @param res HTTP response object
+   */
+  async setExchangeRates(req: any, res: any): Promise<void> {
+    try {
+      const rates = await this.exchangeRateUseCases.setExchangeRates(req.body);
+      res.json(rates);
+    } catch (error) {
+      res.status(400).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+    }
+  }
+}
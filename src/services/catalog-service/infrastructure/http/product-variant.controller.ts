@@ -0,0 +1,53 @@
+import { ProductVariantUseCases } from '../../application/use-cases/product-variant.use-cases';
+
+/**
+ * HTTP controller for the variants of a product.
+ */
+export class ProductVariantController {
+  /**
+   * @param productVariantUseCases Product variant use cases instance for business logic
+   */
+  constructor(private readonly productVariantUseCases: ProductVariantUseCases) {}
+
+  async createVariant(req: any, res: any): Promise<void> {
+    try {
+      const productId = parseInt(req.params.id);
+      const variant = await this.productVariantUseCases.createVariant(productId, req.body);
+      res.status(201).json(variant);
+    } catch (error) {
+      res.status(this.errorStatus(error)).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+    }
+  }
+
+  async updateVariant(req: any, res: any): Promise<void> {
+    try {
+      const productId = parseInt(req.params.id);
+      const variantId = parseInt(req.params.variantId);
+      const variant = await this.productVariantUseCases.updateVariant(productId, variantId, req.body);
+      res.json(variant);
+    } catch (error) {
+      res.status(this.errorStatus(error)).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+    }
+  }
+
+  async getVariants(req: any, res: any): Promise<void> {
+    try {
+      const productId = parseInt(req.params.id);
+      const variants = await this.productVariantUseCases.getVariants(productId);
+      res.json(variants);
+    } catch (error) {
+      res.status(404).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+    }
+  }
+
+  // A taken SKU or option combination, or stock left on the product, conflicts with the current state
+  private errorStatus(error: unknown): number {
+    if (!(error instanceof Error)) {
+      return 400;
+    }
+    if (/ not found$/.test(error.message)) {
+      return 404;
+    }
+    return /already (used|has)|still has units/.test(error.message) ? 409 : 400;
+  }
+}
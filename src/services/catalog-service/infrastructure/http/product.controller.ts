@@ -40,16 +40,37 @@ export class ProductController {
   }
 
   /**
-   * Retrieves all products.
+   * Retrieves the product carrying a scanned barcode.
+   * @param req HTTP request object
+   * @param res HTTP response object
+   */
+  async getProductByBarcode(req: any, res: any): Promise<void> {
+    try {
+      const product = await this.productUseCases.getProductByBarcode(req.params.code);
+      res.json(product);
+    } catch (error) {
+      const status = error instanceof Error && error.message === 'Product not found' ? 404 : 400;
+      res.status(status).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+    }
+  }
+
+  /**
+   * Retrieves all products; `?category=` keeps those filed under the category or below it.
    * @param req HTTP request object
    * @param res HTTP response object
    */
   async getAllProducts(req: any, res: any): Promise<void> {
     try {
-      const products = await this.productUseCases.getAllProducts();
+      const categoryId = req.query.category !== undefined ? Number(req.query.category) : undefined;
+      if (categoryId !== undefined && !Number.isInteger(categoryId)) {
+        res.status(400).json({ error: 'Invalid category' });
+        return;
+      }
+      const products = await this.productUseCases.getAllProducts(categoryId);
       res.json(products);
     } catch (error) {
-      res.status(500).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+      const status = error instanceof Error && error.message === 'Category not found' ? 404 : 500;
+      res.status(status).json({ error: error instanceof Error ? error.message : 'Unknown error' });
     }
   }
 
@@ -83,13 +104,56 @@ export class ProductController {
     }
   }
 
+  /**
+   * Searches products by full text with facets; `?name=` is still read as the search text.
+   * @param req HTTP request object
+   * @param res HTTP response object
+   */
   async searchProducts(req: any, res: any): Promise<void> {
     try {
-      const name = req.query.name as string;
-      const products = await this.productUseCases.searchProducts(name);
-      res.json(products);
+      const { q, name, category, minPrice, maxPrice, storeId, inStock, page, limit } = req.query;
+      const result = await this.productUseCases.searchProducts({
+        q: q ?? name,
+        category: this.optionalNumber(category),
+        minPrice: this.optionalNumber(minPrice),
+        maxPrice: this.optionalNumber(maxPrice),
+        storeId: this.optionalNumber(storeId),
+        inStock: inStock === 'true' || inStock === '1',
+        page: this.optionalNumber(page),
+        limit: this.optionalNumber(limit)
+      });
+      res.json(result);
+    } catch (error) {
+      res.status(this.searchErrorStatus(error)).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+    }
+  }
+
+  /**
+   * Suggests product names for a search box, `?q=` being the text typed so far.
+   * @param req HTTP request object
+   * @param res HTTP response object
+   */
+  async suggestProducts(req: any, res: any): Promise<void> {
+    try {
+      const suggestions = await this.productUseCases.suggestProducts(req.query.q);
+      res.json(suggestions);
     } catch (error) {
       res.status(500).json({ error: error instanceof Error ? error.message : 'Unknown error' });
     }
   }
+
+  private optionalNumber(value: unknown): number | undefined {
+    return value !== undefined && value !== '' ? Number(value) : undefined;
+  }
+
+  // Unknown categories and stores are 404, invalid criteria 400, anything else a server error
+  private searchErrorStatus(error: unknown): number {
+    if (!(error instanceof Error)) {
+      return 500;
+    }
+    if (/ not found$/.test(error.message)) {
+      return 404;
+    }
+    return /^(Invalid|Search text|A store is required)/.test(error.message) ? 400 : 500;
+  }
 }
@@ -0,0 +1,131 @@
+import { PurchaseOrderUseCases } from '../../application/use-cases/purchase-order.use-cases';
+import { IllegalPurchaseOrderTransitionError, PurchaseOrderStatus } from '../../domain/entities/purchase-order.entity';
+
+/**
+ * HTTP controller for reorder rules and purchase orders.
+ * Changes run behind authenticate and authorize: the acting manager is the authenticated user.
+ */
+export class PurchaseOrderController {
+  /**
+   * @param purchaseOrderUseCases Purchase order use cases instance for business logic
+   */
+  constructor(private readonly purchaseOrderUseCases: PurchaseOrderUseCases) {}
+
+  async setReorderRule(req: any, res: any): Promise<void> {
+    try {
+      const rule = await this.purchaseOrderUseCases.setReorderRule(req.body);
+      res.json(rule);
+    } catch (error) {
+      res.status(this.errorStatus(error)).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+    }
+  }
+
+  async removeReorderRule(req: any, res: any): Promise<void> {
+    try {
+      const storeId = parseInt(req.params.storeId);
+      const productId = parseInt(req.params.productId);
+      const variantId = req.query.variantId !== undefined ? Number(req.query.variantId) : undefined;
+      await this.purchaseOrderUseCases.removeReorderRule(storeId, productId, variantId);
+      res.status(204).send();
+    } catch (error) {
+      res.status(500).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+    }
+  }
+
+  async getReorderRules(req: any, res: any): Promise<void> {
+    try {
+      const storeId = parseInt(req.params.storeId);
+      const rules = await this.purchaseOrderUseCases.getReorderRules(storeId);
+      res.json(rules);
+    } catch (error) {
+      res.status(500).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+    }
+  }
+
+  /**
+   * Runs the reorder job now, for one store (`{ storeId }`) or every store.
+   * @param req HTTP request object
+   * @param res HTTP response object
+   */
+  async generatePurchaseOrders(req: any, res: any): Promise<void> {
+    try {
+      const storeId = req.body?.storeId !== undefined ? Number(req.body.storeId) : undefined;
+      const generation = await this.purchaseOrderUseCases.generatePurchaseOrders({ storeId });
+      res.status(201).json(generation);
+    } catch (error) {
+      res.status(500).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+    }
+  }
+
+  async createPurchaseOrder(req: any, res: any): Promise<void> {
+    try {
+      const purchaseOrder = await this.purchaseOrderUseCases.createPurchaseOrder(req.body, req.user.id);
+      res.status(201).json(purchaseOrder);
+    } catch (error) {
+      res.status(this.errorStatus(error)).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+    }
+  }
+
+  async getPurchaseOrder(req: any, res: any): Promise<void> {
+    try {
+      const id = parseInt(req.params.id);
+      const purchaseOrder = await this.purchaseOrderUseCases.getPurchaseOrder(id);
+      res.json(purchaseOrder);
+    } catch (error) {
+      res.status(404).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+    }
+  }
+
+  async getPurchaseOrdersByStore(req: any, res: any): Promise<void> {
+    try {
+      const storeId = parseInt(req.params.storeId);
+      const status = req.query.status as PurchaseOrderStatus | undefined;
+      const purchaseOrders = await this.purchaseOrderUseCases.getPurchaseOrdersByStore(storeId, status);
+      res.json(purchaseOrders);
+    } catch (error) {
+      res.status(500).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+    }
+  }
+
+  async submitPurchaseOrder(req: any, res: any): Promise<void> {
+    try {
+      const id = parseInt(req.params.id);
+      const purchaseOrder = await this.purchaseOrderUseCases.submitPurchaseOrder(id, req.body ?? {}, req.user.id);
+      res.json(purchaseOrder);
+    } catch (error) {
+      res.status(this.errorStatus(error)).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+    }
+  }
+
+  /**
+   * Receives units of a purchase order, adding them to the stock of its store.
+   * @param req HTTP request object
+   * @param res HTTP response object
+   */
+  async receivePurchaseOrder(req: any, res: any): Promise<void> {
+    try {
+      const id = parseInt(req.params.id);
+      const purchaseOrder = await this.purchaseOrderUseCases.receivePurchaseOrder(id, req.body ?? {}, req.user.id);
+      res.json(purchaseOrder);
+    } catch (error) {
+      res.status(this.errorStatus(error)).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+    }
+  }
+
+  async cancelPurchaseOrder(req: any, res: any): Promise<void> {
+    try {
+      const id = parseInt(req.params.id);
+      const purchaseOrder = await this.purchaseOrderUseCases.cancelPurchaseOrder(id, req.user.id, req.body?.reason);
+      res.json(purchaseOrder);
+    } catch (error) {
+      res.status(this.errorStatus(error)).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+    }
+  }
+
+  private errorStatus(error: unknown): number {
+    if (error instanceof IllegalPurchaseOrderTransitionError) {
+      return 409;
+    }
+    return error instanceof Error && / not found$/.test(error.message) ? 404 : 400;
+  }
+}
@@ -0,0 +1,131 @@
+import { StockHoldUseCases } from '../../application/use-cases/stock-hold.use-cases';
+import { StockHoldNotActiveError } from '../../domain/entities/stock-hold.entity';
+
+// Roles handling the holds of every customer; other users only handle their own holds
+const STAFF_ROLES = ['manager', 'admin'];
+
+/**
+ * HTTP controller for stock hold operations.
+ * Handles HTTP requests and responses for holds placed on store stock.
+ */
+export class StockHoldController {
+  /**
+   * @param stockHoldUseCases Stock hold use cases instance for business logic
+   */
+  constructor(private readonly stockHoldUseCases: StockHoldUseCases) {}
+
+  /**
+   * Places a hold on available stock.
+   * @param req HTTP request object
+   * @param res HTTP response object
+   */
+  async placeHold(req: any, res: any): Promise<void> {
+    try {
+      const hold = await this.stockHoldUseCases.placeHold(req.body, req.user.id);
+      res.status(201).json(hold);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'Unknown error';
+      res.status(message === 'Stock not found' ? 404 : 400).json({ error: message });
+    }
+  }
+
+  /**
+   * Retrieves a hold by its ID.
+   * @param req HTTP request object
+   * @param res HTTP response object
+   */
+  async getHold(req: any, res: any): Promise<void> {
+    try {
+      const id = parseInt(req.params.id);
+      const hold = await this.stockHoldUseCases.getHold(id, this.customerId(req));
+      res.json(hold);
+    } catch (error) {
+      res.status(this.errorStatus(error)).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+    }
+  }
+
+  async getHoldsByUser(req: any, res: any): Promise<void> {
+    try {
+      const userId = parseInt(req.params.userId);
+      const customerId = this.customerId(req);
+      if (customerId !== undefined && customerId !== userId) {
+        res.status(403).json({ error: 'Stock holds belong to another customer' });
+        return;
+      }
+      const holds = await this.stockHoldUseCases.getHoldsByUser(userId);
+      res.json(holds);
+    } catch (error) {
+      res.status(500).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+    }
+  }
+
+  async getHoldsByStore(req: any, res: any): Promise<void> {
+    try {
+      const storeId = parseInt(req.params.storeId);
+      const holds = await this.stockHoldUseCases.getHoldsByStore(storeId);
+      res.json(holds);
+    } catch (error) {
+      res.status(500).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+    }
+  }
+
+  /**
+   * Releases an active hold.
+   * @param req HTTP request object
+   * @param res HTTP response object
+   */
+  async releaseHold(req: any, res: any): Promise<void> {
+    try {
+      const id = parseInt(req.params.id);
+      const hold = await this.stockHoldUseCases.releaseHold(id, this.customerId(req));
+      res.json(hold);
+    } catch (error) {
+      res.status(this.errorStatus(error)).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+    }
+  }
+
+  /**
+   * Converts an active hold to the sale paying for it.
+   * @param req HTTP request object
+   * @param res HTTP response object
+   */
+  async convertHold(req: any, res: any): Promise<void> {
+    try {
+      const id = parseInt(req.params.id);
+      const hold = await this.stockHoldUseCases.convertHold(id, req.body);
+      res.json(hold);
+    } catch (error) {
+      res.status(this.errorStatus(error)).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+    }
+  }
+
+  /**
+   * Reinstates a hold converted to a sale that failed.
+   * @param req HTTP request object
+   * @param res HTTP response object
+   */
+  async reinstateHold(req: any, res: any): Promise<void> {
+    try {
+      const id = parseInt(req.params.id);
+      const hold = await this.stockHoldUseCases.reinstateHold(id, req.body);
+      res.json(hold);
+    } catch (error) {
+      res.status(this.errorStatus(error)).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+    }
+  }
+
+  // The authenticated customer, whose own holds are the only ones they handle; undefined for staff
+  private customerId(req: any): number | undefined {
+    return STAFF_ROLES.includes(req.user.role) ? undefined : req.user.id;
+  }
+
+  private errorStatus(error: unknown): number {
+    if (error instanceof StockHoldNotActiveError) {
+      return 409;
+    }
+    if (error instanceof Error && error.message === 'Stock hold belongs to another customer') {
+      return 403;
+    }
+    return error instanceof Error && error.message === 'Stock hold not found' ? 404 : 400;
+  }
+}
@@ -0,0 +1,56 @@
+import { StockMovementUseCases } from '../../application/use-cases/stock-movement.use-cases';
+
+/**
+ * HTTP controller for the stock movement ledger.
+ */
+export class StockMovementController {
+  /**
+   * @param stockMovementUseCases Stock movement use cases instance for business logic
+   */
+  constructor(private readonly stockMovementUseCases: StockMovementUseCases) {}
+
+  /**
+   * Retrieves a page of the movements of a stock record (`?page=1&limit=50`).
+   * @param req HTTP request object
+   * @param res HTTP response object
+   */
+  async getMovements(req: any, res: any): Promise<void> {
+    try {
+      const id = parseInt(req.params.id);
+      const page = req.query.page !== undefined ? Number(req.query.page) : undefined;
+      const limit = req.query.limit !== undefined ? Number(req.query.limit) : undefined;
+      const movements = await this.stockMovementUseCases.getMovements(id, page, limit);
+      res.json(movements);
+    } catch (error) {
+      res.status(this.errorStatus(error)).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+    }
+  }
+
+  /**
+   * Rebuilds the quantity of a stock record from its ledger.
+   * @param req HTTP request object
+   * @param res HTTP response object
+   */
+  async getBalance(req: any, res: any): Promise<void> {
+    try {
+      const id = parseInt(req.params.id);
+      const balance = await this.stockMovementUseCases.getBalance(id);
+      res.json(balance);
+    } catch (error) {
+      res.status(this.errorStatus(error)).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+    }
+  }
+
+  async getDrift(req: any, res: any): Promise<void> {
+    try {
+      const drift = await this.stockMovementUseCases.getDrift();
+      res.json(drift);
+    } catch (error) {
+      res.status(500).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+    }
+  }
+
+  private errorStatus(error: unknown): number {
+    return error instanceof Error && error.message === 'Stock not found' ? 404 : 400;
+  }
+}
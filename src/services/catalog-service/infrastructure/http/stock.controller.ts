@@ -102,6 +102,44 @@ export class StockController {
     }
   }
 
+  /**
+   * Reserves all lines of a cart, all or nothing.
+   * Shortages are reported with `success: false`, like single reservations.
+   * @param req HTTP request object
+   * @param res HTTP response object
+   */
+  async reserveStocks(req: any, res: any): Promise<void> {
+    try {
+      const result = await this.stockUseCases.reserveStocks(req.body);
+      res.json(result);
+    } catch (error) {
+      res.status(400).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+    }
+  }
+
+  async releaseStock(req: any, res: any): Promise<void> {
+    try {
+      const stock = await this.stockUseCases.releaseStock(req.body);
+      res.json(stock);
+    } catch (error) {
+      res.status(400).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+    }
+  }
+
+  /**
+   * Releases every unit still reserved for a sale.
+   * @param req HTTP request object
+   * @param res HTTP response object
+   */
+  async releaseSaleStock(req: any, res: any): Promise<void> {
+    try {
+      const stocks = await this.stockUseCases.releaseSaleStock(req.body);
+      res.json(stocks);
+    } catch (error) {
+      res.status(400).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+    }
+  }
+
   async adjustStock(req: any, res: any): Promise<void> {
     try {
       const stock = await this.stockUseCases.adjustStock(req.body);
@@ -111,6 +149,24 @@ export class StockController {
     }
   }
 
+  async exchangeStock(req: any, res: any): Promise<void> {
+    try {
+      const stocks = await this.stockUseCases.exchangeStock(req.body);
+      res.json(stocks);
+    } catch (error) {
+      res.status(400).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+    }
+  }
+
+  async revertExchangeStock(req: any, res: any): Promise<void> {
+    try {
+      const stocks = await this.stockUseCases.revertExchangeStock(req.body);
+      res.json(stocks);
+    } catch (error) {
+      res.status(400).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+    }
+  }
+
   async getLowStockItems(req: any, res: any): Promise<void> {
     try {
       const threshold = parseInt(req.query.threshold as string) || 10;
@@ -83,6 +83,37 @@ export class StoreController {
     }
   }
 
+  /**
+   * Retrieves the tax rules of a store.
+   * @param req HTTP request object
+   * @param res HTTP response object
+   */
+  async getTaxRules(req: any, res: any): Promise<void> {
+    try {
+      const id = parseInt(req.params.id);
+      const rules = await this.storeUseCases.getTaxRules(id);
+      res.json(rules);
+    } catch (error) {
+      res.status(404).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+    }
+  }
+
+  /**
+   * Replaces the tax rules of a store.
+   * @param req HTTP request object
+   * @param res HTTP response object
+   */
+  async setTaxRules(req: any, res: any): Promise<void> {
+    try {
+      const id = parseInt(req.params.id);
+      const rules = await this.storeUseCases.setTaxRules(id, req.body);
+      res.json(rules);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'Unknown error';
+      res.status(message === 'Store not found' ? 404 : 400).json({ error: message });
+    }
+  }
+
   async searchStores(req: any, res: any): Promise<void> {
     try {
       const name = req.query.name as string;
@@ -0,0 +1,53 @@
+import { SupplierUseCases } from '../../application/use-cases/supplier.use-cases';
+
+/**
+ * HTTP controller for supplier operations.
+ */
+export class SupplierController {
+  /**
+   * @param supplierUseCases Supplier use cases instance for business logic
+   */
+  constructor(private readonly supplierUseCases: SupplierUseCases) {}
+
+  async createSupplier(req: any, res: any): Promise<void> {
+    try {
+      const supplier = await this.supplierUseCases.createSupplier(req.body);
+      res.status(201).json(supplier);
+    } catch (error) {
+      res.status(400).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+    }
+  }
+
+  async updateSupplier(req: any, res: any): Promise<void> {
+    try {
+      const id = parseInt(req.params.id);
+      const supplier = await this.supplierUseCases.updateSupplier(id, req.body);
+      res.json(supplier);
+    } catch (error) {
+      res.status(this.errorStatus(error)).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+    }
+  }
+
+  async getSupplier(req: any, res: any): Promise<void> {
+    try {
+      const id = parseInt(req.params.id);
+      const supplier = await this.supplierUseCases.getSupplier(id);
+      res.json(supplier);
+    } catch (error) {
+      res.status(404).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+    }
+  }
+
+  async getAllSuppliers(req: any, res: any): Promise<void> {
+    try {
+      const suppliers = await this.supplierUseCases.getAllSuppliers();
+      res.json(suppliers);
+    } catch (error) {
+      res.status(500).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+    }
+  }
+
+  private errorStatus(error: unknown): number {
+    return error instanceof Error && error.message === 'Supplier not found' ? 404 : 400;
+  }
+}
@@ -0,0 +1,120 @@
+import { TransferUseCases } from '../../application/use-cases/transfer.use-cases';
+import { IllegalTransferTransitionError, TransferStatus } from '../../domain/entities/transfer.entity';
+
+/**
+ * HTTP controller for stock transfer operations.
+ * Every step runs behind authenticate and authorize: the acting manager is the authenticated user.
+ */
+export class TransferController {
+  /**
+   * @param transferUseCases Transfer use cases instance for business logic
+   */
+  constructor(private readonly transferUseCases: TransferUseCases) {}
+
+  /**
+   * Requests a transfer between two stores.
+   * @param req HTTP request object
+   * @param res HTTP response object
+   */
+  async requestTransfer(req: any, res: any): Promise<void> {
+    try {
+      const transfer = await this.transferUseCases.requestTransfer(req.body, req.user.id);
+      res.status(201).json(transfer);
+    } catch (error) {
+      res.status(this.errorStatus(error)).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+    }
+  }
+
+  /**
+   * Retrieves a transfer with its audit trail.
+   * @param req HTTP request object
+   * @param res HTTP response object
+   */
+  async getTransfer(req: any, res: any): Promise<void> {
+    try {
+      const id = parseInt(req.params.id);
+      const transfer = await this.transferUseCases.getTransfer(id);
+      res.json(transfer);
+    } catch (error) {
+      res.status(404).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+    }
+  }
+
+  async getTransfersByStore(req: any, res: any): Promise<void> {
+    try {
+      const storeId = parseInt(req.params.storeId);
+      const status = req.query.status as TransferStatus | undefined;
+      const transfers = await this.transferUseCases.getTransfersByStore(storeId, status);
+      res.json(transfers);
+    } catch (error) {
+      res.status(500).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+    }
+  }
+
+  async getInTransitStock(req: any, res: any): Promise<void> {
+    try {
+      const storeId = parseInt(req.params.storeId);
+      const inTransit = await this.transferUseCases.getInTransitStock(storeId);
+      res.json(inTransit);
+    } catch (error) {
+      res.status(500).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+    }
+  }
+
+  async approveTransfer(req: any, res: any): Promise<void> {
+    try {
+      const id = parseInt(req.params.id);
+      const transfer = await this.transferUseCases.approveTransfer(id, req.user.id, req.body?.note);
+      res.json(transfer);
+    } catch (error) {
+      res.status(this.errorStatus(error)).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+    }
+  }
+
+  /**
+   * Ships a transfer, taking the shipped units out of the source store.
+   * @param req HTTP request object
+   * @param res HTTP response object
+   */
+  async shipTransfer(req: any, res: any): Promise<void> {
+    try {
+      const id = parseInt(req.params.id);
+      const transfer = await this.transferUseCases.shipTransfer(id, req.body ?? {}, req.user.id);
+      res.json(transfer);
+    } catch (error) {
+      res.status(this.errorStatus(error)).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+    }
+  }
+
+  /**
+   * Receives a transfer, adding the received units to the destination store.
+   * @param req HTTP request object
+   * @param res HTTP response object
+   */
+  async receiveTransfer(req: any, res: any): Promise<void> {
+    try {
+      const id = parseInt(req.params.id);
+      const transfer = await this.transferUseCases.receiveTransfer(id, req.body ?? {}, req.user.id);
+      res.json(transfer);
+    } catch (error) {
+      res.status(this.errorStatus(error)).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+    }
+  }
+
+  async cancelTransfer(req: any, res: any): Promise<void> {
+    try {
+      const id = parseInt(req.params.id);
+      const transfer = await this.transferUseCases.cancelTransfer(id, req.user.id, req.body?.reason);
+      res.json(transfer);
+    } catch (error) {
+      res.status(this.errorStatus(error)).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+    }
+  }
+
+  private errorStatus(error: unknown): number {
+    if (error instanceof IllegalTransferTransitionError) {
+      return 409;
+    }
+    return error instanceof Error && error.message === 'Transfer not found' ? 404 : 400;
+  }
+}
@@ -0,0 +1,92 @@
+/**
+ * Reorder Worker
+ *
+ * Periodically drafts purchase orders for the products whose available units dropped
+ * below their reorder point, sized from the sales of the last days, for managers to
+ * review and submit.
+ */
+
+import { DEFAULT_SALES_WINDOW_DAYS, PurchaseOrderUseCases } from '../../application/use-cases/purchase-order.use-cases';
+import { createLogger } from '@shared/infrastructure/logging';
+
+const logger = createLogger('reorder-worker');
+
+/**
+ * Reorder worker options
+ */
+export interface ReorderWorkerOptions {
+  pollInterval?: number;
+  salesWindowDays?: number;
+}
+
+export class ReorderWorker {
+  private readonly purchaseOrderUseCases: PurchaseOrderUseCases;
+  private readonly pollInterval: number;
+  private readonly salesWindowDays: number;
+  private timer?: NodeJS.Timeout;
+  private generating: boolean = false;
+
+  /**
+   * Creates a new reorder worker
+   *
+   * @param purchaseOrderUseCases Purchase order use cases drafting the orders
+   * @param options Polling options
+   */
+  constructor(purchaseOrderUseCases: PurchaseOrderUseCases, options: ReorderWorkerOptions = {}) {
+    this.purchaseOrderUseCases = purchaseOrderUseCases;
+    this.pollInterval = options.pollInterval ?? parseInt(process.env['REORDER_INTERVAL_MS'] ?? '3600000', 10);
+    this.salesWindowDays = options.salesWindowDays
+      ?? parseInt(process.env['REORDER_SALES_WINDOW_DAYS'] ?? String(DEFAULT_SALES_WINDOW_DAYS), 10);
+  }
+
+  /**
+   * Starts drafting purchase orders periodically
+   */
+  public start(): void {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.generate().catch(error => logger.error('Reorder run failed', error as Error));
+    }, this.pollInterval);
+
+    logger.info('Reorder worker started', { pollInterval: this.pollInterval, salesWindowDays: this.salesWindowDays });
+  }
+
+  /**
+   * Stops drafting purchase orders
+   */
+  public stop(): void {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = undefined;
+      logger.info('Reorder worker stopped');
+    }
+  }
+
+  /**
+   * Drafts purchase orders for every store
+   *
+   * @returns Number of purchase orders drafted
+   */
+  public async generate(): Promise<number> {
+    // Skip overlapping runs while a slow one is still drafting
+    if (this.generating) {
+      return 0;
+    }
+
+    this.generating = true;
+    try {
+      const { purchaseOrders, skipped } = await this.purchaseOrderUseCases.generatePurchaseOrders({
+        salesWindowDays: this.salesWindowDays
+      });
+      if (purchaseOrders.length > 0 || skipped.length > 0) {
+        logger.info('Drafted purchase orders', { count: purchaseOrders.length, skipped: skipped.length });
+      }
+      return purchaseOrders.length;
+    } finally {
+      this.generating = false;
+    }
+  }
+}
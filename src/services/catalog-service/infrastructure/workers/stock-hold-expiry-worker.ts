@@ -0,0 +1,88 @@
+/**
+ * Stock Hold Expiry Worker
+ *
+ * Polls for active stock holds past their expiry and expires them, so their units
+ * become available again without anyone releasing them.
+ */
+
+import { StockHoldUseCases } from '../../application/use-cases/stock-hold.use-cases';
+import { createLogger } from '@shared/infrastructure/logging';
+
+const logger = createLogger('stock-hold-expiry-worker');
+
+/**
+ * Stock hold expiry worker options
+ */
+export interface StockHoldExpiryWorkerOptions {
+  pollInterval?: number;
+  batchSize?: number;
+}
+
+export class StockHoldExpiryWorker {
+  private readonly stockHoldUseCases: StockHoldUseCases;
+  private readonly pollInterval: number;
+  private readonly batchSize: number;
+  private timer?: NodeJS.Timeout;
+  private expiring: boolean = false;
+
+  /**
+   * Creates a new stock hold expiry worker
+   *
+   * @param stockHoldUseCases Stock hold use cases expiring the holds
+   * @param options Polling options
+   */
+  constructor(stockHoldUseCases: StockHoldUseCases, options: StockHoldExpiryWorkerOptions = {}) {
+    this.stockHoldUseCases = stockHoldUseCases;
+    this.pollInterval = options.pollInterval ?? parseInt(process.env['STOCK_HOLD_EXPIRY_INTERVAL_MS'] ?? '60000', 10);
+    this.batchSize = options.batchSize ?? parseInt(process.env['STOCK_HOLD_EXPIRY_BATCH_SIZE'] ?? '100', 10);
+  }
+
+  /**
+   * Starts polling for expired holds
+   */
+  public start(): void {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.expirePending().catch(error => logger.error('Stock hold expiry poll failed', error as Error));
+    }, this.pollInterval);
+
+    logger.info('Stock hold expiry worker started', { pollInterval: this.pollInterval, batchSize: this.batchSize });
+  }
+
+  /**
+   * Stops polling for expired holds
+   */
+  public stop(): void {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = undefined;
+      logger.info('Stock hold expiry worker stopped');
+    }
+  }
+
+  /**
+   * Expires one batch of holds past their expiry
+   *
+   * @returns Number of holds expired
+   */
+  public async expirePending(): Promise<number> {
+    // Skip overlapping polls while a slow batch is still being expired
+    if (this.expiring) {
+      return 0;
+    }
+
+    this.expiring = true;
+    try {
+      const expired = await this.stockHoldUseCases.expireHolds(new Date(), this.batchSize);
+      if (expired > 0) {
+        logger.info('Expired stock holds', { count: expired });
+      }
+      return expired;
+    } finally {
+      this.expiring = false;
+    }
+  }
+}
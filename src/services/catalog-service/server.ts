@@ -8,21 +8,59 @@ import { redisClient, CacheService, createCacheMiddleware } from '@shared/infras
 import { createLogger } from '@shared/infrastructure/logging';
 import { register, metricsMiddleware, collectSystemMetrics } from '@shared/infrastructure/metrics';
 import { databaseManager } from '@shared/infrastructure/database/database-manager';
+import { createCrossDomainQueries } from '@shared/infrastructure/database/cross-domain-queries';
+import { OutboxRelay } from '@shared/infrastructure/messaging/outbox';
+import { eventBus } from '@shared/infrastructure/messaging/event-bus';
+import { RedisStreamsEventTransport } from '@shared/infrastructure/messaging/redis-streams-transport';
+import { authenticate, authorize } from '@shared/infrastructure/http/auth.middleware';
+import { Barcode } from '@shared/domain/value-objects/barcode.vo';
 
 // Import shared repositories
 import { SharedProductRepository } from './infrastructure/database/shared-product.repository';
+import { SharedProductVariantRepository } from './infrastructure/database/shared-product-variant.repository';
 import { SharedStoreRepository } from './infrastructure/database/shared-store.repository';
 import { SharedStockRepository } from './infrastructure/database/shared-stock.repository';
+import { SharedExchangeRateRepository } from './infrastructure/database/shared-exchange-rate.repository';
+import { SharedStockHoldRepository } from './infrastructure/database/shared-stock-hold.repository';
+import { SharedTransferRepository } from './infrastructure/database/shared-transfer.repository';
+import { SharedStockMovementRepository } from './infrastructure/database/shared-stock-movement.repository';
+import { SharedSupplierRepository } from './infrastructure/database/shared-supplier.repository';
+import { SharedReorderRuleRepository } from './infrastructure/database/shared-reorder-rule.repository';
+import { SharedPurchaseOrderRepository } from './infrastructure/database/shared-purchase-order.repository';
+import { SharedCountSessionRepository } from './infrastructure/database/shared-count-session.repository';
+import { SharedCategoryRepository } from './infrastructure/database/shared-category.repository';
 
 // Import use cases
 import { ProductUseCases } from './application/use-cases/product.use-cases';
+import { ProductVariantUseCases } from './application/use-cases/product-variant.use-cases';
 import { StoreUseCases } from './application/use-cases/store.use-cases';
 import { StockUseCases } from './application/use-cases/stock.use-cases';
+import { ExchangeRateUseCases } from './application/use-cases/exchange-rate.use-cases';
+import { StockHoldUseCases } from './application/use-cases/stock-hold.use-cases';
+import { TransferUseCases } from './application/use-cases/transfer.use-cases';
+import { StockMovementUseCases } from './application/use-cases/stock-movement.use-cases';
+import { SupplierUseCases } from './application/use-cases/supplier.use-cases';
+import { PurchaseOrderUseCases } from './application/use-cases/purchase-order.use-cases';
+import { CountSessionUseCases } from './application/use-cases/count-session.use-cases';
+import { CategoryUseCases } from './application/use-cases/category.use-cases';
 
 // Import controllers
 import { ProductController } from './infrastructure/http/product.controller';
+import { ProductVariantController } from './infrastructure/http/product-variant.controller';
 import { StoreController } from './infrastructure/http/store.controller';
 import { StockController } from './infrastructure/http/stock.controller';
+import { ExchangeRateController } from './infrastructure/http/exchange-rate.controller';
+import { StockHoldController } from './infrastructure/http/stock-hold.controller';
+import { TransferController } from './infrastructure/http/transfer.controller';
+import { StockMovementController } from './infrastructure/http/stock-movement.controller';
+import { SupplierController } from './infrastructure/http/supplier.controller';
+import { PurchaseOrderController } from './infrastructure/http/purchase-order.controller';
+import { CountSessionController } from './infrastructure/http/count-session.controller';
+import { CategoryController } from './infrastructure/http/category.controller';
+
+// Import background workers
+import { StockHoldExpiryWorker } from './infrastructure/workers/stock-hold-expiry-worker';
+import { ReorderWorker } from './infrastructure/workers/reorder-worker';
 
 dotenv.config();
 
@@ -53,16 +91,37 @@ const initializeServices = async () => {
     logger.warn('Service will operate without caching');
   }
 
+  if (process.env.EVENT_BUS_TRANSPORT === 'redis') {
+    // Carry domain events over Redis Streams so other services receive them
+    if (redisClient.isConnected) {
+      const transport = new RedisStreamsEventTransport(redisClient, { group: SERVICE_NAME });
+      eventBus.useTransport(transport);
+      await transport.start().catch(error => logger.error('Failed to start Redis Streams consumer', error as Error));
+      logger.info('Event bus using Redis Streams transport');
+    } else {
+      logger.warn('Redis unavailable, event bus stays in-memory');
+    }
+  }
+
   try {
     // Initialize database
     await databaseManager.ensureConnection();
     logger.info('Database connected successfully');
+    // Stock written before the ledger existed would otherwise all show up as drift
+    await stockMovementUseCases.recordOpeningBalances()
+      .catch(error => logger.error('Failed to record opening stock balances', error as Error));
+    outboxRelay.start();
+    stockHoldExpiryWorker.start();
+    reorderWorker.start();
   } catch (error) {
     logger.error('Failed to connect to database', error as Error);
     throw error;
   }
 };
 
+// Relay publishing domain events stored in the transactional outbox
+const outboxRelay = new OutboxRelay(databaseManager);
+
 // Create cache service with proper service name
 const cacheService = new CacheService(redisClient, 'catalog-service');
 
@@ -77,20 +136,72 @@ const productItemCache = createCacheMiddleware({
   ttl: 600 // 10 minutes
 });
 
+// Barcode lookups are cached by the 13-digit form of the code, however it was scanned,
+// so the entries of a product's barcodes can be invalidated when it changes
+const barcodeCacheKey = (code: string) =>
+  `GET:/api/products/by-barcode/${Barcode.isValid(code) ? Barcode.parse(code).toEan13() : code}`;
+
+const productBarcodeCache = createCacheMiddleware({
+  cacheService,
+  ttl: 600, // 10 minutes
+  keyGenerator: (req) => barcodeCacheKey(req.params.code)
+});
+
+// Cross-domain queries reading the sales history for reordering
+const crossDomainQueries = createCrossDomainQueries(databaseManager);
+
 // Repositories using shared database infrastructure
 const productRepository = new SharedProductRepository(databaseManager);
+const productVariantRepository = new SharedProductVariantRepository(databaseManager);
 const storeRepository = new SharedStoreRepository(databaseManager);
 const stockRepository = new SharedStockRepository(databaseManager);
+const exchangeRateRepository = new SharedExchangeRateRepository(databaseManager);
+const stockHoldRepository = new SharedStockHoldRepository(databaseManager);
+const transferRepository = new SharedTransferRepository(databaseManager);
+const stockMovementRepository = new SharedStockMovementRepository(databaseManager);
+const supplierRepository = new SharedSupplierRepository(databaseManager);
+const reorderRuleRepository = new SharedReorderRuleRepository(databaseManager);
+const purchaseOrderRepository = new SharedPurchaseOrderRepository(databaseManager);
+const countSessionRepository = new SharedCountSessionRepository(databaseManager);
+const categoryRepository = new SharedCategoryRepository(databaseManager);
 
 // Use cases
-const productUseCases = new ProductUseCases(productRepository, storeRepository, stockRepository);
+const productUseCases = new ProductUseCases(
+  productRepository, storeRepository, stockRepository, categoryRepository, productVariantRepository
+);
+const productVariantUseCases = new ProductVariantUseCases(productRepository, productVariantRepository);
 const storeUseCases = new StoreUseCases(storeRepository);
 const stockUseCases = new StockUseCases(stockRepository, productRepository, storeRepository);
+const exchangeRateUseCases = new ExchangeRateUseCases(exchangeRateRepository);
+const stockHoldUseCases = new StockHoldUseCases(stockHoldRepository, productRepository);
+const transferUseCases = new TransferUseCases(transferRepository, storeRepository, productRepository);
+const stockMovementUseCases = new StockMovementUseCases(stockMovementRepository);
+const supplierUseCases = new SupplierUseCases(supplierRepository);
+const purchaseOrderUseCases = new PurchaseOrderUseCases(
+  purchaseOrderRepository, reorderRuleRepository, supplierRepository, storeRepository, productRepository, crossDomainQueries
+);
+const countSessionUseCases = new CountSessionUseCases(countSessionRepository, storeRepository, productRepository);
+const categoryUseCases = new CategoryUseCases(categoryRepository);
+
+// Worker expiring stock holds past their expiry
+const stockHoldExpiryWorker = new StockHoldExpiryWorker(stockHoldUseCases);
+
+// Worker drafting purchase orders for products below their reorder point
+const reorderWorker = new ReorderWorker(purchaseOrderUseCases);
 
 // Controllers
 const productController = new ProductController(productUseCases);
+const productVariantController = new ProductVariantController(productVariantUseCases);
 const storeController = new StoreController(storeUseCases);
 const stockController = new StockController(stockUseCases);
+const exchangeRateController = new ExchangeRateController(exchangeRateUseCases);
+const stockHoldController = new StockHoldController(stockHoldUseCases);
+const transferController = new TransferController(transferUseCases);
+const stockMovementController = new StockMovementController(stockMovementUseCases);
+const supplierController = new SupplierController(supplierUseCases);
+const purchaseOrderController = new PurchaseOrderController(purchaseOrderUseCases);
+const countSessionController = new CountSessionController(countSessionUseCases);
+const categoryController = new CategoryController(categoryUseCases);
 
 // Routes
 app.get('/health', (req, res) => {
@@ -109,25 +220,63 @@ app.get('/metrics', async (req, res) => {
 });
 
 // Product routes
-app.post('/api/products', (req, res) => productController.createProduct(req, res));
+app.post('/api/products', async (req, res) => {
+  await productController.createProduct(req, res);
+  // A new product shows up in the product list and in suggestions
+  cacheService.delete('GET:/api/products');
+  cacheService.invalidatePattern('GET:/api/products/suggest*');
+});
 app.get('/api/products', productListCache, (req, res) => productController.getAllProducts(req, res));
-app.get('/api/products/search', productListCache, (req, res) => productController.searchProducts(req, res));
+// Search results are not cached: the in-stock facet and filter follow every stock change
+app.get('/api/products/search', (req, res) => productController.searchProducts(req, res));
+app.get('/api/products/suggest', productListCache, (req, res) => productController.suggestProducts(req, res));
+app.get('/api/products/by-barcode/:code', productBarcodeCache, (req, res) => productController.getProductByBarcode(req, res));
 app.get('/api/products/:id', productItemCache, (req, res) => productController.getProduct(req, res));
-app.put('/api/products/:id', (req, res) => {
-  productController.updateProduct(req, res);
-  // Invalidate cache after update
+
+// Cache keys of the barcodes a product carries, read before it changes
+const productBarcodeCacheKeys = async (id: number): Promise<string[]> => {
+  const product = Number.isInteger(id) ? await productRepository.findById(id).catch(() => null) : null;
+  return (product?.barcodes ?? []).map(barcode => barcodeCacheKey(barcode.toEan13()));
+};
+
+app.put('/api/products/:id', async (req, res) => {
   const id = parseInt(req.params.id);
+  const barcodeKeys = await productBarcodeCacheKeys(id);
+  await productController.updateProduct(req, res);
+  // Invalidate cache after update
   cacheService.delete(`GET:/api/products/${id}`);
   cacheService.delete('GET:/api/products');
-  cacheService.delete('GET:/api/products/search');
+  cacheService.invalidatePattern('GET:/api/products/suggest*');
+  cacheService.deleteMultiple(barcodeKeys);
 });
-app.delete('/api/products/:id', (req, res) => {
-  productController.deleteProduct(req, res);
-  // Invalidate cache after delete
+app.delete('/api/products/:id', async (req, res) => {
   const id = parseInt(req.params.id);
+  const barcodeKeys = await productBarcodeCacheKeys(id);
+  await productController.deleteProduct(req, res);
+  // Invalidate cache after delete
   cacheService.delete(`GET:/api/products/${id}`);
   cacheService.delete('GET:/api/products');
-  cacheService.delete('GET:/api/products/search');
+  cacheService.invalidatePattern('GET:/api/products/suggest*');
+  cacheService.deleteMultiple(barcodeKeys);
+});
+
+// Variant routes; products are read with their variants, so a variant change invalidates the product
+app.get('/api/products/:id/variants', productItemCache, (req, res) => productVariantController.getVariants(req, res));
+app.post('/api/products/:id/variants', async (req, res) => {
+  const id = parseInt(req.params.id);
+  const barcodeKeys = await productBarcodeCacheKeys(id);
+  await productVariantController.createVariant(req, res);
+  cacheService.deleteMultiple([
+    `GET:/api/products/${id}`, `GET:/api/products/${id}/variants`, 'GET:/api/products', ...barcodeKeys
+  ]);
+});
+app.put('/api/products/:id/variants/:variantId', async (req, res) => {
+  const id = parseInt(req.params.id);
+  const barcodeKeys = await productBarcodeCacheKeys(id);
+  await productVariantController.updateVariant(req, res);
+  cacheService.deleteMultiple([
+    `GET:/api/products/${id}`, `GET:/api/products/${id}/variants`, 'GET:/api/products', ...barcodeKeys
+  ]);
 });
 
 // Store routes
@@ -143,6 +292,13 @@ app.put('/api/stores/:id', (req, res) => {
   cacheService.delete('GET:/api/stores');
   cacheService.delete('GET:/api/stores/search');
 });
+app.get('/api/stores/:id/tax-rules', productItemCache, (req, res) => storeController.getTaxRules(req, res));
+app.put('/api/stores/:id/tax-rules', (req, res) => {
+  storeController.setTaxRules(req, res);
+  // Invalidate cache after update
+  const id = parseInt(req.params.id);
+  cacheService.delete(`GET:/api/stores/${id}/tax-rules`);
+});
 app.delete('/api/stores/:id', (req, res) => {
   storeController.deleteStore(req, res);
   // Invalidate cache after delete
@@ -152,10 +308,61 @@ app.delete('/api/stores/:id', (req, res) => {
   cacheService.delete('GET:/api/stores/search');
 });
 
+// Exchange rate routes; rates set the prices of every store selling in another currency
+app.get('/api/exchange-rates', productListCache, (req, res) => exchangeRateController.getExchangeRates(req, res));
+app.put('/api/exchange-rates', authenticate, authorize(['manager', 'admin']), (req, res) => {
+  exchangeRateController.setExchangeRates(req, res);
+  // Invalidate cache after update
+  cacheService.delete('GET:/api/exchange-rates');
+});
+
 // Stock routes
 app.post('/api/stock', (req, res) => stockController.createStock(req, res));
 app.get('/api/stock', productListCache, (req, res) => stockController.getAllStock(req, res));
 app.get('/api/stock/low', productListCache, (req, res) => stockController.getLowStockItems(req, res));
+// Stock ledger routes, not cached: the ledger grows with every stock change
+app.get('/api/stock/drift', (req, res) => stockMovementController.getDrift(req, res));
+app.get('/api/stock/:id/movements', (req, res) => stockMovementController.getMovements(req, res));
+app.get('/api/stock/:id/movements/balance', (req, res) => stockMovementController.getBalance(req, res));
+
+// Reorder rule routes, registered before /api/stock/:id; managers set when stores reorder
+const manageStock = [authenticate, authorize(['manager', 'admin'])];
+app.get('/api/stock/reorder-rules/store/:storeId', (req, res) => purchaseOrderController.getReorderRules(req, res));
+app.put('/api/stock/reorder-rules', ...manageStock, (req, res) => purchaseOrderController.setReorderRule(req, res));
+app.delete('/api/stock/reorder-rules/store/:storeId/product/:productId', ...manageStock, (req, res) =>
+  purchaseOrderController.removeReorderRule(req, res)
+);
+
+// Stock hold routes, registered before /api/stock/:id; holds change the available stock. Customers place,
+// read and release their own holds; converting and reinstating are called by the transaction service
+app.post('/api/stock/holds', authenticate, (req, res) => {
+  stockHoldController.placeHold(req, res);
+  // Invalidate relevant stock caches
+  cacheService.delete('GET:/api/stock');
+  cacheService.delete('GET:/api/stock/low');
+});
+app.get('/api/stock/holds/user/:userId', authenticate, (req, res) => stockHoldController.getHoldsByUser(req, res));
+app.get('/api/stock/holds/store/:storeId', ...manageStock, (req, res) => stockHoldController.getHoldsByStore(req, res));
+app.get('/api/stock/holds/:id', authenticate, (req, res) => stockHoldController.getHold(req, res));
+app.post('/api/stock/holds/:id/release', authenticate, (req, res) => {
+  stockHoldController.releaseHold(req, res);
+  // Invalidate relevant stock caches
+  cacheService.delete('GET:/api/stock');
+  cacheService.delete('GET:/api/stock/low');
+});
+app.post('/api/stock/holds/:id/convert', (req, res) => {
+  stockHoldController.convertHold(req, res);
+  // Invalidate relevant stock caches
+  cacheService.delete('GET:/api/stock');
+  cacheService.delete('GET:/api/stock/low');
+});
+app.post('/api/stock/holds/:id/reinstate', (req, res) => {
+  stockHoldController.reinstateHold(req, res);
+  // Invalidate relevant stock caches
+  cacheService.delete('GET:/api/stock');
+  cacheService.delete('GET:/api/stock/low');
+});
+
 app.get('/api/stock/:id', productItemCache, (req, res) => stockController.getStock(req, res));
 app.put('/api/stock/:id', (req, res) => {
   stockController.updateStock(req, res);
@@ -173,12 +380,103 @@ app.post('/api/stock/reserve', (req, res) => {
   cacheService.delete('GET:/api/stock');
   cacheService.delete('GET:/api/stock/low');
 });
+app.post('/api/stock/reserve/batch', (req, res) => {
+  stockController.reserveStocks(req, res);
+  // Invalidate relevant stock caches
+  cacheService.delete('GET:/api/stock');
+  cacheService.delete('GET:/api/stock/low');
+});
+app.post('/api/stock/release', (req, res) => {
+  stockController.releaseStock(req, res);
+  // Invalidate relevant stock caches
+  cacheService.delete('GET:/api/stock');
+  cacheService.delete('GET:/api/stock/low');
+});
+app.post('/api/stock/release/sale', (req, res) => {
+  stockController.releaseSaleStock(req, res);
+  // Invalidate relevant stock caches
+  cacheService.delete('GET:/api/stock');
+  cacheService.delete('GET:/api/stock/low');
+});
 app.post('/api/stock/adjust', (req, res) => {
   stockController.adjustStock(req, res);
   // Invalidate relevant stock caches
   cacheService.delete('GET:/api/stock');
   cacheService.delete('GET:/api/stock/low');
 });
+app.post('/api/stock/exchange', (req, res) => {
+  stockController.exchangeStock(req, res);
+  // Invalidate relevant stock caches
+  cacheService.delete('GET:/api/stock');
+  cacheService.delete('GET:/api/stock/low');
+});
+app.post('/api/stock/exchange/revert', (req, res) => {
+  stockController.revertExchangeStock(req, res);
+  // Invalidate relevant stock caches
+  cacheService.delete('GET:/api/stock');
+  cacheService.delete('GET:/api/stock/low');
+});
+
+// Transfer routes; managers run every step, and shipping and receiving move stock
+const manageTransfers = [authenticate, authorize(['manager', 'admin'])];
+app.post('/api/transfers', ...manageTransfers, (req, res) => transferController.requestTransfer(req, res));
+app.get('/api/transfers/store/:storeId', (req, res) => transferController.getTransfersByStore(req, res));
+app.get('/api/transfers/store/:storeId/in-transit', (req, res) => transferController.getInTransitStock(req, res));
+app.get('/api/transfers/:id', (req, res) => transferController.getTransfer(req, res));
+app.post('/api/transfers/:id/approve', ...manageTransfers, (req, res) => transferController.approveTransfer(req, res));
+app.post('/api/transfers/:id/ship', ...manageTransfers, (req, res) => {
+  transferController.shipTransfer(req, res);
+  // Invalidate relevant stock caches
+  cacheService.delete('GET:/api/stock');
+  cacheService.delete('GET:/api/stock/low');
+});
+app.post('/api/transfers/:id/receive', ...manageTransfers, (req, res) => {
+  transferController.receiveTransfer(req, res);
+  // Invalidate relevant stock caches
+  cacheService.delete('GET:/api/stock');
+  cacheService.delete('GET:/api/stock/low');
+});
+app.post('/api/transfers/:id/cancel', ...manageTransfers, (req, res) => transferController.cancelTransfer(req, res));
+
+// Supplier routes
+app.post('/api/suppliers', ...manageStock, (req, res) => supplierController.createSupplier(req, res));
+app.get('/api/suppliers', (req, res) => supplierController.getAllSuppliers(req, res));
+app.get('/api/suppliers/:id', (req, res) => supplierController.getSupplier(req, res));
+app.put('/api/suppliers/:id', ...manageStock, (req, res) => supplierController.updateSupplier(req, res));
+
+// Category routes; products are filtered by category with GET /api/products?category=
+app.post('/api/categories', ...manageStock, (req, res) => categoryController.createCategory(req, res));
+app.get('/api/categories', (req, res) => categoryController.getCategoryTree(req, res));
+app.get('/api/categories/:id', (req, res) => categoryController.getCategory(req, res));
+app.put('/api/categories/:id', ...manageStock, (req, res) => categoryController.updateCategory(req, res));
+app.delete('/api/categories/:id', ...manageStock, (req, res) => categoryController.deleteCategory(req, res));
+
+// Purchase order routes; the reorder job also drafts orders periodically, and receiving moves stock
+app.post('/api/purchase-orders', ...manageStock, (req, res) => purchaseOrderController.createPurchaseOrder(req, res));
+app.post('/api/purchase-orders/generate', ...manageStock, (req, res) => purchaseOrderController.generatePurchaseOrders(req, res));
+app.get('/api/purchase-orders/store/:storeId', (req, res) => purchaseOrderController.getPurchaseOrdersByStore(req, res));
+app.get('/api/purchase-orders/:id', (req, res) => purchaseOrderController.getPurchaseOrder(req, res));
+app.post('/api/purchase-orders/:id/submit', ...manageStock, (req, res) => purchaseOrderController.submitPurchaseOrder(req, res));
+app.post('/api/purchase-orders/:id/receive', ...manageStock, (req, res) => {
+  purchaseOrderController.receivePurchaseOrder(req, res);
+  // Invalidate relevant stock caches
+  cacheService.delete('GET:/api/stock');
+  cacheService.delete('GET:/api/stock/low');
+});
+app.post('/api/purchase-orders/:id/cancel', ...manageStock, (req, res) => purchaseOrderController.cancelPurchaseOrder(req, res));
+
+// Count session routes; any signed-in employee can count, managers open, post and cancel sessions
+app.post('/api/count-sessions', ...manageStock, (req, res) => countSessionController.openCountSession(req, res));
+app.get('/api/count-sessions/store/:storeId', authenticate, (req, res) => countSessionController.getCountSessionsByStore(req, res));
+app.get('/api/count-sessions/:id', authenticate, (req, res) => countSessionController.getCountSession(req, res));
+app.post('/api/count-sessions/:id/counts', authenticate, (req, res) => countSessionController.recordCounts(req, res));
+app.post('/api/count-sessions/:id/post', ...manageStock, (req, res) => {
+  countSessionController.postCountSession(req, res);
+  // Invalidate relevant stock caches
+  cacheService.delete('GET:/api/stock');
+  cacheService.delete('GET:/api/stock/low');
+});
+app.post('/api/count-sessions/:id/cancel', ...manageStock, (req, res) => countSessionController.cancelCountSession(req, res));
 
 // Error handling middleware
 app.use((err: Error, req: express.Request, res: express.Response, next: express.NextFunction) => {
@@ -205,6 +503,10 @@ startServer();
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('SIGTERM received, shutting down gracefully');
+  outboxRelay.stop();
+  stockHoldExpiryWorker.stop();
+  reorderWorker.stop();
+  await eventBus.close().catch(err => logger.error('Error closing event bus', err));
   await databaseManager.disconnect();
   await redisClient.disconnect().catch(err => logger.error('Error disconnecting Redis', err));
   process.exit(0);
@@ -212,6 +514,10 @@ process.on('SIGTERM', async () => {
 
 process.on('SIGINT', async () => {
   console.log('SIGINT received, shutting down gracefully');
+  outboxRelay.stop();
+  stockHoldExpiryWorker.stop();
+  reorderWorker.stop();
+  await eventBus.close().catch(err => logger.error('Error closing event bus', err));
   await databaseManager.disconnect();
   await redisClient.disconnect().catch(err => logger.error('Error disconnecting Redis', err));
   process.exit(0);
@@ -275,11 +275,31 @@ const refunds = [
 async function clearDatabase() {
   console.log('  Clearing existing data...');
   // Delete in order to respect foreign key constraints
+  await prisma.refundPayment.deleteMany();
+  await prisma.payment.deleteMany();
+  await prisma.exchange.deleteMany();
   await prisma.refundLine.deleteMany();
-  await prisma.saleLine.deleteMany();
   await prisma.refund.deleteMany();
+  await prisma.saleStatusHistory.deleteMany();
+  await prisma.saleSaga.deleteMany();
+  await prisma.saleLine.deleteMany();
   await prisma.sale.deleteMany();
+  await prisma.countEntry.deleteMany();
+  await prisma.countSessionLine.deleteMany();
+  await prisma.countSession.deleteMany();
+  await prisma.transferStatusHistory.deleteMany();
+  await prisma.transferLine.deleteMany();
+  await prisma.transfer.deleteMany();
+  await prisma.purchaseOrderLine.deleteMany();
+  await prisma.purchaseOrder.deleteMany();
+  await prisma.reorderRule.deleteMany();
+  await prisma.stockHold.deleteMany();
+  await prisma.stockMovement.deleteMany();
   await prisma.stock.deleteMany(); // Fixed: was inventory
+  await prisma.taxRule.deleteMany();
+  await prisma.productVariant.deleteMany();
+  await prisma.productBarcode.deleteMany();
+  await prisma.productPrice.deleteMany();
   await prisma.product.deleteMany();
   await prisma.user.deleteMany();
   await prisma.store.deleteMany();
@@ -299,6 +319,36 @@ async function hashUserPasswords(users) {
   return hashedUsers;
 }
 
+/**
+ * Set the units on hand of a product at a store, recording the change in the stock ledger
+ * like the catalog service does: an INITIAL movement for a new record, a CORRECTION otherwise
+ */
+async function seedStock(storeId, productId, quantity) {
+  await prisma.$transaction(async (tx) => {
+    // The seeded products have no variants, so their stock is the product-level row (variantId null),
+    // which a compound unique upsert cannot match
+    const existing = await tx.stock.findFirst({ where: { productId, storeId, variantId: null } });
+    const stock = existing
+      ? await tx.stock.update({ where: { id: existing.id }, data: { quantity } })
+      : await tx.stock.create({ data: { quantity, productId, storeId } });
+
+    const delta = quantity - (existing ? existing.quantity : 0);
+    if (!existing || delta !== 0) {
+      await tx.stockMovement.create({
+        data: {
+          stockId: stock.id,
+          storeId,
+          productId,
+          delta,
+          quantityAfter: quantity,
+          reason: existing ? 'CORRECTION' : 'INITIAL',
+          note: 'Demo data'
+        }
+      });
+    }
+  });
+}
+
 /**
  * Seed the database with demo data
  */
@@ -372,16 +422,7 @@ async function seedDatabase() {
         console.warn('Skipping inventory item due to missing store or product:', item);
         continue;
       }
-      await prisma.stock.upsert({
-        where: {
-          storeId_productId: {
-            productId: realProductId,
-            storeId: realStoreId,
-          },
-        },
-        update: { quantity: item.quantity, productId: realProductId, storeId: realStoreId },
-        create: { quantity: item.quantity, productId: realProductId, storeId: realStoreId },
-      });
+      await seedStock(realStoreId, realProductId, item.quantity);
     }
     console.log(` Seeded ${inventory.length} inventory items`);
 
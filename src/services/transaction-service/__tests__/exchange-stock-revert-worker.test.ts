@@ -0,0 +1,54 @@
+import { ExchangeStockRevertWorker } from '../infrastructure/workers/exchange-stock-revert-worker';
+import { ExchangeUseCases } from '../application/use-cases/exchange.use-cases';
+
+const mockExchangeUseCases = {
+  retryStockReverts: jest.fn(),
+} as Partial<ExchangeUseCases> as jest.Mocked<ExchangeUseCases>;
+
+describe('ExchangeStockRevertWorker', () => {
+  let worker: ExchangeStockRevertWorker;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date('2026-03-29T12:00:00Z'));
+    worker = new ExchangeStockRevertWorker(mockExchangeUseCases, { pollInterval: 1000, staleAfter: 300000, batchSize: 10 });
+    mockExchangeUseCases.retryStockReverts.mockResolvedValue(0);
+  });
+
+  afterEach(() => {
+    worker.stop();
+    jest.useRealTimers();
+    jest.clearAllMocks();
+  });
+
+  it('should revert one batch of the exchanges without progress since the stale period', async () => {
+    mockExchangeUseCases.retryStockReverts.mockResolvedValue(3);
+
+    await expect(worker.revertPending()).resolves.toBe(3);
+
+    expect(mockExchangeUseCases.retryStockReverts).toHaveBeenCalledWith(new Date('2026-03-29T11:55:00Z'), 10);
+  });
+
+  it('should skip a poll while a batch is still being reverted', async () => {
+    let finish: (reverted: number) => void = () => undefined;
+    mockExchangeUseCases.retryStockReverts.mockReturnValueOnce(new Promise(resolve => { finish = resolve; }));
+
+    const reverting = worker.revertPending();
+    await expect(worker.revertPending()).resolves.toBe(0);
+    finish(1);
+
+    await expect(reverting).resolves.toBe(1);
+    expect(mockExchangeUseCases.retryStockReverts).toHaveBeenCalledTimes(1);
+  });
+
+  it('should keep polling after a failed revert and stop polling when stopped', async () => {
+    mockExchangeUseCases.retryStockReverts.mockRejectedValueOnce(new Error('Catalog service unavailable'));
+
+    worker.start();
+    await jest.advanceTimersByTimeAsync(3000);
+    worker.stop();
+    await jest.advanceTimersByTimeAsync(3000);
+
+    expect(mockExchangeUseCases.retryStockReverts).toHaveBeenCalledTimes(3);
+  });
+});
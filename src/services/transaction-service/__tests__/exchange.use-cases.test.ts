@@ -0,0 +1,358 @@
+import { ExchangeUseCases } from '../application/use-cases/exchange.use-cases';
+import { IExchangeRepository } from '../domain/repositories/exchange.repository';
+import { ISaleRepository } from '../domain/repositories/sale.repository';
+import { ICatalogService } from '../infrastructure/services/catalog.service';
+import { Exchange } from '../domain/entities/exchange.entity';
+import { Sale, SaleStatus } from '../domain/entities/sale.entity';
+import { SaleLine } from '../domain/entities/sale-line.entity';
+import { SalePricingService } from '../domain/services/sale-pricing.service';
+import { TaxService } from '../domain/services/tax.service';
+import { ICrossDomainQueries } from '@shared/infrastructure/database/cross-domain-queries';
+import { ExchangeRates } from '@shared/domain/value-objects/exchange-rates.vo';
+
+const mockExchangeRepository: jest.Mocked<IExchangeRepository> = {
+  createPending: jest.fn(),
+  saveExchange: jest.fn(),
+  findById: jest.fn(),
+  findByUserId: jest.fn(),
+  findUnfinished: jest.fn(),
+  markReverting: jest.fn(),
+  markReverted: jest.fn(),
+};
+
+const mockSaleRepository = {
+  findById: jest.fn(),
+} as jest.Mocked<Partial<ISaleRepository>> as jest.Mocked<ISaleRepository>;
+
+// Store 1 sells in CAD and store 2 in USD; products cost 25.00 and stores charge no tax by default
+const mockCrossDomainQueries = {
+  getStoreDetails: jest.fn(),
+  getProductDetails: jest.fn(),
+  getExchangeRates: jest.fn(),
+  getStoreTaxRules: jest.fn(),
+} as Partial<ICrossDomainQueries> as jest.Mocked<ICrossDomainQueries>;
+
+const mockCatalogService: jest.Mocked<ICatalogService> = {
+  adjustStock: jest.fn(),
+  reserveStock: jest.fn(),
+  reserveStocks: jest.fn(),
+  releaseStock: jest.fn(),
+  releaseSaleStock: jest.fn(),
+  exchangeStock: jest.fn(),
+  revertExchangeStock: jest.fn(),
+  convertHold: jest.fn(),
+  reinstateHold: jest.fn(),
+};
+
+// Sale of 2 units of product 1 and 1 unit of product 2 at store 1
+const originalSale = (refunded: [number, number] = [0, 0], status: SaleStatus = 'active') =>
+  new Sale(42, new Date(), 50.0, status, 1, 5, [
+    new SaleLine(1, 2, 10.0, 42, 100, undefined, refunded[0]),
+    new SaleLine(2, 1, 30.0, 42, 101, undefined, refunded[1])
+  ]);
+
+describe('ExchangeUseCases', () => {
+  let exchangeUseCases: ExchangeUseCases;
+
+  beforeEach(() => {
+    exchangeUseCases = new ExchangeUseCases(
+      mockExchangeRepository, mockSaleRepository, mockCatalogService,
+      new SalePricingService(mockCrossDomainQueries), new TaxService(mockCrossDomainQueries)
+    );
+
+    mockExchangeRepository.createPending.mockImplementation(async (data) =>
+      ({ id: 3, originalSaleId: data.originalSaleId, storeId: data.storeId, userId: data.userId, status: 'PENDING' })
+    );
+    mockExchangeRepository.markReverting.mockResolvedValue(true);
+    mockExchangeRepository.saveExchange.mockImplementation(async (id, data) =>
+      new Exchange(id, data.date, data.originalSaleId, 8, 9, data.storeId, data.userId, data.returnedLines,
+        data.issuedLines, data.refundTotal, data.saleTotal, data.currency, data.reason)
+    );
+    mockCrossDomainQueries.getStoreDetails.mockImplementation(async (storeId) =>
+      ({ id: storeId, name: `Store ${storeId}`, currency: storeId === 2 ? 'USD' : 'CAD' })
+    );
+    mockCrossDomainQueries.getProductDetails.mockImplementation(async (productId) =>
+      ({ id: productId, name: `Product ${productId}`, price: 25.0, taxCategory: 'STANDARD', prices: {}, variants: [] })
+    );
+    mockCrossDomainQueries.getExchangeRates.mockResolvedValue(new ExchangeRates({ USD: 1.25 }));
+    mockCrossDomainQueries.getStoreTaxRules.mockResolvedValue([]);
+    mockCatalogService.exchangeStock.mockResolvedValue({ success: true });
+    mockCatalogService.revertExchangeStock.mockResolvedValue({ success: true });
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('createExchange', () => {
+    it('should refund the returned units at their sold price and sell the new ones at the current price', async () => {
+      mockSaleRepository.findById.mockResolvedValue(originalSale());
+
+      const result = await exchangeUseCases.createExchange({
+        saleId: 42,
+        reason: 'Wrong size',
+        returnedLines: [{ productId: 1, quantity: 2 }],
+        newLines: [{ productId: 3, quantity: 1 }]
+      });
+
+      expect(result).toEqual(expect.objectContaining({
+        id: 3,
+        originalSaleId: 42,
+        refundId: 8,
+        saleId: 9,
+        storeId: 1,
+        userId: 5,
+        currency: 'CAD',
+        refundTotal: 20.0,
+        saleTotal: 25.0,
+        priceDifference: 5.0
+      }));
+      expect(result.returnedLines).toEqual([
+        { productId: 1, quantity: 2, unitPrice: 10.0, lineTotal: 20.0, taxes: [] }
+      ]);
+      expect(result.newLines).toEqual([
+        { productId: 3, quantity: 1, unitPrice: 25.0, lineTotal: 25.0, taxes: [] }
+      ]);
+      expect(mockExchangeRepository.createPending).toHaveBeenCalledWith(expect.objectContaining({
+        originalSaleId: 42, storeId: 1, userId: 5, currency: 'CAD', priceDifference: 5.0
+      }));
+      expect(mockExchangeRepository.saveExchange).toHaveBeenCalledWith(3, expect.objectContaining({
+        originalSaleId: 42,
+        allocations: [expect.objectContaining({ saleLineId: 100, quantity: 2, soldQuantity: 2 })],
+        refundReportingTotal: 20.0,
+        saleReportingTotal: 25.0
+      }), expect.any(Function));
+    });
+
+    it('should adjust the stock of both sides in one catalog call, under the pending exchange, before saving', async () => {
+      mockSaleRepository.findById.mockResolvedValue(originalSale());
+
+      await exchangeUseCases.createExchange({
+        saleId: 42,
+        reason: 'Wrong colour',
+        returnedLines: [{ productId: 2, quantity: 1 }],
+        newLines: [{ productId: 3, quantity: 1 }, { productId: 4, quantity: 2 }]
+      });
+
+      expect(mockCatalogService.exchangeStock).toHaveBeenCalledTimes(1);
+      expect(mockCatalogService.exchangeStock).toHaveBeenCalledWith({
+        storeId: 1,
+        returned: [{ productId: 2, quantity: 1 }],
+        issued: [{ productId: 3, quantity: 1 }, { productId: 4, quantity: 2 }],
+        saleId: 42,
+        exchangeId: 3,
+        actorId: 5
+      });
+      expect(mockExchangeRepository.createPending.mock.invocationCallOrder[0])
+        .toBeLessThan(mockCatalogService.exchangeStock.mock.invocationCallOrder[0]);
+      expect(mockCatalogService.exchangeStock.mock.invocationCallOrder[0])
+        .toBeLessThan(mockExchangeRepository.saveExchange.mock.invocationCallOrder[0]);
+      expect(mockCatalogService.revertExchangeStock).not.toHaveBeenCalled();
+      expect(mockCatalogService.adjustStock).not.toHaveBeenCalled();
+    });
+
+    it('should report a negative price difference when the customer is owed money', async () => {
+      mockSaleRepository.findById.mockResolvedValue(originalSale());
+
+      const result = await exchangeUseCases.createExchange({
+        saleId: 42,
+        reason: 'Cheaper model',
+        returnedLines: [{ productId: 2, quantity: 1 }],
+        newLines: [{ productId: 3, quantity: 1 }]
+      });
+
+      expect(result.priceDifference).toBe(-5.0);
+    });
+
+    it('should tax the new lines with the current store rules', async () => {
+      mockSaleRepository.findById.mockResolvedValue(originalSale());
+      mockCrossDomainQueries.getStoreTaxRules.mockResolvedValue([
+        { code: 'GST', name: 'GST', rate: 5, taxCategory: 'STANDARD' }
+      ]);
+
+      const result = await exchangeUseCases.createExchange({
+        saleId: 42,
+        reason: 'Wrong size',
+        returnedLines: [{ productId: 1, quantity: 1 }],
+        newLines: [{ productId: 3, quantity: 1 }]
+      });
+
+      // 25.00 plus 1.25 of GST, against the untaxed 10.00 returned
+      expect(result.saleTotal).toBe(26.25);
+      expect(result.priceDifference).toBe(16.25);
+    });
+
+    it('should revert the stock of the exchange when it cannot be saved', async () => {
+      mockSaleRepository.findById.mockResolvedValue(originalSale());
+      mockExchangeRepository.saveExchange.mockRejectedValue(new Error('Database unavailable'));
+
+      await expect(exchangeUseCases.createExchange({
+        saleId: 42,
+        reason: 'Wrong size',
+        returnedLines: [{ productId: 1, quantity: 1 }],
+        newLines: [{ productId: 3, quantity: 2 }]
+      })).rejects.toThrow('Database unavailable');
+
+      expect(mockExchangeRepository.markReverting).toHaveBeenCalledWith(3);
+      expect(mockCatalogService.revertExchangeStock).toHaveBeenCalledWith({ exchangeId: 3, actorId: 5 });
+      expect(mockExchangeRepository.markReverted).toHaveBeenCalledWith(3);
+      expect(mockCatalogService.exchangeStock).toHaveBeenCalledTimes(1);
+    });
+
+    it('should leave the exchange reverting for the worker when the revert fails', async () => {
+      mockSaleRepository.findById.mockResolvedValue(originalSale());
+      mockExchangeRepository.saveExchange.mockRejectedValue(new Error('Database unavailable'));
+      mockCatalogService.revertExchangeStock.mockResolvedValue({ success: false, error: 'Catalog unavailable' });
+
+      await expect(exchangeUseCases.createExchange({
+        saleId: 42,
+        reason: 'Wrong size',
+        returnedLines: [{ productId: 1, quantity: 1 }],
+        newLines: [{ productId: 3, quantity: 2 }]
+      })).rejects.toThrow('Database unavailable');
+
+      expect(mockExchangeRepository.markReverting).toHaveBeenCalledWith(3);
+      expect(mockExchangeRepository.markReverted).not.toHaveBeenCalled();
+    });
+
+    it('should not save anything and revert the exchange when the catalog rejects the stock exchange', async () => {
+      mockSaleRepository.findById.mockResolvedValue(originalSale());
+      mockCatalogService.exchangeStock.mockResolvedValue({ success: false, error: 'Insufficient stock for product 3' });
+
+      await expect(exchangeUseCases.createExchange({
+        saleId: 42,
+        reason: 'Wrong size',
+        returnedLines: [{ productId: 1, quantity: 1 }],
+        newLines: [{ productId: 3, quantity: 1 }]
+      })).rejects.toThrow('Insufficient stock for product 3');
+
+      expect(mockExchangeRepository.saveExchange).not.toHaveBeenCalled();
+      // The answer may have been lost after the units moved, so the ledger decides what to undo
+      expect(mockCatalogService.revertExchangeStock).toHaveBeenCalledWith({ exchangeId: 3, actorId: 5 });
+      expect(mockExchangeRepository.markReverted).toHaveBeenCalledWith(3);
+    });
+
+    it('should reject returned quantities exceeding what remains refundable', async () => {
+      mockSaleRepository.findById.mockResolvedValue(originalSale([1, 0], 'partially_refunded'));
+
+      await expect(exchangeUseCases.createExchange({
+        saleId: 42,
+        reason: 'Wrong size',
+        returnedLines: [{ productId: 1, quantity: 2 }],
+        newLines: [{ productId: 3, quantity: 1 }]
+      })).rejects.toThrow();
+
+      expect(mockCatalogService.exchangeStock).not.toHaveBeenCalled();
+      expect(mockExchangeRepository.createPending).not.toHaveBeenCalled();
+    });
+
+    it('should reject an exchange at a store using another currency', async () => {
+      mockSaleRepository.findById.mockResolvedValue(originalSale());
+
+      await expect(exchangeUseCases.createExchange({
+        saleId: 42,
+        storeId: 2,
+        reason: 'Wrong size',
+        returnedLines: [{ productId: 1, quantity: 1 }],
+        newLines: [{ productId: 3, quantity: 1 }]
+      })).rejects.toThrow('An exchange must be made in the currency of the original sale');
+    });
+
+    it('should reject a sale that is not refundable', async () => {
+      mockSaleRepository.findById.mockResolvedValue(originalSale([0, 0], 'voided'));
+
+      await expect(exchangeUseCases.createExchange({
+        saleId: 42,
+        reason: 'Wrong size',
+        returnedLines: [{ productId: 1, quantity: 1 }],
+        newLines: [{ productId: 3, quantity: 1 }]
+      })).rejects.toThrow('Sale is not refundable');
+    });
+
+    it('should require returned and new lines', async () => {
+      await expect(exchangeUseCases.createExchange({
+        saleId: 42,
+        reason: 'Wrong size',
+        returnedLines: [],
+        newLines: [{ productId: 3, quantity: 1 }]
+      })).rejects.toThrow('An exchange needs at least one returned line');
+
+      await expect(exchangeUseCases.createExchange({
+        saleId: 42,
+        reason: 'Wrong size',
+        returnedLines: [{ productId: 1, quantity: 1 }],
+        newLines: []
+      })).rejects.toThrow('An exchange needs at least one new line');
+    });
+  });
+
+  describe('retryStockReverts', () => {
+    const unfinished = (id: number, status: 'PENDING' | 'REVERTING' = 'PENDING') =>
+      ({ id, originalSaleId: 42, storeId: 1, userId: 5, status });
+
+    it('should revert the stock of unfinished exchanges and count the reverted ones', async () => {
+      mockExchangeRepository.findUnfinished.mockResolvedValue([unfinished(3), unfinished(4, 'REVERTING')]);
+      mockCatalogService.revertExchangeStock
+        .mockResolvedValueOnce({ success: true })
+        .mockResolvedValueOnce({ success: false, error: 'Catalog unavailable' });
+      const updatedBefore = new Date('2024-01-01T10:00:00Z');
+
+      const reverted = await exchangeUseCases.retryStockReverts(updatedBefore, 50);
+
+      expect(reverted).toBe(1);
+      expect(mockExchangeRepository.findUnfinished).toHaveBeenCalledWith(updatedBefore, 50);
+      expect(mockCatalogService.revertExchangeStock).toHaveBeenCalledWith({ exchangeId: 4, actorId: 5 });
+      expect(mockExchangeRepository.markReverted).toHaveBeenCalledTimes(1);
+      expect(mockExchangeRepository.markReverted).toHaveBeenCalledWith(3);
+    });
+
+    it('should leave the stock of an exchange completed meanwhile', async () => {
+      mockExchangeRepository.findUnfinished.mockResolvedValue([unfinished(3)]);
+      mockExchangeRepository.markReverting.mockResolvedValue(false);
+
+      await expect(exchangeUseCases.retryStockReverts(new Date(), 50)).resolves.toBe(0);
+
+      expect(mockCatalogService.revertExchangeStock).not.toHaveBeenCalled();
+    });
+
+    it('should keep going when reverting one exchange throws', async () => {
+      mockExchangeRepository.findUnfinished.mockResolvedValue([unfinished(3), unfinished(4)]);
+      mockExchangeRepository.markReverting.mockRejectedValueOnce(new Error('Database unavailable'));
+
+      await expect(exchangeUseCases.retryStockReverts(new Date(), 50)).resolves.toBe(1);
+
+      expect(mockExchangeRepository.markReverted).toHaveBeenCalledWith(4);
+    });
+  });
+
+  describe('toExchangeCreatedEvent', () => {
+    it('should describe both sides and the price difference', async () => {
+      mockSaleRepository.findById.mockResolvedValue(originalSale());
+
+      await exchangeUseCases.createExchange({
+        saleId: 42,
+        reason: 'Wrong size',
+        returnedLines: [{ productId: 1, quantity: 2 }],
+        newLines: [{ productId: 3, quantity: 1 }]
+      });
+
+      const events = mockExchangeRepository.saveExchange.mock.calls[0][2]!;
+      const [event] = events(await mockExchangeRepository.saveExchange.mock.results[0].value);
+      expect(event).toEqual(expect.objectContaining({
+        aggregateId: '3',
+        eventType: 'EXCHANGE_CREATED',
+        eventData: {
+          exchangeId: 3,
+          originalSaleId: 42,
+          refundId: 8,
+          saleId: 9,
+          userId: 5,
+          storeId: 1,
+          priceDifference: 5.0,
+          returned: [{ productId: 1, quantity: 2 }],
+          issued: [{ productId: 3, quantity: 1 }]
+        }
+      }));
+    });
+  });
+});
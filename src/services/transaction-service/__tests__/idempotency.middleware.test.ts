@@ -0,0 +1,147 @@
+import express from 'express';
+import request from 'supertest';
+import {
+  createIdempotencyMiddleware,
+  hashRequestBody,
+  IdempotencyRecord,
+  IdempotencyStore
+} from '@shared/infrastructure/http/idempotency.middleware';
+
+type LeasedRecord = IdempotencyRecord & { lockedUntil?: Date };
+
+class InMemoryIdempotencyStore implements IdempotencyStore {
+  readonly records = new Map<string, LeasedRecord>();
+
+  async acquire(scope: string, key: string, requestHash: string, expiresAt: Date, lockedUntil: Date): Promise<IdempotencyRecord | null> {
+    const existing = this.records.get(`${scope}:${key}`);
+    const abandoned = existing?.status === 'IN_PROGRESS' && existing.requestHash === requestHash
+      && existing.lockedUntil !== undefined && existing.lockedUntil <= new Date();
+    if (existing && !abandoned) {
+      return existing;
+    }
+    this.records.set(`${scope}:${key}`, { requestHash, status: 'IN_PROGRESS', lockedUntil });
+    return null;
+  }
+
+  async complete(scope: string, key: string, lockedUntil: Date, responseStatus: number, responseBody: any): Promise<void> {
+    const record = this.records.get(`${scope}:${key}`);
+    if (record?.lockedUntil === lockedUntil) {
+      this.records.set(`${scope}:${key}`, { ...record, status: 'COMPLETED', responseStatus, responseBody, lockedUntil: undefined });
+    }
+  }
+
+  async release(scope: string, key: string, lockedUntil: Date): Promise<void> {
+    if (this.records.get(`${scope}:${key}`)?.lockedUntil === lockedUntil) {
+      this.records.delete(`${scope}:${key}`);
+    }
+  }
+}
+
+describe('Idempotency middleware', () => {
+  let store: InMemoryIdempotencyStore;
+  let handler: jest.Mock;
+  let app: express.Express;
+
+  beforeEach(() => {
+    store = new InMemoryIdempotencyStore();
+    handler = jest.fn((req, res) => res.status(201).json({ id: handler.mock.calls.length, ...req.body }));
+
+    app = express();
+    app.use(express.json());
+    app.post('/api/sales', createIdempotencyMiddleware({ store }), (req, res) => handler(req, res));
+  });
+
+  it('should process requests without a key every time', async () => {
+    await request(app).post('/api/sales').send({ storeId: 1 }).expect(201);
+    await request(app).post('/api/sales').send({ storeId: 1 }).expect(201);
+
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+
+  it('should replay the stored response for a retry with the same key and payload', async () => {
+    const first = await request(app).post('/api/sales').set('Idempotency-Key', 'abc').send({ storeId: 1, userId: 2 });
+    const retry = await request(app).post('/api/sales').set('Idempotency-Key', 'abc').send({ userId: 2, storeId: 1 });
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(retry.status).toBe(201);
+    expect(retry.body).toEqual(first.body);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+  });
+
+  it('should reject a retry with the same key and a different payload', async () => {
+    await request(app).post('/api/sales').set('Idempotency-Key', 'abc').send({ storeId: 1 });
+    const retry = await request(app).post('/api/sales').set('Idempotency-Key', 'abc').send({ storeId: 2 });
+
+    expect(retry.status).toBe(422);
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('should reject a retry while the first request is in progress', async () => {
+    store.records.set('POST /api/sales:abc', {
+      requestHash: hashRequestBody({ storeId: 1 }),
+      status: 'IN_PROGRESS',
+      lockedUntil: new Date(Date.now() + 60000)
+    });
+
+    const retry = await request(app).post('/api/sales').set('Idempotency-Key', 'abc').send({ storeId: 1 });
+
+    expect(retry.status).toBe(409);
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('should let a retry take over a key whose request stopped without answering', async () => {
+    // The replica that claimed the key crashed and its lease has passed
+    store.records.set('POST /api/sales:abc', {
+      requestHash: hashRequestBody({ storeId: 1 }),
+      status: 'IN_PROGRESS',
+      lockedUntil: new Date(Date.now() - 1000)
+    });
+
+    await request(app).post('/api/sales').set('Idempotency-Key', 'abc').send({ storeId: 1 }).expect(201);
+    const retry = await request(app).post('/api/sales').set('Idempotency-Key', 'abc').send({ storeId: 1 });
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+  });
+
+  it('should scope keys to the authenticated user or the client', async () => {
+    const scoped = express();
+    scoped.use(express.json());
+    scoped.use((req, res, next) => {
+      const userId = req.get('X-Test-User');
+      if (userId) {
+        (req as any).user = { id: parseInt(userId, 10), name: 'Cashier', role: 'cashier' };
+      }
+      next();
+    });
+    scoped.post('/api/sales', createIdempotencyMiddleware({ store }), (req, res) => handler(req, res));
+
+    await request(scoped).post('/api/sales').set('Idempotency-Key', 'abc').set('X-Test-User', '1').send({ storeId: 1 }).expect(201);
+    await request(scoped).post('/api/sales').set('Idempotency-Key', 'abc').set('X-Test-User', '2').send({ storeId: 1 }).expect(201);
+    await request(scoped).post('/api/sales').set('Idempotency-Key', 'abc').set('X-Client-Id', 'till-4').send({ storeId: 1 }).expect(201);
+    const retry = await request(scoped).post('/api/sales').set('Idempotency-Key', 'abc').set('X-Test-User', '2').send({ storeId: 1 });
+
+    expect(handler).toHaveBeenCalledTimes(3);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect([...store.records.keys()]).toEqual([
+      'POST /api/sales user:1:abc', 'POST /api/sales user:2:abc', 'POST /api/sales client:till-4:abc'
+    ]);
+  });
+
+  it('should release the key when the request fails with a server error', async () => {
+    handler.mockImplementationOnce((req, res) => res.status(500).json({ error: 'Internal server error' }));
+
+    await request(app).post('/api/sales').set('Idempotency-Key', 'abc').send({ storeId: 1 }).expect(500);
+    await request(app).post('/api/sales').set('Idempotency-Key', 'abc').send({ storeId: 1 }).expect(201);
+
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+
+  it('should process the request when the store is unavailable', async () => {
+    jest.spyOn(store, 'acquire').mockRejectedValueOnce(new Error('Database unavailable'));
+
+    await request(app).post('/api/sales').set('Idempotency-Key', 'abc').send({ storeId: 1 }).expect(201);
+
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,70 @@
+import { Money } from '@shared/domain/value-objects/money.vo';
+import { ExchangeRates } from '@shared/domain/value-objects/exchange-rates.vo';
+
+describe('Money', () => {
+  it('should hold amounts as whole cents', () => {
+    expect(Money.of(19.99).getCents()).toBe(1999);
+    expect(Money.of('12.30').getAmount()).toBe(12.3);
+    expect(Money.of(0.1).add(Money.of(0.2)).getAmount()).toBe(0.3);
+  });
+
+  it('should round half cents to the even cent by default', () => {
+    expect(Money.of(0.285).getCents()).toBe(28);
+    expect(Money.of(0.295).getCents()).toBe(30);
+    expect(Money.of(4.5).multiply(0.05).getAmount()).toBe(0.22);
+    expect(Money.of(4.5).multiply(0.05, 'HALF_UP').getAmount()).toBe(0.23);
+    expect(Money.of(-4.5).multiply(0.05, 'HALF_UP').getAmount()).toBe(-0.23);
+  });
+
+  it('should multiply by quantities and rates', () => {
+    expect(Money.of(19.99).multiply(3).getAmount()).toBe(59.97);
+    expect(Money.of(59.97).multiply(0.09975).getAmount()).toBe(5.98);
+  });
+
+  it('should allocate without losing a cent', () => {
+    const parts = Money.of(10).allocate([1, 1, 1]);
+
+    expect(parts.map(part => part.getAmount())).toEqual([3.34, 3.33, 3.33]);
+    expect(Money.sum(parts).getAmount()).toBe(10);
+    expect(Money.of(0.05).allocate([70, 30]).map(part => part.getAmount())).toEqual([0.04, 0.01]);
+    expect(Money.of(-1).split(3).map(part => part.getAmount())).toEqual([-0.34, -0.33, -0.33]);
+  });
+
+  it.each([
+    [[], 'At least one ratio is required to allocate money'],
+    [[1, -1], 'Ratios must be non-negative numbers'],
+    [[0, 0], 'Cannot allocate money over ratios adding up to zero']
+  ])('should reject invalid ratios %#', (ratios, message) => {
+    expect(() => Money.of(10).allocate(ratios)).toThrow(message);
+  });
+
+  it('should not mix currencies', () => {
+    expect(() => Money.of(10, 'CAD').add(Money.of(10, 'USD'))).toThrow('Cannot add money with different currencies');
+    expect(Money.of(10, 'CAD').equals(Money.of(10, 'USD'))).toBe(false);
+  });
+
+  it('should convert between currencies to the cent', () => {
+    expect(Money.of(29.98, 'USD').convert('CAD', 1.37).getAmount()).toBe(41.07);
+    expect(Money.of(10, 'CAD').convert('CAD', 1.37).getAmount()).toBe(10);
+    expect(() => Money.of(10).convert('USD', 0)).toThrow('Exchange rate must be a positive number, got 0');
+  });
+
+  it('should add up amounts per currency', () => {
+    expect(Money.sumByCurrency([Money.of(1.1, 'CAD'), Money.of(2, 'USD'), Money.of(2.2, 'CAD')]))
+      .toEqual({ CAD: 3.3, USD: 2 });
+  });
+
+  it('should convert through the base currency of an exchange rate table', () => {
+    const rates = new ExchangeRates({ USD: 1.25, EUR: 1.5 }, 'CAD');
+
+    expect(rates.getRate('USD', 'CAD')).toBe(1.25);
+    expect(rates.convert(Money.of(16, 'CAD'), 'USD').getAmount()).toBe(12.8);
+    expect(rates.convert(Money.of(10, 'EUR'), 'USD').getAmount()).toBe(12);
+    expect(() => rates.convert(Money.of(10), 'MXN')).toThrow('No exchange rate configured for MXN');
+  });
+
+  it('should format amounts for display', () => {
+    expect(Money.of(1234.5).format()).toBe('$1,234.50');
+    expect(Money.of(19.9).toString()).toBe('19.90');
+  });
+});
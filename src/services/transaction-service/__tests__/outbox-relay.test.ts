@@ -0,0 +1,236 @@
+import {
+  OutboxRelay,
+  OUTBOX_DISPATCHED,
+  OUTBOX_DISPATCHING,
+  OUTBOX_FAILED,
+  OUTBOX_PENDING,
+  writeToOutbox
+} from '@shared/infrastructure/messaging/outbox';
+import { IDatabaseManager } from '@shared/infrastructure/database/database-manager';
+
+type OutboxRow = {
+  id: number;
+  aggregateId: string;
+  eventType: string;
+  status: string;
+  attempts: number;
+  lastError?: string;
+  claimedAt: Date | null;
+  payload: any;
+};
+
+/**
+ * In-memory Outbox table understanding the queries of the relay. Transactions run one
+ * at a time, as the advisory lock taken by the claim makes them do.
+ */
+const createOutboxTable = (initial: OutboxRow[]) => {
+  const rows = initial.map(row => ({ ...row }));
+
+  const matches = (row: OutboxRow, where: any): boolean => Object.entries(where ?? {}).every(([key, condition]: [string, any]) => {
+    if (key === 'OR') {
+      return condition.some((alternative: any) => matches(row, alternative));
+    }
+    const value = (row as any)[key];
+    if (condition !== null && typeof condition === 'object' && !(condition instanceof Date)) {
+      if ('in' in condition) return condition.in.includes(value);
+      if ('notIn' in condition) return !condition.notIn.includes(value);
+      if ('gt' in condition) return value !== null && value > condition.gt;
+      if ('lte' in condition) return value !== null && value <= condition.lte;
+    }
+    return value === condition;
+  });
+
+  const apply = (row: OutboxRow, data: any) => {
+    for (const [key, value] of Object.entries(data)) {
+      (row as any)[key] = value !== null && typeof value === 'object' && 'increment' in (value as any)
+        ? (row as any)[key] + (value as any).increment
+        : value;
+    }
+  };
+
+  const outbox = {
+    findMany: jest.fn(async (args: any) => {
+      let found = rows.filter(row => matches(row, args.where)).sort((a, b) => a.id - b.id);
+      if (args.distinct) {
+        found = found.filter((row, index) => found.findIndex(other => other.aggregateId === row.aggregateId) === index);
+      }
+      return found.slice(0, args.take ?? found.length).map(row => ({ ...row }));
+    }),
+    update: jest.fn(async (args: any) => {
+      const row = rows.find(candidate => candidate.id === args.where.id)!;
+      apply(row, args.data);
+      return { ...row };
+    }),
+    updateMany: jest.fn(async (args: any) => {
+      const found = rows.filter(row => matches(row, args.where));
+      found.forEach(row => apply(row, args.data));
+      return { count: found.length };
+    }),
+    createMany: jest.fn()
+  };
+
+  let lock: Promise<unknown> = Promise.resolve();
+  const client: any = {
+    outbox,
+    $executeRaw: jest.fn(),
+    $transaction: jest.fn((operation: (tx: any) => Promise<unknown>): Promise<unknown> => {
+      const result: Promise<unknown> = lock.then(() => operation(client));
+      lock = result.catch(() => undefined);
+      return result;
+    })
+  };
+
+  const databaseManager = { getClient: jest.fn(() => client) } as unknown as IDatabaseManager;
+  return { rows, outbox, databaseManager };
+};
+
+const outboxRow = (id: number, eventType: string, attempts: number = 0, aggregateId: string = `${id}`): OutboxRow => ({
+  id,
+  aggregateId,
+  eventType,
+  status: OUTBOX_PENDING,
+  attempts,
+  claimedAt: null,
+  payload: {
+    aggregateId,
+    eventType,
+    occurredOn: '2024-01-01T00:00:00.000Z',
+    eventData: { saleId: id }
+  }
+});
+
+describe('Transactional outbox', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('writeToOutbox', () => {
+    it('should store events as pending rows', async () => {
+      const { outbox } = createOutboxTable([]);
+      const occurredOn = new Date('2024-01-01');
+
+      await writeToOutbox({ outbox } as any, [
+        { aggregateId: '1', eventType: 'SALE_CREATED', occurredOn, eventData: { saleId: 1 } }
+      ]);
+
+      expect(outbox.createMany).toHaveBeenCalledWith({
+        data: [expect.objectContaining({
+          aggregateId: '1',
+          eventType: 'SALE_CREATED',
+          occurredOn,
+          status: 'PENDING'
+        })]
+      });
+    });
+
+    it('should skip the write when there are no events', async () => {
+      const { outbox } = createOutboxTable([]);
+
+      await writeToOutbox({ outbox } as any, []);
+
+      expect(outbox.createMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('OutboxRelay', () => {
+    it('should publish pending rows in order and mark them dispatched', async () => {
+      const { rows, databaseManager } = createOutboxTable([outboxRow(1, 'SALE_CREATED'), outboxRow(2, 'REFUND_CREATED')]);
+      const publisher = jest.fn();
+      const relay = new OutboxRelay(databaseManager, { publisher });
+
+      const dispatched = await relay.dispatchPending();
+
+      expect(dispatched).toBe(2);
+      expect(publisher.mock.calls.map(call => call[0].eventType)).toEqual(['SALE_CREATED', 'REFUND_CREATED']);
+      expect(publisher.mock.calls[0][0].occurredOn).toEqual(new Date('2024-01-01T00:00:00.000Z'));
+      expect(rows.map(row => row.status)).toEqual([OUTBOX_DISPATCHED, OUTBOX_DISPATCHED]);
+    });
+
+    it('should return the row and the rest of the batch to pending and stop when publishing fails', async () => {
+      const { rows, databaseManager } = createOutboxTable([outboxRow(1, 'SALE_CREATED'), outboxRow(2, 'REFUND_CREATED')]);
+      const publisher = jest.fn().mockRejectedValueOnce(new Error('Broker unavailable'));
+      const relay = new OutboxRelay(databaseManager, { publisher });
+
+      const dispatched = await relay.dispatchPending();
+
+      expect(dispatched).toBe(0);
+      expect(publisher).toHaveBeenCalledTimes(1);
+      expect(rows[0]).toEqual(expect.objectContaining({
+        status: OUTBOX_PENDING, attempts: 1, lastError: 'Broker unavailable', claimedAt: null
+      }));
+      expect(rows[1]).toEqual(expect.objectContaining({ status: OUTBOX_PENDING, attempts: 0, claimedAt: null }));
+    });
+
+    it('should mark a row failed and continue the batch once its attempts are exhausted', async () => {
+      const { rows, databaseManager } = createOutboxTable([outboxRow(1, 'SALE_CREATED', 2), outboxRow(2, 'REFUND_CREATED')]);
+      const publisher = jest.fn().mockRejectedValueOnce(new Error('Malformed event'));
+      const relay = new OutboxRelay(databaseManager, { publisher, maxAttempts: 3 });
+
+      const dispatched = await relay.dispatchPending();
+
+      expect(dispatched).toBe(1);
+      expect(publisher).toHaveBeenCalledTimes(2);
+      expect(rows[0]).toEqual(expect.objectContaining({ status: OUTBOX_FAILED, attempts: 3, lastError: 'Malformed event' }));
+      expect(rows[1].status).toBe(OUTBOX_DISPATCHED);
+    });
+
+    it('should publish every row once when two relays poll the same outbox', async () => {
+      const { rows, databaseManager } = createOutboxTable([
+        outboxRow(1, 'SALE_CREATED', 0, 'sale-1'),
+        outboxRow(2, 'SALE_CREATED', 0, 'sale-2'),
+        outboxRow(3, 'REFUND_CREATED', 0, 'sale-1'),
+        outboxRow(4, 'REFUND_CREATED', 0, 'sale-2'),
+        outboxRow(5, 'SALE_CREATED', 0, 'sale-3')
+      ]);
+      const published: Array<{ relay: string; id: number; aggregateId: string }> = [];
+      const publisherOf = (relay: string) => async (event: any) => {
+        // Yield between publishes so the two relays interleave
+        await new Promise(resolve => setImmediate(resolve));
+        published.push({ relay, id: event.eventData.saleId, aggregateId: event.aggregateId });
+      };
+      const first = new OutboxRelay(databaseManager, { publisher: publisherOf('first'), batchSize: 2 });
+      const second = new OutboxRelay(databaseManager, { publisher: publisherOf('second'), batchSize: 2 });
+
+      while (rows.some(row => row.status !== OUTBOX_DISPATCHED)) {
+        await Promise.all([first.dispatchPending(), second.dispatchPending()]);
+      }
+
+      expect(published.map(event => event.id).sort()).toEqual([1, 2, 3, 4, 5]);
+      expect(new Set(published.map(event => event.relay))).toEqual(new Set(['first', 'second']));
+      // Events of one aggregate keep their insertion order
+      for (const aggregateId of ['sale-1', 'sale-2']) {
+        const ids = published.filter(event => event.aggregateId === aggregateId).map(event => event.id);
+        expect(ids).toEqual([...ids].sort((a, b) => a - b));
+      }
+    });
+
+    it('should claim again the rows of a relay whose claim expired', async () => {
+      const stale = { ...outboxRow(1, 'SALE_CREATED'), status: OUTBOX_DISPATCHING, claimedAt: new Date(Date.now() - 120000) };
+      const { rows, databaseManager } = createOutboxTable([stale, outboxRow(2, 'REFUND_CREATED', 0, '1')]);
+      const publisher = jest.fn();
+      const relay = new OutboxRelay(databaseManager, { publisher, claimTimeout: 60000 });
+
+      const dispatched = await relay.dispatchPending();
+
+      expect(dispatched).toBe(2);
+      expect(rows.map(row => row.status)).toEqual([OUTBOX_DISPATCHED, OUTBOX_DISPATCHED]);
+    });
+
+    it('should leave the rows of an aggregate another relay is publishing', async () => {
+      const inFlight = { ...outboxRow(1, 'SALE_CREATED'), status: OUTBOX_DISPATCHING, claimedAt: new Date() };
+      const { rows, databaseManager } = createOutboxTable([
+        inFlight,
+        outboxRow(2, 'REFUND_CREATED', 0, '1'),
+        outboxRow(3, 'SALE_CREATED')
+      ]);
+      const publisher = jest.fn();
+      const relay = new OutboxRelay(databaseManager, { publisher });
+
+      const dispatched = await relay.dispatchPending();
+
+      expect(dispatched).toBe(1);
+      expect(publisher.mock.calls.map(call => call[0].aggregateId)).toEqual(['3']);
+      expect(rows[1].status).toBe(OUTBOX_PENDING);
+    });
+  });
+});
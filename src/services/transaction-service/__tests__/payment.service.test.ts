@@ -0,0 +1,136 @@
+import { PaymentService } from '../domain/services/payment.service';
+import { Payment } from '../domain/entities/payment.entity';
+import { RefundPayment } from '../domain/entities/refund-payment.entity';
+import { IPaymentRepository } from '../domain/repositories/payment.repository';
+import { FakePaymentProvider } from '../infrastructure/services/fake-payment-provider';
+import { createPaymentProvider } from '../infrastructure/services/payment-provider.factory';
+
+const mockPaymentRepository: jest.Mocked<IPaymentRepository> = {
+  findBySaleId: jest.fn(),
+  addRefundedAmount: jest.fn(),
+  updateRefundPayment: jest.fn(),
+};
+
+describe('PaymentService', () => {
+  let paymentService: PaymentService;
+
+  beforeEach(() => {
+    paymentService = new PaymentService(mockPaymentRepository, new FakePaymentProvider());
+  });
+
+  describe('planTenders', () => {
+    it('should give the change from the last cash tenders', () => {
+      const plan = paymentService.planTenders(15.0, [
+        { method: 'CASH', amount: 20.0 },
+        { method: 'CASH', amount: 10.0 }
+      ]);
+
+      expect(plan.changeDue).toBe(15.0);
+      expect(plan.tenders).toEqual([
+        expect.objectContaining({ method: 'CASH', amount: 15.0, tendered: 20.0, changeDue: 5.0 }),
+        expect.objectContaining({ method: 'CASH', amount: 0, tendered: 10.0, changeDue: 10.0 })
+      ]);
+    });
+
+    it('should split totals to the cent', () => {
+      const plan = paymentService.planTenders(0.3, [
+        { method: 'CARD', amount: 0.1 },
+        { method: 'CASH', amount: 0.2 }
+      ]);
+
+      expect(plan.changeDue).toBe(0);
+      expect(plan.tenders.map(tender => tender.amount)).toEqual([0.1, 0.2]);
+    });
+
+    it.each([
+      [[], 'At least one payment is required'],
+      [[{ method: 'CHEQUE', amount: 10.0 }], 'Unknown payment method CHEQUE'],
+      [[{ method: 'CASH', amount: 0 }], 'Payment amount must be positive, got 0'],
+      [[{ method: 'GIFT_CARD', amount: 10.0 }], 'A gift card number is required for gift card payments']
+    ])('should reject invalid tenders %#', (tenders, message) => {
+      expect(() => paymentService.planTenders(10.0, tenders)).toThrow(message);
+    });
+  });
+
+  describe('allocateRefund', () => {
+    const payments = [
+      new Payment(1, 42, 'CARD', 10.0, 10.0),
+      new Payment(2, 42, 'GIFT_CARD', 10.0, 10.0),
+      new Payment(3, 42, 'CASH', 10.0, 10.0)
+    ];
+
+    it('should hand out the rounding cents so the split adds up to the refund', () => {
+      const allocations = paymentService.allocateRefund(payments, 10.0);
+
+      expect(allocations.map(allocation => allocation.amount)).toEqual([3.34, 3.33, 3.33]);
+    });
+
+    it('should skip tenders with nothing left to refund', () => {
+      const allocations = paymentService.allocateRefund([
+        new Payment(1, 42, 'CARD', 10.0, 10.0, 0, 10.0),
+        new Payment(2, 42, 'CASH', 10.0, 10.0)
+      ], 4.0);
+
+      expect(allocations).toEqual([{ paymentId: 2, method: 'CASH', amount: 4.0, paymentAmount: 10.0 }]);
+    });
+
+    it('should not refund more than the payments have left', () => {
+      expect(() => paymentService.allocateRefund(payments, 31.0))
+        .toThrow('Cannot refund 31: only 30 remains refundable on the sale payments');
+    });
+
+    it('should not allocate anything for sales recorded without payments', () => {
+      expect(paymentService.allocateRefund([], 10.0)).toEqual([]);
+    });
+
+    it('should reject overrides naming payments of another sale', () => {
+      expect(() => paymentService.allocateRefund(payments, 10.0, [{ paymentId: 9, amount: 10.0 }]))
+        .toThrow('Payment 9 is not a payment of this sale');
+    });
+  });
+
+  describe('without a payment provider', () => {
+    beforeEach(() => {
+      paymentService = new PaymentService(mockPaymentRepository, null);
+    });
+
+    it('should only accept cash tenders', () => {
+      expect(paymentService.planTenders(10.0, [{ method: 'CASH', amount: 20.0 }]).changeDue).toBe(10.0);
+      expect(() => paymentService.planTenders(10.0, [{ method: 'CARD', amount: 10.0 }]))
+        .toThrow('CARD payments are not accepted: no payment provider is configured');
+      expect(() => paymentService.planTenders(10.0, [{ method: 'GIFT_CARD', amount: 10.0, giftCardNumber: '6001234' }]))
+        .toThrow('GIFT_CARD payments are not accepted');
+    });
+
+    it('should mark refunds to card payments as failed, to be settled manually', async () => {
+      const payment = new Payment(1, 42, 'CARD', 10.0, 10.0, 0, 0, 'ref_1');
+      mockPaymentRepository.updateRefundPayment.mockImplementationOnce(async (id, data) =>
+        new RefundPayment(id, 7, 1, 'CARD', 10.0, data.status, data.providerReference)
+      );
+
+      const [result] = await paymentService.refundTenders([new RefundPayment(5, 7, 1, 'CARD', 10.0)], [payment]);
+
+      expect(result.status).toBe('FAILED');
+    });
+  });
+});
+
+describe('createPaymentProvider', () => {
+  it('should configure no provider by default', () => {
+    expect(createPaymentProvider({})).toBeNull();
+    expect(createPaymentProvider({ PAYMENT_PROVIDER: 'none' })).toBeNull();
+  });
+
+  it('should give the fake provider its gift cards outside production', () => {
+    const provider = createPaymentProvider({ PAYMENT_PROVIDER: 'fake', FAKE_GIFT_CARD_BALANCES: '6001234=50, 6005678=20' });
+
+    expect(provider).toBeInstanceOf(FakePaymentProvider);
+    expect((provider as FakePaymentProvider).getGiftCardBalance('6001234')).toBe(50);
+  });
+
+  it('should refuse the fake provider in production and unknown providers', () => {
+    expect(() => createPaymentProvider({ PAYMENT_PROVIDER: 'fake', NODE_ENV: 'production' }))
+      .toThrow('cannot be used in production');
+    expect(() => createPaymentProvider({ PAYMENT_PROVIDER: 'stripe' })).toThrow('Unknown PAYMENT_PROVIDER stripe');
+  });
+});
@@ -0,0 +1,138 @@
+import { ReceiptRenderer } from '../infrastructure/receipts/receipt-renderer';
+import { code128Modules, encodeCode128 } from '../infrastructure/receipts/code128';
+import { ReceiptDTO } from '../application/dtos/receipt.dto';
+
+const saleReceipt = (overrides: Partial<ReceiptDTO> = {}): ReceiptDTO => ({
+  type: 'sale',
+  id: 42,
+  saleId: 42,
+  date: new Date('2024-03-05T14:32:00Z'),
+  status: 'active',
+  store: { id: 1, name: 'Downtown Store', address: '123 Main St' },
+  currency: 'CAD',
+  lines: [
+    { productId: 1, productName: 'Wireless Mouse', quantity: 2, unitPrice: 10.0, lineTotal: 20.0 },
+    { productId: 2, productName: 'Laptop stand with adjustable height and a very long name indeed', quantity: 1, unitPrice: 10.0, lineTotal: 10.0 }
+  ],
+  subtotal: 30.0,
+  taxes: [{ code: 'GST', name: 'GST', rate: 5, amount: 1.5 }],
+  taxTotal: 1.5,
+  total: 31.5,
+  tenders: [{ method: 'CASH', amount: 31.5, tendered: 40.0 }],
+  changeDue: 8.5,
+  barcode: '42',
+  ...overrides
+});
+
+describe('Code 128', () => {
+  it('should pack digits two per symbol, with the check symbol before the stop', () => {
+    // Start C (105) + 42 * 1 = 147, 147 mod 103 = 44
+    expect(encodeCode128('42')).toEqual([105, 42, 44, 106]);
+    // An odd digit out switches to code set B
+    expect(encodeCode128('123')).toEqual([105, 12, 100, 19, 65, 106]);
+    expect(encodeCode128('A-1')).toEqual([104, 33, 13, 17, 8, 106]);
+  });
+
+  it('should draw 11 modules per symbol and 13 for the stop, starting and ending with a bar', () => {
+    const modules = code128Modules('42');
+
+    expect(modules).toHaveLength(3 * 11 + 13);
+    expect(modules[0]).toBe(true);
+    expect(modules[modules.length - 1]).toBe(true);
+  });
+
+  it('should reject values outside printable ASCII', () => {
+    expect(() => encodeCode128('')).toThrow('Cannot encode "" as a Code 128 barcode');
+    expect(() => encodeCode128('café')).toThrow('printable ASCII characters are required');
+  });
+});
+
+describe('ReceiptRenderer', () => {
+  const renderer = new ReceiptRenderer();
+
+  describe('renderText', () => {
+    it('should fit every line in 80 columns', () => {
+      const lines = renderer.renderText(saleReceipt()).split('\n');
+
+      expect(Math.max(...lines.map(line => line.length))).toBeLessThanOrEqual(80);
+    });
+
+    it('should list the store, lines, taxes and tenders', () => {
+      const text = renderer.renderText(saleReceipt());
+
+      expect(text).toContain('Downtown Store');
+      expect(text).toContain('SALE #42');
+      expect(text).toContain('2024-03-05 14:32 UTC');
+      expect(text).toMatch(/  2  Wireless Mouse +10\.00 +20\.00\n/);
+      expect(text).toMatch(/\n     long name indeed\n/);
+      expect(text).toMatch(/GST 5% +1\.50\n/);
+      expect(text).toMatch(/TOTAL \(CAD\) +31\.50\n/);
+      expect(text).toMatch(/CASH tendered +40\.00\n/);
+      expect(text).toMatch(/Change +8\.50\n/);
+    });
+
+    it('should draw the barcode and print the sale ID under it', () => {
+      const lines = renderer.renderText(saleReceipt()).trimEnd().split('\n');
+
+      expect(lines[lines.length - 1].trim()).toBe('42');
+      expect(lines[lines.length - 2]).toMatch(/[█▌▐]/);
+    });
+
+    it('should name the refunded sale and the reason on refund receipts', () => {
+      const text = renderer.renderText(saleReceipt({
+        type: 'refund',
+        id: 7,
+        reason: 'Defective',
+        tenders: [{ method: 'GIFT_CARD', amount: 31.5, status: 'PENDING' }],
+        changeDue: 0
+      }));
+
+      expect(text).toContain('REFUND #7');
+      expect(text).toContain('Refund of sale #42');
+      expect(text).toContain('Reason: Defective');
+      expect(text).toContain('REFUNDED TO');
+      expect(text).toMatch(/GIFT CARD \(PENDING\) +31\.50\n/);
+    });
+  });
+
+  describe('renderHtml', () => {
+    it('should escape catalog text and embed the barcode as SVG', () => {
+      const html = renderer.renderHtml(saleReceipt({ store: { id: 1, name: 'Bits & <Bytes>' } }));
+
+      expect(html).toContain('<h1>Bits &amp; &lt;Bytes&gt;</h1>');
+      expect(html).toContain('<svg');
+      expect(html).toContain('aria-label="Barcode 42"');
+      expect(html).toContain('<title>Sale #42</title>');
+    });
+  });
+
+  describe('renderPdf', () => {
+    it('should produce a PDF with the receipt text and the barcode bars', () => {
+      const pdf = renderer.renderPdf(saleReceipt()).toString('latin1');
+
+      expect(pdf.startsWith('%PDF-1.4\n')).toBe(true);
+      expect(pdf.trimEnd().endsWith('%%EOF')).toBe(true);
+      expect(pdf).toContain('(SALE #42');
+      expect(pdf).toMatch(/ re f\n/);
+    });
+
+    it('should point the cross-reference table at every object', () => {
+      const pdf = renderer.renderPdf(saleReceipt()).toString('latin1');
+      const offsets = Array.from(pdf.matchAll(/^(\d{10}) 00000 n $/gm), match => Number(match[1]));
+
+      expect(offsets).toHaveLength(5);
+      offsets.forEach((offset, index) => expect(pdf.slice(offset)).toMatch(new RegExp(`^${index + 1} 0 obj`)));
+      const startxref = Number(pdf.match(/startxref\n(\d+)/)![1]);
+      expect(pdf.slice(startxref).startsWith('xref')).toBe(true);
+    });
+  });
+
+  it('should render each format with its content type', () => {
+    expect(renderer.render(saleReceipt(), 'pdf')).toEqual(expect.objectContaining({
+      contentType: 'application/pdf',
+      fileName: 'receipt-sale-42.pdf'
+    }));
+    expect(renderer.render(saleReceipt(), 'text').contentType).toBe('text/plain; charset=utf-8');
+    expect(renderer.render(saleReceipt(), 'html').contentType).toBe('text/html; charset=utf-8');
+  });
+});
@@ -0,0 +1,144 @@
+import { ReceiptUseCases } from '../application/use-cases/receipt.use-cases';
+import { ISaleRepository } from '../domain/repositories/sale.repository';
+import { IRefundRepository } from '../domain/repositories/refund.repository';
+import { IPaymentRepository } from '../domain/repositories/payment.repository';
+import { PaymentService } from '../domain/services/payment.service';
+import { FakePaymentProvider } from '../infrastructure/services/fake-payment-provider';
+import { Sale } from '../domain/entities/sale.entity';
+import { SaleLine } from '../domain/entities/sale-line.entity';
+import { Refund } from '../domain/entities/refund.entity';
+import { RefundLine } from '../domain/entities/refund-line.entity';
+import { RefundPayment } from '../domain/entities/refund-payment.entity';
+import { Payment } from '../domain/entities/payment.entity';
+import { ICrossDomainQueries } from '@shared/infrastructure/database/cross-domain-queries';
+
+const mockSaleRepository = {
+  findById: jest.fn(),
+} as jest.Mocked<Partial<ISaleRepository>> as jest.Mocked<ISaleRepository>;
+
+const mockRefundRepository = {
+  findById: jest.fn(),
+} as jest.Mocked<Partial<IRefundRepository>> as jest.Mocked<IRefundRepository>;
+
+const mockPaymentRepository: jest.Mocked<IPaymentRepository> = {
+  findBySaleId: jest.fn(),
+  addRefundedAmount: jest.fn(),
+  updateRefundPayment: jest.fn(),
+};
+
+const mockCrossDomainQueries = {
+  getStoreDetails: jest.fn(),
+  getProductDetails: jest.fn(),
+} as Partial<ICrossDomainQueries> as jest.Mocked<ICrossDomainQueries>;
+
+const gst = { code: 'GST', name: 'GST', rate: 5, amount: 1.0 };
+
+describe('ReceiptUseCases', () => {
+  let receiptUseCases: ReceiptUseCases;
+
+  beforeEach(() => {
+    const paymentService = new PaymentService(mockPaymentRepository, new FakePaymentProvider());
+    receiptUseCases = new ReceiptUseCases(mockSaleRepository, mockRefundRepository, paymentService, mockCrossDomainQueries);
+
+    mockCrossDomainQueries.getStoreDetails.mockResolvedValue({ id: 1, name: 'Downtown Store', address: '123 Main St', currency: 'CAD' });
+    // Product 2 was deleted from the catalog
+    mockCrossDomainQueries.getProductDetails.mockImplementation(async (productId) =>
+      productId === 2 ? null : { id: productId, name: 'Wireless Mouse', price: 10.0, taxCategory: 'STANDARD', prices: {}, variants: [] }
+    );
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getSaleReceipt', () => {
+    it('should list the lines with product names, the taxes and the tenders', async () => {
+      mockSaleRepository.findById.mockResolvedValue(
+        new Sale(42, new Date('2024-03-05T14:32:00Z'), 31.0, 'active', 1, 1, [
+          new SaleLine(1, 2, 10.0, 42, 100, 10.0, 0, [gst]),
+          new SaleLine(2, 1, 10.0, 42, 101)
+        ])
+      );
+      mockPaymentRepository.findBySaleId.mockResolvedValue([
+        new Payment(1, 42, 'CARD', 20.0, 20.0),
+        new Payment(2, 42, 'CASH', 11.0, 20.0, 9.0)
+      ]);
+
+      const receipt = await receiptUseCases.getSaleReceipt(42);
+
+      expect(receipt).toEqual({
+        type: 'sale',
+        id: 42,
+        saleId: 42,
+        date: new Date('2024-03-05T14:32:00Z'),
+        status: 'active',
+        store: { id: 1, name: 'Downtown Store', address: '123 Main St' },
+        currency: 'CAD',
+        lines: [
+          { productId: 1, productName: 'Wireless Mouse', quantity: 2, unitPrice: 10.0, lineTotal: 20.0 },
+          { productId: 2, productName: 'Product 2', quantity: 1, unitPrice: 10.0, lineTotal: 10.0 }
+        ],
+        subtotal: 30.0,
+        taxes: [gst],
+        taxTotal: 1.0,
+        total: 31.0,
+        tenders: [
+          { method: 'CARD', amount: 20.0, tendered: 20.0 },
+          { method: 'CASH', amount: 11.0, tendered: 20.0 }
+        ],
+        changeDue: 9.0,
+        barcode: '42'
+      });
+      expect(mockCrossDomainQueries.getStoreDetails).toHaveBeenCalledWith(1, 'transaction-service');
+    });
+
+    it('should throw error when sale not found', async () => {
+      mockSaleRepository.findById.mockResolvedValue(null);
+
+      await expect(receiptUseCases.getSaleReceipt(999)).rejects.toThrow('Sale not found');
+    });
+  });
+
+  describe('getRefundReceipt', () => {
+    it('should carry the refunded sale ID in the barcode and list where the money went', async () => {
+      mockRefundRepository.findById.mockResolvedValue(
+        new Refund(7, new Date('2024-03-06T09:00:00Z'), 10.5, 42, 1, 1,
+          [new RefundLine(1, 1, 10.0, 7, undefined, 100, [{ ...gst, amount: 0.5 }])],
+          'Defective', [new RefundPayment(1, 7, 1, 'CARD', 10.5, 'COMPLETED')])
+      );
+
+      const receipt = await receiptUseCases.getRefundReceipt(7);
+
+      expect(receipt).toEqual(expect.objectContaining({
+        type: 'refund',
+        id: 7,
+        saleId: 42,
+        reason: 'Defective',
+        lines: [{ productId: 1, productName: 'Wireless Mouse', quantity: 1, unitPrice: 10.0, lineTotal: 10.0 }],
+        subtotal: 10.0,
+        taxTotal: 0.5,
+        total: 10.5,
+        tenders: [{ method: 'CARD', amount: 10.5, status: 'COMPLETED' }],
+        changeDue: 0,
+        barcode: '42'
+      }));
+    });
+
+    it('should carry the refund ID in the barcode of a return without a receipt', async () => {
+      mockRefundRepository.findById.mockResolvedValue(
+        new Refund(8, new Date('2024-03-06T09:00:00Z'), 10.0, null, 1, 1,
+          [new RefundLine(1, 1, 10.0, 8)], 'No receipt', [], 'CAD', 10.0, 'BLIND', 5)
+      );
+
+      const receipt = await receiptUseCases.getRefundReceipt(8);
+
+      expect(receipt).toEqual(expect.objectContaining({ saleId: null, approvedBy: 5, tenders: [], barcode: 'R8' }));
+    });
+
+    it('should throw error when refund not found', async () => {
+      mockRefundRepository.findById.mockResolvedValue(null);
+
+      await expect(receiptUseCases.getRefundReceipt(999)).rejects.toThrow('Refund not found');
+    });
+  });
+});
@@ -0,0 +1,150 @@
+import { RedisStreamsEventTransport } from '@shared/infrastructure/messaging/redis-streams-transport';
+import { EventBus, InMemoryEventTransport } from '@shared/infrastructure/messaging/event-bus';
+import { RedisClient } from '@shared/infrastructure/caching/redis-client';
+
+const mockRedis = {
+  xAdd: jest.fn(),
+  xGroupCreate: jest.fn(),
+  xReadGroup: jest.fn(),
+  xAck: jest.fn(),
+  xAutoClaim: jest.fn(),
+  xPendingRange: jest.fn(),
+};
+
+const mockRedisClient = { redisClient: mockRedis } as unknown as RedisClient;
+
+const streamMessage = (id: string, data: any) => ({ id, message: { data: JSON.stringify(data) } });
+
+describe('Event bus transports', () => {
+  let transport: RedisStreamsEventTransport;
+
+  beforeEach(() => {
+    transport = new RedisStreamsEventTransport(mockRedisClient, {
+      group: 'catalog-service',
+      consumer: 'catalog-1',
+      streamPrefix: 'events:',
+      maxDeliveries: 3,
+      maxStreamLength: 1000
+    });
+
+    mockRedis.xGroupCreate.mockResolvedValue('OK');
+    mockRedis.xAutoClaim.mockResolvedValue({ nextId: '0-0', messages: [], deletedMessages: [] });
+    mockRedis.xReadGroup.mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('InMemoryEventTransport', () => {
+    it('should deliver published events to subscribers', async () => {
+      const bus = new EventBus(new InMemoryEventTransport());
+      const listener = jest.fn();
+      bus.subscribe('SALE_CREATED', listener);
+
+      await bus.publish('SALE_CREATED', { saleId: 1 });
+
+      expect(listener).toHaveBeenCalledWith({ saleId: 1 });
+    });
+  });
+
+  describe('RedisStreamsEventTransport', () => {
+    it('should publish events to the stream of their name', async () => {
+      await transport.publish('SALE_CREATED', { saleId: 1 });
+
+      expect(mockRedis.xAdd).toHaveBeenCalledWith('events:SALE_CREATED', '*', { data: '{"saleId":1}' }, {
+        TRIM: { strategy: 'MAXLEN', strategyModifier: '~', threshold: 1000 }
+      });
+    });
+
+    it('should create the consumer group on subscribe and tolerate an existing group', async () => {
+      mockRedis.xGroupCreate.mockRejectedValueOnce(new Error('BUSYGROUP Consumer Group name already exists'));
+
+      transport.subscribe('SALE_CREATED', jest.fn());
+      await transport.poll();
+
+      expect(mockRedis.xGroupCreate).toHaveBeenCalledWith('events:SALE_CREATED', 'catalog-service', '0', { MKSTREAM: true });
+      expect(mockRedis.xReadGroup).toHaveBeenCalledWith(
+        'catalog-service',
+        'catalog-1',
+        [{ key: 'events:SALE_CREATED', id: '>' }],
+        expect.objectContaining({ COUNT: 50 })
+      );
+    });
+
+    it('should acknowledge messages once every listener succeeded', async () => {
+      const listener = jest.fn();
+      transport.subscribe('SALE_CREATED', listener);
+      mockRedis.xReadGroup.mockResolvedValueOnce([
+        { name: 'events:SALE_CREATED', messages: [streamMessage('1-0', { saleId: 1 })] }
+      ]);
+
+      const acknowledged = await transport.poll();
+
+      expect(acknowledged).toBe(1);
+      expect(listener).toHaveBeenCalledWith({ saleId: 1 });
+      expect(mockRedis.xAck).toHaveBeenCalledWith('events:SALE_CREATED', 'catalog-service', '1-0');
+    });
+
+    it('should leave messages pending when a listener fails', async () => {
+      transport.subscribe('SALE_CREATED', jest.fn().mockRejectedValue(new Error('Handler failed')));
+      mockRedis.xReadGroup.mockResolvedValueOnce([
+        { name: 'events:SALE_CREATED', messages: [streamMessage('1-0', { saleId: 1 })] }
+      ]);
+
+      const acknowledged = await transport.poll();
+
+      expect(acknowledged).toBe(0);
+      expect(mockRedis.xAck).not.toHaveBeenCalled();
+    });
+
+    it('should redeliver stale pending messages', async () => {
+      const listener = jest.fn();
+      transport.subscribe('SALE_CREATED', listener);
+      mockRedis.xAutoClaim.mockResolvedValueOnce({
+        nextId: '0-0',
+        messages: [streamMessage('1-0', { saleId: 1 }), null],
+        deletedMessages: []
+      });
+      mockRedis.xPendingRange.mockResolvedValueOnce([{ id: '1-0', deliveriesCounter: 2 }]);
+
+      await transport.poll();
+
+      expect(listener).toHaveBeenCalledWith({ saleId: 1 });
+      expect(mockRedis.xAck).toHaveBeenCalledWith('events:SALE_CREATED', 'catalog-service', '1-0');
+    });
+
+    it('should move messages exceeding the delivery limit to the dead-letter stream', async () => {
+      const listener = jest.fn();
+      transport.subscribe('SALE_CREATED', listener);
+      mockRedis.xAutoClaim.mockResolvedValueOnce({
+        nextId: '0-0',
+        messages: [streamMessage('1-0', { saleId: 1 })],
+        deletedMessages: []
+      });
+      mockRedis.xPendingRange.mockResolvedValueOnce([{ id: '1-0', deliveriesCounter: 4 }]);
+
+      await transport.poll();
+
+      expect(listener).not.toHaveBeenCalled();
+      expect(mockRedis.xAdd).toHaveBeenCalledWith('events:dead-letter', '*', expect.objectContaining({
+        stream: 'events:SALE_CREATED',
+        messageId: '1-0',
+        deliveries: '4',
+        data: '{"saleId":1}'
+      }), { TRIM: { strategy: 'MAXLEN', strategyModifier: '~', threshold: 1000 } });
+      expect(mockRedis.xAck).toHaveBeenCalledWith('events:SALE_CREATED', 'catalog-service', '1-0');
+    });
+
+    it('should stop reading a stream once its last listener unsubscribes', async () => {
+      const listener = jest.fn();
+      transport.subscribe('SALE_CREATED', listener);
+      transport.unsubscribe('SALE_CREATED', listener);
+
+      const acknowledged = await transport.poll();
+
+      expect(acknowledged).toBe(0);
+      expect(mockRedis.xReadGroup).not.toHaveBeenCalled();
+    });
+  });
+});
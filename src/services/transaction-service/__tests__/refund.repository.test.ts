@@ -26,15 +26,24 @@ class MockRefundRepository implements IRefundRepository {
   }
 
   async save(entity: RefundData): Promise<Refund> {
+    if (entity.blindReturnLimit) {
+      const { since, check } = entity.blindReturnLimit;
+      check(this.refunds.filter(refund => refund.isBlindReturn() && refund.userId === entity.userId && refund.date >= since));
+    }
     const refund = new Refund(
       this.nextId++,
       entity.date,
       entity.total,
-      entity.saleId,
+      entity.saleId ?? null,
       entity.storeId,
       entity.userId,
       entity.lines,
-      entity.reason
+      entity.reason,
+      [],
+      entity.currency,
+      entity.reportingTotal,
+      entity.type,
+      entity.approvedBy
     );
     this.refunds.push(refund);
     return refund;
@@ -51,7 +60,7 @@ class MockRefundRepository implements IRefundRepository {
       existingRefund.id,
       entity.date || existingRefund.date,
       entity.total || existingRefund.total,
-      entity.saleId || existingRefund.saleId,
+      entity.saleId ?? existingRefund.saleId,
       entity.storeId || existingRefund.storeId,
       entity.userId || existingRefund.userId,
       entity.lines || existingRefund.lines,
@@ -322,6 +331,23 @@ describe('IRefundRepository Interface Contract', () => {
       expect(retrievedRefund).toEqual(savedRefund);
     });
 
+    test('should check the limits of a blind return against the earlier blind returns of the customer', async () => {
+      const blindReturn: RefundData = { ...sampleRefund, saleId: null, type: 'BLIND', approvedBy: 5 };
+      const check = jest.fn((previousReturns: Refund[]) => {
+        if (previousReturns.length >= 1) {
+          throw new Error('Blind return limit reached');
+        }
+      });
+
+      await repository.save({ ...blindReturn, blindReturnLimit: { since: new Date('2024-01-01'), check } });
+      await repository.save(sampleRefund);
+      await expect(repository.save({ ...blindReturn, blindReturnLimit: { since: new Date('2024-01-01'), check } }))
+        .rejects.toThrow('Blind return limit reached');
+
+      expect(check).toHaveBeenLastCalledWith([expect.objectContaining({ type: 'BLIND', userId: 1 })]);
+      expect(await repository.count()).toBe(2);
+    });
+
     test('should return null for non-existent refund', async () => {
       const result = await repository.findById(999);
       expect(result).toBeNull();
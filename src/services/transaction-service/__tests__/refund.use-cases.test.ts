@@ -0,0 +1,549 @@
+import { RefundUseCases } from '../application/use-cases/refund.use-cases';
+import { IRefundRepository } from '../domain/repositories/refund.repository';
+import { ISaleRepository } from '../domain/repositories/sale.repository';
+import { ICatalogService } from '../infrastructure/services/catalog.service';
+import { Sale, SaleStatus } from '../domain/entities/sale.entity';
+import { SaleLine } from '../domain/entities/sale-line.entity';
+import { Refund } from '../domain/entities/refund.entity';
+import { RefundLine } from '../domain/entities/refund-line.entity';
+import { RefundPayment } from '../domain/entities/refund-payment.entity';
+import { Payment } from '../domain/entities/payment.entity';
+import { IPaymentRepository } from '../domain/repositories/payment.repository';
+import { PaymentService } from '../domain/services/payment.service';
+import { SalePricingService } from '../domain/services/sale-pricing.service';
+import { TaxService } from '../domain/services/tax.service';
+import { CategoryRollupService } from '../domain/services/category-rollup.service';
+import { FakePaymentProvider } from '../infrastructure/services/fake-payment-provider';
+import { ICrossDomainQueries } from '@shared/infrastructure/database/cross-domain-queries';
+import { ExchangeRates } from '@shared/domain/value-objects/exchange-rates.vo';
+
+const mockRefundRepository = {
+  save: jest.fn(),
+  findBySaleId: jest.fn(),
+  findByDateRange: jest.fn(),
+} as jest.Mocked<Partial<IRefundRepository>> as jest.Mocked<IRefundRepository>;
+
+const mockSaleRepository = {
+  findById: jest.fn(),
+  update: jest.fn(),
+  findByDateRange: jest.fn(),
+  findLowestSellingPrice: jest.fn(),
+} as jest.Mocked<Partial<ISaleRepository>> as jest.Mocked<ISaleRepository>;
+
+const mockPaymentRepository: jest.Mocked<IPaymentRepository> = {
+  findBySaleId: jest.fn(),
+  addRefundedAmount: jest.fn(),
+  updateRefundPayment: jest.fn(),
+};
+
+// Store 1 sells in CAD and store 2 in USD; products cost 25.00 and stores charge no tax by default
+const mockCrossDomainQueries = {
+  getStoreDetails: jest.fn(),
+  getProductDetails: jest.fn(),
+  getExchangeRates: jest.fn(),
+  getStoreTaxRules: jest.fn(),
+  getProductCategoryPaths: jest.fn(),
+} as Partial<ICrossDomainQueries> as jest.Mocked<ICrossDomainQueries>;
+
+const blindReturnPolicy = { priceLookbackDays: 90, limitDays: 30, maxReturns: 3, maxAmount: 200 };
+
+const mockCatalogService: jest.Mocked<ICatalogService> = {
+  adjustStock: jest.fn(),
+  reserveStock: jest.fn(),
+  reserveStocks: jest.fn(),
+  releaseStock: jest.fn(),
+  releaseSaleStock: jest.fn(),
+  exchangeStock: jest.fn(),
+  revertExchangeStock: jest.fn(),
+  convertHold: jest.fn(),
+  reinstateHold: jest.fn(),
+};
+
+// Sale of 3 units of product 1 (two lines) and 1 unit of product 2
+const saleWithRefunded = (refunded: [number, number, number] = [0, 0, 0], status: SaleStatus = 'active') =>
+  new Sale(42, new Date(), 70.0, status, 1, 1, [
+    new SaleLine(1, 2, 10.0, 42, 100, undefined, refunded[0]),
+    new SaleLine(2, 1, 30.0, 42, 101, undefined, refunded[1]),
+    new SaleLine(1, 1, 20.0, 42, 102, undefined, refunded[2])
+  ]);
+
+describe('RefundUseCases', () => {
+  let refundUseCases: RefundUseCases;
+  let paymentProvider: FakePaymentProvider;
+  // Blind returns the customer made in the limit window, seen by the check the repository runs on save
+  let previousBlindReturns: Refund[];
+
+  beforeEach(() => {
+    previousBlindReturns = [];
+    paymentProvider = new FakePaymentProvider();
+    const paymentService = new PaymentService(mockPaymentRepository, paymentProvider);
+    refundUseCases = new RefundUseCases(
+      mockRefundRepository, mockSaleRepository, mockCatalogService, paymentService,
+      new SalePricingService(mockCrossDomainQueries), new TaxService(mockCrossDomainQueries),
+      new CategoryRollupService(mockCrossDomainQueries), blindReturnPolicy
+    );
+
+    mockRefundRepository.save.mockImplementation(async (data) => {
+      data.blindReturnLimit?.check(previousBlindReturns);
+      return new Refund(7, data.date, data.total, data.saleId ?? null, data.storeId, data.userId, data.lines, data.reason,
+        (data.tenders ?? []).map((tender, index) =>
+          new RefundPayment(index + 1, 7, tender.paymentId, tender.method, tender.amount)
+        ), data.currency, data.reportingTotal, data.type, data.approvedBy);
+    });
+    mockCrossDomainQueries.getStoreDetails.mockImplementation(async (storeId) =>
+      ({ id: storeId, name: `Store ${storeId}`, currency: storeId === 2 ? 'USD' : 'CAD' })
+    );
+    mockCrossDomainQueries.getProductDetails.mockImplementation(async (productId) =>
+      ({ id: productId, name: `Product ${productId}`, price: 25.0, taxCategory: 'STANDARD', prices: {}, variants: [] })
+    );
+    mockCrossDomainQueries.getExchangeRates.mockResolvedValue(new ExchangeRates({ USD: 1.25 }));
+    mockCrossDomainQueries.getStoreTaxRules.mockResolvedValue([]);
+    mockPaymentRepository.findBySaleId.mockResolvedValue([]);
+    mockPaymentRepository.updateRefundPayment.mockImplementation(async (id, update) => {
+      const savedRefund: Refund = await mockRefundRepository.save.mock.results[0].value;
+      const refundPayment = savedRefund.payments.find(payment => payment.id === id)!;
+      return new RefundPayment(id, 7, refundPayment.paymentId, refundPayment.method, refundPayment.amount,
+        update.status, update.providerReference);
+    });
+    mockCatalogService.adjustStock.mockResolvedValue({ success: true });
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('createRefund', () => {
+    it('should refund every remaining unit when no lines are given', async () => {
+      mockSaleRepository.findById.mockResolvedValue(saleWithRefunded([1, 0, 0], 'partially_refunded'));
+
+      const result = await refundUseCases.createRefund({ saleId: 42, reason: 'Changed mind' });
+
+      expect(result.total).toBe(60.0);
+      expect(mockRefundRepository.save).toHaveBeenCalledWith(expect.objectContaining({
+        total: 60.0,
+        allocations: [
+          expect.objectContaining({ saleLineId: 100, quantity: 1, soldQuantity: 2 }),
+          expect.objectContaining({ saleLineId: 101, quantity: 1, soldQuantity: 1 }),
+          expect.objectContaining({ saleLineId: 102, quantity: 1, soldQuantity: 1 })
+        ]
+      }), expect.any(Function));
+    });
+
+    it('should refund partial lines at the price they were sold at', async () => {
+      mockSaleRepository.findById.mockResolvedValue(saleWithRefunded());
+
+      const result = await refundUseCases.createRefund({
+        saleId: 42,
+        reason: 'Defective',
+        lines: [{ productId: 1, quantity: 3, unitPrice: 999 }]
+      });
+
+      // Two units from the first line at 10.00, one from the third at 20.00
+      expect(result.total).toBe(40.0);
+      expect(result.lines).toEqual([
+        { productId: 1, quantity: 2, unitPrice: 10.0, lineTotal: 20.0, taxes: [] },
+        { productId: 1, quantity: 1, unitPrice: 20.0, lineTotal: 20.0, taxes: [] }
+      ]);
+    });
+
+    it('should reject quantities exceeding what remains refundable across earlier refunds', async () => {
+      mockSaleRepository.findById.mockResolvedValue(saleWithRefunded([2, 0, 0], 'partially_refunded'));
+
+      await expect(refundUseCases.createRefund({
+        saleId: 42,
+        reason: 'Defective',
+        lines: [{ productId: 1, quantity: 2 }]
+      })).rejects.toThrow('Cannot refund 2 units of product 1: 1 of 3 sold units remain refundable');
+
+      expect(mockRefundRepository.save).not.toHaveBeenCalled();
+      expect(mockCatalogService.adjustStock).not.toHaveBeenCalled();
+    });
+
+    it('should count repeated lines of the same product together', async () => {
+      mockSaleRepository.findById.mockResolvedValue(saleWithRefunded());
+
+      await expect(refundUseCases.createRefund({
+        saleId: 42,
+        reason: 'Defective',
+        lines: [{ productId: 2, quantity: 1 }, { productId: 2, quantity: 1 }]
+      })).rejects.toThrow('Cannot refund 1 units of product 2: 0 of 1 sold units remain refundable');
+    });
+
+    it('should reject products that were not sold', async () => {
+      mockSaleRepository.findById.mockResolvedValue(saleWithRefunded());
+
+      await expect(refundUseCases.createRefund({
+        saleId: 42,
+        reason: 'Defective',
+        lines: [{ productId: 3, quantity: 1 }]
+      })).rejects.toThrow('Product 3 is not part of sale 42');
+    });
+
+    it('should refund the lines of the requested variant and restock that variant', async () => {
+      // Two sizes of product 5 sold on separate lines
+      mockSaleRepository.findById.mockResolvedValue(new Sale(42, new Date(), 50.0, 'active', 1, 1, [
+        new SaleLine(5, 1, 20.0, 42, 110, undefined, 0, [], 51),
+        new SaleLine(5, 1, 30.0, 42, 111, undefined, 0, [], 52)
+      ]));
+
+      const result = await refundUseCases.createRefund({
+        saleId: 42,
+        reason: 'Wrong size',
+        lines: [{ productId: 5, variantId: 52, quantity: 1 }]
+      });
+
+      expect(result.lines).toEqual([{ productId: 5, variantId: 52, quantity: 1, unitPrice: 30.0, lineTotal: 30.0, taxes: [] }]);
+      expect(mockCatalogService.adjustStock).toHaveBeenCalledWith(expect.objectContaining({ productId: 5, variantId: 52, quantity: 1 }));
+      await expect(refundUseCases.createRefund({
+        saleId: 42,
+        reason: 'Wrong size',
+        lines: [{ productId: 5, variantId: 53, quantity: 1 }]
+      })).rejects.toThrow('Variant 53 of product 5 is not part of sale 42');
+    });
+
+    it('should reject non-positive quantities', async () => {
+      mockSaleRepository.findById.mockResolvedValue(saleWithRefunded());
+
+      await expect(refundUseCases.createRefund({
+        saleId: 42,
+        reason: 'Defective',
+        lines: [{ productId: 1, quantity: 0 }]
+      })).rejects.toThrow('Refund quantity for product 1 must be a positive integer');
+    });
+
+    it('should reject sales that are already fully refunded', async () => {
+      mockSaleRepository.findById.mockResolvedValue(saleWithRefunded([2, 1, 1], 'refunded'));
+
+      await expect(refundUseCases.createRefund({ saleId: 42, reason: 'Again' }))
+        .rejects.toThrow('Sale is not refundable');
+    });
+
+    it('should refund the tax charged on the refunded units', async () => {
+      // 3 units at 9.99 taxed GST 1.50 (1.4985) and QST 2.99 (2.9895)
+      const taxes = [
+        { code: 'GST', name: 'GST', rate: 5, amount: 1.5 },
+        { code: 'QST', name: 'QST', rate: 9.975, amount: 2.99 }
+      ];
+      const sale = (refunded: number) =>
+        new Sale(42, new Date(), 34.46, 'active', 1, 1, [new SaleLine(1, 3, 9.99, 42, 100, undefined, refunded, taxes)]);
+
+      mockSaleRepository.findById.mockResolvedValue(sale(0));
+      const first = await refundUseCases.createRefund({ saleId: 42, reason: 'Defective', lines: [{ productId: 1, quantity: 1 }] });
+      mockSaleRepository.findById.mockResolvedValue(sale(1));
+      const rest = await refundUseCases.createRefund({ saleId: 42, reason: 'Defective' });
+
+      expect(first.subtotal).toBe(9.99);
+      expect(first.taxes).toEqual([
+        { code: 'GST', name: 'GST', rate: 5, amount: 0.5 },
+        { code: 'QST', name: 'QST', rate: 9.975, amount: 1.0 }
+      ]);
+      expect(first.total).toBe(11.49);
+      // The remaining units get the rest of the tax, so nothing is lost to rounding
+      expect(rest.taxes).toEqual([
+        { code: 'GST', name: 'GST', rate: 5, amount: 1.0 },
+        { code: 'QST', name: 'QST', rate: 9.975, amount: 1.99 }
+      ]);
+      expect(first.total + rest.total).toBeCloseTo(34.46, 2);
+    });
+
+    it('should restore stock for every refunded line', async () => {
+      mockSaleRepository.findById.mockResolvedValue(saleWithRefunded());
+
+      await refundUseCases.createRefund({ saleId: 42, reason: 'Defective', lines: [{ productId: 2, quantity: 1 }] });
+
+      expect(mockCatalogService.adjustStock).toHaveBeenCalledWith({
+        storeId: 1,
+        productId: 2,
+        quantity: 1,
+        reason: 'REFUND',
+        referenceId: 7,
+        actorId: 1
+      });
+    });
+  });
+
+  describe('currencies', () => {
+    it('should refund in the sale currency at the exchange rate of the sale', async () => {
+      mockSaleRepository.findById.mockResolvedValue(
+        new Sale(42, new Date(), 29.98, 'active', 2, 1, [new SaleLine(1, 2, 14.99, 42, 100)],
+          undefined, undefined, undefined, 'USD', 1.37, 41.07)
+      );
+
+      const result = await refundUseCases.createRefund({ saleId: 42, reason: 'Defective' });
+
+      expect(mockRefundRepository.save).toHaveBeenCalledWith(expect.objectContaining({
+        total: 29.98,
+        currency: 'USD',
+        reportingTotal: 41.07
+      }), expect.any(Function));
+      expect(result).toEqual(expect.objectContaining({ currency: 'USD', reportingTotal: 41.07, reportingCurrency: 'CAD' }));
+    });
+
+    it('should add up the refunds summary in the reporting currency', async () => {
+      mockRefundRepository.findByDateRange.mockResolvedValue([
+        new Refund(1, new Date(), 10.0, 1, 1, 1, [], 'Defective'),
+        new Refund(2, new Date(), 14.99, 2, 2, 1, [], 'Defective', [], 'USD', 20.54)
+      ]);
+      mockSaleRepository.findByDateRange.mockResolvedValue([
+        new Sale(1, new Date(), 100.0, 'partially_refunded', 1, 1, []),
+        new Sale(2, new Date(), 29.98, 'partially_refunded', 2, 1, [], undefined, undefined, undefined, 'USD', 1.37, 41.07)
+      ]);
+
+      const summary = await refundUseCases.getRefundsSummary(new Date('2024-01-01'), new Date('2024-01-31'));
+
+      expect(summary).toEqual(expect.objectContaining({
+        totalRefunds: 2,
+        currency: 'CAD',
+        totalRefundAmount: 30.54,
+        refundsByCurrency: { CAD: 10.0, USD: 14.99 }
+      }));
+      expect(summary.refundRate).toBeCloseTo(21.65, 2);
+    });
+
+    it('should add up the refunds summary by category at the rate of each refund', async () => {
+      mockCrossDomainQueries.getProductCategoryPaths.mockResolvedValue({
+        1: [{ id: 4, name: 'Snacks', parentId: null }]
+      });
+      mockRefundRepository.findByDateRange.mockResolvedValue([
+        new Refund(1, new Date(), 10.0, 1, 1, 1, [new RefundLine(1, 2, 5.0, 1)], 'Defective'),
+        new Refund(2, new Date(), 14.99, 2, 2, 1, [new RefundLine(1, 1, 14.99, 2)], 'Defective', [], 'USD', 20.54)
+      ]);
+      mockSaleRepository.findByDateRange.mockResolvedValue([]);
+
+      const summary = await refundUseCases.getRefundsSummary(new Date('2024-01-01'), new Date('2024-01-31'));
+
+      expect(summary.refundsByCategory).toEqual([
+        { categoryId: 4, name: 'Snacks', parentId: null, units: 3, amount: 30.54 }
+      ]);
+    });
+  });
+
+  describe('blind returns', () => {
+    it('should refund at the lowest recent selling price and record the approving manager', async () => {
+      mockSaleRepository.findLowestSellingPrice.mockResolvedValue(19.99);
+
+      const result = await refundUseCases.createBlindReturn({
+        userId: 1,
+        storeId: 1,
+        reason: 'No receipt',
+        lines: [{ productId: 1, quantity: 2 }]
+      }, 5);
+
+      expect(mockSaleRepository.findLowestSellingPrice).toHaveBeenCalledWith(1, 1, expect.any(Date), undefined);
+      expect(mockRefundRepository.save).toHaveBeenCalledWith(expect.objectContaining({
+        total: 39.98,
+        type: 'BLIND',
+        approvedBy: 5
+      }), expect.any(Function));
+      expect(mockRefundRepository.save.mock.calls[0][0]).not.toHaveProperty('saleId');
+      expect(result).toEqual(expect.objectContaining({ type: 'BLIND', approvedBy: 5, saleId: null, total: 39.98 }));
+      expect(result.payments).toEqual([]);
+      expect(mockCatalogService.adjustStock).toHaveBeenCalledWith({
+        storeId: 1, productId: 1, quantity: 2, reason: 'REFUND', referenceId: 7, actorId: 5
+      });
+    });
+
+    it('should refund at the current price when it is lower than recent sales', async () => {
+      mockSaleRepository.findLowestSellingPrice.mockResolvedValue(29.99);
+
+      const result = await refundUseCases.createBlindReturn({
+        userId: 1,
+        storeId: 1,
+        reason: 'No receipt',
+        lines: [{ productId: 1, quantity: 1 }]
+      }, 5);
+
+      expect(result.lines[0].unitPrice).toBe(25.0);
+    });
+
+    it('should tax the return with the current store rules', async () => {
+      mockSaleRepository.findLowestSellingPrice.mockResolvedValue(20.0);
+      mockCrossDomainQueries.getStoreTaxRules.mockResolvedValue([
+        { code: 'GST', name: 'GST', rate: 5, taxCategory: 'STANDARD' }
+      ]);
+
+      const result = await refundUseCases.createBlindReturn({
+        userId: 1,
+        storeId: 1,
+        reason: 'No receipt',
+        lines: [{ productId: 1, quantity: 1 }]
+      }, 5);
+
+      expect(result.taxTotal).toBe(1.0);
+      expect(result.total).toBe(21.0);
+    });
+
+    it('should reject products the store did not sell recently', async () => {
+      mockSaleRepository.findLowestSellingPrice.mockResolvedValue(null);
+
+      await expect(refundUseCases.createBlindReturn({
+        userId: 1,
+        storeId: 1,
+        reason: 'No receipt',
+        lines: [{ productId: 3, quantity: 1 }]
+      }, 5)).rejects.toThrow('Product 3 was not sold at store 1 in the last 90 days');
+      expect(mockRefundRepository.save).not.toHaveBeenCalled();
+    });
+
+    it('should reject customers who reached the number of blind returns', async () => {
+      mockSaleRepository.findLowestSellingPrice.mockResolvedValue(10.0);
+      previousBlindReturns = [1, 2, 3].map(id =>
+        new Refund(id, new Date(), 10.0, null, 1, 1, [], 'No receipt', [], 'CAD', 10.0, 'BLIND', 5)
+      );
+
+      await expect(refundUseCases.createBlindReturn({
+        userId: 1,
+        storeId: 1,
+        reason: 'No receipt',
+        lines: [{ productId: 1, quantity: 1 }]
+      }, 5)).rejects.toThrow('Blind return limit reached: at most 3 returns without a receipt in 30 days');
+      expect(mockRefundRepository.save.mock.calls[0][0].blindReturnLimit!.since.getTime())
+        .toBeCloseTo(Date.now() - 30 * 24 * 60 * 60 * 1000, -4);
+      expect(mockCatalogService.adjustStock).not.toHaveBeenCalled();
+    });
+
+    it('should reject returns taking the customer over the blind return amount', async () => {
+      // 160.00 on top of the 50.00 already refunded goes over the 200.00 limit
+      mockSaleRepository.findLowestSellingPrice.mockResolvedValue(80.0);
+      mockCrossDomainQueries.getProductDetails.mockResolvedValue(
+        { id: 1, name: 'Product 1', price: 80.0, taxCategory: 'STANDARD', prices: {}, variants: [] }
+      );
+      previousBlindReturns = [
+        new Refund(1, new Date(), 50.0, null, 1, 1, [], 'No receipt', [], 'CAD', 50.0, 'BLIND', 5)
+      ];
+
+      await expect(refundUseCases.createBlindReturn({
+        userId: 1,
+        storeId: 1,
+        reason: 'No receipt',
+        lines: [{ productId: 1, quantity: 2 }]
+      }, 5)).rejects.toThrow('Blind return limit reached: at most 200 CAD refunded without a receipt in 30 days');
+    });
+
+    it('should not let customers approve their own blind return', async () => {
+      await expect(refundUseCases.createBlindReturn({
+        userId: 5,
+        storeId: 1,
+        reason: 'No receipt',
+        lines: [{ productId: 1, quantity: 1 }]
+      }, 5)).rejects.toThrow('A blind return cannot be approved by the returning customer');
+    });
+
+    it('should report blind returns separately in the refunds summary', async () => {
+      mockRefundRepository.findByDateRange.mockResolvedValue([
+        new Refund(1, new Date(), 10.0, 1, 1, 1, [], 'Defective'),
+        new Refund(2, new Date(), 15.0, null, 1, 2, [], 'No receipt', [], 'CAD', 15.0, 'BLIND', 5),
+        new Refund(3, new Date(), 4.0, null, 2, 3, [], 'No receipt', [], 'USD', 5.0, 'BLIND', 5)
+      ]);
+      mockSaleRepository.findByDateRange.mockResolvedValue([]);
+
+      const summary = await refundUseCases.getRefundsSummary(new Date('2024-01-01'), new Date('2024-01-31'));
+
+      expect(summary.refundsByType).toEqual({
+        RECEIPT: { count: 1, amount: 10.0 },
+        BLIND: { count: 2, amount: 20.0 },
+        EXCHANGE: { count: 0, amount: 0 }
+      });
+    });
+  });
+
+  describe('refund tenders', () => {
+    // The 70.00 sale was paid 50.00 by card and 20.00 in cash (30.00 handed over)
+    const salePayments = async () => {
+      const charge = await paymentProvider.charge({ method: 'CARD', amount: 50.0, currency: 'CAD', storeId: 1 });
+      return [
+        new Payment(1, 42, 'CARD', 50.0, 50.0, 0, 0, charge.reference),
+        new Payment(2, 42, 'CASH', 20.0, 30.0, 10.0)
+      ];
+    };
+
+    beforeEach(async () => {
+      mockSaleRepository.findById.mockResolvedValue(saleWithRefunded());
+      mockPaymentRepository.findBySaleId.mockResolvedValue(await salePayments());
+    });
+
+    it('should return the refund to the original tenders in proportion', async () => {
+      const result = await refundUseCases.createRefund({
+        saleId: 42,
+        reason: 'Defective',
+        lines: [{ productId: 1, quantity: 3 }]
+      });
+
+      expect(mockRefundRepository.save).toHaveBeenCalledWith(expect.objectContaining({
+        total: 40.0,
+        tenders: [
+          { paymentId: 1, method: 'CARD', amount: 28.57, paymentAmount: 50.0 },
+          { paymentId: 2, method: 'CASH', amount: 11.43, paymentAmount: 20.0 }
+        ]
+      }), expect.any(Function));
+      expect(result.payments).toEqual([
+        { paymentId: 1, method: 'CARD', amount: 28.57, status: 'COMPLETED' },
+        { paymentId: 2, method: 'CASH', amount: 11.43, status: 'COMPLETED' }
+      ]);
+    });
+
+    it('should split the rest of a sale over what each tender has left', async () => {
+      const [card, cash] = await salePayments();
+      mockSaleRepository.findById.mockResolvedValue(saleWithRefunded([2, 0, 0], 'partially_refunded'));
+      mockPaymentRepository.findBySaleId.mockResolvedValue([
+        new Payment(card.id, 42, 'CARD', 50.0, 50.0, 0, 20.0, card.providerReference),
+        cash
+      ]);
+
+      await refundUseCases.createRefund({ saleId: 42, reason: 'Changed mind' });
+
+      expect(mockRefundRepository.save).toHaveBeenCalledWith(expect.objectContaining({
+        total: 50.0,
+        tenders: [
+          expect.objectContaining({ paymentId: 1, amount: 30.0 }),
+          expect.objectContaining({ paymentId: 2, amount: 20.0 })
+        ]
+      }), expect.any(Function));
+    });
+
+    it('should use the amounts given per tender instead of the proportional split', async () => {
+      const result = await refundUseCases.createRefund({
+        saleId: 42,
+        reason: 'Defective',
+        lines: [{ productId: 2, quantity: 1 }],
+        tenders: [{ paymentId: 1, amount: 30.0 }]
+      });
+
+      expect(result.payments).toEqual([{ paymentId: 1, method: 'CARD', amount: 30.0, status: 'COMPLETED' }]);
+    });
+
+    it('should reject tender amounts exceeding what the tender has left', async () => {
+      await expect(refundUseCases.createRefund({
+        saleId: 42,
+        reason: 'Defective',
+        lines: [{ productId: 2, quantity: 1 }],
+        tenders: [{ paymentId: 2, amount: 30.0 }]
+      })).rejects.toThrow('Cannot refund 30 to payment 2: only 20 remains refundable');
+
+      expect(mockRefundRepository.save).not.toHaveBeenCalled();
+    });
+
+    it('should reject tender amounts that do not add up to the refund total', async () => {
+      await expect(refundUseCases.createRefund({
+        saleId: 42,
+        reason: 'Defective',
+        lines: [{ productId: 2, quantity: 1 }],
+        tenders: [{ paymentId: 1, amount: 20.0 }]
+      })).rejects.toThrow('Refund payments of 20 do not match the refund total of 30');
+    });
+
+    it('should mark refunds the payment provider rejects as failed', async () => {
+      mockPaymentRepository.findBySaleId.mockResolvedValue([
+        new Payment(1, 42, 'CARD', 70.0, 70.0, 0, 0, 'unknown_charge')
+      ]);
+
+      const result = await refundUseCases.createRefund({
+        saleId: 42,
+        reason: 'Defective',
+        lines: [{ productId: 2, quantity: 1 }]
+      });
+
+      expect(result.payments).toEqual([{ paymentId: 1, method: 'CARD', amount: 30.0, status: 'FAILED' }]);
+    });
+  });
+});
@@ -0,0 +1,332 @@
+import { SaleCreationSaga } from '../application/sagas/sale-creation.saga';
+import { ISaleRepository } from '../domain/repositories/sale.repository';
+import { ISaleSagaRepository } from '../domain/repositories/sale-saga.repository';
+import { ICatalogService } from '../infrastructure/services/catalog.service';
+import { IllegalSaleTransitionError, Sale } from '../domain/entities/sale.entity';
+import { SaleSaga } from '../domain/entities/sale-saga.entity';
+import { PaymentService } from '../domain/services/payment.service';
+import { IPaymentRepository } from '../domain/repositories/payment.repository';
+import { FakePaymentProvider } from '../infrastructure/services/fake-payment-provider';
+
+const mockSaleRepository = {
+  save: jest.fn(),
+  findById: jest.fn(),
+  changeStatus: jest.fn(),
+  activate: jest.fn(),
+} as jest.Mocked<Partial<ISaleRepository>> as jest.Mocked<ISaleRepository>;
+
+const mockSagaRepository: jest.Mocked<ISaleSagaRepository> = {
+  findById: jest.fn(),
+  save: jest.fn(),
+  update: jest.fn(),
+  findUnfinished: jest.fn(),
+};
+
+const mockCatalogService: jest.Mocked<ICatalogService> = {
+  adjustStock: jest.fn(),
+  reserveStock: jest.fn(),
+  reserveStocks: jest.fn(),
+  releaseStock: jest.fn(),
+  releaseSaleStock: jest.fn(),
+  exchangeStock: jest.fn(),
+  revertExchangeStock: jest.fn(),
+  convertHold: jest.fn(),
+  reinstateHold: jest.fn(),
+};
+
+const mockPaymentRepository: jest.Mocked<IPaymentRepository> = {
+  findBySaleId: jest.fn(),
+  addRefundedAmount: jest.fn(),
+  updateRefundPayment: jest.fn(),
+};
+
+describe('SaleCreationSaga', () => {
+  let saga: SaleCreationSaga;
+  let paymentProvider: FakePaymentProvider;
+
+  const lines = [
+    { productId: 1, quantity: 2, unitPrice: 10.0 },
+    { productId: 2, quantity: 1, unitPrice: 5.0 },
+    { productId: 3, quantity: 4, unitPrice: 2.5 }
+  ];
+
+  beforeEach(() => {
+    paymentProvider = new FakePaymentProvider({ giftCardBalances: { 'GC-1': 25.0 } });
+    saga = new SaleCreationSaga(
+      mockSaleRepository, mockSagaRepository, mockCatalogService, new PaymentService(mockPaymentRepository, paymentProvider)
+    );
+
+    mockSagaRepository.save.mockImplementation(async (data) =>
+      new SaleSaga(7, data.status, data.storeId, data.userId, data.lines, [], undefined, undefined, data.payments)
+    );
+    mockSagaRepository.update.mockResolvedValue(new SaleSaga(7, 'RESERVING', 1, 1, lines));
+    mockSaleRepository.save.mockResolvedValue(new Sale(42, new Date(), 35.0, 'pending', 1, 1, []));
+    mockSaleRepository.changeStatus.mockImplementation(async (id, change) =>
+      new Sale(id, new Date(), 35.0, change.to, 1, 1, [])
+    );
+    mockSaleRepository.activate.mockImplementation(async (id) => new Sale(id, new Date(), 35.0, 'active', 1, 1, []));
+    mockCatalogService.releaseSaleStock.mockResolvedValue({ success: true });
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('execute', () => {
+    it('should reserve every line in one call before activating the sale', async () => {
+      mockCatalogService.reserveStocks.mockResolvedValue({ success: true });
+
+      const sale = await saga.execute(1, 1, lines);
+
+      expect(sale.status).toBe('active');
+      expect(mockSaleRepository.save).toHaveBeenCalledWith(expect.objectContaining({ status: 'pending', total: 35.0 }));
+      expect(mockCatalogService.reserveStocks).toHaveBeenCalledTimes(1);
+      expect(mockCatalogService.reserveStocks).toHaveBeenCalledWith({
+        storeId: 1,
+        lines: [{ productId: 1, quantity: 2 }, { productId: 2, quantity: 1 }, { productId: 3, quantity: 4 }],
+        saleId: 42,
+        actorId: 1
+      });
+      expect(mockSagaRepository.update).toHaveBeenCalledWith(7, { reserved: lines });
+      expect(mockCatalogService.releaseSaleStock).not.toHaveBeenCalled();
+      expect(mockSagaRepository.update).toHaveBeenLastCalledWith(7, { status: 'COMPLETED' });
+    });
+
+    it('should convert the stock hold of a line instead of reserving its stock', async () => {
+      mockCatalogService.reserveStocks.mockResolvedValue({ success: true });
+      mockCatalogService.convertHold.mockResolvedValue({ success: true });
+
+      await saga.execute(1, 5, [{ ...lines[0], holdId: 9 }, lines[1]]);
+
+      expect(mockCatalogService.convertHold).toHaveBeenCalledWith(9, {
+        saleId: 42, storeId: 1, productId: 1, userId: 5, quantity: 2
+      });
+      expect(mockCatalogService.reserveStocks).toHaveBeenCalledWith({
+        storeId: 1, lines: [{ productId: 2, quantity: 1 }], saleId: 42, actorId: 5
+      });
+    });
+
+    it('should fail the sale when its stock hold cannot be converted', async () => {
+      mockCatalogService.convertHold.mockResolvedValue({ success: false, error: 'Stock hold has expired' });
+      mockCatalogService.reinstateHold.mockResolvedValue({ success: false, error: 'Stock hold not found' });
+
+      await expect(saga.execute(1, 5, [{ ...lines[0], holdId: 99 }]))
+        .rejects.toThrow('Sale could not be completed: Stock hold has expired');
+
+      // The hold was never converted, so failing to reinstate it does not keep the saga compensating
+      expect(mockSaleRepository.changeStatus).toHaveBeenCalledWith(42, expect.objectContaining({ to: 'failed' }));
+      expect(mockSagaRepository.update).toHaveBeenLastCalledWith(7, { status: 'FAILED', reserved: [] });
+    });
+
+    it('should emit SALE_CREATED with the activation', async () => {
+      mockCatalogService.reserveStocks.mockResolvedValue({ success: true });
+
+      await saga.execute(1, 1, lines);
+
+      const buildEvents = mockSaleRepository.activate.mock.calls[0][2]!;
+      const [event] = buildEvents(new Sale(42, new Date(), 35.0, 'active', 1, 1, []));
+      expect(event).toEqual(expect.objectContaining({
+        aggregateId: '42',
+        eventType: 'SALE_CREATED',
+        eventData: { saleId: 42, userId: 1, storeId: 1, total: 35.0, items: lines }
+      }));
+    });
+
+    it('should release the sale by its ID when the cart cannot be reserved', async () => {
+      mockCatalogService.reserveStocks.mockResolvedValue({
+        success: false,
+        error: 'Insufficient stock for product 3 (requested 4, available 1)',
+        shortages: [{ productId: 3, requested: 4, available: 1 }]
+      });
+
+      await expect(saga.execute(1, 1, lines))
+        .rejects.toThrow('Sale could not be completed: Insufficient stock for product 3 (requested 4, available 1)');
+
+      // The catalog finds nothing reserved for the sale, but would release a reservation whose answer was lost
+      expect(mockCatalogService.releaseSaleStock).toHaveBeenCalledWith({ saleId: 42, actorId: 1 });
+      expect(mockSaleRepository.changeStatus).toHaveBeenCalledWith(42, {
+        from: 'pending',
+        to: 'failed',
+        reason: 'Insufficient stock for product 3 (requested 4, available 1)'
+      });
+      expect(mockSagaRepository.update).toHaveBeenLastCalledWith(7, { status: 'FAILED', reserved: [] });
+    });
+
+    it('should reinstate converted stock holds when the other lines cannot be reserved', async () => {
+      mockCatalogService.convertHold.mockResolvedValue({ success: true });
+      mockCatalogService.reinstateHold.mockResolvedValue({ success: true });
+      mockCatalogService.reserveStocks.mockResolvedValue({ success: false, error: 'Insufficient stock for product 3' });
+
+      await expect(saga.execute(1, 1, [lines[0], { ...lines[1], holdId: 9 }, lines[2]]))
+        .rejects.toThrow('Sale could not be completed: Insufficient stock for product 3');
+
+      expect(mockCatalogService.reinstateHold).toHaveBeenCalledWith(9, { saleId: 42 });
+      expect(mockSagaRepository.update).toHaveBeenLastCalledWith(7, { status: 'FAILED', reserved: [] });
+    });
+
+    it('should reinstate the stock hold and release the other lines when the sale cannot be activated', async () => {
+      mockCatalogService.convertHold.mockResolvedValue({ success: true });
+      mockCatalogService.reinstateHold.mockResolvedValue({ success: true });
+      mockCatalogService.reserveStocks.mockResolvedValue({ success: true });
+      mockSaleRepository.activate.mockRejectedValueOnce(new Error('Database unavailable'));
+
+      await expect(saga.execute(1, 1, [{ ...lines[0], holdId: 9 }, lines[1]])).rejects.toThrow('Database unavailable');
+
+      expect(mockCatalogService.reinstateHold).toHaveBeenCalledTimes(1);
+      expect(mockCatalogService.reinstateHold).toHaveBeenCalledWith(9, { saleId: 42 });
+      expect(mockCatalogService.releaseSaleStock).toHaveBeenCalledTimes(1);
+      expect(mockCatalogService.releaseSaleStock).toHaveBeenCalledWith({ saleId: 42, actorId: 1 });
+    });
+
+    it('should compensate when the sale cannot be activated', async () => {
+      mockCatalogService.reserveStocks.mockResolvedValue({ success: true });
+      mockSaleRepository.activate.mockRejectedValueOnce(new Error('Database unavailable'));
+
+      await expect(saga.execute(1, 1, lines)).rejects.toThrow('Database unavailable');
+
+      expect(mockCatalogService.releaseSaleStock).toHaveBeenCalledWith({ saleId: 42, actorId: 1 });
+      expect(mockSaleRepository.changeStatus).toHaveBeenLastCalledWith(
+        42,
+        expect.objectContaining({ from: 'pending', to: 'failed' })
+      );
+    });
+
+    describe('with payments', () => {
+      const charge = async () => {
+        const result = await paymentProvider.charge({
+          method: 'GIFT_CARD', amount: 25.0, currency: 'CAD', storeId: 1, giftCardNumber: 'GC-1'
+        });
+        return [
+          { method: 'GIFT_CARD' as const, amount: 25.0, tendered: 25.0, changeDue: 0, providerReference: result.reference },
+          { method: 'CASH' as const, amount: 10.0, tendered: 20.0, changeDue: 10.0 }
+        ];
+      };
+
+      it('should record the payments with the activation', async () => {
+        const payments = await charge();
+        mockCatalogService.reserveStocks.mockResolvedValue({ success: true });
+
+        await saga.execute(1, 1, lines, undefined, payments);
+
+        expect(mockSagaRepository.save).toHaveBeenCalledWith(expect.objectContaining({ payments }));
+        expect(mockSaleRepository.activate).toHaveBeenCalledWith(42, payments, expect.any(Function));
+        expect(paymentProvider.getGiftCardBalance('GC-1')).toBe(0);
+      });
+
+      it('should refund the payments once the failed sale released its stock', async () => {
+        const payments = await charge();
+        mockCatalogService.reserveStocks.mockResolvedValue({ success: true });
+        mockSaleRepository.activate.mockRejectedValueOnce(new Error('Database unavailable'));
+
+        await expect(saga.execute(1, 1, lines, undefined, payments)).rejects.toThrow('Database unavailable');
+
+        expect(mockCatalogService.releaseSaleStock).toHaveBeenCalledTimes(1);
+        expect(paymentProvider.getGiftCardBalance('GC-1')).toBe(25.0);
+      });
+
+      it('should refund the payments when the saga cannot be started', async () => {
+        const payments = await charge();
+        mockSagaRepository.save.mockRejectedValueOnce(new Error('Database unavailable'));
+
+        await expect(saga.execute(1, 1, lines, undefined, payments)).rejects.toThrow('Database unavailable');
+
+        expect(paymentProvider.getGiftCardBalance('GC-1')).toBe(25.0);
+      });
+
+      it('should keep the payments charged while stock remains to be released', async () => {
+        const payments = await charge();
+        mockCatalogService.reserveStocks.mockResolvedValue({ success: true });
+        mockSaleRepository.activate.mockRejectedValueOnce(new Error('Database unavailable'));
+        mockCatalogService.releaseSaleStock.mockResolvedValueOnce({ success: false, error: 'Catalog unavailable' });
+
+        await expect(saga.execute(1, 1, lines, undefined, payments)).rejects.toThrow('Database unavailable');
+
+        // recover() refunds them once the stock is released
+        expect(paymentProvider.getGiftCardBalance('GC-1')).toBe(0);
+      });
+    });
+
+    it('should keep the saga compensating when a converted hold cannot be reinstated', async () => {
+      const heldLine = { ...lines[0], holdId: 9 };
+      mockCatalogService.convertHold.mockResolvedValue({ success: true });
+      mockCatalogService.reserveStocks.mockResolvedValue({ success: false, error: 'Insufficient stock' });
+      mockCatalogService.reinstateHold.mockResolvedValue({ success: false, error: 'Catalog unavailable' });
+
+      await expect(saga.execute(1, 1, [heldLine, lines[1]])).rejects.toThrow('Insufficient stock');
+
+      expect(mockSaleRepository.changeStatus).not.toHaveBeenCalled();
+      expect(mockSagaRepository.update).toHaveBeenLastCalledWith(7, { status: 'COMPENSATING', error: 'Insufficient stock' });
+    });
+
+    it('should keep the saga compensating when the stock of the sale cannot be released', async () => {
+      mockCatalogService.reserveStocks.mockResolvedValue({ success: false, error: 'Request timed out' });
+      mockCatalogService.releaseSaleStock.mockResolvedValue({ success: false, error: 'Catalog unavailable' });
+
+      await expect(saga.execute(1, 1, lines)).rejects.toThrow('Request timed out');
+
+      expect(mockSaleRepository.changeStatus).not.toHaveBeenCalled();
+      expect(mockSagaRepository.update).toHaveBeenLastCalledWith(7, { status: 'COMPENSATING', error: 'Request timed out' });
+    });
+  });
+
+  describe('recover', () => {
+    it('should commit sagas that reserved every line', async () => {
+      mockSagaRepository.findUnfinished.mockResolvedValue([
+        new SaleSaga(8, 'RESERVING', 1, 1, lines, lines, 42)
+      ]);
+
+      const recovered = await saga.recover();
+
+      expect(recovered).toBe(1);
+      expect(mockSaleRepository.activate).toHaveBeenCalledWith(42, [], expect.any(Function));
+      expect(mockCatalogService.releaseSaleStock).not.toHaveBeenCalled();
+    });
+
+    it('should complete sagas whose sale was already activated before the interruption', async () => {
+      mockSagaRepository.findUnfinished.mockResolvedValue([
+        new SaleSaga(8, 'RESERVING', 1, 1, lines, lines, 42)
+      ]);
+      mockSaleRepository.activate.mockRejectedValueOnce(new IllegalSaleTransitionError(42, 'active', 'active'));
+      mockSaleRepository.findById.mockResolvedValue(new Sale(42, new Date(), 35.0, 'active', 1, 1, []));
+
+      await saga.recover();
+
+      expect(mockCatalogService.releaseSaleStock).not.toHaveBeenCalled();
+      expect(mockSagaRepository.update).toHaveBeenLastCalledWith(8, { status: 'COMPLETED' });
+    });
+
+    it('should compensate sagas interrupted mid-reservation', async () => {
+      mockSagaRepository.findUnfinished.mockResolvedValue([
+        new SaleSaga(9, 'RESERVING', 1, 1, lines, [lines[0]], 42)
+      ]);
+
+      await saga.recover();
+
+      expect(mockCatalogService.releaseSaleStock).toHaveBeenCalledWith({ saleId: 42, actorId: 1 });
+      expect(mockSaleRepository.changeStatus).toHaveBeenCalledWith(
+        42,
+        expect.objectContaining({ from: 'pending', to: 'failed' })
+      );
+    });
+
+    it('should only recover the sagas not updated since the given time', async () => {
+      mockSagaRepository.findUnfinished.mockResolvedValue([]);
+      const updatedBefore = new Date();
+
+      await saga.recover(updatedBefore);
+
+      expect(mockSagaRepository.findUnfinished).toHaveBeenCalledWith(updatedBefore);
+    });
+
+    it('should mark sagas without a sale as failed', async () => {
+      mockSagaRepository.findUnfinished.mockResolvedValue([
+        new SaleSaga(10, 'STARTED', 1, 1, lines)
+      ]);
+
+      await saga.recover();
+
+      expect(mockSaleRepository.changeStatus).not.toHaveBeenCalled();
+      expect(mockSagaRepository.update).toHaveBeenLastCalledWith(10, { status: 'FAILED', reserved: [] });
+    });
+  });
+});
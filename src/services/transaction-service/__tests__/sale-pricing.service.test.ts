@@ -0,0 +1,203 @@
+import { SalePricingService } from '../domain/services/sale-pricing.service';
+import { ICrossDomainQueries } from '@shared/infrastructure/database/cross-domain-queries';
+import { ExchangeRates } from '@shared/domain/value-objects/exchange-rates.vo';
+
+const mockCrossDomainQueries = {
+  getProductDetails: jest.fn(),
+  getStoreDetails: jest.fn(),
+  getExchangeRates: jest.fn(),
+} as Partial<ICrossDomainQueries> as jest.Mocked<ICrossDomainQueries>;
+
+describe('SalePricingService', () => {
+  beforeEach(() => {
+    // Product 2 has a USD price of its own, product 3 comes in sizes, the large one at a higher price
+    mockCrossDomainQueries.getProductDetails.mockImplementation(async (productId) => {
+      const prices: Record<string, number> = productId === 2 ? { USD: 14.99 } : {};
+      const variants = productId === 3
+        ? [{ id: 31, sku: 'P3-S', options: { Size: 'S' } }, { id: 32, sku: 'P3-L', price: 24.0, options: { Size: 'L' } }]
+        : [];
+      return productId === 99 ? null : { id: productId, name: `Product ${productId}`, price: 20.0, taxCategory: 'STANDARD', prices, variants };
+    });
+    // Store 2 sells in USD
+    mockCrossDomainQueries.getStoreDetails.mockImplementation(async (storeId) =>
+      storeId === 99 ? null : { id: storeId, name: `Store ${storeId}`, currency: storeId === 2 ? 'USD' : 'CAD' }
+    );
+    mockCrossDomainQueries.getExchangeRates.mockResolvedValue(new ExchangeRates({ USD: 1.25 }));
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('override mode', () => {
+    it('should charge the catalog price and snapshot it on the line', async () => {
+      const pricing = new SalePricingService(mockCrossDomainQueries, { mode: 'override' });
+
+      const lines = await pricing.priceLines([{ productId: 1, quantity: 2, unitPrice: 0.01 }]);
+
+      expect(lines).toEqual([{ productId: 1, quantity: 2, unitPrice: 20.0, catalogPrice: 20.0, taxCategory: 'STANDARD' }]);
+      expect(mockCrossDomainQueries.getProductDetails).toHaveBeenCalledWith(1, 'transaction-service');
+    });
+
+    it('should look up each product once', async () => {
+      const pricing = new SalePricingService(mockCrossDomainQueries, { mode: 'override' });
+
+      await pricing.priceLines([
+        { productId: 1, quantity: 1 },
+        { productId: 1, quantity: 3 }
+      ]);
+
+      expect(mockCrossDomainQueries.getProductDetails).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject unknown products', async () => {
+      const pricing = new SalePricingService(mockCrossDomainQueries, { mode: 'override' });
+
+      await expect(pricing.priceLines([{ productId: 99, quantity: 1 }]))
+        .rejects.toThrow('Product 99 not found');
+    });
+  });
+
+  describe('reject mode', () => {
+    it('should accept a matching or missing client price', async () => {
+      const pricing = new SalePricingService(mockCrossDomainQueries, { mode: 'reject' });
+
+      const lines = await pricing.priceLines([
+        { productId: 1, quantity: 1, unitPrice: 20.0 },
+        { productId: 2, quantity: 1 }
+      ]);
+
+      expect(lines.map(line => line.unitPrice)).toEqual([20.0, 20.0]);
+    });
+
+    it('should reject a mismatching client price', async () => {
+      const pricing = new SalePricingService(mockCrossDomainQueries, { mode: 'reject' });
+
+      await expect(pricing.priceLines([{ productId: 1, quantity: 1, unitPrice: 0.01 }]))
+        .rejects.toThrow('Price mismatch for product 1: expected 20, got 0.01');
+    });
+  });
+
+  describe('tolerance mode', () => {
+    it('should charge a discounted client price within the tolerance', async () => {
+      const pricing = new SalePricingService(mockCrossDomainQueries, { mode: 'tolerance', tolerancePercent: 10 });
+
+      const lines = await pricing.priceLines([{ productId: 1, quantity: 1, unitPrice: 18.0 }]);
+
+      expect(lines).toEqual([{ productId: 1, quantity: 1, unitPrice: 18.0, catalogPrice: 20.0, taxCategory: 'STANDARD' }]);
+    });
+
+    it('should reject a discount beyond the tolerance', async () => {
+      const pricing = new SalePricingService(mockCrossDomainQueries, { mode: 'tolerance', tolerancePercent: 10 });
+
+      await expect(pricing.priceLines([{ productId: 1, quantity: 1, unitPrice: 17.99 }]))
+        .rejects.toThrow('Price mismatch for product 1');
+    });
+
+    it('should reject a client price above the catalog price', async () => {
+      const pricing = new SalePricingService(mockCrossDomainQueries, { mode: 'tolerance', tolerancePercent: 10 });
+
+      await expect(pricing.priceLines([{ productId: 1, quantity: 1, unitPrice: 21.0 }]))
+        .rejects.toThrow('Price mismatch for product 1');
+    });
+  });
+
+  describe('store currency', () => {
+    it('should price a default currency store without reading the exchange rates', async () => {
+      const pricing = new SalePricingService(mockCrossDomainQueries, { mode: 'override' });
+
+      const sale = await pricing.priceSale(1, [{ productId: 2, quantity: 1 }]);
+
+      expect(sale).toEqual({
+        currency: 'CAD',
+        exchangeRate: 1,
+        lines: [{ productId: 2, quantity: 1, unitPrice: 20.0, catalogPrice: 20.0, taxCategory: 'STANDARD' }]
+      });
+      expect(mockCrossDomainQueries.getExchangeRates).not.toHaveBeenCalled();
+    });
+
+    it('should charge the price set in the store currency, or convert the default currency price', async () => {
+      const pricing = new SalePricingService(mockCrossDomainQueries, { mode: 'override' });
+
+      const sale = await pricing.priceSale(2, [
+        { productId: 1, quantity: 1 },
+        { productId: 2, quantity: 1 }
+      ]);
+
+      expect(sale.currency).toBe('USD');
+      expect(sale.exchangeRate).toBe(1.25);
+      expect(sale.lines.map(line => line.unitPrice)).toEqual([16.0, 14.99]);
+    });
+
+    it('should compare client prices in the store currency', async () => {
+      const pricing = new SalePricingService(mockCrossDomainQueries, { mode: 'reject' });
+
+      await expect(pricing.priceSale(2, [{ productId: 2, quantity: 1, unitPrice: 20.0 }]))
+        .rejects.toThrow('Price mismatch for product 2: expected 14.99, got 20');
+    });
+
+    it('should reject a store currency without an exchange rate', async () => {
+      mockCrossDomainQueries.getExchangeRates.mockResolvedValue(new ExchangeRates());
+      const pricing = new SalePricingService(mockCrossDomainQueries);
+
+      await expect(pricing.priceSale(2, [{ productId: 1, quantity: 1 }]))
+        .rejects.toThrow('No exchange rate configured for USD');
+    });
+
+    it('should reject unknown stores', async () => {
+      const pricing = new SalePricingService(mockCrossDomainQueries);
+
+      await expect(pricing.priceSale(99, [{ productId: 1, quantity: 1 }])).rejects.toThrow('Store 99 not found');
+    });
+
+    it('should refuse to start with an unknown SALE_PRICE_MODE', () => {
+      const previous = process.env.SALE_PRICE_MODE;
+      process.env.SALE_PRICE_MODE = 'overide';
+      try {
+        expect(() => new SalePricingService(mockCrossDomainQueries))
+          .toThrow("Unknown sale price mode 'overide'; expected one of override, reject, tolerance");
+      } finally {
+        if (previous === undefined) {
+          delete process.env.SALE_PRICE_MODE;
+        } else {
+          process.env.SALE_PRICE_MODE = previous;
+        }
+      }
+    });
+  });
+
+  describe('variants', () => {
+    it('should charge the price override of a variant, and the product price without one', async () => {
+      const pricing = new SalePricingService(mockCrossDomainQueries, { mode: 'override' });
+
+      const lines = await pricing.priceLines([
+        { productId: 3, variantId: 32, quantity: 1 },
+        { productId: 3, variantId: 31, quantity: 2 }
+      ]);
+
+      expect(lines).toEqual([
+        { productId: 3, variantId: 32, quantity: 1, unitPrice: 24.0, catalogPrice: 24.0, taxCategory: 'STANDARD' },
+        { productId: 3, variantId: 31, quantity: 2, unitPrice: 20.0, catalogPrice: 20.0, taxCategory: 'STANDARD' }
+      ]);
+    });
+
+    it('should convert the price override to the store currency', async () => {
+      const pricing = new SalePricingService(mockCrossDomainQueries, { mode: 'override' });
+
+      const lines = await pricing.priceLines([{ productId: 3, variantId: 32, quantity: 1 }], 'USD', new ExchangeRates({ USD: 1.25 }));
+
+      expect(lines[0].unitPrice).toBe(19.2);
+    });
+
+    it('should require a variant of the product for a product with variants only', async () => {
+      const pricing = new SalePricingService(mockCrossDomainQueries, { mode: 'override' });
+
+      await expect(pricing.priceLines([{ productId: 3, quantity: 1 }]))
+        .rejects.toThrow('Product 3 has variants: the line needs a variant');
+      await expect(pricing.priceLines([{ productId: 3, variantId: 99, quantity: 1 }]))
+        .rejects.toThrow('Variant 99 of product 3 not found');
+      await expect(pricing.priceLines([{ productId: 1, variantId: 31, quantity: 1 }]))
+        .rejects.toThrow('Variant 31 of product 1 not found');
+    });
+  });
+});
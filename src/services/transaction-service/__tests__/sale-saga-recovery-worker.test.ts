@@ -0,0 +1,62 @@
+import { SaleSagaRecoveryWorker } from '../infrastructure/workers/sale-saga-recovery-worker';
+import { SaleCreationSaga } from '../application/sagas/sale-creation.saga';
+
+const mockSaleCreationSaga = {
+  recover: jest.fn(),
+} as Partial<SaleCreationSaga> as jest.Mocked<SaleCreationSaga>;
+
+describe('SaleSagaRecoveryWorker', () => {
+  let worker: SaleSagaRecoveryWorker;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date('2026-03-29T12:00:00Z'));
+    worker = new SaleSagaRecoveryWorker(mockSaleCreationSaga, { pollInterval: 1000, staleAfter: 120000 });
+    mockSaleCreationSaga.recover.mockResolvedValue(0);
+  });
+
+  afterEach(() => {
+    worker.stop();
+    jest.useRealTimers();
+    jest.clearAllMocks();
+  });
+
+  it('should recover the sagas that made no progress within the stale period', async () => {
+    mockSaleCreationSaga.recover.mockResolvedValue(2);
+
+    const recovered = await worker.recoverPending();
+
+    expect(recovered).toBe(2);
+    expect(mockSaleCreationSaga.recover).toHaveBeenCalledWith(new Date('2026-03-29T11:58:00Z'));
+  });
+
+  it('should skip a poll while the previous recovery is still running', async () => {
+    let finish: (recovered: number) => void = () => undefined;
+    mockSaleCreationSaga.recover.mockReturnValueOnce(new Promise(resolve => { finish = resolve; }));
+
+    const running = worker.recoverPending();
+    await expect(worker.recoverPending()).resolves.toBe(0);
+    finish(1);
+
+    await expect(running).resolves.toBe(1);
+    expect(mockSaleCreationSaga.recover).toHaveBeenCalledTimes(1);
+    await expect(worker.recoverPending()).resolves.toBe(0);
+    expect(mockSaleCreationSaga.recover).toHaveBeenCalledTimes(2);
+  });
+
+  it('should poll on its interval until stopped and keep polling after a failed poll', async () => {
+    mockSaleCreationSaga.recover.mockRejectedValueOnce(new Error('Catalog service unavailable'));
+
+    worker.start();
+    worker.start();
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(mockSaleCreationSaga.recover).toHaveBeenCalledTimes(1);
+
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(mockSaleCreationSaga.recover).toHaveBeenCalledTimes(2);
+
+    worker.stop();
+    await jest.advanceTimersByTimeAsync(5000);
+    expect(mockSaleCreationSaga.recover).toHaveBeenCalledTimes(2);
+  });
+});
@@ -7,13 +7,22 @@
  * Requirements: 3.1, 5.1, 5.2
  */
 
-import { Sale } from '../domain/entities/sale.entity';
+import { canTransitionSale, COMPLETED_SALE_STATUSES, IllegalSaleTransitionError, Sale, SaleStatus } from '../domain/entities/sale.entity';
 import { SaleLine } from '../domain/entities/sale-line.entity';
-import { ISaleRepository, SaleData } from '../domain/repositories/sale.repository';
+import {
+  ISaleRepository,
+  SaleData,
+  SaleStatusChange,
+  SaleStatusHistoryEntry,
+  SaleVoidData
+} from '../domain/repositories/sale.repository';
+import { PaymentData } from '../domain/repositories/payment.repository';
 
 // Mock implementation for testing interface contracts
 class MockSaleRepository implements ISaleRepository {
   private sales: Sale[] = [];
+  private history: SaleStatusHistoryEntry[] = [];
+  private pendingStockReleases = new Set<number>();
   private nextId = 1;
 
   // Base repository methods
@@ -36,10 +45,11 @@ class MockSaleRepository implements ISaleRepository {
       entity.lines
     );
     this.sales.push(sale);
+    this.recordStatusChange(sale.id, null, entity.status);
     return sale;
   }
 
-  async update(id: number, entity: Partial<SaleData>): Promise<Sale> {
+  async update(id: number, entity: Partial<Omit<SaleData, 'status'>>): Promise<Sale> {
     const index = this.sales.findIndex(sale => sale.id === id);
     if (index === -1) {
       throw new Error('Sale not found');
@@ -50,7 +60,7 @@ class MockSaleRepository implements ISaleRepository {
       existingSale.id,
       entity.date || existingSale.date,
       entity.total || existingSale.total,
-      entity.status || existingSale.status,
+      existingSale.status,
       entity.storeId || existingSale.storeId,
       entity.userId || existingSale.userId,
       entity.lines || existingSale.lines
@@ -125,7 +135,7 @@ class MockSaleRepository implements ISaleRepository {
 
   async findByDateRange(startDate: Date, endDate: Date): Promise<Sale[]> {
     return this.sales.filter(sale => 
-      sale.date >= startDate && sale.date <= endDate
+      sale.date >= startDate && sale.date <= endDate && COMPLETED_SALE_STATUSES.includes(sale.status)
     );
   }
 
@@ -178,8 +188,72 @@ class MockSaleRepository implements ISaleRepository {
     return this.save(sale);
   }
 
-  async updateSaleStatus(id: number, status: string): Promise<Sale> {
-    return this.update(id, { status });
+  async updateSaleStatus(id: number, status: SaleStatus): Promise<Sale> {
+    const sale = await this.findById(id);
+    if (!sale) {
+      throw new Error('Sale not found');
+    }
+    return this.changeStatus(id, { from: sale.status, to: status });
+  }
+
+  async changeStatus(id: number, change: SaleStatusChange): Promise<Sale> {
+    const sale = await this.findById(id);
+    if (!sale) {
+      throw new Error('Sale not found');
+    }
+    if (sale.status !== change.from || !canTransitionSale(change.from, change.to)) {
+      throw new IllegalSaleTransitionError(id, sale.status, change.to);
+    }
+    sale.status = change.to;
+    this.recordStatusChange(id, change.from, change.to, change.changedBy, change.reason);
+    return sale;
+  }
+
+  async activate(id: number, _payments: PaymentData[]): Promise<Sale> {
+    return this.changeStatus(id, { from: 'pending', to: 'active' });
+  }
+
+  async findStatusHistory(saleId: number): Promise<SaleStatusHistoryEntry[]> {
+    return this.history.filter(entry => entry.saleId === saleId);
+  }
+
+  async findLowestSellingPrice(storeId: number, productId: number, since: Date): Promise<number | null> {
+    const prices = this.sales
+      .filter(sale => sale.storeId === storeId && sale.date >= since && COMPLETED_SALE_STATUSES.includes(sale.status))
+      .flatMap(sale => sale.lines.filter(line => line.productId === productId).map(line => line.unitPrice));
+    return prices.length > 0 ? Math.min(...prices) : null;
+  }
+
+  private recordStatusChange(
+    saleId: number,
+    fromStatus: SaleStatus | null,
+    toStatus: SaleStatus,
+    changedBy?: number,
+    reason?: string
+  ): void {
+    this.history.push({ id: this.history.length + 1, saleId, fromStatus, toStatus, changedBy, reason, changedAt: new Date() });
+  }
+
+  async markAsVoided(id: number, data: SaleVoidData): Promise<Sale> {
+    const sale = await this.findById(id);
+    if (!sale || sale.status !== 'active') {
+      throw new Error(`Sale ${id} is no longer active`);
+    }
+    const voided = new Sale(
+      sale.id, sale.date, sale.total, 'voided', sale.storeId, sale.userId, sale.lines,
+      data.voidedAt, data.voidedBy, data.voidReason
+    );
+    this.sales[this.sales.indexOf(sale)] = voided;
+    this.pendingStockReleases.add(id);
+    return voided;
+  }
+
+  async findPendingStockReleases(limit: number): Promise<Sale[]> {
+    return this.sales.filter(sale => this.pendingStockReleases.has(sale.id)).slice(0, limit);
+  }
+
+  async markStockReleased(id: number): Promise<void> {
+    this.pendingStockReleases.delete(id);
   }
 
   async getTotalSalesByStore(storeId: number, startDate?: Date, endDate?: Date): Promise<number> {
@@ -294,12 +368,31 @@ describe('ISaleRepository Interface Contract', () => {
 
     test('should update sale status', async () => {
       const savedSale = await repository.save(sampleSale);
-      const updatedSale = await repository.update(savedSale.id, { status: 'refunded' });
+      const updatedSale = await repository.changeStatus(savedSale.id, { from: 'completed', to: 'refunded' });
       
       expect(updatedSale.status).toBe('refunded');
       expect(updatedSale.id).toBe(savedSale.id);
     });
 
+    test('should reject status changes outside the state machine', async () => {
+      const savedSale = await repository.save(sampleSale);
+
+      await expect(repository.changeStatus(savedSale.id, { from: 'completed', to: 'pending' }))
+        .rejects.toThrow(IllegalSaleTransitionError);
+    });
+
+    test('should record every status change in the history', async () => {
+      const savedSale = await repository.save({ ...sampleSale, status: 'active' });
+      await repository.changeStatus(savedSale.id, { from: 'active', to: 'partially_refunded', changedBy: 3, reason: 'Defective' });
+
+      const history = await repository.findStatusHistory(savedSale.id);
+      expect(history.map(entry => [entry.fromStatus, entry.toStatus])).toEqual([
+        [null, 'active'],
+        ['active', 'partially_refunded']
+      ]);
+      expect(history[1]).toEqual(expect.objectContaining({ changedBy: 3, reason: 'Defective' }));
+    });
+
     test('should delete a sale', async () => {
       const savedSale = await repository.save(sampleSale);
       await repository.delete(savedSale.id);
@@ -358,6 +451,15 @@ describe('ISaleRepository Interface Contract', () => {
       )).toBe(true);
     });
 
+    test('should leave sales that did not go through out of the date range', async () => {
+      await repository.save({ ...sampleSale, status: 'pending' });
+      await repository.save({ ...sampleSale, status: 'failed' });
+      await repository.save({ ...sampleSale, status: 'voided' });
+
+      const salesInRange = await repository.findByDateRange(new Date('2024-01-01'), new Date('2024-01-31'));
+      expect(salesInRange).toHaveLength(2);
+    });
+
     test('should find sales by status', async () => {
       await repository.save({ ...sampleSale, status: 'pending' });
       
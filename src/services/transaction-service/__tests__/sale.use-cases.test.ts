@@ -1,12 +1,19 @@
 import { SaleUseCases } from '../application/use-cases/sale.use-cases';
+import { SaleCreationSaga } from '../application/sagas/sale-creation.saga';
 import { ISaleRepository } from '../domain/repositories/sale.repository';
-import { Sale } from '../domain/entities/sale.entity';
+import { ISaleSagaRepository } from '../domain/repositories/sale-saga.repository';
+import { ICatalogService } from '../infrastructure/services/catalog.service';
+import { IllegalSaleTransitionError, Sale } from '../domain/entities/sale.entity';
 import { SaleLine } from '../domain/entities/sale-line.entity';
-import axios from 'axios';
-
-// Mock axios
-jest.mock('axios');
-const mockedAxios = axios as jest.Mocked<typeof axios>;
+import { SaleSaga } from '../domain/entities/sale-saga.entity';
+import { SalePricingService } from '../domain/services/sale-pricing.service';
+import { TaxService } from '../domain/services/tax.service';
+import { CategoryRollupService } from '../domain/services/category-rollup.service';
+import { ICrossDomainQueries } from '@shared/infrastructure/database/cross-domain-queries';
+import { PaymentService } from '../domain/services/payment.service';
+import { Payment } from '../domain/entities/payment.entity';
+import { IPaymentRepository } from '../domain/repositories/payment.repository';
+import { FakePaymentProvider } from '../infrastructure/services/fake-payment-provider';
 
 // Mock the repository - using a partial mock for now to avoid interface issues
 const mockSaleRepository = {
@@ -14,18 +21,86 @@ const mockSaleRepository = {
   findAll: jest.fn(),
   save: jest.fn(),
   update: jest.fn(),
+  changeStatus: jest.fn(),
+  activate: jest.fn(),
+  findStatusHistory: jest.fn(),
   delete: jest.fn(),
   findByUserId: jest.fn(),
   findByStoreId: jest.fn(),
   findByDateRange: jest.fn(),
+  markAsVoided: jest.fn(),
+  findPendingStockReleases: jest.fn(),
+  markStockReleased: jest.fn(),
   // Don't include findByUserIdWithRelations or findByUserIdWithRelationsRaw - they're optional
 } as jest.Mocked<Partial<ISaleRepository>> as jest.Mocked<ISaleRepository>;
 
+const mockSagaRepository: jest.Mocked<ISaleSagaRepository> = {
+  findById: jest.fn(),
+  save: jest.fn(),
+  update: jest.fn(),
+  findUnfinished: jest.fn(),
+};
+
+const mockCatalogService: jest.Mocked<ICatalogService> = {
+  adjustStock: jest.fn(),
+  reserveStock: jest.fn(),
+  reserveStocks: jest.fn(),
+  releaseStock: jest.fn(),
+  releaseSaleStock: jest.fn(),
+  exchangeStock: jest.fn(),
+  revertExchangeStock: jest.fn(),
+  convertHold: jest.fn(),
+  reinstateHold: jest.fn(),
+};
+
+const mockPaymentRepository: jest.Mocked<IPaymentRepository> = {
+  findBySaleId: jest.fn(),
+  addRefundedAmount: jest.fn(),
+  updateRefundPayment: jest.fn(),
+};
+
+// Charge the submitted prices in CAD unless a test overrides the pricing
+const mockSalePricingService = {
+  priceSale: jest.fn(),
+  priceLines: jest.fn(),
+} as unknown as jest.Mocked<SalePricingService>;
+
+// Stores charge no tax unless a test gives them tax rules
+const mockCrossDomainQueries = {
+  getStoreTaxRules: jest.fn(),
+  getProductCategoryPaths: jest.fn(),
+} as Partial<ICrossDomainQueries> as jest.Mocked<ICrossDomainQueries>;
+
 describe('SaleUseCases', () => {
   let saleUseCases: SaleUseCases;
+  let paymentProvider: FakePaymentProvider;
 
   beforeEach(() => {
-    saleUseCases = new SaleUseCases(mockSaleRepository);
+    paymentProvider = new FakePaymentProvider({ giftCardBalances: { 'GC-1': 25.0 }, declinedCardTokens: ['tok_declined'] });
+    const paymentService = new PaymentService(mockPaymentRepository, paymentProvider);
+    const saleCreationSaga = new SaleCreationSaga(mockSaleRepository, mockSagaRepository, mockCatalogService, paymentService);
+    saleUseCases = new SaleUseCases(
+      mockSaleRepository, saleCreationSaga, mockSalePricingService, new TaxService(mockCrossDomainQueries),
+      mockCatalogService, paymentService, new CategoryRollupService(mockCrossDomainQueries), 30
+    );
+    mockCrossDomainQueries.getStoreTaxRules.mockResolvedValue([]);
+    mockPaymentRepository.findBySaleId.mockResolvedValue([]);
+
+    mockSalePricingService.priceLines.mockImplementation(async (lines) =>
+      lines.map(line => ({ ...line, unitPrice: line.unitPrice!, catalogPrice: line.unitPrice }))
+    );
+    mockSalePricingService.priceSale.mockImplementation(async (_storeId, lines) => ({
+      currency: 'CAD',
+      exchangeRate: 1,
+      lines: await mockSalePricingService.priceLines(lines)
+    }));
+
+    mockSagaRepository.save.mockImplementation(async (data) =>
+      new SaleSaga(1, data.status, data.storeId, data.userId, data.lines, [], undefined, undefined, data.payments)
+    );
+    mockSagaRepository.update.mockResolvedValue(new SaleSaga(1, 'RESERVING', 1, 1, []));
+    // The saga activates the pending sale; echo back what was saved
+    mockSaleRepository.activate.mockImplementation(async () => mockSaleRepository.save.mock.results[0]?.value);
   });
 
   afterEach(() => {
@@ -58,35 +133,79 @@ describe('SaleUseCases', () => {
 
       mockSaleRepository.save.mockResolvedValue(createdSale);
 
-      // Mock the stock update API call
-      mockedAxios.post.mockResolvedValue({ data: { success: true } });
+      // Mock the stock reservation calls
+      mockCatalogService.reserveStocks.mockResolvedValue({ success: true });
 
       const result = await saleUseCases.createSale(saleData);
 
       expect(result).toEqual({
         id: 1,
         date: expect.any(Date),
+        subtotal: 200.0,
+        taxes: [],
+        taxTotal: 0,
         total: 200.0,
+        currency: 'CAD',
+        reportingTotal: 200.0,
+        reportingCurrency: 'CAD',
         status: 'active',
         storeId: 1,
         userId: 1,
         lines: [
-          { productId: 1, quantity: 2, unitPrice: 50.0, lineTotal: 100.0 },
-          { productId: 2, quantity: 1, unitPrice: 100.0, lineTotal: 100.0 }
+          { productId: 1, quantity: 2, unitPrice: 50.0, lineTotal: 100.0, taxes: [] },
+          { productId: 2, quantity: 1, unitPrice: 100.0, lineTotal: 100.0, taxes: [] }
         ]
       });
 
       expect(mockSaleRepository.save).toHaveBeenCalledWith(
         expect.objectContaining({
           total: 200.0,
-          status: 'active',
+          status: 'pending',
           storeId: 1,
           userId: 1
         })
       );
 
-      // Verify stock update calls
-      expect(mockedAxios.post).toHaveBeenCalledTimes(2);
+      // Verify the cart is reserved in one call and the sale activated
+      expect(mockCatalogService.reserveStocks).toHaveBeenCalledTimes(1);
+      expect(mockSaleRepository.activate).toHaveBeenCalledWith(1, [], expect.any(Function));
+    });
+
+    it('should charge the prices resolved from the catalog', async () => {
+      const saleData = {
+        storeId: 1,
+        userId: 1,
+        lines: [{ productId: 1, quantity: 2, unitPrice: 0.01 }]
+      };
+
+      mockSalePricingService.priceLines.mockResolvedValue([
+        { productId: 1, quantity: 2, unitPrice: 50.0, catalogPrice: 50.0 }
+      ]);
+      mockSaleRepository.save.mockResolvedValue(new Sale(1, new Date(), 100.0, 'pending', 1, 1, []));
+      mockCatalogService.reserveStocks.mockResolvedValue({ success: true });
+
+      await saleUseCases.createSale(saleData);
+
+      expect(mockSalePricingService.priceLines).toHaveBeenCalledWith(saleData.lines);
+      expect(mockSaleRepository.save).toHaveBeenCalledWith(expect.objectContaining({
+        total: 100.0,
+        lines: [expect.objectContaining({ unitPrice: 50.0, catalogPrice: 50.0 })]
+      }));
+    });
+
+    it('should not start the saga when pricing fails', async () => {
+      mockSalePricingService.priceLines.mockRejectedValue(
+        new Error('Price mismatch for product 1: expected 50, got 0.01')
+      );
+
+      await expect(saleUseCases.createSale({
+        storeId: 1,
+        userId: 1,
+        lines: [{ productId: 1, quantity: 2, unitPrice: 0.01 }]
+      })).rejects.toThrow('Price mismatch for product 1');
+
+      expect(mockSagaRepository.save).not.toHaveBeenCalled();
+      expect(mockSaleRepository.save).not.toHaveBeenCalled();
     });
 
     it('should calculate total correctly', async () => {
@@ -103,13 +222,162 @@ describe('SaleUseCases', () => {
 
       const createdSale = new Sale(1, new Date(), expectedTotal, 'active', 1, 1, []);
       mockSaleRepository.save.mockResolvedValue(createdSale);
-      mockedAxios.post.mockResolvedValue({ data: { success: true } });
+      mockCatalogService.reserveStocks.mockResolvedValue({ success: true });
 
       const result = await saleUseCases.createSale(saleData);
 
       expect(result.total).toBe(227.0);
     });
 
+    describe('with taxes', () => {
+      // Quebec: GST and QST are both charged on the amount before tax
+      const quebecRules = [
+        { code: 'GST', name: 'GST', rate: 5, taxCategory: 'STANDARD' },
+        { code: 'QST', name: 'QST', rate: 9.975, taxCategory: 'STANDARD' },
+        { code: 'GST', name: 'GST', rate: 5, taxCategory: 'FOOD_PREPARED' }
+      ];
+
+      beforeEach(() => {
+        mockCrossDomainQueries.getStoreTaxRules.mockResolvedValue(quebecRules);
+        mockCatalogService.reserveStocks.mockResolvedValue({ success: true });
+        mockSaleRepository.save.mockImplementation(async (data) =>
+          new Sale(1, data.date, data.total, data.status, data.storeId, data.userId, data.lines)
+        );
+      });
+
+      it('should tax every line with the store rules of its tax category', async () => {
+        mockSalePricingService.priceLines.mockResolvedValue([
+          { productId: 1, quantity: 3, unitPrice: 19.99, catalogPrice: 19.99, taxCategory: 'STANDARD' },
+          { productId: 2, quantity: 1, unitPrice: 4.5, catalogPrice: 4.5, taxCategory: 'FOOD_PREPARED' },
+          { productId: 3, quantity: 2, unitPrice: 2.0, catalogPrice: 2.0, taxCategory: 'ZERO_RATED' }
+        ]);
+
+        const result = await saleUseCases.createSale({
+          storeId: 1,
+          userId: 1,
+          lines: [{ productId: 1, quantity: 3 }, { productId: 2, quantity: 1 }, { productId: 3, quantity: 2 }]
+        });
+
+        expect(mockCrossDomainQueries.getStoreTaxRules).toHaveBeenCalledWith(1, 'transaction-service');
+        // 59.97 before tax: GST 3.00 (2.9985), QST 5.98 (5.9820)
+        expect(result.lines[0].taxes).toEqual([
+          { code: 'GST', name: 'GST', rate: 5, amount: 3.0 },
+          { code: 'QST', name: 'QST', rate: 9.975, amount: 5.98 }
+        ]);
+        // 4.50 before tax: GST 0.225 rounds half to even
+        expect(result.lines[1].taxes).toEqual([{ code: 'GST', name: 'GST', rate: 5, amount: 0.22 }]);
+        expect(result.lines[2].taxes).toEqual([]);
+        expect(result.subtotal).toBe(68.47);
+        expect(result.taxes).toEqual([
+          { code: 'GST', name: 'GST', rate: 5, amount: 3.22 },
+          { code: 'QST', name: 'QST', rate: 9.975, amount: 5.98 }
+        ]);
+        expect(result.taxTotal).toBe(9.20);
+        expect(result.total).toBe(77.67);
+      });
+
+      it('should charge the tenders the total with taxes', async () => {
+        mockSalePricingService.priceLines.mockResolvedValue([
+          { productId: 1, quantity: 1, unitPrice: 100.0, catalogPrice: 100.0, taxCategory: 'STANDARD' }
+        ]);
+
+        await expect(saleUseCases.createSale({
+          storeId: 1,
+          userId: 1,
+          lines: [{ productId: 1, quantity: 1 }],
+          payments: [{ method: 'CASH', amount: 100.0 }]
+        })).rejects.toThrow('Payments of 100 do not cover the sale total of 114.98');
+      });
+    });
+
+    describe('with payments', () => {
+      const saleData = (payments: Array<{ method: string; amount: number; cardToken?: string; giftCardNumber?: string }>) => ({
+        storeId: 1,
+        userId: 1,
+        lines: [{ productId: 1, quantity: 2, unitPrice: 50.0 }],
+        payments
+      });
+
+      beforeEach(() => {
+        mockSaleRepository.save.mockResolvedValue(new Sale(1, new Date(), 100.0, 'active', 1, 1, []));
+        mockCatalogService.reserveStocks.mockResolvedValue({ success: true });
+        // Read back the payments the activation recorded
+        mockPaymentRepository.findBySaleId.mockImplementation(async (saleId) =>
+          (mockSaleRepository.activate.mock.calls[0]?.[1] ?? []).map((payment, index) => new Payment(
+            index + 1, saleId, payment.method, payment.amount, payment.tendered, payment.changeDue, 0, payment.providerReference
+          ))
+        );
+      });
+
+      it('should split the sale over card, gift card and cash and return the change', async () => {
+        const result = await saleUseCases.createSale(saleData([
+          { method: 'CARD', amount: 40.0, cardToken: 'tok_visa' },
+          { method: 'GIFT_CARD', amount: 25.0, giftCardNumber: 'GC-1' },
+          { method: 'CASH', amount: 50.0 }
+        ]));
+
+        expect(result.changeDue).toBe(15.0);
+        expect(result.payments).toEqual([
+          expect.objectContaining({ method: 'CARD', amount: 40.0, tendered: 40.0, changeDue: 0 }),
+          expect.objectContaining({ method: 'GIFT_CARD', amount: 25.0, tendered: 25.0, changeDue: 0 }),
+          expect.objectContaining({ method: 'CASH', amount: 35.0, tendered: 50.0, changeDue: 15.0 })
+        ]);
+        expect(mockSaleRepository.activate).toHaveBeenCalledWith(1, [
+          expect.objectContaining({ method: 'CARD', providerReference: expect.any(String) }),
+          expect.objectContaining({ method: 'GIFT_CARD', providerReference: expect.any(String) }),
+          { method: 'CASH', amount: 35.0, tendered: 50.0, changeDue: 15.0 }
+        ], expect.any(Function));
+        expect(paymentProvider.getGiftCardBalance('GC-1')).toBe(0);
+      });
+
+      it('should reject payments that do not cover the total', async () => {
+        await expect(saleUseCases.createSale(saleData([{ method: 'CASH', amount: 60.0 }])))
+          .rejects.toThrow('Payments of 60 do not cover the sale total of 100');
+        expect(mockSaleRepository.save).not.toHaveBeenCalled();
+      });
+
+      it('should only give change in cash', async () => {
+        await expect(saleUseCases.createSale(saleData([{ method: 'CARD', amount: 120.0 }])))
+          .rejects.toThrow('Card and gift card payments of 120 exceed the sale total of 100');
+      });
+
+      it('should not create the sale and refund earlier tenders when a tender is declined', async () => {
+        await expect(saleUseCases.createSale(saleData([
+          { method: 'GIFT_CARD', amount: 25.0, giftCardNumber: 'GC-1' },
+          { method: 'CARD', amount: 75.0, cardToken: 'tok_declined' }
+        ]))).rejects.toThrow('CARD payment of 75 was declined: Card declined');
+
+        expect(paymentProvider.getGiftCardBalance('GC-1')).toBe(25.0);
+        expect(mockSaleRepository.save).not.toHaveBeenCalled();
+      });
+
+      it('should refund the tenders when the sale cannot be completed', async () => {
+        mockCatalogService.reserveStocks.mockResolvedValue({ success: false, error: 'Insufficient stock for product 1' });
+        mockCatalogService.releaseSaleStock.mockResolvedValue({ success: true });
+
+        await expect(saleUseCases.createSale(saleData([
+          { method: 'GIFT_CARD', amount: 25.0, giftCardNumber: 'GC-1' },
+          { method: 'CASH', amount: 100.0 }
+        ]))).rejects.toThrow('Insufficient stock for product 1');
+
+        expect(paymentProvider.getGiftCardBalance('GC-1')).toBe(25.0);
+        expect(mockSaleRepository.activate).not.toHaveBeenCalled();
+      });
+
+      it('should refund the tenders when the sale cannot be activated', async () => {
+        mockSaleRepository.activate.mockRejectedValueOnce(new Error('Database unavailable'));
+        mockCatalogService.releaseSaleStock.mockResolvedValue({ success: true });
+
+        await expect(saleUseCases.createSale(saleData([
+          { method: 'GIFT_CARD', amount: 25.0, giftCardNumber: 'GC-1' },
+          { method: 'CASH', amount: 100.0 }
+        ]))).rejects.toThrow('Database unavailable');
+
+        expect(paymentProvider.getGiftCardBalance('GC-1')).toBe(25.0);
+        expect(mockCatalogService.releaseSaleStock).toHaveBeenCalledWith(expect.objectContaining({ saleId: 1 }));
+      });
+    });
+
     it('should handle empty sale lines', async () => {
       const saleData = {
         storeId: 1,
@@ -127,6 +395,95 @@ describe('SaleUseCases', () => {
     });
   });
 
+  describe('currencies', () => {
+    beforeEach(() => {
+      mockSalePricingService.priceSale.mockResolvedValue({
+        currency: 'USD',
+        exchangeRate: 1.37,
+        lines: [{ productId: 1, quantity: 2, unitPrice: 14.99, catalogPrice: 14.99 }]
+      });
+      mockCatalogService.reserveStocks.mockResolvedValue({ success: true });
+      mockSaleRepository.save.mockImplementation(async (data) =>
+        new Sale(1, data.date, data.total, data.status, data.storeId, data.userId, [], undefined, undefined, undefined,
+          data.currency, data.exchangeRate, data.reportingTotal)
+      );
+    });
+
+    it('should record the sale in the store currency with its reporting currency total', async () => {
+      const result = await saleUseCases.createSale({ storeId: 2, userId: 1, lines: [{ productId: 1, quantity: 2 }] });
+
+      expect(mockSalePricingService.priceSale).toHaveBeenCalledWith(2, [{ productId: 1, quantity: 2 }]);
+      expect(mockSaleRepository.save).toHaveBeenCalledWith(expect.objectContaining({
+        total: 29.98,
+        currency: 'USD',
+        exchangeRate: 1.37,
+        reportingTotal: 41.07
+      }));
+      expect(result).toEqual(expect.objectContaining({
+        total: 29.98,
+        currency: 'USD',
+        reportingTotal: 41.07,
+        reportingCurrency: 'CAD'
+      }));
+    });
+
+    it('should charge the tenders in the store currency', async () => {
+      const charge = jest.spyOn(paymentProvider, 'charge');
+
+      await saleUseCases.createSale({
+        storeId: 2,
+        userId: 1,
+        lines: [{ productId: 1, quantity: 2 }],
+        payments: [{ method: 'CARD', amount: 29.98, cardToken: 'tok_visa' }]
+      });
+
+      expect(charge).toHaveBeenCalledWith(expect.objectContaining({ amount: 29.98, currency: 'USD' }));
+    });
+
+    it('should add up the sales summary in the reporting currency', async () => {
+      mockSaleRepository.findByDateRange.mockResolvedValue([
+        new Sale(1, new Date(), 100.0, 'active', 1, 1, []),
+        new Sale(2, new Date(), 29.98, 'active', 2, 1, [], undefined, undefined, undefined, 'USD', 1.37, 41.07),
+        new Sale(3, new Date(), 10.0, 'active', 2, 1, [], undefined, undefined, undefined, 'USD', 1.4)
+      ]);
+
+      const summary = await saleUseCases.getSalesSummary(new Date('2024-01-01'), new Date('2024-01-31'));
+
+      expect(summary).toEqual(expect.objectContaining({
+        totalSales: 3,
+        currency: 'CAD',
+        totalRevenue: 155.07,
+        averageOrderValue: 51.69,
+        revenueByCurrency: { CAD: 100.0, USD: 39.98 }
+      }));
+    });
+
+    it('should roll the revenue before tax up the catalog categories', async () => {
+      // Products 1 and 2 are under Beverages > Coffee and Beverages > Tea, product 3 is uncategorized
+      const beverages = { id: 1, name: 'Beverages', parentId: null };
+      mockCrossDomainQueries.getProductCategoryPaths.mockResolvedValue({
+        1: [beverages, { id: 2, name: 'Coffee', parentId: 1 }],
+        2: [beverages, { id: 5, name: 'Tea', parentId: 1 }],
+        3: []
+      });
+      mockSaleRepository.findByDateRange.mockResolvedValue([
+        new Sale(1, new Date(), 26.0, 'active', 1, 1, [new SaleLine(1, 2, 4.0, 1), new SaleLine(3, 1, 15.0, 1)]),
+        new Sale(2, new Date(), 10.0, 'active', 2, 1, [new SaleLine(2, 4, 2.5, 2)],
+          undefined, undefined, undefined, 'USD', 1.4)
+      ]);
+
+      const summary = await saleUseCases.getSalesSummary(new Date('2024-01-01'), new Date('2024-01-31'));
+
+      expect(mockCrossDomainQueries.getProductCategoryPaths).toHaveBeenCalledWith([1, 3, 2], 'transaction-service');
+      expect(summary.revenueByCategory).toEqual([
+        { categoryId: 1, name: 'Beverages', parentId: null, units: 6, amount: 22.0 },
+        { categoryId: 2, name: 'Coffee', parentId: 1, units: 2, amount: 8.0 },
+        { categoryId: 5, name: 'Tea', parentId: 1, units: 4, amount: 14.0 },
+        { categoryId: null, name: 'Uncategorized', parentId: null, units: 1, amount: 15.0 }
+      ]);
+    });
+  });
+
   describe('getSale', () => {
     it('should return sale when found', async () => {
       const sale = new Sale(
@@ -146,11 +503,19 @@ describe('SaleUseCases', () => {
       expect(result).toEqual({
         id: 1,
         date: new Date('2023-01-01'),
+        subtotal: 150.0,
+        taxes: [],
+        taxTotal: 0,
         total: 150.0,
+        currency: 'CAD',
+        reportingTotal: 150.0,
+        reportingCurrency: 'CAD',
         status: 'active',
         storeId: 1,
         userId: 1,
-        lines: [{ productId: 1, quantity: 3, unitPrice: 50.0, lineTotal: 150.0 }]
+        lines: [{ productId: 1, quantity: 3, unitPrice: 50.0, lineTotal: 150.0, taxes: [] }],
+        payments: [],
+        changeDue: 0
       });
 
       expect(mockSaleRepository.findById).toHaveBeenCalledWith(1);
@@ -231,30 +596,181 @@ describe('SaleUseCases', () => {
   describe('updateSaleStatus', () => {
     it('should update sale status successfully', async () => {
       const existingSale = new Sale(1, new Date(), 100.0, 'active', 1, 1, []);
-      const updatedSale = new Sale(1, new Date(), 100.0, 'refunded', 1, 1, []);
+      const updatedSale = new Sale(1, new Date(), 100.0, 'completed', 1, 1, []);
 
       mockSaleRepository.findById.mockResolvedValue(existingSale);
-      mockSaleRepository.update.mockResolvedValue(updatedSale);
+      mockSaleRepository.changeStatus.mockResolvedValue(updatedSale);
 
-      const result = await saleUseCases.updateSaleStatus(1, 'refunded');
+      const result = await saleUseCases.updateSaleStatus(1, { status: 'completed', userId: 3, reason: 'Picked up' });
 
-      expect(result.status).toBe('refunded');
+      expect(result.status).toBe('completed');
       expect(mockSaleRepository.findById).toHaveBeenCalledWith(1);
-      expect(mockSaleRepository.update).toHaveBeenCalledWith(1, expect.objectContaining({
-        status: 'refunded'
-      }));
+      expect(mockSaleRepository.changeStatus).toHaveBeenCalledWith(1, {
+        from: 'active',
+        to: 'completed',
+        changedBy: 3,
+        reason: 'Picked up'
+      });
     });
 
     it('should throw error when sale not found for status update', async () => {
       mockSaleRepository.findById.mockResolvedValue(null);
 
-      await expect(saleUseCases.updateSaleStatus(999, 'refunded'))
+      await expect(saleUseCases.updateSaleStatus(999, { status: 'completed' }))
         .rejects.toThrow('Sale not found');
     });
+
+    it('should reject unknown statuses', async () => {
+      await expect(saleUseCases.updateSaleStatus(1, { status: 'shipped' }))
+        .rejects.toThrow('Unknown sale status shipped');
+      expect(mockSaleRepository.changeStatus).not.toHaveBeenCalled();
+    });
+
+    it.each([
+      ['refunded', 'active'],
+      ['voided', 'completed'],
+      ['failed', 'active'],
+      ['completed', 'pending']
+    ] as const)('should not move a %s sale to %s', async (from, to) => {
+      mockSaleRepository.findById.mockResolvedValue(new Sale(1, new Date(), 100.0, from, 1, 1, []));
+
+      const attempt = saleUseCases.updateSaleStatus(1, { status: to });
+
+      await expect(attempt).rejects.toThrow(IllegalSaleTransitionError);
+      await expect(attempt).rejects.toThrow(`Cannot change sale 1 from ${from} to ${to}`);
+      expect(mockSaleRepository.changeStatus).not.toHaveBeenCalled();
+    });
+
+    it.each(['voided', 'refunded', 'partially_refunded'])('should not move a sale to %s by hand', async (to) => {
+      mockSaleRepository.findById.mockResolvedValue(new Sale(1, new Date(), 100.0, 'active', 1, 1, []));
+
+      const attempt = saleUseCases.updateSaleStatus(1, { status: to });
+
+      await expect(attempt).rejects.toThrow(IllegalSaleTransitionError);
+      await expect(attempt).rejects.toThrow(`Sale 1 cannot be moved to ${to} by hand: void or refund it instead`);
+      expect(mockSaleRepository.changeStatus).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getSaleStatusHistory', () => {
+    it('should return the status changes of the sale', async () => {
+      const changedAt = new Date('2024-01-15T10:00:00Z');
+      mockSaleRepository.findById.mockResolvedValue(new Sale(1, new Date(), 100.0, 'voided', 1, 1, []));
+      mockSaleRepository.findStatusHistory.mockResolvedValue([
+        { id: 1, saleId: 1, fromStatus: null, toStatus: 'pending', changedBy: 3, changedAt },
+        { id: 2, saleId: 1, fromStatus: 'pending', toStatus: 'active', changedAt },
+        { id: 3, saleId: 1, fromStatus: 'active', toStatus: 'voided', changedBy: 4, reason: 'Mistake', changedAt }
+      ]);
+
+      const history = await saleUseCases.getSaleStatusHistory(1);
+
+      expect(history.map(entry => entry.toStatus)).toEqual(['pending', 'active', 'voided']);
+      expect(history[2]).toEqual({ fromStatus: 'active', toStatus: 'voided', changedBy: 4, reason: 'Mistake', changedAt });
+    });
+  });
+
+  describe('voidSale', () => {
+    const lines = [new SaleLine(1, 2, 50.0, 1, 10), new SaleLine(2, 1, 100.0, 1, 11)];
+    const minutesAgo = (minutes: number) => new Date(Date.now() - minutes * 60 * 1000);
+
+    beforeEach(() => {
+      mockSaleRepository.markAsVoided.mockImplementation(async (id, data) =>
+        new Sale(id, minutesAgo(5), 200.0, 'voided', 1, 1, lines, data.voidedAt, data.voidedBy, data.voidReason)
+      );
+      mockCatalogService.releaseSaleStock.mockResolvedValue({ success: true });
+    });
+
+    it('should void an active sale, record who voided it and release its stock', async () => {
+      mockSaleRepository.findById.mockResolvedValue(new Sale(1, minutesAgo(5), 200.0, 'active', 1, 1, lines));
+
+      const result = await saleUseCases.voidSale(1, { userId: 3, reason: ' Customer changed mind ' });
+
+      expect(result.status).toBe('voided');
+      expect(result.voidedBy).toBe(3);
+      expect(result.voidReason).toBe('Customer changed mind');
+      expect(mockSaleRepository.markAsVoided).toHaveBeenCalledWith(1, {
+        voidedAt: expect.any(Date),
+        voidedBy: 3,
+        voidReason: 'Customer changed mind'
+      });
+      expect(mockCatalogService.releaseSaleStock).toHaveBeenCalledWith({ saleId: 1, actorId: 3, includeHolds: true });
+      expect(mockSaleRepository.markStockReleased).toHaveBeenCalledWith(1);
+    });
+
+    it('should reject sales that are not active', async () => {
+      mockSaleRepository.findById.mockResolvedValue(new Sale(1, minutesAgo(5), 200.0, 'partially_refunded', 1, 1, lines));
+
+      await expect(saleUseCases.voidSale(1, { userId: 3, reason: 'Mistake' }))
+        .rejects.toThrow(new IllegalSaleTransitionError(1, 'partially_refunded', 'voided',
+          'Only active sales can be voided, sale 1 is partially_refunded'));
+      expect(mockCatalogService.releaseSaleStock).not.toHaveBeenCalled();
+    });
+
+    it('should reject sales older than the void window', async () => {
+      mockSaleRepository.findById.mockResolvedValue(new Sale(1, minutesAgo(31), 200.0, 'active', 1, 1, lines));
+
+      await expect(saleUseCases.voidSale(1, { userId: 3, reason: 'Mistake' }))
+        .rejects.toThrow('Sale 1 can only be voided within 30 minutes of its creation');
+      expect(mockSaleRepository.markAsVoided).not.toHaveBeenCalled();
+    });
+
+    it('should require a reason', async () => {
+      await expect(saleUseCases.voidSale(1, { userId: 3, reason: '  ' }))
+        .rejects.toThrow('A reason is required to void a sale');
+      expect(mockSaleRepository.findById).not.toHaveBeenCalled();
+    });
+
+    it('should leave the stock release to be retried when the catalog cannot release it', async () => {
+      mockSaleRepository.findById.mockResolvedValue(new Sale(1, minutesAgo(5), 200.0, 'active', 1, 1, lines));
+      mockCatalogService.releaseSaleStock.mockResolvedValueOnce({ success: false, error: 'Catalog unavailable' });
+
+      const result = await saleUseCases.voidSale(1, { userId: 3, reason: 'Mistake' });
+
+      expect(result.status).toBe('voided');
+      expect(mockSaleRepository.markStockReleased).not.toHaveBeenCalled();
+    });
+
+    it('should refund the tenders of the sale', async () => {
+      const charge = await paymentProvider.charge({ method: 'GIFT_CARD', amount: 25.0, currency: 'CAD', storeId: 1, giftCardNumber: 'GC-1' });
+      mockSaleRepository.findById.mockResolvedValue(new Sale(1, minutesAgo(5), 200.0, 'active', 1, 1, lines));
+      mockPaymentRepository.findBySaleId.mockResolvedValueOnce([
+        new Payment(1, 1, 'GIFT_CARD', 25.0, 25.0, 0, 0, charge.reference),
+        new Payment(2, 1, 'CASH', 175.0, 180.0, 5.0)
+      ]);
+      mockPaymentRepository.addRefundedAmount.mockImplementation(async (id, amount) =>
+        new Payment(id, 1, id === 1 ? 'GIFT_CARD' : 'CASH', id === 1 ? 25.0 : 175.0, id === 1 ? 25.0 : 180.0, 0, amount)
+      );
+
+      const result = await saleUseCases.voidSale(1, { userId: 3, reason: 'Mistake' });
+
+      expect(paymentProvider.getGiftCardBalance('GC-1')).toBe(25.0);
+      expect(mockPaymentRepository.addRefundedAmount).toHaveBeenCalledWith(1, 25.0);
+      expect(mockPaymentRepository.addRefundedAmount).toHaveBeenCalledWith(2, 175.0);
+      expect(result.payments?.map(payment => payment.refundedAmount)).toEqual([25.0, 175.0]);
+    });
+  });
+
+  describe('retryStockReleases', () => {
+    const voided = (id: number) => new Sale(id, new Date(), 100.0, 'voided', 1, 1, [], new Date(), 3, 'Mistake');
+
+    it('should release the stock of voided sales still pending and clear their flag', async () => {
+      mockSaleRepository.findPendingStockReleases.mockResolvedValueOnce([voided(1), voided(2)]);
+      mockCatalogService.releaseSaleStock
+        .mockResolvedValueOnce({ success: true })
+        .mockResolvedValueOnce({ success: false, error: 'Catalog unavailable' });
+
+      const released = await saleUseCases.retryStockReleases(50);
+
+      expect(released).toBe(1);
+      expect(mockSaleRepository.findPendingStockReleases).toHaveBeenCalledWith(50);
+      expect(mockCatalogService.releaseSaleStock).toHaveBeenCalledWith({ saleId: 1, actorId: 3, includeHolds: true });
+      expect(mockSaleRepository.markStockReleased).toHaveBeenCalledTimes(1);
+      expect(mockSaleRepository.markStockReleased).toHaveBeenCalledWith(1);
+    });
   });
 
   describe('stock management integration', () => {
-    it('should handle stock update failure gracefully', async () => {
+    it('should fail the sale when stock cannot be reserved', async () => {
       const saleData = {
         storeId: 1,
         userId: 1,
@@ -262,17 +778,18 @@ describe('SaleUseCases', () => {
       };
 
       mockSaleRepository.save.mockResolvedValue(
-        new Sale(1, new Date(), 100.0, 'active', 1, 1, [])
+        new Sale(1, new Date(), 100.0, 'pending', 1, 1, [])
       );
 
-      // Mock stock update failure
-      mockedAxios.post.mockRejectedValue(new Error('Stock service unavailable'));
+      // Mock stock reservation failure
+      mockCatalogService.reserveStocks.mockResolvedValue({ success: false, error: 'Stock service unavailable' });
+      mockCatalogService.releaseSaleStock.mockResolvedValue({ success: true });
 
-      // The sale should still be created even if stock update fails
-      const result = await saleUseCases.createSale(saleData);
+      await expect(saleUseCases.createSale(saleData))
+        .rejects.toThrow('Sale could not be completed: Stock service unavailable');
 
-      expect(result.id).toBe(1);
-      expect(mockSaleRepository.save).toHaveBeenCalled();
+      expect(mockSaleRepository.changeStatus).toHaveBeenCalledWith(1, expect.objectContaining({ from: 'pending', to: 'failed' }));
+      expect(mockSaleRepository.changeStatus).not.toHaveBeenCalledWith(1, expect.objectContaining({ to: 'active' }), expect.anything());
     });
   });
 
@@ -287,7 +804,7 @@ describe('SaleUseCases', () => {
       // Assuming the business logic should handle negative quantities
       const createdSale = new Sale(1, new Date(), -50.0, 'active', 1, 1, []);
       mockSaleRepository.save.mockResolvedValue(createdSale);
-      mockedAxios.post.mockResolvedValue({ data: { success: true } });
+      mockCatalogService.reserveStocks.mockResolvedValue({ success: true });
 
       const result = await saleUseCases.createSale(saleData);
 
@@ -303,7 +820,7 @@ describe('SaleUseCases', () => {
 
       const createdSale = new Sale(1, new Date(), 0.0, 'active', 1, 1, []);
       mockSaleRepository.save.mockResolvedValue(createdSale);
-      mockedAxios.post.mockResolvedValue({ data: { success: true } });
+      mockCatalogService.reserveStocks.mockResolvedValue({ success: true });
 
       const result = await saleUseCases.createSale(saleData);
 
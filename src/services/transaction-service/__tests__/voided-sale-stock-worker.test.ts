@@ -0,0 +1,53 @@
+import { VoidedSaleStockWorker } from '../infrastructure/workers/voided-sale-stock-worker';
+import { SaleUseCases } from '../application/use-cases/sale.use-cases';
+
+const mockSaleUseCases = {
+  retryStockReleases: jest.fn(),
+} as Partial<SaleUseCases> as jest.Mocked<SaleUseCases>;
+
+describe('VoidedSaleStockWorker', () => {
+  afterEach(() => {
+    delete process.env['VOIDED_SALE_STOCK_RETRY_BATCH_SIZE'];
+    jest.useRealTimers();
+    jest.clearAllMocks();
+  });
+
+  it('should release one batch of voided sales, sized from the environment by default', async () => {
+    process.env['VOIDED_SALE_STOCK_RETRY_BATCH_SIZE'] = '20';
+    mockSaleUseCases.retryStockReleases.mockResolvedValue(3);
+
+    await expect(new VoidedSaleStockWorker(mockSaleUseCases).releasePending()).resolves.toBe(3);
+    await new VoidedSaleStockWorker(mockSaleUseCases, { batchSize: 5 }).releasePending();
+
+    expect(mockSaleUseCases.retryStockReleases).toHaveBeenNthCalledWith(1, 20);
+    expect(mockSaleUseCases.retryStockReleases).toHaveBeenNthCalledWith(2, 5);
+  });
+
+  it('should not release a second batch while one is still being released', async () => {
+    const worker = new VoidedSaleStockWorker(mockSaleUseCases);
+    let finish: (released: number) => void = () => undefined;
+    mockSaleUseCases.retryStockReleases.mockReturnValueOnce(new Promise(resolve => { finish = resolve; }));
+
+    const releasing = worker.releasePending();
+    await expect(worker.releasePending()).resolves.toBe(0);
+    finish(2);
+
+    await expect(releasing).resolves.toBe(2);
+    expect(mockSaleUseCases.retryStockReleases).toHaveBeenCalledTimes(1);
+  });
+
+  it('should retry on every poll while the catalog service is unavailable, until stopped', async () => {
+    jest.useFakeTimers();
+    const worker = new VoidedSaleStockWorker(mockSaleUseCases, { pollInterval: 500 });
+    mockSaleUseCases.retryStockReleases
+      .mockRejectedValueOnce(new Error('Catalog service unavailable'))
+      .mockResolvedValue(1);
+
+    worker.start();
+    await jest.advanceTimersByTimeAsync(1000);
+    worker.stop();
+    await jest.advanceTimersByTimeAsync(1000);
+
+    expect(mockSaleUseCases.retryStockReleases).toHaveBeenCalledTimes(2);
+  });
+});
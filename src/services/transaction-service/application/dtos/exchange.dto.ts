@@ -0,0 +1,46 @@
+// Exchange Data Transfer Objects
+import { TaxAmount } from '../../domain/entities/tax-amount';
+
+export interface CreateExchangeDTO {
+  saleId: number; // Original sale the units are returned from
+  userId?: number;
+  storeId?: number; // Store of the original sale when left out
+  reason: string;
+  returnedLines: Array<{
+    productId: number;
+    variantId?: number; // Only returns units of this variant
+    quantity: number;
+  }>;
+  // Products given in exchange, at their current price in the store
+  newLines: Array<{
+    productId: number;
+    variantId?: number; // Required for products with variants
+    quantity: number;
+  }>;
+}
+
+export interface ExchangeLineDTO {
+  productId: number;
+  variantId?: number;
+  quantity: number;
+  unitPrice: number;
+  lineTotal: number; // Before tax
+  taxes: TaxAmount[];
+}
+
+export interface ExchangeResponseDTO {
+  id: number;
+  date: Date;
+  originalSaleId: number;
+  refundId: number; // Refund of the returned units
+  saleId: number; // Sale of the new units
+  storeId: number;
+  userId: number;
+  reason: string;
+  currency: string; // Currency of the original sale, shared by both sides
+  returnedLines: ExchangeLineDTO[];
+  newLines: ExchangeLineDTO[];
+  refundTotal: number; // Taxes included
+  saleTotal: number; // Taxes included
+  priceDifference: number; // Owed by the customer when positive, to the customer when negative
+}
@@ -0,0 +1,48 @@
+// Receipt Data Transfer Objects
+import { TaxAmount } from '../../domain/entities/tax-amount';
+
+export type ReceiptFormat = 'html' | 'text' | 'pdf';
+
+export const RECEIPT_FORMATS: readonly ReceiptFormat[] = ['html', 'text', 'pdf'];
+
+export const isReceiptFormat = (value: unknown): value is ReceiptFormat =>
+  typeof value === 'string' && (RECEIPT_FORMATS as readonly string[]).includes(value);
+
+export interface ReceiptLineDTO {
+  productId: number;
+  productName: string;
+  quantity: number;
+  unitPrice: number;
+  lineTotal: number; // Before tax
+}
+
+export interface ReceiptTenderDTO {
+  method: string;
+  amount: number;
+  tendered?: number; // Cash handed over, sales only
+  status?: string; // Refunds only: PENDING, COMPLETED, FAILED
+}
+
+export interface ReceiptDTO {
+  type: 'sale' | 'refund';
+  id: number; // Sale or refund ID
+  saleId: number | null; // Null for refunds made without a receipt
+  date: Date;
+  status?: string; // Sales only
+  reason?: string; // Refunds only
+  approvedBy?: number; // Manager who approved a return without a receipt
+  store: {
+    id: number;
+    name: string;
+    address?: string;
+  };
+  currency: string;
+  lines: ReceiptLineDTO[];
+  subtotal: number;
+  taxes: TaxAmount[];
+  taxTotal: number;
+  total: number;
+  tenders: ReceiptTenderDTO[];
+  changeDue: number;
+  barcode: string; // Value encoded in the barcode: the sale ID, or R and the refund ID without a sale
+}
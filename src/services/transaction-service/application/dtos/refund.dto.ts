@@ -1,4 +1,7 @@
 // Refund Data Transfer Objects
+import { TaxAmount } from '../../domain/entities/tax-amount';
+import { RefundType } from '../../domain/entities/refund.entity';
+import { CategoryTotal } from '../../domain/services/category-rollup.service';
 
 export interface CreateRefundDTO {
   userId?: number;
@@ -7,16 +10,43 @@ export interface CreateRefundDTO {
   reason: string;
   lines?: Array<{
     productId: number;
+    variantId?: number; // Only refunds the lines of this variant
     quantity: number;
-    unitPrice: number;
+    unitPrice?: number; // Ignored: lines are refunded at the price they were sold at
+  }>;
+  // Overrides the proportional split over the sale payments; must add up to the refund total
+  tenders?: Array<{
+    paymentId: number;
+    amount: number;
   }>;
 }
 
+// Return without a receipt; the customer is paid back at the till
+export interface CreateBlindReturnDTO {
+  userId: number; // Customer returning the products
+  storeId: number;
+  reason: string;
+  lines: Array<{
+    productId: number;
+    variantId?: number; // Required for products with variants
+    quantity: number;
+  }>;
+}
+
+export interface RefundPaymentDTO {
+  paymentId: number;
+  method: string;
+  amount: number;
+  status: string;
+}
+
 export interface RefundLineDTO {
   productId: number;
+  variantId?: number;
   quantity: number;
   unitPrice: number;
-  lineTotal: number;
+  lineTotal: number; // Before tax
+  taxes: TaxAmount[];
   product?: {
     id: number;
     name: string;
@@ -27,12 +57,21 @@ export interface RefundLineDTO {
 export interface RefundResponseDTO {
   id: number;
   date: Date;
-  total: number;
+  subtotal: number;
+  taxes: TaxAmount[]; // Per tax, all lines together
+  taxTotal: number;
+  total: number; // Grand total, taxes included, in the currency of the sale
+  currency: string;
+  reportingTotal: number; // Grand total in the reporting currency
+  reportingCurrency: string;
   reason: string;
   storeId: number;
   userId: number;
-  saleId: number;
+  saleId: number | null; // Null for blind returns
+  type: RefundType;
+  approvedBy?: number; // Manager who approved a blind return
   lines: RefundLineDTO[];
+  payments?: RefundPaymentDTO[];
   store?: {
     id: number;
     name: string;
@@ -48,7 +87,13 @@ export interface RefundResponseDTO {
 
 export interface RefundsSummaryDTO {
   totalRefunds: number;
+  currency: string; // Reporting currency of the totals
   totalRefundAmount: number;
+  refundsByCurrency: Record<string, number>; // Refunded amount in each store currency
+  // Count and amount, in the reporting currency, of each refund type
+  refundsByType: Record<RefundType, { count: number; amount: number }>;
+  // Units and amount before tax, in the reporting currency, refunded in each category including its subcategories
+  refundsByCategory: CategoryTotal[];
   refundRate: number;
   period: string;
 }
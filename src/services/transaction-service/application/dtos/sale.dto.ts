@@ -1,20 +1,53 @@
 // Sale Data Transfer Objects
+import { TaxAmount } from '../../domain/entities/tax-amount';
+import { CategoryTotal } from '../../domain/services/category-rollup.service';
 
 export interface CreateSaleDTO {
   userId: number;
   storeId: number;
   lines: Array<{
     productId: number;
+    variantId?: number; // Required for products with variants
     quantity: number;
-    unitPrice: number;
+    unitPrice?: number;
+    holdId?: number; // Stock hold paid for by the line, converted instead of reserving stock
   }>;
+  // Tenders paying the sale; for cash, amount is the cash handed over
+  payments?: Array<{
+    method: string;
+    amount: number;
+    cardToken?: string;
+    giftCardNumber?: string;
+  }>;
+}
+
+export interface VoidSaleDTO {
+  userId: number;
+  reason: string;
+}
+
+export interface UpdateSaleStatusDTO {
+  status: string;
+  userId?: number;
+  reason?: string;
+}
+
+export interface SaleStatusHistoryDTO {
+  fromStatus: string | null;
+  toStatus: string;
+  changedBy?: number;
+  reason?: string;
+  changedAt: Date;
 }
 
 export interface SaleLineDTO {
   productId: number;
+  variantId?: number;
   quantity: number;
   unitPrice: number;
-  lineTotal: number;
+  catalogPrice?: number;
+  lineTotal: number; // Before tax
+  taxes: TaxAmount[];
   product?: {
     id: number;
     name: string;
@@ -22,14 +55,34 @@ export interface SaleLineDTO {
   };
 }
 
+export interface PaymentDTO {
+  id: number;
+  method: string;
+  amount: number;
+  tendered: number;
+  changeDue: number;
+  refundedAmount: number;
+}
+
 export interface SaleResponseDTO {
   id: number;
   date: Date;
-  total: number;
+  subtotal: number;
+  taxes: TaxAmount[]; // Per tax, all lines together
+  taxTotal: number;
+  total: number; // Grand total, taxes included, in the store currency
+  currency: string;
+  reportingTotal: number; // Grand total in the reporting currency
+  reportingCurrency: string;
   status: string;
   storeId: number;
   userId: number;
   lines: SaleLineDTO[];
+  payments?: PaymentDTO[];
+  changeDue?: number;
+  voidedAt?: Date;
+  voidedBy?: number;
+  voidReason?: string;
   store?: {
     id: number;
     name: string;
@@ -42,7 +95,11 @@ export interface SaleResponseDTO {
 
 export interface SalesSummaryDTO {
   totalSales: number;
+  currency: string; // Reporting currency of the totals
   totalRevenue: number;
   averageOrderValue: number;
+  revenueByCurrency: Record<string, number>; // Revenue in each store currency
+  // Units sold and revenue before tax, in the reporting currency, of each category including its subcategories
+  revenueByCategory: CategoryTotal[];
   period: string;
 }
@@ -0,0 +1,281 @@
+import { ISaleRepository } from '../../domain/repositories/sale.repository';
+import { ISaleSagaRepository } from '../../domain/repositories/sale-saga.repository';
+import { IllegalSaleTransitionError, Sale, SaleCurrency } from '../../domain/entities/sale.entity';
+import { SaleLine } from '../../domain/entities/sale-line.entity';
+import { calculateSaleLinesTotal, SaleSaga, SaleSagaLine } from '../../domain/entities/sale-saga.entity';
+import { ICatalogService } from '../../infrastructure/services/catalog.service';
+import { PaymentService } from '../../domain/services/payment.service';
+import { PaymentData } from '../../domain/repositories/payment.repository';
+import { SaleCreatedEvent } from '@shared/domain/events/domain-events';
+import { createLogger } from '@shared/infrastructure/logging';
+import { DEFAULT_CURRENCY, Money, REPORTING_CURRENCY } from '@shared/domain/value-objects/money.vo';
+
+const logger = createLogger('sale-creation-saga');
+
+/**
+ * Orchestrates sale creation across the transaction and catalog services.
+ *
+ * The sale is persisted as `pending`, every line is reserved through the catalog
+ * service (lines paying for a stock hold convert it, the others are reserved together
+ * in one all-or-nothing call), and the sale is activated only once all reservations succeeded. When any
+ * step fails, the catalog releases whatever it reserved for the sale, found by the sale ID, converted
+ * holds are reinstated and the sale is marked `failed`.
+ * Tenders charged for the sale are recorded in the same transaction as the activation, and
+ * refunded once a failed sale has released all of its stock.
+ * Saga state is persisted after each step so `recover()` can finish interrupted sagas.
+ */
+export class SaleCreationSaga {
+  /**
+   * @param saleRepository Repository for sale persistence operations
+   * @param sagaRepository Repository for saga state persistence
+   * @param catalogService Service for catalog stock operations
+   * @param paymentService Domain service refunding the tenders of failed sales
+   */
+  constructor(
+    private readonly saleRepository: ISaleRepository,
+    private readonly sagaRepository: ISaleSagaRepository,
+    private readonly catalogService: ICatalogService,
+    private readonly paymentService: PaymentService
+  ) {}
+
+  /**
+   * Runs the saga for a new sale.
+   * @param storeId Store where the sale takes place
+   * @param userId User making the purchase
+   * @param lines Sale lines to reserve and record
+   * @param saleCurrency Currency of the store and its rate to the reporting currency, the default currency by default
+   * @param payments Tenders already charged for the sale, recorded with its activation
+   * @returns Promise resolving to the activated sale
+   */
+  async execute(
+    storeId: number,
+    userId: number,
+    lines: SaleSagaLine[],
+    saleCurrency: SaleCurrency = { currency: DEFAULT_CURRENCY, exchangeRate: 1 },
+    payments: PaymentData[] = []
+  ): Promise<Sale> {
+    let saga: SaleSaga;
+    try {
+      saga = await this.sagaRepository.save({ status: 'STARTED', storeId, userId, lines, payments });
+    } catch (error) {
+      // Nothing was reserved yet, only the charges have to be undone
+      await this.paymentService.reverseCharges(payments);
+      throw error;
+    }
+
+    try {
+      const total = calculateSaleLinesTotal(lines);
+      const pendingSale = await this.saleRepository.save({
+        date: new Date(),
+        total,
+        currency: saleCurrency.currency,
+        exchangeRate: saleCurrency.exchangeRate,
+        reportingTotal: Money.of(total, saleCurrency.currency)
+          .convert(REPORTING_CURRENCY, saleCurrency.exchangeRate)
+          .getAmount(),
+        status: 'pending',
+        storeId,
+        userId,
+        lines: lines.map(line =>
+          new SaleLine(line.productId, line.quantity, line.unitPrice, 0, undefined, line.catalogPrice, 0, line.taxes ?? [], line.variantId)
+        )
+      });
+
+      saga.startReserving(pendingSale.id);
+      await this.sagaRepository.update(saga.id, { status: saga.status, saleId: saga.saleId });
+
+      for (const line of lines.filter(line => line.holdId !== undefined)) {
+        await this.convertHold(saga, line);
+      }
+      await this.reserveLines(saga, lines.filter(line => line.holdId === undefined));
+
+      return await this.commit(saga);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'Unknown error';
+      logger.warn('Sale creation saga failed, compensating', { sagaId: saga.id, error: message });
+      await this.compensate(saga, message).catch(compensationError => {
+        // The saga stays in COMPENSATING and is retried by recover()
+        logger.error('Sale creation saga compensation failed', compensationError as Error, { sagaId: saga.id });
+      });
+      throw new Error(`Sale could not be completed: ${message}`);
+    }
+  }
+
+  /**
+   * Resumes or compensates sagas left unfinished, by a previous process or by a run that failed
+   * to compensate. Sagas that reserved every line are committed, all others are compensated.
+   * @param updatedBefore Only the sagas not updated since, so sagas still running are left alone
+   * @returns Promise resolving to the number of recovered sagas
+   */
+  async recover(updatedBefore?: Date): Promise<number> {
+    const sagas = await this.sagaRepository.findUnfinished(updatedBefore);
+
+    for (const saga of sagas) {
+      try {
+        if (saga.status === 'RESERVING' && saga.hasReservedAllLines()) {
+          logger.info('Resuming interrupted sale saga', { sagaId: saga.id, saleId: saga.saleId });
+          await this.commit(saga);
+        } else {
+          logger.info('Compensating interrupted sale saga', { sagaId: saga.id, saleId: saga.saleId });
+          await this.compensate(saga, saga.error ?? 'Interrupted before all stock was reserved');
+        }
+      } catch (error) {
+        // Leave the saga unfinished so the next recovery attempt picks it up again
+        logger.error('Failed to recover sale saga', error as Error, { sagaId: saga.id });
+      }
+    }
+
+    return sagas.length;
+  }
+
+  // A line paying for a stock hold takes the held units
+  private async convertHold(saga: SaleSaga, line: SaleSagaLine): Promise<void> {
+    const result = await this.catalogService.convertHold(line.holdId!, {
+      saleId: saga.saleId!,
+      storeId: saga.storeId,
+      productId: line.productId,
+      ...(line.variantId !== undefined && { variantId: line.variantId }),
+      userId: saga.userId,
+      quantity: line.quantity
+    });
+
+    if (!result.success) {
+      throw new Error(result.error ?? `Failed to convert stock hold ${line.holdId}`);
+    }
+
+    saga.recordReservation(line);
+    await this.sagaRepository.update(saga.id, { reserved: saga.reserved });
+  }
+
+  // The other lines are reserved in one catalog transaction, so a failure reserves none of them
+  private async reserveLines(saga: SaleSaga, lines: SaleSagaLine[]): Promise<void> {
+    if (lines.length === 0) {
+      return;
+    }
+
+    const result = await this.catalogService.reserveStocks({
+      storeId: saga.storeId,
+      lines: lines.map(line => ({
+        productId: line.productId,
+        ...(line.variantId !== undefined && { variantId: line.variantId }),
+        quantity: line.quantity
+      })),
+      saleId: saga.saleId,
+      actorId: saga.userId
+    });
+
+    if (!result.success) {
+      throw new Error(result.error ?? 'Failed to reserve stock');
+    }
+
+    lines.forEach(line => saga.recordReservation(line));
+    await this.sagaRepository.update(saga.id, { reserved: saga.reserved });
+  }
+
+  private async commit(saga: SaleSaga): Promise<Sale> {
+    if (saga.saleId === undefined) {
+      throw new Error('Cannot commit a sale saga without a sale');
+    }
+
+    const sale = await this.activateSale(saga.saleId, saga.lines, saga.payments);
+    saga.markAsCompleted();
+    await this.sagaRepository.update(saga.id, { status: saga.status });
+
+    logger.info('Sale creation saga completed', { sagaId: saga.id, saleId: sale.id });
+    return sale;
+  }
+
+  private async activateSale(saleId: number, lines: SaleSagaLine[], payments: PaymentData[]): Promise<Sale> {
+    try {
+      return await this.saleRepository.activate(saleId, payments, (activated) => [
+        this.toSaleCreatedEvent(activated, lines)
+      ]);
+    } catch (error) {
+      // A recovered saga may find the sale already activated by the interrupted run
+      if (error instanceof IllegalSaleTransitionError && error.from === 'active') {
+        const sale = await this.saleRepository.findById(saleId);
+        if (sale) {
+          return sale;
+        }
+      }
+      throw error;
+    }
+  }
+
+  private toSaleCreatedEvent(sale: Sale, lines: SaleSagaLine[]): SaleCreatedEvent {
+    return {
+      aggregateId: sale.id.toString(),
+      eventType: 'SALE_CREATED',
+      occurredOn: new Date(),
+      eventData: {
+        saleId: sale.id,
+        userId: sale.userId,
+        storeId: sale.storeId,
+        total: sale.total,
+        items: lines
+      }
+    };
+  }
+
+  private async compensate(saga: SaleSaga, reason: string): Promise<void> {
+    saga.startCompensating(reason);
+    await this.sagaRepository.update(saga.id, { status: saga.status, error: saga.error });
+
+    // Nothing is reserved before the sale is saved
+    if (saga.saleId !== undefined) {
+      if (!(await this.releaseSaleStock(saga, saga.saleId))) {
+        // The saga stays compensating and is retried by recover()
+        return;
+      }
+      await this.markSaleAsFailed(saga.saleId, reason);
+    }
+    await this.paymentService.reverseCharges(saga.payments);
+
+    saga.markAsFailed();
+    await this.sagaRepository.update(saga.id, { status: saga.status, reserved: saga.reserved });
+  }
+
+  /**
+   * Undoes the stock taken for a sale. Converted holds are reinstated, so the customer keeps
+   * the units they held, and the catalog releases every other unit reserved for the sale, found
+   * by the sale ID, so reservations whose answer was lost are released too. Both steps leave
+   * what was already undone alone, so they are simply repeated on a retry.
+   * @returns Promise resolving to true once everything was undone
+   */
+  private async releaseSaleStock(saga: SaleSaga, saleId: number): Promise<boolean> {
+    let released = true;
+    for (const line of [...saga.lines].reverse().filter(line => line.holdId !== undefined)) {
+      const result = await this.catalogService.reinstateHold(line.holdId!, { saleId });
+      if (result.success) {
+        continue;
+      }
+
+      // A hold the saga never converted, e.g. an unknown one, has nothing to reinstate
+      const converted = saga.reserved.some(reserved => reserved.holdId === line.holdId);
+      logger.error('Failed to reinstate stock hold', new Error(result.error ?? 'Unknown error'), {
+        sagaId: saga.id,
+        holdId: line.holdId,
+        converted
+      });
+      released = released && !converted;
+    }
+
+    const result = await this.catalogService.releaseSaleStock({ saleId, actorId: saga.userId });
+    if (!result.success) {
+      logger.error('Failed to release reserved stock', new Error(result.error ?? 'Unknown error'), { sagaId: saga.id, saleId });
+      return false;
+    }
+    return released;
+  }
+
+  private async markSaleAsFailed(saleId: number, reason: string): Promise<void> {
+    try {
+      await this.saleRepository.changeStatus(saleId, { from: 'pending', to: 'failed', reason });
+    } catch (error) {
+      // A recovered saga may find the sale already failed by the interrupted run
+      if (!(error instanceof IllegalSaleTransitionError && error.from === 'failed')) {
+        throw error;
+      }
+    }
+  }
+}
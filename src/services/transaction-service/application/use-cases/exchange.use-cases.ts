@@ -0,0 +1,266 @@
+import { IExchangeRepository, PendingExchange } from '../../domain/repositories/exchange.repository';
+import { ISaleRepository } from '../../domain/repositories/sale.repository';
+import { CreateExchangeDTO, ExchangeLineDTO, ExchangeResponseDTO } from '../dtos/exchange.dto';
+import { Exchange } from '../../domain/entities/exchange.entity';
+import { RefundLine } from '../../domain/entities/refund-line.entity';
+import { SaleLine } from '../../domain/entities/sale-line.entity';
+import { ICatalogService, StockExchangeRequest } from '../../infrastructure/services/catalog.service';
+import { SalePricingService } from '../../domain/services/sale-pricing.service';
+import { TaxService } from '../../domain/services/tax.service';
+import { calculateSaleLinesTotal } from '../../domain/entities/sale-saga.entity';
+import { ExchangeCreatedEvent } from '@shared/domain/events/domain-events';
+import { Money, REPORTING_CURRENCY } from '@shared/domain/value-objects/money.vo';
+import { createLogger } from '@shared/infrastructure/logging';
+
+const logger = createLogger('exchange-use-cases');
+
+/**
+ * Use case class for product exchanges.
+ * An exchange refunds units of a sale and sells other products in their place as one operation:
+ * the stock of both sides is adjusted in one catalog transaction, and the refund, the new sale
+ * and the exchange linking them are saved in one database transaction.
+ * The exchange is recorded pending before its stock moves, and the catalog records the units
+ * under the exchange, so an exchange that is not completed can always have its stock reverted.
+ */
+export class ExchangeUseCases {
+  /**
+   * @param exchangeRepository Repository for exchange persistence operations
+   * @param saleRepository Repository for sale operations
+   * @param catalogService Service for catalog operations
+   * @param salePricingService Domain service resolving current prices in the store currency
+   * @param taxService Domain service applying the store tax rules to the lines
+   */
+  constructor(
+    private readonly exchangeRepository: IExchangeRepository,
+    private readonly saleRepository: ISaleRepository,
+    private readonly catalogService: ICatalogService,
+    private readonly salePricingService: SalePricingService,
+    private readonly taxService: TaxService
+  ) {}
+
+  /**
+   * Creates an exchange.
+   * Returned units are checked against the sale line ledger and refunded at the price and tax
+   * they were sold at, as a refund of type EXCHANGE. New units are sold at their current price
+   * with the current store tax rules, as a new active sale. The price difference is settled at
+   * the till, so no payment is processed. The exchange is recorded pending, then its stock is
+   * adjusted, then it is completed. When the stock cannot be adjusted or the exchange cannot be
+   * completed, its stock is reverted; a revert that fails, or an exchange left pending by a
+   * crash, is reverted later by the exchange stock worker (see retryStockReverts).
+   * @param dto Data Transfer Object for exchange creation
+   * @returns Promise resolving to the created exchange response
+   */
+  async createExchange(dto: CreateExchangeDTO): Promise<ExchangeResponseDTO> {
+    if (!dto.returnedLines || dto.returnedLines.length === 0) {
+      throw new Error('An exchange needs at least one returned line');
+    }
+    if (!dto.newLines || dto.newLines.length === 0) {
+      throw new Error('An exchange needs at least one new line');
+    }
+    for (const line of dto.newLines) {
+      if (!Number.isInteger(line.quantity) || line.quantity <= 0) {
+        throw new Error(`Invalid quantity for product ${line.productId}`);
+      }
+    }
+
+    const sale = await this.saleRepository.findById(dto.saleId);
+    if (!sale) {
+      throw new Error('Sale not found');
+    }
+
+    if (!sale.isRefundable()) {
+      throw new Error('Sale is not refundable');
+    }
+
+    // Returned side, refunded as a refund of the original sale would be
+    const allocations = sale.allocateRefund(dto.returnedLines);
+    const returnedLines = allocations.map(allocation =>
+      new RefundLine(allocation.productId, allocation.quantity, allocation.unitPrice, 0, undefined,
+        allocation.saleLineId, allocation.taxes, allocation.variantId)
+    );
+    const refundTotal = calculateSaleLinesTotal(returnedLines);
+
+    // New side, priced as a new sale in the store
+    const storeId = dto.storeId || sale.storeId;
+    const userId = dto.userId || sale.userId;
+    const { lines: pricedLines, currency, exchangeRate } = await this.salePricingService.priceSale(storeId, dto.newLines);
+    if (currency !== sale.currency) {
+      throw new Error('An exchange must be made in the currency of the original sale');
+    }
+    const newLines = await this.taxService.taxLines(storeId, pricedLines);
+    const saleTotal = calculateSaleLinesTotal(newLines);
+
+    const pending = await this.exchangeRepository.createPending({
+      date: new Date(),
+      originalSaleId: sale.id,
+      storeId,
+      userId,
+      currency,
+      reason: dto.reason,
+      priceDifference: Money.of(saleTotal).subtract(Money.of(refundTotal)).getAmount()
+    });
+
+    const stockExchange: StockExchangeRequest = {
+      storeId,
+      returned: returnedLines.map(line => this.toStockLine(line)),
+      issued: newLines.map(line => this.toStockLine(line)),
+      saleId: sale.id,
+      exchangeId: pending.id,
+      actorId: userId
+    };
+    const stockResult = await this.catalogService.exchangeStock(stockExchange);
+    if (!stockResult.success) {
+      // The answer may have been lost after the catalog moved the units
+      await this.revertStock(pending);
+      throw new Error(stockResult.error || 'Failed to exchange stock');
+    }
+
+    try {
+      // Save ledger updates, refund, new sale and exchange together with the EXCHANGE_CREATED event
+      const savedExchange = await this.exchangeRepository.saveExchange(pending.id, {
+        date: new Date(),
+        originalSaleId: sale.id,
+        storeId,
+        userId,
+        currency,
+        reason: dto.reason,
+        allocations,
+        returnedLines,
+        refundTotal,
+        refundReportingTotal: sale.toReportingCurrency(refundTotal),
+        issuedLines: newLines.map(line =>
+          new SaleLine(line.productId, line.quantity, line.unitPrice, 0, undefined, line.catalogPrice, 0, line.taxes, line.variantId)
+        ),
+        saleTotal,
+        saleExchangeRate: exchangeRate,
+        saleReportingTotal: Money.of(saleTotal, currency).convert(REPORTING_CURRENCY, exchangeRate).getAmount()
+      }, (saved) => [this.toExchangeCreatedEvent(saved)]);
+
+      return this.toResponseDTO(savedExchange);
+    } catch (error) {
+      await this.revertStock(pending);
+      throw error;
+    }
+  }
+
+  /**
+   * Reverts the stock of exchanges left unfinished: exchanges whose revert failed, e.g. while
+   * the catalog service was unavailable, and exchanges a crash left pending. Run periodically
+   * by the exchange stock worker.
+   * @param updatedBefore Only exchanges not updated since this date are taken, leaving those a request is still running
+   * @param limit Maximum number of exchanges to revert
+   * @returns Promise resolving to the number of exchanges reverted
+   */
+  async retryStockReverts(updatedBefore: Date, limit: number): Promise<number> {
+    const exchanges = await this.exchangeRepository.findUnfinished(updatedBefore, limit);
+
+    let reverted = 0;
+    for (const exchange of exchanges) {
+      if (await this.revertStock(exchange)) {
+        reverted++;
+      }
+    }
+    return reverted;
+  }
+
+  /**
+   * Retrieves an exchange by its ID.
+   * @param id Exchange ID
+   * @returns Promise resolving to the exchange response
+   */
+  async getExchange(id: number): Promise<ExchangeResponseDTO> {
+    const exchange = await this.exchangeRepository.findById(id);
+    if (!exchange) {
+      throw new Error('Exchange not found');
+    }
+    return this.toResponseDTO(exchange);
+  }
+
+  /**
+   * Retrieves all exchanges of a specific user, most recent first.
+   * @param userId User ID
+   * @returns Promise resolving to an array of exchange responses
+   */
+  async getExchangesByUser(userId: number): Promise<ExchangeResponseDTO[]> {
+    const exchanges = await this.exchangeRepository.findByUserId(userId);
+    return exchanges.map(exchange => this.toResponseDTO(exchange));
+  }
+
+  private toResponseDTO(exchange: Exchange): ExchangeResponseDTO {
+    const toLineDTO = (line: RefundLine | SaleLine): ExchangeLineDTO => ({
+      productId: line.productId,
+      ...(line.variantId !== undefined && { variantId: line.variantId }),
+      quantity: line.quantity,
+      unitPrice: line.unitPrice,
+      lineTotal: line.getLineTotal(),
+      taxes: line.taxes
+    });
+
+    return {
+      id: exchange.id,
+      date: exchange.date,
+      originalSaleId: exchange.originalSaleId,
+      refundId: exchange.refundId,
+      saleId: exchange.saleId,
+      storeId: exchange.storeId,
+      userId: exchange.userId,
+      reason: exchange.reason ?? '',
+      currency: exchange.currency,
+      returnedLines: exchange.returnedLines.map(toLineDTO),
+      newLines: exchange.issuedLines.map(toLineDTO),
+      refundTotal: exchange.refundTotal,
+      saleTotal: exchange.saleTotal,
+      priceDifference: exchange.getPriceDifference()
+    };
+  }
+
+  private toExchangeCreatedEvent(exchange: Exchange): ExchangeCreatedEvent {
+    return {
+      aggregateId: exchange.id.toString(),
+      eventType: 'EXCHANGE_CREATED',
+      occurredOn: new Date(),
+      eventData: {
+        exchangeId: exchange.id,
+        originalSaleId: exchange.originalSaleId,
+        refundId: exchange.refundId,
+        saleId: exchange.saleId,
+        userId: exchange.userId,
+        storeId: exchange.storeId,
+        priceDifference: exchange.getPriceDifference(),
+        returned: exchange.returnedLines.map(line => ({ productId: line.productId, quantity: line.quantity })),
+        issued: exchange.issuedLines.map(line => ({ productId: line.productId, quantity: line.quantity }))
+      }
+    };
+  }
+
+  // Stock of a product with variants moves on the variant of the line
+  private toStockLine(line: { productId: number; variantId?: number; quantity: number }): StockExchangeRequest['issued'][number] {
+    return {
+      productId: line.productId,
+      ...(line.variantId !== undefined && { variantId: line.variantId }),
+      quantity: line.quantity
+    };
+  }
+
+  // The catalog undoes what it still has moved for the exchange, so a retry never reverts a unit twice.
+  // The exchange is moved to REVERTING first, so it can no longer be completed meanwhile.
+  private async revertStock(exchange: PendingExchange): Promise<boolean> {
+    try {
+      if (!(await this.exchangeRepository.markReverting(exchange.id))) {
+        return false;
+      }
+
+      const result = await this.catalogService.revertExchangeStock({ exchangeId: exchange.id, actorId: exchange.userId });
+      if (!result.success) {
+        logger.warn('Failed to revert stock of exchange, will retry', { exchangeId: exchange.id, error: result.error });
+        return false;
+      }
+
+      await this.exchangeRepository.markReverted(exchange.id);
+      return true;
+    } catch (error) {
+      logger.error('Error reverting stock of exchange, will retry', error as Error, { exchangeId: exchange.id });
+      return false;
+    }
+  }
+}
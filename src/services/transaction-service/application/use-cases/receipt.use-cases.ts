@@ -0,0 +1,131 @@
+import { ISaleRepository } from '../../domain/repositories/sale.repository';
+import { IRefundRepository } from '../../domain/repositories/refund.repository';
+import { PaymentService } from '../../domain/services/payment.service';
+import { ReceiptDTO, ReceiptLineDTO } from '../dtos/receipt.dto';
+import { ICrossDomainQueries } from '@shared/infrastructure/database/cross-domain-queries';
+import { Money } from '@shared/domain/value-objects/money.vo';
+
+interface ReceiptLineSource {
+  productId: number;
+  quantity: number;
+  unitPrice: number;
+  getLineTotal(): number;
+}
+
+/**
+ * Use case class assembling the receipts of sales and refunds: store details and product
+ * names come from the catalog, tenders from the recorded payments.
+ */
+export class ReceiptUseCases {
+  /**
+   * @param saleRepository Repository for sale persistence operations
+   * @param refundRepository Repository for refund persistence operations
+   * @param paymentService Domain service reading the sale payments
+   * @param crossDomainQueries Cross-domain queries used to read store and product details
+   */
+  constructor(
+    private readonly saleRepository: ISaleRepository,
+    private readonly refundRepository: IRefundRepository,
+    private readonly paymentService: PaymentService,
+    private readonly crossDomainQueries: ICrossDomainQueries
+  ) {}
+
+  /**
+   * Builds the receipt of a sale, with the tenders it was paid with.
+   * @param id Sale ID
+   * @returns Promise resolving to the sale receipt
+   */
+  async getSaleReceipt(id: number): Promise<ReceiptDTO> {
+    const sale = await this.saleRepository.findById(id);
+    if (!sale) {
+      throw new Error('Sale not found');
+    }
+
+    const payments = await this.paymentService.getSalePayments(sale.id);
+
+    return {
+      type: 'sale',
+      id: sale.id,
+      saleId: sale.id,
+      date: sale.date,
+      status: sale.status,
+      store: await this.getStore(sale.storeId),
+      currency: sale.currency,
+      lines: await this.toReceiptLines(sale.lines),
+      subtotal: sale.getSubtotal(),
+      taxes: sale.getTaxes(),
+      taxTotal: sale.getTaxTotal(),
+      total: sale.total,
+      tenders: payments.map(payment => ({
+        method: payment.method,
+        amount: payment.amount,
+        tendered: payment.tendered
+      })),
+      changeDue: Money.sum(payments.map(payment => Money.of(payment.changeDue))).getAmount(),
+      barcode: sale.id.toString()
+    };
+  }
+
+  /**
+   * Builds the receipt of a refund, with the tenders the money went back to.
+   * The barcode carries the ID of the refunded sale; a return without a receipt has
+   * no sale, so its barcode carries the refund ID prefixed with R.
+   * @param id Refund ID
+   * @returns Promise resolving to the refund receipt
+   */
+  async getRefundReceipt(id: number): Promise<ReceiptDTO> {
+    const refund = await this.refundRepository.findById(id);
+    if (!refund) {
+      throw new Error('Refund not found');
+    }
+
+    return {
+      type: 'refund',
+      id: refund.id,
+      saleId: refund.saleId,
+      date: refund.date,
+      reason: refund.reason,
+      approvedBy: refund.approvedBy,
+      store: await this.getStore(refund.storeId),
+      currency: refund.currency,
+      lines: await this.toReceiptLines(refund.lines),
+      subtotal: refund.getSubtotal(),
+      taxes: refund.getTaxes(),
+      taxTotal: refund.getTaxTotal(),
+      total: refund.total,
+      tenders: refund.payments.map(payment => ({
+        method: payment.method,
+        amount: payment.amount,
+        status: payment.status
+      })),
+      changeDue: 0,
+      barcode: refund.saleId !== null ? refund.saleId.toString() : `R${refund.id}`
+    };
+  }
+
+  private async getStore(storeId: number): Promise<ReceiptDTO['store']> {
+    const store = await this.crossDomainQueries.getStoreDetails(storeId, 'transaction-service');
+    return {
+      id: storeId,
+      name: store?.name ?? `Store ${storeId}`,
+      address: store?.address
+    };
+  }
+
+  // A product deleted from the catalog since keeps its line, under its ID
+  private async toReceiptLines(lines: ReceiptLineSource[]): Promise<ReceiptLineDTO[]> {
+    const names = new Map<number, string>();
+    for (const productId of new Set(lines.map(line => line.productId))) {
+      const product = await this.crossDomainQueries.getProductDetails(productId, 'transaction-service');
+      names.set(productId, product?.name ?? `Product ${productId}`);
+    }
+
+    return lines.map(line => ({
+      productId: line.productId,
+      productName: names.get(line.productId)!,
+      quantity: line.quantity,
+      unitPrice: line.unitPrice,
+      lineTotal: line.getLineTotal()
+    }));
+  }
+}
@@ -1,9 +1,37 @@
-import { IRefundRepository, RefundData } from '../../domain/repositories/refund.repository';
+import { IRefundRepository } from '../../domain/repositories/refund.repository';
 import { ISaleRepository } from '../../domain/repositories/sale.repository';
-import { CreateRefundDTO, RefundResponseDTO, RefundsSummaryDTO } from '../dtos/refund.dto';
-import { Refund } from '../../domain/entities/refund.entity';
+import { CreateBlindReturnDTO, CreateRefundDTO, RefundResponseDTO, RefundsSummaryDTO } from '../dtos/refund.dto';
+import { Refund, REFUND_TYPES, RefundType } from '../../domain/entities/refund.entity';
 import { RefundLine } from '../../domain/entities/refund-line.entity';
+import { RefundPayment } from '../../domain/entities/refund-payment.entity';
 import { ICatalogService } from '../../infrastructure/services/catalog.service';
+import { PaymentService } from '../../domain/services/payment.service';
+import { SalePricingService } from '../../domain/services/sale-pricing.service';
+import { TaxService } from '../../domain/services/tax.service';
+import { CategoryRollupService } from '../../domain/services/category-rollup.service';
+import { calculateSaleLinesTotal, SaleSagaLine } from '../../domain/entities/sale-saga.entity';
+import { RefundCreatedEvent } from '@shared/domain/events/domain-events';
+import { Money, REPORTING_CURRENCY } from '@shared/domain/value-objects/money.vo';
+import { sumTaxAmounts, totalTaxAmounts } from '../../domain/entities/tax-amount';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Limits on returns without a receipt
+ */
+export interface BlindReturnPolicy {
+  priceLookbackDays: number; // How far back the lowest selling price is looked for
+  limitDays: number; // Window of the per-customer limits
+  maxReturns: number; // Blind returns a customer can make in the window
+  maxAmount: number; // Amount a customer can be refunded in the window, in the reporting currency
+}
+
+const blindReturnPolicyFromEnv = (): BlindReturnPolicy => ({
+  priceLookbackDays: parseInt(process.env.BLIND_RETURN_PRICE_LOOKBACK_DAYS ?? '90', 10),
+  limitDays: parseInt(process.env.BLIND_RETURN_LIMIT_DAYS ?? '30', 10),
+  maxReturns: parseInt(process.env.BLIND_RETURN_LIMIT_COUNT ?? '3', 10),
+  maxAmount: parseFloat(process.env.BLIND_RETURN_LIMIT_AMOUNT ?? '200')
+});
 
 /**
  * Use case class for managing refund operations (CRUD and business logic).
@@ -14,15 +42,31 @@ export class RefundUseCases {
    * @param refundRepository Repository for refund persistence operations
    * @param saleRepository Repository for sale operations
    * @param catalogService Service for catalog operations
+   * @param paymentService Domain service returning refunds to the sale payments
+   * @param salePricingService Domain service resolving current prices in the store currency
+   * @param taxService Domain service applying the store tax rules to the lines
+   * @param categoryRollupService Domain service adding up refunds by catalog category
+   * @param blindReturnPolicy Limits on returns without a receipt, read from BLIND_RETURN_* by default
    */
   constructor(
     private readonly refundRepository: IRefundRepository,
     private readonly saleRepository: ISaleRepository,
-    private readonly catalogService: ICatalogService
+    private readonly catalogService: ICatalogService,
+    private readonly paymentService: PaymentService,
+    private readonly salePricingService: SalePricingService,
+    private readonly taxService: TaxService,
+    private readonly categoryRollupService: CategoryRollupService,
+    private readonly blindReturnPolicy: BlindReturnPolicy = blindReturnPolicyFromEnv()
   ) {}
 
   /**
    * Creates a new refund transaction with validation and stock updates.
+   * Requested quantities are checked against the sale line ledger, which covers every
+   * refund of the sale, and refunded at the price and tax they were sold at. The sale becomes
+   * `refunded` once no refundable units remain, `partially_refunded` otherwise.
+   * The refund goes back to the sale payments in proportion to what each one has left
+   * to refund, unless the DTO gives the amount per payment. The refund is in the currency of the
+   * sale and converted to the reporting currency at the exchange rate the sale was made at.
    * @param dto Data Transfer Object for refund creation
    * @returns Promise resolving to the created refund response
    */
@@ -37,57 +81,109 @@ export class RefundUseCases {
       throw new Error('Sale is not refundable');
     }
 
-    // If lines are not provided, derive them from the sale
-    let refundLines: Array<{productId: number, quantity: number, unitPrice: number}>;
-    if (!dto.lines || dto.lines.length === 0) {
-      // Full refund - refund all sale lines
-      refundLines = sale.lines.map(line => ({
-        productId: line.productId,
-        quantity: line.quantity,
-        unitPrice: line.unitPrice
-      }));
-    } else {
-      // Partial refund - use provided lines
-      refundLines = dto.lines;
-    }
+    // Without lines, every unit not refunded yet is refunded
+    const allocations = sale.allocateRefund(dto.lines);
 
-    // Calculate total
-    const total = refundLines.reduce((sum, line) => sum + (line.quantity * line.unitPrice), 0);
-    
-    // Create refund line entities
-    const refundLineEntities = refundLines.map((lineDto, index) => 
-      new RefundLine(lineDto.productId, lineDto.quantity, lineDto.unitPrice, 0, index)
+    const refundLineEntities = allocations.map(allocation =>
+      new RefundLine(allocation.productId, allocation.quantity, allocation.unitPrice, 0, undefined,
+        allocation.saleLineId, allocation.taxes, allocation.variantId)
     );
+    // Grand total: line amounts plus the tax charged on the refunded units
+    const total = refundLineEntities
+      .reduce((sum, line) => sum
+        .add(Money.of(line.getLineTotal()))
+        .add(Money.of(line.getTaxTotal())), Money.zero())
+      .getAmount();
+
+    const payments = await this.paymentService.getSalePayments(sale.id);
+    const tenders = this.paymentService.allocateRefund(payments, total, dto.tenders);
 
-    // Create refund entity
-    const refund = new Refund(
-      0, // ID will be assigned by the database
-      new Date(),
+    // Save refund, ledger updates and sale status together with the REFUND_CREATED event
+    const savedRefund = await this.refundRepository.save({
+      date: new Date(),
       total,
-      dto.saleId,
-      dto.storeId || sale.storeId,
-      dto.userId || sale.userId,
-      refundLineEntities,
-      dto.reason
-    );
+      currency: sale.currency,
+      reportingTotal: sale.toReportingCurrency(total),
+      saleId: dto.saleId,
+      storeId: dto.storeId || sale.storeId,
+      userId: dto.userId || sale.userId,
+      lines: refundLineEntities,
+      reason: dto.reason,
+      allocations,
+      tenders
+    }, (saved) => [this.toRefundCreatedEvent(saved)]);
 
-    // Save refund
-    const savedRefund = await this.refundRepository.save(refund);
+    // Return the money to the original tenders
+    const refundPayments = await this.paymentService.refundTenders(savedRefund.payments, payments);
 
     // Restore stock for refunded items
     await this.restoreStock(savedRefund);
 
-    // Update sale status
-    const existingRefunds = await this.refundRepository.findBySaleId(dto.saleId);
-    const totalRefunded = existingRefunds.reduce((sum, r) => sum + r.total, 0) + total;
-    
-    if (totalRefunded >= sale.total) {
-      sale.markAsRefunded();
-    } else {
-      sale.markAsPartiallyRefunded();
+    return this.toResponseDTO(savedRefund, refundPayments);
+  }
+
+  /**
+   * Creates a return without a receipt (blind return), approved by a manager.
+   * Each product (or variant) is refunded at the lowest price it sold at in the store over the price lookback
+   * window, or at its current price when lower, taxed with the current store rules.
+   * A product the store has not sold over that window cannot be returned this way.
+   * The customer is held to a number of blind returns and a refunded amount over the limit window.
+   * Nothing goes back to the sale tenders: the customer is paid back at the till.
+   * @param dto Data Transfer Object for the blind return
+   * @param approvedBy ID of the manager approving the return
+   * @returns Promise resolving to the created refund response
+   */
+  async createBlindReturn(dto: CreateBlindReturnDTO, approvedBy: number): Promise<RefundResponseDTO> {
+    if (!dto.lines || dto.lines.length === 0) {
+      throw new Error('A blind return needs at least one line');
     }
-    
-    await this.saleRepository.update(dto.saleId, sale);
+    for (const line of dto.lines) {
+      if (!Number.isInteger(line.quantity) || line.quantity <= 0) {
+        throw new Error(`Invalid quantity for product ${line.productId}`);
+      }
+    }
+    if (approvedBy === dto.userId) {
+      throw new Error('A blind return cannot be approved by the returning customer');
+    }
+
+    const now = new Date();
+    const { lines: pricedLines, currency, exchangeRate } = await this.salePricingService.priceSale(dto.storeId, dto.lines);
+    const priceSince = new Date(now.getTime() - this.blindReturnPolicy.priceLookbackDays * DAY_MS);
+    const returnedLines: SaleSagaLine[] = [];
+    for (const line of pricedLines) {
+      const lowestPrice = await this.saleRepository.findLowestSellingPrice(dto.storeId, line.productId, priceSince, line.variantId);
+      if (lowestPrice === null) {
+        throw new Error(
+          `Product ${line.productId} was not sold at store ${dto.storeId} in the last ${this.blindReturnPolicy.priceLookbackDays} days`
+        );
+      }
+      returnedLines.push({ ...line, unitPrice: Math.min(lowestPrice, line.catalogPrice ?? lowestPrice) });
+    }
+    const lines = await this.taxService.taxLines(dto.storeId, returnedLines);
+
+    const total = calculateSaleLinesTotal(lines);
+    const reportingTotal = Money.of(total, currency).convert(REPORTING_CURRENCY, exchangeRate).getAmount();
+
+    const savedRefund = await this.refundRepository.save({
+      date: now,
+      total,
+      currency,
+      reportingTotal,
+      storeId: dto.storeId,
+      userId: dto.userId,
+      lines: lines.map(line =>
+        new RefundLine(line.productId, line.quantity, line.unitPrice, 0, undefined, undefined, line.taxes, line.variantId)
+      ),
+      reason: dto.reason,
+      type: 'BLIND',
+      approvedBy,
+      blindReturnLimit: {
+        since: new Date(now.getTime() - this.blindReturnPolicy.limitDays * DAY_MS),
+        check: (previousReturns) => this.checkBlindReturnLimits(previousReturns, reportingTotal)
+      }
+    }, (saved) => [this.toRefundCreatedEvent(saved)]);
+
+    await this.restoreStock(savedRefund);
 
     return this.toResponseDTO(savedRefund);
   }
@@ -164,6 +260,7 @@ export class RefundUseCases {
 
   /**
    * Gets refunds summary statistics for a date range.
+   * Refunded amounts before tax are also added up by catalog category, each category including its subcategories.
    * @param startDate Start date for the summary period
    * @param endDate End date for the summary period
    * @returns Promise resolving to refunds summary data
@@ -173,13 +270,44 @@ export class RefundUseCases {
     const sales = await this.saleRepository.findByDateRange(startDate, endDate);
     
     const totalRefunds = refunds.length;
-    const totalRefundAmount = refunds.reduce((sum, refund) => sum + refund.total, 0);
-    const totalSalesAmount = sales.reduce((sum, sale) => sum + sale.total, 0);
-    const refundRate = totalSalesAmount > 0 ? (totalRefundAmount / totalSalesAmount) * 100 : 0;
+    const totalRefundAmount = Money.sum(
+      refunds.map(refund => Money.of(refund.getReportingTotal(), REPORTING_CURRENCY)),
+      REPORTING_CURRENCY
+    );
+    const totalSalesAmount = Money.sum(
+      sales.map(sale => Money.of(sale.getReportingTotal(), REPORTING_CURRENCY)),
+      REPORTING_CURRENCY
+    );
+    const refundRate = totalSalesAmount.greaterThan(Money.zero(REPORTING_CURRENCY))
+      ? (totalRefundAmount.getCents() / totalSalesAmount.getCents()) * 100
+      : 0;
+
+    const refundsByType = {} as RefundsSummaryDTO['refundsByType'];
+    for (const type of REFUND_TYPES) {
+      const refundsOfType = refunds.filter(refund => refund.type === type);
+      refundsByType[type] = {
+        count: refundsOfType.length,
+        amount: Money.sum(
+          refundsOfType.map(refund => Money.of(refund.getReportingTotal(), REPORTING_CURRENCY)),
+          REPORTING_CURRENCY
+        ).getAmount()
+      };
+    }
+    const refundsByCategory = await this.categoryRollupService.rollup(
+      refunds.flatMap(refund => refund.lines.map(line => ({
+        productId: line.productId,
+        units: line.quantity,
+        amount: Money.of(refund.toReportingCurrency(line.getLineTotal()), REPORTING_CURRENCY)
+      })))
+    );
 
     return {
       totalRefunds,
-      totalRefundAmount,
+      currency: REPORTING_CURRENCY,
+      totalRefundAmount: totalRefundAmount.getAmount(),
+      refundsByCurrency: Money.sumByCurrency(refunds.map(refund => Money.of(refund.total, refund.currency))),
+      refundsByType,
+      refundsByCategory,
       refundRate,
       period: `${startDate.toISOString().split('T')[0]} to ${endDate.toISOString().split('T')[0]}`
     };
@@ -188,44 +316,76 @@ export class RefundUseCases {
   /**
    * Converts a Refund entity to a RefundResponseDTO.
    * @param refund Refund entity
+   * @param payments Refund payments, defaulting to those loaded with the refund
    * @returns Refund response DTO
    */
-  private toResponseDTO(refund: Refund): RefundResponseDTO {
+  private toResponseDTO(refund: Refund, payments: RefundPayment[] = refund.payments): RefundResponseDTO {
     return {
       id: refund.id,
       date: refund.date,
+      subtotal: refund.getSubtotal(),
+      taxes: refund.getTaxes(),
+      taxTotal: refund.getTaxTotal(),
       total: refund.total,
+      currency: refund.currency,
+      reportingTotal: refund.getReportingTotal(),
+      reportingCurrency: REPORTING_CURRENCY,
       reason: refund.reason ?? '',
       storeId: refund.storeId,
       userId: refund.userId,
       saleId: refund.saleId,
+      type: refund.type,
+      approvedBy: refund.approvedBy,
       lines: refund.lines.map(line => ({
         productId: line.productId,
+        ...(line.variantId !== undefined && { variantId: line.variantId }),
         quantity: line.quantity,
         unitPrice: line.unitPrice,
-        lineTotal: line.getLineTotal()
+        lineTotal: line.getLineTotal(),
+        taxes: line.taxes
+      })),
+      payments: payments.map(payment => ({
+        paymentId: payment.paymentId,
+        method: payment.method,
+        amount: payment.amount,
+        status: payment.status
       }))
     };
   }
 
   private toResponseDTOWithRelations(refundData: any): RefundResponseDTO {
+    const lineTaxes = refundData.lines.flatMap((line: any) => line.taxes ?? []);
+    const taxTotal = totalTaxAmounts(lineTaxes);
+    // Money columns come back as database decimals
+    const total = Money.of(refundData.total);
+
     return {
       id: refundData.id,
       date: refundData.date,
-      total: refundData.total,
+      subtotal: total.subtract(Money.of(taxTotal)).getAmount(),
+      taxes: sumTaxAmounts(lineTaxes),
+      taxTotal,
+      total: total.getAmount(),
+      currency: refundData.currency,
+      reportingTotal: refundData.reportingTotal != null ? Money.of(refundData.reportingTotal).getAmount() : total.getAmount(),
+      reportingCurrency: REPORTING_CURRENCY,
       reason: refundData.reason ?? '',
       storeId: refundData.storeId,
       userId: refundData.userId,
-      saleId: refundData.saleId,
+      saleId: refundData.saleId ?? null,
+      type: (refundData.type ?? 'RECEIPT') as RefundType,
+      approvedBy: refundData.approvedBy ?? undefined,
       lines: refundData.lines.map((line: any) => ({
         productId: line.productId,
+        ...(line.variantId != null && { variantId: line.variantId }),
         quantity: line.quantity,
-        unitPrice: line.unitPrice,
-        lineTotal: line.quantity * line.unitPrice,
+        unitPrice: Money.of(line.unitPrice).getAmount(),
+        lineTotal: Money.of(line.unitPrice).multiply(line.quantity).getAmount(),
+        taxes: line.taxes ?? [],
         product: line.product ? {
           id: line.product.id,
           name: line.product.name,
-          price: line.product.price
+          price: Money.of(line.product.price).getAmount()
         } : undefined
       })),
       store: refundData.store ? {
@@ -242,6 +402,43 @@ export class RefundUseCases {
     };
   }
 
+  private toRefundCreatedEvent(refund: Refund): RefundCreatedEvent {
+    return {
+      aggregateId: refund.id.toString(),
+      eventType: 'REFUND_CREATED',
+      occurredOn: new Date(),
+      eventData: {
+        refundId: refund.id,
+        saleId: refund.saleId,
+        refundType: refund.type,
+        userId: refund.userId,
+        storeId: refund.storeId,
+        total: refund.total,
+        reason: refund.reason
+      }
+    };
+  }
+
+  // Limits are checked against the blind returns already made in the window, this one included
+  private checkBlindReturnLimits(previousReturns: Refund[], reportingTotal: number): void {
+    const { limitDays, maxReturns, maxAmount } = this.blindReturnPolicy;
+
+    if (previousReturns.length + 1 > maxReturns) {
+      throw new Error(`Blind return limit reached: at most ${maxReturns} returns without a receipt in ${limitDays} days`);
+    }
+
+    const refundedAmount = Money.sum(
+      [...previousReturns.map(refund => refund.getReportingTotal()), reportingTotal]
+        .map(amount => Money.of(amount, REPORTING_CURRENCY)),
+      REPORTING_CURRENCY
+    );
+    if (refundedAmount.greaterThan(Money.of(maxAmount, REPORTING_CURRENCY))) {
+      throw new Error(
+        `Blind return limit reached: at most ${maxAmount} ${REPORTING_CURRENCY} refunded without a receipt in ${limitDays} days`
+      );
+    }
+  }
+
   private async restoreStock(refund: Refund): Promise<void> {
     console.log(`Restoring stock for refund ${refund.id}`);
     
@@ -251,8 +448,11 @@ export class RefundUseCases {
         const stockAdjustment = {
           storeId: refund.storeId,
           productId: line.productId,
+          ...(line.variantId !== undefined && { variantId: line.variantId }),
           quantity: line.quantity, // Positive quantity to increase stock
-          reason: 'REFUND' as const
+          reason: 'REFUND' as const,
+          referenceId: refund.id,
+          actorId: refund.approvedBy ?? refund.userId // The approving manager for blind returns
         };
 
         console.log(`Restoring stock for product ${line.productId}: +${line.quantity} units`);
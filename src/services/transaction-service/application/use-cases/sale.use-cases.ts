@@ -1,8 +1,26 @@
-import { ISaleRepository, SaleData } from '../../domain/repositories/sale.repository';
-import { CreateSaleDTO, SaleResponseDTO, SalesSummaryDTO } from '../dtos/sale.dto';
-import { Sale } from '../../domain/entities/sale.entity';
-import { SaleLine } from '../../domain/entities/sale-line.entity';
-import axios from 'axios';
+import { ISaleRepository } from '../../domain/repositories/sale.repository';
+import {
+  CreateSaleDTO,
+  SaleResponseDTO,
+  SaleStatusHistoryDTO,
+  SalesSummaryDTO,
+  UpdateSaleStatusDTO,
+  VoidSaleDTO
+} from '../dtos/sale.dto';
+import { IllegalSaleTransitionError, isSaleStatus, MANUAL_SALE_STATUSES, Sale } from '../../domain/entities/sale.entity';
+import { SaleCreationSaga } from '../sagas/sale-creation.saga';
+import { SalePricingService } from '../../domain/services/sale-pricing.service';
+import { TaxService } from '../../domain/services/tax.service';
+import { PaymentService } from '../../domain/services/payment.service';
+import { CategoryRollupService } from '../../domain/services/category-rollup.service';
+import { Payment } from '../../domain/entities/payment.entity';
+import { ICatalogService } from '../../infrastructure/services/catalog.service';
+import { createLogger } from '@shared/infrastructure/logging';
+import { sumTaxAmounts, totalTaxAmounts } from '../../domain/entities/tax-amount';
+import { calculateSaleLinesTotal } from '../../domain/entities/sale-saga.entity';
+import { Money, REPORTING_CURRENCY } from '@shared/domain/value-objects/money.vo';
+
+const logger = createLogger('sale-use-cases');
 
 /**
  * Use case class for managing sale operations (CRUD and business logic).
@@ -11,40 +29,54 @@ import axios from 'axios';
 export class SaleUseCases {
   /**
    * @param saleRepository Repository for sale persistence operations
+   * @param saleCreationSaga Saga orchestrating stock reservation and sale activation
+   * @param salePricingService Domain service resolving unit prices from the catalog
+   * @param taxService Domain service applying the store tax rules to the lines
+   * @param catalogService Service for catalog stock operations
+   * @param paymentService Domain service charging and recording the sale tenders
+   * @param categoryRollupService Domain service adding up sales by catalog category
+   * @param voidWindowMinutes How long after creation a sale can be voided
    */
-  constructor(private readonly saleRepository: ISaleRepository) {}
+  constructor(
+    private readonly saleRepository: ISaleRepository,
+    private readonly saleCreationSaga: SaleCreationSaga,
+    private readonly salePricingService: SalePricingService,
+    private readonly taxService: TaxService,
+    private readonly catalogService: ICatalogService,
+    private readonly paymentService: PaymentService,
+    private readonly categoryRollupService: CategoryRollupService,
+    private readonly voidWindowMinutes: number = parseInt(process.env.SALE_VOID_WINDOW_MINUTES ?? '30', 10)
+  ) {}
 
   /**
-   * Creates a new sale transaction with validation and stock updates.
+   * Creates a new sale transaction through the sale creation saga.
+   * Unit prices are resolved from the catalog first, in the currency of the store, and the
+   * catalog price is kept on each line. The sale records its total in the store currency and
+   * in the reporting currency.
+   * Each line is then taxed with the rules of the store for the product tax category.
+   * Stock is reserved for every line before the sale is activated; on failure the
+   * reservations are released and the sale is marked as failed.
+   * When tenders are given, card and gift card tenders are charged before the saga runs;
+   * the saga records them with the sale activation, or refunds them when the sale fails.
+   * Cash over the total is returned as change.
    * @param dto Data Transfer Object for sale creation
    * @returns Promise resolving to the created sale response
    */
   async createSale(dto: CreateSaleDTO): Promise<SaleResponseDTO> {
-    // Calculate total
-    const total = dto.lines.reduce((sum, line) => sum + (line.quantity * line.unitPrice), 0);
-    
-    // Create sale lines
-    const saleLines = dto.lines.map((lineDto) => 
-      new SaleLine(lineDto.productId, lineDto.quantity, lineDto.unitPrice, 0, undefined)
-    );
-
-    // Create sale data for repository
-    const saleData: SaleData = {
-      date: new Date(),
-      total,
-      status: 'active',
-      storeId: dto.storeId,
-      userId: dto.userId,
-      lines: saleLines
-    };
-
-    // Save sale using shared repository with validation
-    const savedSale = await this.saleRepository.save(saleData);
+    const { lines: pricedLines, ...saleCurrency } = await this.salePricingService.priceSale(dto.storeId, dto.lines);
+    const lines = await this.taxService.taxLines(dto.storeId, pricedLines);
+    if (!dto.payments) {
+      const savedSale = await this.saleCreationSaga.execute(dto.storeId, dto.userId, lines, saleCurrency);
+      return this.toResponseDTO(savedSale);
+    }
 
-    // Update stock for each product sold
-    await this.updateStockAfterSale(dto.storeId, dto.lines);
+    const total = calculateSaleLinesTotal(lines);
+    const plan = this.paymentService.planTenders(total, dto.payments);
+    const charged = await this.paymentService.chargeTenders(plan.tenders, dto.storeId, saleCurrency.currency);
 
-    return this.toResponseDTO(savedSale);
+    const savedSale = await this.saleCreationSaga.execute(dto.storeId, dto.userId, lines, saleCurrency, charged);
+    const payments = await this.paymentService.getSalePayments(savedSale.id);
+    return this.toResponseDTO(savedSale, payments);
   }
 
   /**
@@ -57,7 +89,8 @@ export class SaleUseCases {
     if (!sale) {
       throw new Error('Sale not found');
     }
-    return this.toResponseDTO(sale);
+    const payments = await this.paymentService.getSalePayments(id);
+    return this.toResponseDTO(sale, payments);
   }
 
   /**
@@ -101,24 +134,114 @@ export class SaleUseCases {
   }
 
   /**
-   * Updates the status of a sale.
+   * Moves a sale to a new status along the sale state machine. Only bookkeeping changes
+   * (see MANUAL_SALE_STATUSES) are made this way; voids and refunds have their own use cases.
    * @param id Sale ID
-   * @param status New status
+   * @param dto New status, with the user changing it and the reason
    * @returns Promise resolving to the updated sale response
+   * @throws IllegalSaleTransitionError when the sale cannot move to the new status, or not by hand
    */
-  async updateSaleStatus(id: number, status: string): Promise<SaleResponseDTO> {
+  async updateSaleStatus(id: number, dto: UpdateSaleStatusDTO): Promise<SaleResponseDTO> {
+    if (!isSaleStatus(dto.status)) {
+      throw new Error(`Unknown sale status ${dto.status}`);
+    }
+
     const sale = await this.saleRepository.findById(id);
     if (!sale) {
       throw new Error('Sale not found');
     }
 
-    // Use the new repository interface signature
-    const updatedSale = await this.saleRepository.update(id, { status });
+    const from = sale.status;
+    sale.transitionTo(dto.status);
+    if (!MANUAL_SALE_STATUSES.includes(dto.status)) {
+      throw new IllegalSaleTransitionError(
+        id,
+        from,
+        dto.status,
+        `Sale ${id} cannot be moved to ${dto.status} by hand: void or refund it instead`
+      );
+    }
+
+    const updatedSale = await this.saleRepository.changeStatus(id, {
+      from,
+      to: dto.status,
+      changedBy: dto.userId,
+      reason: dto.reason
+    });
     return this.toResponseDTO(updatedSale);
   }
 
+  /**
+   * Gets the status changes of a sale, oldest first.
+   * @param id Sale ID
+   * @returns Promise resolving to the status history
+   */
+  async getSaleStatusHistory(id: number): Promise<SaleStatusHistoryDTO[]> {
+    const sale = await this.saleRepository.findById(id);
+    if (!sale) {
+      throw new Error('Sale not found');
+    }
+
+    const history = await this.saleRepository.findStatusHistory(id);
+    return history.map(entry => ({
+      fromStatus: entry.fromStatus,
+      toStatus: entry.toStatus,
+      changedBy: entry.changedBy,
+      reason: entry.reason,
+      changedAt: entry.changedAt
+    }));
+  }
+
+  /**
+   * Voids an active sale within the void window and releases its stock through the catalog,
+   * which emits a STOCK_RELEASED event with reason SALE_CANCELLED for every product. A release
+   * that fails is retried later (see retryStockReleases), the sale staying flagged until then.
+   * The tenders of the sale are refunded in full through the payment service.
+   * @param id Sale ID
+   * @param dto User voiding the sale and the reason
+   * @returns Promise resolving to the voided sale response
+   */
+  async voidSale(id: number, dto: VoidSaleDTO): Promise<SaleResponseDTO> {
+    if (!dto.userId) {
+      throw new Error('userId is required to void a sale');
+    }
+    if (!dto.reason || dto.reason.trim().length === 0) {
+      throw new Error('A reason is required to void a sale');
+    }
+
+    const sale = await this.saleRepository.findById(id);
+    if (!sale) {
+      throw new Error('Sale not found');
+    }
+
+    if (!sale.canTransitionTo('voided')) {
+      throw new IllegalSaleTransitionError(
+        id,
+        sale.status,
+        'voided',
+        `Only active sales can be voided, sale ${id} is ${sale.status}`
+      );
+    }
+
+    if (!sale.isWithinVoidWindow(this.voidWindowMinutes)) {
+      throw new Error(`Sale ${id} can only be voided within ${this.voidWindowMinutes} minutes of its creation`);
+    }
+
+    const voidedSale = await this.saleRepository.markAsVoided(id, {
+      voidedAt: new Date(),
+      voidedBy: dto.userId,
+      voidReason: dto.reason.trim()
+    });
+
+    await this.releaseVoidedSaleStock(voidedSale);
+    const payments = await this.paymentService.refundSalePayments(id);
+
+    return this.toResponseDTO(voidedSale, payments);
+  }
+
   /**
    * Gets sales summary statistics for a date range.
+   * Revenue before tax is also added up by catalog category, each category including its subcategories.
    * @param startDate Start date for the summary period
    * @param endDate End date for the summary period
    * @returns Promise resolving to sales summary data
@@ -127,56 +250,136 @@ export class SaleUseCases {
     const sales = await this.saleRepository.findByDateRange(startDate, endDate);
     
     const totalSales = sales.length;
-    const totalRevenue = sales.reduce((sum, sale) => sum + sale.total, 0);
-    const averageOrderValue = totalSales > 0 ? totalRevenue / totalSales : 0;
+    const totalRevenue = Money.sum(
+      sales.map(sale => Money.of(sale.getReportingTotal(), REPORTING_CURRENCY)),
+      REPORTING_CURRENCY
+    );
+    const averageOrderValue = totalSales > 0 ? totalRevenue.multiply(1 / totalSales) : Money.zero(REPORTING_CURRENCY);
+    const revenueByCategory = await this.categoryRollupService.rollup(
+      sales.flatMap(sale => sale.lines.map(line => ({
+        productId: line.productId,
+        units: line.quantity,
+        amount: Money.of(sale.toReportingCurrency(line.getLineTotal()), REPORTING_CURRENCY)
+      })))
+    );
 
     return {
       totalSales,
-      totalRevenue,
-      averageOrderValue,
+      currency: REPORTING_CURRENCY,
+      totalRevenue: totalRevenue.getAmount(),
+      averageOrderValue: averageOrderValue.getAmount(),
+      revenueByCurrency: Money.sumByCurrency(sales.map(sale => Money.of(sale.total, sale.currency))),
+      revenueByCategory,
       period: `${startDate.toISOString().split('T')[0]} to ${endDate.toISOString().split('T')[0]}`
     };
   }
 
+  /**
+   * Releases the stock of voided sales whose release failed, e.g. while the catalog service
+   * was unavailable. Run periodically by the voided sale stock worker.
+   * @param limit Maximum number of sales to release
+   * @returns Promise resolving to the number of sales whose stock was released
+   */
+  async retryStockReleases(limit: number): Promise<number> {
+    const sales = await this.saleRepository.findPendingStockReleases(limit);
+
+    let released = 0;
+    for (const sale of sales) {
+      if (await this.releaseVoidedSaleStock(sale)) {
+        released++;
+      }
+    }
+    return released;
+  }
+
+  // The catalog releases what it still holds for the sale, so a retry never releases a unit twice
+  private async releaseVoidedSaleStock(sale: Sale): Promise<boolean> {
+    const result = await this.catalogService.releaseSaleStock({ saleId: sale.id, actorId: sale.voidedBy, includeHolds: true });
+
+    if (!result.success) {
+      logger.warn('Failed to release stock for voided sale, will retry', { saleId: sale.id, error: result.error });
+      return false;
+    }
+
+    await this.saleRepository.markStockReleased(sale.id);
+    return true;
+  }
+
   /**
    * Converts a Sale entity to a SaleResponseDTO.
    * @param sale Sale entity
+   * @param payments Tenders of the sale, when loaded
    * @returns Sale response DTO
    */
-  private toResponseDTO(sale: Sale): SaleResponseDTO {
+  private toResponseDTO(sale: Sale, payments?: Payment[]): SaleResponseDTO {
     return {
       id: sale.id,
       date: sale.date,
+      subtotal: sale.getSubtotal(),
+      taxes: sale.getTaxes(),
+      taxTotal: sale.getTaxTotal(),
       total: sale.total,
+      currency: sale.currency,
+      reportingTotal: sale.getReportingTotal(),
+      reportingCurrency: REPORTING_CURRENCY,
       status: sale.status,
       storeId: sale.storeId,
       userId: sale.userId,
       lines: sale.lines.map(line => ({
         productId: line.productId,
+        ...(line.variantId !== undefined && { variantId: line.variantId }),
         quantity: line.quantity,
         unitPrice: line.unitPrice,
-        lineTotal: line.getLineTotal()
-      }))
+        catalogPrice: line.catalogPrice,
+        lineTotal: line.getLineTotal(),
+        taxes: line.taxes
+      })),
+      payments: payments?.map(payment => ({
+        id: payment.id,
+        method: payment.method,
+        amount: payment.amount,
+        tendered: payment.tendered,
+        changeDue: payment.changeDue,
+        refundedAmount: payment.refundedAmount
+      })),
+      changeDue: payments && Money.sum(payments.map(payment => Money.of(payment.changeDue))).getAmount(),
+      voidedAt: sale.voidedAt,
+      voidedBy: sale.voidedBy,
+      voidReason: sale.voidReason
     };
   }
 
   private toResponseDTOWithRelations(saleData: any): SaleResponseDTO {
+    const lineTaxes = saleData.lines.flatMap((line: any) => line.taxes ?? []);
+    const taxTotal = totalTaxAmounts(lineTaxes);
+    // Money columns come back as database decimals
+    const total = Money.of(saleData.total);
+
     return {
       id: saleData.id,
       date: saleData.date,
-      total: saleData.total,
+      subtotal: total.subtract(Money.of(taxTotal)).getAmount(),
+      taxes: sumTaxAmounts(lineTaxes),
+      taxTotal,
+      total: total.getAmount(),
+      currency: saleData.currency,
+      reportingTotal: saleData.reportingTotal != null ? Money.of(saleData.reportingTotal).getAmount() : total.getAmount(),
+      reportingCurrency: REPORTING_CURRENCY,
       status: saleData.status,
       storeId: saleData.storeId,
       userId: saleData.userId,
       lines: saleData.lines.map((line: any) => ({
         productId: line.productId,
+        ...(line.variantId != null && { variantId: line.variantId }),
         quantity: line.quantity,
-        unitPrice: line.unitPrice,
-        lineTotal: line.quantity * line.unitPrice,
+        unitPrice: Money.of(line.unitPrice).getAmount(),
+        catalogPrice: line.catalogPrice != null ? Money.of(line.catalogPrice).getAmount() : undefined,
+        lineTotal: Money.of(line.unitPrice).multiply(line.quantity).getAmount(),
+        taxes: line.taxes ?? [],
         product: line.product ? {
           id: line.product.id,
           name: line.product.name,
-          price: line.product.price
+          price: Money.of(line.product.price).getAmount()
         } : undefined
       })),
       store: saleData.store ? {
@@ -189,43 +392,4 @@ export class SaleUseCases {
       } : undefined
     };
   }
-
-  private async updateStockAfterSale(storeId: number, lines: Array<{productId: number, quantity: number}>): Promise<void> {
-    const catalogServiceUrl = process.env.CATALOG_SERVICE_URL ?? 'http://catalog-service:3000';
-    
-    try {
-      // Update stock for each product in the sale
-      for (const line of lines) {
-        const reservationData = {
-          storeId: storeId,
-          productId: line.productId,
-          quantity: line.quantity
-        };
-
-        console.log(`Updating stock for product ${line.productId}, quantity: ${line.quantity}`);
-        
-        const response = await axios.post(`${catalogServiceUrl}/api/stock/reserve`, reservationData, {
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          timeout: 5000 // 5 second timeout
-        });
-
-        if (!response.data.success) {
-          console.error(`Failed to update stock for product ${line.productId}`);
-          // Note: In a production system, you might want to implement compensation logic
-          // or use a saga pattern to handle partial failures
-        } else {
-          console.log(`Successfully updated stock for product ${line.productId}`);
-        }
-      }
-    } catch (error) {
-      console.error('Error updating stock after sale:', error);
-      // In a production system, you might want to:
-      // 1. Log this error for monitoring
-      // 2. Implement retry logic
-      // 3. Use a message queue for reliable stock updates
-      // For now, we'll just log the error and continue
-    }
-  }
-}
+}
\ No newline at end of file
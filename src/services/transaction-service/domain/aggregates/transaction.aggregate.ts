@@ -4,6 +4,7 @@ import { SaleLine } from '../entities/sale-line.entity';
 import { Refund } from '../entities/refund.entity';
 import { RefundLine } from '../entities/refund-line.entity';
 import { DomainEvent } from '@shared/domain/events/domain-events';
+import { Money } from '@shared/domain/value-objects/money.vo';
 
 export class TransactionAggregate {
   private readonly sales: Map<number, Sale> = new Map();
@@ -16,7 +17,7 @@ export class TransactionAggregate {
     storeId: number,
     lines: Array<{ productId: number; quantity: number; unitPrice: number }>
   ): Sale {
-    const total = lines.reduce((sum, line) => sum + (line.quantity * line.unitPrice), 0);
+    const total = Money.sum(lines.map(line => Money.of(line.unitPrice).multiply(line.quantity))).getAmount();
     const saleId = this.generateId();
     
     const saleLines = lines.map(line => new SaleLine(
@@ -92,7 +93,7 @@ export class TransactionAggregate {
       return null;
     }
 
-    const total = lines.reduce((sum, line) => sum + (line.quantity * line.unitPrice), 0);
+    const total = Money.sum(lines.map(line => Money.of(line.unitPrice).multiply(line.quantity))).getAmount();
     const refundId = this.generateId();
     
     const refundLines = lines.map(line => new RefundLine(
@@ -142,7 +143,7 @@ export class TransactionAggregate {
     refundLines: Array<{ productId: number; quantity: number; unitPrice: number }>
   ): boolean {
     // Check if sale is refundable
-    if (originalSale.status === 'refunded') {
+    if (!originalSale.isRefundable()) {
       return false;
     }
 
@@ -161,8 +162,8 @@ export class TransactionAggregate {
         return false; // Cannot refund more than originally sold
       }
 
-      // Check if price matches (allow small floating point differences)
-      if (Math.abs(originalLine.unitPrice - refundLine.unitPrice) > 0.01) {
+      // Check if price matches to the cent
+      if (!Money.of(originalLine.unitPrice).equals(Money.of(refundLine.unitPrice))) {
         return false; // Price mismatch
       }
     }
@@ -181,12 +182,12 @@ export class TransactionAggregate {
   private updateSaleStatusAfterRefund(sale: Sale, refundAmount: number): void {
     const totalRefunded = Array.from(this.refunds.values())
       .filter(refund => refund.saleId === sale.id)
-      .reduce((sum, refund) => sum + refund.total, 0);
+      .reduce((sum, refund) => sum.add(Money.of(refund.total)), Money.zero());
 
-    if (totalRefunded >= sale.total) {
-      sale.status = 'refunded';
-    } else if (totalRefunded > 0) {
-      sale.status = 'partially_refunded';
+    if (!totalRefunded.lessThan(Money.of(sale.total))) {
+      sale.markAsRefunded();
+    } else if (totalRefunded.greaterThan(Money.zero())) {
+      sale.markAsPartiallyRefunded();
     }
   }
 
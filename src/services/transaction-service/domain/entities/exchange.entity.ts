@@ -0,0 +1,37 @@
+// Exchange Entity - Represents units of a sale returned for other products
+import { DEFAULT_CURRENCY, Money } from '@shared/domain/value-objects/money.vo';
+import { RefundLine } from './refund-line.entity';
+import { SaleLine } from './sale-line.entity';
+
+/**
+ * An exchange refunds the returned units of the original sale and sells the issued units
+ * in the same operation; both sides are in the currency of the original sale.
+ */
+export class Exchange {
+  constructor(
+    public readonly id: number,
+    public readonly date: Date,
+    public readonly originalSaleId: number,
+    public readonly refundId: number, // Refund of the returned units
+    public readonly saleId: number, // Sale of the issued units
+    public readonly storeId: number,
+    public readonly userId: number,
+    public readonly returnedLines: RefundLine[],
+    public readonly issuedLines: SaleLine[],
+    public readonly refundTotal: number, // Taxes included
+    public readonly saleTotal: number, // Taxes included
+    public readonly currency: string = DEFAULT_CURRENCY,
+    public readonly reason?: string
+  ) {}
+
+  /**
+   * Sale total minus refund total: owed by the customer when positive, to the customer when negative
+   */
+  getPriceDifference(): number {
+    return Money.of(this.saleTotal).subtract(Money.of(this.refundTotal)).getAmount();
+  }
+
+  isEven(): boolean {
+    return this.getPriceDifference() === 0;
+  }
+}
@@ -0,0 +1,48 @@
+// Payment Entity - Tender used to pay a sale or part of it
+import { Money } from '@shared/domain/value-objects/money.vo';
+
+export type PaymentMethod = 'CASH' | 'CARD' | 'GIFT_CARD';
+
+export const PAYMENT_METHODS: readonly PaymentMethod[] = ['CASH', 'CARD', 'GIFT_CARD'];
+
+export const isPaymentMethod = (value: unknown): value is PaymentMethod =>
+  typeof value === 'string' && (PAYMENT_METHODS as readonly string[]).includes(value);
+
+export class Payment {
+  constructor(
+    public readonly id: number,
+    public readonly saleId: number,
+    public readonly method: PaymentMethod,
+    public readonly amount: number,
+    public readonly tendered: number,
+    public readonly changeDue: number = 0,
+    public readonly refundedAmount: number = 0,
+    public readonly providerReference?: string
+  ) {}
+
+  /**
+   * Part of the payment not returned yet by any refund of the sale
+   */
+  getRefundableAmount(): number {
+    const refundable = Money.of(this.amount).subtract(Money.of(this.refundedAmount));
+    return refundable.isNegative() ? 0 : refundable.getAmount();
+  }
+
+  /**
+   * Whether the payment goes through the payment provider (cash is handled at the till)
+   */
+  isProcessedByProvider(): boolean {
+    return this.method !== 'CASH';
+  }
+}
+
+/**
+ * Part of a refund returned to one payment of the sale
+ */
+export interface RefundTenderAllocation {
+  paymentId: number;
+  method: PaymentMethod;
+  amount: number;
+  // Amount of the payment, bounding what all refunds together may return to it
+  paymentAmount: number;
+}
@@ -1,15 +1,28 @@
 // RefundLine Entity - Individual line item in a refund
+import { Money } from '@shared/domain/value-objects/money.vo';
+import { TaxAmount, totalTaxAmounts } from './tax-amount';
+
 export class RefundLine {
   constructor(
     public readonly productId: number,
     public readonly quantity: number,
     public readonly unitPrice: number,
     public readonly refundId: number,
-    public readonly id?: number
+    public readonly id?: number,
+    public readonly saleLineId?: number,
+    public readonly taxes: TaxAmount[] = [],
+    public readonly variantId?: number // Variant returned, for products with variants
   ) {}
 
+  /**
+   * Line amount before tax
+   */
   getLineTotal(): number {
-    return this.quantity * this.unitPrice;
+    return Money.of(this.unitPrice).multiply(this.quantity).getAmount();
+  }
+
+  getTaxTotal(): number {
+    return totalTaxAmounts(this.taxes);
   }
 
   isValid(): boolean {
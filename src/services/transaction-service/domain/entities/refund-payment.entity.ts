@@ -0,0 +1,16 @@
+// RefundPayment Entity - Part of a refund returned to one tender of the sale
+import { PaymentMethod } from './payment.entity';
+
+export type RefundPaymentStatus = 'PENDING' | 'COMPLETED' | 'FAILED';
+
+export class RefundPayment {
+  constructor(
+    public readonly id: number,
+    public readonly refundId: number,
+    public readonly paymentId: number,
+    public readonly method: PaymentMethod,
+    public readonly amount: number,
+    public status: RefundPaymentStatus = 'PENDING',
+    public providerReference?: string
+  ) {}
+}
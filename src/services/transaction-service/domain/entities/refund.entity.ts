@@ -1,22 +1,83 @@
 // Refund Entity - Represents a refund transaction
+import { DEFAULT_CURRENCY, Money } from '@shared/domain/value-objects/money.vo';
 import { RefundLine } from './refund-line.entity';
+import { RefundPayment } from './refund-payment.entity';
+import { TaxAmount, sumTaxAmounts, totalTaxAmounts } from './tax-amount';
+
+/**
+ * How a refund was made:
+ * - `RECEIPT`: units of a sale returned to its tenders
+ * - `BLIND`: return without a receipt, at the lowest recent selling price, approved by a manager
+ * - `EXCHANGE`: units of a sale returned for other products, settled against their sale
+ */
+export type RefundType = 'RECEIPT' | 'BLIND' | 'EXCHANGE';
+
+export const REFUND_TYPES: readonly RefundType[] = ['RECEIPT', 'BLIND', 'EXCHANGE'];
+
+export const isRefundType = (value: unknown): value is RefundType =>
+  typeof value === 'string' && (REFUND_TYPES as readonly string[]).includes(value);
 
 export class Refund {
   constructor(
     public readonly id: number,
     public readonly date: Date,
     public readonly total: number,
-    public readonly saleId: number,
+    public readonly saleId: number | null, // Null for blind returns
     public readonly storeId: number,
     public readonly userId: number,
     public readonly lines: RefundLine[],
-    public readonly reason?: string
+    public readonly reason?: string,
+    public readonly payments: RefundPayment[] = [],
+    public readonly currency: string = DEFAULT_CURRENCY, // Currency of the refunded sale
+    public readonly reportingTotal?: number,
+    public readonly type: RefundType = 'RECEIPT',
+    public readonly approvedBy?: number // Manager who approved a blind return
   ) {}
 
+  isBlindReturn(): boolean {
+    return this.type === 'BLIND';
+  }
+
+  /**
+   * Total in the reporting currency, at the exchange rate of the refunded sale
+   */
+  getReportingTotal(): number {
+    return this.reportingTotal ?? this.total;
+  }
+
+  /**
+   * Converts an amount of the refund currency, such as a line total, to the reporting
+   * currency at the rate the refund total was converted at
+   */
+  toReportingCurrency(amount: number): number {
+    if (this.reportingTotal === undefined || this.total === 0) {
+      return amount;
+    }
+    return Money.of(amount, this.currency).multiply(this.reportingTotal / this.total).getAmount();
+  }
+
   getTotalItems(): number {
     return this.lines.reduce((sum, line) => sum + line.quantity, 0);
   }
 
+  /**
+   * Amount before tax
+   */
+  getSubtotal(): number {
+    return Money.of(this.total).subtract(Money.of(this.getTaxTotal())).getAmount();
+  }
+
+  /**
+   * Taxes of all lines, added up per tax
+   */
+  getTaxes(): TaxAmount[] {
+    return sumTaxAmounts(this.lines.flatMap(line => line.taxes));
+  }
+
+  getTaxTotal(): number {
+    return totalTaxAmounts(this.lines.flatMap(line => line.taxes));
+  }
+
   getLineByProduct(productId: number): RefundLine | undefined {
     return this.lines.find(line => line.productId === productId);
   }
@@ -1,15 +1,61 @@
 // SaleLine Entity - Individual line item in a sale
+import { Money } from '@shared/domain/value-objects/money.vo';
+import { TaxAmount, totalTaxAmounts } from './tax-amount';
+
 export class SaleLine {
   constructor(
     public readonly productId: number,
     public readonly quantity: number,
     public readonly unitPrice: number,
     public readonly saleId: number,
-    public readonly id?: number
+    public readonly id?: number,
+    public readonly catalogPrice?: number,
+    public readonly refundedQuantity: number = 0,
+    public readonly taxes: TaxAmount[] = [],
+    public readonly variantId?: number // Variant sold, for products with variants
   ) {}
 
+  /**
+   * Line amount before tax
+   */
   getLineTotal(): number {
-    return this.quantity * this.unitPrice;
+    return Money.of(this.unitPrice).multiply(this.quantity).getAmount();
+  }
+
+  getTaxTotal(): number {
+    return totalTaxAmounts(this.taxes);
+  }
+
+  /**
+   * Taxes returned when `quantity` more units of the line are refunded. The refunded share
+   * is rounded cumulatively, so refunding every unit returns exactly the tax charged.
+   * @param quantity Units refunded now
+   * @param alreadyRefunded Units refunded before, defaulting to the refund ledger balance
+   */
+  getRefundTaxes(quantity: number, alreadyRefunded: number = this.refundedQuantity): TaxAmount[] {
+    return this.taxes.map(tax => {
+      const charged = Money.of(tax.amount);
+      const refundedAfter = charged.multiply((alreadyRefunded + quantity) / this.quantity);
+      const refundedBefore = charged.multiply(alreadyRefunded / this.quantity);
+      return { ...tax, amount: refundedAfter.subtract(refundedBefore).getAmount() };
+    });
+  }
+
+  /**
+   * Discount granted below the catalog price at the time of sale
+   */
+  getDiscount(): number {
+    if (this.catalogPrice === undefined) {
+      return 0;
+    }
+    return Money.of(this.catalogPrice).subtract(Money.of(this.unitPrice)).multiply(this.quantity).getAmount();
+  }
+
+  /**
+   * Units of the line not refunded yet by any refund of the sale
+   */
+  getRefundableQuantity(): number {
+    return Math.max(this.quantity - this.refundedQuantity, 0);
   }
 
   isValid(): boolean {
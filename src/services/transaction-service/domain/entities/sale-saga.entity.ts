@@ -0,0 +1,71 @@
+// SaleSaga Entity - Persisted state of the sale creation saga
+import { Money } from '@shared/domain/value-objects/money.vo';
+import { TaxAmount, totalTaxAmounts } from './tax-amount';
+import { PaymentData } from '../repositories/payment.repository';
+
+export type SaleSagaStatus = 'STARTED' | 'RESERVING' | 'COMPENSATING' | 'COMPLETED' | 'FAILED';
+
+export interface SaleSagaLine {
+  productId: number;
+  variantId?: number; // Variant sold, required for products with variants
+  quantity: number;
+  unitPrice: number;
+  catalogPrice?: number;
+  taxCategory?: string;
+  taxes?: TaxAmount[];
+  holdId?: number; // Stock hold converted for the line instead of reserving stock
+}
+
+/**
+ * Grand total of sale lines: amounts before tax plus their taxes
+ */
+export const calculateSaleLinesTotal = (lines: SaleSagaLine[]): number =>
+  Money.sum(lines.map(line =>
+    Money.of(line.unitPrice).multiply(line.quantity).add(Money.of(totalTaxAmounts(line.taxes ?? [])))
+  )).getAmount();
+
+export class SaleSaga {
+  constructor(
+    public readonly id: number,
+    public status: SaleSagaStatus,
+    public readonly storeId: number,
+    public readonly userId: number,
+    public readonly lines: SaleSagaLine[],
+    public reserved: SaleSagaLine[] = [],
+    public saleId?: number,
+    public error?: string,
+    public readonly payments: PaymentData[] = [] // Tenders charged before the saga started
+  ) {}
+
+  startReserving(saleId: number): void {
+    this.saleId = saleId;
+    this.status = 'RESERVING';
+  }
+
+  recordReservation(line: SaleSagaLine): void {
+    this.reserved = [...this.reserved, line];
+  }
+
+  hasReservedAllLines(): boolean {
+    // Every line is recorded once when reserved, so the count is enough
+    return this.reserved.length >= this.lines.length;
+  }
+
+  startCompensating(error: string): void {
+    this.status = 'COMPENSATING';
+    this.error = error;
+  }
+
+  markAsCompleted(): void {
+    this.status = 'COMPLETED';
+  }
+
+  markAsFailed(): void {
+    this.status = 'FAILED';
+    this.reserved = [];
+  }
+
+  isFinished(): boolean {
+    return this.status === 'COMPLETED' || this.status === 'FAILED';
+  }
+}
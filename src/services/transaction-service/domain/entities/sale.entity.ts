@@ -1,37 +1,251 @@
 // Sale Entity - Represents a sales transaction
+import { DEFAULT_CURRENCY, Money, REPORTING_CURRENCY } from '@shared/domain/value-objects/money.vo';
 import { SaleLine } from './sale-line.entity';
+import { TaxAmount, sumTaxAmounts, totalTaxAmounts } from './tax-amount';
+
+export type SaleStatus =
+  | 'pending'
+  | 'active'
+  | 'completed'
+  | 'failed'
+  | 'voided'
+  | 'partially_refunded'
+  | 'refunded';
+
+/**
+ * Allowed sale status transitions. A sale is created `pending` by the sale creation saga,
+ * becomes `active` once its stock is reserved (or `failed`), and then moves through the
+ * refund statuses. `partially_refunded` may repeat for each further partial refund.
+ */
+export const SALE_STATUS_TRANSITIONS: Readonly<Record<SaleStatus, readonly SaleStatus[]>> = {
+  pending: ['active', 'failed'],
+  active: ['completed', 'voided', 'partially_refunded', 'refunded'],
+  completed: ['partially_refunded', 'refunded'],
+  partially_refunded: ['partially_refunded', 'refunded'],
+  failed: [],
+  voided: [],
+  refunded: []
+};
+
+/**
+ * Statuses a sale may be moved to by hand through the status endpoint. The others are
+ * reached through the saga, voids and refunds, which also release stock and return tenders.
+ */
+export const MANUAL_SALE_STATUSES: readonly SaleStatus[] = ['completed'];
+
+/**
+ * Statuses of sales that went through. Pending, failed and voided sales sold nothing, so
+ * reports and price history leave them out.
+ */
+export const COMPLETED_SALE_STATUSES: readonly SaleStatus[] = ['active', 'completed', 'partially_refunded', 'refunded'];
+
+export const isSaleStatus = (value: string): value is SaleStatus =>
+  Object.prototype.hasOwnProperty.call(SALE_STATUS_TRANSITIONS, value);
+
+export const canTransitionSale = (from: SaleStatus, to: SaleStatus): boolean =>
+  SALE_STATUS_TRANSITIONS[from].includes(to);
+
+/**
+ * Domain error raised when a sale status change is not allowed by the state machine,
+ * or when the sale no longer has the status the change was based on
+ */
+export class IllegalSaleTransitionError extends Error {
+  constructor(
+    public readonly saleId: number,
+    public readonly from: SaleStatus,
+    public readonly to: SaleStatus,
+    message: string = `Cannot change sale ${saleId} from ${from} to ${to}`
+  ) {
+    super(message);
+    this.name = 'IllegalSaleTransitionError';
+  }
+}
+
+/**
+ * Units of one sale line taken by a refund, refunded at the price they were sold at
+ */
+export interface RefundAllocation {
+  saleLineId: number;
+  productId: number;
+  variantId?: number;
+  quantity: number;
+  unitPrice: number;
+  soldQuantity: number;
+  taxes: TaxAmount[];
+}
+
+/**
+ * Currency a sale is recorded in, with its rate to the reporting currency at the time of sale
+ */
+export interface SaleCurrency {
+  currency: string;
+  // Units of the reporting currency per unit of the sale currency
+  exchangeRate: number;
+}
 
 export class Sale {
   constructor(
     public readonly id: number,
     public readonly date: Date,
     public readonly total: number,
-    public status: string,
+    public status: SaleStatus,
     public readonly storeId: number,
     public readonly userId: number,
-    public readonly lines: SaleLine[]
+    public readonly lines: SaleLine[],
+    public voidedAt?: Date,
+    public voidedBy?: number,
+    public voidReason?: string,
+    public readonly currency: string = DEFAULT_CURRENCY,
+    public readonly exchangeRate: number = 1,
+    public readonly reportingTotal?: number
   ) {}
 
+  canTransitionTo(status: SaleStatus): boolean {
+    return canTransitionSale(this.status, status);
+  }
+
+  /**
+   * Moves the sale to a new status
+   * @throws IllegalSaleTransitionError when the transition is not allowed
+   */
+  transitionTo(status: SaleStatus): void {
+    if (!this.canTransitionTo(status)) {
+      throw new IllegalSaleTransitionError(this.id, this.status, status);
+    }
+    this.status = status;
+  }
+
   markAsCompleted(): void {
-    this.status = 'completed';
+    this.transitionTo('completed');
   }
 
   markAsRefunded(): void {
-    this.status = 'refunded';
+    this.transitionTo('refunded');
   }
 
   markAsPartiallyRefunded(): void {
-    this.status = 'partially_refunded';
+    this.transitionTo('partially_refunded');
+  }
+
+  /**
+   * Whether the sale was created less than `windowMinutes` ago
+   */
+  isWithinVoidWindow(windowMinutes: number, now: Date = new Date()): boolean {
+    return now.getTime() - this.date.getTime() <= windowMinutes * 60 * 1000;
   }
 
   isRefundable(): boolean {
-    return this.status === 'active' || this.status === 'completed';
+    return this.canTransitionTo('partially_refunded') || this.canTransitionTo('refunded');
+  }
+
+  /**
+   * Assigns requested refund quantities to the sale lines that still have refundable units.
+   * Without requested lines, every remaining refundable unit is allocated (full refund).
+   * @param requested Products and quantities to refund; a variant ID only takes the lines of that variant
+   * @returns Allocations per sale line
+   */
+  allocateRefund(requested?: Array<{ productId: number; variantId?: number; quantity: number }>): RefundAllocation[] {
+    const remaining = new Map(this.lines.map(line => [line, line.getRefundableQuantity()]));
+    const allocations: RefundAllocation[] = [];
+
+    const allocate = (line: SaleLine, quantity: number) => {
+      // Units refunded earlier plus units already allocated by this refund
+      const alreadyRefunded = line.quantity - remaining.get(line)!;
+      remaining.set(line, remaining.get(line)! - quantity);
+      allocations.push({
+        saleLineId: line.id!,
+        productId: line.productId,
+        ...(line.variantId !== undefined && { variantId: line.variantId }),
+        quantity,
+        unitPrice: line.unitPrice,
+        soldQuantity: line.quantity,
+        taxes: line.getRefundTaxes(quantity, alreadyRefunded)
+      });
+    };
+
+    if (!requested || requested.length === 0) {
+      this.lines
+        .filter(line => remaining.get(line)! > 0)
+        .forEach(line => allocate(line, remaining.get(line)!));
+
+      if (allocations.length === 0) {
+        throw new Error(`Sale ${this.id} has no refundable items left`);
+      }
+      return allocations;
+    }
+
+    for (const { productId, variantId, quantity } of requested) {
+      if (!Number.isInteger(quantity) || quantity <= 0) {
+        throw new Error(`Refund quantity for product ${productId} must be a positive integer`);
+      }
+
+      const lines = this.lines.filter(line =>
+        line.productId === productId && (variantId === undefined || line.variantId === variantId)
+      );
+      if (lines.length === 0) {
+        throw new Error(variantId === undefined
+          ? `Product ${productId} is not part of sale ${this.id}`
+          : `Variant ${variantId} of product ${productId} is not part of sale ${this.id}`);
+      }
+
+      const available = lines.reduce((sum, line) => sum + remaining.get(line)!, 0);
+      if (quantity > available) {
+        const sold = lines.reduce((sum, line) => sum + line.quantity, 0);
+        throw new Error(
+          `Cannot refund ${quantity} units of product ${productId}: ${available} of ${sold} sold units remain refundable`
+        );
+      }
+
+      let left = quantity;
+      for (const line of lines) {
+        const taken = Math.min(left, remaining.get(line)!);
+        if (taken > 0) {
+          allocate(line, taken);
+          left -= taken;
+        }
+      }
+    }
+
+    return allocations;
   }
 
   getTotalItems(): number {
     return this.lines.reduce((sum, line) => sum + line.quantity, 0);
   }
 
+  /**
+   * Amount before tax
+   */
+  /**
+   * Total in the reporting currency, at the exchange rate of the time of sale
+   */
+  getReportingTotal(): number {
+    return this.reportingTotal ?? this.toReportingCurrency(this.total);
+  }
+
+  /**
+   * Converts an amount of the sale currency, such as a refund of the sale, to the
+   * reporting currency at the exchange rate of the time of sale
+   */
+  toReportingCurrency(amount: number): number {
+    return Money.of(amount, this.currency).convert(REPORTING_CURRENCY, this.exchangeRate).getAmount();
+  }
+
+  getSubtotal(): number {
+    return Money.of(this.total).subtract(Money.of(this.getTaxTotal())).getAmount();
+  }
+
+  /**
+   * Taxes of all lines, added up per tax
+   */
+  getTaxes(): TaxAmount[] {
+    return sumTaxAmounts(this.lines.flatMap(line => line.taxes));
+  }
+
+  getTaxTotal(): number {
+    return totalTaxAmounts(this.lines.flatMap(line => line.taxes));
+  }
+
   getLineByProduct(productId: number): SaleLine | undefined {
     return this.lines.find(line => line.productId === productId);
   }
@@ -0,0 +1,31 @@
+// TaxAmount - Tax charged or refunded at one rate, on a line or a whole transaction
+import { Money } from '@shared/domain/value-objects/money.vo';
+
+export interface TaxAmount {
+  code: string;
+  name: string;
+  rate: number;
+  amount: number;
+}
+
+/**
+ * Adds up tax amounts per tax code and rate, in order of first appearance
+ */
+export const sumTaxAmounts = (taxes: TaxAmount[]): TaxAmount[] => {
+  const totals = new Map<string, { tax: TaxAmount; amount: Money }>();
+
+  for (const tax of taxes) {
+    const key = `${tax.code}:${tax.rate}`;
+    const total = totals.get(key);
+    const amount = Money.of(tax.amount);
+    totals.set(key, total ? { tax: total.tax, amount: total.amount.add(amount) } : { tax, amount });
+  }
+
+  return Array.from(totals.values()).map(({ tax, amount }) => ({ ...tax, amount: amount.getAmount() }));
+};
+
+/**
+ * Total of tax amounts
+ */
+export const totalTaxAmounts = (taxes: TaxAmount[]): number =>
+  taxes.reduce((sum, tax) => sum.add(Money.of(tax.amount)), Money.zero()).getAmount();
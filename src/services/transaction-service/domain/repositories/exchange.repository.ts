@@ -0,0 +1,66 @@
+import { Exchange } from '../entities/exchange.entity';
+import { RefundLine } from '../entities/refund-line.entity';
+import { SaleLine } from '../entities/sale-line.entity';
+import { RefundAllocation } from '../entities/sale.entity';
+import { OutboxEventFactory } from '@shared/infrastructure/messaging/outbox';
+
+/**
+ * Data types for Exchange repository operations
+ */
+export interface PendingExchangeData {
+  date: Date;
+  originalSaleId: number;
+  storeId: number;
+  userId: number;
+  currency: string;
+  reason?: string;
+  priceDifference: number;
+}
+
+// Exchange recorded before its stock moved and not completed yet
+export interface PendingExchange {
+  id: number;
+  originalSaleId: number;
+  storeId: number;
+  userId: number;
+  status: 'PENDING' | 'REVERTING';
+}
+
+export interface ExchangeData {
+  date: Date;
+  originalSaleId: number;
+  storeId: number;
+  userId: number;
+  currency: string;
+  reason?: string;
+  // Returned side: sale line units consumed from the ledger of the original sale and their refund
+  allocations: RefundAllocation[];
+  returnedLines: RefundLine[];
+  refundTotal: number;
+  refundReportingTotal: number; // At the exchange rate of the original sale
+  // Issued side: the new sale, recorded active since its stock is taken with the exchange
+  issuedLines: SaleLine[];
+  saleTotal: number;
+  saleExchangeRate: number;
+  saleReportingTotal: number;
+}
+
+/**
+ * Exchange Repository Interface
+ *
+ * Defines the contract for exchanges. An exchange is recorded pending before its stock moves,
+ * then completed in one transaction with the refund of its returned units, the sale of its
+ * issued units and the original sale ledger. Only completed exchanges are found by the queries.
+ */
+export interface IExchangeRepository {
+  findById(id: number): Promise<Exchange | null>;
+  findByUserId(userId: number): Promise<Exchange[]>;
+  createPending(entity: PendingExchangeData): Promise<PendingExchange>;
+  // Completes a pending exchange; fails when it is being reverted
+  saveExchange(id: number, entity: ExchangeData, events?: OutboxEventFactory<Exchange>): Promise<Exchange>;
+  // Pending and reverting exchanges not updated since the given date, oldest first
+  findUnfinished(updatedBefore: Date, limit: number): Promise<PendingExchange[]>;
+  // Moves a pending exchange to REVERTING so it can no longer be completed; false when it was completed
+  markReverting(id: number): Promise<boolean>;
+  markReverted(id: number): Promise<void>;
+}
@@ -0,0 +1,31 @@
+import { Payment, PaymentMethod } from '../entities/payment.entity';
+import { RefundPayment, RefundPaymentStatus } from '../entities/refund-payment.entity';
+
+/**
+ * Data types for Payment repository operations
+ */
+export interface PaymentData {
+  method: PaymentMethod;
+  amount: number;
+  tendered: number;
+  changeDue: number;
+  providerReference?: string;
+}
+
+export interface RefundPaymentUpdate {
+  status: RefundPaymentStatus;
+  providerReference?: string;
+}
+
+/**
+ * Payment Repository Interface
+ *
+ * Defines the contract for the tenders of sales and the refund payments returning
+ * money to them. Payments are recorded with the sale activation (see ISaleRepository.activate)
+ * and refund payments with their refund (see RefundData.tenders).
+ */
+export interface IPaymentRepository {
+  findBySaleId(saleId: number): Promise<Payment[]>;
+  addRefundedAmount(id: number, amount: number): Promise<Payment>;
+  updateRefundPayment(id: number, update: RefundPaymentUpdate): Promise<RefundPayment>;
+}
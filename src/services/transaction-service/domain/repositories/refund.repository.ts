@@ -1,6 +1,9 @@
-import { Refund } from '../entities/refund.entity';
+import { Refund, RefundType } from '../entities/refund.entity';
 import { RefundLine } from '../entities/refund-line.entity';
+import { RefundAllocation } from '../entities/sale.entity';
+import { RefundTenderAllocation } from '../entities/payment.entity';
 import { IBaseRepository } from '@shared/infrastructure/database/base-repository';
+import { OutboxEventFactory } from '@shared/infrastructure/messaging/outbox';
 
 /**
  * Data types for Refund repository operations
@@ -8,11 +11,32 @@ import { IBaseRepository } from '@shared/infrastructure/database/base-repository
 export interface RefundData {
   date: Date;
   total: number;
-  saleId: number;
+  saleId?: number | null; // Left out for blind returns
   storeId: number;
   userId: number;
   lines: RefundLine[];
   reason?: string;
+  // Currency of the refunded sale and the total in the reporting currency
+  currency?: string;
+  reportingTotal?: number;
+  type?: RefundType; // RECEIPT by default
+  approvedBy?: number;
+  // Sale line units consumed from the refund ledger, applied atomically with the refund
+  allocations?: RefundAllocation[];
+  // Amounts returned to the sale payments, consumed atomically with the refund
+  tenders?: RefundTenderAllocation[];
+  // Limits of a blind return, checked atomically with the refund
+  blindReturnLimit?: BlindReturnLimitCheck;
+}
+
+/**
+ * Check of a blind return against the blind returns its customer made since a date.
+ * The check throws to refuse the return; the blind returns of a customer are checked
+ * and saved one at a time, so concurrent ones cannot exceed the limits together.
+ */
+export interface BlindReturnLimitCheck {
+  since: Date;
+  check: (previousReturns: Refund[]) => void;
 }
 
 /**
@@ -28,7 +52,7 @@ export interface IRefundRepository {
   // Base repository methods
   findById(id: number): Promise<Refund | null>;
   findAll(): Promise<Refund[]>;
-  save(entity: RefundData): Promise<Refund>;
+  save(entity: RefundData, events?: OutboxEventFactory<Refund>): Promise<Refund>;
   update(id: number, entity: Partial<RefundData>): Promise<Refund>;
   delete(id: number): Promise<void>;
   exists(id: number): Promise<boolean>;
@@ -0,0 +1,33 @@
+import { SaleSaga, SaleSagaLine, SaleSagaStatus } from '../entities/sale-saga.entity';
+import { PaymentData } from './payment.repository';
+
+/**
+ * Data types for SaleSaga repository operations
+ */
+export interface SaleSagaData {
+  status: SaleSagaStatus;
+  storeId: number;
+  userId: number;
+  lines: SaleSagaLine[];
+  reserved?: SaleSagaLine[];
+  saleId?: number;
+  error?: string;
+  payments?: PaymentData[];
+}
+
+/**
+ * SaleSaga Repository Interface
+ *
+ * Defines the contract for persisting sale creation saga state so that
+ * interrupted sagas can be resumed or compensated after a restart.
+ */
+export interface ISaleSagaRepository {
+  findById(id: number): Promise<SaleSaga | null>;
+  save(entity: SaleSagaData): Promise<SaleSaga>;
+  update(id: number, entity: Partial<SaleSagaData>): Promise<SaleSaga>;
+  /**
+   * Finds the sagas still running or left unfinished, oldest first.
+   * @param updatedBefore Only the sagas not updated since, to leave the ones running alone
+   */
+  findUnfinished(updatedBefore?: Date): Promise<SaleSaga[]>;
+}
@@ -1,6 +1,8 @@
-import { Sale } from '../entities/sale.entity';
+import { Sale, SaleStatus } from '../entities/sale.entity';
 import { SaleLine } from '../entities/sale-line.entity';
+import { PaymentData } from './payment.repository';
 import { IBaseRepository } from '@shared/infrastructure/database/base-repository';
+import { OutboxEventFactory } from '@shared/infrastructure/messaging/outbox';
 
 /**
  * Data types for Sale repository operations
@@ -8,10 +10,40 @@ import { IBaseRepository } from '@shared/infrastructure/database/base-repository
 export interface SaleData {
   date: Date;
   total: number;
-  status: string;
+  status: SaleStatus;
   storeId: number;
   userId: number;
   lines: SaleLine[];
+  // Store currency and the total in the reporting currency; the default currency when omitted
+  currency?: string;
+  exchangeRate?: number;
+  reportingTotal?: number;
+}
+
+/**
+ * A status change applied only while the sale still has the `from` status
+ */
+export interface SaleStatusChange {
+  from: SaleStatus;
+  to: SaleStatus;
+  changedBy?: number;
+  reason?: string;
+}
+
+export interface SaleStatusHistoryEntry {
+  id: number;
+  saleId: number;
+  fromStatus: SaleStatus | null;
+  toStatus: SaleStatus;
+  changedBy?: number;
+  reason?: string;
+  changedAt: Date;
+}
+
+export interface SaleVoidData {
+  voidedAt: Date;
+  voidedBy: number;
+  voidReason: string;
 }
 
 /**
@@ -28,7 +60,8 @@ export interface ISaleRepository {
   findById(id: number): Promise<Sale | null>;
   findAll(): Promise<Sale[]>;
   save(entity: SaleData): Promise<Sale>;
-  update(id: number, entity: Partial<SaleData>): Promise<Sale>;
+  // Status changes go through changeStatus so they are validated and recorded in the history
+  update(id: number, entity: Partial<Omit<SaleData, 'status'>>): Promise<Sale>;
   delete(id: number): Promise<void>;
   exists(id: number): Promise<boolean>;
   count(): Promise<number>;
@@ -49,6 +82,7 @@ export interface ISaleRepository {
   // Transaction-specific query methods
   findByUserId(userId: number): Promise<Sale[]>;
   findByStoreId(storeId: number): Promise<Sale[]>;
+  // Sales in the range that went through; pending, failed and voided sales are left out
   findByDateRange(startDate: Date, endDate: Date): Promise<Sale[]>;
   findByUserIdWithRelations(userId: number): Promise<Sale[]>;
   findByUserIdWithRelationsRaw?(userId: number): Promise<any[]>;
@@ -70,7 +104,18 @@ export interface ISaleRepository {
   
   // Transaction management methods
   createSaleWithValidation(sale: SaleData): Promise<Sale>;
-  updateSaleStatus(id: number, status: string): Promise<Sale>;
+  updateSaleStatus(id: number, status: SaleStatus): Promise<Sale>;
+  changeStatus(id: number, change: SaleStatusChange, events?: OutboxEventFactory<Sale>): Promise<Sale>;
+  // Activates a pending sale and records the tenders charged for it in the same transaction
+  activate(id: number, payments: PaymentData[], events?: OutboxEventFactory<Sale>): Promise<Sale>;
+  // Voids an active sale, flagging its stock as still to be released by the catalog
+  markAsVoided(id: number, data: SaleVoidData): Promise<Sale>;
+  // Voided sales whose stock is still to be released, oldest first
+  findPendingStockReleases(limit: number): Promise<Sale[]>;
+  markStockReleased(id: number): Promise<void>;
+  findStatusHistory(saleId: number): Promise<SaleStatusHistoryEntry[]>;
+  // Lowest unit price a product, or one of its variants, sold at in a store since a date, null when it did not sell
+  findLowestSellingPrice(storeId: number, productId: number, since: Date, variantId?: number): Promise<number | null>;
   
   // Reporting and analytics methods
   getTotalSalesByStore(storeId: number, startDate?: Date, endDate?: Date): Promise<number>;
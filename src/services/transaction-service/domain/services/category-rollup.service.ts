@@ -0,0 +1,88 @@
+import { CategoryDetails, ICrossDomainQueries } from '@shared/infrastructure/database/cross-domain-queries';
+import { Money, REPORTING_CURRENCY } from '@shared/domain/value-objects/money.vo';
+
+// Name of the bucket holding products filed under no category
+export const UNCATEGORIZED = 'Uncategorized';
+
+/**
+ * Units and amount of one product, in the reporting currency
+ */
+export interface ProductAmount {
+  productId: number;
+  units: number;
+  amount: Money;
+}
+
+/**
+ * Units and amount of a category, including every category below it.
+ * Products filed under no category are added up with a null `categoryId`.
+ */
+export interface CategoryTotal {
+  categoryId: number | null;
+  name: string;
+  parentId: number | null;
+  units: number;
+  amount: number; // In the reporting currency
+}
+
+/**
+ * Domain service rolling product amounts up the catalog taxonomy: a product counts
+ * towards its own category and each category above it.
+ */
+export class CategoryRollupService {
+  /**
+   * @param crossDomainQueries Cross-domain queries used to read the category of each product
+   */
+  constructor(private readonly crossDomainQueries: ICrossDomainQueries) {}
+
+  /**
+   * Adds up product amounts by category.
+   * @param amounts Units and amounts by product, a product may appear more than once
+   * @returns One total per category with sales, parents before their subcategories and
+   * siblings by name, the uncategorized total last
+   */
+  async rollup(amounts: ProductAmount[]): Promise<CategoryTotal[]> {
+    if (amounts.length === 0) {
+      return [];
+    }
+    const productIds = [...new Set(amounts.map(amount => amount.productId))];
+    const paths = await this.crossDomainQueries.getProductCategoryPaths(productIds, 'transaction-service');
+
+    const totals = new Map<string, { path: CategoryDetails[]; units: number; amount: Money }>();
+    for (const { productId, units, amount } of amounts) {
+      const path = paths[productId] ?? [];
+      // Each prefix of the path is a category the product rolls up to; the empty one stands for uncategorized
+      const prefixes = path.length > 0 ? path.map((_, depth) => path.slice(0, depth + 1)) : [[]];
+      for (const prefix of prefixes) {
+        const key = prefix.map(category => category.id).join('/');
+        const total = totals.get(key) ?? { path: prefix, units: 0, amount: Money.zero(REPORTING_CURRENCY) };
+        totals.set(key, { path: prefix, units: total.units + units, amount: total.amount.add(amount) });
+      }
+    }
+
+    return [...totals.values()]
+      .sort((a, b) => this.comparePaths(a.path, b.path))
+      .map(({ path, units, amount }) => {
+        const category = path[path.length - 1];
+        return {
+          categoryId: category?.id ?? null,
+          name: category?.name ?? UNCATEGORIZED,
+          parentId: category?.parentId ?? null,
+          units,
+          amount: amount.getAmount()
+        };
+      });
+  }
+
+  private comparePaths(a: CategoryDetails[], b: CategoryDetails[]): number {
+    if (a.length === 0 || b.length === 0) {
+      return b.length - a.length;
+    }
+    for (let depth = 0; depth < Math.min(a.length, b.length); depth++) {
+      if (a[depth].id !== b[depth].id) {
+        return a[depth].name.localeCompare(b[depth].name) || a[depth].id - b[depth].id;
+      }
+    }
+    return a.length - b.length;
+  }
+}
@@ -0,0 +1,387 @@
+import { isPaymentMethod, Payment, PaymentMethod, RefundTenderAllocation } from '../entities/payment.entity';
+import { RefundPayment } from '../entities/refund-payment.entity';
+import { IPaymentRepository, PaymentData } from '../repositories/payment.repository';
+import { IPaymentProvider } from '../../infrastructure/services/payment-provider';
+import { DEFAULT_CURRENCY, Money } from '@shared/domain/value-objects/money.vo';
+import { createLogger } from '@shared/infrastructure/logging';
+
+const logger = createLogger('payment-service');
+
+/**
+ * Tender as submitted by the client; for cash, `amount` is the cash handed over
+ */
+export interface RequestedTender {
+  method: string;
+  amount: number;
+  cardToken?: string;
+  giftCardNumber?: string;
+}
+
+/**
+ * Tender with the part of the sale total it pays and the change it gets back
+ */
+export interface PlannedTender {
+  method: PaymentMethod;
+  amount: number;
+  tendered: number;
+  changeDue: number;
+  cardToken?: string;
+  giftCardNumber?: string;
+}
+
+export interface TenderPlan {
+  tenders: PlannedTender[];
+  changeDue: number;
+}
+
+/**
+ * Amount a refund returns to a given payment, overriding the proportional split
+ */
+export interface RefundTenderOverride {
+  paymentId: number;
+  amount: number;
+}
+
+/**
+ * Domain service for the tenders of sales and refunds.
+ * Splits sale totals over tenders with cash change, charges card and gift card tenders
+ * through the payment provider, and returns refunds to the original tenders.
+ * Without a payment provider, only cash is accepted.
+ */
+export class PaymentService {
+  /**
+   * @param paymentRepository Repository for sale payments and refund payments
+   * @param paymentProvider Provider charging and refunding card and gift card tenders, null when none is configured
+   */
+  constructor(
+    private readonly paymentRepository: IPaymentRepository,
+    private readonly paymentProvider: IPaymentProvider | null
+  ) {}
+
+  /**
+   * Validates the tenders of a sale and computes the change due.
+   * Card and gift card tenders may not exceed the total, so change is only given in cash.
+   * @param total Sale total
+   * @param requested Tenders submitted by the client
+   * @returns The tenders with the amount each one pays, and the change due
+   */
+  planTenders(total: number, requested: RequestedTender[]): TenderPlan {
+    if (requested.length === 0) {
+      throw new Error('At least one payment is required');
+    }
+
+    const tenders = requested.map(tender => {
+      if (!isPaymentMethod(tender.method)) {
+        throw new Error(`Unknown payment method ${tender.method}`);
+      }
+      if (!Number.isFinite(tender.amount) || !Money.of(tender.amount).greaterThan(Money.zero())) {
+        throw new Error(`Payment amount must be positive, got ${tender.amount}`);
+      }
+      if (tender.method !== 'CASH' && !this.paymentProvider) {
+        throw new Error(`${tender.method} payments are not accepted: no payment provider is configured`);
+      }
+      if (tender.method === 'GIFT_CARD' && !tender.giftCardNumber) {
+        throw new Error('A gift card number is required for gift card payments');
+      }
+      return { ...tender, method: tender.method, tendered: Money.of(tender.amount), change: Money.zero() };
+    });
+
+    const saleTotal = Money.of(total);
+    const providerTotal = Money.sum(tenders.filter(tender => tender.method !== 'CASH').map(tender => tender.tendered));
+    if (providerTotal.greaterThan(saleTotal)) {
+      throw new Error(`Card and gift card payments of ${providerTotal.getAmount()} exceed the sale total of ${saleTotal.getAmount()}`);
+    }
+
+    const tenderedTotal = Money.sum(tenders.map(tender => tender.tendered));
+    if (tenderedTotal.lessThan(saleTotal)) {
+      throw new Error(`Payments of ${tenderedTotal.getAmount()} do not cover the sale total of ${saleTotal.getAmount()}`);
+    }
+
+    // The change comes out of the cash tenders, the last one first
+    let change = tenderedTotal.subtract(saleTotal);
+    for (const tender of [...tenders].reverse()) {
+      if (tender.method === 'CASH' && !change.isZero()) {
+        tender.change = change.lessThan(tender.tendered) ? change : tender.tendered;
+        change = change.subtract(tender.change);
+      }
+    }
+
+    return {
+      tenders: tenders.map(tender => ({
+        method: tender.method,
+        amount: tender.tendered.subtract(tender.change).getAmount(),
+        tendered: tender.tendered.getAmount(),
+        changeDue: tender.change.getAmount(),
+        cardToken: tender.cardToken,
+        giftCardNumber: tender.giftCardNumber
+      })),
+      changeDue: tenderedTotal.subtract(saleTotal).getAmount()
+    };
+  }
+
+  /**
+   * Charges the card and gift card tenders through the payment provider.
+   * When a tender is declined, the tenders already charged are refunded.
+   * @param tenders Planned tenders
+   * @param storeId Store taking the payment
+   * @param currency Currency of the store, the amounts are charged in
+   * @returns Promise resolving to the payments to record, with their provider references
+   */
+  async chargeTenders(
+    tenders: PlannedTender[],
+    storeId: number,
+    currency: string = DEFAULT_CURRENCY
+  ): Promise<PaymentData[]> {
+    const charged: PaymentData[] = [];
+
+    for (const tender of tenders) {
+      const payment: PaymentData = {
+        method: tender.method,
+        amount: tender.amount,
+        tendered: tender.tendered,
+        changeDue: tender.changeDue
+      };
+
+      if (tender.method !== 'CASH') {
+        if (!this.paymentProvider) {
+          await this.reverseCharges(charged);
+          throw new Error(`${tender.method} payments are not accepted: no payment provider is configured`);
+        }
+        const result = await this.paymentProvider.charge({
+          method: tender.method,
+          amount: tender.amount,
+          currency,
+          storeId,
+          cardToken: tender.cardToken,
+          giftCardNumber: tender.giftCardNumber
+        });
+
+        if (!result.success) {
+          await this.reverseCharges(charged);
+          throw new Error(`${tender.method} payment of ${tender.amount} was declined: ${result.error ?? 'Unknown error'}`);
+        }
+        payment.providerReference = result.reference;
+      }
+
+      charged.push(payment);
+    }
+
+    return charged;
+  }
+
+  /**
+   * Refunds charges at the payment provider when the sale they paid for failed.
+   * @param payments Payments returned by chargeTenders
+   */
+  async reverseCharges(payments: PaymentData[]): Promise<void> {
+    for (const payment of payments) {
+      if (payment.method === 'CASH' || !payment.providerReference) {
+        continue;
+      }
+
+      const result = this.paymentProvider
+        ? await this.paymentProvider.refund({
+          method: payment.method,
+          amount: payment.amount,
+          providerReference: payment.providerReference
+        })
+        : { success: false, error: 'No payment provider is configured' };
+
+      if (!result.success) {
+        // The charge has to be reversed manually
+        logger.error('Failed to reverse payment', undefined, {
+          method: payment.method,
+          amount: payment.amount,
+          providerReference: payment.providerReference,
+          error: result.error
+        });
+      }
+    }
+  }
+
+  /**
+   * Gets the payments of a sale.
+   * @param saleId Sale ID
+   * @returns Promise resolving to the payments, in the order they were tendered
+   */
+  async getSalePayments(saleId: number): Promise<Payment[]> {
+    return this.paymentRepository.findBySaleId(saleId);
+  }
+
+  /**
+   * Returns what is still refundable on every payment of a voided sale. Cash is handed back
+   * at the till; card and gift card payments are refunded through the payment provider.
+   * A payment the provider cannot refund keeps its refundable amount and is logged to be
+   * settled manually.
+   * @param saleId Voided sale ID
+   * @returns Promise resolving to the payments of the sale after the refunds
+   */
+  async refundSalePayments(saleId: number): Promise<Payment[]> {
+    const payments = await this.paymentRepository.findBySaleId(saleId);
+    const results: Payment[] = [];
+
+    for (const payment of payments) {
+      const amount = payment.getRefundableAmount();
+      if (amount === 0) {
+        results.push(payment);
+        continue;
+      }
+
+      if (payment.isProcessedByProvider()) {
+        let outcome: { success: boolean; error?: string };
+        if (!this.paymentProvider) {
+          outcome = { success: false, error: 'No payment provider is configured' };
+        } else {
+          outcome = payment.providerReference
+            ? await this.paymentProvider.refund({
+              method: payment.method as Exclude<PaymentMethod, 'CASH'>,
+              amount,
+              providerReference: payment.providerReference
+            })
+            : { success: false, error: 'Payment has no provider reference' };
+        }
+
+        if (!outcome.success) {
+          logger.error('Failed to refund payment of voided sale', undefined, {
+            saleId,
+            paymentId: payment.id,
+            amount,
+            error: outcome.error
+          });
+          results.push(payment);
+          continue;
+        }
+      }
+
+      results.push(await this.paymentRepository.addRefundedAmount(payment.id, amount));
+    }
+
+    return results;
+  }
+
+  /**
+   * Splits a refund over the payments of the sale, in proportion to what each payment
+   * still has refundable, unless explicit amounts per payment are given.
+   * @param payments Payments of the sale
+   * @param total Refund total
+   * @param overrides Optional amounts to return to given payments, which must add up to the total
+   * @returns Amounts returned to each payment; empty for sales recorded without payments
+   */
+  allocateRefund(payments: Payment[], total: number, overrides?: RefundTenderOverride[]): RefundTenderAllocation[] {
+    if (overrides && overrides.length > 0) {
+      return this.allocateRefundOverrides(payments, total, overrides);
+    }
+    if (payments.length === 0) {
+      return [];
+    }
+
+    const refundTotal = Money.of(total);
+    const refundable = payments.map(payment => Money.of(payment.getRefundableAmount()));
+    const refundableTotal = Money.sum(refundable);
+    if (refundTotal.greaterThan(refundableTotal)) {
+      throw new Error(
+        `Cannot refund ${refundTotal.getAmount()}: only ${refundableTotal.getAmount()} remains refundable on the sale payments`
+      );
+    }
+    if (refundTotal.isZero()) {
+      return [];
+    }
+
+    const allocated = refundTotal.allocate(refundable.map(amount => amount.getCents()));
+    return payments
+      .map((payment, index) => ({
+        paymentId: payment.id,
+        method: payment.method,
+        amount: allocated[index].getAmount(),
+        paymentAmount: payment.amount
+      }))
+      .filter(allocation => allocation.amount > 0);
+  }
+
+  /**
+   * Returns refunded amounts to the payments they were allocated to. Cash is handed back
+   * at the till; card and gift card refunds go through the payment provider. A refund the
+   * provider rejects is marked FAILED to be settled manually.
+   * @param refundPayments Refund payments created with the refund
+   * @param payments Payments of the sale
+   * @returns Promise resolving to the refund payments with their outcome
+   */
+  async refundTenders(refundPayments: RefundPayment[], payments: Payment[]): Promise<RefundPayment[]> {
+    const results: RefundPayment[] = [];
+
+    for (const refundPayment of refundPayments) {
+      const payment = payments.find(candidate => candidate.id === refundPayment.paymentId);
+      let outcome: { success: boolean; reference?: string; error?: string } = { success: true };
+
+      if (payment?.isProcessedByProvider()) {
+        if (!this.paymentProvider) {
+          outcome = { success: false, error: 'No payment provider is configured' };
+        } else {
+          outcome = payment.providerReference
+            ? await this.paymentProvider.refund({
+              method: payment.method as Exclude<PaymentMethod, 'CASH'>,
+              amount: refundPayment.amount,
+              providerReference: payment.providerReference
+            })
+            : { success: false, error: 'Payment has no provider reference' };
+        }
+      }
+
+      if (!outcome.success) {
+        logger.error('Failed to refund payment', undefined, {
+          refundId: refundPayment.refundId,
+          paymentId: refundPayment.paymentId,
+          amount: refundPayment.amount,
+          error: outcome.error
+        });
+      }
+
+      try {
+        results.push(await this.paymentRepository.updateRefundPayment(refundPayment.id, {
+          status: outcome.success ? 'COMPLETED' : 'FAILED',
+          providerReference: outcome.reference
+        }));
+      } catch (error) {
+        logger.error('Failed to record refund payment outcome', error as Error, { refundPaymentId: refundPayment.id });
+        results.push(refundPayment);
+      }
+    }
+
+    return results;
+  }
+
+  private allocateRefundOverrides(
+    payments: Payment[],
+    total: number,
+    overrides: RefundTenderOverride[]
+  ): RefundTenderAllocation[] {
+    const requested = new Map<number, Money>();
+    for (const override of overrides) {
+      if (!payments.some(payment => payment.id === override.paymentId)) {
+        throw new Error(`Payment ${override.paymentId} is not a payment of this sale`);
+      }
+      if (!Number.isFinite(override.amount) || !Money.of(override.amount).greaterThan(Money.zero())) {
+        throw new Error(`Refund amount for payment ${override.paymentId} must be positive`);
+      }
+      requested.set(override.paymentId, (requested.get(override.paymentId) ?? Money.zero()).add(Money.of(override.amount)));
+    }
+
+    const overrideTotal = Money.sum(Array.from(requested.values()));
+    const refundTotal = Money.of(total);
+    if (!overrideTotal.equals(refundTotal)) {
+      throw new Error(`Refund payments of ${overrideTotal.getAmount()} do not match the refund total of ${refundTotal.getAmount()}`);
+    }
+
+    return payments
+      .filter(payment => requested.has(payment.id))
+      .map(payment => {
+        const amount = requested.get(payment.id)!;
+        if (amount.greaterThan(Money.of(payment.getRefundableAmount()))) {
+          throw new Error(
+            `Cannot refund ${amount.getAmount()} to payment ${payment.id}: only ${payment.getRefundableAmount()} remains refundable`
+          );
+        }
+        return { paymentId: payment.id, method: payment.method, amount: amount.getAmount(), paymentAmount: payment.amount };
+      });
+  }
+}
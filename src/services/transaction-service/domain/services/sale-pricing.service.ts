@@ -0,0 +1,197 @@
+import { ICrossDomainQueries, ProductDetails, VariantDetails } from '@shared/infrastructure/database/cross-domain-queries';
+import { DEFAULT_CURRENCY, Money, REPORTING_CURRENCY } from '@shared/domain/value-objects/money.vo';
+import { ExchangeRates } from '@shared/domain/value-objects/exchange-rates.vo';
+import { SaleSagaLine } from '../entities/sale-saga.entity';
+import { SaleCurrency } from '../entities/sale.entity';
+
+/**
+ * How client-supplied unit prices are treated:
+ * - `override`: the catalog price is always charged
+ * - `reject`: a client price different from the catalog price fails the sale
+ * - `tolerance`: a client price up to `tolerancePercent` below the catalog price is
+ *   charged (client-side approved promotions), anything else fails the sale
+ */
+export type SalePriceMode = 'override' | 'reject' | 'tolerance';
+
+export const SALE_PRICE_MODES: readonly SalePriceMode[] = ['override', 'reject', 'tolerance'];
+
+export interface SalePricingOptions {
+  mode?: SalePriceMode;
+  tolerancePercent?: number;
+}
+
+/**
+ * Sale line as submitted by the client; the unit price is optional
+ */
+export interface RequestedSaleLine {
+  productId: number;
+  variantId?: number; // Required for products with variants
+  quantity: number;
+  unitPrice?: number;
+  holdId?: number;
+}
+
+/**
+ * Sale lines priced in the currency of the store, with the rate to the reporting currency
+ */
+export interface PricedSale extends SaleCurrency {
+  lines: SaleSagaLine[];
+}
+
+/**
+ * Domain service making the catalog the authority for sale prices.
+ * Resolves the current price of every product in the store currency and decides the charged unit price.
+ * A product with variants is sold as one of its variants, at the price override of the variant when it has one.
+ */
+export class SalePricingService {
+  private readonly mode: SalePriceMode;
+  private readonly tolerancePercent: number;
+
+  /**
+   * @param crossDomainQueries Cross-domain queries used to read catalog prices
+   * @param options Price mode and tolerance, defaulting to SALE_PRICE_MODE and SALE_PRICE_TOLERANCE_PERCENT
+   * @throws Error when the price mode is not one of the known modes, so a misconfigured
+   * service fails at startup instead of pricing every sale in an unexpected way
+   */
+  constructor(
+    private readonly crossDomainQueries: ICrossDomainQueries,
+    options: SalePricingOptions = {}
+  ) {
+    const mode = options.mode ?? process.env.SALE_PRICE_MODE ?? 'override';
+    if (!(SALE_PRICE_MODES as readonly string[]).includes(mode)) {
+      throw new Error(`Unknown sale price mode '${mode}'; expected one of ${SALE_PRICE_MODES.join(', ')}`);
+    }
+    this.mode = mode as SalePriceMode;
+    this.tolerancePercent = options.tolerancePercent ?? parseFloat(process.env.SALE_PRICE_TOLERANCE_PERCENT ?? '0');
+  }
+
+  /**
+   * Prices the lines of a sale in the currency of the store. Products without a price set in
+   * that currency are converted from their default currency price through the exchange rates.
+   * @param storeId Store making the sale
+   * @param lines Lines submitted by the client
+   * @returns Promise resolving to the priced lines, the store currency and its rate to the reporting currency
+   */
+  async priceSale(storeId: number, lines: RequestedSaleLine[]): Promise<PricedSale> {
+    const store = await this.crossDomainQueries.getStoreDetails(storeId, 'transaction-service');
+    if (!store) {
+      throw new Error(`Store ${storeId} not found`);
+    }
+
+    const currency = store.currency;
+    // The rates are only read when a conversion may be needed
+    const exchangeRates = currency === DEFAULT_CURRENCY && REPORTING_CURRENCY === DEFAULT_CURRENCY
+      ? new ExchangeRates()
+      : await this.crossDomainQueries.getExchangeRates('transaction-service');
+
+    return {
+      currency,
+      exchangeRate: exchangeRates.getRate(currency, REPORTING_CURRENCY),
+      lines: await this.priceLines(lines, currency, exchangeRates)
+    };
+  }
+
+  /**
+   * Prices sale lines against the catalog.
+   * @param lines Lines submitted by the client
+   * @param currency Currency to price the lines in, the default currency by default
+   * @param exchangeRates Rates converting default currency prices to `currency`
+   * @returns Promise resolving to lines carrying the charged and catalog unit prices and the product tax category
+   * @throws Error when a line of a product with variants names no variant of the product, or a line of a
+   * product without variants names one
+   */
+  async priceLines(
+    lines: RequestedSaleLine[],
+    currency: string = DEFAULT_CURRENCY,
+    exchangeRates: ExchangeRates = new ExchangeRates()
+  ): Promise<SaleSagaLine[]> {
+    const products = await this.getCatalogProducts(lines.map(line => line.productId));
+
+    return lines.map(line => {
+      const product = products.get(line.productId)!;
+      const variant = this.findVariant(product, line.variantId);
+      const catalogPrice = this.getCatalogPrice(product, variant, currency, exchangeRates);
+      return {
+        productId: line.productId,
+        ...(variant && { variantId: variant.id }),
+        quantity: line.quantity,
+        unitPrice: this.resolveUnitPrice(line.productId, line.unitPrice, catalogPrice),
+        catalogPrice,
+        taxCategory: product.taxCategory,
+        ...(line.holdId !== undefined && { holdId: line.holdId })
+      };
+    });
+  }
+
+  private findVariant(product: ProductDetails, variantId: number | undefined): VariantDetails | undefined {
+    if (variantId === undefined) {
+      if (product.variants.length > 0) {
+        throw new Error(`Product ${product.id} has variants: the line needs a variant`);
+      }
+      return undefined;
+    }
+    const variant = product.variants.find(candidate => candidate.id === variantId);
+    if (!variant) {
+      throw new Error(`Variant ${variantId} of product ${product.id} not found`);
+    }
+    return variant;
+  }
+
+  // The price override of a variant is set in the default currency and converted to the others
+  private getCatalogPrice(
+    product: ProductDetails,
+    variant: VariantDetails | undefined,
+    currency: string,
+    exchangeRates: ExchangeRates
+  ): number {
+    if (variant?.price !== undefined) {
+      return currency === DEFAULT_CURRENCY
+        ? variant.price
+        : exchangeRates.convert(Money.of(variant.price), currency).getAmount();
+    }
+    if (currency === DEFAULT_CURRENCY) {
+      return product.price;
+    }
+    const explicitPrice = product.prices[currency];
+    if (explicitPrice !== undefined) {
+      return explicitPrice;
+    }
+    return exchangeRates.convert(Money.of(product.price), currency).getAmount();
+  }
+
+  private resolveUnitPrice(productId: number, requestedPrice: number | undefined, catalogPrice: number): number {
+    if (requestedPrice === undefined || this.mode === 'override') {
+      return catalogPrice;
+    }
+
+    // Prices are compared to the cent
+    const requested = Money.of(requestedPrice);
+    const catalog = Money.of(catalogPrice);
+    if (requested.equals(catalog)) {
+      return catalog.getAmount();
+    }
+
+    if (this.mode === 'tolerance') {
+      const lowestPrice = catalog.multiply(1 - this.tolerancePercent / 100);
+      if (requested.lessThan(catalog) && !requested.lessThan(lowestPrice)) {
+        return requested.getAmount();
+      }
+    }
+
+    throw new Error(`Price mismatch for product ${productId}: expected ${catalogPrice}, got ${requestedPrice}`);
+  }
+
+  private async getCatalogProducts(productIds: number[]): Promise<Map<number, ProductDetails>> {
+    const products = new Map<number, ProductDetails>();
+
+    for (const productId of new Set(productIds)) {
+      const product = await this.crossDomainQueries.getProductDetails(productId, 'transaction-service');
+      if (!product) {
+        throw new Error(`Product ${productId} not found`);
+      }
+      products.set(productId, product);
+    }
+
+    return products;
+  }
+}
@@ -0,0 +1,52 @@
+import { ICrossDomainQueries, TaxRuleDetails } from '@shared/infrastructure/database/cross-domain-queries';
+import { Money } from '@shared/domain/value-objects/money.vo';
+import { SaleSagaLine } from '../entities/sale-saga.entity';
+import { TaxAmount } from '../entities/tax-amount';
+
+// Category of products created without one
+export const DEFAULT_TAX_CATEGORY = 'STANDARD';
+
+/**
+ * Computes the taxes of one line: every rule of the line's tax category applies to the
+ * amount before tax, and each tax is rounded to the cent on its own.
+ * @param line Priced line
+ * @param rules Tax rules of the store
+ * @returns One amount per applicable rule, in rule order
+ */
+export const calculateLineTaxes = (line: SaleSagaLine, rules: TaxRuleDetails[]): TaxAmount[] => {
+  const category = line.taxCategory ?? DEFAULT_TAX_CATEGORY;
+  const applicable = rules.filter(rule => rule.taxCategory === category);
+  if (applicable.length === 0) {
+    return [];
+  }
+
+  const lineAmount = Money.of(line.unitPrice).multiply(line.quantity);
+  return applicable.map(rule => ({
+    code: rule.code,
+    name: rule.name,
+    rate: rule.rate,
+    amount: lineAmount.multiply(rule.rate / 100).getAmount()
+  }));
+};
+
+/**
+ * Domain service applying the tax rules of the store to sale lines.
+ * Stores without tax rules charge no tax.
+ */
+export class TaxService {
+  /**
+   * @param crossDomainQueries Cross-domain queries used to read the store tax rules
+   */
+  constructor(private readonly crossDomainQueries: ICrossDomainQueries) {}
+
+  /**
+   * Taxes priced sale lines.
+   * @param storeId Store where the sale takes place
+   * @param lines Priced lines
+   * @returns Promise resolving to the lines carrying their taxes
+   */
+  async taxLines(storeId: number, lines: SaleSagaLine[]): Promise<SaleSagaLine[]> {
+    const rules = await this.crossDomainQueries.getStoreTaxRules(storeId, 'transaction-service');
+    return lines.map(line => ({ ...line, taxes: calculateLineTaxes(line, rules) }));
+  }
+}
@@ -0,0 +1,61 @@
+/**
+ * Refund Ledger
+ *
+ * Consumes refunded units from the sale line ledger inside a repository transaction,
+ * for refunds and for the returned side of exchanges.
+ */
+
+import { RefundAllocation, SaleStatus } from '../../domain/entities/sale.entity';
+import { applySaleStatusChange } from './sale-status-transition';
+
+/**
+ * Consumes refund allocations from the sale line ledger and sets the sale status from
+ * the remaining balance. Each ledger update only matches while enough units remain, so
+ * concurrent refunds of the same line cannot exceed the sold quantity together.
+ * @param tx Transaction client
+ * @param saleId Refunded sale ID
+ * @param allocations Units taken from each sale line
+ * @param change Who refunded the units and why, recorded in the sale status history
+ * @throws Error when a sale line does not have enough refundable units left
+ */
+export const applyRefundAllocations = async (
+  tx: any,
+  saleId: number,
+  allocations: RefundAllocation[],
+  change: { changedBy?: number; reason?: string }
+): Promise<void> => {
+  for (const allocation of allocations) {
+    const { count } = await tx.saleLine.updateMany({
+      where: {
+        id: allocation.saleLineId,
+        saleId,
+        refundedQuantity: { lte: allocation.soldQuantity - allocation.quantity }
+      },
+      data: { refundedQuantity: { increment: allocation.quantity } }
+    });
+
+    if (count === 0) {
+      throw new Error(
+        `Cannot refund ${allocation.quantity} units of product ${allocation.productId}: sale line ${allocation.saleLineId} does not have enough refundable units left`
+      );
+    }
+  }
+
+  const saleLines: Array<{ quantity: number; refundedQuantity: number }> = await tx.saleLine.findMany({
+    where: { saleId },
+    select: { quantity: true, refundedQuantity: true }
+  });
+  const fullyRefunded = saleLines.every(line => line.refundedQuantity >= line.quantity);
+
+  const sale: { status: SaleStatus } = await tx.sale.findUnique({
+    where: { id: saleId },
+    select: { status: true }
+  });
+
+  await applySaleStatusChange(tx, saleId, {
+    from: sale.status,
+    to: fullyRefunded ? 'refunded' : 'partially_refunded',
+    changedBy: change.changedBy,
+    reason: change.reason
+  });
+};
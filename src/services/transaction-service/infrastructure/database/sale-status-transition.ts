@@ -0,0 +1,74 @@
+/**
+ * Sale Status Transitions
+ *
+ * Applies sale status changes inside a repository transaction. The update only matches
+ * while the sale still has the expected status, so concurrent changes cannot skip the
+ * state machine, and every applied change is recorded in SaleStatusHistory.
+ */
+
+import { canTransitionSale, IllegalSaleTransitionError, SaleStatus } from '../../domain/entities/sale.entity';
+import { SaleStatusChange } from '../../domain/repositories/sale.repository';
+
+/**
+ * Records a status change in the sale status history.
+ * @param tx Transaction client of the status change
+ * @param saleId Sale ID
+ * @param change Status change; `from` is null for the initial status
+ */
+export const recordSaleStatusChange = async (
+  tx: any,
+  saleId: number,
+  change: Omit<SaleStatusChange, 'from'> & { from: SaleStatus | null }
+): Promise<void> => {
+  await tx.saleStatusHistory.create({
+    data: {
+      saleId,
+      fromStatus: change.from,
+      toStatus: change.to,
+      changedBy: change.changedBy,
+      reason: change.reason
+    }
+  });
+};
+
+/**
+ * Validates and applies a status change, then records it.
+ * @param tx Transaction client
+ * @param saleId Sale ID
+ * @param change Status change
+ * @param data Additional sale columns to update with the status
+ * @throws IllegalSaleTransitionError when the transition is not allowed or the sale changed meanwhile
+ */
+export const applySaleStatusChange = async (
+  tx: any,
+  saleId: number,
+  change: SaleStatusChange,
+  data: Record<string, unknown> = {}
+): Promise<void> => {
+  if (!canTransitionSale(change.from, change.to)) {
+    throw new IllegalSaleTransitionError(saleId, change.from, change.to);
+  }
+
+  const { count } = await tx.sale.updateMany({
+    where: { id: saleId, status: change.from },
+    data: { ...data, status: change.to }
+  });
+
+  if (count === 0) {
+    const current = await tx.sale.findUnique({ where: { id: saleId }, select: { status: true } });
+    if (!current) {
+      throw new Error('Sale not found');
+    }
+    if (!canTransitionSale(current.status, change.to)) {
+      throw new IllegalSaleTransitionError(saleId, current.status, change.to);
+    }
+    throw new IllegalSaleTransitionError(
+      saleId,
+      current.status,
+      change.to,
+      `Sale ${saleId} changed from ${change.from} to ${current.status} meanwhile, retry the request`
+    );
+  }
+
+  await recordSaleStatusChange(tx, saleId, change);
+};
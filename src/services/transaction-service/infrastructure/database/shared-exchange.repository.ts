@@ -0,0 +1,298 @@
+/**
+ * Shared Exchange Repository Implementation
+ *
+ * Implements the IExchangeRepository interface using the shared database infrastructure.
+ * An exchange is recorded pending before its stock moves. Completing it saves the refund of
+ * the returned units, the sale of the issued units and the exchange in one transaction, so an
+ * exchange is never recorded half way.
+ */
+
+import { Exchange } from '../../domain/entities/exchange.entity';
+import { RefundLine } from '../../domain/entities/refund-line.entity';
+import { SaleLine } from '../../domain/entities/sale-line.entity';
+import { TaxAmount } from '../../domain/entities/tax-amount';
+import {
+  ExchangeData,
+  IExchangeRepository,
+  PendingExchange,
+  PendingExchangeData
+} from '../../domain/repositories/exchange.repository';
+import { BaseRepository } from '@shared/infrastructure/database/base-repository';
+import { IDatabaseManager } from '@shared/infrastructure/database/database-manager';
+import { Money } from '@shared/domain/value-objects/money.vo';
+import { createLogger } from '@shared/infrastructure/logging';
+import { OutboxEventFactory, writeToOutbox } from '@shared/infrastructure/messaging/outbox';
+import { applyRefundAllocations } from './refund-ledger';
+import { recordSaleStatusChange } from './sale-status-transition';
+
+const logger = createLogger('shared-exchange-repository');
+
+const EXCHANGE_INCLUDE = {
+  refund: { include: { lines: true } },
+  sale: { include: { lines: true } }
+};
+
+export class SharedExchangeRepository extends BaseRepository<Exchange, number> implements IExchangeRepository {
+  constructor(databaseManager: IDatabaseManager) {
+    super(databaseManager, 'exchange');
+  }
+
+  public async createPending(entity: PendingExchangeData): Promise<PendingExchange> {
+    try {
+      logger.info('Creating pending exchange', { originalSaleId: entity.originalSaleId, storeId: entity.storeId });
+
+      const created = await this.model.create({
+        data: {
+          date: entity.date,
+          currency: entity.currency,
+          priceDifference: entity.priceDifference,
+          reason: entity.reason,
+          originalSaleId: entity.originalSaleId,
+          storeId: entity.storeId,
+          userId: entity.userId,
+          status: 'PENDING'
+        }
+      });
+
+      logger.info('Created pending exchange', { id: created.id });
+      return this.mapToPendingExchange(created);
+    } catch (error) {
+      logger.error('Error creating pending exchange', error as Error, { entity });
+      throw error;
+    }
+  }
+
+  public async saveExchange(id: number, entity: ExchangeData, events?: OutboxEventFactory<Exchange>): Promise<Exchange> {
+    try {
+      logger.info('Completing exchange', {
+        id,
+        originalSaleId: entity.originalSaleId,
+        storeId: entity.storeId,
+        userId: entity.userId,
+        refundTotal: entity.refundTotal,
+        saleTotal: entity.saleTotal
+      });
+
+      const result = await this.executeInTransaction(async (tx) => {
+        // Only a pending exchange is completed; a reverting one has its stock being put back
+        const { count } = await (tx as any).exchange.updateMany({
+          where: { id, status: 'PENDING' },
+          data: { status: 'COMPLETED' }
+        });
+        if (count === 0) {
+          throw new Error(`Exchange ${id} is no longer pending`);
+        }
+
+        await applyRefundAllocations(tx, entity.originalSaleId, entity.allocations, {
+          changedBy: entity.userId,
+          reason: entity.reason
+        });
+
+        const refund = await (tx as any).refund.create({
+          data: {
+            date: entity.date,
+            total: entity.refundTotal,
+            currency: entity.currency,
+            reportingTotal: entity.refundReportingTotal,
+            reason: entity.reason,
+            type: 'EXCHANGE',
+            saleId: entity.originalSaleId,
+            storeId: entity.storeId,
+            userId: entity.userId,
+            lines: {
+              create: entity.returnedLines.map(line => ({
+                productId: line.productId,
+                variantId: line.variantId,
+                quantity: line.quantity,
+                unitPrice: line.unitPrice,
+                saleLineId: line.saleLineId,
+                taxes: line.taxes
+              }))
+            }
+          }
+        });
+
+        // The issued units are taken from stock with the exchange, so the new sale starts active
+        const sale = await (tx as any).sale.create({
+          data: {
+            date: entity.date,
+            total: entity.saleTotal,
+            currency: entity.currency,
+            exchangeRate: entity.saleExchangeRate,
+            reportingTotal: entity.saleReportingTotal,
+            status: 'active',
+            storeId: entity.storeId,
+            userId: entity.userId,
+            lines: {
+              create: entity.issuedLines.map(line => ({
+                productId: line.productId,
+                variantId: line.variantId,
+                quantity: line.quantity,
+                unitPrice: line.unitPrice,
+                catalogPrice: line.catalogPrice,
+                taxes: line.taxes
+              }))
+            }
+          }
+        });
+        await recordSaleStatusChange(tx, sale.id, { from: null, to: 'active', changedBy: entity.userId });
+
+        const savedExchange = await (tx as any).exchange.update({
+          where: { id },
+          data: {
+            priceDifference: Money.of(entity.saleTotal).subtract(Money.of(entity.refundTotal)).getAmount(),
+            refundId: refund.id,
+            saleId: sale.id
+          },
+          include: EXCHANGE_INCLUDE
+        });
+
+        const exchange = this.mapToExchangeEntity(savedExchange);
+        if (events) {
+          // Store the domain events in the same transaction as the exchange
+          await writeToOutbox(tx, events(exchange));
+        }
+        return exchange;
+      });
+
+      logger.info('Completed exchange successfully', { id: result.id, refundId: result.refundId, saleId: result.saleId });
+      return result;
+    } catch (error) {
+      logger.error('Error completing exchange', error as Error, { id, entity });
+      throw error;
+    }
+  }
+
+  public async findUnfinished(updatedBefore: Date, limit: number): Promise<PendingExchange[]> {
+    try {
+      logger.info('Finding unfinished exchanges', { updatedBefore, limit });
+
+      const exchanges = await this.model.findMany({
+        where: { status: { in: ['PENDING', 'REVERTING'] }, updatedAt: { lt: updatedBefore } },
+        orderBy: { updatedAt: 'asc' },
+        take: limit
+      });
+
+      logger.info('Found unfinished exchanges', { count: exchanges.length });
+      return exchanges.map((exchange: any) => this.mapToPendingExchange(exchange));
+    } catch (error) {
+      logger.error('Error finding unfinished exchanges', error as Error, { updatedBefore, limit });
+      throw error;
+    }
+  }
+
+  public async markReverting(id: number): Promise<boolean> {
+    try {
+      logger.info('Marking exchange as reverting', { id });
+
+      const { count } = await this.model.updateMany({
+        where: { id, status: { in: ['PENDING', 'REVERTING'] } },
+        data: { status: 'REVERTING' }
+      });
+      return count > 0;
+    } catch (error) {
+      logger.error('Error marking exchange as reverting', error as Error, { id });
+      throw error;
+    }
+  }
+
+  public async markReverted(id: number): Promise<void> {
+    try {
+      logger.info('Marking exchange as reverted', { id });
+
+      await this.model.updateMany({
+        where: { id, status: 'REVERTING' },
+        data: { status: 'REVERTED' }
+      });
+    } catch (error) {
+      logger.error('Error marking exchange as reverted', error as Error, { id });
+      throw error;
+    }
+  }
+
+  public async findById(id: number): Promise<Exchange | null> {
+    try {
+      logger.info('Finding exchange by ID', { id });
+
+      const exchange = await this.model.findFirst({
+        where: { id, status: 'COMPLETED' },
+        include: EXCHANGE_INCLUDE
+      });
+
+      if (!exchange) {
+        logger.info('Exchange not found', { id });
+        return null;
+      }
+
+      return this.mapToExchangeEntity(exchange);
+    } catch (error) {
+      logger.error('Error finding exchange by ID', error as Error, { id });
+      throw error;
+    }
+  }
+
+  public async findByUserId(userId: number): Promise<Exchange[]> {
+    try {
+      logger.info('Finding exchanges by user ID', { userId });
+
+      const exchanges = await this.model.findMany({
+        where: { userId, status: 'COMPLETED' },
+        include: EXCHANGE_INCLUDE,
+        orderBy: { date: 'desc' }
+      });
+
+      const results = exchanges.map((exchange: any) => this.mapToExchangeEntity(exchange));
+      logger.info('Found exchanges by user ID', { userId, count: results.length });
+      return results;
+    } catch (error) {
+      logger.error('Error finding exchanges by user ID', error as Error, { userId });
+      throw error;
+    }
+  }
+
+  private mapToPendingExchange(exchangeData: any): PendingExchange {
+    return {
+      id: exchangeData.id,
+      originalSaleId: exchangeData.originalSaleId,
+      storeId: exchangeData.storeId,
+      userId: exchangeData.userId,
+      status: exchangeData.status
+    };
+  }
+
+  private mapToExchangeEntity(exchangeData: any): Exchange {
+    const returnedLines = exchangeData.refund.lines.map((line: any) =>
+      new RefundLine(line.productId, line.quantity, Money.of(line.unitPrice).getAmount(), line.refundId, line.id,
+        line.saleLineId ?? undefined, (line.taxes ?? []) as TaxAmount[], line.variantId ?? undefined)
+    );
+    const issuedLines = exchangeData.sale.lines.map((line: any) =>
+      new SaleLine(
+        line.productId,
+        line.quantity,
+        Money.of(line.unitPrice).getAmount(),
+        line.saleId,
+        line.id,
+        line.catalogPrice !== null ? Money.of(line.catalogPrice).getAmount() : undefined,
+        line.refundedQuantity,
+        (line.taxes ?? []) as TaxAmount[],
+        line.variantId ?? undefined
+      )
+    );
+
+    return new Exchange(
+      exchangeData.id,
+      exchangeData.date,
+      exchangeData.originalSaleId,
+      exchangeData.refundId,
+      exchangeData.saleId,
+      exchangeData.storeId,
+      exchangeData.userId,
+      returnedLines,
+      issuedLines,
+      Money.of(exchangeData.refund.total, exchangeData.currency).getAmount(),
+      Money.of(exchangeData.sale.total, exchangeData.currency).getAmount(),
+      exchangeData.currency,
+      exchangeData.reason ?? undefined
+    );
+  }
+}
@@ -0,0 +1,92 @@
+/**
+ * Shared Payment Repository Implementation
+ *
+ * Implements the IPaymentRepository interface using the shared database infrastructure.
+ * Reads the tenders of sales and tracks what has been refunded on them.
+ */
+
+import { Payment, PaymentMethod } from '../../domain/entities/payment.entity';
+import { RefundPayment, RefundPaymentStatus } from '../../domain/entities/refund-payment.entity';
+import { IPaymentRepository, RefundPaymentUpdate } from '../../domain/repositories/payment.repository';
+import { BaseRepository } from '@shared/infrastructure/database/base-repository';
+import { IDatabaseManager } from '@shared/infrastructure/database/database-manager';
+import { Money } from '@shared/domain/value-objects/money.vo';
+import { createLogger } from '@shared/infrastructure/logging';
+
+const logger = createLogger('shared-payment-repository');
+
+export class SharedPaymentRepository extends BaseRepository<Payment, number> implements IPaymentRepository {
+  constructor(databaseManager: IDatabaseManager) {
+    super(databaseManager, 'payment');
+  }
+
+  public async findBySaleId(saleId: number): Promise<Payment[]> {
+    try {
+      const payments = await this.model.findMany({
+        where: { saleId },
+        orderBy: { id: 'asc' }
+      });
+
+      return payments.map((payment: any) => this.mapToPaymentEntity(payment));
+    } catch (error) {
+      logger.error('Error finding payments by sale ID', error as Error, { saleId });
+      throw error;
+    }
+  }
+
+  public async addRefundedAmount(id: number, amount: number): Promise<Payment> {
+    try {
+      logger.info('Adding refunded amount to payment', { id, amount });
+
+      const payment = await this.model.update({
+        where: { id },
+        data: { refundedAmount: { increment: amount } }
+      });
+
+      return this.mapToPaymentEntity(payment);
+    } catch (error) {
+      logger.error('Error adding refunded amount to payment', error as Error, { id, amount });
+      throw error;
+    }
+  }
+
+  public async updateRefundPayment(id: number, update: RefundPaymentUpdate): Promise<RefundPayment> {
+    try {
+      logger.info('Updating refund payment', { id, status: update.status });
+
+      const refundPayment = await (this.databaseManager.getClient() as any).refundPayment.update({
+        where: { id },
+        data: {
+          status: update.status,
+          providerReference: update.providerReference
+        }
+      });
+
+      return new RefundPayment(
+        refundPayment.id,
+        refundPayment.refundId,
+        refundPayment.paymentId,
+        refundPayment.method as PaymentMethod,
+        Money.of(refundPayment.amount).getAmount(),
+        refundPayment.status as RefundPaymentStatus,
+        refundPayment.providerReference ?? undefined
+      );
+    } catch (error) {
+      logger.error('Error updating refund payment', error as Error, { id, update });
+      throw error;
+    }
+  }
+
+  private mapToPaymentEntity(paymentData: any): Payment {
+    return new Payment(
+      paymentData.id,
+      paymentData.saleId,
+      paymentData.method as PaymentMethod,
+      Money.of(paymentData.amount).getAmount(),
+      Money.of(paymentData.tendered).getAmount(),
+      Money.of(paymentData.changeDue).getAmount(),
+      Money.of(paymentData.refundedAmount).getAmount(),
+      paymentData.providerReference ?? undefined
+    );
+  }
+}
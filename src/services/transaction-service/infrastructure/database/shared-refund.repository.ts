@@ -9,11 +9,16 @@
 
 import { Refund } from '../../domain/entities/refund.entity';
 import { RefundLine } from '../../domain/entities/refund-line.entity';
-import { IRefundRepository, RefundData } from '../../domain/repositories/refund.repository';
+import { RefundPayment, RefundPaymentStatus } from '../../domain/entities/refund-payment.entity';
+import { PaymentMethod } from '../../domain/entities/payment.entity';
+import { BlindReturnLimitCheck, IRefundRepository, RefundData } from '../../domain/repositories/refund.repository';
 import { BaseRepository } from '@shared/infrastructure/database/base-repository';
 import { IDatabaseManager } from '@shared/infrastructure/database/database-manager';
 import { ICrossDomainQueries } from '@shared/infrastructure/database/cross-domain-queries';
+import { Money, REPORTING_CURRENCY } from '@shared/domain/value-objects/money.vo';
 import { createLogger } from '@shared/infrastructure/logging';
+import { OutboxEventFactory, writeToOutbox } from '@shared/infrastructure/messaging/outbox';
+import { applyRefundAllocations } from './refund-ledger';
 
 const logger = createLogger('shared-refund-repository');
 
@@ -29,7 +34,7 @@ export class SharedRefundRepository extends BaseRepository<Refund, number> imple
   }
 
   // Override base repository methods to work with RefundData
-  public async save(entity: RefundData): Promise<Refund> {
+  public async save(entity: RefundData, events?: OutboxEventFactory<Refund>): Promise<Refund> {
     try {
       logger.info('Creating new refund with validation', { 
         saleId: entity.saleId,
@@ -39,29 +44,65 @@ export class SharedRefundRepository extends BaseRepository<Refund, number> imple
       });
 
       const result = await this.executeInTransaction(async (tx) => {
+        if (entity.blindReturnLimit) {
+          await this.checkBlindReturnLimit(tx, entity.userId, entity.blindReturnLimit);
+        }
+        if (entity.allocations) {
+          if (entity.saleId == null) {
+            throw new Error('Refund allocations require the refunded sale');
+          }
+          await applyRefundAllocations(tx, entity.saleId, entity.allocations, {
+            changedBy: entity.userId,
+            reason: entity.reason
+          });
+        }
+        if (entity.tenders) {
+          await this.applyRefundTenders(tx, entity);
+        }
+
         // Create the refund record
         const savedRefund = await (tx as any).refund.create({
           data: {
             date: entity.date,
             total: entity.total,
+            currency: entity.currency,
+            reportingTotal: entity.reportingTotal,
             reason: entity.reason,
+            type: entity.type,
+            approvedBy: entity.approvedBy,
             saleId: entity.saleId,
             storeId: entity.storeId,
             userId: entity.userId,
             lines: {
               create: entity.lines.map(line => ({
                 productId: line.productId,
+                variantId: line.variantId,
                 quantity: line.quantity,
-                unitPrice: line.unitPrice
+                unitPrice: line.unitPrice,
+                saleLineId: line.saleLineId,
+                taxes: line.taxes
+              }))
+            },
+            payments: {
+              create: (entity.tenders ?? []).map(tender => ({
+                paymentId: tender.paymentId,
+                method: tender.method,
+                amount: tender.amount
               }))
             }
           },
           include: {
-            lines: true
+            lines: true,
+            payments: true
           }
         });
 
-        return this.mapToRefundEntity(savedRefund);
+        const refund = this.mapToRefundEntity(savedRefund);
+        if (events) {
+          // Store the domain events in the same transaction as the refund
+          await writeToOutbox(tx, events(refund));
+        }
+        return refund;
       });
 
       logger.info('Created refund successfully', { id: result.id });
@@ -108,15 +149,21 @@ export class SharedRefundRepository extends BaseRepository<Refund, number> imple
             data: {
               date: entity.date,
               total: entity.total,
+              currency: entity.currency,
+              reportingTotal: entity.reportingTotal,
               reason: entity.reason,
+              type: entity.type,
+              approvedBy: entity.approvedBy,
               saleId: entity.saleId,
               storeId: entity.storeId,
               userId: entity.userId,
               lines: {
                 create: entity.lines.map(line => ({
                   productId: line.productId,
+                  variantId: line.variantId,
                   quantity: line.quantity,
-                  unitPrice: line.unitPrice
+                  unitPrice: line.unitPrice,
+                  taxes: line.taxes
                 }))
               }
             },
@@ -145,7 +192,8 @@ export class SharedRefundRepository extends BaseRepository<Refund, number> imple
       const refund = await this.model.findUnique({
         where: { id },
         include: {
-          lines: true
+          lines: true,
+          payments: true
         }
       });
 
@@ -455,6 +503,22 @@ export class SharedRefundRepository extends BaseRepository<Refund, number> imple
     }
   }
 
+  // Serializes the blind returns of a customer until the transaction ends, so the check sees every earlier one
+  private async checkBlindReturnLimit(tx: any, userId: number, limit: BlindReturnLimitCheck): Promise<void> {
+    await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext('BlindReturn'), ${userId}::int)`;
+    const previousReturns = await tx.refund.findMany({
+      where: {
+        type: 'BLIND',
+        userId,
+        date: { gte: limit.since }
+      },
+      include: {
+        lines: true
+      }
+    });
+    limit.check(previousReturns.map((refund: any) => this.mapToRefundEntity(refund)));
+  }
+
   // Cross-domain validation methods
   public async validateRefundData(refund: RefundData): Promise<{
     isValid: boolean;
@@ -584,7 +648,7 @@ export class SharedRefundRepository extends BaseRepository<Refund, number> imple
         _sum: { total: true }
       });
       
-      return result._sum.total || 0;
+      return Money.of(result._sum.total ?? 0).getAmount();
     } catch (error) {
       logger.error('Error getting total refunds by store', error as Error, { storeId, startDate, endDate });
       throw error;
@@ -603,7 +667,7 @@ export class SharedRefundRepository extends BaseRepository<Refund, number> imple
         _sum: { total: true }
       });
       
-      return result._sum.total || 0;
+      return Money.of(result._sum.total ?? 0).getAmount();
     } catch (error) {
       logger.error('Error getting total refunds by user', error as Error, { userId, startDate, endDate });
       throw error;
@@ -617,7 +681,7 @@ export class SharedRefundRepository extends BaseRepository<Refund, number> imple
         _sum: { total: true }
       });
       
-      return result._sum.total || 0;
+      return Money.of(result._sum.total ?? 0).getAmount();
     } catch (error) {
       logger.error('Error getting total refunds by sale', error as Error, { saleId });
       throw error;
@@ -664,8 +728,8 @@ export class SharedRefundRepository extends BaseRepository<Refund, number> imple
 
       return {
         totalRefunds,
-        totalAmount: totalAmount._sum.total || 0,
-        averageAmount: totalRefunds > 0 ? (totalAmount._sum.total || 0) / totalRefunds : 0,
+        totalAmount: Money.of(totalAmount._sum.total ?? 0).getAmount(),
+        averageAmount: totalRefunds > 0 ? Money.of(totalAmount._sum.total ?? 0).multiply(1 / totalRefunds).getAmount() : 0,
         refundsByReason: refundsByReasonMap
       };
     } catch (error) {
@@ -674,21 +738,54 @@ export class SharedRefundRepository extends BaseRepository<Refund, number> imple
     }
   }
 
+  // Adds the refunded amounts to the sale payments, failing when a payment has too little left to refund
+  private async applyRefundTenders(tx: any, entity: RefundData): Promise<void> {
+    for (const tender of entity.tenders ?? []) {
+      // Amounts are stored as exact decimals, so the bound is compared to the cent
+      const { count } = await tx.payment.updateMany({
+        where: {
+          id: tender.paymentId,
+          saleId: entity.saleId,
+          refundedAmount: { lte: Money.of(tender.paymentAmount).subtract(Money.of(tender.amount)).getAmount() }
+        },
+        data: { refundedAmount: { increment: tender.amount } }
+      });
+
+      if (count === 0) {
+        throw new Error(`Cannot refund ${tender.amount} to payment ${tender.paymentId}: not enough left to refund`);
+      }
+    }
+  }
+
   // Helper method to map database result to Refund entity
   private mapToRefundEntity(refundData: any): Refund {
     const refundLines = refundData.lines.map((line: any) => 
-      new RefundLine(line.productId, line.quantity, line.unitPrice, line.refundId, line.id)
+      new RefundLine(line.productId, line.quantity, Money.of(line.unitPrice).getAmount(), line.refundId, line.id, line.saleLineId ?? undefined,
+        line.taxes ?? [], line.variantId ?? undefined)
     );
 
     return new Refund(
       refundData.id,
       refundData.date,
-      refundData.total,
+      Money.of(refundData.total, refundData.currency).getAmount(),
       refundData.saleId,
       refundData.storeId,
       refundData.userId,
       refundLines,
-      refundData.reason || undefined
+      refundData.reason || undefined,
+      (refundData.payments ?? []).map((payment: any) => new RefundPayment(
+        payment.id,
+        payment.refundId,
+        payment.paymentId,
+        payment.method as PaymentMethod,
+        Money.of(payment.amount).getAmount(),
+        payment.status as RefundPaymentStatus,
+        payment.providerReference ?? undefined
+      )),
+      refundData.currency,
+      refundData.reportingTotal != null ? Money.of(refundData.reportingTotal, REPORTING_CURRENCY).getAmount() : undefined,
+      refundData.type ?? 'RECEIPT',
+      refundData.approvedBy ?? undefined
     );
   }
 }
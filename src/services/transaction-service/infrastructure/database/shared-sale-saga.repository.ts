@@ -0,0 +1,133 @@
+/**
+ * Shared SaleSaga Repository Implementation
+ *
+ * Implements the ISaleSagaRepository interface using the shared database infrastructure.
+ * Persists sale creation saga state so interrupted sagas survive a service restart.
+ */
+
+import { SaleSaga, SaleSagaLine, SaleSagaStatus } from '../../domain/entities/sale-saga.entity';
+import { ISaleSagaRepository, SaleSagaData } from '../../domain/repositories/sale-saga.repository';
+import { PaymentData } from '../../domain/repositories/payment.repository';
+import { BaseRepository } from '@shared/infrastructure/database/base-repository';
+import { IDatabaseManager } from '@shared/infrastructure/database/database-manager';
+import { createLogger } from '@shared/infrastructure/logging';
+
+// Define types for Prisma results
+type PrismaSaleSaga = {
+  id: number;
+  status: string;
+  saleId: number | null;
+  storeId: number;
+  userId: number;
+  lines: unknown;
+  reserved: unknown;
+  payments: unknown;
+  error: string | null;
+};
+
+const logger = createLogger('shared-sale-saga-repository');
+
+export class SharedSaleSagaRepository extends BaseRepository<SaleSaga, number> implements ISaleSagaRepository {
+  constructor(databaseManager: IDatabaseManager) {
+    super(databaseManager, 'saleSaga');
+  }
+
+  public async findById(id: number): Promise<SaleSaga | null> {
+    try {
+      logger.info('Finding sale saga by ID', { id });
+
+      const saga = await this.model.findUnique({ where: { id } });
+      if (!saga) {
+        logger.info('Sale saga not found', { id });
+        return null;
+      }
+
+      return this.mapToSaleSagaEntity(saga);
+    } catch (error) {
+      logger.error('Error finding sale saga by ID', error as Error, { id });
+      throw error;
+    }
+  }
+
+  public async save(entity: SaleSagaData): Promise<SaleSaga> {
+    try {
+      logger.info('Creating sale saga', { storeId: entity.storeId, userId: entity.userId });
+
+      const saga = await this.model.create({
+        data: {
+          status: entity.status,
+          saleId: entity.saleId,
+          storeId: entity.storeId,
+          userId: entity.userId,
+          lines: entity.lines,
+          reserved: entity.reserved ?? [],
+          payments: entity.payments ?? [],
+          error: entity.error
+        }
+      });
+
+      logger.info('Created sale saga successfully', { id: saga.id });
+      return this.mapToSaleSagaEntity(saga);
+    } catch (error) {
+      logger.error('Error creating sale saga', error as Error, { entity });
+      throw error;
+    }
+  }
+
+  public async update(id: number, entity: Partial<SaleSagaData>): Promise<SaleSaga> {
+    try {
+      logger.info('Updating sale saga', { id, status: entity.status });
+
+      const saga = await this.model.update({
+        where: { id },
+        data: {
+          status: entity.status,
+          saleId: entity.saleId,
+          reserved: entity.reserved,
+          error: entity.error
+        }
+      });
+
+      return this.mapToSaleSagaEntity(saga);
+    } catch (error) {
+      logger.error('Error updating sale saga', error as Error, { id, entity });
+      throw error;
+    }
+  }
+
+  public async findUnfinished(updatedBefore?: Date): Promise<SaleSaga[]> {
+    try {
+      logger.info('Finding unfinished sale sagas', { updatedBefore });
+
+      const sagas = await this.model.findMany({
+        where: {
+          status: { notIn: ['COMPLETED', 'FAILED'] },
+          ...(updatedBefore && { updatedAt: { lt: updatedBefore } })
+        },
+        orderBy: { createdAt: 'asc' }
+      });
+
+      const results = sagas.map((saga: PrismaSaleSaga) => this.mapToSaleSagaEntity(saga));
+      logger.info('Found unfinished sale sagas', { count: results.length });
+      return results;
+    } catch (error) {
+      logger.error('Error finding unfinished sale sagas', error as Error);
+      throw error;
+    }
+  }
+
+  // Helper method to map database result to SaleSaga entity
+  private mapToSaleSagaEntity(sagaData: PrismaSaleSaga): SaleSaga {
+    return new SaleSaga(
+      sagaData.id,
+      sagaData.status as SaleSagaStatus,
+      sagaData.storeId,
+      sagaData.userId,
+      (sagaData.lines ?? []) as SaleSagaLine[],
+      (sagaData.reserved ?? []) as SaleSagaLine[],
+      sagaData.saleId ?? undefined,
+      sagaData.error ?? undefined,
+      (sagaData.payments ?? []) as PaymentData[]
+    );
+  }
+}
@@ -6,28 +6,49 @@
  * Provides proper transaction management for multi-step operations.
  */
 
-import { Sale } from '../../domain/entities/sale.entity';
+import { COMPLETED_SALE_STATUSES, Sale, SaleStatus } from '../../domain/entities/sale.entity';
+import { TaxAmount } from '../../domain/entities/tax-amount';
 import { SaleLine } from '../../domain/entities/sale-line.entity';
-import { ISaleRepository, SaleData } from '../../domain/repositories/sale.repository';
+import {
+  ISaleRepository,
+  SaleData,
+  SaleStatusChange,
+  SaleStatusHistoryEntry,
+  SaleVoidData
+} from '../../domain/repositories/sale.repository';
+import { PaymentData } from '../../domain/repositories/payment.repository';
 import { BaseRepository } from '@shared/infrastructure/database/base-repository';
 import { IDatabaseManager } from '@shared/infrastructure/database/database-manager';
 import { ICrossDomainQueries } from '@shared/infrastructure/database/cross-domain-queries';
+import { DecimalValue, Money, REPORTING_CURRENCY } from '@shared/domain/value-objects/money.vo';
 import { createLogger } from '@shared/infrastructure/logging';
+import { OutboxEventFactory, writeToOutbox } from '@shared/infrastructure/messaging/outbox';
+import { applySaleStatusChange, recordSaleStatusChange } from './sale-status-transition';
 
 // Define types for Prisma results
 type PrismaSaleWithLines = {
   id: number;
   date: Date;
-  total: number;
+  total: DecimalValue;
+  currency?: string;
+  exchangeRate?: DecimalValue;
+  reportingTotal?: DecimalValue | null;
   status: string;
   storeId: number;
   userId: number;
+  voidedAt?: Date | null;
+  voidedBy?: number | null;
+  voidReason?: string | null;
   lines: {
     id: number;
     quantity: number;
-    unitPrice: number;
+    unitPrice: DecimalValue;
+    catalogPrice: DecimalValue | null;
+    refundedQuantity: number;
+    taxes?: unknown;
     saleId: number;
     productId: number;
+    variantId?: number | null;
   }[];
 };
 
@@ -59,14 +80,20 @@ export class SharedSaleRepository extends BaseRepository<Sale, number> implement
           data: {
             date: entity.date,
             total: entity.total,
+            currency: entity.currency,
+            exchangeRate: entity.exchangeRate,
+            reportingTotal: entity.reportingTotal,
             status: entity.status,
             storeId: entity.storeId,
             userId: entity.userId,
             lines: {
               create: entity.lines.map(line => ({
                 productId: line.productId,
+                variantId: line.variantId,
                 quantity: line.quantity,
-                unitPrice: line.unitPrice
+                unitPrice: line.unitPrice,
+                catalogPrice: line.catalogPrice,
+                taxes: line.taxes
               }))
             }
           },
@@ -75,6 +102,7 @@ export class SharedSaleRepository extends BaseRepository<Sale, number> implement
           }
         });
 
+        await recordSaleStatusChange(tx, savedSale.id, { from: null, to: entity.status, changedBy: entity.userId });
         return this.mapToSaleEntity(savedSale);
       });
 
@@ -86,14 +114,13 @@ export class SharedSaleRepository extends BaseRepository<Sale, number> implement
     }
   }
 
-  public async update(id: number, entity: Partial<SaleData>): Promise<Sale> {
+  public async update(id: number, entity: Partial<Omit<SaleData, 'status'>>): Promise<Sale> {
     try {
       logger.info('Updating sale', { id, entity });
 
       const updatedSale = await this.model.update({
         where: { id },
         data: {
-          status: entity.status,
           total: entity.total,
           date: entity.date,
         },
@@ -102,15 +129,87 @@ export class SharedSaleRepository extends BaseRepository<Sale, number> implement
         }
       });
 
-      const result = this.mapToSaleEntity(updatedSale);
       logger.info('Updated sale successfully', { id });
-      return result;
+      return this.mapToSaleEntity(updatedSale);
     } catch (error) {
       logger.error('Error updating sale', error as Error, { id, entity });
       throw error;
     }
   }
 
+  public async changeStatus(id: number, change: SaleStatusChange, events?: OutboxEventFactory<Sale>): Promise<Sale> {
+    try {
+      logger.info('Changing sale status', { id, from: change.from, to: change.to });
+
+      const result = await this.executeInTransaction(async (tx) => {
+        await applySaleStatusChange(tx, id, change);
+
+        const updatedSale = await (tx as any).sale.findUnique({
+          where: { id },
+          include: {
+            lines: true
+          }
+        });
+
+        const sale = this.mapToSaleEntity(updatedSale);
+        if (events) {
+          // Store the domain events in the same transaction as the status change
+          await writeToOutbox(tx, events(sale));
+        }
+        return sale;
+      });
+
+      logger.info('Changed sale status successfully', { id, status: result.status });
+      return result;
+    } catch (error) {
+      logger.error('Error changing sale status', error as Error, { id, change });
+      throw error;
+    }
+  }
+
+  public async activate(id: number, payments: PaymentData[], events?: OutboxEventFactory<Sale>): Promise<Sale> {
+    try {
+      logger.info('Activating sale', { id, payments: payments.length });
+
+      const result = await this.executeInTransaction(async (tx) => {
+        await applySaleStatusChange(tx, id, { from: 'pending', to: 'active' });
+
+        // The charged tenders commit with the activation, so an active sale always has its payments
+        for (const payment of payments) {
+          await (tx as any).payment.create({
+            data: {
+              saleId: id,
+              method: payment.method,
+              amount: payment.amount,
+              tendered: payment.tendered,
+              changeDue: payment.changeDue,
+              providerReference: payment.providerReference
+            }
+          });
+        }
+
+        const activatedSale = await (tx as any).sale.findUnique({
+          where: { id },
+          include: {
+            lines: true
+          }
+        });
+
+        const sale = this.mapToSaleEntity(activatedSale);
+        if (events) {
+          await writeToOutbox(tx, events(sale));
+        }
+        return sale;
+      });
+
+      logger.info('Activated sale successfully', { id });
+      return result;
+    } catch (error) {
+      logger.error('Error activating sale', error as Error, { id });
+      throw error;
+    }
+  }
+
   public async saveMany(entities: SaleData[]): Promise<Sale[]> {
     try {
       logger.info('Creating multiple sales', { count: entities.length });
@@ -122,14 +221,20 @@ export class SharedSaleRepository extends BaseRepository<Sale, number> implement
             data: {
               date: entity.date,
               total: entity.total,
+              currency: entity.currency,
+              exchangeRate: entity.exchangeRate,
+              reportingTotal: entity.reportingTotal,
               status: entity.status,
               storeId: entity.storeId,
               userId: entity.userId,
               lines: {
                 create: entity.lines.map(line => ({
                   productId: line.productId,
+                  variantId: line.variantId,
                   quantity: line.quantity,
-                  unitPrice: line.unitPrice
+                  unitPrice: line.unitPrice,
+                  catalogPrice: line.catalogPrice,
+                  taxes: line.taxes
                 }))
               }
             },
@@ -137,6 +242,7 @@ export class SharedSaleRepository extends BaseRepository<Sale, number> implement
               lines: true
             }
           });
+          await recordSaleStatusChange(tx, savedSale.id, { from: null, to: entity.status, changedBy: entity.userId });
           savedSales.push(this.mapToSaleEntity(savedSale));
         }
         return savedSales;
@@ -237,6 +343,7 @@ export class SharedSaleRepository extends BaseRepository<Sale, number> implement
     }
   }
 
+  // Only sales that went through count towards the summary and category rollups
   public async findByDateRange(startDate: Date, endDate: Date): Promise<Sale[]> {
     try {
       logger.info('Finding sales by date range', { startDate, endDate });
@@ -246,7 +353,8 @@ export class SharedSaleRepository extends BaseRepository<Sale, number> implement
           date: {
             gte: startDate,
             lte: endDate
-          }
+          },
+          status: { in: COMPLETED_SALE_STATUSES }
         },
         include: {
           lines: true
@@ -484,11 +592,16 @@ export class SharedSaleRepository extends BaseRepository<Sale, number> implement
     }
   }
 
-  public async updateSaleStatus(id: number, status: string): Promise<Sale> {
+  public async updateSaleStatus(id: number, status: SaleStatus): Promise<Sale> {
     try {
       logger.info('Updating sale status', { id, status });
 
-      const result = await this.update(id, { status });
+      const sale = await this.findById(id);
+      if (!sale) {
+        throw new Error('Sale not found');
+      }
+
+      const result = await this.changeStatus(id, { from: sale.status, to: status });
       logger.info('Updated sale status successfully', { id, status });
       return result;
     } catch (error) {
@@ -497,6 +610,117 @@ export class SharedSaleRepository extends BaseRepository<Sale, number> implement
     }
   }
 
+  public async markAsVoided(id: number, data: SaleVoidData): Promise<Sale> {
+    try {
+      logger.info('Voiding sale', { id, voidedBy: data.voidedBy });
+
+      const result = await this.executeInTransaction(async (tx) => {
+        // Only the request that still finds the sale active may void it
+        await applySaleStatusChange(
+          tx,
+          id,
+          { from: 'active', to: 'voided', changedBy: data.voidedBy, reason: data.voidReason },
+          { ...data, stockReleasePending: true }
+        );
+
+        const voidedSale = await (tx as any).sale.findUnique({
+          where: { id },
+          include: {
+            lines: true
+          }
+        });
+        return this.mapToSaleEntity(voidedSale);
+      });
+
+      logger.info('Voided sale successfully', { id });
+      return result;
+    } catch (error) {
+      logger.error('Error voiding sale', error as Error, { id, data });
+      throw error;
+    }
+  }
+
+  public async findPendingStockReleases(limit: number): Promise<Sale[]> {
+    try {
+      logger.info('Finding voided sales with stock to release', { limit });
+
+      const sales = await this.model.findMany({
+        where: { stockReleasePending: true },
+        include: {
+          lines: true
+        },
+        orderBy: { voidedAt: 'asc' },
+        take: limit
+      });
+
+      const results = sales.map((sale: PrismaSaleWithLines) => this.mapToSaleEntity(sale));
+      logger.info('Found voided sales with stock to release', { count: results.length });
+      return results;
+    } catch (error) {
+      logger.error('Error finding voided sales with stock to release', error as Error, { limit });
+      throw error;
+    }
+  }
+
+  public async markStockReleased(id: number): Promise<void> {
+    try {
+      logger.info('Marking stock of voided sale as released', { id });
+      await this.model.update({ where: { id }, data: { stockReleasePending: false } });
+    } catch (error) {
+      logger.error('Error marking stock of voided sale as released', error as Error, { id });
+      throw error;
+    }
+  }
+
+  public async findStatusHistory(saleId: number): Promise<SaleStatusHistoryEntry[]> {
+    try {
+      const entries = await (this.databaseManager.getClient() as any).saleStatusHistory.findMany({
+        where: { saleId },
+        orderBy: [{ changedAt: 'asc' }, { id: 'asc' }]
+      });
+
+      return entries.map((entry: any) => ({
+        id: entry.id,
+        saleId: entry.saleId,
+        fromStatus: entry.fromStatus,
+        toStatus: entry.toStatus,
+        changedBy: entry.changedBy ?? undefined,
+        reason: entry.reason ?? undefined,
+        changedAt: entry.changedAt
+      }));
+    } catch (error) {
+      logger.error('Error finding sale status history', error as Error, { saleId });
+      throw error;
+    }
+  }
+
+  // Sales that were never completed or were voided do not set a selling price
+  public async findLowestSellingPrice(storeId: number, productId: number, since: Date, variantId?: number): Promise<number | null> {
+    try {
+      logger.info('Finding lowest selling price', { storeId, productId, variantId, since });
+
+      const result = await (this.databaseManager.getClient() as any).saleLine.aggregate({
+        where: {
+          productId,
+          ...(variantId !== undefined && { variantId }),
+          sale: {
+            storeId,
+            date: { gte: since },
+            status: { in: COMPLETED_SALE_STATUSES }
+          }
+        },
+        _min: { unitPrice: true }
+      });
+
+      const lowestPrice = result._min.unitPrice != null ? Money.of(result._min.unitPrice).getAmount() : null;
+      logger.info('Found lowest selling price', { storeId, productId, lowestPrice });
+      return lowestPrice;
+    } catch (error) {
+      logger.error('Error finding lowest selling price', error as Error, { storeId, productId, since });
+      throw error;
+    }
+  }
+
   // Reporting and analytics methods
   public async getTotalSalesByStore(storeId: number, startDate?: Date, endDate?: Date): Promise<number> {
     try {
@@ -517,7 +741,7 @@ export class SharedSaleRepository extends BaseRepository<Sale, number> implement
         }
       });
 
-      const total = result._sum.total || 0;
+      const total = Money.of(result._sum.total ?? 0).getAmount();
       logger.info('Got total sales by store', { storeId, total });
       return total;
     } catch (error) {
@@ -545,7 +769,7 @@ export class SharedSaleRepository extends BaseRepository<Sale, number> implement
         }
       });
 
-      const total = result._sum.total || 0;
+      const total = Money.of(result._sum.total ?? 0).getAmount();
       logger.info('Got total sales by user', { userId, total });
       return total;
     } catch (error) {
@@ -595,8 +819,8 @@ export class SharedSaleRepository extends BaseRepository<Sale, number> implement
       ]);
 
       const totalSales = totalResult._count.id || 0;
-      const totalAmount = totalResult._sum.total || 0;
-      const averageAmount = totalResult._avg.total || 0;
+      const totalAmount = Money.of(totalResult._sum.total ?? 0).getAmount();
+      const averageAmount = Money.of(totalResult._avg.total ?? 0).getAmount();
 
       const salesByStatusMap: { [status: string]: number } = {};
       salesByStatus.forEach((group: any) => {
@@ -623,21 +847,41 @@ export class SharedSaleRepository extends BaseRepository<Sale, number> implement
     const saleLines = saleData.lines.map((line: {
       id: number;
       quantity: number;
-      unitPrice: number;
+      unitPrice: DecimalValue;
+      catalogPrice: DecimalValue | null;
+      refundedQuantity: number;
+      taxes?: unknown;
       saleId: number;
       productId: number;
+      variantId?: number | null;
     }) => 
-      new SaleLine(line.productId, line.quantity, line.unitPrice, line.saleId, line.id)
+      new SaleLine(
+        line.productId,
+        line.quantity,
+        Money.of(line.unitPrice).getAmount(),
+        line.saleId,
+        line.id,
+        line.catalogPrice !== null ? Money.of(line.catalogPrice).getAmount() : undefined,
+        line.refundedQuantity,
+        (line.taxes ?? []) as TaxAmount[],
+        line.variantId ?? undefined
+      )
     );
 
     return new Sale(
       saleData.id,
       saleData.date,
-      saleData.total,
-      saleData.status,
+      Money.of(saleData.total, saleData.currency).getAmount(),
+      saleData.status as SaleStatus,
       saleData.storeId,
       saleData.userId,
-      saleLines
+      saleLines,
+      saleData.voidedAt ?? undefined,
+      saleData.voidedBy ?? undefined,
+      saleData.voidReason ?? undefined,
+      saleData.currency,
+      saleData.exchangeRate !== undefined ? Number(saleData.exchangeRate.toString()) : undefined,
+      saleData.reportingTotal != null ? Money.of(saleData.reportingTotal, REPORTING_CURRENCY).getAmount() : undefined
     );
   }
 }
\ No newline at end of file
@@ -0,0 +1,36 @@
+import { ExchangeUseCases } from '../../application/use-cases/exchange.use-cases';
+import { IllegalSaleTransitionError } from '../../domain/entities/sale.entity';
+
+export class ExchangeController {
+  constructor(private readonly exchangeUseCases: ExchangeUseCases) {}
+
+  async createExchange(req: any, res: any): Promise<void> {
+    try {
+      const exchange = await this.exchangeUseCases.createExchange(req.body);
+      res.status(201).json(exchange);
+    } catch (error) {
+      const status = error instanceof IllegalSaleTransitionError ? 409 : 400;
+      res.status(status).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+    }
+  }
+
+  async getExchange(req: any, res: any): Promise<void> {
+    try {
+      const id = parseInt(req.params.id);
+      const exchange = await this.exchangeUseCases.getExchange(id);
+      res.json(exchange);
+    } catch (error) {
+      res.status(404).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+    }
+  }
+
+  async getExchangesByUser(req: any, res: any): Promise<void> {
+    try {
+      const userId = parseInt(req.params.userId);
+      const exchanges = await this.exchangeUseCases.getExchangesByUser(userId);
+      res.json(exchanges);
+    } catch (error) {
+      res.status(500).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+    }
+  }
+}
@@ -0,0 +1,45 @@
+import { ReceiptUseCases } from '../../application/use-cases/receipt.use-cases';
+import { isReceiptFormat, ReceiptDTO } from '../../application/dtos/receipt.dto';
+import { ReceiptRenderer } from '../receipts/receipt-renderer';
+
+export class ReceiptController {
+  constructor(
+    private readonly receiptUseCases: ReceiptUseCases,
+    private readonly receiptRenderer: ReceiptRenderer = new ReceiptRenderer()
+  ) {}
+
+  async getSaleReceipt(req: any, res: any): Promise<void> {
+    await this.sendReceipt(req, res, id => this.receiptUseCases.getSaleReceipt(id));
+  }
+
+  async getRefundReceipt(req: any, res: any): Promise<void> {
+    await this.sendReceipt(req, res, id => this.receiptUseCases.getRefundReceipt(id));
+  }
+
+  // `?format=html|text|pdf`, HTML by default; `?download=true` saves the receipt instead of displaying it
+  private async sendReceipt(req: any, res: any, getReceipt: (id: number) => Promise<ReceiptDTO>): Promise<void> {
+    const format: unknown = req.query.format ?? 'html';
+    if (!isReceiptFormat(format)) {
+      res.status(400).json({ error: `Invalid receipt format ${format}: expected html, text or pdf` });
+      return;
+    }
+
+    let receipt: ReceiptDTO;
+    try {
+      receipt = await getReceipt(parseInt(req.params.id));
+    } catch (error) {
+      res.status(404).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+      return;
+    }
+
+    try {
+      const rendered = this.receiptRenderer.render(receipt, format);
+      const disposition = req.query.download === 'true' ? 'attachment' : 'inline';
+      res.set('Content-Type', rendered.contentType);
+      res.set('Content-Disposition', `${disposition}; filename="${rendered.fileName}"`);
+      res.send(rendered.body);
+    } catch (error) {
+      res.status(500).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+    }
+  }
+}
@@ -1,4 +1,5 @@
 import { RefundUseCases } from '../../application/use-cases/refund.use-cases';
+import { IllegalSaleTransitionError } from '../../domain/entities/sale.entity';
 
 export class RefundController {
   constructor(private readonly refundUseCases: RefundUseCases) {}
@@ -7,6 +8,17 @@ export class RefundController {
     try {
       const refund = await this.refundUseCases.createRefund(req.body);
       res.status(201).json(refund);
+    } catch (error) {
+      const status = error instanceof IllegalSaleTransitionError ? 409 : 400;
+      res.status(status).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+    }
+  }
+
+  // Runs behind authenticate and authorize: the approving manager is the authenticated user
+  async createBlindReturn(req: any, res: any): Promise<void> {
+    try {
+      const refund = await this.refundUseCases.createBlindReturn(req.body, req.user.id);
+      res.status(201).json(refund);
     } catch (error) {
       res.status(400).json({ error: error instanceof Error ? error.message : 'Unknown error' });
     }
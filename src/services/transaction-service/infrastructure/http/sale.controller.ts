@@ -1,4 +1,5 @@
 import { SaleUseCases } from '../../application/use-cases/sale.use-cases';
+import { IllegalSaleTransitionError } from '../../domain/entities/sale.entity';
 
 export class SaleController {
   constructor(private readonly saleUseCases: SaleUseCases) {}
@@ -54,11 +55,32 @@ export class SaleController {
   async updateSaleStatus(req: any, res: any): Promise<void> {
     try {
       const id = parseInt(req.params.id);
-      const { status } = req.body;
-      const sale = await this.saleUseCases.updateSaleStatus(id, status);
+      const { status, userId, reason } = req.body;
+      const sale = await this.saleUseCases.updateSaleStatus(id, { status, userId, reason });
       res.json(sale);
     } catch (error) {
-      res.status(400).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+      res.status(this.errorStatus(error)).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+    }
+  }
+
+  async getSaleStatusHistory(req: any, res: any): Promise<void> {
+    try {
+      const id = parseInt(req.params.id);
+      const history = await this.saleUseCases.getSaleStatusHistory(id);
+      res.json(history);
+    } catch (error) {
+      res.status(404).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+    }
+  }
+
+  async voidSale(req: any, res: any): Promise<void> {
+    try {
+      const id = parseInt(req.params.id);
+      // The sale is voided by the authenticated user, not by a user named in the body
+      const sale = await this.saleUseCases.voidSale(id, { userId: req.user.id, reason: req.body.reason });
+      res.json(sale);
+    } catch (error) {
+      res.status(this.errorStatus(error)).json({ error: error instanceof Error ? error.message : 'Unknown error' });
     }
   }
 
@@ -74,4 +96,11 @@ export class SaleController {
       res.status(400).json({ error: error instanceof Error ? error.message : 'Unknown error' });
     }
   }
+
+  private errorStatus(error: unknown): number {
+    if (error instanceof IllegalSaleTransitionError) {
+      return 409;
+    }
+    return error instanceof Error && error.message === 'Sale not found' ? 404 : 400;
+  }
 }
@@ -0,0 +1,58 @@
+// Code 128 barcode encoding, read by any retail barcode scanner
+
+// Bar and space widths, in modules, of every Code 128 symbol by value; 106 is the stop symbol
+const PATTERNS = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+  '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+  '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+  '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+  '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+  '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+  '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+  '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+  '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+];
+
+const CODE_B = 100;
+const START_B = 104;
+const START_C = 105;
+const STOP = 106;
+
+/**
+ * Symbol values encoding a value, start and check symbols and stop included.
+ * Runs of digits are packed two per symbol (code set C), so numeric IDs stay short;
+ * anything else is encoded one character per symbol (code set B).
+ * @throws Error when the value is empty or has characters outside printable ASCII
+ */
+export const encodeCode128 = (value: string): number[] => {
+  if (!/^[\x20-\x7e]+$/.test(value)) {
+    throw new Error(`Cannot encode "${value}" as a Code 128 barcode: printable ASCII characters are required`);
+  }
+
+  const symbols: number[] = [];
+  if (/^\d{2,}$/.test(value)) {
+    symbols.push(START_C);
+    for (let i = 0; i + 1 < value.length; i += 2) {
+      symbols.push(parseInt(value.slice(i, i + 2), 10));
+    }
+    if (value.length % 2 === 1) {
+      symbols.push(CODE_B, value.charCodeAt(value.length - 1) - 32);
+    }
+  } else {
+    symbols.push(START_B, ...Array.from(value, char => char.charCodeAt(0) - 32));
+  }
+
+  const checksum = symbols.reduce((sum, symbol, position) => sum + symbol * Math.max(position, 1), 0) % 103;
+  return [...symbols, checksum, STOP];
+};
+
+/**
+ * Modules of the barcode of a value from left to right, `true` for a bar and `false` for a space.
+ * Quiet zones are left to the renderer.
+ */
+export const code128Modules = (value: string): boolean[] =>
+  encodeCode128(value).flatMap(symbol =>
+    Array.from(PATTERNS[symbol]).flatMap((width, index) => new Array<boolean>(Number(width)).fill(index % 2 === 0))
+  );
@@ -0,0 +1,83 @@
+// Minimal single-page PDF writer: monospaced text and filled rectangles, enough for a receipt
+
+interface PdfText {
+  x: number;
+  y: number;
+  size: number;
+  text: string;
+}
+
+interface PdfRect {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+/**
+ * Single page PDF document drawn with the built-in Courier font, so no font is embedded.
+ * Coordinates are in points from the top-left corner of the page.
+ */
+export class PdfDocument {
+  private readonly texts: PdfText[] = [];
+  private readonly rects: PdfRect[] = [];
+
+  /**
+   * @param width Page width in points
+   * @param height Page height in points
+   */
+  constructor(public readonly width: number, public readonly height: number) {}
+
+  /**
+   * Writes a line of text; characters outside Latin-1 are printed as `?`
+   * @param y Baseline of the text
+   */
+  text(x: number, y: number, text: string, size: number = 9): this {
+    this.texts.push({ x, y, size, text });
+    return this;
+  }
+
+  rect(x: number, y: number, width: number, height: number): this {
+    this.rects.push({ x, y, width, height });
+    return this;
+  }
+
+  toBuffer(): Buffer {
+    const content = [
+      ...this.rects.map(rect =>
+        `${fixed(rect.x)} ${fixed(this.height - rect.y - rect.height)} ${fixed(rect.width)} ${fixed(rect.height)} re f`
+      ),
+      ...this.texts.map(text =>
+        `BT /F1 ${text.size} Tf ${fixed(text.x)} ${fixed(this.height - text.y)} Td (${escapeText(text.text)}) Tj ET`
+      )
+    ].join('\n');
+
+    const objects = [
+      '<< /Type /Catalog /Pages 2 0 R >>',
+      '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${fixed(this.width)} ${fixed(this.height)}] ` +
+        '/Resources << /Font << /F1 4 0 R >> >> /Contents 5 0 R >>',
+      '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>',
+      `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`
+    ];
+
+    // The cross-reference table gives the byte offset of every object
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((object, index) => {
+      const offset = Buffer.byteLength(pdf, 'latin1');
+      pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+      return offset;
+    });
+    const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map(offset => `${offset.toString().padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(pdf, 'latin1');
+  }
+}
+
+const fixed = (value: number): string => Number(value.toFixed(2)).toString();
+
+const escapeText = (text: string): string =>
+  text.replace(/[^\x20-\xff]/g, '?').replace(/[\\()]/g, char => `\\${char}`);
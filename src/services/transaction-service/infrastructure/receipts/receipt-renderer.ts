@@ -0,0 +1,305 @@
+import { ReceiptDTO, ReceiptFormat } from '../../application/dtos/receipt.dto';
+import { Money } from '@shared/domain/value-objects/money.vo';
+import { code128Modules } from './code128';
+import { PdfDocument } from './pdf-document';
+
+export interface RenderedReceipt {
+  contentType: string;
+  fileName: string;
+  body: string | Buffer;
+}
+
+// Blank modules required on each side of a barcode for scanners to find its edges
+const QUIET_ZONE = 10;
+
+const PDF_MARGIN = 36;
+const PDF_FONT_SIZE = 9;
+const PDF_LINE_HEIGHT = 11;
+const PDF_MODULE_WIDTH = 1.5;
+const PDF_BARCODE_HEIGHT = 40;
+
+/**
+ * Renders receipts as HTML pages, plain text for 80-column thermal printers, and PDF.
+ * The text and PDF receipts share one monospaced layout; every receipt ends with a
+ * Code 128 barcode of the sale ID, or of the refund ID for returns without a receipt.
+ */
+export class ReceiptRenderer {
+  /**
+   * @param columns Characters per line of the text and PDF receipts
+   */
+  constructor(private readonly columns: number = 80) {}
+
+  render(receipt: ReceiptDTO, format: ReceiptFormat): RenderedReceipt {
+    const fileName = `receipt-${receipt.type}-${receipt.id}`;
+    switch (format) {
+      case 'text':
+        return { contentType: 'text/plain; charset=utf-8', fileName: `${fileName}.txt`, body: this.renderText(receipt) };
+      case 'pdf':
+        return { contentType: 'application/pdf', fileName: `${fileName}.pdf`, body: this.renderPdf(receipt) };
+      default:
+        return { contentType: 'text/html; charset=utf-8', fileName: `${fileName}.html`, body: this.renderHtml(receipt) };
+    }
+  }
+
+  /**
+   * Plain text receipt. The barcode is drawn with block characters, two modules per
+   * character, and left out when it does not fit the line width.
+   */
+  renderText(receipt: ReceiptDTO): string {
+    const modules = [...this.quietZone(), ...code128Modules(receipt.barcode), ...this.quietZone()];
+    const lines = this.layout(receipt);
+
+    if (modules.length / 2 <= this.columns) {
+      const bars = this.center(this.toBlockCharacters(modules));
+      lines.push(bars, bars, bars);
+    }
+    lines.push(this.center(receipt.barcode));
+
+    return lines.map(line => line.trimEnd()).join('\n') + '\n';
+  }
+
+  renderHtml(receipt: ReceiptDTO): string {
+    const amount = (value: number) => this.formatAmount(value, receipt);
+    const row = (label: string, value: string, className = '') =>
+      `<tr class="${className}"><td colspan="3">${escapeHtml(label)}</td><td class="amount">${value}</td></tr>`;
+
+    const lines = receipt.lines.map(line =>
+      '<tr>' +
+      `<td class="quantity">${line.quantity}</td>` +
+      `<td>${escapeHtml(line.productName)}</td>` +
+      `<td class="amount">${amount(line.unitPrice)}</td>` +
+      `<td class="amount">${amount(line.lineTotal)}</td>` +
+      '</tr>'
+    );
+    const totals = [
+      row('Subtotal', amount(receipt.subtotal)),
+      ...receipt.taxes.map(tax => row(`${tax.name} ${tax.rate}%`, amount(tax.amount))),
+      row(`Total (${receipt.currency})`, amount(receipt.total), 'total')
+    ];
+    const tenders = this.tenderRows(receipt).map(([label, value]) => row(label, amount(value)));
+
+    return [
+      '<!DOCTYPE html>',
+      '<html lang="en">',
+      '<head>',
+      '<meta charset="utf-8">',
+      `<title>${escapeHtml(this.title(receipt))}</title>`,
+      '<style>',
+      'body { font-family: "Courier New", monospace; max-width: 26rem; margin: 1rem auto; color: #000; }',
+      'header, footer { text-align: center; }',
+      'table { width: 100%; border-collapse: collapse; }',
+      'th, td { padding: 0.15rem 0.25rem; text-align: left; vertical-align: top; }',
+      '.amount, .quantity { text-align: right; white-space: nowrap; }',
+      '.total td { font-weight: bold; border-top: 1px solid #000; }',
+      'thead th { border-bottom: 1px dashed #000; }',
+      'tbody.totals tr:first-child td { border-top: 1px dashed #000; }',
+      '@media print { body { margin: 0; } }',
+      '</style>',
+      '</head>',
+      '<body>',
+      '<header>',
+      `<h1>${escapeHtml(receipt.store.name)}</h1>`,
+      receipt.store.address ? `<p>${escapeHtml(receipt.store.address)}</p>` : '',
+      '</header>',
+      '<section>',
+      ...this.details(receipt).map(detail => `<p>${escapeHtml(detail)}</p>`),
+      '</section>',
+      '<table>',
+      '<thead><tr><th class="quantity">Qty</th><th>Item</th><th class="amount">Unit price</th><th class="amount">Total</th></tr></thead>',
+      `<tbody>${lines.join('')}</tbody>`,
+      `<tbody class="totals">${totals.join('')}</tbody>`,
+      tenders.length > 0 ? `<tbody class="tenders">${row(this.tendersHeading(receipt), '')}${tenders.join('')}</tbody>` : '',
+      '</table>',
+      '<footer>',
+      this.barcodeSvg(receipt.barcode),
+      `<p>${escapeHtml(receipt.barcode)}</p>`,
+      '</footer>',
+      '</body>',
+      '</html>'
+    ].filter(line => line !== '').join('\n');
+  }
+
+  /**
+   * PDF receipt: the text layout in Courier, followed by the barcode drawn as bars
+   */
+  renderPdf(receipt: ReceiptDTO): Buffer {
+    const lines = this.layout(receipt);
+    const modules = [...this.quietZone(), ...code128Modules(receipt.barcode), ...this.quietZone()];
+
+    const textWidth = this.columns * PDF_FONT_SIZE * 0.6; // Courier glyphs are 0.6 em wide
+    const width = Math.max(textWidth, modules.length * PDF_MODULE_WIDTH) + 2 * PDF_MARGIN;
+    const barcodeTop = PDF_MARGIN + lines.length * PDF_LINE_HEIGHT + PDF_LINE_HEIGHT;
+    const height = barcodeTop + PDF_BARCODE_HEIGHT + 2 * PDF_LINE_HEIGHT + PDF_MARGIN;
+
+    const pdf = new PdfDocument(width, height);
+    lines.forEach((line, index) => pdf.text(PDF_MARGIN, PDF_MARGIN + (index + 1) * PDF_LINE_HEIGHT, line, PDF_FONT_SIZE));
+
+    const barcodeLeft = (width - modules.length * PDF_MODULE_WIDTH) / 2;
+    this.barRuns(modules).forEach(([start, length]) =>
+      pdf.rect(barcodeLeft + start * PDF_MODULE_WIDTH, barcodeTop, length * PDF_MODULE_WIDTH, PDF_BARCODE_HEIGHT)
+    );
+    pdf.text(PDF_MARGIN, barcodeTop + PDF_BARCODE_HEIGHT + PDF_LINE_HEIGHT, this.center(receipt.barcode), PDF_FONT_SIZE);
+
+    return pdf.toBuffer();
+  }
+
+  // Monospaced layout shared by the text and PDF receipts, barcode excluded
+  private layout(receipt: ReceiptDTO): string[] {
+    const amountWidth = 14;
+    const itemWidth = this.columns - 5 - 2 * amountWidth;
+    const amount = (value: number) => this.formatAmount(value, receipt).padStart(amountWidth);
+    const totalRow = (label: string, value: number) =>
+      ' '.repeat(this.columns - 26 - amountWidth) + label.slice(0, 26).padEnd(26) + amount(value);
+
+    const lines = [
+      this.center(receipt.store.name),
+      ...(receipt.store.address ? [this.center(receipt.store.address)] : []),
+      '='.repeat(this.columns),
+      ...this.details(receipt).map((detail, index) =>
+        index === 0 ? this.spread(detail, formatDate(receipt.date)) : detail
+      ),
+      '-'.repeat(this.columns),
+      'QTY  ' + 'ITEM'.padEnd(itemWidth) + 'UNIT PRICE'.padStart(amountWidth) + 'TOTAL'.padStart(amountWidth)
+    ];
+
+    for (const line of receipt.lines) {
+      const [first, ...rest] = wrap(line.productName, itemWidth);
+      lines.push(
+        line.quantity.toString().padStart(3) + '  ' + first.padEnd(itemWidth) + amount(line.unitPrice) + amount(line.lineTotal),
+        ...rest.map(part => '     ' + part)
+      );
+    }
+
+    lines.push(
+      '-'.repeat(this.columns),
+      totalRow('Subtotal', receipt.subtotal),
+      ...receipt.taxes.map(tax => totalRow(`${tax.name} ${tax.rate}%`, tax.amount)),
+      totalRow(`TOTAL (${receipt.currency})`, receipt.total)
+    );
+
+    const tenders = this.tenderRows(receipt);
+    if (tenders.length > 0) {
+      lines.push('', this.tendersHeading(receipt), ...tenders.map(([label, value]) => totalRow(label, value)));
+    }
+
+    lines.push('='.repeat(this.columns));
+    return lines;
+  }
+
+  private title(receipt: ReceiptDTO): string {
+    return receipt.type === 'sale' ? `Sale #${receipt.id}` : `Refund #${receipt.id}`;
+  }
+
+  // Title first, then what identifies and qualifies the transaction
+  private details(receipt: ReceiptDTO): string[] {
+    const details = [this.title(receipt).toUpperCase()];
+    if (receipt.type === 'refund') {
+      details.push(receipt.saleId !== null
+        ? `Refund of sale #${receipt.saleId}`
+        : `Return without receipt, approved by #${receipt.approvedBy}`);
+      if (receipt.reason) {
+        details.push(`Reason: ${receipt.reason}`);
+      }
+    } else if (receipt.status === 'voided') {
+      details.push('*** VOIDED ***');
+    }
+    return details;
+  }
+
+  private tendersHeading(receipt: ReceiptDTO): string {
+    return receipt.type === 'sale' ? 'PAID WITH' : 'REFUNDED TO';
+  }
+
+  private tenderRows(receipt: ReceiptDTO): Array<[string, number]> {
+    const rows: Array<[string, number]> = [];
+    for (const tender of receipt.tenders) {
+      const method = tender.method.replace('_', ' ');
+      rows.push([tender.status && tender.status !== 'COMPLETED' ? `${method} (${tender.status})` : method, tender.amount]);
+      if (tender.tendered !== undefined && tender.tendered !== tender.amount) {
+        rows.push([`${method} tendered`, tender.tendered]);
+      }
+    }
+    if (receipt.changeDue > 0) {
+      rows.push(['Change', receipt.changeDue]);
+    }
+    return rows;
+  }
+
+  private formatAmount(value: number, receipt: ReceiptDTO): string {
+    return Money.of(value, receipt.currency).toString();
+  }
+
+  private quietZone(): boolean[] {
+    return new Array<boolean>(QUIET_ZONE).fill(false);
+  }
+
+  // Start and length of every bar, in modules
+  private barRuns(modules: boolean[]): Array<[number, number]> {
+    const runs: Array<[number, number]> = [];
+    modules.forEach((bar, index) => {
+      if (!bar) {
+        return;
+      }
+      const last = runs[runs.length - 1];
+      if (last && last[0] + last[1] === index) {
+        last[1]++;
+      } else {
+        runs.push([index, 1]);
+      }
+    });
+    return runs;
+  }
+
+  private barcodeSvg(value: string): string {
+    const modules = [...this.quietZone(), ...code128Modules(value), ...this.quietZone()];
+    const bars = this.barRuns(modules).map(([start, length]) => `<rect x="${start}" y="0" width="${length}" height="50"/>`);
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${modules.length * 2}" height="100" ` +
+      `viewBox="0 0 ${modules.length} 50" preserveAspectRatio="none" role="img" aria-label="Barcode ${escapeHtml(value)}">` +
+      `${bars.join('')}</svg>`;
+  }
+
+  private toBlockCharacters(modules: boolean[]): string {
+    const characters: string[] = [];
+    for (let i = 0; i < modules.length; i += 2) {
+      const left = modules[i];
+      const right = modules[i + 1] ?? false;
+      characters.push(left && right ? '█' : left ? '▌' : right ? '▐' : ' ');
+    }
+    return characters.join('');
+  }
+
+  private center(text: string): string {
+    const line = text.slice(0, this.columns);
+    return ' '.repeat(Math.floor((this.columns - line.length) / 2)) + line;
+  }
+
+  private spread(left: string, right: string): string {
+    return left.padEnd(this.columns - right.length) + right;
+  }
+}
+
+const formatDate = (date: Date): string => `${date.toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+
+// Breaks text into lines of at most `width` characters, at spaces where possible
+const wrap = (text: string, width: number): string[] => {
+  const lines: string[] = [];
+  let line = '';
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    for (let part = word; part.length > 0; part = part.slice(width)) {
+      const chunk = part.slice(0, width);
+      if (line.length === 0) {
+        line = chunk;
+      } else if (line.length + 1 + chunk.length <= width) {
+        line += ` ${chunk}`;
+      } else {
+        lines.push(line);
+        line = chunk;
+      }
+    }
+  }
+  lines.push(line);
+  return lines;
+};
+
+const escapeHtml = (text: string): string =>
+  text.replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]!);
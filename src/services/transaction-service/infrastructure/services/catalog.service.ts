@@ -3,8 +3,11 @@ import { HttpClient } from '@shared/infrastructure/http/http-client';
 export interface StockAdjustmentRequest {
   storeId: number;
   productId: number;
+  variantId?: number; // Stock of products with variants is kept per variant
   quantity: number;
   reason: 'SALE' | 'REFUND' | 'ADJUSTMENT' | 'DAMAGE' | 'RESTOCK';
+  referenceId?: number; // Sale or refund the units moved for, recorded in the stock ledger
+  actorId?: number;
 }
 
 export interface StockAdjustmentResponse {
@@ -13,8 +16,81 @@ export interface StockAdjustmentResponse {
   data?: any;
 }
 
+export interface StockReservationRequest {
+  storeId: number;
+  productId: number;
+  variantId?: number;
+  quantity: number;
+  saleId?: number; // Recorded in the stock ledger
+  actorId?: number;
+}
+
+// All lines of a cart, reserved together or not at all
+export interface StockBatchReservationRequest {
+  storeId: number;
+  lines: Array<{ productId: number; variantId?: number; quantity: number }>;
+  saleId?: number; // Recorded in the stock ledger
+  actorId?: number;
+}
+
+export interface StockShortage {
+  productId: number;
+  variantId?: number;
+  requested: number;
+  available: number;
+}
+
+export interface StockBatchReservationResponse extends StockAdjustmentResponse {
+  shortages?: StockShortage[]; // Every product lacking units when nothing was reserved
+}
+
+export interface StockExchangeRequest {
+  storeId: number;
+  returned: Array<{ productId: number; variantId?: number; quantity: number }>;
+  issued: Array<{ productId: number; variantId?: number; quantity: number }>;
+  saleId?: number; // Original sale, recorded in the stock ledger
+  exchangeId?: number; // Pending exchange, recorded in the stock ledger so the exchange can be reverted
+  actorId?: number;
+}
+
+// Sale paying for a stock hold, which must match the hold
+export interface StockHoldConversionRequest {
+  saleId: number;
+  storeId: number;
+  productId: number;
+  variantId?: number;
+  userId: number;
+  quantity: number;
+}
+
+// Sale whose reserved units are all released, found by the catalog in its stock ledger
+export interface StockSaleReleaseRequest {
+  saleId: number;
+  actorId?: number;
+  includeHolds?: boolean; // Also release the units of stock holds converted to the sale
+}
+
+// Exchange whose stock movements are undone, found by the catalog in its stock ledger
+export interface StockExchangeRevertRequest {
+  exchangeId: number;
+  actorId?: number;
+}
+
+// Failed sale a stock hold was converted to
+export interface StockHoldReinstatementRequest {
+  saleId: number;
+}
+
 export interface ICatalogService {
   adjustStock(adjustment: StockAdjustmentRequest): Promise<StockAdjustmentResponse>;
+  reserveStock(reservation: StockReservationRequest): Promise<StockAdjustmentResponse>;
+  reserveStocks(reservation: StockBatchReservationRequest): Promise<StockBatchReservationResponse>;
+  releaseStock(reservation: StockReservationRequest): Promise<StockAdjustmentResponse>;
+  releaseSaleStock(release: StockSaleReleaseRequest): Promise<StockAdjustmentResponse>;
+  exchangeStock(exchange: StockExchangeRequest): Promise<StockAdjustmentResponse>;
+  revertExchangeStock(revert: StockExchangeRevertRequest): Promise<StockAdjustmentResponse>;
+  convertHold(holdId: number, conversion: StockHoldConversionRequest): Promise<StockAdjustmentResponse>;
+  reinstateHold(holdId: number, reinstatement: StockHoldReinstatementRequest): Promise<StockAdjustmentResponse>;
 }
 
 export class CatalogService implements ICatalogService {
@@ -49,4 +125,228 @@ export class CatalogService implements ICatalogService {
       };
     }
   }
+
+  async reserveStock(reservation: StockReservationRequest): Promise<StockAdjustmentResponse> {
+    try {
+      console.log('Reserving stock via catalog service:', reservation);
+
+      const response = await this.httpClient.post<{ success: boolean }>('/api/stock/reserve', reservation);
+
+      // The catalog answers 200 with { success: false } when there is not enough stock
+      if (response.success && response.data?.success) {
+        return {
+          success: true,
+          data: response.data
+        };
+      } else {
+        return {
+          success: false,
+          error: response.error || `Insufficient stock for product ${reservation.productId}`
+        };
+      }
+    } catch (error) {
+      console.error('Error reserving stock:', error);
+      return {
+        success: false,
+        error: error instanceof Error ? error.message : 'Unknown error occurred'
+      };
+    }
+  }
+
+  async reserveStocks(reservation: StockBatchReservationRequest): Promise<StockBatchReservationResponse> {
+    try {
+      console.log('Reserving stock of all lines via catalog service:', reservation);
+
+      const response = await this.httpClient.post<{ success: boolean; shortages?: StockShortage[] }>(
+        '/api/stock/reserve/batch',
+        reservation
+      );
+
+      // Like single reservations, shortages are answered with 200 and { success: false }
+      if (response.success && response.data?.success) {
+        return {
+          success: true,
+          data: response.data
+        };
+      }
+
+      const shortages = response.data?.shortages ?? [];
+      return {
+        success: false,
+        shortages,
+        error: shortages.length > 0
+          ? `Insufficient stock for ${shortages.map(shortage =>
+            `product ${shortage.productId}${shortage.variantId !== undefined ? ` variant ${shortage.variantId}` : ''} (requested ${shortage.requested}, available ${shortage.available})`
+          ).join(', ')}`
+          : response.error || 'Failed to reserve stock'
+      };
+    } catch (error) {
+      console.error('Error reserving stock:', error);
+      return {
+        success: false,
+        error: error instanceof Error ? error.message : 'Unknown error occurred'
+      };
+    }
+  }
+
+  async releaseStock(reservation: StockReservationRequest): Promise<StockAdjustmentResponse> {
+    try {
+      console.log('Releasing stock via catalog service:', reservation);
+
+      const response = await this.httpClient.post('/api/stock/release', reservation);
+
+      if (response.success) {
+        return {
+          success: true,
+          data: response.data
+        };
+      } else {
+        return {
+          success: false,
+          error: response.error || 'Failed to release stock'
+        };
+      }
+    } catch (error) {
+      console.error('Error releasing stock:', error);
+      return {
+        success: false,
+        error: error instanceof Error ? error.message : 'Unknown error occurred'
+      };
+    }
+  }
+
+  async releaseSaleStock(release: StockSaleReleaseRequest): Promise<StockAdjustmentResponse> {
+    try {
+      console.log('Releasing stock of sale via catalog service:', release);
+
+      // The catalog finds what is still reserved for the sale, so a retry releases nothing twice
+      const response = await this.httpClient.post('/api/stock/release/sale', release);
+
+      if (response.success) {
+        return {
+          success: true,
+          data: response.data
+        };
+      } else {
+        return {
+          success: false,
+          error: response.error || `Failed to release the stock of sale ${release.saleId}`
+        };
+      }
+    } catch (error) {
+      console.error('Error releasing stock of sale:', error);
+      return {
+        success: false,
+        error: error instanceof Error ? error.message : 'Unknown error occurred'
+      };
+    }
+  }
+
+  async exchangeStock(exchange: StockExchangeRequest): Promise<StockAdjustmentResponse> {
+    try {
+      console.log('Exchanging stock via catalog service:', exchange);
+
+      // Both sides are applied in one catalog transaction, or not at all
+      const response = await this.httpClient.post('/api/stock/exchange', exchange);
+
+      if (response.success) {
+        return {
+          success: true,
+          data: response.data
+        };
+      } else {
+        return {
+          success: false,
+          error: response.error || 'Failed to exchange stock'
+        };
+      }
+    } catch (error) {
+      console.error('Error exchanging stock:', error);
+      return {
+        success: false,
+        error: error instanceof Error ? error.message : 'Unknown error occurred'
+      };
+    }
+  }
+
+  async revertExchangeStock(revert: StockExchangeRevertRequest): Promise<StockAdjustmentResponse> {
+    try {
+      console.log('Reverting stock of exchange via catalog service:', revert);
+
+      // The catalog finds what the exchange still has moved, so a retry reverts nothing twice
+      const response = await this.httpClient.post('/api/stock/exchange/revert', revert);
+
+      if (response.success) {
+        return {
+          success: true,
+          data: response.data
+        };
+      } else {
+        return {
+          success: false,
+          error: response.error || `Failed to revert the stock of exchange ${revert.exchangeId}`
+        };
+      }
+    } catch (error) {
+      console.error('Error reverting stock of exchange:', error);
+      return {
+        success: false,
+        error: error instanceof Error ? error.message : 'Unknown error occurred'
+      };
+    }
+  }
+
+  async convertHold(holdId: number, conversion: StockHoldConversionRequest): Promise<StockAdjustmentResponse> {
+    try {
+      console.log('Converting stock hold via catalog service:', { holdId, ...conversion });
+
+      // The held units are taken out of stock, so no reservation is needed
+      const response = await this.httpClient.post(`/api/stock/holds/${holdId}/convert`, conversion);
+
+      if (response.success) {
+        return {
+          success: true,
+          data: response.data
+        };
+      } else {
+        return {
+          success: false,
+          error: response.error || `Failed to convert stock hold ${holdId}`
+        };
+      }
+    } catch (error) {
+      console.error('Error converting stock hold:', error);
+      return {
+        success: false,
+        error: error instanceof Error ? error.message : 'Unknown error occurred'
+      };
+    }
+  }
+
+  async reinstateHold(holdId: number, reinstatement: StockHoldReinstatementRequest): Promise<StockAdjustmentResponse> {
+    try {
+      console.log('Reinstating stock hold via catalog service:', { holdId, ...reinstatement });
+
+      // The units go back on hand and on hold, so the customer keeps them
+      const response = await this.httpClient.post(`/api/stock/holds/${holdId}/reinstate`, reinstatement);
+
+      if (response.success) {
+        return {
+          success: true,
+          data: response.data
+        };
+      } else {
+        return {
+          success: false,
+          error: response.error || `Failed to reinstate stock hold ${holdId}`
+        };
+      }
+    } catch (error) {
+      console.error('Error reinstating stock hold:', error);
+      return {
+        success: false,
+        error: error instanceof Error ? error.message : 'Unknown error occurred'
+      };
+    }
+  }
 }
@@ -0,0 +1,79 @@
+import { Money } from '@shared/domain/value-objects/money.vo';
+import { IPaymentProvider, PaymentChargeRequest, PaymentProviderResult, PaymentRefundRequest } from './payment-provider';
+
+export interface FakePaymentProviderOptions {
+  // Gift card balances; gift cards not listed are declined
+  giftCardBalances?: Record<string, number>;
+  // Card tokens that are always declined
+  declinedCardTokens?: string[];
+}
+
+interface FakeCharge {
+  request: PaymentChargeRequest;
+  refunded: Money;
+}
+
+/**
+ * Local payment provider keeping charges in memory, used in development and tests.
+ * Cards are approved unless their token is declined, gift cards are charged against
+ * the configured balances, and refunds cannot exceed what was charged.
+ */
+export class FakePaymentProvider implements IPaymentProvider {
+  private readonly charges = new Map<string, FakeCharge>();
+  private readonly giftCardBalances: Map<string, number>;
+  private readonly declinedCardTokens: Set<string>;
+  private nextReference = 1;
+
+  constructor(options: FakePaymentProviderOptions = {}) {
+    this.giftCardBalances = new Map(Object.entries(options.giftCardBalances ?? {}));
+    this.declinedCardTokens = new Set(options.declinedCardTokens ?? []);
+  }
+
+  async charge(request: PaymentChargeRequest): Promise<PaymentProviderResult> {
+    if (request.method === 'CARD' && request.cardToken && this.declinedCardTokens.has(request.cardToken)) {
+      return { success: false, error: 'Card declined' };
+    }
+
+    if (request.method === 'GIFT_CARD') {
+      const balance = request.giftCardNumber ? this.giftCardBalances.get(request.giftCardNumber) : undefined;
+      if (balance === undefined) {
+        return { success: false, error: 'Unknown gift card' };
+      }
+      if (Money.of(balance).lessThan(Money.of(request.amount))) {
+        return { success: false, error: `Insufficient gift card balance: ${balance} available` };
+      }
+      this.giftCardBalances.set(request.giftCardNumber!, Money.of(balance).subtract(Money.of(request.amount)).getAmount());
+    }
+
+    const reference = `fake_${this.nextReference++}`;
+    this.charges.set(reference, { request, refunded: Money.zero() });
+    return { success: true, reference };
+  }
+
+  async refund(request: PaymentRefundRequest): Promise<PaymentProviderResult> {
+    const charge = this.charges.get(request.providerReference);
+    if (!charge) {
+      return { success: false, error: `Unknown charge ${request.providerReference}` };
+    }
+    const refunded = charge.refunded.add(Money.of(request.amount));
+    if (refunded.greaterThan(Money.of(charge.request.amount))) {
+      return { success: false, error: `Refund exceeds the amount charged on ${request.providerReference}` };
+    }
+
+    charge.refunded = refunded;
+    if (charge.request.method === 'GIFT_CARD') {
+      const giftCardNumber = charge.request.giftCardNumber!;
+      const balance = this.giftCardBalances.get(giftCardNumber) ?? 0;
+      this.giftCardBalances.set(giftCardNumber, Money.of(balance).add(Money.of(request.amount)).getAmount());
+    }
+
+    return { success: true, reference: `${request.providerReference}_refund_${this.nextReference++}` };
+  }
+
+  /**
+   * Current balance of a gift card, undefined when the card is unknown
+   */
+  getGiftCardBalance(giftCardNumber: string): number | undefined {
+    return this.giftCardBalances.get(giftCardNumber);
+  }
+}
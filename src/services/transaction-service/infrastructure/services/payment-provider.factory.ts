@@ -0,0 +1,42 @@
+import { IPaymentProvider } from './payment-provider';
+import { FakePaymentProvider } from './fake-payment-provider';
+
+/**
+ * Chooses the payment provider from `PAYMENT_PROVIDER`:
+ * - unset or `none`: no provider, so only cash is accepted
+ * - `fake`: FakePaymentProvider, for development only; its charges and gift card balances
+ *   live in memory, so it is refused when `NODE_ENV` is `production`
+ * Gift cards of the fake provider are given as `FAKE_GIFT_CARD_BALANCES=6001234=50,6005678=20`.
+ * @param env Environment variables
+ * @returns The provider, or null when none is configured
+ * @throws Error for an unknown provider, or the fake provider in production
+ */
+export const createPaymentProvider = (env: NodeJS.ProcessEnv = process.env): IPaymentProvider | null => {
+  const provider = (env.PAYMENT_PROVIDER ?? 'none').trim().toLowerCase();
+
+  switch (provider) {
+    case '':
+    case 'none':
+      return null;
+    case 'fake':
+      if (env.NODE_ENV === 'production') {
+        throw new Error('PAYMENT_PROVIDER=fake keeps charges in memory and cannot be used in production');
+      }
+      return new FakePaymentProvider({ giftCardBalances: parseGiftCardBalances(env.FAKE_GIFT_CARD_BALANCES) });
+    default:
+      throw new Error(`Unknown PAYMENT_PROVIDER ${env.PAYMENT_PROVIDER}: none or fake is supported`);
+  }
+};
+
+const parseGiftCardBalances = (value: string | undefined): Record<string, number> => {
+  const balances: Record<string, number> = {};
+  for (const entry of (value ?? '').split(',').map(part => part.trim()).filter(Boolean)) {
+    const [giftCardNumber, balance] = entry.split('=').map(part => part.trim());
+    const amount = Number(balance);
+    if (!giftCardNumber || !Number.isFinite(amount) || amount < 0) {
+      throw new Error(`Invalid FAKE_GIFT_CARD_BALANCES entry ${entry}: number=balance is required`);
+    }
+    balances[giftCardNumber] = amount;
+  }
+  return balances;
+};
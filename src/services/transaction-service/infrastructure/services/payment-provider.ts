@@ -0,0 +1,31 @@
+import { PaymentMethod } from '../../domain/entities/payment.entity';
+
+export interface PaymentChargeRequest {
+  method: Exclude<PaymentMethod, 'CASH'>;
+  amount: number;
+  currency: string;
+  storeId: number;
+  cardToken?: string;
+  giftCardNumber?: string;
+}
+
+export interface PaymentRefundRequest {
+  method: Exclude<PaymentMethod, 'CASH'>;
+  amount: number;
+  providerReference: string;
+}
+
+export interface PaymentProviderResult {
+  success: boolean;
+  reference?: string;
+  error?: string;
+}
+
+/**
+ * Payment provider charging and refunding card and gift card tenders.
+ * Implementations report declines as `{ success: false }` rather than throwing.
+ */
+export interface IPaymentProvider {
+  charge(request: PaymentChargeRequest): Promise<PaymentProviderResult>;
+  refund(request: PaymentRefundRequest): Promise<PaymentProviderResult>;
+}
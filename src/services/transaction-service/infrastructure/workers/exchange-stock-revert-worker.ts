@@ -0,0 +1,97 @@
+/**
+ * Exchange Stock Revert Worker
+ *
+ * Polls for exchanges left unfinished and has the catalog service revert their stock: exchanges
+ * whose revert failed (e.g. while the catalog service was unavailable), and exchanges a crash
+ * left pending between moving their stock and completing them.
+ */
+
+import { ExchangeUseCases } from '../../application/use-cases/exchange.use-cases';
+import { createLogger } from '@shared/infrastructure/logging';
+
+const logger = createLogger('exchange-stock-revert-worker');
+
+/**
+ * Exchange stock revert worker options
+ */
+export interface ExchangeStockRevertWorkerOptions {
+  pollInterval?: number;
+  staleAfter?: number; // Milliseconds without progress before an exchange is taken as interrupted
+  batchSize?: number;
+}
+
+export class ExchangeStockRevertWorker {
+  private readonly exchangeUseCases: ExchangeUseCases;
+  private readonly pollInterval: number;
+  private readonly staleAfter: number;
+  private readonly batchSize: number;
+  private timer?: NodeJS.Timeout;
+  private reverting: boolean = false;
+
+  /**
+   * Creates a new exchange stock revert worker
+   *
+   * @param exchangeUseCases Exchange use cases reverting the stock
+   * @param options Polling options
+   */
+  constructor(exchangeUseCases: ExchangeUseCases, options: ExchangeStockRevertWorkerOptions = {}) {
+    this.exchangeUseCases = exchangeUseCases;
+    this.pollInterval = options.pollInterval ?? parseInt(process.env['EXCHANGE_STOCK_REVERT_INTERVAL_MS'] ?? '60000', 10);
+    this.staleAfter = options.staleAfter ?? parseInt(process.env['EXCHANGE_STOCK_REVERT_STALE_MS'] ?? '120000', 10);
+    this.batchSize = options.batchSize ?? parseInt(process.env['EXCHANGE_STOCK_REVERT_BATCH_SIZE'] ?? '50', 10);
+  }
+
+  /**
+   * Starts polling for unfinished exchanges
+   */
+  public start(): void {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.revertPending().catch(error => logger.error('Exchange stock revert poll failed', error as Error));
+    }, this.pollInterval);
+
+    logger.info('Exchange stock revert worker started', {
+      pollInterval: this.pollInterval,
+      staleAfter: this.staleAfter,
+      batchSize: this.batchSize
+    });
+  }
+
+  /**
+   * Stops polling for unfinished exchanges
+   */
+  public stop(): void {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = undefined;
+      logger.info('Exchange stock revert worker stopped');
+    }
+  }
+
+  /**
+   * Reverts the stock of one batch of exchanges that made no progress for a while. Exchanges
+   * still being made by a request are left alone.
+   *
+   * @returns Number of exchanges reverted
+   */
+  public async revertPending(): Promise<number> {
+    // Skip overlapping polls while a slow batch is still being reverted
+    if (this.reverting) {
+      return 0;
+    }
+
+    this.reverting = true;
+    try {
+      const reverted = await this.exchangeUseCases.retryStockReverts(new Date(Date.now() - this.staleAfter), this.batchSize);
+      if (reverted > 0) {
+        logger.info('Reverted stock of unfinished exchanges', { count: reverted });
+      }
+      return reverted;
+    } finally {
+      this.reverting = false;
+    }
+  }
+}
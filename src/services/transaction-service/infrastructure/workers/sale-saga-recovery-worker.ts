@@ -0,0 +1,90 @@
+/**
+ * Sale Saga Recovery Worker
+ *
+ * Polls for sale creation sagas left unfinished and resumes or compensates them, so a
+ * saga whose compensation failed (e.g. while the catalog service was unavailable) is
+ * retried without waiting for the next restart.
+ */
+
+import { SaleCreationSaga } from '../../application/sagas/sale-creation.saga';
+import { createLogger } from '@shared/infrastructure/logging';
+
+const logger = createLogger('sale-saga-recovery-worker');
+
+/**
+ * Sale saga recovery worker options
+ */
+export interface SaleSagaRecoveryWorkerOptions {
+  pollInterval?: number;
+  staleAfter?: number; // Milliseconds without progress before a saga is taken as interrupted
+}
+
+export class SaleSagaRecoveryWorker {
+  private readonly saleCreationSaga: SaleCreationSaga;
+  private readonly pollInterval: number;
+  private readonly staleAfter: number;
+  private timer?: NodeJS.Timeout;
+  private recovering: boolean = false;
+
+  /**
+   * Creates a new sale saga recovery worker
+   *
+   * @param saleCreationSaga Saga resuming or compensating the unfinished sagas
+   * @param options Polling options
+   */
+  constructor(saleCreationSaga: SaleCreationSaga, options: SaleSagaRecoveryWorkerOptions = {}) {
+    this.saleCreationSaga = saleCreationSaga;
+    this.pollInterval = options.pollInterval ?? parseInt(process.env['SALE_SAGA_RECOVERY_INTERVAL_MS'] ?? '60000', 10);
+    this.staleAfter = options.staleAfter ?? parseInt(process.env['SALE_SAGA_RECOVERY_STALE_MS'] ?? '120000', 10);
+  }
+
+  /**
+   * Starts polling for unfinished sagas
+   */
+  public start(): void {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.recoverPending().catch(error => logger.error('Sale saga recovery poll failed', error as Error));
+    }, this.pollInterval);
+
+    logger.info('Sale saga recovery worker started', { pollInterval: this.pollInterval, staleAfter: this.staleAfter });
+  }
+
+  /**
+   * Stops polling for unfinished sagas
+   */
+  public stop(): void {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = undefined;
+      logger.info('Sale saga recovery worker stopped');
+    }
+  }
+
+  /**
+   * Recovers the unfinished sagas that made no progress for a while. Sagas still being run
+   * by a request keep updating their state, so they are left alone.
+   *
+   * @returns Number of sagas recovered
+   */
+  public async recoverPending(): Promise<number> {
+    // Skip overlapping polls while a slow recovery is still running
+    if (this.recovering) {
+      return 0;
+    }
+
+    this.recovering = true;
+    try {
+      const recovered = await this.saleCreationSaga.recover(new Date(Date.now() - this.staleAfter));
+      if (recovered > 0) {
+        logger.info('Recovered sale sagas', { count: recovered });
+      }
+      return recovered;
+    } finally {
+      this.recovering = false;
+    }
+  }
+}
@@ -0,0 +1,88 @@
+/**
+ * Voided Sale Stock Worker
+ *
+ * Polls for voided sales whose stock the catalog service could not release when they were
+ * voided, and releases it, so their units become available again without manual restocking.
+ */
+
+import { SaleUseCases } from '../../application/use-cases/sale.use-cases';
+import { createLogger } from '@shared/infrastructure/logging';
+
+const logger = createLogger('voided-sale-stock-worker');
+
+/**
+ * Voided sale stock worker options
+ */
+export interface VoidedSaleStockWorkerOptions {
+  pollInterval?: number;
+  batchSize?: number;
+}
+
+export class VoidedSaleStockWorker {
+  private readonly saleUseCases: SaleUseCases;
+  private readonly pollInterval: number;
+  private readonly batchSize: number;
+  private timer?: NodeJS.Timeout;
+  private releasing: boolean = false;
+
+  /**
+   * Creates a new voided sale stock worker
+   *
+   * @param saleUseCases Sale use cases releasing the stock
+   * @param options Polling options
+   */
+  constructor(saleUseCases: SaleUseCases, options: VoidedSaleStockWorkerOptions = {}) {
+    this.saleUseCases = saleUseCases;
+    this.pollInterval = options.pollInterval ?? parseInt(process.env['VOIDED_SALE_STOCK_RETRY_INTERVAL_MS'] ?? '60000', 10);
+    this.batchSize = options.batchSize ?? parseInt(process.env['VOIDED_SALE_STOCK_RETRY_BATCH_SIZE'] ?? '50', 10);
+  }
+
+  /**
+   * Starts polling for voided sales with stock to release
+   */
+  public start(): void {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.releasePending().catch(error => logger.error('Voided sale stock poll failed', error as Error));
+    }, this.pollInterval);
+
+    logger.info('Voided sale stock worker started', { pollInterval: this.pollInterval, batchSize: this.batchSize });
+  }
+
+  /**
+   * Stops polling for voided sales with stock to release
+   */
+  public stop(): void {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = undefined;
+      logger.info('Voided sale stock worker stopped');
+    }
+  }
+
+  /**
+   * Releases the stock of one batch of voided sales
+   *
+   * @returns Number of sales whose stock was released
+   */
+  public async releasePending(): Promise<number> {
+    // Skip overlapping polls while a slow batch is still being released
+    if (this.releasing) {
+      return 0;
+    }
+
+    this.releasing = true;
+    try {
+      const released = await this.saleUseCases.retryStockReleases(this.batchSize);
+      if (released > 0) {
+        logger.info('Released stock of voided sales', { count: released });
+      }
+      return released;
+    } finally {
+      this.releasing = false;
+    }
+  }
+}
@@ -9,21 +9,45 @@ import { createLogger } from '@shared/infrastructure/logging';
 import { register, metricsMiddleware, collectSystemMetrics } from '@shared/infrastructure/metrics';
 import { databaseManager } from '@shared/infrastructure/database/database-manager';
 import { createCrossDomainQueries } from '@shared/infrastructure/database/cross-domain-queries';
+import { OutboxRelay } from '@shared/infrastructure/messaging/outbox';
+import { eventBus } from '@shared/infrastructure/messaging/event-bus';
+import { RedisStreamsEventTransport } from '@shared/infrastructure/messaging/redis-streams-transport';
+import { createIdempotencyMiddleware } from '@shared/infrastructure/http/idempotency.middleware';
+import { authenticate, authorize } from '@shared/infrastructure/http/auth.middleware';
+import { PrismaIdempotencyStore } from '@shared/infrastructure/database/idempotency-store';
 
 // Import new shared repositories
 import { SharedSaleRepository } from './infrastructure/database/shared-sale.repository';
 import { SharedRefundRepository } from './infrastructure/database/shared-refund.repository';
+import { SharedSaleSagaRepository } from './infrastructure/database/shared-sale-saga.repository';
+import { SharedPaymentRepository } from './infrastructure/database/shared-payment.repository';
+import { SharedExchangeRepository } from './infrastructure/database/shared-exchange.repository';
 
 // Import use cases
 import { SaleUseCases } from './application/use-cases/sale.use-cases';
 import { RefundUseCases } from './application/use-cases/refund.use-cases';
+import { ReceiptUseCases } from './application/use-cases/receipt.use-cases';
+import { ExchangeUseCases } from './application/use-cases/exchange.use-cases';
+import { SaleCreationSaga } from './application/sagas/sale-creation.saga';
+
+// Domain services
+import { SalePricingService } from './domain/services/sale-pricing.service';
+import { TaxService } from './domain/services/tax.service';
+import { CategoryRollupService } from './domain/services/category-rollup.service';
+import { PaymentService } from './domain/services/payment.service';
 
 // Import controllers
 import { SaleController } from './infrastructure/http/sale.controller';
 import { RefundController } from './infrastructure/http/refund.controller';
+import { ReceiptController } from './infrastructure/http/receipt.controller';
+import { ExchangeController } from './infrastructure/http/exchange.controller';
 
 // Import external services
 import { CatalogService } from './infrastructure/services/catalog.service';
+import { createPaymentProvider } from './infrastructure/services/payment-provider.factory';
+import { SaleSagaRecoveryWorker } from './infrastructure/workers/sale-saga-recovery-worker';
+import { VoidedSaleStockWorker } from './infrastructure/workers/voided-sale-stock-worker';
+import { ExchangeStockRevertWorker } from './infrastructure/workers/exchange-stock-revert-worker';
 
 dotenv.config();
 
@@ -65,10 +89,39 @@ const initializeCache = async () => {
   }
 };
 
+// Carry domain events over Redis Streams so other services receive them
+const initializeEventBus = async () => {
+  if (process.env.EVENT_BUS_TRANSPORT !== 'redis') {
+    return;
+  }
+  if (!redisClient.isConnected) {
+    logger.warn('Redis unavailable, event bus stays in-memory');
+    return;
+  }
+
+  const transport = new RedisStreamsEventTransport(redisClient, { group: SERVICE_NAME });
+  eventBus.useTransport(transport);
+  await transport.start();
+  logger.info('Event bus using Redis Streams transport');
+};
+
+// Resume or compensate sale sagas interrupted by a previous shutdown or crash
+const recoverSagas = async () => {
+  const recovered = await saleCreationSaga.recover();
+  logger.info('Sale saga recovery completed', { recovered });
+};
+
 // Initialize all services
 const initializeServices = async () => {
   await initializeDatabase();
   await initializeCache().catch(err => logger.error('Redis initialization error', err as Error));
+  await initializeEventBus().catch(err => logger.error('Event bus initialization error', err as Error));
+  await recoverSagas().catch(err => logger.error('Sale saga recovery error', err as Error));
+  await idempotencyStore.purgeExpired().catch(err => logger.error('Idempotency key purge error', err as Error));
+  outboxRelay.start();
+  saleSagaRecoveryWorker.start();
+  voidedSaleStockWorker.start();
+  exchangeStockRevertWorker.start();
 };
 
 // Only initialize services if not in test environment
@@ -99,21 +152,61 @@ const summaryCache = createCacheMiddleware({
   ttl: 1800 // 30 minutes for summary data which changes less frequently
 });
 
+// Replay the stored response of POST requests retried with an Idempotency-Key header
+const idempotencyStore = new PrismaIdempotencyStore(databaseManager);
+const idempotency = createIdempotencyMiddleware({ store: idempotencyStore });
+
+// Relay publishing domain events stored in the transactional outbox
+const outboxRelay = new OutboxRelay(databaseManager);
+
 // Initialize cross-domain queries
 const crossDomainQueries = createCrossDomainQueries(databaseManager);
 
 // Repositories using shared database infrastructure
 const saleRepository = new SharedSaleRepository(databaseManager, crossDomainQueries);
 const refundRepository = new SharedRefundRepository(databaseManager, crossDomainQueries);
+const saleSagaRepository = new SharedSaleSagaRepository(databaseManager);
+const paymentRepository = new SharedPaymentRepository(databaseManager);
+const exchangeRepository = new SharedExchangeRepository(databaseManager);
 
 // Use cases
-const catalogService = new CatalogService();
-const saleUseCases = new SaleUseCases(saleRepository);
-const refundUseCases = new RefundUseCases(refundRepository, saleRepository, catalogService);
+const catalogService = new CatalogService(process.env.CATALOG_SERVICE_URL);
+const salePricingService = new SalePricingService(crossDomainQueries);
+const taxService = new TaxService(crossDomainQueries);
+const categoryRollupService = new CategoryRollupService(crossDomainQueries);
+// Chosen by PAYMENT_PROVIDER; an unknown provider, or the in-memory fake in production, stops
+// the service here. Without a provider, card and gift card tenders are refused
+const paymentProvider = createPaymentProvider();
+if (!paymentProvider) {
+  logger.warn('No payment provider configured: only cash payments are accepted');
+}
+const paymentService = new PaymentService(paymentRepository, paymentProvider);
+const saleCreationSaga = new SaleCreationSaga(saleRepository, saleSagaRepository, catalogService, paymentService);
+
+// Worker retrying sale sagas whose compensation failed, or that a request left unfinished
+const saleSagaRecoveryWorker = new SaleSagaRecoveryWorker(saleCreationSaga);
+const saleUseCases = new SaleUseCases(
+  saleRepository, saleCreationSaga, salePricingService, taxService, catalogService, paymentService, categoryRollupService
+);
+
+// Worker retrying the stock release of voided sales the catalog could not release at once
+const voidedSaleStockWorker = new VoidedSaleStockWorker(saleUseCases);
+const refundUseCases = new RefundUseCases(
+  refundRepository, saleRepository, catalogService, paymentService, salePricingService, taxService, categoryRollupService
+);
+const exchangeUseCases = new ExchangeUseCases(
+  exchangeRepository, saleRepository, catalogService, salePricingService, taxService
+);
+
+// Worker reverting the stock of exchanges that could not be completed
+const exchangeStockRevertWorker = new ExchangeStockRevertWorker(exchangeUseCases);
+const receiptUseCases = new ReceiptUseCases(saleRepository, refundRepository, paymentService, crossDomainQueries);
 
 // Controllers
 const saleController = new SaleController(saleUseCases);
 const refundController = new RefundController(refundUseCases);
+const receiptController = new ReceiptController(receiptUseCases);
+const exchangeController = new ExchangeController(exchangeUseCases);
 
 // Routes
 app.get('/health', (req, res) => {
@@ -132,7 +225,7 @@ app.get('/metrics', async (req, res) => {
 });
 
 // Sale routes
-app.post('/api/sales', (req, res) => {
+app.post('/api/sales', idempotency, (req, res) => {
   saleController.createSale(req, res);
   // Invalidate related caches after creation
   cacheService.delete('GET:/api/sales');
@@ -142,6 +235,8 @@ app.post('/api/sales', (req, res) => {
 app.get('/api/sales', transactionListCache, (req, res) => saleController.getAllSales(req, res));
 app.get('/api/sales/summary', summaryCache, (req, res) => saleController.getSalesSummary(req, res));
 app.get('/api/sales/:id', transactionItemCache, (req, res) => saleController.getSale(req, res));
+app.get('/api/sales/:id/history', (req, res) => saleController.getSaleStatusHistory(req, res));
+app.get('/api/sales/:id/receipt', (req, res) => receiptController.getSaleReceipt(req, res));
 
 app.put('/api/sales/:id/status', (req, res) => {
   saleController.updateSaleStatus(req, res);
@@ -152,11 +247,20 @@ app.put('/api/sales/:id/status', (req, res) => {
   cacheService.delete('GET:/api/sales/summary');
 });
 
+app.post('/api/sales/:id/void', authenticate, (req, res) => {
+  saleController.voidSale(req, res);
+  // Invalidate caches after voiding
+  const id = parseInt(req.params.id);
+  cacheService.delete(`GET:/api/sales/${id}`);
+  cacheService.delete('GET:/api/sales');
+  cacheService.delete('GET:/api/sales/summary');
+});
+
 app.get('/api/sales/user/:userId', transactionListCache, (req, res) => saleController.getSalesByUser(req, res));
 app.get('/api/sales/store/:storeId', transactionListCache, (req, res) => saleController.getSalesByStore(req, res));
 
 // Refund routes
-app.post('/api/refunds', (req, res) => {
+app.post('/api/refunds', idempotency, (req, res) => {
   refundController.createRefund(req, res);
   // Invalidate related caches after creation
   cacheService.delete('GET:/api/refunds');
@@ -165,13 +269,34 @@ app.post('/api/refunds', (req, res) => {
   cacheService.delete('GET:/api/sales/summary');
 });
 
+// Returns without a receipt need a manager's credentials
+app.post('/api/refunds/blind', authenticate, authorize(['manager', 'admin']), idempotency, (req, res) => {
+  refundController.createBlindReturn(req, res);
+  cacheService.delete('GET:/api/refunds');
+  cacheService.delete('GET:/api/refunds/summary');
+});
+
 app.get('/api/refunds', transactionListCache, (req, res) => refundController.getAllRefunds(req, res));
 app.get('/api/refunds/summary', summaryCache, (req, res) => refundController.getRefundsSummary(req, res));
 app.get('/api/refunds/:id', transactionItemCache, (req, res) => refundController.getRefund(req, res));
+app.get('/api/refunds/:id/receipt', (req, res) => receiptController.getRefundReceipt(req, res));
 app.get('/api/refunds/user/:userId', transactionListCache, (req, res) => refundController.getRefundsByUser(req, res));
 app.get('/api/refunds/store/:storeId', transactionListCache, (req, res) => refundController.getRefundsByStore(req, res));
 app.get('/api/refunds/sale/:saleId', transactionListCache, (req, res) => refundController.getRefundsBySale(req, res));
 
+// Exchange routes
+app.post('/api/exchanges', idempotency, (req, res) => {
+  exchangeController.createExchange(req, res);
+  // An exchange records a refund and a sale
+  cacheService.delete('GET:/api/refunds');
+  cacheService.delete('GET:/api/refunds/summary');
+  cacheService.delete('GET:/api/sales');
+  cacheService.delete('GET:/api/sales/summary');
+});
+
+app.get('/api/exchanges/:id', transactionItemCache, (req, res) => exchangeController.getExchange(req, res));
+app.get('/api/exchanges/user/:userId', transactionListCache, (req, res) => exchangeController.getExchangesByUser(req, res));
+
 // Error handling middleware
 app.use((err: Error, req: any, res: any, next: any) => {
   logger.error('Internal server error', err);
@@ -188,6 +313,11 @@ if (process.env.NODE_ENV !== 'test') {
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   logger.info('SIGTERM received, shutting down gracefully');
+  outboxRelay.stop();
+  saleSagaRecoveryWorker.stop();
+  voidedSaleStockWorker.stop();
+  exchangeStockRevertWorker.stop();
+  await eventBus.close().catch((err: Error) => logger.error('Error closing event bus', err));
   await databaseManager.disconnect();
   await redisClient.disconnect().catch((err: Error) => logger.error('Error disconnecting Redis', err));
   process.exit(0);
@@ -195,6 +325,11 @@ process.on('SIGTERM', async () => {
 
 process.on('SIGINT', async () => {
   logger.info('SIGINT received, shutting down gracefully');
+  outboxRelay.stop();
+  saleSagaRecoveryWorker.stop();
+  voidedSaleStockWorker.stop();
+  exchangeStockRevertWorker.stop();
+  await eventBus.close().catch((err: Error) => logger.error('Error closing event bus', err));
   await databaseManager.disconnect();
   await redisClient.disconnect().catch((err: Error) => logger.error('Error disconnecting Redis', err));
   process.exit(0);
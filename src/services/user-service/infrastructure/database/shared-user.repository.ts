@@ -7,6 +7,9 @@ import * as bcrypt from 'bcryptjs';
 
 const logger = createLogger('shared-user-repository');
 
+// Managers approve what clients cannot do alone, such as returns without a receipt
+const VALID_ROLES = ['admin', 'manager', 'client'];
+
 /**
  * Shared repository implementation for User entities.
  * Provides database persistence operations for users using a shared database.
@@ -208,9 +211,8 @@ export class SharedUserRepository extends BaseRepository<User, number> implement
       }
 
       // Validate role
-      const validRoles = ['admin', 'client'];
-      if (!validRoles.includes(newRole)) {
-        throw new Error(`Invalid role: ${newRole}. Valid roles are: ${validRoles.join(', ')}`);
+      if (!VALID_ROLES.includes(newRole)) {
+        throw new Error(`Invalid role: ${newRole}. Valid roles are: ${VALID_ROLES.join(', ')}`);
       }
 
       const updatedUser = await this.model.update({
@@ -324,9 +326,8 @@ export class SharedUserRepository extends BaseRepository<User, number> implement
 
       // Validate role if it's being updated
       if (userData.role) {
-        const validRoles = ['admin', 'client'];
-        if (!validRoles.includes(userData.role)) {
-          throw new Error(`Invalid role: ${userData.role}. Valid roles are: ${validRoles.join(', ')}`);
+        if (!VALID_ROLES.includes(userData.role)) {
+          throw new Error(`Invalid role: ${userData.role}. Valid roles are: ${VALID_ROLES.join(', ')}`);
         }
       }
 
@@ -1,56 +1,2 @@
-import { Request, Response, NextFunction } from 'express';
-import jwt from 'jsonwebtoken';
-
-interface AuthenticatedRequest extends Request {
-  user?: {
-    id: number;
-    name: string;
-    role: string;
-  };
-}
-
-export const authenticate = (req: AuthenticatedRequest, res: Response, next: NextFunction): void => {
-  try {
-    const token = req.headers.authorization?.replace('Bearer ', '');
-    
-    if (!token) {
-      res.status(401).json({
-        success: false,
-        message: 'No token provided'
-      });
-      return;
-    }
-
-    const decoded = jwt.verify(token, process.env['JWT_SECRET'] ?? 'your-secret-key') as any;
-    req.user = decoded;
-    next();
-  } catch (error) {
-    console.error('Authentication error:', error);
-    res.status(401).json({
-      success: false,
-      message: 'Invalid token'
-    });
-  }
-};
-
-export const authorize = (roles: string[]) => {
-  return (req: AuthenticatedRequest, res: Response, next: NextFunction): void => {
-    if (!req.user) {
-      res.status(401).json({
-        success: false,
-        message: 'Unauthorized'
-      });
-      return;
-    }
-
-    if (!roles.includes(req.user.role)) {
-      res.status(403).json({
-        success: false,
-        message: 'Forbidden'
-      });
-      return;
-    }
-
-    next();
-  };
-};
+// The middleware is shared with the other services, which verify the tokens issued here
+export { authenticate, authorize } from '@shared/infrastructure/http/auth.middleware';
@@ -14,7 +14,7 @@ export interface StockUpdatedEvent extends DomainEvent {
     productId: number;
     oldQuantity: number;
     newQuantity: number;
-    reason: 'SALE' | 'REFUND' | 'ADJUSTMENT';
+    reason: 'SALE' | 'REFUND' | 'ADJUSTMENT' | 'DAMAGE' | 'RESTOCK' | 'TRANSFER';
   };
 }
 
@@ -38,6 +38,87 @@ export interface StockReleasedEvent extends DomainEvent {
   };
 }
 
+// Stock hold events: the held units stay on hand until the hold is closed
+export interface StockHoldPlacedEvent extends DomainEvent {
+  eventType: 'STOCK_HOLD_PLACED';
+  eventData: {
+    holdId: number;
+    storeId: number;
+    productId: number;
+    variantId?: number;
+    userId: number;
+    quantity: number;
+    expiresAt: Date;
+  };
+}
+
+export interface StockHoldClosedEvent extends DomainEvent {
+  eventType: 'STOCK_HOLD_CLOSED';
+  eventData: {
+    holdId: number;
+    storeId: number;
+    productId: number;
+    variantId?: number;
+    userId: number;
+    quantity: number;
+    status: 'CONVERTED' | 'RELEASED' | 'EXPIRED';
+    saleId?: number; // Set when converted
+  };
+}
+
+// A converted hold is active again when the sale it was converted to failed
+export interface StockHoldReinstatedEvent extends DomainEvent {
+  eventType: 'STOCK_HOLD_REINSTATED';
+  eventData: {
+    holdId: number;
+    storeId: number;
+    productId: number;
+    variantId?: number;
+    userId: number;
+    quantity: number;
+    saleId: number; // Failed sale the hold had been converted to
+    expiresAt: Date;
+  };
+}
+
+// Transfer events: one per step, shipped units are in transit until received
+export interface TransferStatusChangedEvent extends DomainEvent {
+  eventType: 'TRANSFER_STATUS_CHANGED';
+  eventData: {
+    transferId: number;
+    fromStoreId: number;
+    toStoreId: number;
+    fromStatus: 'REQUESTED' | 'APPROVED' | 'SHIPPED' | null; // Null for the request
+    toStatus: 'REQUESTED' | 'APPROVED' | 'SHIPPED' | 'RECEIVED' | 'CANCELLED';
+    changedBy?: number;
+    lines: Array<{
+      productId: number;
+      variantId?: number;
+      quantity: number;
+      shippedQuantity?: number;
+      receivedQuantity?: number;
+    }>;
+  };
+}
+
+export interface PurchaseOrderStatusChangedEvent extends DomainEvent {
+  eventType: 'PURCHASE_ORDER_STATUS_CHANGED';
+  eventData: {
+    purchaseOrderId: number;
+    supplierId: number;
+    storeId: number;
+    fromStatus: 'DRAFT' | 'SUBMITTED' | 'PARTIALLY_RECEIVED' | null; // Null for the draft
+    toStatus: 'DRAFT' | 'SUBMITTED' | 'PARTIALLY_RECEIVED' | 'RECEIVED' | 'CANCELLED';
+    changedBy?: number; // Left out for orders drafted by the reorder job
+    lines: Array<{
+      productId: number;
+      variantId?: number;
+      quantity: number;
+      receivedQuantity: number;
+    }>;
+  };
+}
+
 // Sale-related events
 export interface SaleCreatedEvent extends DomainEvent {
   eventType: 'SALE_CREATED';
@@ -69,7 +150,8 @@ export interface RefundCreatedEvent extends DomainEvent {
   eventType: 'REFUND_CREATED';
   eventData: {
     refundId: number;
-    saleId: number;
+    saleId: number | null; // Null for blind returns
+    refundType?: 'RECEIPT' | 'BLIND' | 'EXCHANGE'; // RECEIPT when left out
     userId: number;
     storeId: number;
     total: number;
@@ -87,3 +169,25 @@ export interface RefundCompletedEvent extends DomainEvent {
     total: number;
   };
 }
+
+// Exchange-related events
+export interface ExchangeCreatedEvent extends DomainEvent {
+  eventType: 'EXCHANGE_CREATED';
+  eventData: {
+    exchangeId: number;
+    originalSaleId: number;
+    refundId: number;
+    saleId: number;
+    userId: number;
+    storeId: number;
+    priceDifference: number; // Owed by the customer when positive, to the customer when negative
+    returned: Array<{
+      productId: number;
+      quantity: number;
+    }>;
+    issued: Array<{
+      productId: number;
+      quantity: number;
+    }>;
+  };
+}
@@ -0,0 +1,86 @@
+/**
+ * Barcode symbologies printed on products:
+ * - `UPC_A`: 12 digits, used in North America
+ * - `EAN_13`: 13 digits; a UPC-A code reads as an EAN-13 code with a leading zero
+ */
+export type BarcodeFormat = 'UPC_A' | 'EAN_13';
+
+/**
+ * Product barcode (GTIN) with a valid check digit.
+ * A barcode is identified by its 13-digit form, so a UPC-A code and the same code
+ * scanned as EAN-13 with its leading zero are equal.
+ */
+export class Barcode {
+  private constructor(
+    private readonly digits: string,
+    public readonly format: BarcodeFormat
+  ) {}
+
+  /**
+   * Reads a barcode as typed or scanned; spaces and dashes are ignored
+   * @throws Error when the code has the wrong length or check digit
+   */
+  static parse(value: string, format?: BarcodeFormat): Barcode {
+    const digits = String(value ?? '').replace(/[\s-]/g, '');
+    if (!/^\d+$/.test(digits)) {
+      throw new Error(`Invalid barcode ${value}: only digits are allowed`);
+    }
+    const detected: BarcodeFormat | undefined = digits.length === 12 ? 'UPC_A' : digits.length === 13 ? 'EAN_13' : undefined;
+    if (!detected) {
+      throw new Error(`Invalid barcode ${value}: a UPC-A code has 12 digits and an EAN-13 code 13`);
+    }
+    if (Barcode.checkDigit(digits.slice(0, -1)) !== Number(digits[digits.length - 1])) {
+      throw new Error(`Invalid barcode ${value}: wrong check digit`);
+    }
+    // A 13-digit code starting with 0 is a UPC-A code when it was recorded as one
+    if (format === 'UPC_A' && detected === 'EAN_13' && digits.startsWith('0')) {
+      return new Barcode(digits.slice(1), 'UPC_A');
+    }
+    if (format !== undefined && format !== detected) {
+      throw new Error(`Invalid barcode ${value}: not a ${format === 'UPC_A' ? 'UPC-A' : 'EAN-13'} code`);
+    }
+    return new Barcode(digits, detected);
+  }
+
+  /**
+   * Whether a value reads as a barcode with a valid check digit
+   */
+  static isValid(value: string): boolean {
+    try {
+      Barcode.parse(value);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * GTIN check digit: digits are weighted 3 and 1 alternately from the right
+   * @param payload Code without its check digit
+   */
+  static checkDigit(payload: string): number {
+    const sum = payload
+      .split('')
+      .reverse()
+      .reduce((total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 3 : 1), 0);
+    return (10 - (sum % 10)) % 10;
+  }
+
+  /**
+   * The code as printed under the bars: 12 digits for UPC-A, 13 for EAN-13
+   */
+  toString(): string {
+    return this.digits;
+  }
+
+  /**
+   * The 13-digit form the barcode is stored and looked up by
+   */
+  toEan13(): string {
+    return this.format === 'UPC_A' ? `0${this.digits}` : this.digits;
+  }
+
+  equals(other: Barcode): boolean {
+    return this.toEan13() === other.toEan13();
+  }
+}
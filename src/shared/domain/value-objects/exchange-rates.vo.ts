@@ -0,0 +1,49 @@
+import { DEFAULT_CURRENCY, Money } from './money.vo';
+
+/**
+ * Exchange rate table, every rate giving the value of one unit of a currency in the base currency
+ * (e.g. `USD: 1.37` with a CAD base). Conversions between two other currencies go through the base.
+ */
+export class ExchangeRates {
+  private readonly rates: Map<string, number>;
+
+  /**
+   * @param rates Value of one unit of each currency in the base currency
+   * @param baseCurrency Currency the rates are expressed in, the default currency by default
+   */
+  constructor(rates: Record<string, number> = {}, public readonly baseCurrency: string = DEFAULT_CURRENCY) {
+    this.rates = new Map(Object.entries(rates));
+    this.rates.set(baseCurrency, 1);
+  }
+
+  has(currency: string): boolean {
+    return this.rates.has(currency);
+  }
+
+  /**
+   * Units of `to` per unit of `from`
+   * @throws Error when either currency has no configured rate
+   */
+  getRate(from: string, to: string): number {
+    if (from === to) {
+      return 1;
+    }
+    return this.rateOf(from) / this.rateOf(to);
+  }
+
+  /**
+   * Converts an amount to another currency, rounding the result to the cent
+   * @throws Error when either currency has no configured rate
+   */
+  convert(money: Money, currency: string): Money {
+    return money.convert(currency, this.getRate(money.getCurrency(), currency));
+  }
+
+  private rateOf(currency: string): number {
+    const rate = this.rates.get(currency);
+    if (rate === undefined) {
+      throw new Error(`No exchange rate configured for ${currency}`);
+    }
+    return rate;
+  }
+}
@@ -1,17 +1,106 @@
+// Currency of amounts recorded without an explicit currency
+export const DEFAULT_CURRENCY = process.env.DEFAULT_CURRENCY || 'CAD';
+
+// Currency sales and refunds of every store are reported in
+export const REPORTING_CURRENCY = process.env.REPORTING_CURRENCY || DEFAULT_CURRENCY;
+
+/**
+ * Whether a value is an ISO 4217 currency code, e.g. `CAD`
+ */
+export const isCurrencyCode = (value: unknown): value is string =>
+  typeof value === 'string' && /^[A-Z]{3}$/.test(value);
+
+/**
+ * How amounts falling between two cents are rounded:
+ * - `HALF_EVEN` (banker's rounding): halves go to the even cent, so rounding errors cancel out over many amounts
+ * - `HALF_UP`: halves go away from zero
+ */
+export type RoundingMode = 'HALF_EVEN' | 'HALF_UP';
+
+/**
+ * Amount as read from a DECIMAL database column (a Prisma `Decimal`), a string or a number
+ */
+export type DecimalValue = number | string | { toString(): string };
+
+/**
+ * Amount of money held as an integer number of cents, so adding and subtracting is exact.
+ * Amounts enter and leave in major units (19.99) at the API and database boundaries;
+ * every calculation in between goes through Money. Amounts may be negative.
+ */
 export class Money {
-  private readonly amount: number;
+  private readonly cents: number;
   private readonly currency: string;
 
+  /**
+   * @param amount Amount in major units; anything below the cent is rounded half to even
+   * @param currency ISO 4217 currency code
+   */
   constructor(amount: number, currency: string) {
-    if (amount < 0) {
-      throw new Error("Amount must be a positive number");
+    if (!Number.isFinite(amount)) {
+      throw new Error(`Amount must be a finite number, got ${amount}`);
     }
-    this.amount = amount;
+    this.cents = Money.toCents(amount);
     this.currency = currency;
   }
 
+  /**
+   * Creates an amount from a whole number of cents
+   */
+  static fromCents(cents: number, currency: string = DEFAULT_CURRENCY): Money {
+    if (!Number.isSafeInteger(cents)) {
+      throw new Error(`Cents must be an integer, got ${cents}`);
+    }
+    return new Money(cents / 100, currency);
+  }
+
+  /**
+   * Creates an amount from a number or a decimal value such as a database `Decimal`,
+   * reading its decimal digits so no binary rounding creeps in
+   */
+  static of(amount: DecimalValue, currency: string = DEFAULT_CURRENCY): Money {
+    if (typeof amount === 'number') {
+      return new Money(amount, currency);
+    }
+    const value = Number(amount.toString());
+    if (Number.isNaN(value)) {
+      throw new Error(`Invalid amount ${amount.toString()}`);
+    }
+    return new Money(value, currency);
+  }
+
+  static zero(currency: string = DEFAULT_CURRENCY): Money {
+    return Money.fromCents(0, currency);
+  }
+
+  /**
+   * Adds up amounts of one currency; an empty list adds up to zero
+   */
+  static sum(amounts: Money[], currency: string = DEFAULT_CURRENCY): Money {
+    return amounts.reduce((total, amount) => total.add(amount), Money.zero(currency));
+  }
+
+  /**
+   * Adds up amounts of several currencies separately
+   * @returns Total in major units by currency code
+   */
+  static sumByCurrency(amounts: Money[]): Record<string, number> {
+    const totals = new Map<string, Money>();
+    for (const amount of amounts) {
+      const currency = amount.getCurrency();
+      totals.set(currency, (totals.get(currency) ?? Money.zero(currency)).add(amount));
+    }
+    return Object.fromEntries(Array.from(totals, ([currency, total]) => [currency, total.getAmount()]));
+  }
+
+  /**
+   * Amount in major units, for DTOs and database columns
+   */
   getAmount(): number {
-    return this.amount;
+    return this.cents / 100;
+  }
+
+  getCents(): number {
+    return this.cents;
   }
 
   getCurrency(): string {
@@ -19,23 +108,144 @@ export class Money {
   }
 
   add(money: Money): Money {
-    if (this.currency !== money.getCurrency()) {
-      throw new Error("Cannot add money with different currencies");
-    }
-    return new Money(this.amount + money.getAmount(), this.currency);
+    this.assertSameCurrency(money, 'add');
+    return Money.fromCents(this.cents + money.getCents(), this.currency);
   }
 
   subtract(money: Money): Money {
-    if (this.currency !== money.getCurrency()) {
-      throw new Error("Cannot subtract money with different currencies");
+    this.assertSameCurrency(money, 'subtract');
+    return Money.fromCents(this.cents - money.getCents(), this.currency);
+  }
+
+  /**
+   * Multiplies the amount by a factor (a quantity or a rate), rounding the result to the cent
+   * @param factor Quantity or rate
+   * @param rounding Rounding of half cents, banker's rounding by default
+   */
+  multiply(factor: number, rounding: RoundingMode = 'HALF_EVEN'): Money {
+    return Money.fromCents(Money.round(this.cents * factor, rounding), this.currency);
+  }
+
+  /**
+   * Converts the amount to another currency, rounding the result to the cent
+   * @param currency Target currency
+   * @param rate Units of the target currency per unit of this currency
+   */
+  convert(currency: string, rate: number): Money {
+    if (!Number.isFinite(rate) || rate <= 0) {
+      throw new Error(`Exchange rate must be a positive number, got ${rate}`);
+    }
+    if (currency === this.currency) {
+      return this;
+    }
+    return Money.fromCents(Money.round(this.cents * rate, 'HALF_EVEN'), currency);
+  }
+
+  /**
+   * Splits the amount in proportion to ratios without losing a cent. Each part gets its
+   * share rounded down, and the cents left over go to the parts with the largest remainders,
+   * the earliest part first on ties.
+   * @param ratios Non-negative weights of the parts
+   * @returns One amount per ratio, adding up to this amount
+   */
+  allocate(ratios: number[]): Money[] {
+    if (ratios.length === 0) {
+      throw new Error('At least one ratio is required to allocate money');
     }
-    if (this.amount < money.getAmount()) {
-      throw new Error("Insufficient funds");
+    if (ratios.some(ratio => !Number.isFinite(ratio) || ratio < 0)) {
+      throw new Error('Ratios must be non-negative numbers');
     }
-    return new Money(this.amount - money.getAmount(), this.currency);
+
+    const totalRatio = ratios.reduce((sum, ratio) => sum + ratio, 0);
+    if (totalRatio === 0) {
+      throw new Error('Cannot allocate money over ratios adding up to zero');
+    }
+
+    const sign = this.cents < 0 ? -1 : 1;
+    const cents = Math.abs(this.cents);
+    const shares = ratios.map(ratio => (cents * ratio) / totalRatio);
+    const parts = shares.map(share => Math.floor(share));
+
+    let leftover = cents - parts.reduce((sum, part) => sum + part, 0);
+    const byRemainder = shares
+      .map((share, index) => ({ index, remainder: share - parts[index] }))
+      .sort((a, b) => b.remainder - a.remainder || a.index - b.index);
+    for (let i = 0; leftover > 0; i++, leftover--) {
+      parts[byRemainder[i % byRemainder.length].index]++;
+    }
+
+    return parts.map(part => Money.fromCents(sign * part, this.currency));
+  }
+
+  /**
+   * Splits the amount into equal parts, the first parts taking the cents left over
+   */
+  split(parts: number): Money[] {
+    if (!Number.isInteger(parts) || parts <= 0) {
+      throw new Error(`Cannot split money into ${parts} parts`);
+    }
+    return this.allocate(new Array(parts).fill(1));
+  }
+
+  isZero(): boolean {
+    return this.cents === 0;
+  }
+
+  isNegative(): boolean {
+    return this.cents < 0;
+  }
+
+  greaterThan(money: Money): boolean {
+    this.assertSameCurrency(money, 'compare');
+    return this.cents > money.getCents();
+  }
+
+  lessThan(money: Money): boolean {
+    this.assertSameCurrency(money, 'compare');
+    return this.cents < money.getCents();
   }
 
   equals(money: Money): boolean {
-    return this.amount === money.getAmount() && this.currency === money.getCurrency();
+    return this.cents === money.getCents() && this.currency === money.getCurrency();
+  }
+
+  /**
+   * Formats the amount for display, e.g. `$1,234.50` in `en-CA`
+   * @param locale BCP 47 locale, `en-CA` by default
+   */
+  format(locale: string = 'en-CA'): string {
+    return new Intl.NumberFormat(locale, { style: 'currency', currency: this.currency }).format(this.getAmount());
+  }
+
+  /**
+   * Amount with two decimals, e.g. `19.90`
+   */
+  toString(): string {
+    return this.getAmount().toFixed(2);
+  }
+
+  private assertSameCurrency(money: Money, operation: string): void {
+    if (this.currency !== money.getCurrency()) {
+      throw new Error(`Cannot ${operation} money with different currencies`);
+    }
+  }
+
+  private static toCents(amount: number): number {
+    return Money.round(amount * 100, 'HALF_EVEN');
+  }
+
+  // Precision is trimmed first so binary noise (19.99 * 100 = 1998.9999999999998) does not decide the rounding
+  private static round(value: number, rounding: RoundingMode): number {
+    const trimmed = Number(value.toPrecision(15));
+    const floor = Math.floor(trimmed);
+    const fraction = trimmed - floor;
+
+    if (fraction !== 0.5) {
+      return Math.round(trimmed);
+    }
+    if (rounding === 'HALF_UP') {
+      return trimmed < 0 ? floor : floor + 1;
+    }
+    return floor % 2 === 0 ? floor : floor + 1;
   }
-}
\ No newline at end of file
+}
@@ -10,6 +10,8 @@
 import { PrismaClient } from '@prisma/client';
 import { IDatabaseManager } from './database-manager';
 import { createLogger } from '../logging';
+import { Money } from '../../domain/value-objects/money.vo';
+import { ExchangeRates } from '../../domain/value-objects/exchange-rates.vo';
 
 const logger = createLogger('cross-domain-queries');
 
@@ -19,7 +21,7 @@ export interface AuditLogEntry {
   requestingService: string;
   operation: string;
   targetDomain: string;
-  targetId: number;
+  targetId?: number; // Absent for queries not about a single record
   success: boolean;
   error?: string;
   metadata?: Record<string, any>;
@@ -37,12 +39,41 @@ export interface ProductDetails {
   name: string;
   price: number;
   description?: string;
+  taxCategory: string;
+  // Prices set explicitly in other currencies than the default one, by currency code
+  prices: Record<string, number>;
+  // Products with variants are sold per variant; empty for the others
+  variants: VariantDetails[];
 }
 
+export interface VariantDetails {
+  id: number;
+  sku: string;
+  price?: number; // Overrides the product price in the default currency
+  options: Record<string, string>; // Option values, e.g. { Size: 'M', Color: 'Blue' }
+}
+
+export interface CategoryDetails {
+  id: number;
+  name: string;
+  parentId: number | null;
+}
+
+// Categories of each product from the top-level one down to its own, by product ID; empty when uncategorized
+export type CategoryPathsByProduct = Record<number, CategoryDetails[]>;
+
 export interface StoreDetails {
   id: number;
   name: string;
   address?: string;
+  currency: string;
+}
+
+export interface TaxRuleDetails {
+  code: string;
+  name: string;
+  rate: number;
+  taxCategory: string;
 }
 
 export interface StockDetails {
@@ -52,6 +83,15 @@ export interface StockDetails {
   productId: number;
 }
 
+// Units of each product sold at a store, net of refunded units, by product ID
+export type UnitsSoldByProduct = Record<number, number>;
+
+// Units of each variant sold at a store, net of refunded units, by variant ID
+export type UnitsSoldByVariant = Record<number, number>;
+
+// Sale statuses whose lines left the store; voided, failed and pending sales sold nothing
+const COMPLETED_SALE_STATUSES = ['active', 'completed', 'partially_refunded', 'refunded'];
+
 // Cross-domain query interface
 export interface ICrossDomainQueries {
   // User domain queries
@@ -63,15 +103,24 @@ export interface ICrossDomainQueries {
   validateProductExists(productId: number, requestingService: string): Promise<boolean>;
   getProductDetails(productId: number, requestingService: string): Promise<ProductDetails | null>;
   validateProductPrice(productId: number, expectedPrice: number, requestingService: string): Promise<boolean>;
+  getProductCategoryPaths(productIds: number[], requestingService: string): Promise<CategoryPathsByProduct>;
 
   // Store domain queries
   validateStoreExists(storeId: number, requestingService: string): Promise<boolean>;
   getStoreDetails(storeId: number, requestingService: string): Promise<StoreDetails | null>;
+  getStoreTaxRules(storeId: number, requestingService: string): Promise<TaxRuleDetails[]>;
+
+  // Currency queries
+  getExchangeRates(requestingService: string): Promise<ExchangeRates>;
 
   // Stock domain queries
   validateStockAvailability(storeId: number, productId: number, requiredQuantity: number, requestingService: string): Promise<boolean>;
   getStockDetails(storeId: number, productId: number, requestingService: string): Promise<StockDetails | null>;
 
+  // Sale domain queries
+  getUnitsSold(storeId: number, productIds: number[], since: Date, requestingService: string): Promise<UnitsSoldByProduct>;
+  getVariantUnitsSold(storeId: number, variantIds: number[], since: Date, requestingService: string): Promise<UnitsSoldByVariant>;
+
   // Batch validation methods
   validateMultipleUsers(userIds: number[], requestingService: string): Promise<{ [userId: number]: boolean }>;
   validateMultipleProducts(productIds: number[], requestingService: string): Promise<{ [productId: number]: boolean }>;
@@ -136,8 +185,8 @@ export class CrossDomainQueries implements ICrossDomainQueries {
   private validateAccess(requestingService: string, targetDomain: string, operation: string): boolean {
     // Define allowed cross-domain access patterns
     const allowedAccess: Record<string, string[]> = {
-      'transaction-service': ['user', 'product', 'store', 'stock'],
-      'catalog-service': ['user'], // Limited access for user validation
+      'transaction-service': ['user', 'product', 'store', 'stock', 'currency'],
+      'catalog-service': ['user', 'sale'], // User validation and sales history for reordering
       'user-service': [], // User service should not need cross-domain access
     };
 
@@ -373,6 +422,9 @@ export class CrossDomainQueries implements ICrossDomainQueries {
           name: true,
           price: true,
           description: true,
+          taxCategory: true,
+          prices: { select: { currency: true, price: true } },
+          variants: { select: { id: true, sku: true, price: true, options: true }, orderBy: { id: 'asc' } },
         },
       });
 
@@ -392,8 +444,18 @@ export class CrossDomainQueries implements ICrossDomainQueries {
       return {
         id: product.id,
         name: product.name,
-        price: product.price,
+        price: Money.of(product.price).getAmount(),
         description: product.description || undefined,
+        taxCategory: product.taxCategory,
+        prices: Object.fromEntries(
+          product.prices.map(({ currency, price }) => [currency, Money.of(price, currency).getAmount()])
+        ),
+        variants: product.variants.map(variant => ({
+          id: variant.id,
+          sku: variant.sku,
+          ...(variant.price !== null && { price: Money.of(variant.price).getAmount() }),
+          options: variant.options as Record<string, string>,
+        })),
       };
     } catch (error) {
       const errorMessage = error instanceof Error ? error.message : 'Unknown error';
@@ -431,14 +493,15 @@ export class CrossDomainQueries implements ICrossDomainQueries {
         select: { price: true },
       });
 
-      const isValidPrice = product?.price === expectedPrice;
+      const actualPrice = product ? Money.of(product.price) : undefined;
+      const isValidPrice = actualPrice?.equals(Money.of(expectedPrice)) ?? false;
       this.logAudit({
         requestingService,
         operation,
         targetDomain,
         targetId: productId,
         success: true,
-        metadata: { expectedPrice, actualPrice: product?.price, isValid: isValidPrice },
+        metadata: { expectedPrice, actualPrice: actualPrice?.getAmount(), isValid: isValidPrice },
       });
 
       return isValidPrice;
@@ -456,6 +519,71 @@ export class CrossDomainQueries implements ICrossDomainQueries {
     }
   }
 
+  /**
+   * Category path of each product, for rolling sales up the taxonomy. The taxonomy is
+   * small and read whole, so every path comes from a single consistent read.
+   */
+  public async getProductCategoryPaths(productIds: number[], requestingService: string): Promise<CategoryPathsByProduct> {
+    const operation = 'getProductCategoryPaths';
+    const targetDomain = 'product';
+
+    if (!this.validateAccess(requestingService, targetDomain, operation)) {
+      this.logAudit({
+        requestingService,
+        operation,
+        targetDomain,
+        success: false,
+        error: 'Access denied',
+        metadata: { productIds },
+      });
+      throw new Error('Access denied to product categories');
+    }
+
+    try {
+      const [products, categories] = await this.prisma.$transaction([
+        this.prisma.product.findMany({
+          where: { id: { in: productIds } },
+          select: { id: true, categoryId: true },
+        }),
+        this.prisma.category.findMany({ select: { id: true, name: true, parentId: true } }),
+      ]);
+
+      const categoriesById = new Map(categories.map(category => [category.id, category]));
+      const categoryIdsByProduct = new Map(products.map(product => [product.id, product.categoryId]));
+      const paths: CategoryPathsByProduct = {};
+      for (const productId of productIds) {
+        const path: CategoryDetails[] = [];
+        let category = categoriesById.get(categoryIdsByProduct.get(productId) ?? -1);
+        while (category && !path.some(ancestor => ancestor.id === category!.id)) {
+          path.unshift({ id: category.id, name: category.name, parentId: category.parentId });
+          category = category.parentId !== null ? categoriesById.get(category.parentId) : undefined;
+        }
+        paths[productId] = path;
+      }
+
+      this.logAudit({
+        requestingService,
+        operation,
+        targetDomain,
+        success: true,
+        metadata: { productIds },
+      });
+
+      return paths;
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+      this.logAudit({
+        requestingService,
+        operation,
+        targetDomain,
+        success: false,
+        error: errorMessage,
+        metadata: { productIds },
+      });
+      throw error;
+    }
+  }
+
   // Store domain queries
   public async validateStoreExists(storeId: number, requestingService: string): Promise<boolean> {
     const operation = 'validateStoreExists';
@@ -527,6 +655,7 @@ export class CrossDomainQueries implements ICrossDomainQueries {
           id: true,
           name: true,
           address: true,
+          currency: true,
         },
       });
 
@@ -547,6 +676,7 @@ export class CrossDomainQueries implements ICrossDomainQueries {
         id: store.id,
         name: store.name,
         address: store.address || undefined,
+        currency: store.currency,
       };
     } catch (error) {
       const errorMessage = error instanceof Error ? error.message : 'Unknown error';
@@ -562,6 +692,106 @@ export class CrossDomainQueries implements ICrossDomainQueries {
     }
   }
 
+  public async getStoreTaxRules(storeId: number, requestingService: string): Promise<TaxRuleDetails[]> {
+    const operation = 'getStoreTaxRules';
+    const targetDomain = 'store';
+
+    if (!this.validateAccess(requestingService, targetDomain, operation)) {
+      this.logAudit({
+        requestingService,
+        operation,
+        targetDomain,
+        targetId: storeId,
+        success: false,
+        error: 'Access denied',
+      });
+      throw new Error(`Access denied to tax rules of store ${storeId}`);
+    }
+
+    try {
+      const taxRules = await this.prisma.taxRule.findMany({
+        where: { storeId },
+        select: {
+          code: true,
+          name: true,
+          rate: true,
+          taxCategory: true,
+        },
+        orderBy: { id: 'asc' },
+      });
+
+      this.logAudit({
+        requestingService,
+        operation,
+        targetDomain,
+        targetId: storeId,
+        success: true,
+        metadata: { count: taxRules.length },
+      });
+
+      return taxRules;
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+      this.logAudit({
+        requestingService,
+        operation,
+        targetDomain,
+        targetId: storeId,
+        success: false,
+        error: errorMessage,
+      });
+      throw error;
+    }
+  }
+
+  // Currency queries
+  public async getExchangeRates(requestingService: string): Promise<ExchangeRates> {
+    const operation = 'getExchangeRates';
+    const targetDomain = 'currency';
+
+    if (!this.validateAccess(requestingService, targetDomain, operation)) {
+      this.logAudit({
+        requestingService,
+        operation,
+        targetDomain,
+        success: false,
+        error: 'Access denied',
+      });
+      throw new Error('Access denied to exchange rates');
+    }
+
+    try {
+      const exchangeRates = await this.prisma.exchangeRate.findMany({
+        select: {
+          currency: true,
+          rate: true,
+        },
+      });
+
+      this.logAudit({
+        requestingService,
+        operation,
+        targetDomain,
+        success: true,
+        metadata: { count: exchangeRates.length },
+      });
+
+      return new ExchangeRates(
+        Object.fromEntries(exchangeRates.map(({ currency, rate }) => [currency, Number(rate.toString())]))
+      );
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+      this.logAudit({
+        requestingService,
+        operation,
+        targetDomain,
+        success: false,
+        error: errorMessage,
+      });
+      throw error;
+    }
+  }
+
   // Stock domain queries
   public async validateStockAvailability(storeId: number, productId: number, requiredQuantity: number, requestingService: string): Promise<boolean> {
     const operation = 'validateStockAvailability';
@@ -581,13 +811,9 @@ export class CrossDomainQueries implements ICrossDomainQueries {
     }
 
     try {
-      const stock = await this.prisma.stock.findUnique({
-        where: {
-          storeId_productId: {
-            storeId,
-            productId,
-          },
-        },
+      // The record of the product itself; products with variants are stocked per variant
+      const stock = await this.prisma.stock.findFirst({
+        where: { storeId, productId, variantId: null },
         select: { quantity: true },
       });
 
@@ -640,13 +866,9 @@ export class CrossDomainQueries implements ICrossDomainQueries {
     }
 
     try {
-      const stock = await this.prisma.stock.findUnique({
-        where: {
-          storeId_productId: {
-            storeId,
-            productId,
-          },
-        },
+      // The record of the product itself; products with variants are stocked per variant
+      const stock = await this.prisma.stock.findFirst({
+        where: { storeId, productId, variantId: null },
         select: {
           id: true,
           quantity: true,
@@ -680,6 +902,131 @@ export class CrossDomainQueries implements ICrossDomainQueries {
     }
   }
 
+  // Sale domain queries
+  public async getUnitsSold(
+    storeId: number,
+    productIds: number[],
+    since: Date,
+    requestingService: string
+  ): Promise<UnitsSoldByProduct> {
+    const operation = 'getUnitsSold';
+    const targetDomain = 'sale';
+
+    if (!this.validateAccess(requestingService, targetDomain, operation)) {
+      this.logAudit({
+        requestingService,
+        operation,
+        targetDomain,
+        targetId: storeId,
+        success: false,
+        error: 'Access denied',
+        metadata: { productIds, since },
+      });
+      throw new Error(`Access denied to sales of store ${storeId}`);
+    }
+
+    try {
+      const totals = await this.prisma.saleLine.groupBy({
+        by: ['productId'],
+        where: {
+          productId: { in: productIds },
+          sale: { storeId, date: { gte: since }, status: { in: COMPLETED_SALE_STATUSES } },
+        },
+        _sum: { quantity: true, refundedQuantity: true },
+      });
+
+      const unitsSold: UnitsSoldByProduct = Object.fromEntries(productIds.map(productId => [productId, 0]));
+      for (const total of totals) {
+        unitsSold[total.productId] = (total._sum.quantity ?? 0) - (total._sum.refundedQuantity ?? 0);
+      }
+
+      this.logAudit({
+        requestingService,
+        operation,
+        targetDomain,
+        targetId: storeId,
+        success: true,
+        metadata: { productIds, since },
+      });
+
+      return unitsSold;
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+      this.logAudit({
+        requestingService,
+        operation,
+        targetDomain,
+        targetId: storeId,
+        success: false,
+        error: errorMessage,
+        metadata: { productIds, since },
+      });
+      throw error;
+    }
+  }
+
+  public async getVariantUnitsSold(
+    storeId: number,
+    variantIds: number[],
+    since: Date,
+    requestingService: string
+  ): Promise<UnitsSoldByVariant> {
+    const operation = 'getVariantUnitsSold';
+    const targetDomain = 'sale';
+
+    if (!this.validateAccess(requestingService, targetDomain, operation)) {
+      this.logAudit({
+        requestingService,
+        operation,
+        targetDomain,
+        targetId: storeId,
+        success: false,
+        error: 'Access denied',
+        metadata: { variantIds, since },
+      });
+      throw new Error(`Access denied to sales of store ${storeId}`);
+    }
+
+    try {
+      const totals = await this.prisma.saleLine.groupBy({
+        by: ['variantId'],
+        where: {
+          variantId: { in: variantIds },
+          sale: { storeId, date: { gte: since }, status: { in: COMPLETED_SALE_STATUSES } },
+        },
+        _sum: { quantity: true, refundedQuantity: true },
+      });
+
+      const unitsSold: UnitsSoldByVariant = Object.fromEntries(variantIds.map(variantId => [variantId, 0]));
+      for (const total of totals) {
+        unitsSold[total.variantId!] = (total._sum.quantity ?? 0) - (total._sum.refundedQuantity ?? 0);
+      }
+
+      this.logAudit({
+        requestingService,
+        operation,
+        targetDomain,
+        targetId: storeId,
+        success: true,
+        metadata: { variantIds, since },
+      });
+
+      return unitsSold;
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+      this.logAudit({
+        requestingService,
+        operation,
+        targetDomain,
+        targetId: storeId,
+        success: false,
+        error: errorMessage,
+        metadata: { variantIds, since },
+      });
+      throw error;
+    }
+  }
+
   // Batch validation methods
   public async validateMultipleUsers(userIds: number[], requestingService: string): Promise<{ [userId: number]: boolean }> {
     const operation = 'validateMultipleUsers';
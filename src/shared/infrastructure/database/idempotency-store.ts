@@ -0,0 +1,123 @@
+/**
+ * Idempotency Store
+ *
+ * Database-backed IdempotencyStore. Keys live in the shared database, so every replica
+ * of a service sees the same keys, and the unique (scope, key) constraint decides which
+ * of several concurrent requests gets to execute. The lease (`lockedUntil`) of a claim
+ * fences it: once a retry took an abandoned key over, the first request can neither
+ * store its response nor free the key.
+ */
+
+import { Prisma } from '@prisma/client';
+import { IDatabaseManager } from './database-manager';
+import { IdempotencyRecord, IdempotencyStore } from '../http/idempotency.middleware';
+import { createLogger } from '../logging';
+
+const logger = createLogger('idempotency-store');
+
+// Attempts to claim a key whose previous record expired or disappeared concurrently
+const MAX_ACQUIRE_ATTEMPTS = 3;
+
+export class PrismaIdempotencyStore implements IdempotencyStore {
+  private readonly databaseManager: IDatabaseManager;
+
+  /**
+   * Creates a new idempotency store
+   *
+   * @param databaseManager Database manager of the service
+   */
+  constructor(databaseManager: IDatabaseManager) {
+    this.databaseManager = databaseManager;
+  }
+
+  async acquire(
+    scope: string,
+    key: string,
+    requestHash: string,
+    expiresAt: Date,
+    lockedUntil: Date
+  ): Promise<IdempotencyRecord | null> {
+    const idempotencyKey = this.databaseManager.getClient().idempotencyKey;
+
+    for (let attempt = 0; attempt < MAX_ACQUIRE_ATTEMPTS; attempt++) {
+      try {
+        await idempotencyKey.create({ data: { scope, key, requestHash, expiresAt, lockedUntil } });
+        return null;
+      } catch (error) {
+        if ((error as any).code !== 'P2002') {
+          throw error;
+        }
+      }
+
+      const existing = await idempotencyKey.findUnique({ where: { scope_key: { scope, key } } });
+      if (!existing) {
+        continue;
+      }
+
+      if (existing.expiresAt <= new Date()) {
+        // Outside the window the key may be reused; the filter keeps a concurrent claim intact
+        await idempotencyKey.deleteMany({ where: { id: existing.id, expiresAt: { lte: new Date() } } });
+        continue;
+      }
+
+      const abandoned = existing.status === 'IN_PROGRESS' && existing.requestHash === requestHash
+        && existing.lockedUntil !== null && existing.lockedUntil <= new Date();
+      if (abandoned) {
+        // Matching the old lease lets a single retry take the key over
+        const { count } = await idempotencyKey.updateMany({
+          where: { id: existing.id, status: 'IN_PROGRESS', lockedUntil: existing.lockedUntil },
+          data: { lockedUntil, expiresAt }
+        });
+        if (count === 1) {
+          logger.warn('Took over idempotency key of a request that stopped', { scope });
+          return null;
+        }
+        continue;
+      }
+
+      return {
+        requestHash: existing.requestHash,
+        status: existing.status as IdempotencyRecord['status'],
+        responseStatus: existing.responseStatus,
+        responseBody: existing.responseBody
+      };
+    }
+
+    throw new Error(`Could not acquire idempotency key ${key}`);
+  }
+
+  async complete(scope: string, key: string, lockedUntil: Date, responseStatus: number, responseBody: any): Promise<void> {
+    const { count } = await this.databaseManager.getClient().idempotencyKey.updateMany({
+      where: { scope, key, status: 'IN_PROGRESS', lockedUntil },
+      data: {
+        status: 'COMPLETED',
+        responseStatus,
+        responseBody: responseBody === null ? Prisma.JsonNull : JSON.parse(JSON.stringify(responseBody)),
+        lockedUntil: null
+      }
+    });
+    if (count === 0) {
+      logger.warn('Idempotency key was taken over before its response was stored', { scope, responseStatus });
+      return;
+    }
+    logger.info('Stored idempotent response', { scope, responseStatus });
+  }
+
+  async release(scope: string, key: string, lockedUntil: Date): Promise<void> {
+    await this.databaseManager.getClient().idempotencyKey.deleteMany({
+      where: { scope, key, status: 'IN_PROGRESS', lockedUntil }
+    });
+  }
+
+  /**
+   * Deletes keys whose window has passed
+   *
+   * @returns Number of deleted keys
+   */
+  async purgeExpired(): Promise<number> {
+    const { count } = await this.databaseManager.getClient().idempotencyKey.deleteMany({
+      where: { expiresAt: { lte: new Date() } }
+    });
+    return count;
+  }
+}
@@ -39,4 +39,6 @@ export * from './health-routes';
 // Performance Optimization
 export * from './cached-repository';
 export * from './connection-optimizer';
-export * from './cache-invalidation';
\ No newline at end of file
+export * from './cache-invalidation';
+// Idempotency Keys
+export * from './idempotency-store';
@@ -0,0 +1,66 @@
+/**
+ * Authentication Middleware for Express
+ *
+ * `authenticate` verifies the JWT bearer token issued by the user service and puts its
+ * claims on `req.user`; `authorize` then restricts a route to some roles. Every service
+ * shares the JWT_SECRET of the user service.
+ */
+
+import { Request, Response, NextFunction } from 'express';
+import jwt from 'jsonwebtoken';
+
+export interface AuthenticatedUser {
+  id: number;
+  name: string;
+  role: string;
+}
+
+export interface AuthenticatedRequest extends Request {
+  user?: AuthenticatedUser;
+}
+
+export const authenticate = (req: AuthenticatedRequest, res: Response, next: NextFunction): void => {
+  try {
+    const token = req.headers.authorization?.replace('Bearer ', '');
+    
+    if (!token) {
+      res.status(401).json({
+        success: false,
+        message: 'No token provided'
+      });
+      return;
+    }
+
+    const decoded = jwt.verify(token, process.env['JWT_SECRET'] ?? 'your-secret-key') as any;
+    req.user = decoded;
+    next();
+  } catch (error) {
+    console.error('Authentication error:', error);
+    res.status(401).json({
+      success: false,
+      message: 'Invalid token'
+    });
+  }
+};
+
+export const authorize = (roles: string[]) => {
+  return (req: AuthenticatedRequest, res: Response, next: NextFunction): void => {
+    if (!req.user) {
+      res.status(401).json({
+        success: false,
+        message: 'Unauthorized'
+      });
+      return;
+    }
+
+    if (!roles.includes(req.user.role)) {
+      res.status(403).json({
+        success: false,
+        message: 'Forbidden'
+      });
+      return;
+    }
+
+    next();
+  };
+};
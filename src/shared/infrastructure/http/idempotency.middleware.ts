@@ -0,0 +1,189 @@
+/**
+ * Idempotency Middleware for Express
+ *
+ * Makes non-idempotent endpoints safe to retry with an `Idempotency-Key` header:
+ * - The first request with a key executes normally and its response is stored
+ * - A retry with the same key and payload replays the stored status and body
+ * - A retry with the same key but a different payload is rejected with 422
+ * - A retry while the first request is still running is rejected with 409
+ * - A retry after the first request stopped without answering (e.g. its replica crashed)
+ *   takes the key over once the lease of the first request has passed
+ *
+ * Keys are scoped to the method, the path and the caller: the authenticated user, or
+ * the `X-Client-Id` header of anonymous clients. Requests without the header are not affected.
+ */
+
+import crypto from 'crypto';
+import { Request, Response, NextFunction } from 'express';
+import { createLogger } from '../logging';
+import { AuthenticatedRequest } from './auth.middleware';
+
+// Create a logger for idempotency middleware
+const logger = createLogger('idempotency-middleware');
+
+export const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+export const CLIENT_ID_HEADER = 'X-Client-Id';
+
+// Default window during which a key is remembered (24 hours)
+const DEFAULT_TTL = parseInt(process.env['IDEMPOTENCY_TTL_SECONDS'] || '86400', 10);
+
+// Default time a request holds its key before a retry may take it over (60 seconds)
+const DEFAULT_LEASE = parseInt(process.env['IDEMPOTENCY_LEASE_SECONDS'] || '60', 10);
+
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Stored state of an idempotency key
+ */
+export interface IdempotencyRecord {
+  requestHash: string;
+  status: 'IN_PROGRESS' | 'COMPLETED';
+  responseStatus?: number | null;
+  responseBody?: any;
+}
+
+/**
+ * Persistence for idempotency keys; must be shared by all replicas of a service
+ */
+export interface IdempotencyStore {
+  /**
+   * Claims a key for a new request until `lockedUntil`. A key still IN_PROGRESS whose lease
+   * has passed is taken over by a request with the same payload.
+   *
+   * @returns null when the key was claimed, otherwise the existing record
+   */
+  acquire(scope: string, key: string, requestHash: string, expiresAt: Date, lockedUntil: Date): Promise<IdempotencyRecord | null>;
+  /**
+   * Stores the response of a claimed key; does nothing once another request took the key over
+   */
+  complete(scope: string, key: string, lockedUntil: Date, responseStatus: number, responseBody: any): Promise<void>;
+  /**
+   * Frees a claimed key; does nothing once another request took the key over
+   */
+  release(scope: string, key: string, lockedUntil: Date): Promise<void>;
+}
+
+/**
+ * Idempotency middleware options
+ */
+export interface IdempotencyMiddlewareOptions {
+  store: IdempotencyStore;
+  ttl?: number;
+  lease?: number; // Seconds a request holds its key before a retry may take it over
+}
+
+/**
+ * Hashes a request body independently of its key order
+ *
+ * @param body Parsed request body
+ * @returns SHA-256 hex digest
+ */
+export const hashRequestBody = (body: any): string => {
+  const canonicalize = (value: any): any => {
+    if (Array.isArray(value)) {
+      return value.map(canonicalize);
+    }
+    if (value && typeof value === 'object') {
+      return Object.keys(value).sort().reduce((sorted: Record<string, any>, key) => {
+        sorted[key] = canonicalize(value[key]);
+        return sorted;
+      }, {});
+    }
+    return value;
+  };
+
+  return crypto.createHash('sha256').update(JSON.stringify(canonicalize(body ?? null))).digest('hex');
+};
+
+/**
+ * Scopes a key to the endpoint and the caller, so two callers sending the same key
+ * never see each other's responses
+ *
+ * @param req Express request, authenticated or not
+ * @returns Scope of the keys of the request
+ */
+const scopeOf = (req: Request): string => {
+  const endpoint = `${req.method} ${req.baseUrl}${req.path}`;
+  const user = (req as AuthenticatedRequest).user;
+  if (user) {
+    return `${endpoint} user:${user.id}`;
+  }
+  const clientId = req.get(CLIENT_ID_HEADER);
+  return clientId ? `${endpoint} client:${clientId}` : endpoint;
+};
+
+/**
+ * Creates idempotency middleware for Express
+ *
+ * @param options Idempotency middleware options
+ * @returns Express middleware function
+ */
+export const createIdempotencyMiddleware = (options: IdempotencyMiddlewareOptions) => {
+  const { store, ttl = DEFAULT_TTL, lease = DEFAULT_LEASE } = options;
+
+  return async (req: Request, res: Response, next: NextFunction) => {
+    const key = req.get(IDEMPOTENCY_HEADER);
+    if (key === undefined) {
+      return next();
+    }
+
+    if (key.length === 0 || key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({ error: `${IDEMPOTENCY_HEADER} must be between 1 and ${MAX_KEY_LENGTH} characters` });
+    }
+
+    const scope = scopeOf(req);
+    const requestHash = hashRequestBody(req.body);
+    const lockedUntil = new Date(Date.now() + lease * 1000);
+
+    let existing: IdempotencyRecord | null;
+    try {
+      existing = await store.acquire(scope, key, requestHash, new Date(Date.now() + ttl * 1000), lockedUntil);
+    } catch (error) {
+      logger.error('Idempotency store unavailable, processing request without it', error as Error, { scope });
+      return next();
+    }
+
+    if (existing) {
+      if (existing.requestHash !== requestHash) {
+        return res.status(422).json({ error: `${IDEMPOTENCY_HEADER} was already used with a different request payload` });
+      }
+      if (existing.status !== 'COMPLETED') {
+        return res.status(409).json({ error: `A request with this ${IDEMPOTENCY_HEADER} is still being processed` });
+      }
+
+      logger.info('Replaying stored response', { scope });
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.responseStatus ?? 200).json(existing.responseBody);
+    }
+
+    let recorded = false;
+    const originalJson = res.json;
+
+    // Store the response before sending it, so a retry arriving right after the
+    // response never finds the key still in progress
+    res.json = function(this: Response, data: any): any {
+      recorded = true;
+      const operation = res.statusCode < 500
+        ? store.complete(scope, key, lockedUntil, res.statusCode, data ?? null)
+        // Server errors are not stored so the client can retry them
+        : store.release(scope, key, lockedUntil);
+
+      operation
+        .catch(error => logger.error('Failed to record idempotent response', error as Error, { scope }))
+        .finally(() => originalJson.call(this, data));
+      return this;
+    } as any;
+
+    // Free the key when the request ends without a JSON response
+    res.on('close', () => {
+      if (!recorded) {
+        store.release(scope, key, lockedUntil)
+          .catch(error => logger.error('Failed to release idempotency key', error as Error, { scope }));
+      }
+    });
+
+    next();
+  };
+};
+
+export default createIdempotencyMiddleware;
@@ -3,3 +3,5 @@
  */
 export * from './http-client';
 export * from './request-logger.middleware';
+export * from './idempotency.middleware';
+export * from './auth.middleware';
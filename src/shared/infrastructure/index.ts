@@ -5,5 +5,7 @@ export * from './database';
 export * from './logging';
 export * from './http/http-client';
 export * from './messaging/event-bus';
+export * from './messaging/redis-streams-transport';
+export * from './messaging/outbox';
 export * from './caching';
 export * from './metrics';
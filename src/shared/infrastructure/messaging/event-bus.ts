@@ -1,23 +1,70 @@
 import { EventEmitter } from 'events';
 
-class EventBus {
-  private eventEmitter: EventEmitter;
+export type EventListener = (data: any) => void | Promise<void>;
+
+/**
+ * Transport carrying events between publishers and subscribers.
+ * The in-memory transport is the default; other transports deliver events across processes.
+ */
+export interface EventTransport {
+  publish(eventName: string, data: any): Promise<void>;
+  subscribe(eventName: string, listener: EventListener): void;
+  unsubscribe(eventName: string, listener: EventListener): void;
+  close?(): Promise<void>;
+}
+
+/**
+ * In-process transport backed by an EventEmitter. Events do not survive a restart.
+ */
+export class InMemoryEventTransport implements EventTransport {
+  private readonly eventEmitter: EventEmitter;
 
   constructor() {
     this.eventEmitter = new EventEmitter();
   }
 
-  publish(eventName: string, data: any): void {
+  async publish(eventName: string, data: any): Promise<void> {
     this.eventEmitter.emit(eventName, data);
   }
 
-  subscribe(eventName: string, listener: (data: any) => void): void {
+  subscribe(eventName: string, listener: EventListener): void {
     this.eventEmitter.on(eventName, listener);
   }
 
-  unsubscribe(eventName: string, listener: (data: any) => void): void {
+  unsubscribe(eventName: string, listener: EventListener): void {
     this.eventEmitter.off(eventName, listener);
   }
 }
 
-export const eventBus = new EventBus();
\ No newline at end of file
+export class EventBus {
+  private transport: EventTransport;
+
+  constructor(transport: EventTransport = new InMemoryEventTransport()) {
+    this.transport = transport;
+  }
+
+  /**
+   * Replaces the transport. Call before subscribing, typically at service startup.
+   */
+  useTransport(transport: EventTransport): void {
+    this.transport = transport;
+  }
+
+  publish(eventName: string, data: any): Promise<void> {
+    return this.transport.publish(eventName, data);
+  }
+
+  subscribe(eventName: string, listener: EventListener): void {
+    this.transport.subscribe(eventName, listener);
+  }
+
+  unsubscribe(eventName: string, listener: EventListener): void {
+    this.transport.unsubscribe(eventName, listener);
+  }
+
+  async close(): Promise<void> {
+    await this.transport.close?.();
+  }
+}
+
+export const eventBus = new EventBus();
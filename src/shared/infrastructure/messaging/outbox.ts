@@ -0,0 +1,262 @@
+/**
+ * Transactional Outbox
+ *
+ * Durable domain event emission for the microservices:
+ * - `writeToOutbox` stores events in the Outbox table inside the caller's database
+ *   transaction, so events are persisted if and only if the state change commits
+ * - `OutboxRelay` claims pending rows, publishes them and marks them dispatched,
+ *   giving downstream consumers at-least-once delivery; rows that keep failing are
+ *   set aside as failed so they no longer hold up the rows behind them
+ */
+
+import { Prisma } from '@prisma/client';
+import { IDatabaseManager } from '../database/database-manager';
+import { DomainEvent } from '../../domain/events/domain-events';
+import { createLogger } from '../logging';
+import { eventBus } from './event-bus';
+
+const logger = createLogger('outbox');
+
+// Outbox row statuses
+export const OUTBOX_PENDING = 'PENDING';
+export const OUTBOX_DISPATCHING = 'DISPATCHING';
+export const OUTBOX_DISPATCHED = 'DISPATCHED';
+export const OUTBOX_FAILED = 'FAILED';
+
+/**
+ * Builds the domain events to store for an entity once it has been persisted
+ */
+export type OutboxEventFactory<T> = (saved: T) => DomainEvent[];
+
+/**
+ * Publishes a single domain event; rejecting leaves the row pending for a retry
+ */
+export type OutboxPublisher = (event: DomainEvent) => Promise<void> | void;
+
+/**
+ * Outbox relay options
+ */
+export interface OutboxRelayOptions {
+  pollInterval?: number;
+  batchSize?: number;
+  maxAttempts?: number; // Publish attempts before a row is marked failed
+  claimTimeout?: number; // Milliseconds after which rows claimed by a relay that stopped are claimed again
+  publisher?: OutboxPublisher;
+}
+
+/**
+ * Stores domain events in the outbox using the given transaction client.
+ *
+ * @param tx Transaction client of the surrounding state change
+ * @param events Domain events to store
+ */
+export const writeToOutbox = async (
+  tx: Prisma.TransactionClient,
+  events: DomainEvent[]
+): Promise<void> => {
+  if (events.length === 0) {
+    return;
+  }
+
+  await tx.outbox.createMany({
+    data: events.map(event => ({
+      aggregateId: event.aggregateId,
+      eventType: event.eventType,
+      payload: JSON.parse(JSON.stringify(event)),
+      occurredOn: event.occurredOn,
+      status: OUTBOX_PENDING
+    }))
+  });
+};
+
+/**
+ * Default publisher: forwards events to the shared event bus under their event type
+ */
+const publishToEventBus: OutboxPublisher = (event) => eventBus.publish(event.eventType, event);
+
+/**
+ * Outbox Relay
+ *
+ * Publishes pending outbox rows in insertion order. A row is marked dispatched only
+ * after its event was published, so a crash in between causes a redelivery rather
+ * than a lost event. Consumers must therefore tolerate duplicates.
+ *
+ * Every service shares the Outbox table, so a relay first claims its batch: the claim
+ * moves the rows to DISPATCHING in one transaction, taken by one relay at a time, and
+ * skips the aggregates another relay is still publishing. Each row is thus published by
+ * a single relay and the events of an aggregate stay in order. A claim left by a relay
+ * that stopped mid-batch expires after `claimTimeout` and the rows are claimed again.
+ *
+ * A row that fails to publish stops the batch and is retried on the next poll. Once it
+ * has failed `maxAttempts` times it is marked failed and the batch moves on, so one bad
+ * event cannot block the outbox; failed rows are kept for inspection and replay.
+ */
+export class OutboxRelay {
+  private readonly databaseManager: IDatabaseManager;
+  private readonly pollInterval: number;
+  private readonly batchSize: number;
+  private readonly maxAttempts: number;
+  private readonly claimTimeout: number;
+  private readonly publisher: OutboxPublisher;
+  private timer?: NodeJS.Timeout;
+  private dispatching: boolean = false;
+
+  /**
+   * Creates a new outbox relay
+   *
+   * @param databaseManager Database manager used to read and update outbox rows
+   * @param options Polling and publishing options
+   */
+  constructor(databaseManager: IDatabaseManager, options: OutboxRelayOptions = {}) {
+    this.databaseManager = databaseManager;
+    this.pollInterval = options.pollInterval ?? parseInt(process.env['OUTBOX_POLL_INTERVAL_MS'] ?? '1000', 10);
+    this.batchSize = options.batchSize ?? parseInt(process.env['OUTBOX_BATCH_SIZE'] ?? '100', 10);
+    this.maxAttempts = options.maxAttempts ?? parseInt(process.env['OUTBOX_MAX_ATTEMPTS'] ?? '5', 10);
+    this.claimTimeout = options.claimTimeout ?? parseInt(process.env['OUTBOX_CLAIM_TIMEOUT_MS'] ?? '60000', 10);
+    this.publisher = options.publisher ?? publishToEventBus;
+  }
+
+  /**
+   * Starts polling the outbox
+   */
+  public start(): void {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.dispatchPending().catch(error => logger.error('Outbox relay poll failed', error as Error));
+    }, this.pollInterval);
+
+    logger.info('Outbox relay started', {
+      pollInterval: this.pollInterval,
+      batchSize: this.batchSize,
+      maxAttempts: this.maxAttempts,
+      claimTimeout: this.claimTimeout
+    });
+  }
+
+  /**
+   * Stops polling the outbox
+   */
+  public stop(): void {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = undefined;
+      logger.info('Outbox relay stopped');
+    }
+  }
+
+  /**
+   * Claims and publishes one batch of pending outbox rows
+   *
+   * @returns Number of rows dispatched
+   */
+  public async dispatchPending(): Promise<number> {
+    // Skip overlapping polls so rows are published in order
+    if (this.dispatching) {
+      return 0;
+    }
+
+    this.dispatching = true;
+    try {
+      const outbox = this.databaseManager.getClient().outbox;
+      const rows = await this.claimBatch();
+
+      let dispatched = 0;
+      for (const [index, row] of rows.entries()) {
+        const event = this.toDomainEvent(row.payload);
+
+        try {
+          await this.publisher(event);
+        } catch (error) {
+          logger.error('Failed to publish outbox event', error as Error, { id: row.id, eventType: row.eventType });
+          const exhausted = row.attempts + 1 >= this.maxAttempts;
+          await outbox.update({
+            where: { id: row.id },
+            data: {
+              attempts: { increment: 1 },
+              lastError: (error as Error).message,
+              status: exhausted ? OUTBOX_FAILED : OUTBOX_PENDING,
+              claimedAt: null
+            }
+          });
+
+          if (exhausted) {
+            logger.warn('Outbox event marked failed after exhausting its attempts', {
+              id: row.id,
+              eventType: row.eventType,
+              attempts: row.attempts + 1
+            });
+            continue;
+          }
+
+          // Stop the batch to preserve ordering; the row and the rest of the batch are retried on the next poll
+          await outbox.updateMany({
+            where: { id: { in: rows.slice(index + 1).map(rest => rest.id) } },
+            data: { status: OUTBOX_PENDING, claimedAt: null }
+          });
+          break;
+        }
+
+        await outbox.update({
+          where: { id: row.id },
+          data: { status: OUTBOX_DISPATCHED, dispatchedAt: new Date(), attempts: { increment: 1 } }
+        });
+        dispatched++;
+      }
+
+      if (dispatched > 0) {
+        logger.info('Dispatched outbox events', { count: dispatched });
+      }
+      return dispatched;
+    } finally {
+      this.dispatching = false;
+    }
+  }
+
+  /**
+   * Claims the next pending rows in insertion order, leaving out the aggregates whose
+   * events another relay is still publishing
+   *
+   * @returns Claimed rows, oldest first
+   */
+  private async claimBatch() {
+    return this.databaseManager.getClient().$transaction(async tx => {
+      // Claims are taken one relay at a time, so two relays never claim the same rows
+      await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext('Outbox'))`;
+
+      const claimExpiry = new Date(Date.now() - this.claimTimeout);
+      const inFlight = await tx.outbox.findMany({
+        where: { status: OUTBOX_DISPATCHING, claimedAt: { gt: claimExpiry } },
+        select: { aggregateId: true },
+        distinct: ['aggregateId']
+      });
+
+      const rows = await tx.outbox.findMany({
+        where: {
+          OR: [
+            { status: OUTBOX_PENDING },
+            { status: OUTBOX_DISPATCHING, claimedAt: { lte: claimExpiry } }
+          ],
+          aggregateId: { notIn: inFlight.map(row => row.aggregateId) }
+        },
+        orderBy: { id: 'asc' },
+        take: this.batchSize
+      });
+
+      if (rows.length > 0) {
+        await tx.outbox.updateMany({
+          where: { id: { in: rows.map(row => row.id) } },
+          data: { status: OUTBOX_DISPATCHING, claimedAt: new Date() }
+        });
+      }
+      return rows;
+    });
+  }
+
+  private toDomainEvent(payload: Prisma.JsonValue): DomainEvent {
+    const event = payload as unknown as DomainEvent;
+    return { ...event, occurredOn: new Date(event.occurredOn) };
+  }
+}
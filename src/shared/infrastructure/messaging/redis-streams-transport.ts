@@ -0,0 +1,311 @@
+/**
+ * Redis Streams Event Transport
+ *
+ * Cross-process transport for the shared EventBus:
+ * - Each event name is published to its own stream (`<prefix><eventName>`)
+ * - Subscribers read through a durable consumer group, so every service (group)
+ *   receives each event once and catches up on events published while it was down
+ * - Messages are acknowledged only after all listeners succeed; unacknowledged
+ *   messages are reclaimed after `claimIdleMs` and redelivered
+ * - Messages delivered more than `maxDeliveries` times are moved to a dead-letter stream
+ * - Every stream is trimmed to about `maxStreamLength` messages as it is written, so a
+ *   group must not fall further behind than that
+ */
+
+import os from 'os';
+import { RedisClient } from '../caching/redis-client';
+import { createLogger } from '../logging';
+import { EventListener, EventTransport } from './event-bus';
+
+const logger = createLogger('redis-streams-transport');
+
+type RedisConnection = RedisClient['redisClient'];
+
+interface StreamMessage {
+  id: string;
+  message: Record<string, string>;
+}
+
+interface StreamReply {
+  name: string;
+  messages: StreamMessage[];
+}
+
+interface AutoClaimReply {
+  nextId: string;
+  messages: (StreamMessage | null)[];
+}
+
+interface PendingMessage {
+  id: string;
+  deliveriesCounter: number;
+}
+
+/**
+ * Redis Streams transport options
+ */
+export interface RedisStreamsTransportOptions {
+  group: string;
+  consumer?: string;
+  streamPrefix?: string;
+  blockMs?: number;
+  batchSize?: number;
+  claimIdleMs?: number;
+  maxDeliveries?: number;
+  deadLetterStream?: string;
+  maxStreamLength?: number; // Approximate number of messages kept per stream, dead-letter stream included
+}
+
+export class RedisStreamsEventTransport implements EventTransport {
+  private readonly redisClient: RedisClient;
+  private readonly group: string;
+  private readonly consumer: string;
+  private readonly streamPrefix: string;
+  private readonly blockMs: number;
+  private readonly batchSize: number;
+  private readonly claimIdleMs: number;
+  private readonly maxDeliveries: number;
+  private readonly deadLetterStream: string;
+  private readonly maxStreamLength: number;
+  private readonly listeners = new Map<string, Set<EventListener>>();
+  private readonly groups = new Map<string, Promise<void>>();
+  private reader?: RedisConnection;
+  private running: boolean = false;
+  private loop?: Promise<void>;
+
+  /**
+   * Creates a new Redis Streams transport
+   *
+   * @param redisClient Shared Redis client used for publishing and acknowledgements
+   * @param options Consumer group and delivery options
+   */
+  constructor(redisClient: RedisClient, options: RedisStreamsTransportOptions) {
+    this.redisClient = redisClient;
+    this.group = options.group;
+    this.consumer = options.consumer ?? `${os.hostname()}-${process.pid}`;
+    this.streamPrefix = options.streamPrefix ?? process.env['EVENT_STREAM_PREFIX'] ?? 'events:';
+    this.blockMs = options.blockMs ?? 5000;
+    this.batchSize = options.batchSize ?? 50;
+    this.claimIdleMs = options.claimIdleMs ?? parseInt(process.env['EVENT_CLAIM_IDLE_MS'] ?? '30000', 10);
+    this.maxDeliveries = options.maxDeliveries ?? parseInt(process.env['EVENT_MAX_DELIVERIES'] ?? '5', 10);
+    this.deadLetterStream = options.deadLetterStream ?? `${this.streamPrefix}dead-letter`;
+    this.maxStreamLength = options.maxStreamLength ?? parseInt(process.env['EVENT_STREAM_MAX_LENGTH'] ?? '100000', 10);
+  }
+
+  async publish(eventName: string, data: any): Promise<void> {
+    await this.redisClient.redisClient.xAdd(this.streamKey(eventName), '*', {
+      data: JSON.stringify(data)
+    }, this.trimOptions());
+  }
+
+  subscribe(eventName: string, listener: EventListener): void {
+    const listeners = this.listeners.get(eventName) ?? new Set<EventListener>();
+    listeners.add(listener);
+    this.listeners.set(eventName, listeners);
+
+    this.ensureGroup(eventName);
+  }
+
+  unsubscribe(eventName: string, listener: EventListener): void {
+    const listeners = this.listeners.get(eventName);
+    if (!listeners) {
+      return;
+    }
+
+    listeners.delete(listener);
+    if (listeners.size === 0) {
+      // The consumer group is kept so events published meanwhile are not lost
+      this.listeners.delete(eventName);
+    }
+  }
+
+  /**
+   * Starts consuming the subscribed streams on a dedicated connection,
+   * since blocking reads would stall the shared client
+   */
+  async start(): Promise<void> {
+    if (this.running) {
+      return;
+    }
+
+    this.reader = this.redisClient.redisClient.duplicate();
+    await this.reader.connect();
+    this.running = true;
+    this.loop = this.consume();
+
+    logger.info('Redis Streams consumer started', { group: this.group, consumer: this.consumer });
+  }
+
+  /**
+   * Stops consuming and closes the dedicated connection
+   */
+  async close(): Promise<void> {
+    if (!this.running) {
+      return;
+    }
+
+    this.running = false;
+    await this.loop;
+    this.reader?.destroy();
+    this.reader = undefined;
+
+    logger.info('Redis Streams consumer stopped', { group: this.group, consumer: this.consumer });
+  }
+
+  /**
+   * Runs one consume cycle: redelivers stale pending messages, then reads new ones
+   *
+   * @returns Number of messages acknowledged
+   */
+  async poll(): Promise<number> {
+    const eventNames = Array.from(this.listeners.keys());
+    if (eventNames.length === 0) {
+      return 0;
+    }
+
+    await Promise.all(eventNames.map(eventName => this.ensureGroup(eventName)));
+
+    let acknowledged = 0;
+    for (const eventName of eventNames) {
+      acknowledged += await this.redeliver(eventName);
+    }
+
+    const reader = this.reader ?? this.redisClient.redisClient;
+    const streams = (await reader.xReadGroup(
+      this.group,
+      this.consumer,
+      eventNames.map(eventName => ({ key: this.streamKey(eventName), id: '>' })),
+      { COUNT: this.batchSize, BLOCK: this.running ? this.blockMs : undefined }
+    )) as unknown as StreamReply[] | null;
+
+    for (const stream of streams ?? []) {
+      const eventName = stream.name.slice(this.streamPrefix.length);
+      for (const message of stream.messages) {
+        if (await this.deliver(eventName, message)) {
+          acknowledged++;
+        }
+      }
+    }
+
+    return acknowledged;
+  }
+
+  private async consume(): Promise<void> {
+    while (this.running) {
+      try {
+        const eventNames = this.listeners.size;
+        await this.poll();
+        if (eventNames === 0) {
+          await new Promise(resolve => setTimeout(resolve, this.blockMs));
+        }
+      } catch (error) {
+        logger.error('Redis Streams consume cycle failed', error as Error);
+        await new Promise(resolve => setTimeout(resolve, this.blockMs));
+      }
+    }
+  }
+
+  /**
+   * Claims messages left unacknowledged by any consumer of the group for longer
+   * than `claimIdleMs` and delivers them again, dead-lettering exhausted ones
+   */
+  private async redeliver(eventName: string): Promise<number> {
+    const streamKey = this.streamKey(eventName);
+    const claimed = (await this.redisClient.redisClient.xAutoClaim(
+      streamKey,
+      this.group,
+      this.consumer,
+      this.claimIdleMs,
+      '0-0',
+      { COUNT: this.batchSize }
+    )) as unknown as AutoClaimReply;
+
+    let acknowledged = 0;
+    for (const message of claimed.messages) {
+      // Entries deleted from the stream while pending come back as null
+      if (!message) {
+        continue;
+      }
+
+      const [pending] = (await this.redisClient.redisClient.xPendingRange(
+        streamKey, this.group, message.id, message.id, 1
+      )) as unknown as PendingMessage[];
+
+      if (pending && pending.deliveriesCounter > this.maxDeliveries) {
+        await this.deadLetter(eventName, message, pending.deliveriesCounter);
+        acknowledged++;
+      } else if (await this.deliver(eventName, message)) {
+        acknowledged++;
+      }
+    }
+
+    return acknowledged;
+  }
+
+  /**
+   * Runs the listeners for a message and acknowledges it once they all succeed.
+   * A failing listener leaves the message pending so it is redelivered later.
+   */
+  private async deliver(eventName: string, message: StreamMessage): Promise<boolean> {
+    const listeners = Array.from(this.listeners.get(eventName) ?? []);
+
+    try {
+      const data = JSON.parse(message.message['data'] ?? 'null');
+      for (const listener of listeners) {
+        await listener(data);
+      }
+    } catch (error) {
+      logger.error('Event listener failed', error as Error, { eventName, messageId: message.id });
+      return false;
+    }
+
+    await this.redisClient.redisClient.xAck(this.streamKey(eventName), this.group, message.id);
+    return true;
+  }
+
+  private async deadLetter(eventName: string, message: StreamMessage, deliveries: number): Promise<void> {
+    await this.redisClient.redisClient.xAdd(this.deadLetterStream, '*', {
+      stream: this.streamKey(eventName),
+      group: this.group,
+      messageId: message.id,
+      deliveries: `${deliveries}`,
+      data: message.message['data'] ?? ''
+    }, this.trimOptions());
+    await this.redisClient.redisClient.xAck(this.streamKey(eventName), this.group, message.id);
+
+    logger.warn('Moved event to dead-letter stream', { eventName, messageId: message.id, deliveries });
+  }
+
+  // Approximate trimming (~) lets Redis drop whole nodes of old messages, which is much cheaper than an exact length
+  private trimOptions() {
+    return { TRIM: { strategy: 'MAXLEN' as const, strategyModifier: '~' as const, threshold: this.maxStreamLength } };
+  }
+
+  private ensureGroup(eventName: string): Promise<void> {
+    let group = this.groups.get(eventName);
+    if (!group) {
+      group = this.createGroup(this.streamKey(eventName)).catch(error => {
+        // Forget the failed attempt so the next poll retries it
+        this.groups.delete(eventName);
+        logger.error('Failed to create consumer group', error as Error, { eventName, group: this.group });
+      });
+      this.groups.set(eventName, group);
+    }
+    return group;
+  }
+
+  private async createGroup(streamKey: string): Promise<void> {
+    try {
+      // Start at 0 so events published before the group existed are still consumed
+      await this.redisClient.redisClient.xGroupCreate(streamKey, this.group, '0', { MKSTREAM: true });
+    } catch (error) {
+      if (!(error as Error).message?.includes('BUSYGROUP')) {
+        throw error;
+      }
+    }
+  }
+
+  private streamKey(eventName: string): string {
+    return `${this.streamPrefix}${eventName}`;
+  }
+}
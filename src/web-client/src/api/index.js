@@ -48,7 +48,19 @@ export const API_ENDPOINTS = {
   PRODUCTS: {
     BASE: "/api/products",
     BY_ID: (id) => `/api/products/${id}`,
-    SEARCH: "/api/products/search"
+    // Full-text search with facets; criteria left undefined or empty are not sent
+    SEARCH: (criteria) => `/api/products/search?${new URLSearchParams(
+      Object.entries(criteria).filter(([, value]) => value !== undefined && value !== "" && value !== null)
+    )}`,
+    SUGGEST: (text) => `/api/products/suggest?q=${encodeURIComponent(text)}`,
+    BY_CATEGORY: (categoryId) => `/api/products?category=${categoryId}`,
+    BY_BARCODE: (code) => `/api/products/by-barcode/${encodeURIComponent(code)}`
+  },
+
+  // Product taxonomy; GET returns the category tree
+  CATEGORIES: {
+    BASE: "/api/categories",
+    BY_ID: (id) => `/api/categories/${id}`
   },
   
   // Store Service endpoints (via Kong)
@@ -68,12 +80,29 @@ export const API_ENDPOINTS = {
     RESERVE: "/api/stock/reserve",
     LOW: "/api/stock/low"
   },
+
+  TRANSFERS: {
+    BASE: "/api/transfers",
+    BY_ID: (id) => `/api/transfers/${id}`,
+    BY_STORE: (storeId) => `/api/transfers/store/${storeId}`,
+    IN_TRANSIT: (storeId) => `/api/transfers/store/${storeId}/in-transit`
+  },
+
+  COUNT_SESSIONS: {
+    BASE: "/api/count-sessions",
+    BY_ID: (id) => `/api/count-sessions/${id}`,
+    BY_STORE: (storeId) => `/api/count-sessions/store/${storeId}`,
+    COUNTS: (id) => `/api/count-sessions/${id}/counts`,
+    POST: (id) => `/api/count-sessions/${id}/post`,
+    CANCEL: (id) => `/api/count-sessions/${id}/cancel`
+  },
   
   // Transaction Service endpoints (via Kong)
   SALES: {
     BASE: "/api/sales",
     BY_ID: (id) => `/api/sales/${id}`,
     BY_USER: (userId) => `/api/sales/user/${userId}`,
+    RECEIPT: (id, format = "html") => `/api/sales/${id}/receipt?format=${format}`,
     CREATE: "/api/sales",
     BY_CUSTOMER: (customerId) => `/api/sales/user/${customerId}` // Fixed: use user endpoint
   },
@@ -83,9 +112,17 @@ export const API_ENDPOINTS = {
     BASE: "/api/refunds",
     BY_ID: (id) => `/api/refunds/${id}`,
     BY_USER: (userId) => `/api/refunds/user/${userId}`,
+    RECEIPT: (id, format = "html") => `/api/refunds/${id}/receipt?format=${format}`,
     CREATE: "/api/refunds"
   },
 
+  EXCHANGES: {
+    BASE: "/api/exchanges",
+    BY_ID: (id) => `/api/exchanges/${id}`,
+    BY_USER: (userId) => `/api/exchanges/user/${userId}`,
+    CREATE: "/api/exchanges"
+  },
+
   // Dashboard Service endpoints (via Kong)
   DASHBOARD: {
     STATS: "/api/dashboard/stats"
@@ -250,6 +287,32 @@ export async function authenticatedFetch(path, token, options = {}) {
   return apiFetch(path, options, token);
 }
 
+/**
+ * Authenticated fetch of a document that is not JSON, such as a receipt
+ * 
+ * @param {string} path - API endpoint path
+ * @param {string} token - JWT token for authentication
+ * @returns {Promise<Blob>} - Promise resolving to the document
+ */
+export async function fetchDocument(path, token) {
+  const config = buildRequestConfig(path, {}, token);
+  const fullUrl = `${API_BASE}${path}`;
+
+  try {
+    const res = await fetch(fullUrl, {
+      ...config,
+      ...(import.meta.env.DEV ? {} : { mode: 'cors', credentials: 'include' })
+    });
+    if (!res.ok) {
+      throw new Error(`API Error ${res.status}: ${await res.text()}`);
+    }
+    return await res.blob();
+  } catch (error) {
+    console.error('Fetch Error:', { url: fullUrl, error: error.message });
+    handleKongError(error, path, config);
+  }
+}
+
 /**
  * Legacy fetch function for backward compatibility
  * Redirects to apiFetch with API Gateway configuration
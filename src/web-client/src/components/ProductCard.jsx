@@ -5,6 +5,10 @@
  * It adapts its functionality based on the user's role:
  * - For clients: Shows add to cart button and store-specific stock
  * - For managers: Shows edit, delete buttons and total stock across all stores
+ * 
+ * Products with variants show one choice per option (size, color...): the price and
+ * the stock shown are those of the chosen variant, which is what goes in the cart.
+ * Search results carry highlights: the words matching the search are marked.
  */
 
 import React from "react";
@@ -20,27 +24,55 @@ import {
   IconButton,
   Tooltip,
   Fade,
+  TextField,
+  MenuItem,
 } from "@mui/material";
 import EditIcon from "@mui/icons-material/Edit";
 import DeleteIcon from "@mui/icons-material/Delete";
 import AddShoppingCartIcon from "@mui/icons-material/AddShoppingCart";
 import StorefrontIcon from "@mui/icons-material/Storefront";
 
+// Text of a search highlight, its <mark></mark> parts rendered as marked text (never as HTML)
+const Highlighted = ({ text }) => (
+  <>
+    {text.split(/<mark>(.*?)<\/mark>/).map((part, index) =>
+      index % 2 === 1 ? <mark key={index}>{part}</mark> : part
+    )}
+  </>
+);
+
 const ProductCard = ({ product, onEdit, onDelete }) => {
   // State for hover effects
   const [hover, setHover] = React.useState(false);
   const { addToCart } = useCart();
   const { user } = useUser();
-  
+  // Option values chosen by the client, by option name
+  const [chosen, setChosen] = React.useState({});
+
+  const hasVariants = product.variants?.length > 0;
+  const options = product.options || [];
+  // The variant matching every chosen value, once a value is chosen for each option
+  const variant = hasVariants && options.every(option => chosen[option.name])
+    ? product.variants.find(v => options.every(option => v.options[option.name] === chosen[option.name]))
+    : undefined;
+  const price = variant?.price ?? product.price;
+
+  // Stock of a product with variants is kept per variant; its product-level rows stay at zero
+  const stocks = (product.stocks || []).filter(s =>
+    hasVariants ? (variant ? s.variantId === variant.id : !!s.variantId) : !s.variantId
+  );
+
   // Calculate total stock across all stores (for manager)
-  const totalStock = product.stocks
-    ? product.stocks.reduce((sum, s) => sum + s.quantity, 0)
-    : 0;
+  const totalStock = stocks.reduce((sum, s) => sum + s.quantity, 0);
     
-  // Get stock for the current store (for client)
-  const currentStoreStock = product.stocks && user?.storeId
-    ? product.stocks.find(s => s.storeId === user.storeId)?.quantity || 0
+  // Get stock for the current store (for client), of the chosen variant or all variants together
+  const currentStoreStock = user?.storeId
+    ? stocks.filter(s => s.storeId === user.storeId).reduce((sum, s) => sum + s.quantity, 0)
     : 0;
+  const canAdd = currentStoreStock > 0 && (!hasVariants || !!variant);
+  const addLabel = hasVariants && !variant
+    ? (options.every(option => chosen[option.name]) ? "Unavailable" : "Choose Options")
+    : currentStoreStock === 0 ? "Out of Stock" : "Add to Cart";
     
   // Determine which stock value to display based on user role
   const displayStock = user?.role === "admin" ? totalStock : currentStoreStock;
@@ -74,9 +106,9 @@ const ProductCard = ({ product, onEdit, onDelete }) => {
         {/* Product name and price header */}
         <Box sx={{ display: "flex", justifyContent: "space-between" }}>
           <Typography variant="h6" sx={{ fontWeight: 700 }}>
-            {product.name}
+            {product.highlights?.name ? <Highlighted text={product.highlights.name} /> : product.name}
           </Typography>
-          <Typography variant="h6">${product.price.toFixed(2)}</Typography>
+          <Typography variant="h6">${price.toFixed(2)}</Typography>
         </Box>
         
         {/* Stock availability information */}
@@ -94,6 +126,27 @@ const ProductCard = ({ product, onEdit, onDelete }) => {
           {stockLabel}&nbsp;: <b>{displayStock}</b>
         </Typography>
         
+        {/* Option choices of a product with variants (client only) */}
+        {isClient && hasVariants && (
+          <Box sx={{ display: "flex", flexWrap: "wrap", gap: 1, mt: 1 }}>
+            {options.map(option => (
+              <TextField
+                key={option.name}
+                select
+                size="small"
+                label={option.name}
+                value={chosen[option.name] || ""}
+                onChange={(e) => setChosen(prev => ({ ...prev, [option.name]: e.target.value }))}
+                sx={{ minWidth: 100, flex: 1 }}
+              >
+                {option.values.map(value => (
+                  <MenuItem key={value} value={value}>{value}</MenuItem>
+                ))}
+              </TextField>
+            ))}
+          </Box>
+        )}
+        
         {/* Product description (short version) */}
         {product.description && (
           <Typography
@@ -108,7 +161,9 @@ const ProductCard = ({ product, onEdit, onDelete }) => {
               WebkitBoxOrient: "vertical"
             }}
           >
-            {product.description}
+            {product.highlights?.description
+              ? <Highlighted text={product.highlights.description} />
+              : product.description}
           </Typography>
         )}
       </CardContent>
@@ -157,10 +212,10 @@ const ProductCard = ({ product, onEdit, onDelete }) => {
             <Button
               variant="contained"
               startIcon={<AddShoppingCartIcon />}
-              onClick={() => addToCart(product)}
-              disabled={currentStoreStock === 0}
+              onClick={() => addToCart(variant ? { ...product, variant, price } : product)}
+              disabled={!canAdd}
               sx={{
-                backgroundColor: currentStoreStock === 0 ? "#bdbdbd" : "#208aff",
+                backgroundColor: !canAdd ? "#bdbdbd" : "#208aff",
                 color: "#fff",
                 borderRadius: 2,
                 fontWeight: 700,
@@ -171,7 +226,7 @@ const ProductCard = ({ product, onEdit, onDelete }) => {
               }}
               fullWidth
             >
-              {currentStoreStock === 0 ? "Out of Stock" : "Add to Cart"}
+              {addLabel}
             </Button>
           </Box>
         )}
@@ -34,8 +34,9 @@ const ProductList = ({
   
   if (user?.role === "client" && hideUnavailable && user?.storeId) {
     displayProducts = products.filter(product => {
-      const storeStock = product.stocks?.find(s => s.storeId === user.storeId);
-      return storeStock && storeStock.quantity > 0;
+      // A product with variants is available when any of its variants is in stock
+      const storeStock = (product.stocks || []).filter(s => s.storeId === user.storeId);
+      return storeStock.some(s => s.quantity > 0);
     });
   }
   
@@ -4,6 +4,10 @@ const CartContext = createContext();
 
 const CART_STORAGE_KEY = "shopping_cart";
 
+// Each variant of a product is its own cart line, so items are keyed by product and variant
+export const cartItemKey = (product) =>
+  product.variant ? `${product.id}-${product.variant.id}` : `${product.id}`;
+
 export function CartProvider({ children }) {
   const [cart, setCart] = useState([]);
 
@@ -30,10 +34,11 @@ export function CartProvider({ children }) {
 
   const addToCart = (product) => {
     setCart((prevCart) => {
-      const existingItem = prevCart.find((item) => item.product.id === product.id);
+      const key = cartItemKey(product);
+      const existingItem = prevCart.find((item) => cartItemKey(item.product) === key);
       if (existingItem) {
         return prevCart.map((item) =>
-          item.product.id === product.id
+          cartItemKey(item.product) === key
             ? { ...item, quantity: item.quantity + 1 }
             : item
         );
@@ -43,11 +48,11 @@ export function CartProvider({ children }) {
     });
   };
 
-  const removeFromCart = (productId) => {
+  const removeFromCart = (itemKey) => {
     setCart((prevCart) =>
       prevCart
         .map((item) =>
-          item.product.id === productId
+          cartItemKey(item.product) === itemKey
             ? { ...item, quantity: item.quantity - 1 }
             : item
         )
@@ -2,27 +2,67 @@
  * Cart Page
  * 
  * This component displays the shopping cart and handles the checkout process.
+ * Products can be added by scanning their barcode: keyboard-wedge scanners type
+ * the code into the scan field and press Enter.
  * It's only accessible to users with the client role.
  * 
  */
 
-import React, { useState } from "react";
-import { useCart } from "../context/CartContext";
+import React, { useRef, useState } from "react";
+import { useCart, cartItemKey } from "../context/CartContext";
 import { useUser } from "../context/UserContext";
 import { apiFetch, API_ENDPOINTS } from "../api";
 import Modal from "../components/Modal";
 
 const CartPage = () => {
-  const { cart: rawCart, removeFromCart, clearCart } = useCart();
+  const { cart: rawCart, addToCart, removeFromCart, clearCart } = useCart();
   const cart = Array.isArray(rawCart) ? rawCart : [];
   const { user } = useUser();
   const [loading, setLoading] = useState(false);
   const [errorMsg, setErrorMsg] = useState("");
   const [showReceipt, setShowReceipt] = useState(false);
   const [receiptData, setReceiptData] = useState(null);
+  const [scanCode, setScanCode] = useState("");
+  const [scanMsg, setScanMsg] = useState(null);
+  const [scanning, setScanning] = useState(false);
+  const scanInputRef = useRef(null);
   
-  // Calculate total price of all items in cart
-  const total = cart.reduce((sum, item) => sum + item.product.price * item.quantity, 0);
+  // Calculate price of all items in cart before tax, in cents so no floating point error adds up;
+  // the store taxes are applied at checkout
+  const total = cart.reduce((sum, item) => sum + Math.round(item.product.price * 100) * item.quantity, 0) / 100;
+
+  /**
+   * Handle a scanned or typed barcode
+   * 
+   * Looks the product up by its barcode and adds one unit to the cart, then clears
+   * the field and keeps the focus on it so the next item can be scanned right away.
+   */
+  const handleScan = async (e) => {
+    e.preventDefault();
+    const code = scanCode.trim();
+    if (!code || scanning) return;
+    setScanning(true);
+    try {
+      const product = await apiFetch(API_ENDPOINTS.PRODUCTS.BY_BARCODE(code));
+      if (product.variants?.length > 0) {
+        // The barcode names the product, not one of its variants: the options are chosen on its card
+        setScanMsg({ ok: false, text: `${product.name} comes in several options, add it from the Products page` });
+        return;
+      }
+      addToCart(product);
+      setScanMsg({ ok: true, text: `Added ${product.name}` });
+    } catch (err) {
+      const status = (err.message || "").match(/API Error (\d+)/)?.[1];
+      const text = status === "404" ? `No product with barcode ${code}`
+        : status === "400" ? `Invalid barcode ${code}`
+        : "Could not look up the barcode, try again.";
+      setScanMsg({ ok: false, text });
+    } finally {
+      setScanCode("");
+      setScanning(false);
+      scanInputRef.current?.focus();
+    }
+  };
 
   /**
    * Handle checkout process
@@ -42,6 +82,7 @@ const CartPage = () => {
           storeId: user.storeId,
           lines: cart.map(item => ({
             productId: item.product.id,
+            ...(item.product.variant && { variantId: item.product.variant.id }),
             quantity: item.quantity,
             unitPrice: item.product.price
           }))
@@ -51,11 +92,13 @@ const CartPage = () => {
       setLoading(false);
 
       // Handle API response - if we get here without an error, the sale was successful
-      // Save receipt data and show the receipt modal
+      // Save receipt data and show the receipt modal; amounts come from the sale so taxes match the backend
       setReceiptData({
         date: new Date().toLocaleString(),
         items: [...cart],
-        total: total,
+        subtotal: data.subtotal ?? total,
+        taxes: data.taxes ?? [],
+        total: data.total ?? total,
         saleId: data.id || data.sale?.id || data.data?.id || 'N/A',
         storeName: user.storeName,
         userName: user.name
@@ -148,6 +191,35 @@ const CartPage = () => {
             color: "#223"
           }}
         >Your Cart</h2>
+
+        {/* Barcode scan field */}
+        <form onSubmit={handleScan} style={{ marginBottom: 24 }}>
+          <input
+            ref={scanInputRef}
+            type="text"
+            inputMode="numeric"
+            autoFocus
+            autoComplete="off"
+            placeholder="Scan or type a barcode, then press Enter"
+            value={scanCode}
+            onChange={e => setScanCode(e.target.value)}
+            disabled={loading}
+            style={{
+              width: "100%",
+              boxSizing: "border-box",
+              padding: "12px 14px",
+              fontSize: 17,
+              border: "1.5px solid #c8c8e8",
+              borderRadius: 10,
+              fontFamily: "monospace"
+            }}
+          />
+          {scanMsg && (
+            <div style={{ marginTop: 8, fontSize: 14, fontWeight: 600, color: scanMsg.ok ? "#2e7d32" : "#f44336" }}>
+              {scanMsg.text}
+            </div>
+          )}
+        </form>
         
         {/* Empty cart message */}
         {cart.length === 0 ? (
@@ -158,7 +230,7 @@ const CartPage = () => {
             <ul style={{ listStyle: "none", padding: 0, margin: 0 }}>
               {cart.map((item) => (
                 <li
-                  key={item.product.id}
+                  key={cartItemKey(item.product)}
                   style={{
                     marginBottom: 16,
                     display: "flex",
@@ -174,6 +246,9 @@ const CartPage = () => {
                   {/* Item details */}
                   <span>
                     <span style={{ fontWeight: 700 }}>{item.product.name}</span>
+                    {item.product.variant && (
+                      <span style={{ color: "#555", fontWeight: 400 }}> ({item.product.variant.label})</span>
+                    )}
                     &nbsp;x {item.quantity}
                     <span style={{ color: "#6070FF", fontWeight: 400 }}>
                       &nbsp;-&nbsp;${item.product.price.toFixed(2)}
@@ -213,7 +288,7 @@ const CartPage = () => {
                       e.currentTarget.style.color = "#2a3557";
                       e.currentTarget.style.border = "1.5px solid #c8c8e8";
                     }}
-                    onClick={() => removeFromCart(item.product.id)}
+                    onClick={() => removeFromCart(cartItemKey(item.product))}
                     disabled={loading}
                   >
                     Remove
@@ -233,7 +308,8 @@ const CartPage = () => {
                 color: "#29306b"
               }}
             >
-              Total: <span style={{ color: "#376dff" }}>${total.toFixed(2)}</span>
+              Subtotal: <span style={{ color: "#376dff" }}>${total.toFixed(2)}</span>
+              <div style={{ fontSize: 13, fontWeight: 400, color: "#888" }}>Taxes are added at checkout</div>
             </div>
             
             {/* Error message display */}
@@ -285,16 +361,36 @@ const CartPage = () => {
               <h3 style={{ borderBottom: "1px solid #ddd", paddingBottom: 5 }}>Items:</h3>
               <ul style={{ listStyle: "none", padding: 0 }}>
                 {receiptData.items.map((item) => (
-                  <li key={item.product.id} style={{ marginBottom: 10 }}>
+                  <li key={cartItemKey(item.product)} style={{ marginBottom: 10 }}>
                     <div style={{ display: "flex", justifyContent: "space-between" }}>
                       <span>
-                        <strong>{item.product.name}</strong> x {item.quantity}
+                        <strong>{item.product.name}</strong>
+                        {item.product.variant && ` (${item.product.variant.label})`} x {item.quantity}
                       </span>
                       <span>${(item.product.price * item.quantity).toFixed(2)}</span>
                     </div>
                   </li>
                 ))}
               </ul>
+              <div style={{
+                borderTop: "1px solid #ddd",
+                marginTop: 10,
+                paddingTop: 10,
+                display: "flex",
+                justifyContent: "space-between"
+              }}>
+                <span>Subtotal:</span>
+                <span>${receiptData.subtotal.toFixed(2)}</span>
+              </div>
+              {receiptData.taxes.map((tax) => (
+                <div
+                  key={`${tax.code}-${tax.rate}`}
+                  style={{ marginTop: 4, display: "flex", justifyContent: "space-between" }}
+                >
+                  <span>{tax.name} ({tax.rate}%):</span>
+                  <span>${tax.amount.toFixed(2)}</span>
+                </div>
+              ))}
               <div style={{ 
                 borderTop: "1px solid #ddd", 
                 marginTop: 10, 
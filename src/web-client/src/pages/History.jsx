@@ -1,20 +1,23 @@
 /**
  * History Page
  * 
- * This component displays the purchase and refund history for a client user.
+ * This component displays the purchase, refund and exchange history for a client user.
  * It shows all past purchases with details like date, store, products, and total.
+ * An exchange is shown once, in the exchanges tab, rather than as its refund and its new sale.
  * 
  * Kong API Gateway Integration:
  * - Purchases: GET /sales/customer/{customerId} -> transaction-service
  * - Refunds: GET /refunds -> transaction-service  
  * - Create Refund: POST /refunds -> transaction-service
+ * - Exchanges: GET /exchanges/user/{userId} -> transaction-service
+ * - Receipts: GET /sales/{id}/receipt, GET /refunds/{id}/receipt -> transaction-service (HTML, text or PDF)
  * - All endpoints require API key (apikey header) for Kong Gateway
  * - Authentication via Bearer token in Authorization header
  */
 
-import React, { useEffect, useState, useCallback } from "react";
+import React, { useEffect, useState, useCallback, useRef } from "react";
 import { useUser } from "../context/UserContext";
-import { authenticatedFetch, API_ENDPOINTS } from "../api";
+import { authenticatedFetch, fetchDocument, API_ENDPOINTS } from "../api";
 import {
   Box,
   Paper,
@@ -49,15 +52,19 @@ import KeyboardArrowDownIcon from "@mui/icons-material/KeyboardArrowDown";
 import RefundIcon from '@mui/icons-material/AssignmentReturn';
 import UndoIcon from '@mui/icons-material/Replay';
 import SellIcon from '@mui/icons-material/Sell';
+import SwapHorizIcon from '@mui/icons-material/SwapHoriz';
+import PrintIcon from '@mui/icons-material/Print';
+import DownloadIcon from '@mui/icons-material/Download';
 
 const History = () => {
   const { user } = useUser();
   const [purchases, setPurchases] = useState([]);
   const [refunds, setRefunds] = useState([]);
+  const [exchanges, setExchanges] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState("");
   const [sortOrder, setSortOrder] = useState("desc"); // default to most recent first
-  const [currentTab, setCurrentTab] = useState(0); // 0 = purchases, 1 = refunds
+  const [currentTab, setCurrentTab] = useState(0); // 0 = purchases, 1 = refunds, 2 = exchanges
   
   // Refund state
   const [refundDialogOpen, setRefundDialogOpen] = useState(false);
@@ -66,6 +73,11 @@ const History = () => {
   const [refundReason, setRefundReason] = useState("");
   const [snackbarMessage, setSnackbarMessage] = useState("");
 
+  // Receipt state
+  const [receipt, setReceipt] = useState(null); // { type: 'sale' | 'refund', id, html }
+  const [receiptLoading, setReceiptLoading] = useState(false);
+  const receiptFrameRef = useRef(null);
+
   // Format date for display
   const formatDate = (dateString) => {
     const options = { 
@@ -90,23 +102,29 @@ const History = () => {
     setCurrentTab(newValue);
   };
 
+  // The refund and the new sale of an exchange are listed with the exchange only
+  const exchangeSaleIds = new Set(exchanges.map(exchange => exchange.saleId));
+  const exchangeRefundIds = new Set(exchanges.map(exchange => exchange.refundId));
+
+  const byDate = (a, b) => {
+    const dateA = new Date(a.date);
+    const dateB = new Date(b.date);
+    return sortOrder === "desc" ? dateB - dateA : dateA - dateB;
+  };
+
   // Sort items by date - excluding refunded sales
   const sortedPurchases = [...purchases]
     .filter(purchase => {
       const status = (purchase.status || '').toLowerCase();
-      return status !== 'refunded' && status !== 'fully_refunded';
+      return status !== 'refunded' && status !== 'fully_refunded' && !exchangeSaleIds.has(purchase.id);
     })
-    .sort((a, b) => {
-      const dateA = new Date(a.date);
-      const dateB = new Date(b.date);
-      return sortOrder === "desc" ? dateB - dateA : dateA - dateB;
-    });
+    .sort(byDate);
   
-  const sortedRefunds = [...refunds].sort((a, b) => {
-    const dateA = new Date(a.date);
-    const dateB = new Date(b.date);
-    return sortOrder === "desc" ? dateB - dateA : dateA - dateB;
-  });
+  const sortedRefunds = [...refunds]
+    .filter(refund => !exchangeRefundIds.has(refund.id))
+    .sort(byDate);
+
+  const sortedExchanges = [...exchanges].sort(byDate);
 
   // Open refund confirmation dialog
   const handleRefundRequest = (purchase) => {
@@ -195,6 +213,44 @@ const History = () => {
     }
   };
   
+  const receiptPath = (type, id, format) =>
+    type === 'sale' ? API_ENDPOINTS.SALES.RECEIPT(id, format) : API_ENDPOINTS.REFUNDS.RECEIPT(id, format);
+
+  // Open the HTML receipt of a sale or refund
+  const handleViewReceipt = async (type, id) => {
+    setReceiptLoading(true);
+    try {
+      const receiptDocument = await fetchDocument(receiptPath(type, id, 'html'), user.token);
+      setReceipt({ type, id, html: await receiptDocument.text() });
+    } catch (err) {
+      console.error("Receipt error via Kong Gateway:", err);
+      setSnackbarMessage(`Could not load the receipt: ${err.message}`);
+    } finally {
+      setReceiptLoading(false);
+    }
+  };
+
+  // Save the open receipt as a PDF or a plain text file
+  const handleDownloadReceipt = async (format) => {
+    if (!receipt) return;
+    try {
+      const receiptDocument = await fetchDocument(receiptPath(receipt.type, receipt.id, format), user.token);
+      const url = URL.createObjectURL(receiptDocument);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `receipt-${receipt.type}-${receipt.id}.${format === 'text' ? 'txt' : format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error("Receipt download error via Kong Gateway:", err);
+      setSnackbarMessage(`Could not download the receipt: ${err.message}`);
+    }
+  };
+
+  const handlePrintReceipt = () => {
+    receiptFrameRef.current?.contentWindow?.print();
+  };
+
   // Close snackbar
   const handleCloseSnackbar = () => {
     setSnackbarMessage("");
@@ -250,18 +306,36 @@ const History = () => {
     }
   };
 
+  const fetchExchanges = async (user, cacheBuster) => {
+    try {
+      const response = await authenticatedFetch(
+        API_ENDPOINTS.EXCHANGES.BY_USER(user.id) + cacheBuster,
+        user.token
+      );
+      if (Array.isArray(response)) {
+        return response;
+      }
+      return response?.data && Array.isArray(response.data) ? response.data : [];
+    } catch (exchangeErr) {
+      console.warn("Unable to load exchanges:", exchangeErr.message);
+      return [];
+    }
+  };
+
   const fetchHistory = useCallback(async () => {
     if (!user?.id) return;
     setLoading(true);
     setError("");
     try {
       const cacheBuster = `?_t=${Date.now()}`;
-      const [purchasesArray, refundsArray] = await Promise.all([
+      const [purchasesArray, refundsArray, exchangesArray] = await Promise.all([
         fetchPurchases(user, cacheBuster),
-        fetchRefunds(user, cacheBuster)
+        fetchRefunds(user, cacheBuster),
+        fetchExchanges(user, cacheBuster)
       ]);
       setPurchases(purchasesArray);
       setRefunds(refundsArray);
+      setExchanges(exchangesArray);
     } catch (err) {
       if (err.message.includes('401')) {
         setError("Authentication failed. Please log in again.");
@@ -295,7 +369,7 @@ const History = () => {
             </Typography>
             
             {/* Sort controls */}
-            {(purchases.length > 0 || refunds.length > 0) && !loading && (
+            {(purchases.length > 0 || refunds.length > 0 || exchanges.length > 0) && !loading && (
               <Box sx={{ display: 'flex', alignItems: 'center' }}>
                 <Typography variant="body2" sx={{ mr: 1 }}>
                   Sort by date:
@@ -341,6 +415,11 @@ const History = () => {
                 iconPosition="start" 
                 label={`Refunds (${sortedRefunds.length})`} 
               />
+              <Tab 
+                icon={<SwapHorizIcon />} 
+                iconPosition="start" 
+                label={`Exchanges (${sortedExchanges.length})`} 
+              />
             </Tabs>
           </Box>
         </Paper>
@@ -395,7 +474,7 @@ const History = () => {
                       Order #{purchase.id}
                     </Typography>
                     <Chip 
-                      label={`Total: $${purchase.total.toFixed(2)}`}
+                      label={`Total: $${purchase.total.toFixed(2)}${purchase.taxTotal ? ` (incl. $${purchase.taxTotal.toFixed(2)} tax)` : ''}`}
                       color="primary"
                       icon={<ReceiptIcon />}
                     />
@@ -455,8 +534,17 @@ const History = () => {
                       )) || []}
                     </List>
                     
-                    {/* Refund Button */}
-                    <Box sx={{ mt: 2, display: 'flex', justifyContent: 'flex-end' }}>
+                    {/* Receipt and Refund Buttons */}
+                    <Box sx={{ mt: 2, display: 'flex', justifyContent: 'flex-end', gap: 1 }}>
+                      <Button
+                        variant="outlined"
+                        startIcon={<ReceiptIcon />}
+                        onClick={() => handleViewReceipt('sale', purchase.id)}
+                        disabled={receiptLoading}
+                        size="small"
+                      >
+                        View receipt
+                      </Button>
                       {(() => {
                         const status = (purchase.status || '').toLowerCase();
                         
@@ -544,11 +632,13 @@ const History = () => {
                         Refund #{refund.id}
                       </Typography>
                       <Typography variant="caption" color="text.secondary">
-                        For order #{refund.sale?.id || refund.saleId}
+                        {refund.type === 'BLIND'
+                          ? 'Return without receipt'
+                          : `For order #${refund.sale?.id || refund.saleId}`}
                       </Typography>
                     </Box>
                     <Chip 
-                      label={`Amount: $${refund.total.toFixed(2)}`}
+                      label={`Amount: $${refund.total.toFixed(2)}${refund.taxTotal ? ` (incl. $${refund.taxTotal.toFixed(2)} tax)` : ''}`}
                       color="success"
                       icon={<RefundIcon />}
                     />
@@ -633,6 +723,19 @@ const History = () => {
                         </ListItem>
                       )}
                     </List>
+
+                    <Box sx={{ mt: 2, display: 'flex', justifyContent: 'flex-end' }}>
+                      <Button
+                        variant="outlined"
+                        color="success"
+                        startIcon={<ReceiptIcon />}
+                        onClick={() => handleViewReceipt('refund', refund.id)}
+                        disabled={receiptLoading}
+                        size="small"
+                      >
+                        View receipt
+                      </Button>
+                    </Box>
                   </Box>
                 </Paper>
               ))}
@@ -640,6 +743,128 @@ const History = () => {
           </>
         )}
         
+        {/* Exchanges tab */}
+        {currentTab === 2 && (
+          <>
+            {!loading && !error && sortedExchanges.length === 0 && (
+              <Alert severity="info" sx={{ mb: 3 }}>
+                You haven't made any exchanges yet.
+              </Alert>
+            )}
+
+            <Stack spacing={2}>
+              {sortedExchanges.map((exchange) => (
+                <Paper
+                  elevation={2}
+                  key={exchange.id}
+                  sx={{
+                    overflow: 'hidden',
+                    borderRadius: 2,
+                    border: '1px solid rgba(33, 150, 243, 0.3)',
+                  }}
+                >
+                  <Box sx={{
+                    p: 2,
+                    bgcolor: 'rgba(33, 150, 243, 0.1)',
+                    borderBottom: '1px solid rgba(33, 150, 243, 0.2)',
+                    display: 'flex',
+                    justifyContent: 'space-between',
+                    alignItems: 'center',
+                    flexWrap: 'wrap'
+                  }}>
+                    <Box>
+                      <Typography variant="h6" sx={{ fontWeight: 500 }}>
+                        Exchange #{exchange.id}
+                      </Typography>
+                      <Typography variant="caption" color="text.secondary">
+                        For order #{exchange.originalSaleId}
+                      </Typography>
+                    </Box>
+                    <Chip
+                      label={exchange.priceDifference === 0
+                        ? 'Even exchange'
+                        : exchange.priceDifference > 0
+                          ? `You paid: $${exchange.priceDifference.toFixed(2)}`
+                          : `You received: $${(-exchange.priceDifference).toFixed(2)}`}
+                      color="primary"
+                      icon={<SwapHorizIcon />}
+                    />
+                  </Box>
+
+                  <Box sx={{ px: 2, py: 1, display: "flex", gap: 3, bgcolor: 'rgba(33, 150, 243, 0.05)', flexWrap: 'wrap' }}>
+                    <Box sx={{ display: "flex", alignItems: "center" }}>
+                      <CalendarTodayIcon sx={{ mr: 1, fontSize: 18, color: 'text.secondary' }} />
+                      <Typography variant="body2" color="text.secondary">
+                        {formatDate(exchange.date)}
+                      </Typography>
+                    </Box>
+                    {exchange.reason && (
+                      <Typography variant="body2" color="text.secondary">
+                        <strong>Reason:</strong> {exchange.reason}
+                      </Typography>
+                    )}
+                  </Box>
+
+                  <Divider />
+
+                  <Box sx={{ p: 2 }}>
+                    {[
+                      { title: 'Returned items', lines: exchange.returnedLines, total: exchange.refundTotal },
+                      { title: 'New items', lines: exchange.newLines, total: exchange.saleTotal }
+                    ].map(side => (
+                      <Box key={side.title} sx={{ mb: 1 }}>
+                        <Typography variant="subtitle2">
+                          {side.title} (${side.total.toFixed(2)}):
+                        </Typography>
+                        <List disablePadding>
+                          {side.lines.map((line, idx) => (
+                            <ListItem key={line.productId + '-' + idx} disablePadding sx={{ py: 0.5 }}>
+                              <ListItemText
+                                primary={
+                                  <Box sx={{ display: 'flex', justifyContent: 'space-between' }}>
+                                    <Typography variant="body2">
+                                      Product #{line.productId}
+                                    </Typography>
+                                    <Typography variant="body2" color="text.secondary">
+                                      ${line.lineTotal.toFixed(2)}
+                                    </Typography>
+                                  </Box>
+                                }
+                                secondary={`${line.quantity} x $${line.unitPrice.toFixed(2)}`}
+                              />
+                            </ListItem>
+                          ))}
+                        </List>
+                      </Box>
+                    ))}
+
+                    <Box sx={{ mt: 2, display: 'flex', justifyContent: 'flex-end', gap: 1 }}>
+                      <Button
+                        variant="outlined"
+                        startIcon={<ReceiptIcon />}
+                        onClick={() => handleViewReceipt('refund', exchange.refundId)}
+                        disabled={receiptLoading}
+                        size="small"
+                      >
+                        Return receipt
+                      </Button>
+                      <Button
+                        variant="outlined"
+                        startIcon={<ReceiptIcon />}
+                        onClick={() => handleViewReceipt('sale', exchange.saleId)}
+                        disabled={receiptLoading}
+                        size="small"
+                      >
+                        Purchase receipt
+                      </Button>
+                    </Box>
+                  </Box>
+                </Paper>
+              ))}
+            </Stack>
+          </>
+        )}
+
         {/* Refund Confirmation Dialog */}
         <Dialog
           open={refundDialogOpen}
@@ -690,6 +915,42 @@ const History = () => {
           </DialogActions>
         </Dialog>
         
+        {/* Receipt Dialog */}
+        <Dialog
+          open={!!receipt}
+          onClose={() => setReceipt(null)}
+          maxWidth="sm"
+          fullWidth
+        >
+          <DialogTitle>
+            {receipt?.type === 'sale' ? `Receipt for order #${receipt?.id}` : `Receipt for refund #${receipt?.id}`}
+          </DialogTitle>
+          <DialogContent dividers sx={{ p: 0 }}>
+            {receipt && (
+              <iframe
+                ref={receiptFrameRef}
+                title="Receipt"
+                srcDoc={receipt.html}
+                style={{ width: '100%', height: '60vh', border: 'none' }}
+              />
+            )}
+          </DialogContent>
+          <DialogActions>
+            <Button startIcon={<DownloadIcon />} onClick={() => handleDownloadReceipt('pdf')}>
+              PDF
+            </Button>
+            <Button startIcon={<DownloadIcon />} onClick={() => handleDownloadReceipt('text')}>
+              Text
+            </Button>
+            <Button startIcon={<PrintIcon />} onClick={handlePrintReceipt}>
+              Print
+            </Button>
+            <Button onClick={() => setReceipt(null)} variant="contained">
+              Close
+            </Button>
+          </DialogActions>
+        </Dialog>
+
         {/* Success/Error Snackbar */}
         <Snackbar
           open={!!snackbarMessage}
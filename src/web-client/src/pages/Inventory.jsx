@@ -6,6 +6,7 @@
  * - GET /products -> catalog-service (requires authentication)
  * - GET /stock/product/{id} -> catalog-service (requires authentication)
  * - PUT /stock/update -> catalog-service (requires authentication)
+ * - /count-sessions -> catalog-service cycle counts (requires authentication; managers open, post and cancel)
  */
 
 import React, { useState, useEffect } from 'react';
@@ -30,9 +31,13 @@ import {
   Dialog,
   DialogTitle,
   DialogContent,
-  DialogActions
+  DialogActions,
+  MenuItem,
+  Checkbox
 } from '@mui/material';
-import { Inventory as InventoryIcon, Edit as EditIcon } from '@mui/icons-material';
+import { Inventory as InventoryIcon, Edit as EditIcon, FactCheck as CountIcon } from '@mui/icons-material';
+
+const COUNT_STATUS_COLORS = { OPEN: 'info', POSTED: 'success', CANCELLED: 'default' };
 
 function Inventory() {
   const { user } = useUser();
@@ -41,6 +46,14 @@ function Inventory() {
   const [error, setError] = useState('');
   const [editDialog, setEditDialog] = useState({ open: false, item: null });
   const [newQuantity, setNewQuantity] = useState('');
+  const [countStoreId, setCountStoreId] = useState('');
+  const [countProductIds, setCountProductIds] = useState([]);
+  const [countSessions, setCountSessions] = useState([]);
+  const [countDialog, setCountDialog] = useState({ open: false, session: null });
+  const [myCounts, setMyCounts] = useState({});
+  const [approved, setApproved] = useState({});
+  const [countError, setCountError] = useState('');
+  const canManageCounts = ['manager', 'admin'].includes(user?.role);
 
   useEffect(() => {
     if (user?.token) {
@@ -48,6 +61,12 @@ function Inventory() {
     }
   }, [user]);
 
+  useEffect(() => {
+    if (user?.token && countStoreId) {
+      fetchCountSessions(countStoreId);
+    }
+  }, [user, countStoreId]);
+
   const fetchInventory = async () => {
     if (!user?.token) {
       setError('Authentication required to view inventory data.');
@@ -126,6 +145,76 @@ function Inventory() {
     }
   };
 
+  // Stores and products come from the inventory rows, so only stocked products can be counted
+  const countStores = [...new Map(inventory.map((item) => [item.storeId, item.store?.name || `Store ${item.storeId}`]))];
+  const storeProducts = inventory.filter((item) => item.storeId === countStoreId);
+  const productName = (productId) =>
+    inventory.find((item) => item.productId === productId)?.product?.name || `Product ${productId}`;
+
+  const fetchCountSessions = async (storeId) => {
+    try {
+      const response = await authenticatedFetch(API_ENDPOINTS.COUNT_SESSIONS.BY_STORE(storeId), user.token);
+      setCountSessions(response.success ? response.data : response);
+    } catch (err) {
+      console.error('Error fetching count sessions:', err);
+      setCountError('Failed to load count sessions.');
+    }
+  };
+
+  // Runs a count session request, keeping the dialog and the session list in step with the result
+  const runCountRequest = async (path, body) => {
+    try {
+      setCountError('');
+      const response = await authenticatedFetch(path, user.token, { method: 'POST', body: JSON.stringify(body) });
+      const session = response.success ? response.data : response;
+      if (countDialog.open) {
+        openCountDialog(session);
+      }
+      fetchCountSessions(session.storeId);
+      return session;
+    } catch (err) {
+      console.error('Error updating count session:', err);
+      setCountError(err.message.replace(/^API Error \d+: /, ''));
+      return null;
+    }
+  };
+
+  const handleOpenCountSession = async () => {
+    await runCountRequest(API_ENDPOINTS.COUNT_SESSIONS.BASE, {
+      storeId: countStoreId,
+      ...(countProductIds.length > 0 && { productIds: countProductIds })
+    });
+    setCountProductIds([]);
+  };
+
+  const openCountDialog = (session) => {
+    setCountDialog({ open: true, session });
+    // Counted lines are approved by default; the manager unticks the variances to leave unposted
+    setApproved(Object.fromEntries(session.lines.map((line) => [line.productId, line.counted])));
+    setMyCounts(Object.fromEntries(session.lines
+      .map((line) => [line.productId, line.entries.find((entry) => entry.countedBy === user?.id)?.quantity])
+      .filter(([, quantity]) => quantity !== undefined)
+      .map(([productId, quantity]) => [productId, quantity.toString()])));
+  };
+
+  const handleSaveCounts = () => {
+    const counts = Object.entries(myCounts)
+      .filter(([, quantity]) => quantity !== '')
+      .map(([productId, quantity]) => ({ productId: parseInt(productId), quantity: parseInt(quantity) || 0 }));
+    runCountRequest(API_ENDPOINTS.COUNT_SESSIONS.COUNTS(countDialog.session.id), { counts });
+  };
+
+  const handlePostCounts = async () => {
+    const productIds = Object.entries(approved).filter(([, isApproved]) => isApproved).map(([productId]) => parseInt(productId));
+    if (await runCountRequest(API_ENDPOINTS.COUNT_SESSIONS.POST(countDialog.session.id), { productIds })) {
+      fetchInventory(); // Posted variances changed stock
+    }
+  };
+
+  const handleCancelCounts = () => {
+    runCountRequest(API_ENDPOINTS.COUNT_SESSIONS.CANCEL(countDialog.session.id), {});
+  };
+
   const getStockStatus = (quantity) => {
     if (quantity === 0) return { label: 'Out of Stock', color: 'error' };
     if (quantity < 10) return { label: 'Low Stock', color: 'warning' };
@@ -205,6 +294,11 @@ function Inventory() {
                         <Typography variant="body2" fontWeight={item.quantity < 10 ? 'bold' : 'normal'}>
                           {item.quantity}
                         </Typography>
+                        {item.held > 0 && (
+                          <Typography variant="caption" color="text.secondary">
+                            {item.held} on hold, {item.available} available
+                          </Typography>
+                        )}
                       </TableCell>
                       <TableCell>
                         <Chip 
@@ -234,6 +328,198 @@ function Inventory() {
         </TableContainer>
       </Paper>
 
+      {/* Cycle Counts */}
+      <Paper elevation={1} sx={{ p: 3, mt: 3 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 2 }}>
+          <CountIcon sx={{ color: 'primary.main' }} />
+          <Typography variant="h6">Cycle Counts</Typography>
+        </Box>
+        {countError && !countDialog.open && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {countError}
+          </Alert>
+        )}
+        <Box sx={{ display: 'flex', gap: 2, mb: 2, flexWrap: 'wrap' }}>
+          <TextField
+            select
+            size="small"
+            label="Store"
+            value={countStoreId}
+            onChange={(e) => {
+              setCountStoreId(e.target.value);
+              setCountProductIds([]);
+            }}
+            sx={{ minWidth: 200 }}
+          >
+            {countStores.map(([storeId, name]) => (
+              <MenuItem key={storeId} value={storeId}>{name}</MenuItem>
+            ))}
+          </TextField>
+          {canManageCounts && (
+            <>
+              <TextField
+                select
+                size="small"
+                label="Products to count"
+                helperText="Leave empty to count the whole store"
+                value={countProductIds}
+                onChange={(e) => setCountProductIds(e.target.value)}
+                SelectProps={{ multiple: true }}
+                disabled={!countStoreId}
+                sx={{ minWidth: 260 }}
+              >
+                {storeProducts.map((item) => (
+                  <MenuItem key={item.productId} value={item.productId}>{item.product?.name}</MenuItem>
+                ))}
+              </TextField>
+              <Button variant="contained" onClick={handleOpenCountSession} disabled={!countStoreId} sx={{ alignSelf: 'flex-start' }}>
+                Open Count Session
+              </Button>
+            </>
+          )}
+        </Box>
+        {countStoreId && (
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Session</TableCell>
+                  <TableCell>Opened</TableCell>
+                  <TableCell>Status</TableCell>
+                  <TableCell align="right">Counted</TableCell>
+                  <TableCell>Actions</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {countSessions.length === 0 ? (
+                  <TableRow>
+                    <TableCell colSpan={5} align="center">
+                      <Typography variant="body2" color="text.secondary">No count sessions for this store</Typography>
+                    </TableCell>
+                  </TableRow>
+                ) : (
+                  countSessions.map((session) => (
+                    <TableRow key={session.id}>
+                      <TableCell>#{session.id}{session.note && ` – ${session.note}`}</TableCell>
+                      <TableCell>{new Date(session.createdAt).toLocaleString()}</TableCell>
+                      <TableCell>
+                        <Chip label={session.status} color={COUNT_STATUS_COLORS[session.status]} size="small" />
+                      </TableCell>
+                      <TableCell align="right">
+                        {session.lines.filter((line) => line.counted).length} / {session.lines.length}
+                      </TableCell>
+                      <TableCell>
+                        <Button size="small" onClick={() => openCountDialog(session)}>
+                          {session.status === 'OPEN' ? 'Count' : 'View'}
+                        </Button>
+                      </TableCell>
+                    </TableRow>
+                  ))
+                )}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+      </Paper>
+
+      {/* Count Session Dialog */}
+      <Dialog
+        open={countDialog.open}
+        onClose={() => setCountDialog({ open: false, session: null })}
+        maxWidth="md"
+        fullWidth
+      >
+        <DialogTitle>
+          Count Session #{countDialog.session?.id} ({countDialog.session?.status})
+        </DialogTitle>
+        <DialogContent>
+          {countError && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {countError}
+            </Alert>
+          )}
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Enter the units you find on the shelves; counts from several counters add up. Units sold
+            during the count are taken into account in the expected quantity.
+          </Typography>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Product</TableCell>
+                {countDialog.session?.status === 'OPEN' && <TableCell>Your Count</TableCell>}
+                <TableCell align="right">Counted</TableCell>
+                <TableCell align="right">Expected</TableCell>
+                <TableCell align="right">Variance</TableCell>
+                {canManageCounts && <TableCell align="center">{countDialog.session?.status === 'OPEN' ? 'Approve' : 'Posted'}</TableCell>}
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {countDialog.session?.lines.map((line) => (
+                <TableRow key={line.productId}>
+                  <TableCell>{productName(line.productId)}</TableCell>
+                  {countDialog.session.status === 'OPEN' && (
+                    <TableCell>
+                      <TextField
+                        size="small"
+                        type="number"
+                        value={myCounts[line.productId] ?? ''}
+                        onChange={(e) => setMyCounts({ ...myCounts, [line.productId]: e.target.value })}
+                        inputProps={{ min: 0 }}
+                        sx={{ width: 100 }}
+                      />
+                    </TableCell>
+                  )}
+                  <TableCell align="right">{line.counted ? line.countedQuantity : '—'}</TableCell>
+                  <TableCell align="right">
+                    {line.expectedQuantity}
+                    {line.movedDuringCount !== 0 && (
+                      <Typography variant="caption" color="text.secondary" display="block">
+                        {line.snapshotQuantity} at snapshot, {line.movedDuringCount > 0 ? '+' : ''}{line.movedDuringCount} during count
+                      </Typography>
+                    )}
+                  </TableCell>
+                  <TableCell align="right">
+                    {line.variance === undefined ? '—' : (
+                      <Typography
+                        variant="body2"
+                        fontWeight="bold"
+                        color={line.variance < 0 ? 'error.main' : line.variance > 0 ? 'warning.main' : 'success.main'}
+                      >
+                        {line.variance > 0 ? '+' : ''}{line.variance}
+                      </Typography>
+                    )}
+                  </TableCell>
+                  {canManageCounts && (
+                    <TableCell align="center">
+                      {countDialog.session.status === 'OPEN' ? (
+                        <Checkbox
+                          size="small"
+                          checked={!!approved[line.productId]}
+                          disabled={!line.counted}
+                          onChange={(e) => setApproved({ ...approved, [line.productId]: e.target.checked })}
+                        />
+                      ) : (line.adjustment ?? '—')}
+                    </TableCell>
+                  )}
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </DialogContent>
+        <DialogActions>
+          {countDialog.session?.status === 'OPEN' && canManageCounts && (
+            <>
+              <Button color="error" onClick={handleCancelCounts}>Cancel Session</Button>
+              <Button onClick={handlePostCounts}>Post Approved Variances</Button>
+            </>
+          )}
+          {countDialog.session?.status === 'OPEN' && (
+            <Button variant="contained" onClick={handleSaveCounts}>Save My Counts</Button>
+          )}
+          <Button onClick={() => setCountDialog({ open: false, session: null })}>Close</Button>
+        </DialogActions>
+      </Dialog>
+
       {/* Edit Stock Dialog */}
       <Dialog open={editDialog.open} onClose={() => setEditDialog({ open: false, item: null })}>
         <DialogTitle>Edit Stock Level</DialogTitle>
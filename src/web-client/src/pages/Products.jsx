@@ -4,7 +4,7 @@
 
 import React, { useState, useEffect, useCallback } from "react";
 import { useUser } from "../context/UserContext";
-import { apiFetch, API_ENDPOINTS } from "../api";
+import { apiFetch, authenticatedFetch, API_ENDPOINTS } from "../api";
 import ProductList from "../components/ProductList";
 import Modal from "../components/Modal";
 import {
@@ -22,6 +22,8 @@ import {
   DialogTitle,
   DialogContent,
   DialogActions,
+  Autocomplete,
+  Chip,
 } from "@mui/material";
 import {
   Search as SearchIcon,
@@ -70,11 +72,131 @@ const sampleProducts = [
   },
 ];
 
+// Flattens the category tree into select options, subcategories indented under their parent
+const flattenCategories = (categories, depth = 0) =>
+  categories.flatMap((category) => [
+    { id: category.id, name: category.name, depth, productCount: category.productCount },
+    ...flattenCategories(category.children || [], depth + 1),
+  ]);
+
+// --- CategorySelect component ---
+function CategorySelect({ label, value, onChange, categoryOptions, emptyLabel, showCounts = false, ...props }) {
+  return (
+    <TextField
+      select
+      label={label}
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      SelectProps={{ native: true }}
+      InputLabelProps={{ shrink: true }}
+      {...props}
+    >
+      <option value="">{emptyLabel}</option>
+      {categoryOptions.map((category) => (
+        <option key={category.id} value={category.id}>
+          {"\u00A0\u00A0".repeat(category.depth) + category.name}
+          {showCounts ? ` (${category.productCount})` : ""}
+        </option>
+      ))}
+    </TextField>
+  );
+}
+
+// --- CategoryCreateForm component ---
+function CategoryCreateForm({ categoryOptions, token, onSuccess, onCancel }) {
+  const [name, setName] = useState("");
+  const [parentId, setParentId] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+    if (!name.trim()) {
+      setError("A name is required.");
+      return;
+    }
+    setLoading(true);
+    try {
+      await authenticatedFetch(API_ENDPOINTS.CATEGORIES.BASE, token, {
+        method: "POST",
+        body: JSON.stringify({ name, ...(parentId && { parentId: Number(parentId) }) }),
+      });
+      onSuccess && onSuccess();
+    } catch (err) {
+      console.error("Error creating category:", err);
+      setError(err.message || "Failed to create category.");
+    }
+    setLoading(false);
+  };
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <Box sx={{ display: "flex", flexDirection: "column", gap: 2, minWidth: 320 }}>
+        <TextField label="Category Name" value={name} onChange={(e) => setName(e.target.value)} required />
+        <CategorySelect
+          label="Parent Category"
+          value={parentId}
+          onChange={setParentId}
+          categoryOptions={categoryOptions}
+          emptyLabel="None (top level)"
+        />
+        {error && <Alert severity="error">{error}</Alert>}
+        <Box sx={{ display: "flex", gap: 2, mt: 1 }}>
+          <Button type="submit" variant="contained" color="primary" disabled={loading}>
+            {loading ? "Creating..." : "Create Category"}
+          </Button>
+          <Button onClick={onCancel} disabled={loading}>
+            Cancel
+          </Button>
+        </Box>
+      </Box>
+    </form>
+  );
+}
+
+// Barcodes are typed one per line or separated by commas
+const parseBarcodes = (text) => text.split(/[\n,]/).map((code) => code.trim()).filter(Boolean);
+
+// Option axes are typed one per line, as the name then its values: "Size: S, M, L"
+const parseOptions = (text) =>
+  text.split("\n").map((line) => line.trim()).filter(Boolean).map((line) => {
+    const [name, values = ""] = line.split(":");
+    return { name: name.trim(), values: values.split(",").map((value) => value.trim()).filter(Boolean) };
+  });
+
+const formatOptions = (options) =>
+  (options || []).map((option) => `${option.name}: ${option.values.join(", ")}`).join("\n");
+
+// Label of a range of the price facet: "$10 - $25", or "$100+" for the last one
+const priceRangeLabel = (range) =>
+  range.max !== undefined ? `$${range.min} - $${range.max}` : `$${range.min}+`;
+
+// Units of a product in a store, all of its variants together
+const storeStock = (product, storeId) =>
+  Array.isArray(product.stocks)
+    ? product.stocks.filter((s) => s.storeId === storeId).reduce((sum, s) => sum + s.quantity, 0)
+    : 0;
+
+// Message of an API error such as `API Error 400: {"error":"SKU X is already used by another product"}`
+const apiErrorMessage = (err, fallback) => {
+  const match = (err?.message || "").match(/API Error \d+: (.+)/);
+  if (!match) return fallback;
+  try {
+    return JSON.parse(match[1]).error || fallback;
+  } catch {
+    return fallback;
+  }
+};
+
 // --- ProductCreateForm component ---
-function ProductCreateForm({ onSuccess, onCancel }) {
+function ProductCreateForm({ categoryOptions, onSuccess, onCancel }) {
   const [name, setName] = useState("");
   const [price, setPrice] = useState("");
   const [description, setDescription] = useState("");
+  const [categoryId, setCategoryId] = useState("");
+  const [sku, setSku] = useState("");
+  const [barcodes, setBarcodes] = useState("");
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState("");
 
@@ -87,7 +209,14 @@ function ProductCreateForm({ onSuccess, onCancel }) {
     }
     setLoading(true);
     try {
-      const payload = { name, price: parseFloat(price), description };
+      const payload = {
+        name,
+        price: parseFloat(price),
+        description,
+        ...(categoryId && { categoryId: Number(categoryId) }),
+        ...(sku.trim() && { sku: sku.trim() }),
+        barcodes: parseBarcodes(barcodes),
+      };
       const res = await apiFetch(API_ENDPOINTS.PRODUCTS.BASE, {
         method: "POST",
         body: JSON.stringify(payload),
@@ -105,7 +234,7 @@ function ProductCreateForm({ onSuccess, onCancel }) {
       }
     } catch (err) {
       console.error("Error creating product:", err);
-      setError("Failed to create product.");
+      setError(apiErrorMessage(err, "Failed to create product."));
     }
     setLoading(false);
   };
@@ -136,6 +265,27 @@ function ProductCreateForm({ onSuccess, onCancel }) {
           multiline
           rows={2}
         />
+        <CategorySelect
+          label="Category"
+          value={categoryId}
+          onChange={setCategoryId}
+          categoryOptions={categoryOptions}
+          emptyLabel="Uncategorized"
+        />
+        <TextField
+          label="SKU"
+          value={sku}
+          onChange={(e) => setSku(e.target.value)}
+          helperText={"Generated when left empty"}
+        />
+        <TextField
+          label="Barcodes"
+          value={barcodes}
+          onChange={(e) => setBarcodes(e.target.value)}
+          helperText="UPC-A or EAN-13 codes, one per line"
+          multiline
+          rows={2}
+        />
         {error && <Alert severity="error">{error}</Alert>}
         <Box sx={{ display: "flex", gap: 2, mt: 1 }}>
           <Button
@@ -156,16 +306,23 @@ function ProductCreateForm({ onSuccess, onCancel }) {
 }
 
 // --- ProductEditForm component ---
-function ProductEditForm({ product, stores, onSuccess, onCancel }) {
+function ProductEditForm({ product, stores, categoryOptions, onSuccess, onCancel }) {
   const [name, setName] = useState(product?.name || "");
   const [price, setPrice] = useState(product?.price || "");
   const [description, setDescription] = useState(product?.description || "");
-  // Ensure all stores are represented in stocks, even if quantity is 0
+  const [categoryId, setCategoryId] = useState(product?.categoryId ? String(product.categoryId) : "");
+  const [sku, setSku] = useState(product?.sku || "");
+  const [barcodes, setBarcodes] = useState((product?.barcodes || []).map((barcode) => barcode.code).join("\n"));
+  const [options, setOptions] = useState(formatOptions(product?.options));
+  const variants = product?.variants || [];
+  // Ensure all stores are represented in stocks, even if quantity is 0; a product with
+  // variants keeps its stock per variant, so it gets one record per store and variant
   const getAllStocks = (productStocks, stores) => {
-    return stores.map((store) => {
-      const found = productStocks?.find((s) => s.storeId === store.id);
-      return found ? { ...found } : { storeId: store.id, quantity: 0 };
-    });
+    const variantIds = variants.length > 0 ? variants.map((variant) => variant.id) : [null];
+    return stores.flatMap((store) => variantIds.map((variantId) => {
+      const found = productStocks?.find((s) => s.storeId === store.id && (s.variantId ?? null) === variantId);
+      return found ? { ...found, variantId } : { storeId: store.id, variantId, quantity: 0 };
+    }));
   };
   const [stocks, setStocks] = useState(
     getAllStocks(product?.stocks || [], stores)
@@ -179,10 +336,10 @@ function ProductEditForm({ product, stores, onSuccess, onCancel }) {
   }, [product, stores]);
 
   // Handle stock quantity change
-  const handleStockChange = (storeId, value) => {
+  const handleStockChange = (storeId, variantId, value) => {
     setStocks((stocks) =>
       stocks.map((s) =>
-        s.storeId === storeId ? { ...s, quantity: Number(value) } : s
+        s.storeId === storeId && s.variantId === variantId ? { ...s, quantity: Number(value) } : s
       )
     );
   };
@@ -199,7 +356,15 @@ function ProductEditForm({ product, stores, onSuccess, onCancel }) {
       // Update product fields
       await apiFetch(API_ENDPOINTS.PRODUCTS.BY_ID(product.id), {
         method: "PUT",
-        body: JSON.stringify({ name, price: parseFloat(price), description }),
+        body: JSON.stringify({
+          name,
+          price: parseFloat(price),
+          description,
+          categoryId: categoryId ? Number(categoryId) : null,
+          ...(sku.trim() && { sku: sku.trim() }),
+          barcodes: parseBarcodes(barcodes),
+          options: parseOptions(options),
+        }),
         headers: { "Content-Type": "application/json" },
       });
       
@@ -213,9 +378,9 @@ function ProductEditForm({ product, stores, onSuccess, onCancel }) {
       // Update each stock record
       await Promise.all(
         stocks.map(async (stock) => {
-          // Find existing stock record by storeId and productId
+          // Find existing stock record by storeId, productId and variantId
           const existingStock = currentStockData.find(
-            (s) => s.storeId === stock.storeId && s.productId === product.id
+            (s) => s.storeId === stock.storeId && s.productId === product.id && (s.variantId ?? null) === stock.variantId
           );
           
           if (existingStock) {
@@ -234,6 +399,7 @@ function ProductEditForm({ product, stores, onSuccess, onCancel }) {
               body: JSON.stringify({
                 productId: product.id,
                 storeId: stock.storeId,
+                ...(stock.variantId && { variantId: stock.variantId }),
                 quantity: stock.quantity,
               }),
               headers: { "Content-Type": "application/json" },
@@ -245,7 +411,7 @@ function ProductEditForm({ product, stores, onSuccess, onCancel }) {
       onSuccess && onSuccess();
     } catch (err) {
       console.error("Error updating product or stock:", err);
-      setError("Failed to update product or stock.");
+      setError(apiErrorMessage(err, "Failed to update product or stock."));
     }
     setLoading(false);
   };
@@ -276,23 +442,53 @@ function ProductEditForm({ product, stores, onSuccess, onCancel }) {
           multiline
           rows={2}
         />
+        <CategorySelect
+          label="Category"
+          value={categoryId}
+          onChange={setCategoryId}
+          categoryOptions={categoryOptions}
+          emptyLabel="Uncategorized"
+        />
+        <TextField
+          label="SKU"
+          value={sku}
+          onChange={(e) => setSku(e.target.value)}
+          helperText={"Letters, digits, dots, dashes or underscores"}
+        />
+        <TextField
+          label="Barcodes"
+          value={barcodes}
+          onChange={(e) => setBarcodes(e.target.value)}
+          helperText="UPC-A or EAN-13 codes, one per line"
+          multiline
+          rows={2}
+        />
+        <TextField
+          label="Options"
+          value={options}
+          onChange={(e) => setOptions(e.target.value)}
+          helperText={'One option per line, such as "Size: S, M, L"; variants are added per combination'}
+          multiline
+          rows={2}
+        />
         <Box sx={{ mt: 2 }}>
           <Typography variant="subtitle1">Stock by Store</Typography>
           {stocks.map((stock) => (
             <Box
-              key={stock.storeId}
+              key={`${stock.storeId}-${stock.variantId ?? ""}`}
               sx={{ display: "flex", alignItems: "center", gap: 2, mt: 1 }}
             >
               <Typography sx={{ minWidth: 120 }}>
                 {stores.find((s) => s.id === stock.storeId)?.name ||
                   `Store ${stock.storeId}`}
+                {stock.variantId && ` - ${variants.find((v) => v.id === stock.variantId)?.label}`}
                 :
               </Typography>
               <TextField
                 type="number"
                 value={stock.quantity}
                 onChange={(e) =>
-                  handleStockChange(stock.storeId, e.target.value)
+                  handleStockChange(stock.storeId, stock.variantId, e.target.value)
                 }
                 inputProps={{ min: 0, step: 1 }}
                 size="small"
@@ -326,8 +522,10 @@ function Products() {
   const [filteredProducts, setFilteredProducts] = useState([]);
   const [loading, setLoading] = useState(true);
   const [searchTerm, setSearchTerm] = useState("");
-  const [selectedCategory] = useState("all");
+  const [selectedCategory, setSelectedCategory] = useState("");
+  const [categories, setCategories] = useState([]);
   const [showAddModal, setShowAddModal] = useState(false);
+  const [showAddCategoryModal, setShowAddCategoryModal] = useState(false);
   const [error, setError] = useState("");
   const [deleteDialogOpen, setDeleteDialogOpen] = useState(false);
   const [productToDelete, setProductToDelete] = useState(null);
@@ -336,9 +534,29 @@ function Products() {
   const [stores, setStores] = useState([]);
   const [sortBy, setSortBy] = useState("stock"); // Default to 'stock' for available stock sorting
   const [sortOrder, setSortOrder] = useState("desc"); // Default to 'desc' for descending order
+  // Results of the catalog search for the search box, null while it is empty
+  const [searchResults, setSearchResults] = useState(null);
+  const [suggestions, setSuggestions] = useState([]);
+  const [priceFilter, setPriceFilter] = useState(null); // Range of the price facet chosen
+  const [inStockOnly, setInStockOnly] = useState(false);
 
   // Get selected storeId from user context or default to first store
   const selectedStoreId = user?.storeId || (stores[0]?.id ?? null);
+  const categoryOptions = flattenCategories(categories);
+
+  const fetchCategories = useCallback(async () => {
+    try {
+      const res = await apiFetch(API_ENDPOINTS.CATEGORIES.BASE);
+      setCategories(Array.isArray(res) ? res : res?.data || []);
+    } catch (e) {
+      console.error("Error fetching categories:", e);
+      setCategories([]);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchCategories();
+  }, [fetchCategories]);
 
   // Define fetchProducts before useEffect hooks
   const fetchProducts = useCallback(async () => {
@@ -348,10 +566,14 @@ function Products() {
 
       console.log("Fetching products...");
 
-      // Fetch both products and stock data in parallel
+      // Fetch both products and stock data in parallel; the catalog filters by category, subcategories included
       try {
         const [productsResponse, stockResponse] = await Promise.all([
-          apiFetch(API_ENDPOINTS.PRODUCTS.BASE),
+          apiFetch(
+            selectedCategory
+              ? API_ENDPOINTS.PRODUCTS.BY_CATEGORY(selectedCategory)
+              : API_ENDPOINTS.PRODUCTS.BASE
+          ),
           apiFetch(API_ENDPOINTS.STOCK.BASE),
         ]);
 
@@ -371,7 +593,7 @@ function Products() {
         console.log("Parsed products:", products);
         console.log("Parsed inventory:", inventory);
 
-        if (Array.isArray(products) && products.length > 0) {
+        if (Array.isArray(products) && (products.length > 0 || selectedCategory)) {
           // Merge stock data with products
           const productsWithStock = products.map((product) => {
             // Find all stock entries for this product across all stores
@@ -405,15 +627,68 @@ function Products() {
       setProducts(sampleProducts); // Fallback to sample data
       setLoading(false);
     }
-  }, []);
+  }, [selectedCategory]);
 
   useEffect(() => {
     fetchProducts();
-  }, []);
+  }, [fetchProducts]);
+
+  // Searches the catalog once typing pauses; the facets narrow the same search
+  useEffect(() => {
+    const text = searchTerm.trim();
+    if (!text) {
+      setSearchResults(null);
+      return;
+    }
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const result = await apiFetch(API_ENDPOINTS.PRODUCTS.SEARCH({
+          q: text,
+          category: selectedCategory,
+          minPrice: priceFilter?.min,
+          maxPrice: priceFilter?.max,
+          storeId: selectedStoreId,
+          inStock: inStockOnly || undefined,
+          limit: 100,
+        }));
+        if (!cancelled) setSearchResults(result);
+      } catch (err) {
+        console.error("Search failed, filtering the loaded products instead:", err);
+        if (!cancelled) setSearchResults(null);
+      }
+    }, 300);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [searchTerm, selectedCategory, priceFilter, inStockOnly, selectedStoreId]);
+
+  // Suggests product names as the user types
+  useEffect(() => {
+    const text = searchTerm.trim();
+    if (text.length < 2) {
+      setSuggestions([]);
+      return;
+    }
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const result = await apiFetch(API_ENDPOINTS.PRODUCTS.SUGGEST(text));
+        if (!cancelled) setSuggestions(Array.isArray(result) ? result.map((suggestion) => suggestion.name) : []);
+      } catch (err) {
+        if (!cancelled) setSuggestions([]);
+      }
+    }, 150);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [searchTerm]);
 
   useEffect(() => {
     filterProducts();
-  }, [products, searchTerm, selectedCategory, sortBy, sortOrder]);
+  }, [products, searchTerm, searchResults, sortBy, sortOrder]);
 
   // Listen for stock updates from cart purchases
   useEffect(() => {
@@ -436,12 +711,18 @@ function Products() {
     console.log("Filtering products:", { 
       totalProducts: products.length, 
       searchTerm, 
-      selectedCategory, 
       sortBy, 
       sortOrder 
     });
 
-    if (searchTerm) {
+    if (searchResults) {
+      // Search hits in order of relevance, with the stock loaded for the products and their highlights
+      filtered = searchResults.results.map(({ product, highlights }) => ({
+        ...product,
+        stocks: products.find((p) => p.id === product.id)?.stocks || [],
+        highlights,
+      }));
+    } else if (searchTerm) {
       filtered = filtered.filter(
         (product) =>
           product.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
@@ -449,14 +730,8 @@ function Products() {
       );
     }
 
-    if (selectedCategory !== "all") {
-      filtered = filtered.filter(
-        (product) => product.category === selectedCategory
-      );
-    }
-
-    // Sorting logic
-    filtered = filtered.slice().sort((a, b) => {
+    // Sorting logic; by relevance the search order is kept
+    filtered = sortBy === "relevance" ? filtered : filtered.slice().sort((a, b) => {
       let aValue, bValue;
       if (sortBy === "name") {
         aValue = a.name.toLowerCase();
@@ -470,12 +745,8 @@ function Products() {
         return sortOrder === "asc" ? aValue - bValue : bValue - aValue;
       } else if (sortBy === "stock") {
         // Sort by available stock for the selected store only
-        const aStock = Array.isArray(a.stocks)
-          ? (a.stocks.find(s => s.storeId === selectedStoreId)?.quantity || 0)
-          : 0;
-        const bStock = Array.isArray(b.stocks)
-          ? (b.stocks.find(s => s.storeId === selectedStoreId)?.quantity || 0)
-          : 0;
+        const aStock = storeStock(a, selectedStoreId);
+        const bStock = storeStock(b, selectedStoreId);
         return sortOrder === "asc" ? aStock - bStock : bStock - aStock;
       }
       return 0;
@@ -506,6 +777,7 @@ function Products() {
       setDeleteDialogOpen(false);
       setProductToDelete(null);
       fetchProducts();
+      fetchCategories();
     } catch (err) {
       setError("Failed to delete product.");
       setDeleteDialogOpen(false);
@@ -587,6 +859,16 @@ function Products() {
             >
               {loading ? "Refreshing..." : "Refresh"}
             </Button>
+            {user?.role === "admin" && (
+              <Button
+                variant="outlined"
+                size="small"
+                startIcon={<AddIcon />}
+                onClick={() => setShowAddCategoryModal(true)}
+              >
+                Add Category
+              </Button>
+            )}
             {user?.role === "admin" && (
               <Button
                 variant="contained"
@@ -632,24 +914,45 @@ function Products() {
             {/* Search and Filter Controls */}
             <Paper elevation={1} sx={{ p: 3, mb: 3 }}>
               <Grid container spacing={3} alignItems="center">
-                <Grid item xs={12} md={6}>
-                  <TextField
+                <Grid item xs={12} md={4}>
+                  <Autocomplete
+                    freeSolo
+                    options={suggestions}
+                    filterOptions={(options) => options}
+                    inputValue={searchTerm}
+                    onInputChange={(e, value) => setSearchTerm(value)}
+                    renderInput={(params) => (
+                      <TextField
+                        {...params}
+                        fullWidth
+                        variant="outlined"
+                        placeholder="Search products..."
+                        size="small"
+                        InputProps={{
+                          ...params.InputProps,
+                          startAdornment: (
+                            <InputAdornment position="start">
+                              <SearchIcon color="action" />
+                            </InputAdornment>
+                          ),
+                        }}
+                      />
+                    )}
+                  />
+                </Grid>
+                <Grid item xs={12} md={4}>
+                  <CategorySelect
                     fullWidth
-                    variant="outlined"
-                    placeholder="Search products..."
-                    value={searchTerm}
-                    onChange={(e) => setSearchTerm(e.target.value)}
                     size="small"
-                    InputProps={{
-                      startAdornment: (
-                        <InputAdornment position="start">
-                          <SearchIcon color="action" />
-                        </InputAdornment>
-                      ),
-                    }}
+                    label="Category"
+                    value={selectedCategory}
+                    onChange={setSelectedCategory}
+                    categoryOptions={categoryOptions}
+                    emptyLabel="All categories"
+                    showCounts
                   />
                 </Grid>
-                <Grid item xs={12} md={6} sx={{ display: 'flex', gap: 2, justifyContent: { xs: 'flex-start', md: 'flex-end' }, alignItems: 'center' }}>
+                <Grid item xs={12} md={4} sx={{ display: 'flex', gap: 2, justifyContent: { xs: 'flex-start', md: 'flex-end' }, alignItems: 'center' }}>
                   <TextField
                     select
                     label="Sort By"
@@ -659,6 +962,7 @@ function Products() {
                     SelectProps={{ native: true }} 
                     sx={{ minWidth: 140 }}
                   >
+                    <option value="relevance">Relevance</option>
                     <option value="name">Name</option>
                     <option value="price">Price</option>
                     <option value="stock">Available Stock</option>
@@ -672,6 +976,41 @@ function Products() {
                   </Button>
                 </Grid>
               </Grid>
+
+              {/* Facets of the search: each chip narrows the results */}
+              {searchResults && (
+                <Box sx={{ display: "flex", flexWrap: "wrap", gap: 1, mt: 2, alignItems: "center" }}>
+                  <Typography variant="body2" color="text.secondary" sx={{ mr: 1 }}>
+                    {searchResults.total} result{searchResults.total === 1 ? "" : "s"}
+                  </Typography>
+                  {searchResults.facets.priceRanges.filter((range) => range.count > 0 || priceFilter?.min === range.min).map((range) => (
+                    <Chip
+                      key={range.min}
+                      label={`${priceRangeLabel(range)} (${range.count})`}
+                      size="small"
+                      color={priceFilter?.min === range.min ? "primary" : "default"}
+                      onClick={() => setPriceFilter(priceFilter?.min === range.min ? null : { min: range.min, max: range.max })}
+                    />
+                  ))}
+                  {searchResults.facets.inStock && (
+                    <Chip
+                      label={`In stock (${searchResults.facets.inStock.count})`}
+                      size="small"
+                      color={inStockOnly ? "primary" : "default"}
+                      onClick={() => setInStockOnly(!inStockOnly)}
+                    />
+                  )}
+                  {!selectedCategory && searchResults.facets.categories.filter((facet) => facet.categoryId !== null).map((facet) => (
+                    <Chip
+                      key={facet.categoryId}
+                      label={`${facet.name} (${facet.count})`}
+                      size="small"
+                      variant="outlined"
+                      onClick={() => setSelectedCategory(String(facet.categoryId))}
+                    />
+                  ))}
+                </Box>
+              )}
             </Paper>
 
             {error && (
@@ -704,6 +1043,7 @@ function Products() {
           }}
         >
           <ProductCreateForm
+            categoryOptions={categoryOptions}
             onSuccess={async () => {
               console.log("Product created successfully, refreshing list");
               setShowAddModal(false);
@@ -711,12 +1051,33 @@ function Products() {
               await new Promise(resolve => setTimeout(resolve, 100));
               // Force refresh the products list
               await fetchProducts();
+              fetchCategories();
             }}
             onCancel={() => setShowAddModal(false)}
           />
         </Modal>
       )}
 
+      {/* Add Category Modal */}
+      {user?.role === "admin" && (
+        <Modal
+          open={showAddCategoryModal}
+          title="Add Category"
+          onClose={() => setShowAddCategoryModal(false)}
+          onConfirm={null}
+        >
+          <CategoryCreateForm
+            categoryOptions={categoryOptions}
+            token={user.token}
+            onSuccess={() => {
+              setShowAddCategoryModal(false);
+              fetchCategories();
+            }}
+            onCancel={() => setShowAddCategoryModal(false)}
+          />
+        </Modal>
+      )}
+
       {/* Edit Product Modal */}
       {user?.role === "admin" && (
         <Modal
@@ -729,10 +1090,12 @@ function Products() {
             <ProductEditForm
               product={productToEdit}
               stores={stores}
+              categoryOptions={categoryOptions}
               onSuccess={() => {
                 setEditDialogOpen(false);
                 setProductToEdit(null);
                 fetchProducts();
+                fetchCategories();
               }}
               onCancel={() => {
                 setEditDialogOpen(false);
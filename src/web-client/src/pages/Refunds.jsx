@@ -151,7 +151,7 @@ function Refunds() {
                   <TableRow key={refund.id}>
                     <TableCell>#{refund.id}</TableCell>
                     <TableCell>{formatDate(refund.date)}</TableCell>
-                    <TableCell>#{refund.saleId}</TableCell>
+                    <TableCell>{refund.type === 'BLIND' ? 'No receipt' : `#${refund.saleId}`}</TableCell>
                     <TableCell>{refund.user?.name || refund.customerName || 'Unknown'}</TableCell>
                     <TableCell align="right">${refund.total?.toFixed(2) || '0.00'}</TableCell>
                     <TableCell>
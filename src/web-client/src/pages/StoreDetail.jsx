@@ -7,6 +7,7 @@
  * Kong API Gateway Integration:
  * - GET /stores/{id} -> catalog-service (public)
  * - GET /stock/store/{id} -> catalog-service (requires authentication)
+ * - GET /transfers/store/{id}/in-transit -> catalog-service (requires authentication)
  * - GET /sales/store/{id} -> transaction-service (requires authentication)
  */
 
@@ -50,6 +51,7 @@ function StoreDetail() {
   // State variables
   const [store, setStore] = useState(null);
   const [stocks, setStocks] = useState([]);
+  const [inTransit, setInTransit] = useState({ inbound: [], outbound: [] });
   const [sales, setSales] = useState([]);
   const [activeTab, setActiveTab] = useState(0);
   const [loading, setLoading] = useState(true);
@@ -78,6 +80,15 @@ function StoreDetail() {
             // Fetch store stock (requires authentication)
             const stockData = await authenticatedFetch(API_ENDPOINTS.STOCK.BY_STORE(storeId), user.token);
             setStocks(stockData.success ? stockData.data : stockData);
+
+            // Fetch units shipped to or from the store and not yet received
+            try {
+              const transitData = await authenticatedFetch(API_ENDPOINTS.TRANSFERS.IN_TRANSIT(storeId), user.token);
+              setInTransit(transitData.success ? transitData.data : transitData);
+            } catch (transitErr) {
+              console.warn('Could not fetch in-transit stock:', transitErr);
+              setInTransit({ inbound: [], outbound: [] });
+            }
             
             // Fetch recent sales (requires authentication)
             const salesData = await authenticatedFetch(`${API_ENDPOINTS.SALES.BASE}/store/${storeId}?limit=10`, user.token);
@@ -120,6 +131,20 @@ function StoreDetail() {
     setActiveTab(newValue);
   };
   
+  // Units of a product in transit to (inbound) or from (outbound) the store
+  const transitQuantity = (lines, productId) =>
+    (lines || [])
+      .filter((line) => line.productId === productId)
+      .reduce((sum, line) => sum + line.quantity, 0);
+
+  const productName = (productId) =>
+    stocks.find((item) => item.productId === productId)?.product?.name || `Product #${productId}`;
+
+  const transitLines = [
+    ...(inTransit.inbound || []).map((line) => ({ ...line, direction: 'inbound' })),
+    ...(inTransit.outbound || []).map((line) => ({ ...line, direction: 'outbound' }))
+  ];
+
   // Function to format date
   const formatDate = (dateString) => {
     const date = new Date(dateString);
@@ -215,6 +240,7 @@ function StoreDetail() {
                     <TableCell><strong>Description</strong></TableCell>
                     <TableCell align="right"><strong>Price</strong></TableCell>
                     <TableCell align="right"><strong>Quantity</strong></TableCell>
+                    <TableCell align="right"><strong>In Transit</strong></TableCell>
                     <TableCell align="right"><strong>Total Value</strong></TableCell>
                   </TableRow>
                 </TableHead>
@@ -232,6 +258,20 @@ function StoreDetail() {
                           {item.quantity}
                         </Box>
                       </TableCell>
+                      <TableCell align="right">
+                        {transitQuantity(inTransit.inbound, item.productId) > 0 && (
+                          <Typography variant="body2" color="success.main">
+                            +{transitQuantity(inTransit.inbound, item.productId)} inbound
+                          </Typography>
+                        )}
+                        {transitQuantity(inTransit.outbound, item.productId) > 0 && (
+                          <Typography variant="body2" color="warning.main">
+                            {transitQuantity(inTransit.outbound, item.productId)} outbound
+                          </Typography>
+                        )}
+                        {transitQuantity(inTransit.inbound, item.productId) === 0 &&
+                          transitQuantity(inTransit.outbound, item.productId) === 0 && '—'}
+                      </TableCell>
                       <TableCell align="right">
                         ${(item.quantity * (item.product?.price || 0)).toFixed(2)}
                       </TableCell>
@@ -241,6 +281,33 @@ function StoreDetail() {
               </Table>
             </TableContainer>
           )}
+
+          {/* Shipped transfers not yet received, including products the store does not stock yet */}
+          {transitLines.length > 0 && (
+            <Box sx={{ mt: 3 }}>
+              <Typography variant="subtitle1" sx={{ mb: 1 }}>
+                In Transit
+              </Typography>
+              <List disablePadding>
+                {transitLines.map((line) => (
+                  <ListItem key={`${line.direction}-${line.transferId}-${line.productId}`} disablePadding sx={{ py: 0.5 }}>
+                    <ListItemText
+                      primary={`${line.quantity} x ${productName(line.productId)}`}
+                      secondary={line.direction === 'inbound'
+                        ? `Transfer #${line.transferId} from store ${line.otherStoreId}`
+                        : `Transfer #${line.transferId} to store ${line.otherStoreId}`}
+                    />
+                    <Chip
+                      size="small"
+                      label={line.direction === 'inbound' ? 'Inbound' : 'Outbound'}
+                      color={line.direction === 'inbound' ? 'success' : 'warning'}
+                      variant="outlined"
+                    />
+                  </ListItem>
+                ))}
+              </List>
+            </Box>
+          )}
         </Paper>
       )}
 